@@ -22,7 +22,7 @@ app.use(cookieParser());
 
 // Configure multer for CSV file uploads
 const uploadCSV = multer({ dest: 'uploads/' });
-app.use(express.json({ limit: '10mb' }));
+app.use(express.json({ limit: '10mb', type: ['application/json', 'application/fhir+json'] }));
 app.use(express.urlencoded({ extended: true }));
 
 
@@ -96,6 +96,14 @@ const validateDateRange = (fromDate, toDate) => {
     };
 };
 
+// Escape text for HTML emails
+const escapeHtml = (text) => String(text === null || text === undefined ? '' : text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#039;');
+
 // Hash password
 const hashPassword = async (password) => {
     const saltRounds = 10;
@@ -127,7 +135,7 @@ const generateToken = (user) => {
 /**
  * Send LINE notification
  * @param {Object} db - Database connection
- * @param {string} eventType - Event type: 'newAppointment', 'appointmentCancelled', 'newPatient', 'paymentReceived'
+ * @param {string} eventType - Event type: 'newAppointment', 'appointmentCancelled', 'newPatient', 'paymentReceived', 'redFlagScreening'
  * @param {string} message - Message to send
  * @returns {Promise<boolean>} - Success status
  */
@@ -217,6 +225,66 @@ const sendLINENotification = async (db, eventType, message) => {
     }
 };
 
+/**
+ * Send a plain notification email through the configured SMTP settings
+ * @param {Object} db - Database connection
+ * @param {string} recipientEmail - Recipient address
+ * @param {string} subject - Email subject
+ * @param {string} html - Email body
+ * @param {Array} [attachments] - nodemailer attachments, e.g. [{ filename, path }]
+ * @returns {Promise<boolean>} - Success status
+ */
+const sendNotificationEmail = async (db, recipientEmail, subject, html, attachments = []) => {
+    try {
+        if (!recipientEmail || !recipientEmail.includes('@')) {
+            console.log('Email: No valid recipient email provided');
+            return false;
+        }
+
+        const [settings] = await db.execute(`
+            SELECT setting_value FROM notification_settings WHERE setting_type = 'smtp' LIMIT 1
+        `);
+        if (settings.length === 0) {
+            console.log('Email: No SMTP settings configured');
+            return false;
+        }
+
+        const smtpConfig = JSON.parse(settings[0].setting_value);
+        if (!smtpConfig.enabled || smtpConfig.enabled === '0') {
+            console.log('Email: SMTP is disabled');
+            return false;
+        }
+
+        const nodemailer = require('nodemailer');
+        const transporter = nodemailer.createTransport({
+            host: smtpConfig.host,
+            port: parseInt(smtpConfig.port),
+            secure: smtpConfig.secure === 'ssl',
+            auth: {
+                user: smtpConfig.user,
+                pass: smtpConfig.password
+            },
+            tls: {
+                rejectUnauthorized: false
+            }
+        });
+
+        const info = await transporter.sendMail({
+            from: `"${smtpConfig.fromName || 'RehabPlus'}" <${smtpConfig.fromEmail}>`,
+            to: recipientEmail,
+            subject,
+            html,
+            attachments
+        });
+
+        console.log('✅ Notification email sent:', info.messageId);
+        return true;
+    } catch (error) {
+        console.error('❌ Failed to send notification email:', error);
+        return false;
+    }
+};
+
 /**
  * Create Google Calendar event for appointment
  * @param {Object} db - Database connection
@@ -763,7 +831,7 @@ const authenticateToken = (req, res, next) => {
         // Check for token in cookies for web pages
         const cookieToken = req.cookies?.authToken;
         if (!cookieToken) {
-            if (req.path.startsWith('/api/')) {
+            if (req.path.startsWith('/api/') || req.path.startsWith('/fhir/')) {
                 return res.status(401).json({ error: 'Access token required' });
             }
             return res.redirect('/login');
@@ -775,7 +843,7 @@ const authenticateToken = (req, res, next) => {
     
     jwt.verify(req.token || token, process.env.JWT_SECRET, (err, user) => {
         if (err) {
-            if (req.path.startsWith('/api/')) {
+            if (req.path.startsWith('/api/') || req.path.startsWith('/fhir/')) {
                 return res.status(403).json({ error: 'Invalid or expired token' });
             }
             return res.redirect('/login');
@@ -1283,10 +1351,13 @@ app.get('/api/patients/search', authenticateToken, async (req, res) => {
                 p.hn LIKE ? OR
                 p.pt_number LIKE ? OR
                 p.first_name LIKE ? OR
-                p.last_name LIKE ?
+                p.last_name LIKE ? OR
+                p.pid = ? OR
+                p.passport_no = ?
             )
         `;
-        const params = [searchPattern, searchPattern, searchPattern, searchPattern];
+        const identifier = normalizeIdentifier(q);
+        const params = [searchPattern, searchPattern, searchPattern, searchPattern, identifier, identifier];
 
         if (req.user.role !== 'ADMIN') {
             const accessibleClinics = await getAccessibleClinicIds(db, req.user);
@@ -1352,89 +1423,218 @@ app.get('/api/patients/:id', authenticateToken, async (req, res) => {
     }
 });
 
-// Create patient
-app.post('/api/patients', authenticateToken, [
-    body('hn').notEmpty(),
-    body('first_name').notEmpty(),
-    body('last_name').notEmpty(),
-    body('dob').isDate(),
-    body('diagnosis').notEmpty()
-], async (req, res) => {
-    try {
-        const errors = validationResult(req);
-        if (!errors.isEmpty()) {
-            return res.status(400).json({ errors: errors.array() });
+// Placeholder identifiers staff type when the real one is unknown (e.g. 'Unknow2', 'Foreginer01', 'Thai01')
+// A short number may follow the word, but real identifiers such as 'NA1234567' must not match
+const PLACEHOLDER_IDENTIFIER_PATTERN = /^((unknow|unknown|foreigner|foreginer|foriegner|thai|none|null|n\/?a)\s*\d{0,2}|-+|0+)$/i;
+
+const isPlaceholderIdentifier = (value) => {
+    return !value || PLACEHOLDER_IDENTIFIER_PATTERN.test(String(value).trim());
+};
+
+// Strip the dashes/spaces people type into ID numbers (1-1037-00012-34-5)
+const normalizeIdentifier = (value) => {
+    return String(value || '').replace(/[\s-]/g, '').toUpperCase();
+};
+
+// 13-digit Thai national ID: the last digit is (11 - sum(d[i] * (13 - i)) mod 11) mod 10
+const isValidThaiNationalId = (value) => {
+    if (!/^\d{13}$/.test(value)) {
+        return false;
+    }
+    let sum = 0;
+    for (let i = 0; i < 12; i++) {
+        sum += parseInt(value[i], 10) * (13 - i);
+    }
+    return (11 - (sum % 11)) % 10 === parseInt(value[12], 10);
+};
+
+// ICAO 9303 passport numbers: up to 9 letters/digits, at least one digit
+const isValidPassportNumber = (value) => {
+    return /^[A-Z0-9]{6,9}$/.test(value) && /\d/.test(value);
+};
+
+/**
+ * Validate and normalize the identifier fields of incoming patient data.
+ * Only fields present in data are checked, so partial updates work.
+ * Nationality is inferred from the Thai ID category digit (1-5 = Thai national)
+ * unless one is supplied.
+ * @param {Object} data - Patient data (pid, passport_no, nationality)
+ * @returns {Object} - Normalized { pid, passport_no, nationality } for the fields present
+ */
+const validatePatientIdentifiers = (data) => {
+    const result = {};
+
+    if (data.pid !== undefined && data.pid !== null && data.pid !== '') {
+        const pid = normalizeIdentifier(data.pid);
+        if (isPlaceholderIdentifier(pid)) {
+            throw patientError(400, `"${data.pid}" is a placeholder, not a national ID. Leave it empty if unknown.`);
+        }
+        if (!isValidThaiNationalId(pid)) {
+            throw patientError(400, /^\d{13}$/.test(pid)
+                ? 'Invalid Thai national ID (checksum does not match)'
+                : 'Thai national ID must be 13 digits. Enter foreign identifiers as passport_no.');
+        }
+        result.pid = pid;
+    } else if (data.pid !== undefined) {
+        result.pid = null;
+    }
+
+    if (data.passport_no !== undefined && data.passport_no !== null && data.passport_no !== '') {
+        const passportNo = normalizeIdentifier(data.passport_no);
+        if (isPlaceholderIdentifier(passportNo)) {
+            throw patientError(400, `"${data.passport_no}" is a placeholder, not a passport number. Leave it empty if unknown.`);
         }
-        
-        const db = req.app.locals.db;
-        const ptNumber = generatePTNumber();
-        
-        // Role-based clinic assignment
-        // ADMIN: Can create patients for any clinic (clinic_id from request)
-        // CLINIC: Can only create patients for their own clinic
-        // PT: Can create patients for any clinic (clinic_id from request)
+        if (!isValidPassportNumber(passportNo)) {
+            throw patientError(400, 'Passport number must be 6-9 letters and digits');
+        }
+        result.passport_no = passportNo;
+    } else if (data.passport_no !== undefined) {
+        result.passport_no = null;
+    }
 
-        let clinicId;
+    if (data.nationality) {
+        const nationality = String(data.nationality).trim().toUpperCase();
+        if (!/^[A-Z]{2}$/.test(nationality)) {
+            throw patientError(400, 'Nationality must be an ISO 3166-1 alpha-2 country code (e.g. TH)');
+        }
+        result.nationality = nationality;
+    } else if (result.pid && /^[1-5]/.test(result.pid)) {
+        result.nationality = 'TH';
+    }
 
-        if (req.user.role === 'CLINIC') {
-            // CLINIC users can only create patients for their own clinic
-            if (!req.user.clinic_id) {
-                return res.status(403).json({
-                    error: 'CLINIC user must be assigned to a clinic'
-                });
+    return result;
+};
+
+// Which identifier a patient is registered under; the Thai ID wins when both are present.
+// Legacy placeholder values still in the table do not count.
+const getPatientIdType = (pid, passportNo) => {
+    if (!isPlaceholderIdentifier(pid)) {
+        return 'THAI_ID';
+    }
+    return isPlaceholderIdentifier(passportNo) ? null : 'PASSPORT';
+};
+
+// Generate the next HN in the PT<YY><seq> series (e.g. PT25012)
+const generateHN = async (db) => {
+    const prefix = `PT${moment().format('YY')}`;
+    const [rows] = await db.execute(
+        `SELECT MAX(CAST(SUBSTRING(hn, ?) AS UNSIGNED)) as max_seq
+         FROM patients WHERE hn REGEXP ?`,
+        [prefix.length + 1, `^${prefix}[0-9]+$`]
+    );
+    const nextNumber = (rows[0].max_seq || 0) + 1;
+    return `${prefix}${nextNumber.toString().padStart(3, '0')}`;
+};
+
+const HN_ALLOCATION_ATTEMPTS = 5;
+
+// Build an error carrying an HTTP status for the shared patient helpers
+const patientError = (status, message) => {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+};
+
+/**
+ * Create a patient record (shared by POST /api/patients and the FHIR Patient API)
+ * Generates the HN when none is supplied and always generates the PT number.
+ * @param {Object} db - Database connection
+ * @param {Object} user - Authenticated user (req.user)
+ * @param {Object} data - Patient column values
+ * @param {Object} req - Express request, used for audit logging
+ * @returns {Promise<Object>} - { patient_id, pt_number, hn, possible_duplicates }
+ */
+const createPatientRecord = async (db, user, data, req = null) => {
+    // Role-based clinic assignment
+    // ADMIN: Can create patients for any clinic (clinic_id from request)
+    // CLINIC: Can only create patients for their own clinic
+    // PT: Can create patients for any clinic (clinic_id from request)
+
+    let clinicId;
+
+    if (user.role === 'CLINIC') {
+        // CLINIC users can only create patients for their own clinic
+        if (!user.clinic_id) {
+            throw patientError(403, 'CLINIC user must be assigned to a clinic');
+        }
+        clinicId = user.clinic_id; // Always use their clinic
+    } else {
+        // ADMIN and PT can specify clinic_id
+        clinicId = data.clinic_id;
+        if (!clinicId) {
+            throw patientError(400, 'Clinic ID is required for patient registration');
+        }
+    }
+
+    data = { ...data, ...validatePatientIdentifiers(data) };
+    data.id_type = getPatientIdType(data.pid, data.passport_no);
+
+    // Flag (but do not block) likely duplicates so staff can merge them later
+    const possibleDuplicates = await restrictDuplicatesToUser(db, user, await findDuplicatePatients(db, data));
+
+    const ptNumber = generatePTNumber();
+    const hn = data.hn || await generateHN(db);
+
+    const patientData = {
+        ...data,
+        hn,
+        pt_number: ptNumber,
+        clinic_id: clinicId,
+        created_by: user.id
+    };
+
+    // patients.hn is unique: a generated HN that another registration took meanwhile is generated again
+    let result;
+    for (let attempt = 1; ; attempt++) {
+        try {
+            [result] = await db.execute(
+                `INSERT INTO patients (
+                    hn, pt_number, pid, passport_no, id_type, nationality, title, first_name, last_name, 
+                    dob, gender, phone, email, address, emergency_contact, emergency_phone,
+                    diagnosis, rehab_goal, rehab_goal_other, body_area, frequency, 
+                    expected_duration, doctor_note, precaution, contraindication, 
+                    medical_history, clinic_id, created_by
+                ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+                [
+                    patientData.hn, ptNumber, patientData.pid, patientData.passport_no,
+                    patientData.id_type, patientData.nationality, patientData.title, patientData.first_name, patientData.last_name,
+                    patientData.dob, patientData.gender, patientData.phone, patientData.email,
+                    patientData.address, patientData.emergency_contact, patientData.emergency_phone,
+                    patientData.diagnosis, patientData.rehab_goal, patientData.rehab_goal_other,
+                    patientData.body_area, patientData.frequency, patientData.expected_duration,
+                    patientData.doctor_note, patientData.precaution, patientData.contraindication,
+                    patientData.medical_history, clinicId, user.id
+                ].map(value => value === undefined ? null : value)
+            );
+            break;
+        } catch (error) {
+            if (error.code !== 'ER_DUP_ENTRY' || !/uk_patient_hn/.test(error.message)) {
+                throw error;
             }
-            clinicId = req.user.clinic_id; // Always use their clinic
-        } else {
-            // ADMIN and PT can specify clinic_id
-            clinicId = req.body.clinic_id;
-            if (!clinicId) {
-                return res.status(400).json({
-                    error: 'Clinic ID is required for patient registration'
-                });
+            if (data.hn) {
+                throw patientError(409, `HN ${data.hn} is already registered`);
+            }
+            if (attempt >= HN_ALLOCATION_ATTEMPTS) {
+                throw patientError(503, 'Could not allocate an HN, please try again');
             }
+            patientData.hn = await generateHN(db);
         }
-        
-        const patientData = {
-            ...req.body,
-            pt_number: ptNumber,
-            clinic_id: clinicId,
-            created_by: req.user.id
-        };
-        
-        const [result] = await db.execute(
-            `INSERT INTO patients (
-                hn, pt_number, pid, passport_no, title, first_name, last_name, 
-                dob, gender, phone, email, address, emergency_contact, emergency_phone,
-                diagnosis, rehab_goal, rehab_goal_other, body_area, frequency, 
-                expected_duration, doctor_note, precaution, contraindication, 
-                medical_history, clinic_id, created_by
-            ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
-            [
-                patientData.hn, ptNumber, patientData.pid, patientData.passport_no,
-                patientData.title, patientData.first_name, patientData.last_name,
-                patientData.dob, patientData.gender, patientData.phone, patientData.email,
-                patientData.address, patientData.emergency_contact, patientData.emergency_phone,
-                patientData.diagnosis, patientData.rehab_goal, patientData.rehab_goal_other,
-                patientData.body_area, patientData.frequency, patientData.expected_duration,
-                patientData.doctor_note, patientData.precaution, patientData.contraindication,
-                patientData.medical_history, clinicId, req.user.id
-            ]
-        );
+    }
 
-        await auditLog(db, req.user.id, 'CREATE', 'patient', result.insertId, null, patientData, req);
+    await auditLog(db, user.id, 'CREATE', 'patient', result.insertId, null, patientData, req);
 
-        // Send LINE notification for new patient registration
-        try {
-            const patientName = `${patientData.first_name} ${patientData.last_name}`.trim();
+    // Send LINE notification for new patient registration
+    try {
+        const patientName = `${patientData.first_name} ${patientData.last_name}`.trim();
 
-            // Get clinic name
-            const [clinics] = await db.execute(
-                'SELECT name FROM clinics WHERE id = ?',
-                [clinicId]
-            );
-            const clinicName = clinics.length > 0 ? clinics[0].name : 'N/A';
+        // Get clinic name
+        const [clinics] = await db.execute(
+            'SELECT name FROM clinics WHERE id = ?',
+            [clinicId]
+        );
+        const clinicName = clinics.length > 0 ? clinics[0].name : 'N/A';
 
-            const notificationMessage = `👤 New Patient Registered
+        const notificationMessage = `👤 New Patient Registered
 
 📋 Patient ID: ${result.insertId}
 🔢 PT Number: ${ptNumber}
@@ -1447,87 +1647,152 @@ ${patientData.gender ? `⚧ Gender: ${patientData.gender}` : ''}
 🩺 Diagnosis: ${patientData.diagnosis}
 ${patientData.rehab_goal ? `🎯 Rehab Goal: ${patientData.rehab_goal}` : ''}`;
 
-            await sendLINENotification(db, 'newPatient', notificationMessage);
-        } catch (notifError) {
-            console.error('Failed to send LINE notification:', notifError);
-            // Don't fail the request if notification fails
-        }
+        await sendLINENotification(db, 'newPatient', notificationMessage);
+    } catch (notifError) {
+        console.error('Failed to send LINE notification:', notifError);
+        // Don't fail the request if notification fails
+    }
 
-        res.status(201).json({
-            success: true,
-            message: 'Patient created successfully',
-            patient_id: result.insertId,
-            pt_number: ptNumber
-        });
-    } catch (error) {
-        console.error('Create patient error:', error);
-        res.status(500).json({ error: 'Failed to create patient' });
+    return {
+        patient_id: result.insertId,
+        pt_number: ptNumber,
+        hn: patientData.hn,
+        possible_duplicates: possibleDuplicates.duplicates,
+        duplicate_elsewhere: possibleDuplicates.duplicate_elsewhere
+    };
+};
+
+/**
+ * Update a patient record (shared by PUT /api/patients/:id and the FHIR Patient API)
+ * @param {Object} db - Database connection
+ * @param {Object} user - Authenticated user (req.user)
+ * @param {number|string} id - Patient ID
+ * @param {Object} changes - Column values to update; unknown columns are ignored
+ * @param {Object} req - Express request, used for audit logging
+ * @returns {Promise<void>}
+ */
+const updatePatientRecord = async (db, user, id, changes, req = null) => {
+    // Get current patient data
+    const [patients] = await db.execute(
+        'SELECT * FROM patients WHERE id = ?',
+        [id]
+    );
+
+    if (patients.length === 0) {
+        throw patientError(404, 'Patient not found');
     }
-});
 
-// Update patient
-app.put('/api/patients/:id', authenticateToken, async (req, res) => {
-    try {
-        const db = req.app.locals.db;
-        const { id } = req.params;
+    const oldData = patients[0];
 
-        // Get current patient data
-        const [patients] = await db.execute(
-            'SELECT * FROM patients WHERE id = ?',
-            [id]
+    // Check clinic access
+    if (user.role !== 'ADMIN') {
+        const [grants] = await db.execute(
+            'SELECT clinic_id FROM user_clinic_grants WHERE user_id = ? AND clinic_id = ? UNION SELECT ? as clinic_id WHERE ? = ?',
+            [user.id, oldData.clinic_id, user.clinic_id, user.clinic_id, oldData.clinic_id]
         );
 
-        if (patients.length === 0) {
-            return res.status(404).json({ error: 'Patient not found' });
+        if (grants.length === 0) {
+            throw patientError(403, 'No access to update this patient');
         }
+    }
 
-        const oldData = patients[0];
-
-        // Check clinic access
-        if (req.user.role !== 'ADMIN') {
-            const [grants] = await db.execute(
-                'SELECT clinic_id FROM user_clinic_grants WHERE user_id = ? AND clinic_id = ? UNION SELECT ? as clinic_id WHERE ? = ?',
-                [req.user.id, oldData.clinic_id, req.user.clinic_id, req.user.clinic_id, oldData.clinic_id]
-            );
+    // Only revalidate identifiers that actually change, so saving a record
+    // with a legacy identifier on file does not block unrelated edits
+    const identifierChanges = { ...changes };
+    for (const field of ['pid', 'passport_no']) {
+        if (identifierChanges[field] !== undefined &&
+            String(identifierChanges[field] || '').trim() === String(oldData[field] || '').trim()) {
+            delete identifierChanges[field];
+        }
+    }
+    changes = { ...changes, ...validatePatientIdentifiers(identifierChanges) };
+    delete changes.id_type;
+
+    // Keep id_type in step with whichever identifier changed
+    if (identifierChanges.pid !== undefined || identifierChanges.passport_no !== undefined) {
+        changes.id_type = getPatientIdType(
+            changes.pid !== undefined ? changes.pid : oldData.pid,
+            changes.passport_no !== undefined ? changes.passport_no : oldData.passport_no
+        );
+    }
 
-            if (grants.length === 0) {
-                return res.status(403).json({ error: 'No access to update this patient' });
-            }
+    // Update patient
+    const updateFields = [];
+    const updateValues = [];
+    const allowedFields = [
+        'pid', 'passport_no', 'id_type', 'nationality', 'title', 'first_name', 'last_name', 'gender',
+        'phone', 'email', 'address', 'emergency_contact', 'emergency_phone',
+        'diagnosis', 'rehab_goal', 'rehab_goal_other', 'body_area', 'frequency',
+        'expected_duration', 'doctor_note', 'precaution', 'contraindication', 'medical_history'
+    ];
+
+    for (const field of allowedFields) {
+        if (changes[field] !== undefined) {
+            updateFields.push(`${field} = ?`);
+            updateValues.push(changes[field]);
         }
+    }
 
-        // Update patient
-        const updateFields = [];
-        const updateValues = [];
-        const allowedFields = [
-            'pid', 'passport_no', 'title', 'first_name', 'last_name', 'gender',
-            'phone', 'email', 'address', 'emergency_contact', 'emergency_phone',
-            'diagnosis', 'rehab_goal', 'rehab_goal_other', 'body_area', 'frequency',
-            'expected_duration', 'doctor_note', 'precaution', 'contraindication', 'medical_history'
-        ];
+    if (updateFields.length === 0) {
+        throw patientError(400, 'No fields to update');
+    }
 
-        for (const field of allowedFields) {
-            if (req.body[field] !== undefined) {
-                updateFields.push(`${field} = ?`);
-                updateValues.push(req.body[field]);
-            }
-        }
+    updateFields.push('updated_at = NOW()');
+    updateValues.push(id);
 
-        if (updateFields.length === 0) {
-            return res.status(400).json({ error: 'No fields to update' });
-        }
+    await db.execute(
+        `UPDATE patients SET ${updateFields.join(', ')} WHERE id = ?`,
+        updateValues
+    );
 
-        updateFields.push('updated_at = NOW()');
-        updateValues.push(id);
+    await auditLog(db, user.id, 'UPDATE', 'patient', id, oldData, changes, req);
+};
 
-        await db.execute(
-            `UPDATE patients SET ${updateFields.join(', ')} WHERE id = ?`,
-            updateValues
-        );
+// Create patient
+app.post('/api/patients', authenticateToken, [
+    body('first_name').notEmpty(),
+    body('last_name').notEmpty(),
+    body('dob').isDate(),
+    body('diagnosis').notEmpty()
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+        
+        const db = req.app.locals.db;
+        const result = await createPatientRecord(db, req.user, req.body, req);
+
+        res.status(201).json({
+            success: true,
+            message: 'Patient created successfully',
+            patient_id: result.patient_id,
+            pt_number: result.pt_number,
+            hn: result.hn,
+            possible_duplicates: result.possible_duplicates,
+            duplicate_elsewhere: result.duplicate_elsewhere
+        });
+    } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({ error: error.message });
+        }
+        console.error('Create patient error:', error);
+        res.status(500).json({ error: 'Failed to create patient' });
+    }
+});
 
-        await auditLog(db, req.user.id, 'UPDATE', 'patient', id, oldData, req.body, req);
+// Update patient
+app.put('/api/patients/:id', authenticateToken, async (req, res) => {
+    try {
+        const db = req.app.locals.db;
+        await updatePatientRecord(db, req.user, req.params.id, req.body, req);
 
         res.json({ success: true, message: 'Patient updated successfully' });
     } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({ error: error.message });
+        }
         console.error('Update patient error:', error);
         res.status(500).json({ error: 'Failed to update patient' });
     }
@@ -1577,27 +1842,407 @@ app.delete('/api/patients/:id', authenticateToken, authorize('ADMIN'), async (re
 });
 
 // ========================================
-// PATIENT CSV IMPORT/EXPORT
+// DUPLICATE PATIENT DETECTION AND MERGE
 // ========================================
 
-// Download CSV template
-app.get('/api/patients/csv/template', authenticateToken, (req, res) => {
-    try {
-        const csvHeaders = [
-            'hn', 'pid', 'passport_no', 'title', 'first_name', 'last_name',
-            'dob', 'gender', 'phone', 'email', 'address',
-            'emergency_contact', 'emergency_phone',
-            'diagnosis', 'rehab_goal', 'rehab_goal_other',
-            'body_area', 'frequency', 'expected_duration',
-            'doctor_note', 'precaution', 'contraindication',
-            'medical_history', 'clinic_id'
-        ];
+// Titles stripped before comparing names (English and Thai)
+const NAME_TITLE_PATTERN = /^(mr|mrs|ms|miss|dr|mstr|master)\.?\s+|^(นาย|นางสาว|นาง|น\.ส\.|ด\.ช\.|ด\.ญ\.|เด็กชาย|เด็กหญิง)\s*/i;
+
+// Normalize a Thai/English name for comparison: no titles, case, spacing, punctuation or Thai tone marks
+const normalizePersonName = (value) => {
+    return String(value || '')
+        .normalize('NFC')
+        .trim()
+        .replace(NAME_TITLE_PATTERN, '')
+        .toLowerCase()
+        .replace(/[่-์]/g, '')
+        .replace(/[^a-z฀-๿]/g, '');
+};
 
-        const sampleData = [
-            'HN001', '1234567890123', '', 'Mr.', 'John', 'Doe',
-            '1990-01-15', 'Male', '0812345678', 'john@email.com', '123 Main St',
-            'Jane Doe', '0898765432',
-            'Back pain', 'Improve mobility', '',
+// Normalize a phone number to local digits (+66 81... -> 081...)
+const normalizePhone = (value) => {
+    const digits = String(value || '').replace(/\D/g, '');
+    if (digits.startsWith('66') && digits.length === 11) {
+        return `0${digits.substring(2)}`;
+    }
+    return digits.length >= 9 ? digits : '';
+};
+
+const normalizeDOB = (value) => {
+    if (!value) {
+        return null;
+    }
+    const dob = moment(value);
+    return dob.isValid() && dob.year() > 1900 ? dob.format('YYYY-MM-DD') : null;
+};
+
+/**
+ * Score how likely an existing patient is the same person as the candidate data
+ * @param {Object} candidate - Incoming patient data
+ * @param {Object} existing - Row from the patients table
+ * @returns {Object} - { score, reasons }
+ */
+const scorePatientMatch = (candidate, existing) => {
+    const reasons = [];
+    let score = 0;
+
+    if (!isPlaceholderIdentifier(candidate.pid) && candidate.pid === existing.pid) {
+        score = Math.max(score, 100);
+        reasons.push('Same national ID');
+    }
+    if (!isPlaceholderIdentifier(candidate.passport_no) &&
+        String(candidate.passport_no).toUpperCase() === String(existing.passport_no || '').toUpperCase()) {
+        score = Math.max(score, 100);
+        reasons.push('Same passport number');
+    }
+
+    const firstName = normalizePersonName(candidate.first_name);
+    const lastName = normalizePersonName(candidate.last_name);
+    const existingFirst = normalizePersonName(existing.first_name);
+    const existingLast = normalizePersonName(existing.last_name);
+    const sameName = firstName && lastName && (
+        (firstName === existingFirst && lastName === existingLast) ||
+        (firstName === existingLast && lastName === existingFirst)
+    );
+
+    const dob = normalizeDOB(candidate.dob);
+    const sameDOB = dob && dob === normalizeDOB(existing.dob);
+    const phone = normalizePhone(candidate.phone);
+    const samePhone = phone && phone === normalizePhone(existing.phone);
+
+    if (sameName) {
+        reasons.push('Same name');
+        score = Math.max(score, 40);
+    }
+    if (sameDOB) {
+        reasons.push('Same date of birth');
+    }
+    if (samePhone) {
+        reasons.push('Same phone number');
+    }
+
+    if (sameName && sameDOB) {
+        score = Math.max(score, samePhone ? 95 : 85);
+    } else if (sameName && samePhone) {
+        score = Math.max(score, 75);
+    } else if (sameDOB && samePhone) {
+        score = Math.max(score, 60);
+    }
+
+    return { score, reasons };
+};
+
+const DUPLICATE_SCORE_THRESHOLD = 60;
+
+/**
+ * Find existing patients that are likely the same person
+ * @param {Object} db - Database connection
+ * @param {Object} data - Patient data (pid, passport_no, first_name, last_name, dob, phone)
+ * @param {Object} options - { excludeId, threshold }
+ * @returns {Promise<Object[]>} - Matches ordered by score, highest first
+ */
+const findDuplicatePatients = async (db, data, options = {}) => {
+    const threshold = options.threshold || DUPLICATE_SCORE_THRESHOLD;
+    const conditions = [];
+    const params = [];
+
+    if (!isPlaceholderIdentifier(data.pid)) {
+        conditions.push('p.pid = ?');
+        params.push(String(data.pid).trim());
+    }
+    if (!isPlaceholderIdentifier(data.passport_no)) {
+        conditions.push('p.passport_no = ?');
+        params.push(String(data.passport_no).trim());
+    }
+    if (data.first_name && data.last_name) {
+        conditions.push('(TRIM(p.first_name) = ? AND TRIM(p.last_name) = ?)');
+        conditions.push('(TRIM(p.first_name) = ? AND TRIM(p.last_name) = ?)');
+        params.push(data.first_name.trim(), data.last_name.trim(), data.last_name.trim(), data.first_name.trim());
+    }
+    if (normalizeDOB(data.dob)) {
+        conditions.push('p.dob = ?');
+        params.push(normalizeDOB(data.dob));
+    }
+    const phone = normalizePhone(data.phone);
+    if (phone) {
+        // Compare the last 9 digits so 081..., 81... and +6681... all line up
+        conditions.push(`RIGHT(REPLACE(REPLACE(REPLACE(p.phone, '-', ''), ' ', ''), '+', ''), 9) = ?`);
+        params.push(phone.slice(-9));
+    }
+
+    if (conditions.length === 0) {
+        return [];
+    }
+
+    let query = `
+        SELECT p.id, p.hn, p.pt_number, p.pid, p.passport_no, p.title, p.first_name, p.last_name,
+               p.dob, p.phone, p.clinic_id, c.name as clinic_name, p.created_at
+        FROM patients p
+        JOIN clinics c ON p.clinic_id = c.id
+        WHERE (${conditions.join(' OR ')})
+    `;
+    if (options.excludeId) {
+        query += ' AND p.id != ?';
+        params.push(options.excludeId);
+    }
+    query += ' LIMIT 200';
+
+    const [candidates] = await db.execute(query, params);
+
+    return candidates
+        .map(existing => ({ ...existing, ...scorePatientMatch(data, existing) }))
+        .filter(match => match.score >= threshold)
+        .sort((a, b) => b.score - a.score);
+};
+
+/**
+ * Keep only the duplicate matches in clinics the user can access (same rule as getAccessiblePatient).
+ * Matches elsewhere are reduced to a flag so identifiers of other clinics' patients are not disclosed.
+ * @param {Object} db - Database connection
+ * @param {Object} user - Authenticated user (req.user)
+ * @param {Object[]} matches - From findDuplicatePatients
+ * @returns {Promise<Object>} - { duplicates, duplicate_elsewhere }
+ */
+const restrictDuplicatesToUser = async (db, user, matches) => {
+    if (user.role === 'ADMIN') {
+        return { duplicates: matches, duplicate_elsewhere: false };
+    }
+
+    const accessibleClinics = await getAccessibleClinicIds(db, user);
+    if (user.role !== 'CLINIC' && accessibleClinics.length === 0) {
+        return { duplicates: matches, duplicate_elsewhere: false };
+    }
+
+    const duplicates = matches.filter(match => accessibleClinics.includes(match.clinic_id));
+    return { duplicates, duplicate_elsewhere: duplicates.length < matches.length };
+};
+
+// Check incoming registration data for duplicates (used by the register form before saving)
+app.post('/api/patients/check-duplicates', authenticateToken, async (req, res) => {
+    try {
+        const db = req.app.locals.db;
+        const matches = await findDuplicatePatients(db, req.body);
+
+        res.json(await restrictDuplicatesToUser(db, req.user, matches));
+    } catch (error) {
+        console.error('Check duplicate patients error:', error);
+        res.status(500).json({ error: 'Failed to check for duplicate patients' });
+    }
+});
+
+// Likely duplicates of an existing patient
+app.get('/api/patients/:id/duplicates', authenticateToken, async (req, res) => {
+    try {
+        const db = req.app.locals.db;
+        const { id } = req.params;
+
+        const access = await getAccessiblePatient(db, req.user, id);
+        if (access.error) {
+            return res.status(access.status).json({ error: access.error });
+        }
+
+        const [patients] = await db.execute('SELECT * FROM patients WHERE id = ?', [id]);
+        const matches = await findDuplicatePatients(db, patients[0], { excludeId: patients[0].id });
+
+        res.json({ patient_id: patients[0].id, ...await restrictDuplicatesToUser(db, req.user, matches) });
+    } catch (error) {
+        console.error('Find duplicate patients error:', error);
+        res.status(500).json({ error: 'Failed to find duplicate patients' });
+    }
+});
+
+// Columns copied from the duplicate when the surviving record has no value
+const MERGE_FILLABLE_PATIENT_FIELDS = [
+    'pid', 'passport_no', 'nationality', 'title', 'gender', 'phone', 'email', 'address',
+    'emergency_contact', 'emergency_phone', 'rehab_goal', 'rehab_goal_other', 'body_area',
+    'frequency', 'expected_duration', 'doctor_note', 'precaution', 'contraindication', 'medical_history'
+];
+
+// Tables whose rows follow the patient on merge. loyalty_members is folded in separately.
+const MERGE_MOVED_PATIENT_TABLES = ['pn_cases', 'appointments', 'bills', 'courses', 'patient_consents', 'appointment_series'];
+
+// Merge a duplicate patient into the surviving record (ADMIN only)
+app.post('/api/admin/patients/merge', authenticateToken, authorize('ADMIN'), async (req, res) => {
+    const { survivor_id, duplicate_id, reason } = req.body;
+
+    if (!survivor_id || !duplicate_id) {
+        return res.status(400).json({ error: 'survivor_id and duplicate_id are required' });
+    }
+    if (String(survivor_id) === String(duplicate_id)) {
+        return res.status(400).json({ error: 'Cannot merge a patient into itself' });
+    }
+    if (!reason) {
+        return res.status(400).json({ error: 'Merge reason is required' });
+    }
+
+    const connection = await req.app.locals.db.getConnection();
+    try {
+        await connection.beginTransaction();
+
+        const [patients] = await connection.execute(
+            'SELECT * FROM patients WHERE id IN (?, ?) FOR UPDATE',
+            [survivor_id, duplicate_id]
+        );
+        const survivor = patients.find(p => String(p.id) === String(survivor_id));
+        const duplicate = patients.find(p => String(p.id) === String(duplicate_id));
+
+        if (!survivor || !duplicate) {
+            await connection.rollback();
+            return res.status(404).json({ error: 'Patient not found' });
+        }
+
+        // Deleting the duplicate cascades to any table that references it, so refuse to merge
+        // while a table exists that this route does not know how to move
+        const [references] = await connection.execute(
+            `SELECT DISTINCT TABLE_NAME AS table_name
+             FROM information_schema.KEY_COLUMN_USAGE
+             WHERE REFERENCED_TABLE_SCHEMA = DATABASE() AND REFERENCED_TABLE_NAME = 'patients'`
+        );
+        const unhandledTables = references
+            .map(row => row.table_name)
+            .filter(table => !MERGE_MOVED_PATIENT_TABLES.includes(table) && table !== 'loyalty_members');
+        if (unhandledTables.length > 0) {
+            await connection.rollback();
+            return res.status(500).json({
+                error: `Merge cannot move patient records in: ${unhandledTables.join(', ')}. Nothing was changed.`
+            });
+        }
+
+        // Record which rows moved so the merge can be traced (and undone by hand if needed)
+        const moved = {};
+        const collectIds = async (table) => {
+            const [rows] = await connection.execute(`SELECT id FROM ${table} WHERE patient_id = ?`, [duplicate.id]);
+            moved[table] = rows.map(row => row.id);
+        };
+
+        for (const table of MERGE_MOVED_PATIENT_TABLES) {
+            await collectIds(table);
+            await connection.execute(
+                `UPDATE ${table} SET patient_id = ? WHERE patient_id = ?`,
+                [survivor.id, duplicate.id]
+            );
+        }
+
+        // loyalty_members is one row per patient: move it, or fold the duplicate's membership in
+        const [memberships] = await connection.execute(
+            'SELECT * FROM loyalty_members WHERE patient_id IN (?, ?)',
+            [survivor.id, duplicate.id]
+        );
+        const survivorMember = memberships.find(m => m.patient_id === survivor.id);
+        const duplicateMember = memberships.find(m => m.patient_id === duplicate.id);
+        moved.loyalty_members = duplicateMember ? [duplicateMember.id] : [];
+
+        if (duplicateMember && !survivorMember) {
+            await connection.execute(
+                'UPDATE loyalty_members SET patient_id = ? WHERE id = ?',
+                [survivor.id, duplicateMember.id]
+            );
+        } else if (duplicateMember && survivorMember) {
+            await connection.execute(
+                `UPDATE loyalty_members
+                 SET total_points = total_points + ?,
+                     available_points = available_points + ?,
+                     lifetime_spending = lifetime_spending + ?,
+                     current_year_spending = current_year_spending + ?,
+                     member_since = LEAST(member_since, ?),
+                     last_activity = GREATEST(COALESCE(last_activity, ?), COALESCE(?, last_activity))
+                 WHERE id = ?`,
+                [
+                    duplicateMember.total_points || 0, duplicateMember.available_points || 0,
+                    duplicateMember.lifetime_spending || 0, duplicateMember.current_year_spending || 0,
+                    duplicateMember.member_since, duplicateMember.last_activity, duplicateMember.last_activity,
+                    survivorMember.id
+                ]
+            );
+            await connection.execute(
+                'UPDATE loyalty_transactions SET member_id = ? WHERE member_id = ?',
+                [survivorMember.id, duplicateMember.id]
+            );
+            await connection.execute(
+                'UPDATE gift_cards SET member_id = ? WHERE member_id = ?',
+                [survivorMember.id, duplicateMember.id]
+            );
+            await connection.execute('DELETE FROM loyalty_members WHERE id = ?', [duplicateMember.id]);
+        }
+
+        // Fill gaps on the surviving record from the duplicate
+        const filledFields = {};
+        MERGE_FILLABLE_PATIENT_FIELDS.forEach(field => {
+            const survivorValue = survivor[field];
+            const duplicateValue = duplicate[field];
+            const survivorEmpty = survivorValue === null || survivorValue === '' ||
+                (['pid', 'passport_no'].includes(field) && isPlaceholderIdentifier(survivorValue));
+            const duplicateUsable = duplicateValue !== null && duplicateValue !== '' &&
+                !(['pid', 'passport_no'].includes(field) && isPlaceholderIdentifier(duplicateValue));
+            if (survivorEmpty && duplicateUsable) {
+                filledFields[field] = duplicateValue;
+            }
+        });
+
+        if (filledFields.pid || filledFields.passport_no) {
+            filledFields.id_type = getPatientIdType(
+                filledFields.pid || survivor.pid,
+                filledFields.passport_no || survivor.passport_no
+            );
+        }
+
+        if (Object.keys(filledFields).length > 0) {
+            await connection.execute(
+                `UPDATE patients SET ${Object.keys(filledFields).map(field => `${field} = ?`).join(', ')}, updated_at = NOW()
+                 WHERE id = ?`,
+                [...Object.values(filledFields), survivor.id]
+            );
+        }
+
+        await connection.execute('SET @current_user_id = ?', [req.user.id]);
+        await connection.execute('DELETE FROM patients WHERE id = ?', [duplicate.id]);
+
+        await auditLog(connection, req.user.id, 'MERGE', 'patient', survivor.id,
+            { survivor, duplicate },
+            { merged_patient_id: duplicate.id, reason, moved, filled_fields: filledFields },
+            req);
+
+        await connection.commit();
+
+        res.json({
+            success: true,
+            message: `Patient ${duplicate.hn} merged into ${survivor.hn}`,
+            survivor_id: survivor.id,
+            merged_patient_id: duplicate.id,
+            moved,
+            filled_fields: Object.keys(filledFields)
+        });
+    } catch (error) {
+        await connection.rollback();
+        console.error('Merge patients error:', error);
+        res.status(500).json({ error: 'Failed to merge patients' });
+    } finally {
+        connection.release();
+    }
+});
+
+// ========================================
+// PATIENT CSV IMPORT/EXPORT
+// ========================================
+
+// Download CSV template
+app.get('/api/patients/csv/template', authenticateToken, (req, res) => {
+    try {
+        const csvHeaders = [
+            'hn', 'pid', 'passport_no', 'nationality', 'title', 'first_name', 'last_name',
+            'dob', 'gender', 'phone', 'email', 'address',
+            'emergency_contact', 'emergency_phone',
+            'diagnosis', 'rehab_goal', 'rehab_goal_other',
+            'body_area', 'frequency', 'expected_duration',
+            'doctor_note', 'precaution', 'contraindication',
+            'medical_history', 'clinic_id'
+        ];
+
+        const sampleData = [
+            'HN001', '1234567890121', '', 'TH', 'Mr.', 'John', 'Doe',
+            '1990-01-15', 'Male', '0812345678', 'john@email.com', '123 Main St',
+            'Jane Doe', '0898765432',
+            'Back pain', 'Improve mobility', '',
             'Lower back', '3 times/week', '6 weeks',
             'Avoid heavy lifting', 'None', 'Heart condition',
             'Previous surgery in 2020', '1'
@@ -1644,6 +2289,7 @@ app.post('/api/patients/csv/import', authenticateToken, uploadCSV.single('file')
 
         let successCount = 0;
         let failedCount = 0;
+        const duplicates = [];
 
         // Process each row
         for (const row of results) {
@@ -1663,20 +2309,36 @@ app.post('/api/patients/csv/import', authenticateToken, uploadCSV.single('file')
                     continue;
                 }
 
+                // Reject bad or placeholder identifiers for this row only
+                let identifiers;
+                try {
+                    identifiers = validatePatientIdentifiers(row);
+                } catch (validationError) {
+                    errors.push({ row: row.rowNumber, error: validationError.message });
+                    failedCount++;
+                    continue;
+                }
+                Object.assign(row, identifiers);
+
+                // Flag likely duplicates; the row is still imported
+                const possibleDuplicates = await restrictDuplicatesToUser(db, req.user, await findDuplicatePatients(db, row));
+
                 // Insert patient
-                await db.execute(
+                const [insertResult] = await db.execute(
                     `INSERT INTO patients (
-                        hn, pt_number, pid, passport_no, title, first_name, last_name,
+                        hn, pt_number, pid, passport_no, id_type, nationality, title, first_name, last_name,
                         dob, gender, phone, email, address, emergency_contact, emergency_phone,
                         diagnosis, rehab_goal, rehab_goal_other, body_area, frequency,
                         expected_duration, doctor_note, precaution, contraindication,
                         medical_history, clinic_id, created_by
-                    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+                    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
                     [
                         row.hn || null,
                         ptNumber,
                         row.pid || null,
                         row.passport_no || null,
+                        getPatientIdType(row.pid, row.passport_no),
+                        row.nationality || null,
                         row.title || null,
                         row.first_name,
                         row.last_name,
@@ -1702,6 +2364,15 @@ app.post('/api/patients/csv/import', authenticateToken, uploadCSV.single('file')
                     ]
                 );
 
+                if (possibleDuplicates.duplicates.length > 0 || possibleDuplicates.duplicate_elsewhere) {
+                    duplicates.push({
+                        row: row.rowNumber,
+                        patient_id: insertResult.insertId,
+                        possible_duplicates: possibleDuplicates.duplicates,
+                        duplicate_elsewhere: possibleDuplicates.duplicate_elsewhere
+                    });
+                }
+
                 successCount++;
             } catch (error) {
                 console.error(`Error importing row ${row.rowNumber}:`, error);
@@ -1723,7 +2394,8 @@ app.post('/api/patients/csv/import', authenticateToken, uploadCSV.single('file')
             total: results.length,
             success: successCount,
             failed: failedCount,
-            errors: errors
+            errors: errors,
+            duplicates: duplicates
         });
 
     } catch (error) {
@@ -1739,1504 +2411,2886 @@ app.post('/api/patients/csv/import', authenticateToken, uploadCSV.single('file')
 });
 
 // ========================================
-// DASHBOARD SUMMARY STATISTICS
+// HL7 FHIR R4 PATIENT API
 // ========================================
 
-// Get dashboard summary statistics
-app.get('/api/dashboard/summary', authenticateToken, async (req, res) => {
-    try {
-        const db = req.app.locals.db;
-        const now = new Date();
-        const currentMonth = now.getMonth() + 1; // 1-12
-        const currentYear = now.getFullYear();
-        const lastMonth = currentMonth === 1 ? 12 : currentMonth - 1;
-        const lastMonthYear = currentMonth === 1 ? currentYear - 1 : currentYear;
+const FHIR_BASE_URL = `${process.env.APP_BASE_URL || ''}/fhir`;
 
-        // Get CL001 clinic ID
-        const [clinicResult] = await db.execute(
-            `SELECT id FROM clinics WHERE code = 'CL001' LIMIT 1`
-        );
+// Identifier systems for the identifiers held on the patients table
+const FHIR_IDENTIFIER_SYSTEMS = {
+    hn: `${FHIR_BASE_URL}/sid/hn`,
+    pt_number: `${FHIR_BASE_URL}/sid/pt-number`,
+    pid: `${FHIR_BASE_URL}/sid/thai-national-id`,
+    passport_no: `${FHIR_BASE_URL}/sid/passport`
+};
 
-        const cl001Id = clinicResult.length > 0 ? clinicResult[0].id : null;
+// HL7 v2 table 0203 identifier type codes
+const FHIR_IDENTIFIER_TYPES = {
+    hn: { code: 'MR', display: 'Medical record number' },
+    pt_number: { code: 'PI', display: 'Patient internal identifier' },
+    pid: { code: 'NI', display: 'National unique individual identifier' },
+    passport_no: { code: 'PPN', display: 'Passport number' }
+};
 
-        // Get bills paid summary (current month only)
-        const [billsSummary] = await db.execute(
-            `SELECT
-                COUNT(*) as paid_count,
-                COALESCE(SUM(total_amount), 0) as paid_amount
-             FROM bills
-             WHERE payment_status = 'PAID'
-             AND MONTH(created_at) = ?
-             AND YEAR(created_at) = ?`,
-            [currentMonth, currentYear]
-        );
+const FHIR_GENDER_MAP = { M: 'male', F: 'female', O: 'other' };
 
-        // Get bills today (all statuses)
-        const [billsToday] = await db.execute(
-            `SELECT
-                COUNT(*) as count,
-                COALESCE(SUM(total_amount), 0) as amount
-             FROM bills
-             WHERE DATE(created_at) = CURDATE()`
-        );
+// Extension carrying patients.diagnosis, which has no core Patient element
+const FHIR_DIAGNOSIS_EXTENSION = `${FHIR_BASE_URL}/StructureDefinition/patient-diagnosis`;
 
-        // Get new patients this month in CL001
-        const [patientsThisMonth] = await db.execute(
-            `SELECT COUNT(*) as count
-             FROM patients
-             WHERE MONTH(created_at) = ?
-             AND YEAR(created_at) = ?
-             ${cl001Id ? 'AND clinic_id = ?' : ''}`,
-            cl001Id ? [currentMonth, currentYear, cl001Id] : [currentMonth, currentYear]
-        );
+// Standard nationality extension; the code is an ISO 3166-1 alpha-2 country
+const FHIR_NATIONALITY_EXTENSION = 'http://hl7.org/fhir/StructureDefinition/patient-nationality';
+const FHIR_COUNTRY_SYSTEM = 'urn:iso:std:iso:3166';
 
-        // Get new patients last month in CL001 (for comparison)
-        const [patientsLastMonth] = await db.execute(
-            `SELECT COUNT(*) as count
-             FROM patients
-             WHERE MONTH(created_at) = ?
-             AND YEAR(created_at) = ?
-             ${cl001Id ? 'AND clinic_id = ?' : ''}`,
-            cl001Id ? [lastMonth, lastMonthYear, cl001Id] : [lastMonth, lastMonthYear]
-        );
+// HTTP status -> OperationOutcome issue type
+const FHIR_ISSUE_CODES = { 400: 'invalid', 403: 'forbidden', 404: 'not-found', 409: 'conflict' };
 
-        // Get total patients in CL001
-        const [totalPatients] = await db.execute(
-            `SELECT COUNT(*) as count
-             FROM patients
-             ${cl001Id ? 'WHERE clinic_id = ?' : ''}`,
-            cl001Id ? [cl001Id] : []
-        );
+const formatFHIRDate = (value) => {
+    return value ? moment(value).format('YYYY-MM-DD') : undefined;
+};
 
-        const thisMonthCount = patientsThisMonth[0].count || 0;
-        const lastMonthCount = patientsLastMonth[0].count || 0;
-        const changeFromLastMonth = thisMonthCount - lastMonthCount;
+const formatFHIRInstant = (value) => {
+    return value ? moment(value).toISOString() : undefined;
+};
 
-        res.json({
-            bills_paid: {
-                count: billsSummary[0].paid_count || 0,
-                amount: parseFloat(billsSummary[0].paid_amount) || 0
-            },
-            bills_today: {
-                count: billsToday[0].count || 0,
-                amount: parseFloat(billsToday[0].amount) || 0
+/**
+ * Build an OperationOutcome resource
+ * @param {string} severity - fatal | error | warning | information
+ * @param {string} code - FHIR issue-type code (e.g. 'not-found', 'invalid')
+ * @param {string|string[]} diagnostics - One message per issue
+ * @returns {Object} OperationOutcome resource
+ */
+const buildOperationOutcome = (severity, code, diagnostics) => {
+    const messages = Array.isArray(diagnostics) ? diagnostics : [diagnostics];
+    return {
+        resourceType: 'OperationOutcome',
+        issue: messages.map(message => ({ severity, code, diagnostics: message }))
+    };
+};
+
+// Send a FHIR resource with the FHIR JSON media type
+const sendFHIR = (res, status, resource) => {
+    res.status(status).type('application/fhir+json').json(resource);
+};
+
+/**
+ * Map a patients row (optionally joined with clinic_name) to a FHIR R4 Patient
+ * @param {Object} patient - Row from the patients table
+ * @returns {Object} Patient resource
+ */
+const buildFHIRPatient = (patient) => {
+    const resource = {
+        resourceType: 'Patient',
+        id: String(patient.id),
+        meta: {
+            lastUpdated: formatFHIRInstant(patient.updated_at || patient.created_at)
+        },
+        identifier: [],
+        active: true,
+        name: [{
+            use: 'official',
+            text: `${patient.first_name} ${patient.last_name}`.trim(),
+            family: patient.last_name,
+            given: [patient.first_name]
+        }],
+        gender: FHIR_GENDER_MAP[patient.gender] || 'unknown',
+        birthDate: formatFHIRDate(patient.dob)
+    };
+
+    if (patient.title) {
+        resource.name[0].prefix = [patient.title];
+    }
+
+    Object.keys(FHIR_IDENTIFIER_SYSTEMS).forEach(field => {
+        // Legacy placeholder IDs ('Unknow2', 'Foreginer01') are not real identifiers
+        if (!patient[field] || (['pid', 'passport_no'].includes(field) && isPlaceholderIdentifier(patient[field]))) {
+            return;
+        }
+        resource.identifier.push({
+            use: field === 'hn' ? 'usual' : 'official',
+            type: {
+                coding: [{
+                    system: 'http://terminology.hl7.org/CodeSystem/v2-0203',
+                    code: FHIR_IDENTIFIER_TYPES[field].code,
+                    display: FHIR_IDENTIFIER_TYPES[field].display
+                }]
             },
-            patients_this_month: {
-                count: thisMonthCount,
-                change: changeFromLastMonth,
-                month: now.toLocaleString('default', { month: 'long' }),
-                year: currentYear,
-                clinic: 'CL001'
-            },
-            total_patients: {
-                count: totalPatients[0].count || 0,
-                clinic: 'CL001'
-            }
+            system: FHIR_IDENTIFIER_SYSTEMS[field],
+            value: patient[field]
         });
-    } catch (error) {
-        console.error('Dashboard summary error:', error);
-        res.status(500).json({ error: 'Failed to fetch dashboard summary' });
+    });
+
+    const telecom = [];
+    if (patient.phone) {
+        telecom.push({ system: 'phone', value: patient.phone, use: 'mobile' });
+    }
+    if (patient.email) {
+        telecom.push({ system: 'email', value: patient.email });
+    }
+    if (telecom.length > 0) {
+        resource.telecom = telecom;
     }
-});
 
-// ========================================
-// PN CASE MANAGEMENT ROUTES
-// ========================================
+    if (patient.address) {
+        resource.address = [{ use: 'home', text: patient.address }];
+    }
 
-// Get PN cases
-app.get('/api/pn', authenticateToken, async (req, res) => {
-    try {
-        const db = req.app.locals.db;
-        const {
-            status, clinic_id, from_date, to_date,
-            search, page = 1, limit = 20
-        } = req.query;
+    if (patient.emergency_contact || patient.emergency_phone) {
+        const contact = {
+            relationship: [{
+                coding: [{
+                    system: 'http://terminology.hl7.org/CodeSystem/v2-0131',
+                    code: 'C',
+                    display: 'Emergency Contact'
+                }]
+            }]
+        };
+        if (patient.emergency_contact) {
+            contact.name = { text: patient.emergency_contact };
+        }
+        if (patient.emergency_phone) {
+            contact.telecom = [{ system: 'phone', value: patient.emergency_phone }];
+        }
+        resource.contact = [contact];
+    }
 
-        const offset = (page - 1) * limit;
+    const extensions = [];
+    if (patient.diagnosis) {
+        extensions.push({ url: FHIR_DIAGNOSIS_EXTENSION, valueString: patient.diagnosis });
+    }
+    if (patient.nationality) {
+        extensions.push({
+            url: FHIR_NATIONALITY_EXTENSION,
+            extension: [{
+                url: 'code',
+                valueCodeableConcept: { coding: [{ system: FHIR_COUNTRY_SYSTEM, code: patient.nationality }] }
+            }]
+        });
+    }
+    if (extensions.length > 0) {
+        resource.extension = extensions;
+    }
 
-        // Query for PN cases with appointments
-        let pnCasesQuery = `
-            SELECT
-                pn.id, pn.patient_id, pn.pn_code, pn.diagnosis, pn.purpose,
-                pn.status, pn.created_at, pn.updated_at, pn.completed_at,
-                p.hn, p.first_name, p.last_name,
-                sc.name as source_clinic_name,
-                CONCAT(u.first_name, ' ', u.last_name) as created_by_name,
-                (SELECT MAX(r.created_at)
-                 FROM pn_reports r
-                 JOIN pn_visits v ON r.visit_id = v.id
-                 WHERE v.pn_id = pn.id) as last_report_at,
-                b.id as bill_id,
-                apt.appointment_date,
-                apt.start_time as appointment_start_time,
-                apt.end_time as appointment_end_time,
-                apt.booking_type,
-                apt.walk_in_name,
-                'PN_CASE' as record_type
-            FROM pn_cases pn
-            JOIN patients p ON pn.patient_id = p.id
-            JOIN clinics sc ON pn.source_clinic_id = sc.id
-            JOIN clinics tc ON pn.target_clinic_id = tc.id
-            JOIN users u ON pn.created_by = u.id
-            LEFT JOIN bills b ON pn.id = b.pn_case_id
-            LEFT JOIN appointments apt ON pn.id = apt.pn_case_id
-            WHERE 1=1
-        `;
+    if (patient.clinic_id) {
+        resource.managingOrganization = {
+            reference: `Organization/${patient.clinic_id}`,
+            display: patient.clinic_name || undefined
+        };
+    }
 
-        // Query for ALL walk-in appointments (with or without PN case)
-        let walkInQuery = `
-            SELECT
-                apt.id, apt.patient_id,
-                COALESCE(p.hn, '') as hn,
-                COALESCE(p.first_name, apt.walk_in_name) as first_name,
-                COALESCE(p.last_name, '') as last_name,
-                c.name as source_clinic_name,
-                CONCAT(u.first_name, ' ', u.last_name) as created_by_name,
-                apt.created_at,
-                apt.appointment_date,
-                apt.start_time as appointment_start_time,
-                apt.end_time as appointment_end_time,
-                apt.booking_type,
-                apt.walk_in_name,
-                'WALK_IN' as record_type
-            FROM appointments apt
-            LEFT JOIN patients p ON apt.patient_id = p.id
-            JOIN clinics c ON apt.clinic_id = c.id
-            JOIN users u ON apt.created_by = u.id
-            WHERE apt.booking_type = 'WALK_IN'
-            AND apt.status != 'CANCELLED'
-        `;
+    return resource;
+};
 
-        let countQuery = `
-            SELECT COUNT(*) as total
-            FROM pn_cases pn
-            JOIN patients p ON pn.patient_id = p.id
-            WHERE 1=1
-        `;
+/**
+ * Map a FHIR R4 Patient resource onto patients columns
+ * Only elements present in the resource are returned, so the result can be
+ * used for both create and partial update. The PT number is server-assigned
+ * and is never taken from the payload.
+ * @param {Object} resource - Patient resource from the request body
+ * @returns {Object} - { data, issues } where issues lists validation failures
+ */
+const parseFHIRPatient = (resource) => {
+    const data = {};
+    const issues = [];
 
-        const pnParams = [];
-        const walkInParams = [];
-        const countParams = [];
+    if (!resource || resource.resourceType !== 'Patient') {
+        return { data, issues: ['resourceType must be "Patient"'] };
+    }
 
-        // Role-based filtering
-        if (req.user.role === 'CLINIC') {
-            if (!req.user.clinic_id) {
-                return res.status(403).json({
-                    error: 'CLINIC user must be assigned to a clinic'
-                });
-            }
-            pnCasesQuery += ' AND (pn.source_clinic_id = ? OR pn.target_clinic_id = ?)';
-            walkInQuery += ' AND c.id = ?';
-            countQuery += ' AND (pn.source_clinic_id = ? OR pn.target_clinic_id = ?)';
-            pnParams.push(req.user.clinic_id, req.user.clinic_id);
-            walkInParams.push(req.user.clinic_id);
-            countParams.push(req.user.clinic_id, req.user.clinic_id);
+    const names = Array.isArray(resource.name) ? resource.name : [];
+    const name = names.find(n => n.use === 'official') || names[0];
+    if (!name || !name.family || !Array.isArray(name.given) || name.given.length === 0) {
+        issues.push('Patient.name must include family and at least one given name');
+    } else {
+        data.first_name = name.given.join(' ');
+        data.last_name = name.family;
+        if (Array.isArray(name.prefix) && name.prefix.length > 0) {
+            data.title = name.prefix[0];
         }
+    }
 
-        // Filter by specific clinic
-        if (clinic_id) {
-            pnCasesQuery += ' AND (pn.source_clinic_id = ? OR pn.target_clinic_id = ?)';
-            walkInQuery += ' AND c.id = ?';
-            countQuery += ' AND (pn.source_clinic_id = ? OR pn.target_clinic_id = ?)';
-            pnParams.push(clinic_id, clinic_id);
-            walkInParams.push(clinic_id);
-            countParams.push(clinic_id, clinic_id);
-        }
+    if (!resource.birthDate || !moment(resource.birthDate, 'YYYY-MM-DD', true).isValid()) {
+        issues.push('Patient.birthDate is required in YYYY-MM-DD format');
+    } else {
+        data.dob = resource.birthDate;
+    }
 
-        // Filter by status (only for PN cases)
-        if (status) {
-            pnCasesQuery += ' AND pn.status = ?';
-            countQuery += ' AND pn.status = ?';
-            pnParams.push(status);
-            countParams.push(status);
+    if (resource.gender !== undefined) {
+        const genderCode = Object.keys(FHIR_GENDER_MAP).find(code => FHIR_GENDER_MAP[code] === resource.gender);
+        if (genderCode) {
+            data.gender = genderCode;
+        } else if (resource.gender === 'unknown') {
+            data.gender = null;
         } else {
-            pnCasesQuery += ' AND pn.status != ?';
-            countQuery += ' AND pn.status != ?';
-            pnParams.push('CANCELLED');
-            countParams.push('CANCELLED');
+            issues.push(`Patient.gender "${resource.gender}" is not a valid administrative-gender code`);
         }
+    }
 
-        // Date range filter
-        if (from_date) {
-            pnCasesQuery += ' AND COALESCE(apt.appointment_date, DATE(pn.created_at)) >= ?';
-            walkInQuery += ' AND apt.appointment_date >= ?';
-            countQuery += ' AND DATE(pn.created_at) >= ?';
-            pnParams.push(from_date);
-            walkInParams.push(from_date);
-            countParams.push(from_date);
-        }
+    (Array.isArray(resource.identifier) ? resource.identifier : []).forEach((identifier, index) => {
+        const typeCode = identifier.type && Array.isArray(identifier.type.coding)
+            ? identifier.type.coding.map(coding => coding.code)
+            : [];
+        const field = Object.keys(FHIR_IDENTIFIER_SYSTEMS).find(key => FHIR_IDENTIFIER_SYSTEMS[key] === identifier.system)
+            || Object.keys(FHIR_IDENTIFIER_TYPES).find(key => typeCode.includes(FHIR_IDENTIFIER_TYPES[key].code));
 
-        if (to_date) {
-            pnCasesQuery += ' AND COALESCE(apt.appointment_date, DATE(pn.created_at)) <= ?';
-            walkInQuery += ' AND apt.appointment_date <= ?';
-            countQuery += ' AND DATE(pn.created_at) <= ?';
-            pnParams.push(to_date);
-            walkInParams.push(to_date);
-            countParams.push(to_date);
+        if (!identifier.value) {
+            issues.push(`Patient.identifier[${index}].value is required`);
+        } else if (field && field !== 'pt_number') {
+            data[field] = identifier.value;
         }
+    });
 
-        // Search filter
-        if (search) {
-            const searchPattern = `%${search}%`;
-            pnCasesQuery += ` AND (p.hn LIKE ? OR p.first_name LIKE ? OR p.last_name LIKE ?
-                      OR pn.pn_code LIKE ? OR pn.diagnosis LIKE ? OR pn.purpose LIKE ?)`;
-            walkInQuery += ` AND (COALESCE(p.first_name, apt.walk_in_name) LIKE ? OR COALESCE(p.last_name, '') LIKE ?)`;
-            countQuery += ` AND (p.hn LIKE ? OR p.first_name LIKE ? OR p.last_name LIKE ?
-                           OR pn.pn_code LIKE ? OR pn.diagnosis LIKE ? OR pn.purpose LIKE ?)`;
-            const pnSearchParams = Array(6).fill(searchPattern);
-            pnParams.push(...pnSearchParams);
-            walkInParams.push(searchPattern, searchPattern);
-            countParams.push(...pnSearchParams);
+    (Array.isArray(resource.telecom) ? resource.telecom : []).forEach((contactPoint, index) => {
+        if (contactPoint.system === 'phone' && !data.phone) {
+            data.phone = contactPoint.value;
+        } else if (contactPoint.system === 'email' && !data.email) {
+            if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(contactPoint.value || '')) {
+                issues.push(`Patient.telecom[${index}] is not a valid email address`);
+            } else {
+                data.email = contactPoint.value;
+            }
         }
+    });
 
-        // Get total count for PN cases
-        const [countResult] = await db.execute(countQuery, countParams);
-        const total = countResult[0].total;
+    if (Array.isArray(resource.address) && resource.address.length > 0) {
+        const address = resource.address[0];
+        data.address = address.text || [
+            ...(address.line || []), address.district, address.city,
+            address.state, address.postalCode, address.country
+        ].filter(part => part).join(', ');
+    }
 
-        // Execute PN cases query with pagination
-        pnCasesQuery += ' ORDER BY COALESCE(apt.appointment_date, DATE(pn.created_at)) DESC, pn.created_at DESC LIMIT ? OFFSET ?';
-        pnParams.push(parseInt(limit), offset);
-        const [cases] = await db.execute(pnCasesQuery, pnParams);
+    if (Array.isArray(resource.contact) && resource.contact.length > 0) {
+        const contact = resource.contact[0];
+        if (contact.name) {
+            data.emergency_contact = contact.name.text
+                || [...(contact.name.given || []), contact.name.family].filter(part => part).join(' ');
+        }
+        const phone = (contact.telecom || []).find(contactPoint => contactPoint.system === 'phone');
+        if (phone) {
+            data.emergency_phone = phone.value;
+        }
+    }
 
-        // Execute walk-in query (no pagination - get all matching walk-ins)
-        walkInQuery += ' ORDER BY apt.appointment_date DESC, apt.created_at DESC';
-        console.log('🔍 Walk-in Query:', walkInQuery);
-        console.log('🔍 Walk-in Params:', walkInParams);
-        const [walkIns] = await db.execute(walkInQuery, walkInParams);
-        console.log('🔍 Walk-ins returned:', walkIns.length, 'records');
-        if (walkIns.length > 0) {
-            console.log('🔍 First walk-in:', walkIns[0]);
+    if (resource.managingOrganization) {
+        const match = /^Organization\/(\d+)$/.exec(resource.managingOrganization.reference || '');
+        if (!match) {
+            issues.push('Patient.managingOrganization.reference must be "Organization/{clinic id}"');
+        } else {
+            data.clinic_id = parseInt(match[1], 10);
         }
+    }
 
-        // Get statistics with role-based filtering (exclude CANCELLED from total)
-        let statsQuery = `
-            SELECT
-                COUNT(CASE WHEN status != 'CANCELLED' THEN 1 END) as total,
-                SUM(CASE WHEN status = 'PENDING' THEN 1 ELSE 0 END) as waiting,
-                SUM(CASE WHEN status = 'ACCEPTED' THEN 1 ELSE 0 END) as accepted,
-                SUM(CASE WHEN status = 'COMPLETED' THEN 1 ELSE 0 END) as completed,
-                SUM(CASE WHEN MONTH(created_at) = MONTH(CURRENT_DATE())
-                    AND YEAR(created_at) = YEAR(CURRENT_DATE())
-                    AND status != 'CANCELLED' THEN 1 ELSE 0 END) as this_month
-            FROM pn_cases
-            WHERE 1=1
-        `;
+    const extensions = Array.isArray(resource.extension) ? resource.extension : [];
+    const diagnosis = extensions.find(extension => extension.url === FHIR_DIAGNOSIS_EXTENSION);
+    if (diagnosis) {
+        data.diagnosis = diagnosis.valueString;
+    }
 
-        const statsParams = [];
+    const nationality = extensions.find(extension => extension.url === FHIR_NATIONALITY_EXTENSION);
+    const nationalityCode = nationality && (nationality.extension || [])
+        .find(extension => extension.url === 'code');
+    const countryCoding = nationalityCode && nationalityCode.valueCodeableConcept &&
+        (nationalityCode.valueCodeableConcept.coding || []).find(coding => coding.system === FHIR_COUNTRY_SYSTEM);
+    if (countryCoding) {
+        data.nationality = countryCoding.code;
+    }
 
-        // Apply same role-based filtering to statistics
-        if (req.user.role === 'CLINIC') {
-            statsQuery += ' AND (source_clinic_id = ? OR target_clinic_id = ?)';
-            statsParams.push(req.user.clinic_id, req.user.clinic_id);
-        }
+    return { data, issues };
+};
 
-        const [stats] = await db.execute(statsQuery, statsParams);
+// Load a patient row joined with its clinic name for FHIR output
+const getFHIRPatientRow = async (db, id) => {
+    const [patients] = await db.execute(
+        `SELECT p.*, c.name as clinic_name
+         FROM patients p
+         JOIN clinics c ON p.clinic_id = c.id
+         WHERE p.id = ?`,
+        [id]
+    );
+    return patients[0] || null;
+};
 
-        res.json({
-            cases,
-            walkIns,
-            statistics: stats[0],
-            pagination: {
-                page: parseInt(page),
-                limit: parseInt(limit),
-                total,
-                pages: Math.ceil(total / limit)
+// Send errors thrown by the shared patient helpers as an OperationOutcome
+const sendFHIRError = (res, error, fallbackMessage) => {
+    if (error.status) {
+        return sendFHIR(res, error.status,
+            buildOperationOutcome('error', FHIR_ISSUE_CODES[error.status] || 'processing', error.message));
+    }
+    sendFHIR(res, 500, buildOperationOutcome('fatal', 'exception', fallbackMessage));
+};
+
+/**
+ * Wrap resources in a searchset Bundle
+ * @param {Object[]} resources - FHIR resources matching the search
+ * @param {number} total - Total number of matches (all pages)
+ * @param {Object} links - Map of relation (self, next, previous) to URL
+ * @param {Object[]} included - Resources returned alongside the matches (search mode 'include')
+ * @returns {Object} Bundle resource
+ */
+const buildFHIRSearchBundle = (resources, total, links = {}, included = []) => {
+    return {
+        resourceType: 'Bundle',
+        id: uuidv4(),
+        meta: { lastUpdated: new Date().toISOString() },
+        type: 'searchset',
+        total,
+        link: Object.keys(links).map(relation => ({ relation, url: links[relation] })),
+        entry: [
+            ...resources.map(resource => ({ resource, mode: 'match' })),
+            ...included.map(resource => ({ resource, mode: 'include' }))
+        ].map(({ resource, mode }) => ({
+            fullUrl: `${FHIR_BASE_URL}/${resource.resourceType}/${resource.id}`,
+            resource,
+            search: { mode }
+        }))
+    };
+};
+
+// Translate a FHIR date search value (e.g. "ge1990-01-01") into an SQL comparison
+const FHIR_DATE_PREFIXES = { eq: '=', ne: '!=', gt: '>', lt: '<', ge: '>=', le: '<=' };
+
+const parseFHIRDateParam = (value) => {
+    const match = /^(eq|ne|gt|lt|ge|le)?(\d{4}-\d{2}-\d{2})$/.exec(value || '');
+    if (!match || !moment(match[2], 'YYYY-MM-DD', true).isValid()) {
+        return null;
+    }
+    return { operator: FHIR_DATE_PREFIXES[match[1] || 'eq'], date: match[2] };
+};
+
+// Read patient
+app.get('/fhir/Patient/:id', authenticateToken, async (req, res) => {
+    try {
+        const db = req.app.locals.db;
+        const { id } = req.params;
+
+        const patient = await getFHIRPatientRow(db, id);
+
+        if (!patient) {
+            return sendFHIR(res, 404, buildOperationOutcome('error', 'not-found', `Patient/${id} is not known`));
+        }
+
+        if (req.user.role !== 'ADMIN') {
+            const accessibleClinics = await getAccessibleClinicIds(db, req.user);
+            if (!accessibleClinics.includes(patient.clinic_id)) {
+                return sendFHIR(res, 403, buildOperationOutcome('error', 'forbidden', 'No access to this patient'));
             }
-        });
+        }
+
+        sendFHIR(res, 200, buildFHIRPatient(patient));
     } catch (error) {
-        console.error('Get PN cases error:', error);
-        res.status(500).json({ error: 'Failed to retrieve PN cases' });
+        console.error('FHIR read patient error:', error);
+        sendFHIR(res, 500, buildOperationOutcome('fatal', 'exception', 'Failed to retrieve patient'));
     }
 });
 
-// Create PN case
-app.post('/api/pn', authenticateToken, [
-    body('patient_id').isInt(),
-    body('diagnosis').notEmpty(),
-    body('purpose').notEmpty(),
-    body('target_clinic_id').optional().isInt(),  // Optional for CLINIC users
-    body('course_id').optional().isInt()  // Optional course_id for course cutting
-], async (req, res) => {
+// Search patients by identifier, name and birthdate
+app.get('/fhir/Patient', authenticateToken, async (req, res) => {
     try {
-        const errors = validationResult(req);
-        if (!errors.isEmpty()) {
-            return res.status(400).json({ errors: errors.array() });
-        }
-
         const db = req.app.locals.db;
-        const pnCode = generatePNCode();
-
-        // Get patient's clinic as source
-        const [patients] = await db.execute(
-            'SELECT clinic_id FROM patients WHERE id = ?',
-            [req.body.patient_id]
-        );
-
-        if (patients.length === 0) {
-            return res.status(404).json({ error: 'Patient not found' });
-        }
-
-        const patientClinicId = patients[0].clinic_id;
-
-        // Role-based access control for PN case creation
-        // ADMIN: Can create PN cases - any source to any target
-        // CLINIC: Can only create PN cases for their own clinic as TARGET (receiving referrals)
-        // PT: Can create PN cases for any patient to any clinic
-
-        let sourceClinicId;
-        let targetClinicId;
-
-        if (req.user.role === 'CLINIC') {
-            // CLINIC users create PN cases for their own clinic to treat
-            // They are the TARGET clinic (receiving the patient)
-            if (!req.user.clinic_id) {
-                return res.status(403).json({
-                    error: 'CLINIC user must be assigned to a clinic'
-                });
-            }
-
-            // Source: Patient's current clinic
-            sourceClinicId = patientClinicId;
-
-            // Target: LOCKED to CLINIC user's clinic (they are receiving the patient)
-            targetClinicId = req.user.clinic_id;
+        const { identifier, name, birthdate } = req.query;
+        const pagination = validatePagination(req.query.page, req.query._count);
 
-            // If target_clinic_id is provided in request, ignore it for CLINIC users
-            if (req.body.target_clinic_id && req.body.target_clinic_id !== req.user.clinic_id) {
-                return res.status(403).json({
-                    error: 'CLINIC users can only create PN cases for their own clinic'
-                });
-            }
-        } else {
-            // ADMIN and PT can specify any source and target
-            sourceClinicId = patientClinicId;
-            targetClinicId = req.body.target_clinic_id;
+        let whereClause = ' WHERE 1=1';
+        const params = [];
 
-            if (!targetClinicId) {
-                return res.status(400).json({
-                    error: 'Target clinic ID is required'
-                });
+        if (identifier) {
+            // token search: "system|value", "|value" or "value"
+            const separator = identifier.indexOf('|');
+            const system = separator >= 0 ? identifier.substring(0, separator) : null;
+            const value = separator >= 0 ? identifier.substring(separator + 1) : identifier;
+            const fields = system
+                ? Object.keys(FHIR_IDENTIFIER_SYSTEMS).filter(field => FHIR_IDENTIFIER_SYSTEMS[field] === system)
+                : Object.keys(FHIR_IDENTIFIER_SYSTEMS);
+
+            if (fields.length === 0) {
+                // Unknown identifier system - nothing can match
+                whereClause += ' AND 1=0';
+            } else {
+                whereClause += ` AND (${fields.map(field => `p.${field} = ?`).join(' OR ')})`;
+                params.push(...fields.map(() => value));
             }
         }
 
-        // Course validation if course_id is provided
-        let courseId = req.body.course_id || null;
-        if (courseId) {
-            const [courses] = await db.execute(
-                `SELECT id, course_code, remaining_sessions, status, patient_id, expiry_date
-                 FROM courses WHERE id = ?`,
-                [courseId]
-            );
-
-            if (courses.length === 0) {
-                return res.status(404).json({ error: 'Course not found' });
-            }
-
-            const course = courses[0];
+        if (name) {
+            const namePattern = `${name.substring(0, 100)}%`;
+            whereClause += ` AND (p.first_name LIKE ? OR p.last_name LIKE ?
+                             OR CONCAT(p.first_name, ' ', p.last_name) LIKE ?)`;
+            params.push(namePattern, namePattern, namePattern);
+        }
 
-            // Validate course belongs to the patient
-            if (course.patient_id !== req.body.patient_id) {
-                return res.status(400).json({
-                    error: 'Course does not belong to this patient'
-                });
+        if (birthdate) {
+            const dateFilters = Array.isArray(birthdate) ? birthdate : [birthdate];
+            for (const filter of dateFilters) {
+                const parsed = parseFHIRDateParam(filter);
+                if (!parsed) {
+                    return sendFHIR(res, 400, buildOperationOutcome('error', 'invalid',
+                        `Invalid birthdate parameter "${filter}". Use [prefix]YYYY-MM-DD`));
+                }
+                whereClause += ` AND p.dob ${parsed.operator} ?`;
+                params.push(parsed.date);
             }
+        }
 
-            // Validate course status
-            if (course.status !== 'ACTIVE') {
-                return res.status(400).json({
-                    error: `Course is ${course.status}. Only ACTIVE courses can be used.`
-                });
-            }
+        if (req.user.role !== 'ADMIN') {
+            const accessibleClinics = await getAccessibleClinicIds(db, req.user);
 
-            // Validate remaining sessions
-            if (course.remaining_sessions <= 0) {
-                return res.status(400).json({
-                    error: 'Course has no remaining sessions. Please purchase a new course.',
-                    course_code: course.course_code,
-                    remaining_sessions: course.remaining_sessions
-                });
+            if (req.user.role === 'CLINIC' && accessibleClinics.length === 0) {
+                return sendFHIR(res, 200, buildFHIRSearchBundle([], 0));
             }
 
-            // Validate expiry date
-            if (course.expiry_date && new Date(course.expiry_date) < new Date()) {
-                return res.status(400).json({
-                    error: 'Course has expired',
-                    expiry_date: course.expiry_date
-                });
+            if (accessibleClinics.length > 0) {
+                whereClause += ` AND p.clinic_id IN (${accessibleClinics.map(() => '?').join(',')})`;
+                params.push(...accessibleClinics);
             }
-
-            // Course validation passed - will deduct 1 session
         }
 
-        // ******** FIX: REMOVED 'priority' from column list and '?' from values ********
-        // Insert PN case with course_id
-        const [result] = await db.execute(
-            `INSERT INTO pn_cases (
-                pn_code, patient_id, diagnosis, purpose, status,
-                source_clinic_id, target_clinic_id, referring_doctor,
-                notes, current_medications, allergies,
-                pn_precautions, pn_contraindications, treatment_goals,
-                expected_outcomes, medical_notes, pain_scale, functional_status,
-                course_id, created_by
-            ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
-            [
-                pnCode,
-                req.body.patient_id,
-                req.body.diagnosis,
-                req.body.purpose,
-                'PENDING',
-                sourceClinicId,
-                targetClinicId,
-                req.body.referring_doctor || null,
-                // ******** FIX: REMOVED 'req.body.priority || 'NORMAL',' ********
-                req.body.notes || null,
-                req.body.current_medications || null,
-                req.body.allergies || null,
-                req.body.pn_precautions || null,
-                req.body.pn_contraindications || null,
-                req.body.treatment_goals || null,
-                req.body.expected_outcomes || null,
-                req.body.medical_notes || null,
-                req.body.pain_scale || null,
-                req.body.functional_status || null,
-                courseId,
-                req.user.id
-            ]
+        const [countResult] = await db.execute(
+            `SELECT COUNT(*) as total FROM patients p${whereClause}`,
+            params
         );
+        const total = countResult[0].total;
 
-        // NOTE: Course session is NOT deducted here
-        // Session will be deducted when PN status changes to ACCEPTED
-
-        await auditLog(db, req.user.id, 'CREATE', 'pn_case', result.insertId, null, req.body, req);
+        const [patients] = await db.execute(
+            `SELECT p.*, c.name as clinic_name
+             FROM patients p
+             JOIN clinics c ON p.clinic_id = c.id
+             ${whereClause}
+             ORDER BY p.last_name, p.first_name, p.id
+             LIMIT ? OFFSET ?`,
+            [...params, pagination.limit, pagination.offset]
+        );
 
-        const responseMessage = courseId
-            ? 'PN case created successfully with course linked (session will be deducted when accepted)'
-            : 'PN case created successfully';
+        const pageUrl = (page) => {
+            const query = new URLSearchParams();
+            Object.keys(req.query)
+                .filter(key => key !== 'page' && key !== '_count')
+                .forEach(key => [].concat(req.query[key]).forEach(value => query.append(key, value)));
+            query.append('_count', String(pagination.limit));
+            query.append('page', String(page));
+            return `${FHIR_BASE_URL}/Patient?${query.toString()}`;
+        };
+        const links = { self: pageUrl(pagination.page) };
+        if (pagination.offset + patients.length < total) {
+            links.next = pageUrl(pagination.page + 1);
+        }
+        if (pagination.page > 1) {
+            links.previous = pageUrl(pagination.page - 1);
+        }
 
-        res.status(201).json({
-            success: true,
-            message: responseMessage,
-            pn_id: result.insertId,
-            pn_code: pnCode,
-            course_id: courseId
-        });
+        sendFHIR(res, 200, buildFHIRSearchBundle(patients.map(buildFHIRPatient), total, links));
     } catch (error) {
-        console.error('Create PN case error:', error);
-        res.status(500).json({ error: 'Failed to create PN case' });
+        console.error('FHIR search patient error:', error);
+        sendFHIR(res, 500, buildOperationOutcome('fatal', 'exception', 'Failed to search patients'));
     }
 });
 
-// Update PN case medical information
-app.put('/api/pn/:id', authenticateToken, async (req, res) => {
+// Create patient from a FHIR Patient resource
+app.post('/fhir/Patient', authenticateToken, async (req, res) => {
     try {
         const db = req.app.locals.db;
-        const { id } = req.params;
+        const { data, issues } = parseFHIRPatient(req.body);
 
-        // Get current PN case
-        const [cases] = await db.execute(
-            'SELECT * FROM pn_cases WHERE id = ?',
-            [id]
-        );
+        if (!data.diagnosis) {
+            issues.push(`Patient.extension "${FHIR_DIAGNOSIS_EXTENSION}" (diagnosis) is required`);
+        }
 
-        if (cases.length === 0) {
-            return res.status(404).json({ error: 'PN case not found' });
+        if (issues.length > 0) {
+            return sendFHIR(res, 400, buildOperationOutcome('error', 'invalid', issues));
         }
 
-        const oldCase = cases[0];
+        const result = await createPatientRecord(db, req.user, data, req);
+        const patient = await getFHIRPatientRow(db, result.patient_id);
 
-        // Check access - PT and ADMIN can update, CLINIC can update if it's their clinic
-        if (req.user.role === 'CLINIC') {
-            if (oldCase.target_clinic_id !== req.user.clinic_id && oldCase.source_clinic_id !== req.user.clinic_id) {
-                return res.status(403).json({ error: 'No access to update this PN case' });
-            }
+        res.location(`${FHIR_BASE_URL}/Patient/${result.patient_id}`);
+        sendFHIR(res, 201, buildFHIRPatient(patient));
+    } catch (error) {
+        if (!error.status) {
+            console.error('FHIR create patient error:', error);
         }
+        sendFHIRError(res, error, 'Failed to create patient');
+    }
+});
 
-        // Allowed medical fields to update
-        const allowedFields = [
-            'diagnosis', 'purpose', 'referring_doctor', 'notes',
-            'current_medications', 'allergies', 'pn_precautions', 'pn_contraindications',
-            'treatment_goals', 'expected_outcomes', 'medical_notes', 'pain_scale', 'functional_status'
-        ];
-
-        const updateFields = [];
-        const updateValues = [];
+// Update patient from a FHIR Patient resource
+app.put('/fhir/Patient/:id', authenticateToken, async (req, res) => {
+    try {
+        const db = req.app.locals.db;
+        const { id } = req.params;
 
-        for (const field of allowedFields) {
-            if (req.body[field] !== undefined) {
-                updateFields.push(`${field} = ?`);
-                updateValues.push(req.body[field]);
-            }
+        if (!req.body || String(req.body.id) !== id) {
+            return sendFHIR(res, 400, buildOperationOutcome('error', 'invalid',
+                `Resource id must match the URL (Patient/${id})`));
         }
 
-        if (updateFields.length === 0) {
-            return res.status(400).json({ error: 'No fields to update' });
+        const { data, issues } = parseFHIRPatient(req.body);
+        if (issues.length > 0) {
+            return sendFHIR(res, 400, buildOperationOutcome('error', 'invalid', issues));
         }
 
-        updateFields.push('updated_at = NOW()');
-        updateValues.push(id);
-
-        await db.execute(
-            `UPDATE pn_cases SET ${updateFields.join(', ')} WHERE id = ?`,
-            updateValues
-        );
+        // hn, dob and clinic are fixed after registration, as in PUT /api/patients/:id
+        await updatePatientRecord(db, req.user, id, data, req);
+        const patient = await getFHIRPatientRow(db, id);
 
-        await auditLog(db, req.user.id, 'UPDATE', 'pn_case', id, oldCase, req.body, req);
-
-        res.json({ success: true, message: 'PN case updated successfully' });
+        sendFHIR(res, 200, buildFHIRPatient(patient));
     } catch (error) {
-        console.error('Update PN case error:', error);
-        res.status(500).json({ error: 'Failed to update PN case' });
+        if (!error.status) {
+            console.error('FHIR update patient error:', error);
+        }
+        sendFHIRError(res, error, 'Failed to update patient');
     }
 });
 
-// Update PN case status
-app.patch('/api/pn/:id/status', authenticateToken, [
-    body('status').isIn(['PENDING', 'ACCEPTED', 'IN_PROGRESS', 'COMPLETED', 'CANCELLED'])
-], async (req, res) => {
-    try {
-        const errors = validationResult(req);
-        if (!errors.isEmpty()) {
-            return res.status(400).json({ errors: errors.array() });
-        }
+// ========================================
+// HL7 FHIR R4 CLINICAL EXPORT
+// ========================================
 
-        const db = req.app.locals.db;
-        const { id } = req.params;
-        const { status, pt_diagnosis, pt_chief_complaint, pt_present_history, pt_pain_score, soap_notes } = req.body;
+const FHIR_EPISODE_STATUS_MAP = {
+    PENDING: 'waitlist',
+    ACCEPTED: 'active',
+    IN_PROGRESS: 'active',
+    COMPLETED: 'finished',
+    CANCELLED: 'cancelled'
+};
 
-        // Get current case with clinic information and linked appointment
-        const [cases] = await db.execute(
-            `SELECT pn.*,
-                    COALESCE(a.course_id, pn.course_id) as final_course_id,
-                    sc.code as source_clinic_code,
-                    tc.code as target_clinic_code,
-                    a.id as appointment_id,
-                    a.status as appointment_status
-             FROM pn_cases pn
-             JOIN clinics sc ON pn.source_clinic_id = sc.id
-             JOIN clinics tc ON pn.target_clinic_id = tc.id
-             LEFT JOIN appointments a ON pn.id = a.pn_case_id
-             WHERE pn.id = ?`,
-            [id]
-        );
+const FHIR_ENCOUNTER_STATUS_MAP = {
+    SCHEDULED: 'planned',
+    COMPLETED: 'finished',
+    CANCELLED: 'cancelled',
+    NO_SHOW: 'cancelled'
+};
 
-        if (cases.length === 0) {
-            return res.status(404).json({ error: 'PN case not found' });
-        }
+// LOINC 72514-3: Pain severity - 0-10 verbal numeric rating [Score] - Reported
+const FHIR_PAIN_SCORE_CODE = {
+    coding: [{
+        system: 'http://loinc.org',
+        code: '72514-3',
+        display: 'Pain severity - 0-10 verbal numeric rating [Score] - Reported'
+    }],
+    text: 'Pain score (0-10)'
+};
 
-        const oldCase = cases[0];
+// Combine a DATE and optional TIME column into an ISO dateTime
+const formatFHIRDateTime = (date, time = null) => {
+    if (!date) {
+        return undefined;
+    }
+    const day = moment(date).format('YYYY-MM-DD');
+    return time ? moment(`${day}T${time}`).format() : day;
+};
 
-        // Use final_course_id (from COALESCE) instead of pn.course_id
-        oldCase.course_id = oldCase.final_course_id;
+const buildFHIROrganization = (clinic) => {
+    const organization = {
+        resourceType: 'Organization',
+        id: String(clinic.id),
+        identifier: [{ system: `${FHIR_BASE_URL}/sid/clinic-code`, value: clinic.code }],
+        active: clinic.active === undefined ? true : !!clinic.active,
+        name: clinic.name,
+        address: clinic.address ? [{ text: clinic.address }] : undefined
+    };
+    const telecom = [
+        clinic.phone ? { system: 'phone', value: clinic.phone } : null,
+        clinic.email ? { system: 'email', value: clinic.email } : null
+    ].filter(contactPoint => contactPoint);
+    if (telecom.length > 0) {
+        organization.telecom = telecom;
+    }
+    return organization;
+};
 
-        // Check access - ADMIN and PT can change status
-        if (req.user.role !== 'ADMIN' && req.user.role !== 'PT') {
-            return res.status(403).json({ error: 'Only ADMIN or PT can change PN case status' });
+const buildFHIRPractitioner = (user) => {
+    const practitioner = {
+        resourceType: 'Practitioner',
+        id: String(user.id),
+        active: user.active === undefined ? true : !!user.active,
+        name: [{ text: `${user.first_name} ${user.last_name}`.trim(), family: user.last_name, given: [user.first_name] }]
+    };
+    if (user.license_number) {
+        practitioner.identifier = [{ system: `${FHIR_BASE_URL}/sid/pt-license`, value: user.license_number }];
+    }
+    return practitioner;
+};
+
+/**
+ * Map a pn_cases row to an EpisodeOfCare
+ * @param {Object} pnCase - pn_cases row joined with assigned_pt_name
+ * @param {Object[]} statusHistory - pn_status_history rows for this case, oldest first
+ * @returns {Object} EpisodeOfCare resource
+ */
+const buildFHIREpisodeOfCare = (pnCase, statusHistory = []) => {
+    const episode = {
+        resourceType: 'EpisodeOfCare',
+        id: String(pnCase.id),
+        meta: { lastUpdated: formatFHIRInstant(pnCase.updated_at || pnCase.created_at) },
+        identifier: [{ system: `${FHIR_BASE_URL}/sid/pn-code`, value: pnCase.pn_code }],
+        status: FHIR_EPISODE_STATUS_MAP[pnCase.status] || 'active',
+        type: [{ text: 'Physiotherapy' }],
+        patient: { reference: `Patient/${pnCase.patient_id}` },
+        managingOrganization: { reference: `Organization/${pnCase.target_clinic_id}` },
+        period: {
+            start: formatFHIRInstant(pnCase.accepted_at || pnCase.created_at),
+            end: formatFHIRInstant(pnCase.completed_at || pnCase.cancelled_at)
         }
+    };
 
-        // Update status with appropriate timestamp
-        let updateQuery = 'UPDATE pn_cases SET status = ?, updated_at = NOW()';
-        const updateParams = [status];
+    if (statusHistory.length > 0) {
+        episode.statusHistory = statusHistory.map((entry, index) => ({
+            status: FHIR_EPISODE_STATUS_MAP[entry.old_status] || 'active',
+            period: {
+                start: formatFHIRInstant(index === 0 ? pnCase.created_at : statusHistory[index - 1].created_at),
+                end: formatFHIRInstant(entry.created_at)
+            }
+        }));
+    }
 
-        console.log('=== PN STATUS CHANGE DEBUG ===');
-        console.log('PN ID:', id);
-        console.log('Old Status:', oldCase.status);
-        console.log('New Status:', status);
-        console.log('Course ID:', oldCase.course_id);
-        console.log('Source Clinic:', oldCase.source_clinic_code);
-        console.log('Target Clinic:', oldCase.target_clinic_code);
-        console.log('Linked Appointment ID:', oldCase.appointment_id);
-        console.log('Appointment Status:', oldCase.appointment_status);
+    const diagnoses = [pnCase.diagnosis, pnCase.physio_diagnosis, pnCase.pt_diagnosis].filter(text => text);
+    if (diagnoses.length > 0) {
+        episode.diagnosis = diagnoses.map((text, index) => ({ condition: { display: text }, rank: index + 1 }));
+    }
 
-        // PENDING → ACCEPTED: Save PT information for non-CL001 clinics
-        // NOTE: Course session is NOT deducted here (only deducted via Appointment COMPLETED)
-        if (status === 'ACCEPTED' && oldCase.status === 'PENDING') {
-            updateQuery += ', accepted_at = NOW()';
+    if (pnCase.assigned_pt_id) {
+        episode.careManager = {
+            reference: `Practitioner/${pnCase.assigned_pt_id}`,
+            display: pnCase.assigned_pt_name || undefined
+        };
+    }
 
-            // For non-CL001 clinics, require and save PT assessment information
-            if (oldCase.source_clinic_code !== 'CL001' && oldCase.target_clinic_code !== 'CL001') {
-                if (!pt_diagnosis || !pt_chief_complaint || !pt_present_history || pt_pain_score === undefined) {
-                    return res.status(400).json({
-                        error: 'PT assessment information required for non-CL001 clinics',
-                        required_fields: ['pt_diagnosis', 'pt_chief_complaint', 'pt_present_history', 'pt_pain_score']
-                    });
-                }
+    return episode;
+};
 
-                updateQuery += ', pt_diagnosis = ?, pt_chief_complaint = ?, pt_present_history = ?, pt_pain_score = ?';
-                updateParams.push(pt_diagnosis, pt_chief_complaint, pt_present_history, pt_pain_score);
+// Map a pn_visits row to an Encounter within its EpisodeOfCare
+const buildFHIREncounter = (visit, patientId) => {
+    const encounter = {
+        resourceType: 'Encounter',
+        id: String(visit.id),
+        meta: { lastUpdated: formatFHIRInstant(visit.updated_at || visit.created_at) },
+        status: FHIR_ENCOUNTER_STATUS_MAP[visit.status] || 'unknown',
+        class: {
+            system: 'http://terminology.hl7.org/CodeSystem/v3-ActCode',
+            code: 'AMB',
+            display: 'ambulatory'
+        },
+        type: [{ text: `Physiotherapy visit #${visit.visit_no}` }],
+        subject: { reference: `Patient/${patientId}` },
+        episodeOfCare: [{ reference: `EpisodeOfCare/${visit.pn_id}` }],
+        period: { start: formatFHIRDateTime(visit.visit_date, visit.visit_time) }
+    };
+
+    if (visit.therapist_id) {
+        encounter.participant = [{
+            individual: {
+                reference: `Practitioner/${visit.therapist_id}`,
+                display: visit.therapist_name || undefined
             }
+        }];
+    }
+    if (visit.duration_minutes) {
+        encounter.length = {
+            value: visit.duration_minutes,
+            unit: 'min',
+            system: 'http://unitsofmeasure.org',
+            code: 'min'
+        };
+    }
+    if (visit.chief_complaint) {
+        encounter.reasonCode = [{ text: visit.chief_complaint }];
+    }
 
-            // ❌ REMOVED: Course session deduction from Dashboard
-            // ✅ Course sessions are ONLY deducted via Appointment COMPLETED → PN ACCEPTED
+    return encounter;
+};
 
-            // Sync appointment to COMPLETED (Dashboard ACCEPTED → Appointment COMPLETED)
-            if (oldCase.appointment_id) {
-                await db.execute(
-                    `UPDATE appointments
-                     SET status = 'COMPLETED', updated_at = NOW()
-                     WHERE id = ?`,
-                    [oldCase.appointment_id]
-                );
-                console.log('✅ Synced: PN ACCEPTED → Appointment COMPLETED');
+// Build a 0-10 pain score Observation
+const buildFHIRPainObservation = (id, patientId, score, effective, note = null) => {
+    const observation = {
+        resourceType: 'Observation',
+        id,
+        status: 'final',
+        category: [{
+            coding: [{
+                system: 'http://terminology.hl7.org/CodeSystem/observation-category',
+                code: 'survey',
+                display: 'Survey'
+            }]
+        }],
+        code: FHIR_PAIN_SCORE_CODE,
+        subject: { reference: `Patient/${patientId}` },
+        effectiveDateTime: formatFHIRInstant(effective),
+        valueInteger: score
+    };
+    if (note) {
+        observation.note = [{ text: note }];
+    }
+    return observation;
+};
 
-                // Deduct course session when PN is accepted from dashboard
-                if (oldCase.course_id) {
-                    // Check if course session was already deducted for this PN
-                    const [usageHistory] = await db.execute(
-                        `SELECT id FROM course_usage_history
-                         WHERE course_id = ? AND pn_id = ? AND action_type = 'USE'
-                         LIMIT 1`,
-                        [oldCase.course_id, id]
-                    );
+// Pain scores recorded on a PN case (initial assessment and PT acceptance)
+const buildFHIRCaseObservations = (pnCase) => {
+    const observations = [];
+    if (pnCase.initial_pain_scale !== null && pnCase.initial_pain_scale !== undefined) {
+        observations.push(buildFHIRPainObservation(`pn-${pnCase.id}-initial-pain`, pnCase.patient_id,
+            pnCase.initial_pain_scale, pnCase.assessed_at || pnCase.created_at,
+            `Initial pain scale (${pnCase.pn_code})`));
+    }
+    if (pnCase.pt_pain_score !== null && pnCase.pt_pain_score !== undefined) {
+        observations.push(buildFHIRPainObservation(`pn-${pnCase.id}-pt-pain`, pnCase.patient_id,
+            pnCase.pt_pain_score, pnCase.accepted_at || pnCase.updated_at || pnCase.created_at,
+            `PT assessment pain score (${pnCase.pn_code})`));
+    }
+    return observations;
+};
 
-                    if (usageHistory.length === 0) {
-                        // No session deducted yet - deduct now
-                        console.log('🎯 Dashboard PN ACCEPTED: Deducting course session for course:', oldCase.course_id);
+// Map a pn_soap_notes row to a ClinicalImpression
+const buildFHIRClinicalImpression = (note, patientId) => {
+    const impression = {
+        resourceType: 'ClinicalImpression',
+        id: String(note.id),
+        status: 'completed',
+        subject: { reference: `Patient/${patientId}` },
+        effectiveDateTime: formatFHIRInstant(note.timestamp),
+        date: formatFHIRInstant(note.created_at),
+        assessor: {
+            reference: `Practitioner/${note.created_by}`,
+            display: note.created_by_name || undefined
+        },
+        summary: note.assessment || undefined
+    };
+    const sections = [
+        ['Subjective', note.subjective],
+        ['Objective', note.objective],
+        ['Assessment', note.assessment],
+        ['Plan', note.plan],
+        ['Notes', note.notes]
+    ].filter(([, text]) => text);
+    if (sections.length > 0) {
+        impression.note = sections.map(([label, text]) => ({ text: `${label}: ${text}` }));
+    }
+    return impression;
+};
 
-                        await db.execute(
-                            `UPDATE courses
-                             SET used_sessions = used_sessions + 1,
-                                 remaining_sessions = remaining_sessions - 1,
-                                 status = CASE
-                                     WHEN remaining_sessions - 1 <= 0 THEN 'COMPLETED'
-                                     ELSE status
-                                 END,
-                                 updated_at = NOW()
-                             WHERE id = ?`,
-                            [oldCase.course_id]
-                        );
+// Everything we hold about a patient: cases, visits, notes, pain scores and referenced resources
+app.get('/fhir/Patient/:id/\\$everything', authenticateToken, async (req, res) => {
+    try {
+        const db = req.app.locals.db;
+        const { id } = req.params;
 
-                        // Log course usage
-                        await db.execute(
-                            `INSERT INTO course_usage_history
-                             (course_id, bill_id, pn_id, sessions_used, usage_date, action_type, notes, created_by)
-                             VALUES (?, NULL, ?, 1, CURDATE(), 'USE', 'Dashboard: PN case accepted - session deducted', ?)`,
-                            [oldCase.course_id, id, req.user.id]
-                        ).catch(err => console.warn('Failed to log course usage:', err.message));
+        const patient = await getFHIRPatientRow(db, id);
+        if (!patient) {
+            return sendFHIR(res, 404, buildOperationOutcome('error', 'not-found', `Patient/${id} is not known`));
+        }
 
-                        console.log('✅ Course session deducted from dashboard');
-                    } else {
-                        console.log('ℹ️  Course session already deducted for this PN - skipping');
-                    }
-                }
+        if (req.user.role !== 'ADMIN') {
+            const accessibleClinics = await getAccessibleClinicIds(db, req.user);
+            if (!accessibleClinics.includes(patient.clinic_id)) {
+                return sendFHIR(res, 403, buildOperationOutcome('error', 'forbidden', 'No access to this patient'));
             }
         }
-        // ACCEPTED → PENDING: Return course session (ADMIN only can reverse)
-        else if (status === 'PENDING' && oldCase.status === 'ACCEPTED') {
-            // Only ADMIN can reverse from ACCEPTED to PENDING
-            if (req.user.role !== 'ADMIN') {
-                return res.status(403).json({ error: 'Only ADMIN can reverse from ACCEPTED to PENDING' });
-            }
 
-            updateQuery += ', accepted_at = NULL';
+        const [cases] = await db.execute(
+            `SELECT pn.*, CONCAT(pt.first_name, ' ', pt.last_name) as assigned_pt_name
+             FROM pn_cases pn
+             LEFT JOIN users pt ON pn.assigned_pt_id = pt.id
+             WHERE pn.patient_id = ?
+             ORDER BY pn.created_at`,
+            [id]
+        );
 
-            // Clear PT assessment information
-            updateQuery += ', pt_diagnosis = NULL, pt_chief_complaint = NULL, pt_present_history = NULL, pt_pain_score = NULL';
+        const caseIds = cases.map(pnCase => pnCase.id);
+        let statusHistory = [];
+        let visits = [];
+        let soapNotes = [];
 
-            // Only return course session if PN has linked appointment (meaning course was deducted via Appointment)
-            if (oldCase.course_id && oldCase.appointment_id) {
-                console.log('ACCEPTED → PENDING: Returning session to course (PN from Appointment):', oldCase.course_id);
+        if (caseIds.length > 0) {
+            const placeholders = caseIds.map(() => '?').join(',');
 
-                await db.execute(
-                    `UPDATE courses
-                     SET used_sessions = GREATEST(0, used_sessions - 1),
-                         remaining_sessions = remaining_sessions + 1,
-                         status = CASE
-                             WHEN status = 'COMPLETED' AND remaining_sessions + 1 > 0 THEN 'ACTIVE'
-                             ELSE status
-                         END,
-                         updated_at = NOW()
-                     WHERE id = ?`,
-                    [oldCase.course_id]
-                );
+            [statusHistory] = await db.execute(
+                `SELECT * FROM pn_status_history WHERE pn_id IN (${placeholders}) ORDER BY created_at`,
+                caseIds
+            );
+            [visits] = await db.execute(
+                `SELECT v.*, CONCAT(u.first_name, ' ', u.last_name) as therapist_name
+                 FROM pn_visits v
+                 LEFT JOIN users u ON v.therapist_id = u.id
+                 WHERE v.pn_id IN (${placeholders})
+                 ORDER BY v.visit_date, v.visit_no`,
+                caseIds
+            );
+            [soapNotes] = await db.execute(
+                `SELECT s.*, CONCAT(u.first_name, ' ', u.last_name) as created_by_name
+                 FROM pn_soap_notes s
+                 JOIN users u ON s.created_by = u.id
+                 WHERE s.pn_id IN (${placeholders})
+                 ORDER BY s.timestamp`,
+                caseIds
+            );
+        }
 
-                // Log course return
-                await db.execute(
-                    `INSERT INTO course_usage_history
-                     (course_id, bill_id, pn_id, sessions_used, usage_date, action_type, notes, created_by)
-                     VALUES (?, NULL, ?, 1, CURDATE(), 'RETURN', 'PN case reversed to pending - session returned', ?)`,
-                    [oldCase.course_id, id, req.user.id]
-                ).catch(err => console.warn('Failed to log course return:', err.message));
-            } else if (oldCase.course_id && !oldCase.appointment_id) {
-                console.log('ℹ️  PN has course but no appointment - no session to return (Dashboard-created PN)');
+        // Referenced organizations and practitioners
+        const clinicIds = new Set([patient.clinic_id]);
+        const practitionerIds = new Set();
+        cases.forEach(pnCase => {
+            clinicIds.add(pnCase.target_clinic_id);
+            if (pnCase.assigned_pt_id) {
+                practitionerIds.add(pnCase.assigned_pt_id);
             }
+        });
+        visits.forEach(visit => visit.therapist_id && practitionerIds.add(visit.therapist_id));
+        soapNotes.forEach(note => practitionerIds.add(note.created_by));
 
-            // Sync appointment back to SCHEDULED (Dashboard PENDING → Appointment SCHEDULED)
-            if (oldCase.appointment_id) {
-                await db.execute(
-                    `UPDATE appointments
-                     SET status = 'SCHEDULED', updated_at = NOW()
-                     WHERE id = ?`,
-                    [oldCase.appointment_id]
-                );
-                console.log('✅ Synced: PN PENDING → Appointment SCHEDULED');
-            }
+        const clinicIdList = Array.from(clinicIds);
+        const [clinics] = await db.execute(
+            `SELECT * FROM clinics WHERE id IN (${clinicIdList.map(() => '?').join(',')})`,
+            clinicIdList
+        );
+
+        let practitioners = [];
+        if (practitionerIds.size > 0) {
+            const practitionerIdList = Array.from(practitionerIds);
+            [practitioners] = await db.execute(
+                `SELECT id, first_name, last_name, license_number, active
+                 FROM users WHERE id IN (${practitionerIdList.map(() => '?').join(',')})`,
+                practitionerIdList
+            );
         }
-        // ACCEPTED → COMPLETED: Require SOAP notes for all clinics
-        else if (status === 'COMPLETED' && oldCase.status === 'ACCEPTED') {
-            updateQuery += ', completed_at = NOW()';
 
-            // SOAP notes required for all clinics when completing
-            if (!soap_notes || !soap_notes.subjective || !soap_notes.objective ||
-                !soap_notes.assessment || !soap_notes.plan) {
-                return res.status(400).json({
-                    error: 'SOAP notes required when completing case',
-                    required_fields: ['soap_notes.subjective', 'soap_notes.objective', 'soap_notes.assessment', 'soap_notes.plan']
-                });
-            }
+        // Only the Patient matches the request; everything else is included with it
+        const included = [
+            ...clinics.map(buildFHIROrganization),
+            ...practitioners.map(buildFHIRPractitioner),
+            ...cases.map(pnCase => buildFHIREpisodeOfCare(
+                pnCase, statusHistory.filter(entry => entry.pn_id === pnCase.id)
+            )),
+            ...visits.map(visit => buildFHIREncounter(visit, patient.id)),
+            ...cases.flatMap(buildFHIRCaseObservations),
+            ...soapNotes.map(note => buildFHIRClinicalImpression(note, patient.id))
+        ];
 
-            // Save SOAP notes to separate table
-            await db.execute(
-                `INSERT INTO pn_soap_notes (pn_id, subjective, objective, assessment, plan, timestamp, notes, created_by)
-                 VALUES (?, ?, ?, ?, ?, NOW(), ?, ?)`,
-                [id, soap_notes.subjective, soap_notes.objective, soap_notes.assessment,
-                 soap_notes.plan, soap_notes.notes || '', req.user.id]
-            );
+        sendFHIR(res, 200, buildFHIRSearchBundle([buildFHIRPatient(patient)], 1 + included.length, {
+            self: `${FHIR_BASE_URL}/Patient/${id}/$everything`
+        }, included));
+    } catch (error) {
+        console.error('FHIR patient $everything error:', error);
+        sendFHIR(res, 500, buildOperationOutcome('fatal', 'exception', 'Failed to export patient record'));
+    }
+});
 
-            // Sync appointment to COMPLETED (Dashboard COMPLETED → Appointment COMPLETED)
-            if (oldCase.appointment_id) {
-                await db.execute(
-                    `UPDATE appointments
-                     SET status = 'COMPLETED', updated_at = NOW()
-                     WHERE id = ?`,
-                    [oldCase.appointment_id]
-                );
-                console.log('✅ Synced: PN COMPLETED → Appointment COMPLETED');
-            }
-        }
-        // CANCELLED: Return the course session (only if was ACCEPTED AND from Appointment)
-        else if (status === 'CANCELLED') {
-            updateQuery += ', cancelled_at = NOW()';
-            if (req.body.cancellation_reason) {
-                updateQuery += ', cancellation_reason = ?';
-                updateParams.push(req.body.cancellation_reason);
-            }
+// ========================================
+// HL7 v2 ADT INTERFACE
+// ========================================
 
-            // Only return session if PN was ACCEPTED, has course, AND has appointment (course was deducted via Appointment)
-            if (oldCase.status === 'ACCEPTED' && oldCase.course_id && oldCase.appointment_id) {
-                console.log('🔄 DASHBOARD CANCELLATION: Returning course session (PN from Appointment)');
-                console.log('   PN ID:', id);
-                console.log('   Course ID:', oldCase.course_id);
-                console.log('   Old Status:', oldCase.status);
-                console.log('   Has Appointment:', oldCase.appointment_id);
+const HL7_SENDING_APPLICATION = process.env.HL7_APPLICATION || 'PN-APP';
+const HL7_SENDING_FACILITY = process.env.HL7_FACILITY || 'CHINOREHAB';
+
+// HL7 table 0357 error codes used in ERR segments
+const HL7_ERROR_CODES = {
+    SEGMENT_SEQUENCE: { code: '100', text: 'Segment sequence error' },
+    REQUIRED_FIELD: { code: '101', text: 'Required field missing' },
+    DATA_TYPE: { code: '102', text: 'Data type error' },
+    UNSUPPORTED_MESSAGE_TYPE: { code: '200', text: 'Unsupported message type' },
+    UNSUPPORTED_EVENT: { code: '201', text: 'Unsupported event code' },
+    UNKNOWN_KEY: { code: '204', text: 'Unknown key identifier' },
+    INTERNAL: { code: '207', text: 'Application internal error' }
+};
 
-                await db.execute(
-                    `UPDATE courses
-                     SET used_sessions = GREATEST(0, used_sessions - 1),
-                         remaining_sessions = remaining_sessions + 1,
-                         status = CASE
-                             WHEN status = 'COMPLETED' AND remaining_sessions + 1 > 0 THEN 'ACTIVE'
-                             ELSE status
-                         END,
-                         updated_at = NOW()
-                     WHERE id = ?`,
-                    [oldCase.course_id]
-                );
+const HL7_SEX_MAP = { M: 'M', F: 'F', O: 'O', A: 'O' };
 
-                // Log course return
-                await db.execute(
-                    `INSERT INTO course_usage_history
-                     (course_id, bill_id, pn_id, sessions_used, usage_date, action_type, notes, created_by)
-                     VALUES (?, NULL, ?, 1, CURDATE(), 'RETURN', 'PN case cancelled - session returned', ?)`,
-                    [oldCase.course_id, id, req.user.id]
-                ).catch(err => console.warn('Failed to log course return:', err.message));
+/**
+ * Parse a pipe-delimited HL7 v2 message
+ * @param {string} rawMessage - Message text (segments separated by CR, LF or CRLF)
+ * @returns {Object} - { segments: [{ name, fields }], delimiters }
+ */
+const parseHL7Message = (rawMessage) => {
+    const text = String(rawMessage || '').trim();
+    if (!text.startsWith('MSH')) {
+        throw new Error('Message must start with an MSH segment');
+    }
 
-                console.log('✅ Course session returned successfully');
-            } else {
-                console.log('ℹ️  No course session to return');
-                console.log('   Status:', oldCase.status, ', Course ID:', oldCase.course_id, ', Appointment:', oldCase.appointment_id);
-                if (oldCase.course_id && !oldCase.appointment_id) {
-                    console.log('   → Dashboard-created PN (no appointment) - no session was deducted');
-                }
+    const fieldSeparator = text.charAt(3);
+    const encodingCharacters = text.substring(4, 8);
+    const delimiters = {
+        field: fieldSeparator,
+        component: encodingCharacters.charAt(0) || '^',
+        repetition: encodingCharacters.charAt(1) || '~',
+        escape: encodingCharacters.charAt(2) || '\\',
+        subcomponent: encodingCharacters.charAt(3) || '&'
+    };
+
+    const segments = text.split(/\r\n|\r|\n/)
+        .filter(line => line.trim().length > 0)
+        .map(line => {
+            const fields = line.split(fieldSeparator);
+            const name = fields[0];
+            if (name === 'MSH') {
+                // MSH-1 is the field separator itself, so shift to keep field numbers aligned
+                fields.splice(1, 0, fieldSeparator);
             }
+            return { name, fields };
+        });
 
-            // Sync appointment to CANCELLED (Dashboard CANCELLED → Appointment CANCELLED)
-            if (oldCase.appointment_id) {
-                await db.execute(
-                    `UPDATE appointments
-                     SET status = 'CANCELLED',
-                         cancellation_reason = ?,
-                         cancelled_at = NOW(),
-                         updated_at = NOW()
-                     WHERE id = ?`,
-                    [req.body.cancellation_reason || 'Cancelled from Dashboard', oldCase.appointment_id]
-                );
-                console.log('✅ Synced: PN CANCELLED → Appointment CANCELLED');
-            }
-        }
+    return { segments, delimiters };
+};
 
-        updateQuery += ' WHERE id = ?';
-        updateParams.push(id);
+// Decode HL7 escape sequences (\F\ \S\ \T\ \R\ \E\ and \.br\)
+const unescapeHL7 = (value, delimiters) => {
+    const escape = delimiters.escape;
+    const replacements = {
+        F: delimiters.field, S: delimiters.component, T: delimiters.subcomponent,
+        R: delimiters.repetition, E: escape, '.br': '\n'
+    };
+    return value.split(escape).map((part, index) => {
+        return index % 2 === 1 && replacements[part] !== undefined ? replacements[part] : part;
+    }).join('');
+};
 
-        await db.execute(updateQuery, updateParams);
+// Escape text for inclusion in an HL7 field
+const escapeHL7 = (value) => {
+    return String(value || '')
+        .replace(/\\/g, '\\E\\')
+        .replace(/\|/g, '\\F\\')
+        .replace(/\^/g, '\\S\\')
+        .replace(/&/g, '\\T\\')
+        .replace(/~/g, '\\R\\')
+        .replace(/\r?\n/g, ' ');
+};
 
-        // Log status change in history
-        await db.execute(
-            `INSERT INTO pn_status_history (pn_id, old_status, new_status, changed_by, is_reversal)
-             VALUES (?, ?, ?, ?, FALSE)`,
-            [id, oldCase.status, status, req.user.id]
-        );
+/**
+ * Read a component of a field from a parsed segment
+ * @param {Object} message - Parsed message (for delimiters)
+ * @param {Object} segment - Segment from parseHL7Message
+ * @param {number} field - Field number (e.g. 5 for PID-5)
+ * @param {number} component - Component number, 1-based
+ * @param {number} repetition - Repetition index, 0-based
+ * @returns {string} - Unescaped value, or '' when absent
+ */
+const getHL7Value = (message, segment, field, component = 1, repetition = 0) => {
+    if (!segment || !segment.fields[field]) {
+        return '';
+    }
+    const { delimiters } = message;
+    const repetitions = segment.fields[field].split(delimiters.repetition);
+    const components = (repetitions[repetition] || '').split(delimiters.component);
+    const value = (components[component - 1] || '').split(delimiters.subcomponent)[0];
+    return unescapeHL7(value, delimiters).trim();
+};
 
-        await auditLog(db, req.user.id, 'UPDATE_STATUS', 'pn_case', id,
-                      { status: oldCase.status }, { status }, req);
+const getHL7Repetitions = (message, segment, field) => {
+    if (!segment || !segment.fields[field]) {
+        return 0;
+    }
+    return segment.fields[field].split(message.delimiters.repetition).length;
+};
 
-        res.json({
-            success: true,
-            message: `PN case status updated to ${status}`
-        });
-    } catch (error) {
-        console.error('Update PN status error:', error);
-        res.status(500).json({ error: 'Failed to update PN case status' });
+const findHL7Segment = (message, name) => {
+    return message.segments.find(segment => segment.name === name) || null;
+};
+
+// Convert an HL7 DTM/DT value (YYYYMMDD[HHMM...]) to YYYY-MM-DD
+const parseHL7Date = (value) => {
+    const parsed = moment(String(value || '').substring(0, 8), 'YYYYMMDD', true);
+    return parsed.isValid() ? parsed.format('YYYY-MM-DD') : null;
+};
+
+/**
+ * Build an ACK for a received message
+ * @param {Object|null} message - Parsed inbound message (null if it could not be parsed)
+ * @param {string} ackCode - AA (accept), AE (error) or AR (reject)
+ * @param {string} text - Human readable result
+ * @param {Object} errorCode - Entry from HL7_ERROR_CODES for AE/AR
+ * @returns {string} - ACK message, segments separated by CR
+ */
+const buildHL7Ack = (message, ackCode, text, errorCode = null) => {
+    const msh = message ? findHL7Segment(message, 'MSH') : null;
+    const field = (index, component = 1) => (msh ? getHL7Value(message, msh, index, component) : '');
+    const trigger = field(9, 2);
+    const version = field(12) || '2.5';
+
+    const segments = [
+        [
+            'MSH', '^~\\&', HL7_SENDING_APPLICATION, HL7_SENDING_FACILITY,
+            field(3), field(4), moment().format('YYYYMMDDHHmmss'), '',
+            trigger ? `ACK^${trigger}^ACK` : 'ACK', `ACK${Date.now()}`, field(11) || 'P', version
+        ].join('|'),
+        ['MSA', ackCode, field(10), escapeHL7(text)].join('|')
+    ];
+
+    if (errorCode) {
+        segments.push(['ERR', '', '', `${errorCode.code}^${errorCode.text}^HL70357`, ackCode === 'AR' ? 'F' : 'E', '', '', '', escapeHL7(text)].join('|'));
     }
-});
 
-// Reverse PN case status (ADMIN only)
-app.post('/api/pn/:id/reverse-status', authenticateToken, authorize('ADMIN'), async (req, res) => {
-    try {
-        const db = req.app.locals.db;
-        const { id } = req.params;
-        const { reason } = req.body;
+    return segments.join('\r');
+};
 
-        if (!reason) {
-            return res.status(400).json({ error: 'Reversal reason is required' });
+/**
+ * Map PID, PV1, NK1 (and DG1 when present) onto patients columns
+ * @param {Object} message - Parsed ADT message
+ * @returns {Object} - { data, identifiers, clinicCode, issues }
+ */
+const mapHL7PatientData = (message) => {
+    const pid = findHL7Segment(message, 'PID');
+    const pv1 = findHL7Segment(message, 'PV1');
+    const nk1 = findHL7Segment(message, 'NK1');
+    const dg1 = findHL7Segment(message, 'DG1');
+    const value = (segment, field, component, repetition) => getHL7Value(message, segment, field, component, repetition);
+
+    const data = {};
+    const identifiers = {};
+    const issues = [];
+
+    // PID-3 patient identifier list (CX: ID^check digit^scheme^assigning authority^type code)
+    for (let rep = 0; rep < getHL7Repetitions(message, pid, 3); rep++) {
+        const id = value(pid, 3, 1, rep);
+        const assigningAuthority = value(pid, 3, 4, rep);
+        const typeCode = value(pid, 3, 5, rep);
+        if (!id) {
+            continue;
+        }
+        if (['NI', 'NNTHA', 'CZ'].includes(typeCode)) {
+            identifiers.pid = id;
+        } else if (typeCode === 'PPN') {
+            identifiers.passport_no = id;
+        } else if (typeCode === 'MR' && assigningAuthority === HL7_SENDING_FACILITY) {
+            // Only our own HN is an HN - other hospitals' MRNs are not stored
+            identifiers.hn = id;
         }
+    }
+    // PID-19 (SSN) carries the Thai national ID in many local interfaces
+    if (!identifiers.pid && /^\d{13}$/.test(value(pid, 19))) {
+        identifiers.pid = value(pid, 19);
+    }
+    Object.assign(data, identifiers);
 
-        // Get current case
-        const [cases] = await db.execute(
-            'SELECT * FROM pn_cases WHERE id = ?',
-            [id]
-        );
-
-        if (cases.length === 0) {
-            return res.status(404).json({ error: 'PN case not found' });
+    // PID-5 patient name (XPN: family^given^middle^suffix^prefix)
+    const family = value(pid, 5, 1);
+    const given = [value(pid, 5, 2), value(pid, 5, 3)].filter(part => part).join(' ');
+    if (!family || !given) {
+        issues.push('PID-5 patient name must include family and given name');
+    } else {
+        data.last_name = family;
+        data.first_name = given;
+        if (value(pid, 5, 5)) {
+            data.title = value(pid, 5, 5);
         }
+    }
 
-        const currentCase = cases[0];
+    // PID-7 date of birth
+    const dob = parseHL7Date(value(pid, 7));
+    if (!dob) {
+        issues.push('PID-7 date of birth is required (YYYYMMDD)');
+    } else {
+        data.dob = dob;
+    }
 
-        // Only allow reversal from COMPLETED to ACCEPTED
-        if (currentCase.status !== 'COMPLETED') {
-            return res.status(400).json({
-                error: 'Can only reverse COMPLETED cases back to ACCEPTED'
-            });
+    // PID-8 administrative sex
+    if (value(pid, 8)) {
+        data.gender = HL7_SEX_MAP[value(pid, 8)] || null;
+    }
+
+    // PID-11 address (XAD: street^other^city^state^zip^country)
+    const address = [1, 2, 3, 4, 5, 6].map(component => value(pid, 11, component)).filter(part => part);
+    if (address.length > 0) {
+        data.address = address.join(', ');
+    }
+
+    // PID-13 home phone / email (XTN: number^use^equipment^email)
+    for (let rep = 0; rep < getHL7Repetitions(message, pid, 13); rep++) {
+        const equipment = value(pid, 13, 3, rep);
+        if (equipment === 'Internet' || value(pid, 13, 2, rep) === 'NET') {
+            data.email = data.email || value(pid, 13, 4, rep);
+        } else {
+            data.phone = data.phone || value(pid, 13, 1, rep) || value(pid, 13, 12, rep);
         }
+    }
+    if (!data.phone && value(pid, 14)) {
+        data.phone = value(pid, 14);
+    }
 
-        // Update status back to ACCEPTED and clear completed_at
-        await db.execute(
-            `UPDATE pn_cases
-             SET status = 'ACCEPTED',
-                 completed_at = NULL,
-                 is_reversed = TRUE,
-                 last_reversal_reason = ?,
-                 last_reversed_at = NOW(),
-                 updated_at = NOW()
-             WHERE id = ?`,
-            [reason, id]
-        );
+    // NK1 next of kin -> emergency contact
+    if (nk1) {
+        const contactName = [value(nk1, 2, 2), value(nk1, 2, 1)].filter(part => part).join(' ');
+        if (contactName) {
+            data.emergency_contact = value(nk1, 3, 2)
+                ? `${contactName} (${value(nk1, 3, 2)})`
+                : contactName;
+        }
+        if (value(nk1, 5)) {
+            data.emergency_phone = value(nk1, 5);
+        }
+    }
 
-        // Log status reversal in history
-        await db.execute(
-            `INSERT INTO pn_status_history (pn_id, old_status, new_status, changed_by, change_reason, is_reversal)
-             VALUES (?, ?, ?, ?, ?, TRUE)`,
-            [id, 'COMPLETED', 'ACCEPTED', req.user.id, reason]
-        );
+    // DG1 diagnosis (optional - ADT registrations often omit it)
+    if (dg1) {
+        data.diagnosis = value(dg1, 4) || value(dg1, 3, 2) || value(dg1, 3, 1) || undefined;
+    }
 
-        await auditLog(db, req.user.id, 'REVERSE_STATUS', 'pn_case', id,
-                      { status: 'COMPLETED' }, { status: 'ACCEPTED', reason }, req);
+    // PV1-8 referring doctor (XCN: ID^family^given)
+    if (pv1 && (value(pv1, 8, 2) || value(pv1, 8, 3))) {
+        const doctor = [value(pv1, 8, 6), value(pv1, 8, 3), value(pv1, 8, 2)].filter(part => part).join(' ');
+        data.doctor_note = `Referring doctor: ${doctor}`;
+    }
 
-        res.json({
-            success: true,
-            message: 'Case status reversed to ACCEPTED. SOAP notes must be re-entered.'
-        });
+    // PV1-3.4 assigned facility, falling back to MSH-6 receiving facility
+    const clinicCode = value(pv1, 3, 4) || value(findHL7Segment(message, 'MSH'), 6);
+
+    return { data, identifiers, clinicCode, issues };
+};
+
+/**
+ * Process an inbound HL7 v2 message and return the ACK/NAK to send back
+ * Supports ADT^A04 (register patient) and ADT^A08 (update patient information).
+ * @param {Object} db - Database connection
+ * @param {Object} user - User the message is processed as (req.user or the MLLP user)
+ * @param {string} rawMessage - Pipe-delimited message
+ * @param {Object} req - Express request, used for audit logging (null for MLLP)
+ * @returns {Promise<string>} - ACK message
+ */
+const processHL7Message = async (db, user, rawMessage, req = null) => {
+    let message;
+    try {
+        message = parseHL7Message(rawMessage);
     } catch (error) {
-        console.error('Reverse status error:', error);
-        res.status(500).json({ error: 'Failed to reverse status' });
+        return buildHL7Ack(null, 'AR', error.message, HL7_ERROR_CODES.SEGMENT_SEQUENCE);
     }
-});
 
-// Get SOAP notes for a PN case
-app.get('/api/pn/:id/soap-notes', authenticateToken, async (req, res) => {
-    try {
-        const db = req.app.locals.db;
-        const { id } = req.params;
+    const msh = findHL7Segment(message, 'MSH');
+    const messageType = getHL7Value(message, msh, 9, 1);
+    const triggerEvent = getHL7Value(message, msh, 9, 2);
 
-        const [notes] = await db.execute(
-            `SELECT s.*, CONCAT(u.first_name, ' ', u.last_name) as created_by_name
-             FROM pn_soap_notes s
-             JOIN users u ON s.created_by = u.id
-             WHERE s.pn_id = ?
-             ORDER BY s.timestamp DESC`,
-            [id]
-        );
+    if (messageType !== 'ADT') {
+        return buildHL7Ack(message, 'AR', `Message type ${messageType || '(empty)'} is not supported`,
+            HL7_ERROR_CODES.UNSUPPORTED_MESSAGE_TYPE);
+    }
+    if (!['A04', 'A08'].includes(triggerEvent)) {
+        return buildHL7Ack(message, 'AR', `Event ADT^${triggerEvent || '(empty)'} is not supported`,
+            HL7_ERROR_CODES.UNSUPPORTED_EVENT);
+    }
+    if (!findHL7Segment(message, 'PID')) {
+        return buildHL7Ack(message, 'AE', 'PID segment is required', HL7_ERROR_CODES.SEGMENT_SEQUENCE);
+    }
 
-        res.json(notes);
-    } catch (error) {
-        console.error('Get SOAP notes error:', error);
-        res.status(500).json({ error: 'Failed to retrieve SOAP notes' });
+    const { data, identifiers, clinicCode, issues } = mapHL7PatientData(message);
+    if (issues.length > 0) {
+        return buildHL7Ack(message, 'AE', issues.join('; '), HL7_ERROR_CODES.REQUIRED_FIELD);
     }
-});
 
-// Create PT certificate
-app.post('/api/pn/:id/certificate', authenticateToken, async (req, res) => {
     try {
-        const db = req.app.locals.db;
-        const { id } = req.params;
-        const { certificate_type, certificate_data } = req.body;
-
-        // Check access - ADMIN and PT only
-        if (req.user.role !== 'ADMIN' && req.user.role !== 'PT') {
-            return res.status(403).json({ error: 'Only ADMIN or PT can create certificates' });
+        // Match on the identifiers we store so repeated A04s do not create duplicates
+        const matchFields = Object.keys(identifiers);
+        let existing = null;
+        if (matchFields.length > 0) {
+            const [patients] = await db.execute(
+                `SELECT id FROM patients
+                 WHERE ${matchFields.map(field => `${field} = ?`).join(' OR ')}
+                 ORDER BY id LIMIT 1`,
+                matchFields.map(field => identifiers[field])
+            );
+            existing = patients[0] || null;
         }
 
-        if (!certificate_type || !['thai', 'english'].includes(certificate_type)) {
-            return res.status(400).json({ error: 'Invalid certificate type. Must be "thai" or "english"' });
+        if (existing) {
+            await updatePatientRecord(db, user, existing.id, data, req);
+            return buildHL7Ack(message, 'AA', `Patient ${existing.id} updated`);
         }
 
-        // Verify case is COMPLETED
-        const [cases] = await db.execute(
-            'SELECT status FROM pn_cases WHERE id = ?',
-            [id]
-        );
-
-        if (cases.length === 0) {
-            return res.status(404).json({ error: 'PN case not found' });
+        if (triggerEvent === 'A08') {
+            return buildHL7Ack(message, 'AE', 'No patient matches the PID-3 identifiers',
+                HL7_ERROR_CODES.UNKNOWN_KEY);
         }
 
-        if (cases[0].status !== 'COMPLETED') {
-            return res.status(400).json({ error: 'Can only create certificates for COMPLETED cases' });
+        let clinicId = process.env.HL7_DEFAULT_CLINIC_ID || null;
+        if (clinicCode) {
+            const [clinics] = await db.execute('SELECT id FROM clinics WHERE code = ?', [clinicCode]);
+            if (clinics.length > 0) {
+                clinicId = clinics[0].id;
+            }
         }
 
-        // Insert certificate
-        const [result] = await db.execute(
-            `INSERT INTO pt_certificates (pn_id, certificate_type, certificate_data, created_by)
-             VALUES (?, ?, ?, ?)`,
-            [id, certificate_type, JSON.stringify(certificate_data), req.user.id]
-        );
-
-        await auditLog(db, req.user.id, 'CREATE_CERTIFICATE', 'pt_certificate', result.insertId,
-                      null, { pn_id: id, certificate_type }, req);
+        const result = await createPatientRecord(db, user, {
+            ...data,
+            diagnosis: data.diagnosis || 'Referred via HL7 ADT (no diagnosis supplied)',
+            clinic_id: clinicId
+        }, req);
 
-        res.json({
-            success: true,
-            message: 'Certificate created successfully',
-            certificate_id: result.insertId
-        });
+        return buildHL7Ack(message, 'AA', `Patient ${result.patient_id} registered as ${result.hn}`);
     } catch (error) {
-        console.error('Create certificate error:', error);
-        res.status(500).json({ error: 'Failed to create certificate' });
+        if (error.status) {
+            return buildHL7Ack(message, 'AE', error.message, HL7_ERROR_CODES.INTERNAL);
+        }
+        console.error('HL7 ADT processing error:', error);
+        return buildHL7Ack(message, 'AE', 'Failed to process message', HL7_ERROR_CODES.INTERNAL);
     }
-});
+};
 
-// Get certificates for a PN case
-app.get('/api/pn/:id/certificates', authenticateToken, async (req, res) => {
+// NAK for a message whose processing threw, so the sender is never left without an answer
+const buildHL7ErrorAck = (rawMessage, text) => {
+    let message;
     try {
-        const db = req.app.locals.db;
-        const { id } = req.params;
-
-        const [certificates] = await db.execute(
-            `SELECT c.*, CONCAT(u.first_name, ' ', u.last_name) as created_by_name
-             FROM pt_certificates c
-             JOIN users u ON c.created_by = u.id
-             WHERE c.pn_id = ?
-             ORDER BY c.created_at DESC`,
-            [id]
-        );
-
-        res.json(certificates);
+        message = parseHL7Message(rawMessage);
     } catch (error) {
-        console.error('Get certificates error:', error);
-        res.status(500).json({ error: 'Failed to retrieve certificates' });
-    }
-});
-
-// Certificate Settings Page (ADMIN only)
-app.get('/certificate-settings', authenticateToken, async (req, res) => {
-    if (req.user.role !== 'ADMIN') {
-        return res.status(403).send('Access denied. ADMIN only.');
+        return buildHL7Ack(null, 'AR', text, HL7_ERROR_CODES.INTERNAL);
     }
-    res.render('certificate_settings', { user: req.user });
-});
+    return buildHL7Ack(message, 'AE', text, HL7_ERROR_CODES.INTERNAL);
+};
 
-// Get certificate settings
-app.get('/api/certificate-settings', authenticateToken, async (req, res) => {
-    try {
-        const db = req.app.locals.db;
-        const { clinic_id } = req.query;
+// Exposed for the MLLP listener in server.js
+app.locals.processHL7Message = processHL7Message;
+app.locals.buildHL7ErrorAck = buildHL7ErrorAck;
 
-        let query = 'SELECT * FROM certificate_settings WHERE ';
-        let params = [];
+// Receive an HL7 v2 message over HTTP (HL7 over HTTP: ACK/NAK is always returned with 200)
+app.post('/api/hl7/v2', authenticateToken,
+    express.text({ type: ['application/hl7-v2', 'x-application/hl7-v2+er7', 'text/plain'], limit: '1mb' }),
+    async (req, res) => {
+        try {
+            const db = req.app.locals.db;
+            const rawMessage = typeof req.body === 'string' ? req.body : '';
+            const ack = await processHL7Message(db, req.user, rawMessage, req);
 
-        if (clinic_id) {
-            query += 'clinic_id = ?';
-            params.push(clinic_id);
-        } else {
-            query += 'clinic_id IS NULL';
+            res.type('application/hl7-v2').send(ack);
+        } catch (error) {
+            console.error('HL7 v2 endpoint error:', error);
+            res.status(500).json({ error: 'Failed to process HL7 message' });
         }
+    });
 
-        query += ' LIMIT 1';
-
-        const [settings] = await db.execute(query, params);
-
-        res.json(settings.length > 0 ? settings[0] : null);
-    } catch (error) {
-        console.error('Get certificate settings error:', error);
-        res.status(500).json({ error: 'Failed to retrieve settings' });
-    }
-});
+// ========================================
+// DASHBOARD SUMMARY STATISTICS
+// ========================================
 
-// Create certificate settings
-app.post('/api/certificate-settings', authenticateToken, async (req, res) => {
+// Get dashboard summary statistics
+app.get('/api/dashboard/summary', authenticateToken, async (req, res) => {
     try {
-        if (req.user.role !== 'ADMIN') {
-            return res.status(403).json({ error: 'Only ADMIN can modify certificate settings' });
-        }
-
         const db = req.app.locals.db;
-        const {
-            clinic_id, clinic_logo_url, clinic_name, clinic_address,
-            clinic_phone, clinic_email, header_text, footer_text,
-            show_pt_diagnosis, show_subjective, show_treatment_period
-        } = req.body;
+        const now = new Date();
+        const currentMonth = now.getMonth() + 1; // 1-12
+        const currentYear = now.getFullYear();
+        const lastMonth = currentMonth === 1 ? 12 : currentMonth - 1;
+        const lastMonthYear = currentMonth === 1 ? currentYear - 1 : currentYear;
 
-        const [result] = await db.execute(
-            `INSERT INTO certificate_settings
-             (clinic_id, clinic_logo_url, clinic_name, clinic_address, clinic_phone,
-              clinic_email, header_text, footer_text, show_pt_diagnosis,
-              show_subjective, show_treatment_period)
-             VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
-            [
-                clinic_id || null, clinic_logo_url, clinic_name, clinic_address,
-                clinic_phone, clinic_email, header_text, footer_text,
-                show_pt_diagnosis !== false, show_subjective !== false,
-                show_treatment_period !== false
-            ]
+        // Get CL001 clinic ID
+        const [clinicResult] = await db.execute(
+            `SELECT id FROM clinics WHERE code = 'CL001' LIMIT 1`
         );
 
-        res.json({
-            success: true,
-            message: 'Settings created successfully',
-            id: result.insertId
-        });
-    } catch (error) {
-        console.error('Create certificate settings error:', error);
-        res.status(500).json({ error: 'Failed to create settings' });
-    }
-});
-
-// Update certificate settings
-app.put('/api/certificate-settings/:id', authenticateToken, async (req, res) => {
-    try {
-        if (req.user.role !== 'ADMIN') {
-            return res.status(403).json({ error: 'Only ADMIN can modify certificate settings' });
-        }
-
-        const db = req.app.locals.db;
-        const { id } = req.params;
-        const {
-            clinic_id, clinic_logo_url, clinic_name, clinic_address,
-            clinic_phone, clinic_email, header_text, footer_text,
-            show_pt_diagnosis, show_subjective, show_treatment_period
-        } = req.body;
+        const cl001Id = clinicResult.length > 0 ? clinicResult[0].id : null;
 
-        await db.execute(
-            `UPDATE certificate_settings
-             SET clinic_id = ?, clinic_logo_url = ?, clinic_name = ?,
-                 clinic_address = ?, clinic_phone = ?, clinic_email = ?,
-                 header_text = ?, footer_text = ?, show_pt_diagnosis = ?,
-                 show_subjective = ?, show_treatment_period = ?,
-                 updated_at = NOW()
-             WHERE id = ?`,
-            [
-                clinic_id || null, clinic_logo_url, clinic_name, clinic_address,
-                clinic_phone, clinic_email, header_text, footer_text,
-                show_pt_diagnosis !== false, show_subjective !== false,
-                show_treatment_period !== false, id
-            ]
+        // Get bills paid summary (current month only)
+        const [billsSummary] = await db.execute(
+            `SELECT
+                COUNT(*) as paid_count,
+                COALESCE(SUM(total_amount), 0) as paid_amount
+             FROM bills
+             WHERE payment_status = 'PAID'
+             AND MONTH(created_at) = ?
+             AND YEAR(created_at) = ?`,
+            [currentMonth, currentYear]
         );
 
-        res.json({
-            success: true,
-            message: 'Settings updated successfully'
-        });
-    } catch (error) {
-        console.error('Update certificate settings error:', error);
-        res.status(500).json({ error: 'Failed to update settings' });
-    }
-});
-
-// Update PT certificate (ADMIN only)
-app.put('/api/certificates/:certificateId', authenticateToken, async (req, res) => {
-    try {
-        const db = req.app.locals.db;
-        const { certificateId } = req.params;
-        const { certificate_data } = req.body;
-
-        // Only ADMIN can edit certificates
-        if (req.user.role !== 'ADMIN') {
-            return res.status(403).json({ error: 'Only ADMIN can edit certificates' });
-        }
+        // Get bills today (all statuses)
+        const [billsToday] = await db.execute(
+            `SELECT
+                COUNT(*) as count,
+                COALESCE(SUM(total_amount), 0) as amount
+             FROM bills
+             WHERE DATE(created_at) = CURDATE()`
+        );
 
-        // Check if certificate exists
-        const [certificates] = await db.execute(
-            'SELECT * FROM pt_certificates WHERE id = ?',
-            [certificateId]
+        // Get new patients this month in CL001
+        const [patientsThisMonth] = await db.execute(
+            `SELECT COUNT(*) as count
+             FROM patients
+             WHERE MONTH(created_at) = ?
+             AND YEAR(created_at) = ?
+             ${cl001Id ? 'AND clinic_id = ?' : ''}`,
+            cl001Id ? [currentMonth, currentYear, cl001Id] : [currentMonth, currentYear]
         );
 
-        if (certificates.length === 0) {
-            return res.status(404).json({ error: 'Certificate not found' });
-        }
+        // Get new patients last month in CL001 (for comparison)
+        const [patientsLastMonth] = await db.execute(
+            `SELECT COUNT(*) as count
+             FROM patients
+             WHERE MONTH(created_at) = ?
+             AND YEAR(created_at) = ?
+             ${cl001Id ? 'AND clinic_id = ?' : ''}`,
+            cl001Id ? [lastMonth, lastMonthYear, cl001Id] : [lastMonth, lastMonthYear]
+        );
 
-        // Update certificate
-        await db.execute(
-            `UPDATE pt_certificates
-             SET certificate_data = ?, updated_at = NOW()
-             WHERE id = ?`,
-            [JSON.stringify(certificate_data), certificateId]
+        // Get total patients in CL001
+        const [totalPatients] = await db.execute(
+            `SELECT COUNT(*) as count
+             FROM patients
+             ${cl001Id ? 'WHERE clinic_id = ?' : ''}`,
+            cl001Id ? [cl001Id] : []
         );
 
-        await auditLog(db, req.user.id, 'UPDATE_CERTIFICATE', 'pt_certificate', certificateId,
-                      certificates[0], { certificate_data }, req);
+        const thisMonthCount = patientsThisMonth[0].count || 0;
+        const lastMonthCount = patientsLastMonth[0].count || 0;
+        const changeFromLastMonth = thisMonthCount - lastMonthCount;
 
         res.json({
-            success: true,
-            message: 'Certificate updated successfully'
+            bills_paid: {
+                count: billsSummary[0].paid_count || 0,
+                amount: parseFloat(billsSummary[0].paid_amount) || 0
+            },
+            bills_today: {
+                count: billsToday[0].count || 0,
+                amount: parseFloat(billsToday[0].amount) || 0
+            },
+            patients_this_month: {
+                count: thisMonthCount,
+                change: changeFromLastMonth,
+                month: now.toLocaleString('default', { month: 'long' }),
+                year: currentYear,
+                clinic: 'CL001'
+            },
+            total_patients: {
+                count: totalPatients[0].count || 0,
+                clinic: 'CL001'
+            }
         });
     } catch (error) {
-        console.error('Update certificate error:', error);
-        res.status(500).json({ error: 'Failed to update certificate' });
+        console.error('Dashboard summary error:', error);
+        res.status(500).json({ error: 'Failed to fetch dashboard summary' });
     }
 });
 
-// Delete PN case (Only PENDING status can be deleted)
-app.delete('/api/pn/:id', authenticateToken, async (req, res) => {
+// ========================================
+// PN CASE MANAGEMENT ROUTES
+// ========================================
+
+// Get PN cases
+app.get('/api/pn', authenticateToken, async (req, res) => {
     try {
         const db = req.app.locals.db;
-        const { id } = req.params;
+        const {
+            status, clinic_id, from_date, to_date,
+            search, page = 1, limit = 20
+        } = req.query;
 
-        // Get current PN case
-        const [cases] = await db.execute(
-            'SELECT * FROM pn_cases WHERE id = ?',
-            [id]
-        );
+        const offset = (page - 1) * limit;
 
-        if (cases.length === 0) {
-            return res.status(404).json({ error: 'PN case not found' });
-        }
+        // Query for PN cases with appointments
+        let pnCasesQuery = `
+            SELECT
+                pn.id, pn.patient_id, pn.pn_code, pn.diagnosis, pn.purpose,
+                pn.status, pn.created_at, pn.updated_at, pn.completed_at,
+                p.hn, p.first_name, p.last_name,
+                sc.name as source_clinic_name,
+                CONCAT(u.first_name, ' ', u.last_name) as created_by_name,
+                (SELECT MAX(r.created_at)
+                 FROM pn_reports r
+                 WHERE r.pn_id = pn.id) as last_report_at,
+                b.id as bill_id,
+                apt.appointment_date,
+                apt.start_time as appointment_start_time,
+                apt.end_time as appointment_end_time,
+                apt.booking_type,
+                apt.walk_in_name,
+                'PN_CASE' as record_type
+            FROM pn_cases pn
+            JOIN patients p ON pn.patient_id = p.id
+            JOIN clinics sc ON pn.source_clinic_id = sc.id
+            JOIN clinics tc ON pn.target_clinic_id = tc.id
+            JOIN users u ON pn.created_by = u.id
+            LEFT JOIN bills b ON pn.id = b.pn_case_id
+            LEFT JOIN appointments apt ON pn.id = apt.pn_case_id
+            WHERE 1=1
+        `;
 
-        const pnCase = cases[0];
+        // Query for ALL walk-in appointments (with or without PN case)
+        let walkInQuery = `
+            SELECT
+                apt.id, apt.patient_id,
+                COALESCE(p.hn, '') as hn,
+                COALESCE(p.first_name, apt.walk_in_name) as first_name,
+                COALESCE(p.last_name, '') as last_name,
+                c.name as source_clinic_name,
+                CONCAT(u.first_name, ' ', u.last_name) as created_by_name,
+                apt.created_at,
+                apt.appointment_date,
+                apt.start_time as appointment_start_time,
+                apt.end_time as appointment_end_time,
+                apt.booking_type,
+                apt.walk_in_name,
+                'WALK_IN' as record_type
+            FROM appointments apt
+            LEFT JOIN patients p ON apt.patient_id = p.id
+            JOIN clinics c ON apt.clinic_id = c.id
+            JOIN users u ON apt.created_by = u.id
+            WHERE apt.booking_type = 'WALK_IN'
+            AND apt.status != 'CANCELLED'
+        `;
 
-        // Only PENDING cases can be deleted
-        if (pnCase.status !== 'PENDING') {
-            return res.status(400).json({
-                error: `Cannot delete PN case with status ${pnCase.status}. Only PENDING cases can be deleted.`
-            });
-        }
+        let countQuery = `
+            SELECT COUNT(*) as total
+            FROM pn_cases pn
+            JOIN patients p ON pn.patient_id = p.id
+            WHERE 1=1
+        `;
 
-        // Check access - PT and ADMIN can delete, CLINIC can delete if it's their clinic
+        const pnParams = [];
+        const walkInParams = [];
+        const countParams = [];
+
+        // Role-based filtering
         if (req.user.role === 'CLINIC') {
-            if (pnCase.target_clinic_id !== req.user.clinic_id && pnCase.source_clinic_id !== req.user.clinic_id) {
-                return res.status(403).json({ error: 'No access to delete this PN case' });
+            if (!req.user.clinic_id) {
+                return res.status(403).json({
+                    error: 'CLINIC user must be assigned to a clinic'
+                });
             }
+            pnCasesQuery += ' AND (pn.source_clinic_id = ? OR pn.target_clinic_id = ?)';
+            walkInQuery += ' AND c.id = ?';
+            countQuery += ' AND (pn.source_clinic_id = ? OR pn.target_clinic_id = ?)';
+            pnParams.push(req.user.clinic_id, req.user.clinic_id);
+            walkInParams.push(req.user.clinic_id);
+            countParams.push(req.user.clinic_id, req.user.clinic_id);
         }
 
-        const removedAppointments = [];
-
-        try {
-            await db.beginTransaction();
-
-            const [appointments] = await db.execute(
-                'SELECT * FROM appointments WHERE pn_case_id = ?',
-                [id]
-            );
-
-            if (appointments.length > 0) {
-                removedAppointments.push(...appointments.map(apt => apt.id));
-                await db.execute('DELETE FROM appointments WHERE pn_case_id = ?', [id]);
-
-                for (const appointment of appointments) {
-                    await auditLog(db, req.user.id, 'DELETE', 'appointment', appointment.id, appointment, null, req);
-                }
-            }
+        // Filter by specific clinic
+        if (clinic_id) {
+            pnCasesQuery += ' AND (pn.source_clinic_id = ? OR pn.target_clinic_id = ?)';
+            walkInQuery += ' AND c.id = ?';
+            countQuery += ' AND (pn.source_clinic_id = ? OR pn.target_clinic_id = ?)';
+            pnParams.push(clinic_id, clinic_id);
+            walkInParams.push(clinic_id);
+            countParams.push(clinic_id, clinic_id);
+        }
 
-            await db.execute('DELETE FROM pn_status_history WHERE pn_id = ?', [id]);
-            await db.execute('DELETE FROM pn_visits WHERE pn_id = ?', [id]);
-            await db.execute('DELETE FROM pn_attachments WHERE pn_id = ?', [id]);
-            await db.execute('DELETE FROM pt_certificates WHERE pn_id = ?', [id]);
+        // Filter by status (only for PN cases)
+        if (status) {
+            pnCasesQuery += ' AND pn.status = ?';
+            countQuery += ' AND pn.status = ?';
+            pnParams.push(status);
+            countParams.push(status);
+        } else {
+            pnCasesQuery += ' AND pn.status != ?';
+            countQuery += ' AND pn.status != ?';
+            pnParams.push('CANCELLED');
+            countParams.push('CANCELLED');
+        }
 
-            await db.execute('DELETE FROM pn_cases WHERE id = ?', [id]);
-            await auditLog(db, req.user.id, 'DELETE', 'pn_case', id, pnCase, null, req);
+        // Date range filter
+        if (from_date) {
+            pnCasesQuery += ' AND COALESCE(apt.appointment_date, DATE(pn.created_at)) >= ?';
+            walkInQuery += ' AND apt.appointment_date >= ?';
+            countQuery += ' AND DATE(pn.created_at) >= ?';
+            pnParams.push(from_date);
+            walkInParams.push(from_date);
+            countParams.push(from_date);
+        }
 
-            await db.commit();
+        if (to_date) {
+            pnCasesQuery += ' AND COALESCE(apt.appointment_date, DATE(pn.created_at)) <= ?';
+            walkInQuery += ' AND apt.appointment_date <= ?';
+            countQuery += ' AND DATE(pn.created_at) <= ?';
+            pnParams.push(to_date);
+            walkInParams.push(to_date);
+            countParams.push(to_date);
+        }
 
-            res.json({
-                success: true,
-                message: 'PN case deleted successfully',
-                removed_appointments: removedAppointments
-            });
-        } catch (transactionError) {
-            await db.rollback();
-            console.error('Delete PN case transaction error:', transactionError);
-            return res.status(500).json({ error: 'Failed to delete PN case' });
+        // Search filter
+        if (search) {
+            const searchPattern = `%${search}%`;
+            pnCasesQuery += ` AND (p.hn LIKE ? OR p.first_name LIKE ? OR p.last_name LIKE ?
+                      OR pn.pn_code LIKE ? OR pn.diagnosis LIKE ? OR pn.purpose LIKE ?)`;
+            walkInQuery += ` AND (COALESCE(p.first_name, apt.walk_in_name) LIKE ? OR COALESCE(p.last_name, '') LIKE ?)`;
+            countQuery += ` AND (p.hn LIKE ? OR p.first_name LIKE ? OR p.last_name LIKE ?
+                           OR pn.pn_code LIKE ? OR pn.diagnosis LIKE ? OR pn.purpose LIKE ?)`;
+            const pnSearchParams = Array(6).fill(searchPattern);
+            pnParams.push(...pnSearchParams);
+            walkInParams.push(searchPattern, searchPattern);
+            countParams.push(...pnSearchParams);
         }
-    } catch (error) {
-        console.error('Delete PN case error:', error);
-        res.status(500).json({ error: 'Failed to delete PN case' });
-    }
-});
 
-// Get single PN case with details
-app.get('/api/pn/:id', authenticateToken, async (req, res) => {
-    try {
-        const db = req.app.locals.db;
-        const { id } = req.params;
+        // Get total count for PN cases
+        const [countResult] = await db.execute(countQuery, countParams);
+        const total = countResult[0].total;
 
-        const [cases] = await db.execute(
-            `SELECT
-                pn.*,
-                p.hn, p.pt_number, p.first_name, p.last_name, p.dob, p.gender,
-                p.diagnosis as patient_diagnosis, p.rehab_goal, p.precaution,
-                sc.name as source_clinic_name,
-                tc.name as target_clinic_name,
-                CONCAT(u.first_name, ' ', u.last_name) as created_by_name,
-                CONCAT(pt.first_name, ' ', pt.last_name) as assigned_pt_name
-            FROM pn_cases pn
-            JOIN patients p ON pn.patient_id = p.id
-            JOIN clinics sc ON pn.source_clinic_id = sc.id
-            JOIN clinics tc ON pn.target_clinic_id = tc.id
-            JOIN users u ON pn.created_by = u.id
-            LEFT JOIN users pt ON pn.assigned_pt_id = pt.id
-            WHERE pn.id = ?`,
-            [id]
-        );
+        // Execute PN cases query with pagination
+        pnCasesQuery += ' ORDER BY COALESCE(apt.appointment_date, DATE(pn.created_at)) DESC, pn.created_at DESC LIMIT ? OFFSET ?';
+        pnParams.push(parseInt(limit), offset);
+        const [cases] = await db.execute(pnCasesQuery, pnParams);
 
-        if (cases.length === 0) {
-            return res.status(404).json({ error: 'PN case not found' });
+        // Execute walk-in query (no pagination - get all matching walk-ins)
+        walkInQuery += ' ORDER BY apt.appointment_date DESC, apt.created_at DESC';
+        console.log('🔍 Walk-in Query:', walkInQuery);
+        console.log('🔍 Walk-in Params:', walkInParams);
+        const [walkIns] = await db.execute(walkInQuery, walkInParams);
+        console.log('🔍 Walk-ins returned:', walkIns.length, 'records');
+        if (walkIns.length > 0) {
+            console.log('🔍 First walk-in:', walkIns[0]);
         }
 
-        // Get visits
-        let visits = [];
-        try {
-            const [result] = await db.execute(
-                `SELECT v.*, CONCAT(u.first_name, ' ', u.last_name) as therapist_name
-                 FROM pn_visits v
-                 LEFT JOIN users u ON v.therapist_id = u.id
-                 WHERE v.pn_id = ?
-                 ORDER BY v.visit_no`,
-                [id]
-            );
-            visits = result;
-        } catch (err) {
-            console.warn('Failed to load visits:', err.message);
-        }
+        // Get statistics with role-based filtering (exclude CANCELLED from total)
+        let statsQuery = `
+            SELECT
+                COUNT(CASE WHEN status != 'CANCELLED' THEN 1 END) as total,
+                SUM(CASE WHEN status = 'PENDING' THEN 1 ELSE 0 END) as waiting,
+                SUM(CASE WHEN status = 'ACCEPTED' THEN 1 ELSE 0 END) as accepted,
+                SUM(CASE WHEN status = 'COMPLETED' THEN 1 ELSE 0 END) as completed,
+                SUM(CASE WHEN MONTH(created_at) = MONTH(CURRENT_DATE())
+                    AND YEAR(created_at) = YEAR(CURRENT_DATE())
+                    AND status != 'CANCELLED' THEN 1 ELSE 0 END) as this_month
+            FROM pn_cases
+            WHERE 1=1
+        `;
 
-        // Get reports
-        let reports = [];
-        try {
-            const [result] = await db.execute(
-                `SELECT r.*, v.visit_no
-                 FROM pn_reports r
-                 JOIN pn_visits v ON r.visit_id = v.id
-                 WHERE v.pn_id = ?
-                 ORDER BY r.created_at DESC`,
-                [id]
-            );
-            reports = result;
-        } catch (err) {
-            console.warn('Failed to load reports:', err.message);
-        }
+        const statsParams = [];
 
-        // Get SOAP notes (table may not exist yet - run migration_add_missing_tables.sql)
-        let soap_notes = [];
-        try {
-            const [result] = await db.execute(
-                `SELECT s.*, CONCAT(u.first_name, ' ', u.last_name) as created_by_name
-                 FROM pn_soap_notes s
-                 JOIN users u ON s.created_by = u.id
-                 WHERE s.pn_id = ?
-                 ORDER BY s.timestamp DESC`,
-                [id]
-            );
-            soap_notes = result;
-        } catch (err) {
-            console.warn('Failed to load SOAP notes (table may not exist):', err.message);
+        // Apply same role-based filtering to statistics
+        if (req.user.role === 'CLINIC') {
+            statsQuery += ' AND (source_clinic_id = ? OR target_clinic_id = ?)';
+            statsParams.push(req.user.clinic_id, req.user.clinic_id);
         }
 
-        // Get attachments (table may not exist yet - run migration_add_missing_tables.sql)
-        let attachments = [];
-        try {
-            const [result] = await db.execute(
-                `SELECT a.*, CONCAT(u.first_name, ' ', u.last_name) as uploaded_by_name
-                 FROM pn_attachments a
-                 JOIN users u ON a.uploaded_by = u.id
-                 WHERE a.pn_id = ?
-                 ORDER BY a.created_at DESC`,
-                [id]
-            );
-            attachments = result;
-        } catch (err) {
-            console.warn('Failed to load attachments (table may not exist):', err.message);
-        }
+        const [stats] = await db.execute(statsQuery, statsParams);
 
         res.json({
-            ...cases[0],
-            visits,
-            reports,
-            soap_notes,
-            attachments
+            cases,
+            walkIns,
+            statistics: stats[0],
+            pagination: {
+                page: parseInt(page),
+                limit: parseInt(limit),
+                total,
+                pages: Math.ceil(total / limit)
+            }
         });
     } catch (error) {
-        console.error('Get PN case error:', error);
-        res.status(500).json({ error: 'Failed to retrieve PN case details' });
+        console.error('Get PN cases error:', error);
+        res.status(500).json({ error: 'Failed to retrieve PN cases' });
     }
 });
 
-app.get('/api/pn/:id/timeline', authenticateToken, async (req, res) => {
+// Create PN case
+app.post('/api/pn', authenticateToken, [
+    body('patient_id').isInt(),
+    body('diagnosis').notEmpty(),
+    body('purpose').notEmpty(),
+    body('target_clinic_id').optional().isInt(),  // Optional for CLINIC users
+    body('course_id').optional().isInt(),  // Optional course_id for course cutting
+    body('referring_doctor_email').optional({ checkFalsy: true }).isEmail()
+], async (req, res) => {
     try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
         const db = req.app.locals.db;
-        const { id } = req.params;
+        const pnCode = generatePNCode();
 
-        const [cases] = await db.execute(
-            `SELECT pn.*, 
-                    CONCAT(creator.first_name, ' ', creator.last_name) AS created_by_name,
-                    sc.name AS source_clinic_name,
-                    tc.name AS target_clinic_name
-             FROM pn_cases pn
-             JOIN clinics sc ON pn.source_clinic_id = sc.id
-             JOIN clinics tc ON pn.target_clinic_id = tc.id
-             JOIN users creator ON pn.created_by = creator.id
-             WHERE pn.id = ?`,
-            [id]
+        // Get patient's clinic as source
+        const [patients] = await db.execute(
+            'SELECT clinic_id FROM patients WHERE id = ?',
+            [req.body.patient_id]
         );
 
-        if (cases.length === 0) {
-            return res.status(404).json({ error: 'PN case not found' });
+        if (patients.length === 0) {
+            return res.status(404).json({ error: 'Patient not found' });
         }
 
-        const pnCase = cases[0];
+        const patientClinicId = patients[0].clinic_id;
 
-        if (req.user.role === 'CLINIC') {
-            if (pnCase.source_clinic_id !== req.user.clinic_id && pnCase.target_clinic_id !== req.user.clinic_id) {
-                return res.status(403).json({ error: 'No access to this PN case' });
+        // Role-based access control for PN case creation
+        // ADMIN: Can create PN cases - any source to any target
+        // CLINIC: Can only create PN cases for their own clinic as TARGET (receiving referrals)
+        // PT: Can create PN cases for any patient to any clinic
+
+        let sourceClinicId;
+        let targetClinicId;
+
+        if (req.user.role === 'CLINIC') {
+            // CLINIC users create PN cases for their own clinic to treat
+            // They are the TARGET clinic (receiving the patient)
+            if (!req.user.clinic_id) {
+                return res.status(403).json({
+                    error: 'CLINIC user must be assigned to a clinic'
+                });
+            }
+
+            // Source: Patient's current clinic
+            sourceClinicId = patientClinicId;
+
+            // Target: LOCKED to CLINIC user's clinic (they are receiving the patient)
+            targetClinicId = req.user.clinic_id;
+
+            // If target_clinic_id is provided in request, ignore it for CLINIC users
+            if (req.body.target_clinic_id && req.body.target_clinic_id !== req.user.clinic_id) {
+                return res.status(403).json({
+                    error: 'CLINIC users can only create PN cases for their own clinic'
+                });
+            }
+        } else {
+            // ADMIN and PT can specify any source and target
+            sourceClinicId = patientClinicId;
+            targetClinicId = req.body.target_clinic_id;
+
+            if (!targetClinicId) {
+                return res.status(400).json({
+                    error: 'Target clinic ID is required'
+                });
             }
         }
 
-        const timeline = [];
+        // Course validation if course_id is provided
+        let courseId = req.body.course_id || null;
+        if (courseId) {
+            const [courses] = await db.execute(
+                `SELECT id, course_code, remaining_sessions, status, patient_id, expiry_date
+                 FROM courses WHERE id = ?`,
+                [courseId]
+            );
 
-        timeline.push({
-            type: 'CASE_CREATED',
-            timestamp: pnCase.created_at,
-            status: pnCase.status,
-            title: 'PN case created',
-            description: `Case created by ${pnCase.created_by_name || 'System'}`,
-            meta: {
-                created_by: pnCase.created_by_name || null,
-                clinic: pnCase.target_clinic_name || null
+            if (courses.length === 0) {
+                return res.status(404).json({ error: 'Course not found' });
             }
-        });
 
-        const [statusHistory] = await db.execute(
-            `SELECT h.old_status, h.new_status, h.change_reason, h.is_reversal,
-                    DATE_FORMAT(h.created_at, '%Y-%m-%d %H:%i:%s') AS changed_at,
-                    CONCAT(u.first_name, ' ', u.last_name) AS changed_by_name
-             FROM pn_status_history h
-             LEFT JOIN users u ON h.changed_by = u.id
-             WHERE h.pn_id = ?
-             ORDER BY h.created_at ASC`,
-            [id]
-        );
+            const course = courses[0];
 
-        statusHistory.forEach(entry => {
-            timeline.push({
-                type: 'STATUS_CHANGE',
-                timestamp: entry.changed_at,
-                status: entry.new_status,
-                title: `Status changed to ${entry.new_status}`,
-                description: entry.change_reason || null,
-                meta: {
-                    changed_by: entry.changed_by_name || null,
-                    old_status: entry.old_status,
-                    is_reversal: !!entry.is_reversal
-                }
-            });
-        });
+            // Validate course belongs to the patient
+            if (course.patient_id !== req.body.patient_id) {
+                return res.status(400).json({
+                    error: 'Course does not belong to this patient'
+                });
+            }
 
-        const [appointmentHistory] = await db.execute(
-            `SELECT a.id, a.status, a.booking_type,
-                    DATE_FORMAT(a.appointment_date, '%Y-%m-%d') AS appointment_date,
-                    TIME_FORMAT(a.start_time, '%H:%i:%s') AS start_time,
-                    TIME_FORMAT(a.end_time, '%H:%i:%s') AS end_time,
-                    DATE_FORMAT(a.created_at, '%Y-%m-%d %H:%i:%s') AS created_at,
-                    a.walk_in_name, a.walk_in_phone,
-                    CASE
-                        WHEN a.booking_type = 'WALK_IN' THEN CONCAT('W', LPAD(a.id, 6, '0'))
-                        ELSE NULL
-                    END AS walk_in_id,
-                    CONCAT(p.first_name, ' ', p.last_name) AS patient_name,
-                    CONCAT(pt.first_name, ' ', pt.last_name) AS pt_name,
-                    c.name AS clinic_name,
-                    CONCAT(creator.first_name, ' ', creator.last_name) AS created_by_name
-             FROM appointments a
-             LEFT JOIN patients p ON a.patient_id = p.id
-             LEFT JOIN users pt ON a.pt_id = pt.id
-             JOIN clinics c ON a.clinic_id = c.id
-             LEFT JOIN users creator ON a.created_by = creator.id
-             WHERE a.pn_case_id = ?
-             ORDER BY a.appointment_date ASC, a.start_time ASC`,
-            [id]
-        );
+            // Validate course status
+            if (course.status !== 'ACTIVE') {
+                return res.status(400).json({
+                    error: `Course is ${course.status}. Only ACTIVE courses can be used.`
+                });
+            }
 
-        appointmentHistory.forEach(apt => {
-            const appointmentTitle = apt.status === 'CANCELLED'
-                ? 'Appointment cancelled'
-                : apt.status === 'COMPLETED'
-                    ? 'Appointment completed'
-                    : 'Appointment scheduled';
-            const participant = apt.booking_type === 'WALK_IN'
-                ? `Walk-in: ${apt.walk_in_name || 'Unknown visitor'}`
-                : (apt.patient_name || 'Unknown patient');
-            const description = `${participant} with ${apt.pt_name || 'Unassigned PT'}`;
-            const timestamp = apt.appointment_date
-                ? `${apt.appointment_date}T${apt.start_time || '00:00:00'}`
-                : apt.created_at;
+            // Validate remaining sessions
+            if (course.remaining_sessions <= 0) {
+                return res.status(400).json({
+                    error: 'Course has no remaining sessions. Please purchase a new course.',
+                    course_code: course.course_code,
+                    remaining_sessions: course.remaining_sessions
+                });
+            }
 
-            timeline.push({
-                type: 'APPOINTMENT',
-                timestamp,
-                status: apt.status,
-                title: appointmentTitle,
-                description,
-                    meta: {
-                        appointment_id: apt.id,
-                        booking_type: apt.booking_type,
-                        clinic: apt.clinic_name,
-                        start_time: apt.start_time,
-                        end_time: apt.end_time,
-                        created_at: apt.created_at,
-                        created_by: apt.created_by_name,
-                        walk_in_phone: apt.walk_in_phone,
-                        walk_in_name: apt.walk_in_name,
-                        walk_in_id: apt.walk_in_id
-                    }
+            // Validate expiry date
+            if (course.expiry_date && new Date(course.expiry_date) < new Date()) {
+                return res.status(400).json({
+                    error: 'Course has expired',
+                    expiry_date: course.expiry_date
                 });
+            }
+
+            // Course validation passed - will deduct 1 session
+        }
+
+        // ICD-10/ICF codes for the referral diagnosis: { diagnosis: [codeId, ...] }
+        const diagnosisCodes = await parseDiagnosisCodes(db, req.body.diagnosis_codes, ['diagnosis']);
+        if (diagnosisCodes.error) {
+            return res.status(400).json({ error: diagnosisCodes.error });
+        }
+
+        // ******** FIX: REMOVED 'priority' from column list and '?' from values ********
+        // Insert PN case with course_id
+        const [result] = await db.execute(
+            `INSERT INTO pn_cases (
+                pn_code, patient_id, diagnosis, purpose, status,
+                source_clinic_id, target_clinic_id, referring_doctor, referring_doctor_email,
+                notes, current_medications, allergies,
+                pn_precautions, pn_contraindications, medical_notes,
+                pain_scale, functional_status, course_id, created_by
+            ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+            [
+                pnCode,
+                req.body.patient_id,
+                req.body.diagnosis,
+                req.body.purpose,
+                'PENDING',
+                sourceClinicId,
+                targetClinicId,
+                req.body.referring_doctor || null,
+                req.body.referring_doctor_email || null,
+                // ******** FIX: REMOVED 'req.body.priority || 'NORMAL',' ********
+                req.body.notes || null,
+                req.body.current_medications || null,
+                req.body.allergies || null,
+                req.body.pn_precautions || null,
+                req.body.pn_contraindications || null,
+                req.body.medical_notes || null,
+                req.body.pain_scale || null,
+                req.body.functional_status || null,
+                courseId,
+                req.user.id
+            ]
+        );
+
+        // NOTE: Course session is NOT deducted here
+        // Session will be deducted when PN status changes to ACCEPTED
+
+        // Structured goals; free-text treatment_goals/expected_outcomes from older clients become goals too
+        const goals = Array.isArray(req.body.goals) ? req.body.goals.filter(goal => goal && goal.description) : [];
+        [req.body.treatment_goals, req.body.expected_outcomes].filter(Boolean)
+            .forEach(description => goals.push({ description }));
+        for (const goal of goals) {
+            await insertPNGoal(db, result.insertId, goal, req.user.id);
+        }
+
+        await saveDiagnosisCodes(db, result.insertId, diagnosisCodes.codes, req.user.id);
+
+        // Consent forms signed before the patient had a case are filed under the new one
+        await attachSignedConsents(db, { patientId: req.body.patient_id });
+
+        await auditLog(db, req.user.id, 'CREATE', 'pn_case', result.insertId, null, req.body, req);
+
+        const responseMessage = courseId
+            ? 'PN case created successfully with course linked (session will be deducted when accepted)'
+            : 'PN case created successfully';
+
+        res.status(201).json({
+            success: true,
+            message: responseMessage,
+            pn_id: result.insertId,
+            pn_code: pnCode,
+            course_id: courseId
         });
+    } catch (error) {
+        console.error('Create PN case error:', error);
+        res.status(500).json({ error: 'Failed to create PN case' });
+    }
+});
 
-        const [visits] = await db.execute(
-            `SELECT v.id, v.visit_no, v.status,
-                    DATE_FORMAT(v.visit_date, '%Y-%m-%d') AS visit_date,
-                    TIME_FORMAT(v.visit_time, '%H:%i:%s') AS visit_time,
-                    CONCAT(u.first_name, ' ', u.last_name) AS therapist_name
-             FROM pn_visits v
-             LEFT JOIN users u ON v.therapist_id = u.id
-             WHERE v.pn_id = ?
-             ORDER BY v.visit_date ASC, v.visit_time ASC`,
+// Update PN case medical information
+app.put('/api/pn/:id', authenticateToken, [
+    body('referring_doctor_email').optional({ checkFalsy: true }).isEmail()
+], async (req, res) => {
+    const db = req.app.locals.db;
+    let connection;
+
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        const { id } = req.params;
+
+        // Get current PN case
+        const [cases] = await db.execute(
+            'SELECT * FROM pn_cases WHERE id = ?',
             [id]
         );
 
-        visits.forEach(visit => {
-            const visitTimestamp = visit.visit_date
-                ? `${visit.visit_date}T${visit.visit_time || '00:00:00'}`
-                : null;
-            timeline.push({
-                type: 'VISIT',
-                timestamp: visitTimestamp,
+        if (cases.length === 0) {
+            return res.status(404).json({ error: 'PN case not found' });
+        }
+
+        const oldCase = cases[0];
+
+        // Check access - PT and ADMIN can update, CLINIC can update if it's their clinic
+        if (req.user.role === 'CLINIC') {
+            if (oldCase.target_clinic_id !== req.user.clinic_id && oldCase.source_clinic_id !== req.user.clinic_id) {
+                return res.status(403).json({ error: 'No access to update this PN case' });
+            }
+        }
+
+        // Allowed medical fields to update
+        const allowedFields = [
+            'diagnosis', 'purpose', 'referring_doctor', 'referring_doctor_email', 'notes',
+            'current_medications', 'allergies', 'pn_precautions', 'pn_contraindications',
+            'medical_notes', 'pain_scale', 'functional_status'
+        ];
+
+        const updateFields = [];
+        const updateValues = [];
+
+        for (const field of allowedFields) {
+            if (req.body[field] !== undefined) {
+                updateFields.push(`${field} = ?`);
+                updateValues.push(req.body[field]);
+            }
+        }
+
+        const diagnosisCodes = await parseDiagnosisCodes(db, req.body.diagnosis_codes);
+        if (diagnosisCodes.error) {
+            return res.status(400).json({ error: diagnosisCodes.error });
+        }
+
+        if (updateFields.length === 0 && Object.keys(diagnosisCodes.codes).length === 0) {
+            return res.status(400).json({ error: 'No fields to update' });
+        }
+
+        // Clinical content is never overwritten silently: changes are kept as { field, from, to },
+        // and once the case has signed notes a reason is required
+        const changes = diffClinicalFields(oldCase, req.body, allowedFields);
+        const reason = (req.body.change_reason || '').trim();
+        if (changes.length > 0) {
+            const [signed] = await db.execute(
+                `SELECT (SELECT COUNT(*) FROM pn_soap_notes WHERE pn_id = ? AND signed_at IS NOT NULL) +
+                        (SELECT COUNT(*) FROM pn_visits WHERE pn_id = ? AND signed_at IS NOT NULL) as signed_count`,
+                [id, id]
+            );
+            if (signed[0].signed_count > 0 && !reason) {
+                return res.status(400).json({ error: 'This case has signed notes; a reason for the change is required' });
+            }
+        }
+
+        updateFields.push('updated_at = NOW()');
+        updateValues.push(id);
+
+        // The addendum and the update it records are written together or not at all
+        connection = await db.getConnection();
+        await connection.beginTransaction();
+
+        await connection.execute(
+            `UPDATE pn_cases SET ${updateFields.join(', ')} WHERE id = ?`,
+            updateValues
+        );
+
+        if (changes.length > 0) {
+            await insertAddendum(connection, {
+                pnId: id, recordType: 'PN_CASE', recordId: id,
+                reason: reason || 'Updated before signing', changes, userId: req.user.id
+            });
+        }
+
+        await saveDiagnosisCodes(connection, id, diagnosisCodes.codes, req.user.id);
+
+        await connection.commit();
+
+        await auditLog(db, req.user.id, 'UPDATE', 'pn_case', id, oldCase, req.body, req);
+
+        res.json({ success: true, message: 'PN case updated successfully' });
+    } catch (error) {
+        if (connection) await connection.rollback();
+        console.error('Update PN case error:', error);
+        res.status(500).json({ error: 'Failed to update PN case' });
+    } finally {
+        if (connection) connection.release();
+    }
+});
+
+// Update PN case status
+app.patch('/api/pn/:id/status', authenticateToken, [
+    body('status').isIn(['PENDING', 'ACCEPTED', 'IN_PROGRESS', 'COMPLETED', 'CANCELLED'])
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        const db = req.app.locals.db;
+        const { id } = req.params;
+        const { status, pt_diagnosis, pt_chief_complaint, pt_present_history, pt_pain_score, soap_notes } = req.body;
+
+        // Get current case with clinic information and linked appointment
+        const [cases] = await db.execute(
+            `SELECT pn.*,
+                    COALESCE(a.course_id, pn.course_id) as final_course_id,
+                    sc.code as source_clinic_code,
+                    tc.code as target_clinic_code,
+                    a.id as appointment_id,
+                    a.status as appointment_status
+             FROM pn_cases pn
+             JOIN clinics sc ON pn.source_clinic_id = sc.id
+             JOIN clinics tc ON pn.target_clinic_id = tc.id
+             LEFT JOIN appointments a ON pn.id = a.pn_case_id
+             WHERE pn.id = ?`,
+            [id]
+        );
+
+        if (cases.length === 0) {
+            return res.status(404).json({ error: 'PN case not found' });
+        }
+
+        const oldCase = cases[0];
+
+        // Use final_course_id (from COALESCE) instead of pn.course_id
+        oldCase.course_id = oldCase.final_course_id;
+
+        // Check access - ADMIN and PT can change status
+        if (req.user.role !== 'ADMIN' && req.user.role !== 'PT') {
+            return res.status(403).json({ error: 'Only ADMIN or PT can change PN case status' });
+        }
+
+        // Codes for the PT diagnosis given on acceptance: { pt_diagnosis: [codeId, ...] }
+        const diagnosisCodes = await parseDiagnosisCodes(db, req.body.diagnosis_codes, ['pt_diagnosis']);
+        if (diagnosisCodes.error) {
+            return res.status(400).json({ error: diagnosisCodes.error });
+        }
+
+        // Update status with appropriate timestamp
+        let updateQuery = 'UPDATE pn_cases SET status = ?, updated_at = NOW()';
+        const updateParams = [status];
+        let acceptance = null;
+
+        console.log('=== PN STATUS CHANGE DEBUG ===');
+        console.log('PN ID:', id);
+        console.log('Old Status:', oldCase.status);
+        console.log('New Status:', status);
+        console.log('Course ID:', oldCase.course_id);
+        console.log('Source Clinic:', oldCase.source_clinic_code);
+        console.log('Target Clinic:', oldCase.target_clinic_code);
+        console.log('Linked Appointment ID:', oldCase.appointment_id);
+        console.log('Appointment Status:', oldCase.appointment_status);
+
+        // PENDING → ACCEPTED: Save PT information for non-CL001 clinics
+        // NOTE: Course session is NOT deducted here (only deducted via Appointment COMPLETED)
+        if (status === 'ACCEPTED' && oldCase.status === 'PENDING') {
+            // Red-flag screening is required for every clinic before acceptance
+            acceptance = await checkScreeningForAcceptance(db, id, req.body.screening);
+            if (acceptance.body) {
+                return res.status(acceptance.status).json(acceptance.body);
+            }
+
+            updateQuery += ', accepted_at = NOW()';
+
+            // For non-CL001 clinics, require and save PT assessment information
+            if (oldCase.source_clinic_code !== 'CL001' && oldCase.target_clinic_code !== 'CL001') {
+                if (!pt_diagnosis || !pt_chief_complaint || !pt_present_history || pt_pain_score === undefined) {
+                    return res.status(400).json({
+                        error: 'PT assessment information required for non-CL001 clinics',
+                        required_fields: ['pt_diagnosis', 'pt_chief_complaint', 'pt_present_history', 'pt_pain_score']
+                    });
+                }
+
+                updateQuery += ', pt_diagnosis = ?, pt_chief_complaint = ?, pt_present_history = ?, pt_pain_score = ?';
+                updateParams.push(pt_diagnosis, pt_chief_complaint, pt_present_history, pt_pain_score);
+                await saveDiagnosisCodes(db, id, diagnosisCodes.codes, req.user.id);
+            }
+
+            // ❌ REMOVED: Course session deduction from Dashboard
+            // ✅ Course sessions are ONLY deducted via Appointment COMPLETED → PN ACCEPTED
+
+            // Sync appointment to COMPLETED (Dashboard ACCEPTED → Appointment COMPLETED)
+            if (oldCase.appointment_id) {
+                await db.execute(
+                    `UPDATE appointments
+                     SET status = 'COMPLETED', updated_at = NOW()
+                     WHERE id = ?`,
+                    [oldCase.appointment_id]
+                );
+                console.log('✅ Synced: PN ACCEPTED → Appointment COMPLETED');
+
+                // Deduct course session when PN is accepted from dashboard
+                if (oldCase.course_id) {
+                    // Check if course session was already deducted for this PN
+                    const [usageHistory] = await db.execute(
+                        `SELECT id FROM course_usage_history
+                         WHERE course_id = ? AND pn_id = ? AND action_type = 'USE'
+                         LIMIT 1`,
+                        [oldCase.course_id, id]
+                    );
+
+                    if (usageHistory.length === 0) {
+                        // No session deducted yet - deduct now
+                        console.log('🎯 Dashboard PN ACCEPTED: Deducting course session for course:', oldCase.course_id);
+
+                        await db.execute(
+                            `UPDATE courses
+                             SET used_sessions = used_sessions + 1,
+                                 remaining_sessions = remaining_sessions - 1,
+                                 status = CASE
+                                     WHEN remaining_sessions - 1 <= 0 THEN 'COMPLETED'
+                                     ELSE status
+                                 END,
+                                 updated_at = NOW()
+                             WHERE id = ?`,
+                            [oldCase.course_id]
+                        );
+
+                        // Log course usage
+                        await db.execute(
+                            `INSERT INTO course_usage_history
+                             (course_id, bill_id, pn_id, sessions_used, usage_date, action_type, notes, created_by)
+                             VALUES (?, NULL, ?, 1, CURDATE(), 'USE', 'Dashboard: PN case accepted - session deducted', ?)`,
+                            [oldCase.course_id, id, req.user.id]
+                        ).catch(err => console.warn('Failed to log course usage:', err.message));
+
+                        console.log('✅ Course session deducted from dashboard');
+                    } else {
+                        console.log('ℹ️  Course session already deducted for this PN - skipping');
+                    }
+                }
+            }
+        }
+        // ACCEPTED → PENDING: Return course session (ADMIN only can reverse)
+        else if (status === 'PENDING' && oldCase.status === 'ACCEPTED') {
+            // Only ADMIN can reverse from ACCEPTED to PENDING
+            if (req.user.role !== 'ADMIN') {
+                return res.status(403).json({ error: 'Only ADMIN can reverse from ACCEPTED to PENDING' });
+            }
+
+            updateQuery += ', accepted_at = NULL';
+
+            // Clear PT assessment information
+            updateQuery += ', pt_diagnosis = NULL, pt_chief_complaint = NULL, pt_present_history = NULL, pt_pain_score = NULL';
+            await saveDiagnosisCodes(db, id, { pt_diagnosis: [] }, req.user.id);
+
+            // Only return course session if PN has linked appointment (meaning course was deducted via Appointment)
+            if (oldCase.course_id && oldCase.appointment_id) {
+                console.log('ACCEPTED → PENDING: Returning session to course (PN from Appointment):', oldCase.course_id);
+
+                await db.execute(
+                    `UPDATE courses
+                     SET used_sessions = GREATEST(0, used_sessions - 1),
+                         remaining_sessions = remaining_sessions + 1,
+                         status = CASE
+                             WHEN status = 'COMPLETED' AND remaining_sessions + 1 > 0 THEN 'ACTIVE'
+                             ELSE status
+                         END,
+                         updated_at = NOW()
+                     WHERE id = ?`,
+                    [oldCase.course_id]
+                );
+
+                // Log course return
+                await db.execute(
+                    `INSERT INTO course_usage_history
+                     (course_id, bill_id, pn_id, sessions_used, usage_date, action_type, notes, created_by)
+                     VALUES (?, NULL, ?, 1, CURDATE(), 'RETURN', 'PN case reversed to pending - session returned', ?)`,
+                    [oldCase.course_id, id, req.user.id]
+                ).catch(err => console.warn('Failed to log course return:', err.message));
+            } else if (oldCase.course_id && !oldCase.appointment_id) {
+                console.log('ℹ️  PN has course but no appointment - no session to return (Dashboard-created PN)');
+            }
+
+            // Sync appointment back to SCHEDULED (Dashboard PENDING → Appointment SCHEDULED)
+            if (oldCase.appointment_id) {
+                await db.execute(
+                    `UPDATE appointments
+                     SET status = 'SCHEDULED', updated_at = NOW()
+                     WHERE id = ?`,
+                    [oldCase.appointment_id]
+                );
+                console.log('✅ Synced: PN PENDING → Appointment SCHEDULED');
+            }
+        }
+        // ACCEPTED → COMPLETED: Require SOAP notes for all clinics
+        else if (status === 'COMPLETED' && oldCase.status === 'ACCEPTED') {
+            updateQuery += ', completed_at = NOW()';
+
+            // SOAP notes required for all clinics when completing
+            if (!soap_notes || !soap_notes.subjective || !soap_notes.objective ||
+                !soap_notes.assessment || !soap_notes.plan) {
+                return res.status(400).json({
+                    error: 'SOAP notes required when completing case',
+                    required_fields: ['soap_notes.subjective', 'soap_notes.objective', 'soap_notes.assessment', 'soap_notes.plan']
+                });
+            }
+
+            const bodyChart = validateBodyChartMarks(soap_notes.body_chart);
+            if (bodyChart.error) {
+                return res.status(400).json({ error: bodyChart.error });
+            }
+
+            // Save SOAP notes to separate table
+            const signature = soap_notes.sign ? await getActiveSignature(db, req.user.id) : null;
+            const [soapResult] = await db.execute(
+                `INSERT INTO pn_soap_notes (pn_id, subjective, objective, assessment, plan, timestamp, notes, created_by, signed_at, signed_by, signature_id)
+                 VALUES (?, ?, ?, ?, ?, NOW(), ?, ?, ${soap_notes.sign ? 'NOW(), ?, ?' : 'NULL, NULL, NULL'})`,
+                [id, soap_notes.subjective, soap_notes.objective, soap_notes.assessment,
+                 soap_notes.plan, soap_notes.notes || '', req.user.id,
+                 ...(soap_notes.sign ? [req.user.id, signature ? signature.id : null] : [])]
+            );
+
+            await saveBodyChartMarks(db, soapResult.insertId, id, bodyChart.marks);
+
+            // Sync appointment to COMPLETED (Dashboard COMPLETED → Appointment COMPLETED)
+            if (oldCase.appointment_id) {
+                await db.execute(
+                    `UPDATE appointments
+                     SET status = 'COMPLETED', updated_at = NOW()
+                     WHERE id = ?`,
+                    [oldCase.appointment_id]
+                );
+                console.log('✅ Synced: PN COMPLETED → Appointment COMPLETED');
+            }
+        }
+        // CANCELLED: Return the course session (only if was ACCEPTED AND from Appointment)
+        else if (status === 'CANCELLED') {
+            updateQuery += ', cancelled_at = NOW()';
+            if (req.body.cancellation_reason) {
+                updateQuery += ', cancellation_reason = ?';
+                updateParams.push(req.body.cancellation_reason);
+            }
+
+            // Only return session if PN was ACCEPTED, has course, AND has appointment (course was deducted via Appointment)
+            if (oldCase.status === 'ACCEPTED' && oldCase.course_id && oldCase.appointment_id) {
+                console.log('🔄 DASHBOARD CANCELLATION: Returning course session (PN from Appointment)');
+                console.log('   PN ID:', id);
+                console.log('   Course ID:', oldCase.course_id);
+                console.log('   Old Status:', oldCase.status);
+                console.log('   Has Appointment:', oldCase.appointment_id);
+
+                await db.execute(
+                    `UPDATE courses
+                     SET used_sessions = GREATEST(0, used_sessions - 1),
+                         remaining_sessions = remaining_sessions + 1,
+                         status = CASE
+                             WHEN status = 'COMPLETED' AND remaining_sessions + 1 > 0 THEN 'ACTIVE'
+                             ELSE status
+                         END,
+                         updated_at = NOW()
+                     WHERE id = ?`,
+                    [oldCase.course_id]
+                );
+
+                // Log course return
+                await db.execute(
+                    `INSERT INTO course_usage_history
+                     (course_id, bill_id, pn_id, sessions_used, usage_date, action_type, notes, created_by)
+                     VALUES (?, NULL, ?, 1, CURDATE(), 'RETURN', 'PN case cancelled - session returned', ?)`,
+                    [oldCase.course_id, id, req.user.id]
+                ).catch(err => console.warn('Failed to log course return:', err.message));
+
+                console.log('✅ Course session returned successfully');
+            } else {
+                console.log('ℹ️  No course session to return');
+                console.log('   Status:', oldCase.status, ', Course ID:', oldCase.course_id, ', Appointment:', oldCase.appointment_id);
+                if (oldCase.course_id && !oldCase.appointment_id) {
+                    console.log('   → Dashboard-created PN (no appointment) - no session was deducted');
+                }
+            }
+
+            // Sync appointment to CANCELLED (Dashboard CANCELLED → Appointment CANCELLED)
+            if (oldCase.appointment_id) {
+                await db.execute(
+                    `UPDATE appointments
+                     SET status = 'CANCELLED',
+                         cancellation_reason = ?,
+                         cancelled_at = NOW(),
+                         updated_at = NOW()
+                     WHERE id = ?`,
+                    [req.body.cancellation_reason || 'Cancelled from Dashboard', oldCase.appointment_id]
+                );
+                console.log('✅ Synced: PN CANCELLED → Appointment CANCELLED');
+            }
+        }
+
+        updateQuery += ' WHERE id = ?';
+        updateParams.push(id);
+
+        await db.execute(updateQuery, updateParams);
+
+        if (acceptance && acceptance.isNew) {
+            await saveScreening(db, id, acceptance.screening, req.user.id);
+            await notifyScreeningPositives(db, id, acceptance.screening, req.user);
+        }
+
+        // Log status change in history
+        await db.execute(
+            `INSERT INTO pn_status_history (pn_id, old_status, new_status, changed_by, is_reversal)
+             VALUES (?, ?, ?, ?, FALSE)`,
+            [id, oldCase.status, status, req.user.id]
+        );
+
+        await auditLog(db, req.user.id, 'UPDATE_STATUS', 'pn_case', id,
+                      { status: oldCase.status }, { status }, req);
+
+        res.json({
+            success: true,
+            message: `PN case status updated to ${status}`,
+            // Completed cases go on to the discharge form (POST /api/pn/:id/discharge)
+            discharge_pending: status === 'COMPLETED',
+            screening_warnings: acceptance ? screeningPositives(acceptance.screening) : []
+        });
+    } catch (error) {
+        console.error('Update PN status error:', error);
+        res.status(500).json({ error: 'Failed to update PN case status' });
+    }
+});
+
+// Reverse PN case status (ADMIN only)
+app.post('/api/pn/:id/reverse-status', authenticateToken, authorize('ADMIN'), async (req, res) => {
+    try {
+        const db = req.app.locals.db;
+        const { id } = req.params;
+        const { reason } = req.body;
+
+        if (!reason) {
+            return res.status(400).json({ error: 'Reversal reason is required' });
+        }
+
+        // Get current case
+        const [cases] = await db.execute(
+            'SELECT * FROM pn_cases WHERE id = ?',
+            [id]
+        );
+
+        if (cases.length === 0) {
+            return res.status(404).json({ error: 'PN case not found' });
+        }
+
+        const currentCase = cases[0];
+
+        // Only allow reversal from COMPLETED to ACCEPTED
+        if (currentCase.status !== 'COMPLETED') {
+            return res.status(400).json({
+                error: 'Can only reverse COMPLETED cases back to ACCEPTED'
+            });
+        }
+
+        // Update status back to ACCEPTED and clear completed_at
+        await db.execute(
+            `UPDATE pn_cases
+             SET status = 'ACCEPTED',
+                 completed_at = NULL,
+                 is_reversed = TRUE,
+                 last_reversal_reason = ?,
+                 last_reversed_at = NOW(),
+                 updated_at = NOW()
+             WHERE id = ?`,
+            [reason, id]
+        );
+
+        // Log status reversal in history
+        await db.execute(
+            `INSERT INTO pn_status_history (pn_id, old_status, new_status, changed_by, change_reason, is_reversal)
+             VALUES (?, ?, ?, ?, ?, TRUE)`,
+            [id, 'COMPLETED', 'ACCEPTED', req.user.id, reason]
+        );
+
+        await auditLog(db, req.user.id, 'REVERSE_STATUS', 'pn_case', id,
+                      { status: 'COMPLETED' }, { status: 'ACCEPTED', reason }, req);
+
+        res.json({
+            success: true,
+            message: 'Case status reversed to ACCEPTED. SOAP notes must be re-entered.'
+        });
+    } catch (error) {
+        console.error('Reverse status error:', error);
+        res.status(500).json({ error: 'Failed to reverse status' });
+    }
+});
+
+// Get SOAP notes for a PN case
+app.get('/api/pn/:id/soap-notes', authenticateToken, async (req, res) => {
+    try {
+        const db = req.app.locals.db;
+        const { id } = req.params;
+
+        const [notes] = await db.execute(
+            `SELECT s.*, CONCAT(u.first_name, ' ', u.last_name) as created_by_name,
+                    CONCAT(sb.first_name, ' ', sb.last_name) as signed_by_name
+             FROM pn_soap_notes s
+             JOIN users u ON s.created_by = u.id
+             LEFT JOIN users sb ON s.signed_by = sb.id
+             WHERE s.pn_id = ?
+             ORDER BY s.timestamp DESC`,
+            [id]
+        );
+
+        const marksByNote = await getBodyChartMarksByNote(db, notes.map(note => note.id));
+
+        // Signed notes keep their original text; `addenda` holds each correction as { field, from, to }
+        // and `current` the text with all of them applied
+        const withAddenda = await attachSignatureImages(db, await attachAddenda(db, 'SOAP_NOTE', notes, SOAP_NOTE_FIELDS));
+
+        res.json(withAddenda.map(note => ({ ...note, body_chart: marksByNote[note.id] || [] })));
+    } catch (error) {
+        console.error('Get SOAP notes error:', error);
+        res.status(500).json({ error: 'Failed to retrieve SOAP notes' });
+    }
+});
+
+// Create PT certificate
+app.post('/api/pn/:id/certificate', authenticateToken, async (req, res) => {
+    try {
+        const db = req.app.locals.db;
+        const { id } = req.params;
+        const { certificate_type, certificate_data } = req.body;
+
+        // Check access - ADMIN and PT only
+        if (req.user.role !== 'ADMIN' && req.user.role !== 'PT') {
+            return res.status(403).json({ error: 'Only ADMIN or PT can create certificates' });
+        }
+
+        if (!certificate_type || !['thai', 'english'].includes(certificate_type)) {
+            return res.status(400).json({ error: 'Invalid certificate type. Must be "thai" or "english"' });
+        }
+
+        // Verify case is COMPLETED
+        const [cases] = await db.execute(
+            'SELECT status FROM pn_cases WHERE id = ?',
+            [id]
+        );
+
+        if (cases.length === 0) {
+            return res.status(404).json({ error: 'PN case not found' });
+        }
+
+        if (cases[0].status !== 'COMPLETED') {
+            return res.status(400).json({ error: 'Can only create certificates for COMPLETED cases' });
+        }
+
+        // Signed straight away when the creator has a registered signature
+        const signature = await getActiveSignature(db, req.user.id);
+
+        // Insert certificate
+        const [result] = await db.execute(
+            `INSERT INTO pt_certificates (pn_id, certificate_type, certificate_data, created_by, signed_by, signed_at, signature_id)
+             VALUES (?, ?, ?, ?, ${signature ? '?, NOW(), ?' : 'NULL, NULL, NULL'})`,
+            [id, certificate_type, JSON.stringify(certificate_data), req.user.id,
+             ...(signature ? [req.user.id, signature.id] : [])]
+        );
+
+        await auditLog(db, req.user.id, 'CREATE_CERTIFICATE', 'pt_certificate', result.insertId,
+                      null, { pn_id: id, certificate_type, signature_id: signature ? signature.id : null }, req);
+
+        res.json({
+            success: true,
+            message: 'Certificate created successfully',
+            certificate_id: result.insertId,
+            signed: Boolean(signature)
+        });
+    } catch (error) {
+        console.error('Create certificate error:', error);
+        res.status(500).json({ error: 'Failed to create certificate' });
+    }
+});
+
+// Get certificates for a PN case
+app.get('/api/pn/:id/certificates', authenticateToken, async (req, res) => {
+    try {
+        const db = req.app.locals.db;
+        const { id } = req.params;
+
+        const [certificates] = await db.execute(
+            `SELECT c.*, CONCAT(u.first_name, ' ', u.last_name) as created_by_name,
+                    CONCAT(sb.first_name, ' ', sb.last_name) as signed_by_name
+             FROM pt_certificates c
+             JOIN users u ON c.created_by = u.id
+             LEFT JOIN users sb ON c.signed_by = sb.id
+             WHERE c.pn_id = ?
+             ORDER BY c.created_at DESC`,
+            [id]
+        );
+
+        res.json(certificates);
+    } catch (error) {
+        console.error('Get certificates error:', error);
+        res.status(500).json({ error: 'Failed to retrieve certificates' });
+    }
+});
+
+// Certificate Settings Page (ADMIN only)
+app.get('/certificate-settings', authenticateToken, async (req, res) => {
+    if (req.user.role !== 'ADMIN') {
+        return res.status(403).send('Access denied. ADMIN only.');
+    }
+    res.render('certificate_settings', { user: req.user });
+});
+
+// Get certificate settings
+app.get('/api/certificate-settings', authenticateToken, async (req, res) => {
+    try {
+        const db = req.app.locals.db;
+        const { clinic_id } = req.query;
+
+        let query = 'SELECT * FROM certificate_settings WHERE ';
+        let params = [];
+
+        if (clinic_id) {
+            query += 'clinic_id = ?';
+            params.push(clinic_id);
+        } else {
+            query += 'clinic_id IS NULL';
+        }
+
+        query += ' LIMIT 1';
+
+        const [settings] = await db.execute(query, params);
+
+        res.json(settings.length > 0 ? settings[0] : null);
+    } catch (error) {
+        console.error('Get certificate settings error:', error);
+        res.status(500).json({ error: 'Failed to retrieve settings' });
+    }
+});
+
+// Create certificate settings
+app.post('/api/certificate-settings', authenticateToken, async (req, res) => {
+    try {
+        if (req.user.role !== 'ADMIN') {
+            return res.status(403).json({ error: 'Only ADMIN can modify certificate settings' });
+        }
+
+        const db = req.app.locals.db;
+        const {
+            clinic_id, clinic_logo_url, clinic_name, clinic_address,
+            clinic_phone, clinic_email, header_text, footer_text,
+            show_pt_diagnosis, show_subjective, show_treatment_period
+        } = req.body;
+
+        const [result] = await db.execute(
+            `INSERT INTO certificate_settings
+             (clinic_id, clinic_logo_url, clinic_name, clinic_address, clinic_phone,
+              clinic_email, header_text, footer_text, show_pt_diagnosis,
+              show_subjective, show_treatment_period)
+             VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+            [
+                clinic_id || null, clinic_logo_url, clinic_name, clinic_address,
+                clinic_phone, clinic_email, header_text, footer_text,
+                show_pt_diagnosis !== false, show_subjective !== false,
+                show_treatment_period !== false
+            ]
+        );
+
+        res.json({
+            success: true,
+            message: 'Settings created successfully',
+            id: result.insertId
+        });
+    } catch (error) {
+        console.error('Create certificate settings error:', error);
+        res.status(500).json({ error: 'Failed to create settings' });
+    }
+});
+
+// Update certificate settings
+app.put('/api/certificate-settings/:id', authenticateToken, async (req, res) => {
+    try {
+        if (req.user.role !== 'ADMIN') {
+            return res.status(403).json({ error: 'Only ADMIN can modify certificate settings' });
+        }
+
+        const db = req.app.locals.db;
+        const { id } = req.params;
+        const {
+            clinic_id, clinic_logo_url, clinic_name, clinic_address,
+            clinic_phone, clinic_email, header_text, footer_text,
+            show_pt_diagnosis, show_subjective, show_treatment_period
+        } = req.body;
+
+        await db.execute(
+            `UPDATE certificate_settings
+             SET clinic_id = ?, clinic_logo_url = ?, clinic_name = ?,
+                 clinic_address = ?, clinic_phone = ?, clinic_email = ?,
+                 header_text = ?, footer_text = ?, show_pt_diagnosis = ?,
+                 show_subjective = ?, show_treatment_period = ?,
+                 updated_at = NOW()
+             WHERE id = ?`,
+            [
+                clinic_id || null, clinic_logo_url, clinic_name, clinic_address,
+                clinic_phone, clinic_email, header_text, footer_text,
+                show_pt_diagnosis !== false, show_subjective !== false,
+                show_treatment_period !== false, id
+            ]
+        );
+
+        res.json({
+            success: true,
+            message: 'Settings updated successfully'
+        });
+    } catch (error) {
+        console.error('Update certificate settings error:', error);
+        res.status(500).json({ error: 'Failed to update settings' });
+    }
+});
+
+// Update PT certificate (ADMIN only)
+app.put('/api/certificates/:certificateId', authenticateToken, async (req, res) => {
+    try {
+        const db = req.app.locals.db;
+        const { certificateId } = req.params;
+        const { certificate_data } = req.body;
+
+        // Only ADMIN can edit certificates
+        if (req.user.role !== 'ADMIN') {
+            return res.status(403).json({ error: 'Only ADMIN can edit certificates' });
+        }
+
+        // Check if certificate exists
+        const [certificates] = await db.execute(
+            'SELECT * FROM pt_certificates WHERE id = ?',
+            [certificateId]
+        );
+
+        if (certificates.length === 0) {
+            return res.status(404).json({ error: 'Certificate not found' });
+        }
+
+        // Update certificate; an edited certificate has to be signed again
+        await db.execute(
+            `UPDATE pt_certificates
+             SET certificate_data = ?, signed_by = NULL, signed_at = NULL, signature_id = NULL, updated_at = NOW()
+             WHERE id = ?`,
+            [JSON.stringify(certificate_data), certificateId]
+        );
+
+        await auditLog(db, req.user.id, 'UPDATE_CERTIFICATE', 'pt_certificate', certificateId,
+                      certificates[0], { certificate_data }, req);
+
+        res.json({
+            success: true,
+            message: 'Certificate updated successfully'
+        });
+    } catch (error) {
+        console.error('Update certificate error:', error);
+        res.status(500).json({ error: 'Failed to update certificate' });
+    }
+});
+
+// Delete PN case (Only PENDING status can be deleted)
+app.delete('/api/pn/:id', authenticateToken, async (req, res) => {
+    try {
+        const db = req.app.locals.db;
+        const { id } = req.params;
+
+        // Get current PN case
+        const [cases] = await db.execute(
+            'SELECT * FROM pn_cases WHERE id = ?',
+            [id]
+        );
+
+        if (cases.length === 0) {
+            return res.status(404).json({ error: 'PN case not found' });
+        }
+
+        const pnCase = cases[0];
+
+        // Only PENDING cases can be deleted
+        if (pnCase.status !== 'PENDING') {
+            return res.status(400).json({
+                error: `Cannot delete PN case with status ${pnCase.status}. Only PENDING cases can be deleted.`
+            });
+        }
+
+        // Check access - PT and ADMIN can delete, CLINIC can delete if it's their clinic
+        if (req.user.role === 'CLINIC') {
+            if (pnCase.target_clinic_id !== req.user.clinic_id && pnCase.source_clinic_id !== req.user.clinic_id) {
+                return res.status(403).json({ error: 'No access to delete this PN case' });
+            }
+        }
+
+        const removedAppointments = [];
+
+        try {
+            await db.beginTransaction();
+
+            const [appointments] = await db.execute(
+                'SELECT * FROM appointments WHERE pn_case_id = ?',
+                [id]
+            );
+
+            if (appointments.length > 0) {
+                removedAppointments.push(...appointments.map(apt => apt.id));
+                await db.execute('DELETE FROM appointments WHERE pn_case_id = ?', [id]);
+
+                for (const appointment of appointments) {
+                    await auditLog(db, req.user.id, 'DELETE', 'appointment', appointment.id, appointment, null, req);
+                }
+            }
+
+            await db.execute('DELETE FROM pn_status_history WHERE pn_id = ?', [id]);
+            await db.execute('DELETE FROM pn_visits WHERE pn_id = ?', [id]);
+            await db.execute('DELETE FROM pn_attachments WHERE pn_id = ?', [id]);
+            await db.execute('DELETE FROM pt_certificates WHERE pn_id = ?', [id]);
+
+            await db.execute('DELETE FROM pn_cases WHERE id = ?', [id]);
+            await auditLog(db, req.user.id, 'DELETE', 'pn_case', id, pnCase, null, req);
+
+            await db.commit();
+
+            res.json({
+                success: true,
+                message: 'PN case deleted successfully',
+                removed_appointments: removedAppointments
+            });
+        } catch (transactionError) {
+            await db.rollback();
+            console.error('Delete PN case transaction error:', transactionError);
+            return res.status(500).json({ error: 'Failed to delete PN case' });
+        }
+    } catch (error) {
+        console.error('Delete PN case error:', error);
+        res.status(500).json({ error: 'Failed to delete PN case' });
+    }
+});
+
+// Get single PN case with details
+app.get('/api/pn/:id', authenticateToken, async (req, res) => {
+    try {
+        const db = req.app.locals.db;
+        const { id } = req.params;
+
+        const [cases] = await db.execute(
+            `SELECT
+                pn.*,
+                p.hn, p.pt_number, p.first_name, p.last_name, p.dob, p.gender,
+                p.diagnosis as patient_diagnosis, p.rehab_goal, p.precaution,
+                sc.name as source_clinic_name,
+                tc.name as target_clinic_name,
+                CONCAT(u.first_name, ' ', u.last_name) as created_by_name,
+                CONCAT(pt.first_name, ' ', pt.last_name) as assigned_pt_name
+            FROM pn_cases pn
+            JOIN patients p ON pn.patient_id = p.id
+            JOIN clinics sc ON pn.source_clinic_id = sc.id
+            JOIN clinics tc ON pn.target_clinic_id = tc.id
+            JOIN users u ON pn.created_by = u.id
+            LEFT JOIN users pt ON pn.assigned_pt_id = pt.id
+            WHERE pn.id = ?`,
+            [id]
+        );
+
+        if (cases.length === 0) {
+            return res.status(404).json({ error: 'PN case not found' });
+        }
+
+        // Get visits
+        let visits = [];
+        try {
+            const [result] = await db.execute(
+                `SELECT v.*, CONCAT(u.first_name, ' ', u.last_name) as therapist_name,
+                        CONCAT(sb.first_name, ' ', sb.last_name) as signed_by_name
+                 FROM pn_visits v
+                 LEFT JOIN users u ON v.therapist_id = u.id
+                 LEFT JOIN users sb ON v.signed_by = sb.id
+                 WHERE v.pn_id = ?
+                 ORDER BY v.visit_no`,
+                [id]
+            );
+            visits = await attachSignatureImages(db, await attachAddenda(db, 'VISIT', result, VISIT_NOTE_FIELDS));
+        } catch (err) {
+            console.warn('Failed to load visits:', err.message);
+        }
+
+        // Get reports
+        let reports = [];
+        try {
+            const [result] = await db.execute(
+                `SELECT r.*, v.visit_no
+                 FROM pn_reports r
+                 LEFT JOIN pn_visits v ON r.visit_id = v.id
+                 WHERE r.pn_id = ?
+                 ORDER BY r.created_at DESC`,
+                [id]
+            );
+            reports = result;
+        } catch (err) {
+            console.warn('Failed to load reports:', err.message);
+        }
+
+        // Get SOAP notes (table may not exist yet - run migration_add_missing_tables.sql)
+        let soap_notes = [];
+        try {
+            const [result] = await db.execute(
+                `SELECT s.*, CONCAT(u.first_name, ' ', u.last_name) as created_by_name,
+                        CONCAT(sb.first_name, ' ', sb.last_name) as signed_by_name
+                 FROM pn_soap_notes s
+                 JOIN users u ON s.created_by = u.id
+                 LEFT JOIN users sb ON s.signed_by = sb.id
+                 WHERE s.pn_id = ?
+                 ORDER BY s.timestamp DESC`,
+                [id]
+            );
+            const marksByNote = await getBodyChartMarksByNote(db, result.map(note => note.id));
+            const withAddenda = await attachSignatureImages(db, await attachAddenda(db, 'SOAP_NOTE', result, SOAP_NOTE_FIELDS));
+            soap_notes = withAddenda.map(note => ({ ...note, body_chart: marksByNote[note.id] || [] }));
+        } catch (err) {
+            console.warn('Failed to load SOAP notes (table may not exist):', err.message);
+        }
+
+        // Get attachments (table may not exist yet - run migration_add_missing_tables.sql)
+        let attachments = [];
+        try {
+            const [result] = await db.execute(
+                `SELECT a.*, CONCAT(u.first_name, ' ', u.last_name) as uploaded_by_name
+                 FROM pn_attachments a
+                 LEFT JOIN users u ON a.uploaded_by = u.id
+                 WHERE a.pn_id = ?
+                 ORDER BY a.created_at DESC`,
+                [id]
+            );
+            attachments = result;
+        } catch (err) {
+            console.warn('Failed to load attachments (table may not exist):', err.message);
+        }
+
+        // Get outcome measures
+        let outcome_measures = [];
+        try {
+            const [result] = await db.execute(
+                `SELECT om.*, v.visit_no, CONCAT(u.first_name, ' ', u.last_name) as recorded_by_name
+                 FROM pn_outcome_measures om
+                 LEFT JOIN pn_visits v ON om.visit_id = v.id
+                 JOIN users u ON om.recorded_by = u.id
+                 WHERE om.pn_id = ?
+                 ORDER BY om.measured_at, om.id`,
+                [id]
+            );
+            outcome_measures = result;
+        } catch (err) {
+            console.warn('Failed to load outcome measures (table may not exist):', err.message);
+        }
+
+        // Change history of the case's clinical fields
+        const [caseHistory] = await attachAddenda(db, 'PN_CASE', [cases[0]], []);
+
+        const diagnosisCodes = await getDiagnosisCodesByCase(db, [cases[0].id]);
+
+        res.json({
+            ...cases[0],
+            visits,
+            reports,
+            soap_notes,
+            attachments,
+            outcome_measures,
+            amendments: caseHistory.addenda,
+            diagnosis_codes: diagnosisCodes[cases[0].id],
+            screening: await getLatestScreening(db, cases[0].id)
+        });
+    } catch (error) {
+        console.error('Get PN case error:', error);
+        res.status(500).json({ error: 'Failed to retrieve PN case details' });
+    }
+});
+
+app.get('/api/pn/:id/timeline', authenticateToken, async (req, res) => {
+    try {
+        const db = req.app.locals.db;
+        const { id } = req.params;
+
+        const [cases] = await db.execute(
+            `SELECT pn.*, 
+                    CONCAT(creator.first_name, ' ', creator.last_name) AS created_by_name,
+                    sc.name AS source_clinic_name,
+                    tc.name AS target_clinic_name
+             FROM pn_cases pn
+             JOIN clinics sc ON pn.source_clinic_id = sc.id
+             JOIN clinics tc ON pn.target_clinic_id = tc.id
+             JOIN users creator ON pn.created_by = creator.id
+             WHERE pn.id = ?`,
+            [id]
+        );
+
+        if (cases.length === 0) {
+            return res.status(404).json({ error: 'PN case not found' });
+        }
+
+        const pnCase = cases[0];
+
+        if (req.user.role === 'CLINIC') {
+            if (pnCase.source_clinic_id !== req.user.clinic_id && pnCase.target_clinic_id !== req.user.clinic_id) {
+                return res.status(403).json({ error: 'No access to this PN case' });
+            }
+        }
+
+        const timeline = [];
+
+        timeline.push({
+            type: 'CASE_CREATED',
+            timestamp: pnCase.created_at,
+            status: pnCase.status,
+            title: 'PN case created',
+            description: `Case created by ${pnCase.created_by_name || 'System'}`,
+            meta: {
+                created_by: pnCase.created_by_name || null,
+                clinic: pnCase.target_clinic_name || null
+            }
+        });
+
+        const [statusHistory] = await db.execute(
+            `SELECT h.old_status, h.new_status, h.change_reason, h.is_reversal,
+                    DATE_FORMAT(h.created_at, '%Y-%m-%d %H:%i:%s') AS changed_at,
+                    CONCAT(u.first_name, ' ', u.last_name) AS changed_by_name
+             FROM pn_status_history h
+             LEFT JOIN users u ON h.changed_by = u.id
+             WHERE h.pn_id = ?
+             ORDER BY h.created_at ASC`,
+            [id]
+        );
+
+        statusHistory.forEach(entry => {
+            timeline.push({
+                type: 'STATUS_CHANGE',
+                timestamp: entry.changed_at,
+                status: entry.new_status,
+                title: `Status changed to ${entry.new_status}`,
+                description: entry.change_reason || null,
+                meta: {
+                    changed_by: entry.changed_by_name || null,
+                    old_status: entry.old_status,
+                    is_reversal: !!entry.is_reversal
+                }
+            });
+        });
+
+        const [appointmentHistory] = await db.execute(
+            `SELECT a.id, a.status, a.booking_type,
+                    DATE_FORMAT(a.appointment_date, '%Y-%m-%d') AS appointment_date,
+                    TIME_FORMAT(a.start_time, '%H:%i:%s') AS start_time,
+                    TIME_FORMAT(a.end_time, '%H:%i:%s') AS end_time,
+                    DATE_FORMAT(a.created_at, '%Y-%m-%d %H:%i:%s') AS created_at,
+                    a.walk_in_name, a.walk_in_phone,
+                    CASE
+                        WHEN a.booking_type = 'WALK_IN' THEN CONCAT('W', LPAD(a.id, 6, '0'))
+                        ELSE NULL
+                    END AS walk_in_id,
+                    CONCAT(p.first_name, ' ', p.last_name) AS patient_name,
+                    CONCAT(pt.first_name, ' ', pt.last_name) AS pt_name,
+                    c.name AS clinic_name,
+                    CONCAT(creator.first_name, ' ', creator.last_name) AS created_by_name
+             FROM appointments a
+             LEFT JOIN patients p ON a.patient_id = p.id
+             LEFT JOIN users pt ON a.pt_id = pt.id
+             JOIN clinics c ON a.clinic_id = c.id
+             LEFT JOIN users creator ON a.created_by = creator.id
+             WHERE a.pn_case_id = ?
+             ORDER BY a.appointment_date ASC, a.start_time ASC`,
+            [id]
+        );
+
+        appointmentHistory.forEach(apt => {
+            const appointmentTitle = apt.status === 'CANCELLED'
+                ? 'Appointment cancelled'
+                : apt.status === 'COMPLETED'
+                    ? 'Appointment completed'
+                    : 'Appointment scheduled';
+            const participant = apt.booking_type === 'WALK_IN'
+                ? `Walk-in: ${apt.walk_in_name || 'Unknown visitor'}`
+                : (apt.patient_name || 'Unknown patient');
+            const description = `${participant} with ${apt.pt_name || 'Unassigned PT'}`;
+            const timestamp = apt.appointment_date
+                ? `${apt.appointment_date}T${apt.start_time || '00:00:00'}`
+                : apt.created_at;
+
+            timeline.push({
+                type: 'APPOINTMENT',
+                timestamp,
+                status: apt.status,
+                title: appointmentTitle,
+                description,
+                    meta: {
+                        appointment_id: apt.id,
+                        booking_type: apt.booking_type,
+                        clinic: apt.clinic_name,
+                        start_time: apt.start_time,
+                        end_time: apt.end_time,
+                        created_at: apt.created_at,
+                        created_by: apt.created_by_name,
+                        walk_in_phone: apt.walk_in_phone,
+                        walk_in_name: apt.walk_in_name,
+                        walk_in_id: apt.walk_in_id
+                    }
+                });
+        });
+
+        const [visits] = await db.execute(
+            `SELECT v.id, v.visit_no, v.status,
+                    DATE_FORMAT(v.visit_date, '%Y-%m-%d') AS visit_date,
+                    TIME_FORMAT(v.visit_time, '%H:%i:%s') AS visit_time,
+                    CONCAT(u.first_name, ' ', u.last_name) AS therapist_name
+             FROM pn_visits v
+             LEFT JOIN users u ON v.therapist_id = u.id
+             WHERE v.pn_id = ?
+             ORDER BY v.visit_date ASC, v.visit_time ASC`,
+            [id]
+        );
+
+        visits.forEach(visit => {
+            const visitTimestamp = visit.visit_date
+                ? `${visit.visit_date}T${visit.visit_time || '00:00:00'}`
+                : null;
+            timeline.push({
+                type: 'VISIT',
+                timestamp: visitTimestamp,
                 status: visit.status,
                 title: `Visit #${visit.visit_no}`,
                 description: `Visit ${visit.visit_no} recorded`,
@@ -3247,1158 +5301,8465 @@ app.get('/api/pn/:id/timeline', authenticateToken, async (req, res) => {
             });
         });
 
-        timeline.sort((a, b) => {
-            const aTime = a.timestamp ? new Date(a.timestamp).getTime() : 0;
-            const bTime = b.timestamp ? new Date(b.timestamp).getTime() : 0;
-            return aTime - bTime;
-        });
+        timeline.sort((a, b) => {
+            const aTime = a.timestamp ? new Date(a.timestamp).getTime() : 0;
+            const bTime = b.timestamp ? new Date(b.timestamp).getTime() : 0;
+            return aTime - bTime;
+        });
+
+        res.json({
+            case: {
+                id: pnCase.id,
+                pn_code: pnCase.pn_code,
+                status: pnCase.status
+            },
+            events: timeline
+        });
+    } catch (error) {
+        console.error('Get PN timeline error:', error);
+        res.status(500).json({ error: 'Failed to retrieve PN timeline' });
+    }
+});
+
+// ========================================
+// THERAPIST SCHEDULES AND AVAILABILITY
+// ========================================
+
+const WEEKDAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+const LEAVE_TYPES = {
+    ANNUAL: 'Annual leave',
+    SICK: 'Sick leave',
+    PERSONAL: 'Personal leave',
+    TRAINING: 'Training',
+    OTHER: 'Other'
+};
+
+const SLOT_MINUTES = 30;
+
+// Hours offered at clinics that have no therapist schedules yet
+const UNROSTERED_HOURS = {
+    staff: { start: '08:00', end: '20:00' },
+    public: { start: '09:00', end: '20:00' }
+};
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d(:[0-5]\d)?$/;
+
+// 'HH:MM[:SS]' -> minutes since midnight
+const timeToMinutes = (time) => {
+    const [hours, minutes] = String(time).split(':');
+    return parseInt(hours) * 60 + parseInt(minutes);
+};
+
+// minutes since midnight -> 'HH:MM:00'
+const minutesToTime = (minutes) =>
+    `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}:00`;
+
+// Remove [start, end) from a list of { start, end } windows (minutes)
+const subtractWindow = (windows, start, end) => windows.flatMap(window => {
+    if (end <= window.start || start >= window.end) {
+        return [window];
+    }
+    const remaining = [];
+    if (start > window.start) remaining.push({ start: window.start, end: start });
+    if (end < window.end) remaining.push({ start: end, end: window.end });
+    return remaining;
+});
+
+/**
+ * Validate a list of { start_time, end_time } periods: well-formed, start before end, no overlaps
+ * @param {Array} shifts - Shifts or opening periods of one day
+ * @returns {string|null} - Error message or null
+ */
+const validateShifts = (shifts) => {
+    for (const shift of shifts) {
+        if (!TIME_PATTERN.test(shift.start_time || '') || !TIME_PATTERN.test(shift.end_time || '')) {
+            return 'Times must be HH:MM';
+        }
+        if (timeToMinutes(shift.start_time) >= timeToMinutes(shift.end_time)) {
+            return 'The end time must be after the start time';
+        }
+    }
+    const sorted = shifts.slice().sort((a, b) => timeToMinutes(a.start_time) - timeToMinutes(b.start_time));
+    for (let i = 1; i < sorted.length; i++) {
+        if (timeToMinutes(sorted[i].start_time) < timeToMinutes(sorted[i - 1].end_time)) {
+            return 'Times on the same day must not overlap';
+        }
+    }
+    return null;
+};
+
+/**
+ * Who works at a clinic on a date, and when: weekly schedule, replaced by shift exceptions
+ * for that date, minus leave, within the clinic's opening hours. Also loads the day's
+ * appointments of the clinic and of those therapists (at any clinic), which is everything
+ * slot checks need.
+ * @param {Object} db - Database connection
+ * @param {number|string} clinicId - Clinic ID
+ * @param {string} date - YYYY-MM-DD
+ * @returns {Promise<Object>} - { rostered, opening, therapists: [{ pt_id, pt_name, windows }], appointments }
+ */
+const loadClinicDaySchedule = async (db, clinicId, date) => {
+    const weekday = moment(date, 'YYYY-MM-DD').day();
+    const opening = getClinicOpenWindows(await loadClinicCalendar(db, clinicId, date, date), date);
+
+    const [[rosterCount]] = await db.execute(
+        `SELECT (SELECT COUNT(*) FROM therapist_schedules WHERE clinic_id = ?) +
+                (SELECT COUNT(*) FROM therapist_shift_exceptions WHERE clinic_id = ? AND shift_date = ?) as total`,
+        [clinicId, clinicId, date]
+    );
+    const rostered = rosterCount.total > 0;
+
+    const [shifts] = await db.execute(
+        `SELECT s.pt_id, s.start_time, s.end_time, 'WEEKLY' as source
+         FROM therapist_schedules s
+         JOIN users u ON s.pt_id = u.id AND u.active = 1
+         WHERE s.clinic_id = ? AND s.weekday = ?
+         UNION ALL
+         SELECT e.pt_id, e.start_time, e.end_time, 'EXCEPTION' as source
+         FROM therapist_shift_exceptions e
+         JOIN users u ON e.pt_id = u.id AND u.active = 1
+         WHERE e.clinic_id = ? AND e.shift_date = ?`,
+        [clinicId, weekday, clinicId, date]
+    );
+
+    // Exceptions for a therapist replace their weekly shifts that day
+    const withExceptions = new Set(shifts.filter(shift => shift.source === 'EXCEPTION').map(shift => shift.pt_id));
+    const windowsByPt = new Map();
+    shifts.forEach(shift => {
+        if (shift.source === 'WEEKLY' && withExceptions.has(shift.pt_id)) return;
+        if (!windowsByPt.has(shift.pt_id)) windowsByPt.set(shift.pt_id, []);
+        if (shift.start_time && shift.end_time) {
+            windowsByPt.get(shift.pt_id).push({ start: timeToMinutes(shift.start_time), end: timeToMinutes(shift.end_time) });
+        }
+    });
+
+    const ptIds = Array.from(windowsByPt.keys());
+    let therapists = [];
+    if (ptIds.length > 0) {
+        const placeholders = ptIds.map(() => '?').join(',');
+        const [leave] = await db.execute(
+            `SELECT pt_id, start_time, end_time FROM therapist_leave
+             WHERE pt_id IN (${placeholders}) AND start_date <= ? AND end_date >= ?`,
+            [...ptIds, date, date]
+        );
+        const [users] = await db.execute(
+            `SELECT id, CONCAT(first_name, ' ', last_name) as name FROM users WHERE id IN (${placeholders})`,
+            ptIds
+        );
+        const names = new Map(users.map(user => [user.id, user.name]));
+
+        therapists = ptIds.map(ptId => {
+            let windows = windowsByPt.get(ptId);
+            leave.filter(entry => entry.pt_id === ptId).forEach(entry => {
+                windows = entry.start_time && entry.end_time
+                    ? subtractWindow(windows, timeToMinutes(entry.start_time), timeToMinutes(entry.end_time))
+                    : [];
+            });
+            return {
+                pt_id: ptId,
+                pt_name: names.get(ptId) || null,
+                windows: intersectWindows(windows, opening.windows).sort((a, b) => a.start - b.start)
+            };
+        }).filter(therapist => therapist.windows.length > 0);
+    }
+
+    const params = [date, clinicId];
+    let ptFilter = '';
+    if (ptIds.length > 0) {
+        ptFilter = ` OR pt_id IN (${ptIds.map(() => '?').join(',')})`;
+        params.push(...ptIds);
+    }
+    const [appointments] = await db.execute(
+        `SELECT id, pt_id, clinic_id, start_time, end_time, buffer_minutes FROM appointments
+         WHERE appointment_date = ? AND status != 'CANCELLED' AND (clinic_id = ?${ptFilter})`,
+        params
+    );
+
+    return {
+        rostered,
+        opening,
+        therapists,
+        // An appointment blocks its cleanup buffer as well
+        appointments: appointments.map(appointment => ({
+            ...appointment,
+            start: timeToMinutes(appointment.start_time),
+            end: timeToMinutes(appointment.end_time) + (appointment.buffer_minutes || 0)
+        }))
+    };
+};
+
+/**
+ * Can [start, end) be booked? The clinic must be open. With a roster, it needs a therapist on
+ * duty for the whole time with no appointment then, and more such therapists than unassigned
+ * bookings at the clinic. Without a roster only overlapping appointments count, as before
+ * schedules existed. A buffer after the appointment must not overlap other appointments but
+ * may run past closing time.
+ * @param {Object} schedule - From loadClinicDaySchedule
+ * @param {number} start - Minutes since midnight
+ * @param {number} end - Minutes since midnight
+ * @param {Object} [options] - { clinicId, ptId, bufferMinutes, excludeAppointmentId }
+ * @returns {Object} - { available, closed: message when the clinic is closed, on_duty, free_pt_ids }
+ */
+const checkScheduleInterval = (schedule, start, end, options = {}) => {
+    const closed = getClosedMessage(schedule.opening, start, end);
+    if (closed) {
+        return { available: false, closed, on_duty: null, free_pt_ids: [] };
+    }
+
+    const blockedUntil = end + (options.bufferMinutes || 0);
+    const overlapping = schedule.appointments.filter(appointment =>
+        appointment.start < blockedUntil && appointment.end > start &&
+        String(appointment.id) !== String(options.excludeAppointmentId));
+    const clinicOverlapping = overlapping.filter(appointment => String(appointment.clinic_id) === String(options.clinicId));
+
+    if (!schedule.rostered) {
+        const conflicts = options.ptId
+            ? clinicOverlapping.filter(appointment => String(appointment.pt_id) === String(options.ptId))
+            : clinicOverlapping;
+        return { available: conflicts.length === 0, closed: null, on_duty: null, free_pt_ids: [] };
+    }
+
+    const onDuty = schedule.therapists.filter(therapist =>
+        (!options.ptId || String(therapist.pt_id) === String(options.ptId)) &&
+        therapist.windows.some(window => window.start <= start && window.end >= end));
+    const free = onDuty.filter(therapist =>
+        !overlapping.some(appointment => appointment.pt_id === therapist.pt_id));
+    const unassigned = options.ptId ? 0 : clinicOverlapping.filter(appointment => !appointment.pt_id).length;
+
+    return {
+        available: free.length > unassigned,
+        closed: null,
+        on_duty: onDuty.length > 0,
+        free_pt_ids: free.map(therapist => therapist.pt_id)
+    };
+};
+
+/**
+ * Bookable slots of a day
+ * @param {Object} schedule - From loadClinicDaySchedule
+ * @param {Object} options - { clinicId, ptId, hours: { start, end } when neither rostered nor opening hours are set,
+ *                             durationMinutes, bufferMinutes }
+ * @returns {Array} - [{ start_time, end_time, label, available, free_pt_ids }]
+ */
+const buildScheduleSlots = (schedule, options) => {
+    const durationMinutes = options.durationMinutes || SLOT_MINUTES;
+    const defaultHours = [{ start: timeToMinutes(options.hours.start), end: timeToMinutes(options.hours.end) }];
+    const windows = !schedule.rostered
+        ? (schedule.opening.configured ? schedule.opening.windows : intersectWindows(defaultHours, schedule.opening.windows))
+        : schedule.therapists
+            .filter(therapist => !options.ptId || String(therapist.pt_id) === String(options.ptId))
+            .flatMap(therapist => therapist.windows);
+
+    // Slots start every half hour from the start of each shift; overlapping shifts share slots.
+    // Longer appointments need the whole duration within one shift.
+    const starts = new Set();
+    windows.forEach(window => {
+        for (let start = window.start; start + durationMinutes <= window.end; start += SLOT_MINUTES) {
+            starts.add(start);
+        }
+    });
+
+    return Array.from(starts).sort((a, b) => a - b).map(start => {
+        const end = start + durationMinutes;
+        const check = checkScheduleInterval(schedule, start, end, options);
+        return {
+            start_time: minutesToTime(start),
+            end_time: minutesToTime(end),
+            label: `${minutesToTime(start).slice(0, 5)} - ${minutesToTime(end).slice(0, 5)}`,
+            available: check.available,
+            free_pt_ids: check.free_pt_ids
+        };
+    });
+};
+
+// Rosters of a clinic: weekly shifts, upcoming exceptions and upcoming leave of its therapists
+app.get('/api/therapist-schedules', authenticateToken, authorize('ADMIN'), async (req, res) => {
+    try {
+        const db = req.app.locals.db;
+        const { clinic_id } = req.query;
+        if (!clinic_id) {
+            return res.status(400).json({ error: 'clinic_id is required' });
+        }
+
+        const [therapists] = await db.execute(
+            `SELECT id, first_name, last_name, clinic_id FROM users
+             WHERE role = 'PT' AND active = 1 ORDER BY first_name, last_name`
+        );
+        const [schedules] = await db.execute(
+            `SELECT id, pt_id, weekday, start_time, end_time FROM therapist_schedules
+             WHERE clinic_id = ? ORDER BY pt_id, weekday, start_time`,
+            [clinic_id]
+        );
+        const [exceptions] = await db.execute(
+            `SELECT e.*, CONCAT(u.first_name, ' ', u.last_name) as pt_name
+             FROM therapist_shift_exceptions e
+             JOIN users u ON e.pt_id = u.id
+             WHERE e.clinic_id = ? AND e.shift_date >= CURDATE()
+             ORDER BY e.shift_date, u.first_name, e.start_time`,
+            [clinic_id]
+        );
+        const [leave] = await db.execute(
+            `SELECT l.*, CONCAT(u.first_name, ' ', u.last_name) as pt_name
+             FROM therapist_leave l
+             JOIN users u ON l.pt_id = u.id
+             WHERE l.end_date >= CURDATE()
+             ORDER BY l.start_date, u.first_name`
+        );
+
+        res.json({ weekdays: WEEKDAYS, leave_types: LEAVE_TYPES, therapists, schedules, exceptions, leave });
+    } catch (error) {
+        console.error('Get therapist schedules error:', error);
+        res.status(500).json({ error: 'Failed to retrieve therapist schedules' });
+    }
+});
+
+// Replace a therapist's weekly schedule at a clinic
+app.put('/api/therapist-schedules/:ptId', authenticateToken, authorize('ADMIN'), [
+    body('clinic_id').isInt(),
+    body('shifts').isArray(),
+    body('shifts.*.weekday').isInt({ min: 0, max: 6 })
+], async (req, res) => {
+    const db = req.app.locals.db;
+    let connection;
+
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        const { clinic_id, shifts } = req.body;
+        const ptId = req.params.ptId;
+
+        const [pts] = await db.execute('SELECT id FROM users WHERE id = ? AND role = ?', [ptId, 'PT']);
+        if (pts.length === 0) {
+            return res.status(404).json({ error: 'Therapist not found' });
+        }
+
+        for (let weekday = 0; weekday < 7; weekday++) {
+            const error = validateShifts(shifts.filter(shift => parseInt(shift.weekday) === weekday));
+            if (error) {
+                return res.status(400).json({ error: `${WEEKDAYS[weekday]}: ${error}` });
+            }
+        }
+
+        const [oldShifts] = await db.execute(
+            'SELECT weekday, start_time, end_time FROM therapist_schedules WHERE pt_id = ? AND clinic_id = ?',
+            [ptId, clinic_id]
+        );
+
+        connection = await db.getConnection();
+        await connection.beginTransaction();
+        await connection.execute('DELETE FROM therapist_schedules WHERE pt_id = ? AND clinic_id = ?', [ptId, clinic_id]);
+        for (const shift of shifts) {
+            await connection.execute(
+                `INSERT INTO therapist_schedules (pt_id, clinic_id, weekday, start_time, end_time, created_by)
+                 VALUES (?, ?, ?, ?, ?, ?)`,
+                [ptId, clinic_id, shift.weekday, shift.start_time, shift.end_time, req.user.id]
+            );
+        }
+        await connection.commit();
+
+        await auditLog(db, req.user.id, 'UPDATE', 'therapist_schedule', ptId, { clinic_id, shifts: oldShifts }, { clinic_id, shifts }, req);
+
+        res.json({ success: true, message: 'Schedule saved' });
+    } catch (error) {
+        if (connection) await connection.rollback();
+        console.error('Save therapist schedule error:', error);
+        res.status(500).json({ error: 'Failed to save therapist schedule' });
+    } finally {
+        if (connection) connection.release();
+    }
+});
+
+// Set a therapist's shifts at a clinic on one date (no shifts = day off); replaces earlier exceptions that day
+app.post('/api/therapist-schedules/exceptions', authenticateToken, authorize('ADMIN'), [
+    body('pt_id').isInt(),
+    body('clinic_id').isInt(),
+    body('shift_date').isISO8601(),
+    body('shifts').optional().isArray(),
+    body('reason').optional({ checkFalsy: true }).trim().isLength({ max: 255 })
+], async (req, res) => {
+    const db = req.app.locals.db;
+    let connection;
+
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        const { pt_id, clinic_id, shift_date, reason } = req.body;
+        const shifts = req.body.shifts || [];
+        const error = validateShifts(shifts);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+
+        connection = await db.getConnection();
+        await connection.beginTransaction();
+        await connection.execute(
+            'DELETE FROM therapist_shift_exceptions WHERE pt_id = ? AND clinic_id = ? AND shift_date = ?',
+            [pt_id, clinic_id, shift_date]
+        );
+        // A day off is one row without times
+        for (const shift of (shifts.length > 0 ? shifts : [{ start_time: null, end_time: null }])) {
+            await connection.execute(
+                `INSERT INTO therapist_shift_exceptions (pt_id, clinic_id, shift_date, start_time, end_time, reason, created_by)
+                 VALUES (?, ?, ?, ?, ?, ?, ?)`,
+                [pt_id, clinic_id, shift_date, shift.start_time, shift.end_time, reason || null, req.user.id]
+            );
+        }
+        await connection.commit();
+
+        await auditLog(db, req.user.id, 'CREATE', 'therapist_shift_exception', pt_id, null, { clinic_id, shift_date, shifts, reason }, req);
+
+        res.status(201).json({ success: true, message: 'Shift change saved' });
+    } catch (error) {
+        if (connection) await connection.rollback();
+        console.error('Save shift exception error:', error);
+        res.status(500).json({ error: 'Failed to save shift change' });
+    } finally {
+        if (connection) connection.release();
+    }
+});
+
+// Remove a shift exception; the weekly schedule applies again that day
+app.delete('/api/therapist-schedules/exceptions/:id', authenticateToken, authorize('ADMIN'), async (req, res) => {
+    try {
+        const db = req.app.locals.db;
+        const [exceptions] = await db.execute('SELECT * FROM therapist_shift_exceptions WHERE id = ?', [req.params.id]);
+        if (exceptions.length === 0) {
+            return res.status(404).json({ error: 'Shift change not found' });
+        }
+
+        await db.execute('DELETE FROM therapist_shift_exceptions WHERE id = ?', [req.params.id]);
+        await auditLog(db, req.user.id, 'DELETE', 'therapist_shift_exception', req.params.id, exceptions[0], null, req);
+
+        res.json({ success: true, message: 'Shift change removed' });
+    } catch (error) {
+        console.error('Delete shift exception error:', error);
+        res.status(500).json({ error: 'Failed to remove shift change' });
+    }
+});
+
+// Record leave; existing appointments in the period are returned so they can be moved
+app.post('/api/therapist-leave', authenticateToken, authorize('ADMIN'), [
+    body('pt_id').isInt(),
+    body('start_date').isISO8601(),
+    body('end_date').isISO8601(),
+    body('start_time').optional({ checkFalsy: true }).matches(TIME_PATTERN),
+    body('end_time').optional({ checkFalsy: true }).matches(TIME_PATTERN),
+    body('leave_type').isIn(Object.keys(LEAVE_TYPES)),
+    body('notes').optional({ checkFalsy: true }).trim().isLength({ max: 255 })
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        const db = req.app.locals.db;
+        const { pt_id, start_date, end_date, leave_type, notes } = req.body;
+        const partDay = Boolean(req.body.start_time || req.body.end_time);
+
+        if (end_date < start_date) {
+            return res.status(400).json({ error: 'Leave must end on or after its start date' });
+        }
+        if (partDay) {
+            if (start_date !== end_date) {
+                return res.status(400).json({ error: 'Part-day leave must be on a single date' });
+            }
+            const error = validateShifts([{ start_time: req.body.start_time, end_time: req.body.end_time }]);
+            if (error) {
+                return res.status(400).json({ error });
+            }
+        }
+
+        const [result] = await db.execute(
+            `INSERT INTO therapist_leave (pt_id, start_date, end_date, start_time, end_time, leave_type, notes, created_by)
+             VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+            [
+                pt_id, start_date, end_date,
+                partDay ? req.body.start_time : null, partDay ? req.body.end_time : null,
+                leave_type, notes || null, req.user.id
+            ]
+        );
+
+        await auditLog(db, req.user.id, 'CREATE', 'therapist_leave', result.insertId, null, req.body, req);
+
+        let query = `SELECT a.id, a.appointment_date, a.start_time, a.end_time,
+                            COALESCE(CONCAT(p.first_name, ' ', p.last_name), a.walk_in_name) as patient_name
+                     FROM appointments a
+                     LEFT JOIN patients p ON a.patient_id = p.id
+                     WHERE a.pt_id = ? AND a.appointment_date BETWEEN ? AND ?
+                       AND a.status IN ('SCHEDULED', 'CONFIRMED')`;
+        const params = [pt_id, start_date, end_date];
+        if (partDay) {
+            query += ' AND a.start_time < ? AND a.end_time > ?';
+            params.push(req.body.end_time, req.body.start_time);
+        }
+        const [affected] = await db.execute(`${query} ORDER BY a.appointment_date, a.start_time`, params);
+
+        res.status(201).json({
+            success: true,
+            leave_id: result.insertId,
+            affected_appointments: affected,
+            message: affected.length > 0
+                ? `Leave saved. ${affected.length} appointment(s) in this period need a new time or therapist.`
+                : 'Leave saved'
+        });
+    } catch (error) {
+        console.error('Save therapist leave error:', error);
+        res.status(500).json({ error: 'Failed to save leave' });
+    }
+});
+
+// Cancel leave
+app.delete('/api/therapist-leave/:id', authenticateToken, authorize('ADMIN'), async (req, res) => {
+    try {
+        const db = req.app.locals.db;
+        const [leave] = await db.execute('SELECT * FROM therapist_leave WHERE id = ?', [req.params.id]);
+        if (leave.length === 0) {
+            return res.status(404).json({ error: 'Leave not found' });
+        }
+
+        await db.execute('DELETE FROM therapist_leave WHERE id = ?', [req.params.id]);
+        await auditLog(db, req.user.id, 'DELETE', 'therapist_leave', req.params.id, leave[0], null, req);
+
+        res.json({ success: true, message: 'Leave removed' });
+    } catch (error) {
+        console.error('Delete therapist leave error:', error);
+        res.status(500).json({ error: 'Failed to remove leave' });
+    }
+});
+
+// ========================================
+// CLINIC OPENING HOURS AND CLOSURES
+// ========================================
+
+const CLOSURE_TYPES = {
+    HOLIDAY: 'Public holiday',
+    CLOSURE: 'Closure'
+};
+
+// Thai national holidays on the same date every year. Lunar holidays (Makha Bucha,
+// Visakha Bucha, Asanha Bucha, Khao Phansa) and substitution days move each year
+// and are added by hand.
+const THAI_FIXED_HOLIDAYS = [
+    { date: '01-01', name: "New Year's Day" },
+    { date: '04-06', name: 'Chakri Memorial Day' },
+    { date: '04-13', end: '04-15', name: 'Songkran Festival' },
+    { date: '05-01', name: 'National Labour Day' },
+    { date: '05-04', name: 'Coronation Day' },
+    { date: '06-03', name: "H.M. Queen Suthida's Birthday" },
+    { date: '07-28', name: "H.M. King Maha Vajiralongkorn's Birthday" },
+    { date: '08-12', name: "H.M. Queen Sirikit The Queen Mother's Birthday / Mother's Day" },
+    { date: '10-13', name: 'King Bhumibol Adulyadej Memorial Day' },
+    { date: '10-23', name: 'Chulalongkorn Day' },
+    { date: '12-05', name: "King Bhumibol Adulyadej's Birthday / Father's Day" },
+    { date: '12-10', name: 'Constitution Day' },
+    { date: '12-31', name: "New Year's Eve" }
+];
+
+const FULL_DAY = { start: 0, end: 24 * 60 };
+
+// Overlap of two lists of { start, end } windows (minutes)
+const intersectWindows = (a, b) => a.flatMap(x => b
+    .map(y => ({ start: Math.max(x.start, y.start), end: Math.min(x.end, y.end) }))
+    .filter(window => window.start < window.end));
+
+/**
+ * Opening hours and closures of a clinic for a date range
+ * @param {Object} db - Database connection
+ * @param {number|string} clinicId - Clinic ID
+ * @param {string} startDate - YYYY-MM-DD
+ * @param {string} endDate - YYYY-MM-DD
+ * @returns {Promise<Object>} - { hours: { weekday: [{ start, end }] } or null when not configured, closures }
+ */
+const loadClinicCalendar = async (db, clinicId, startDate, endDate) => {
+    const [clinics] = await db.execute('SELECT open_on_holidays FROM clinics WHERE id = ?', [clinicId]);
+    const openOnHolidays = clinics.length > 0 && clinics[0].open_on_holidays ? 1 : 0;
+
+    const [openingHours] = await db.execute(
+        'SELECT weekday, open_time, close_time FROM clinic_opening_hours WHERE clinic_id = ? ORDER BY weekday, open_time',
+        [clinicId]
+    );
+    let hours = null;
+    if (openingHours.length > 0) {
+        hours = {};
+        openingHours.forEach(row => {
+            if (!hours[row.weekday]) hours[row.weekday] = [];
+            hours[row.weekday].push({ start: timeToMinutes(row.open_time), end: timeToMinutes(row.close_time) });
+        });
+    }
+
+    const [closures] = await db.execute(
+        `SELECT id, clinic_id, closure_type, name, start_date, end_date, start_time, end_time
+         FROM clinic_closures
+         WHERE start_date <= ? AND end_date >= ?
+           AND (clinic_id = ? OR (clinic_id IS NULL AND (closure_type = 'CLOSURE' OR ? = 0)))`,
+        [endDate, startDate, clinicId, openOnHolidays]
+    );
+
+    return {
+        hours,
+        closures: closures.map(closure => ({
+            ...closure,
+            start_date: moment(closure.start_date).format('YYYY-MM-DD'),
+            end_date: moment(closure.end_date).format('YYYY-MM-DD')
+        }))
+    };
+};
+
+/**
+ * When the clinic is open on a date: that weekday's opening hours (the whole day if none are
+ * configured) minus closures
+ * @param {Object} calendar - From loadClinicCalendar
+ * @param {string} date - YYYY-MM-DD
+ * @returns {Object} - { configured, windows: [{ start, end }], closures: [{ name, start, end }] that day }
+ */
+const getClinicOpenWindows = (calendar, date) => {
+    let windows = calendar.hours
+        ? (calendar.hours[moment(date, 'YYYY-MM-DD').day()] || []).slice()
+        : [FULL_DAY];
+
+    const closures = calendar.closures
+        .filter(closure => closure.start_date <= date && closure.end_date >= date)
+        .map(closure => (closure.start_time && closure.end_time
+            ? { name: closure.name, start: timeToMinutes(closure.start_time), end: timeToMinutes(closure.end_time) }
+            : { name: closure.name, ...FULL_DAY }));
+    closures.forEach(closure => {
+        windows = subtractWindow(windows, closure.start, closure.end);
+    });
+
+    return { configured: Boolean(calendar.hours), windows, closures };
+};
+
+/**
+ * Why an appointment cannot be booked at the clinic, if it cannot
+ * @param {Object} db - Database connection
+ * @param {number|string} clinicId - Clinic ID
+ * @param {string} date - YYYY-MM-DD
+ * @param {string} startTime - HH:MM[:SS]
+ * @param {string} endTime - HH:MM[:SS]
+ * @returns {Promise<string|null>} - Error message or null when open
+ */
+const checkClinicOpen = async (db, clinicId, date, startTime, endTime) => {
+    const calendar = await loadClinicCalendar(db, clinicId, date, date);
+    const opening = getClinicOpenWindows(calendar, date);
+    return getClosedMessage(opening, timeToMinutes(startTime), timeToMinutes(endTime));
+};
+
+// Message for an interval outside the open windows of a day, or null
+const getClosedMessage = (opening, start, end) => {
+    if (opening.windows.some(window => window.start <= start && window.end >= end)) {
+        return null;
+    }
+    const closures = opening.closures.filter(closure => closure.start < end && closure.end > start);
+    if (closures.length > 0) {
+        return `The clinic is closed at this time (${closures.map(closure => closure.name).join(', ')})`;
+    }
+    return opening.windows.length === 0
+        ? 'The clinic is closed on this day'
+        : 'This time is outside the clinic opening hours';
+};
+
+// Opening hours, open-on-holidays flag and upcoming closures of a clinic
+app.get('/api/clinics/:id/calendar', authenticateToken, authorize('ADMIN'), async (req, res) => {
+    try {
+        const db = req.app.locals.db;
+        const [clinics] = await db.execute('SELECT id, name, open_on_holidays FROM clinics WHERE id = ?', [req.params.id]);
+        if (clinics.length === 0) {
+            return res.status(404).json({ error: 'Clinic not found' });
+        }
+
+        const [hours] = await db.execute(
+            'SELECT id, weekday, open_time, close_time FROM clinic_opening_hours WHERE clinic_id = ? ORDER BY weekday, open_time',
+            [req.params.id]
+        );
+        const [closures] = await db.execute(
+            `SELECT cc.*, c.name as clinic_name
+             FROM clinic_closures cc
+             LEFT JOIN clinics c ON cc.clinic_id = c.id
+             WHERE cc.end_date >= CURDATE() AND (cc.clinic_id = ? OR cc.clinic_id IS NULL)
+             ORDER BY cc.start_date, cc.start_time`,
+            [req.params.id]
+        );
+
+        res.json({
+            clinic: clinics[0],
+            weekdays: WEEKDAYS,
+            closure_types: CLOSURE_TYPES,
+            hours,
+            closures
+        });
+    } catch (error) {
+        console.error('Get clinic calendar error:', error);
+        res.status(500).json({ error: 'Failed to retrieve clinic calendar' });
+    }
+});
+
+// Replace a clinic's opening hours (no hours = no restriction)
+app.put('/api/clinics/:id/opening-hours', authenticateToken, authorize('ADMIN'), [
+    body('hours').isArray(),
+    body('hours.*.weekday').isInt({ min: 0, max: 6 }),
+    body('open_on_holidays').optional().isBoolean()
+], async (req, res) => {
+    const db = req.app.locals.db;
+    let connection;
+
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        const clinicId = req.params.id;
+        const { hours } = req.body;
+
+        const [clinics] = await db.execute('SELECT id, open_on_holidays FROM clinics WHERE id = ?', [clinicId]);
+        if (clinics.length === 0) {
+            return res.status(404).json({ error: 'Clinic not found' });
+        }
+
+        const periods = hours.map(row => ({ weekday: row.weekday, start_time: row.open_time, end_time: row.close_time }));
+        for (let weekday = 0; weekday < 7; weekday++) {
+            const error = validateShifts(periods.filter(period => parseInt(period.weekday) === weekday));
+            if (error) {
+                return res.status(400).json({ error: `${WEEKDAYS[weekday]}: ${error}` });
+            }
+        }
+
+        const [oldHours] = await db.execute(
+            'SELECT weekday, open_time, close_time FROM clinic_opening_hours WHERE clinic_id = ?',
+            [clinicId]
+        );
+        const openOnHolidays = req.body.open_on_holidays === undefined
+            ? clinics[0].open_on_holidays
+            : (req.body.open_on_holidays ? 1 : 0);
+
+        connection = await db.getConnection();
+        await connection.beginTransaction();
+        await connection.execute('DELETE FROM clinic_opening_hours WHERE clinic_id = ?', [clinicId]);
+        for (const row of hours) {
+            await connection.execute(
+                `INSERT INTO clinic_opening_hours (clinic_id, weekday, open_time, close_time, created_by)
+                 VALUES (?, ?, ?, ?, ?)`,
+                [clinicId, row.weekday, row.open_time, row.close_time, req.user.id]
+            );
+        }
+        await connection.execute('UPDATE clinics SET open_on_holidays = ? WHERE id = ?', [openOnHolidays, clinicId]);
+        await connection.commit();
+
+        await auditLog(db, req.user.id, 'UPDATE', 'clinic_opening_hours', clinicId,
+            { hours: oldHours, open_on_holidays: clinics[0].open_on_holidays },
+            { hours, open_on_holidays: openOnHolidays }, req);
+
+        res.json({ success: true, message: 'Opening hours saved' });
+    } catch (error) {
+        if (connection) await connection.rollback();
+        console.error('Save opening hours error:', error);
+        res.status(500).json({ error: 'Failed to save opening hours' });
+    } finally {
+        if (connection) connection.release();
+    }
+});
+
+/**
+ * Appointments still booked during a closure, so staff can contact the patients
+ * @param {Object} db - Database connection
+ * @param {Object} closure - { clinic_id, start_date, end_date, start_time, end_time }
+ * @returns {Promise<Array>} - Appointments
+ */
+const getAppointmentsDuringClosure = async (db, closure) => {
+    let query = `SELECT a.id, a.clinic_id, a.appointment_date, a.start_time, a.end_time,
+                        COALESCE(CONCAT(p.first_name, ' ', p.last_name), a.walk_in_name) as patient_name,
+                        COALESCE(p.phone, a.walk_in_phone) as phone, c.name as clinic_name
+                 FROM appointments a
+                 LEFT JOIN patients p ON a.patient_id = p.id
+                 LEFT JOIN clinics c ON a.clinic_id = c.id
+                 WHERE a.appointment_date BETWEEN ? AND ?
+                   AND a.status IN ('SCHEDULED', 'CONFIRMED')`;
+    const params = [closure.start_date, closure.end_date];
+
+    if (closure.clinic_id) {
+        query += ' AND a.clinic_id = ?';
+        params.push(closure.clinic_id);
+    } else if (closure.closure_type === 'HOLIDAY') {
+        query += ' AND c.open_on_holidays = 0';
+    }
+    if (closure.start_time && closure.end_time) {
+        query += ' AND a.start_time < ? AND a.end_time > ?';
+        params.push(closure.end_time, closure.start_time);
+    }
+
+    const [appointments] = await db.execute(`${query} ORDER BY a.appointment_date, a.start_time`, params);
+    return appointments;
+};
+
+// Add a holiday or closure; appointments already booked in that period are returned
+app.post('/api/clinic-closures', authenticateToken, authorize('ADMIN'), [
+    body('clinic_id').optional({ nullable: true, checkFalsy: true }).isInt(),
+    body('closure_type').isIn(Object.keys(CLOSURE_TYPES)),
+    body('name').trim().notEmpty().isLength({ max: 200 }),
+    body('start_date').isISO8601(),
+    body('end_date').isISO8601(),
+    body('start_time').optional({ checkFalsy: true }).matches(TIME_PATTERN),
+    body('end_time').optional({ checkFalsy: true }).matches(TIME_PATTERN)
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        const db = req.app.locals.db;
+        const { closure_type, name, start_date, end_date } = req.body;
+        const clinicId = req.body.clinic_id || null;
+        const partDay = Boolean(req.body.start_time || req.body.end_time);
+
+        if (end_date < start_date) {
+            return res.status(400).json({ error: 'The closure must end on or after its start date' });
+        }
+        if (partDay) {
+            const error = validateShifts([{ start_time: req.body.start_time, end_time: req.body.end_time }]);
+            if (error) {
+                return res.status(400).json({ error });
+            }
+        }
+
+        const closure = {
+            clinic_id: clinicId,
+            closure_type,
+            name,
+            start_date,
+            end_date,
+            start_time: partDay ? req.body.start_time : null,
+            end_time: partDay ? req.body.end_time : null
+        };
+
+        const [result] = await db.execute(
+            `INSERT INTO clinic_closures (clinic_id, closure_type, name, start_date, end_date, start_time, end_time, created_by)
+             VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+            [clinicId, closure_type, name, start_date, end_date, closure.start_time, closure.end_time, req.user.id]
+        );
+
+        await auditLog(db, req.user.id, 'CREATE', 'clinic_closure', result.insertId, null, closure, req);
+
+        const affected = await getAppointmentsDuringClosure(db, closure);
+
+        res.status(201).json({
+            success: true,
+            closure_id: result.insertId,
+            affected_appointments: affected,
+            message: affected.length > 0
+                ? `Closure saved. ${affected.length} booked appointment(s) fall in this period and need to be moved or cancelled.`
+                : 'Closure saved'
+        });
+    } catch (error) {
+        console.error('Save clinic closure error:', error);
+        res.status(500).json({ error: 'Failed to save closure' });
+    }
+});
+
+// Add the fixed-date Thai national holidays of a year for all clinics, skipping dates already entered
+app.post('/api/clinic-closures/thai-holidays', authenticateToken, authorize('ADMIN'), [
+    body('year').isInt({ min: 2000, max: 2100 })
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        const db = req.app.locals.db;
+        const year = parseInt(req.body.year);
+
+        const [existing] = await db.execute(
+            `SELECT start_date FROM clinic_closures
+             WHERE clinic_id IS NULL AND closure_type = 'HOLIDAY' AND YEAR(start_date) = ?`,
+            [year]
+        );
+        const existingDates = new Set(existing.map(row => moment(row.start_date).format('YYYY-MM-DD')));
+
+        const added = [];
+        for (const holiday of THAI_FIXED_HOLIDAYS) {
+            const startDate = `${year}-${holiday.date}`;
+            if (existingDates.has(startDate)) continue;
+
+            const endDate = `${year}-${holiday.end || holiday.date}`;
+            await db.execute(
+                `INSERT INTO clinic_closures (clinic_id, closure_type, name, start_date, end_date, created_by)
+                 VALUES (NULL, 'HOLIDAY', ?, ?, ?, ?)`,
+                [holiday.name, startDate, endDate, req.user.id]
+            );
+            added.push({ name: holiday.name, start_date: startDate, end_date: endDate });
+        }
+
+        await auditLog(db, req.user.id, 'CREATE', 'clinic_closure', null, null, { thai_holidays: year, added }, req);
+
+        let affected = [];
+        for (const holiday of added) {
+            affected = affected.concat(await getAppointmentsDuringClosure(db, { ...holiday, closure_type: 'HOLIDAY' }));
+        }
+
+        res.status(201).json({
+            success: true,
+            added,
+            affected_appointments: affected,
+            message: `${added.length} holiday(s) added for ${year}. Lunar holidays and substitution days still need to be added by hand.`
+        });
+    } catch (error) {
+        console.error('Add Thai holidays error:', error);
+        res.status(500).json({ error: 'Failed to add holidays' });
+    }
+});
+
+// Remove a holiday or closure
+app.delete('/api/clinic-closures/:id', authenticateToken, authorize('ADMIN'), async (req, res) => {
+    try {
+        const db = req.app.locals.db;
+        const [closures] = await db.execute('SELECT * FROM clinic_closures WHERE id = ?', [req.params.id]);
+        if (closures.length === 0) {
+            return res.status(404).json({ error: 'Closure not found' });
+        }
+
+        await db.execute('DELETE FROM clinic_closures WHERE id = ?', [req.params.id]);
+        await auditLog(db, req.user.id, 'DELETE', 'clinic_closure', req.params.id, closures[0], null, req);
+
+        res.json({ success: true, message: 'Closure removed' });
+    } catch (error) {
+        console.error('Delete clinic closure error:', error);
+        res.status(500).json({ error: 'Failed to remove closure' });
+    }
+});
+
+// ========================================
+// APPOINTMENT DURATIONS AND BUFFERS
+// ========================================
+
+/**
+ * Length and cleanup buffer of an appointment booked for a public package or a service.
+ * A package's own buffer wins over its linked service's.
+ * @param {Object} db - Database connection
+ * @param {Object} ids - { service_id, package_id }
+ * @returns {Promise<Object>} - { duration: { service_id, package_id, name, duration_minutes, buffer_minutes } or null }
+ *                              or { status, error }
+ */
+const resolveAppointmentDuration = async (db, { service_id, package_id }) => {
+    if (package_id) {
+        const [packages] = await db.execute(
+            `SELECT p.id, p.service_id, p.package_name, p.duration_minutes,
+                    COALESCE(p.buffer_minutes, s.buffer_minutes, 0) as buffer_minutes
+             FROM public_service_packages p
+             LEFT JOIN services s ON p.service_id = s.id
+             WHERE p.id = ? AND p.active = 1`,
+            [package_id]
+        );
+        if (packages.length === 0) {
+            return { status: 404, error: 'Package not found' };
+        }
+        return {
+            duration: {
+                service_id: packages[0].service_id,
+                package_id: packages[0].id,
+                name: packages[0].package_name,
+                duration_minutes: packages[0].duration_minutes,
+                buffer_minutes: packages[0].buffer_minutes
+            }
+        };
+    }
+
+    if (service_id) {
+        const [services] = await db.execute(
+            'SELECT id, service_name, duration_minutes, buffer_minutes FROM services WHERE id = ?',
+            [service_id]
+        );
+        if (services.length === 0) {
+            return { status: 404, error: 'Service not found' };
+        }
+        return {
+            duration: {
+                service_id: services[0].id,
+                package_id: null,
+                name: services[0].service_name,
+                duration_minutes: services[0].duration_minutes,
+                buffer_minutes: services[0].buffer_minutes || 0
+            }
+        };
+    }
+
+    return { duration: null };
+};
+
+/**
+ * Check optional duration and buffer values of a service or package
+ * @param {Object} fields - { duration_minutes, buffer_minutes }
+ * @returns {string|null} - Error message, or null when valid
+ */
+const validateDurationFields = ({ duration_minutes, buffer_minutes }) => {
+    const isMinutes = (value) => value === undefined || value === null || value === '' || /^\d+$/.test(String(value));
+    if (!isMinutes(duration_minutes) || parseInt(duration_minutes) === 0) {
+        return 'Duration must be a whole number of minutes';
+    }
+    if (!isMinutes(buffer_minutes)) {
+        return 'Buffer must be a whole number of minutes';
+    }
+    return null;
+};
+
+/**
+ * A therapist's appointments that overlap [start, end + buffer), each blocking its own buffer too
+ * @param {Object} db - Database connection
+ * @param {Object} options - { ptId, date, startTime, endTime, bufferMinutes, excludeId }
+ * @returns {Promise<Array>} - Conflicting appointments
+ */
+const findAppointmentConflicts = async (db, { ptId, date, startTime, endTime, bufferMinutes = 0, excludeId = null }) => {
+    let query = `SELECT a.id, a.start_time, a.end_time, a.buffer_minutes,
+                        COALESCE(CONCAT(p.first_name, ' ', p.last_name), a.walk_in_name) as patient_name
+                 FROM appointments a
+                 LEFT JOIN patients p ON a.patient_id = p.id
+                 WHERE a.pt_id = ? AND a.appointment_date = ? AND a.status != 'CANCELLED'
+                   AND a.start_time < ?
+                   AND ADDTIME(a.end_time, SEC_TO_TIME(a.buffer_minutes * 60)) > ?`;
+    const params = [ptId, date, minutesToTime(timeToMinutes(endTime) + (parseInt(bufferMinutes) || 0)), startTime];
+
+    if (excludeId) {
+        query += ' AND a.id != ?';
+        params.push(excludeId);
+    }
+
+    const [conflicts] = await db.execute(query, params);
+    return conflicts;
+};
+
+// ========================================
+// TREATMENT ROOMS AND EQUIPMENT
+// ========================================
+
+const RESOURCE_TYPES = {
+    ROOM: 'Room / Bed',
+    EQUIPMENT: 'Equipment'
+};
+
+/**
+ * Check the rooms and equipment requested for an appointment at a clinic
+ * @param {Object} db - Database connection
+ * @param {number} clinicId - Clinic of the appointment
+ * @param {Array} resourceIds - Requested resource IDs
+ * @returns {Promise<Object>} - { resourceIds } (unique, as numbers) or { status, error }
+ */
+const validateAppointmentResources = async (db, clinicId, resourceIds) => {
+    if (resourceIds === undefined || resourceIds === null) {
+        return { resourceIds: [] };
+    }
+    if (!Array.isArray(resourceIds) || resourceIds.some(id => !/^\d+$/.test(String(id)))) {
+        return { status: 400, error: 'resource_ids must be a list of room or equipment IDs' };
+    }
+
+    const ids = Array.from(new Set(resourceIds.map(id => parseInt(id))));
+    if (ids.length === 0) {
+        return { resourceIds: [] };
+    }
+
+    const [resources] = await db.execute(
+        `SELECT id FROM clinic_resources
+         WHERE clinic_id = ? AND active = 1 AND id IN (${ids.map(() => '?').join(',')})`,
+        [clinicId, ...ids]
+    );
+    if (resources.length !== ids.length) {
+        return { status: 400, error: 'Some of the rooms or equipment are not available at this clinic' };
+    }
+
+    return { resourceIds: ids };
+};
+
+/**
+ * Appointments holding any of the resources during [start, end + buffer), each blocking its own buffer too
+ * @param {Object} db - Database connection
+ * @param {Object} options - { resourceIds, date, startTime, endTime, bufferMinutes, excludeId }
+ * @returns {Promise<Array>} - [{ resource_id, resource_name, appointment_id, start_time, end_time, pt_name }]
+ */
+const findResourceConflicts = async (db, { resourceIds, date, startTime, endTime, bufferMinutes = 0, excludeId = null }) => {
+    if (!resourceIds || resourceIds.length === 0) {
+        return [];
+    }
+
+    let query = `SELECT r.id as resource_id, r.name as resource_name, a.id as appointment_id,
+                        a.start_time, a.end_time, CONCAT(u.first_name, ' ', u.last_name) as pt_name
+                 FROM appointment_resources ar
+                 JOIN clinic_resources r ON ar.resource_id = r.id
+                 JOIN appointments a ON ar.appointment_id = a.id
+                 LEFT JOIN users u ON a.pt_id = u.id
+                 WHERE ar.resource_id IN (${resourceIds.map(() => '?').join(',')})
+                   AND a.appointment_date = ? AND a.status != 'CANCELLED'
+                   AND a.start_time < ?
+                   AND ADDTIME(a.end_time, SEC_TO_TIME(a.buffer_minutes * 60)) > ?`;
+    const params = [
+        ...resourceIds, date, minutesToTime(timeToMinutes(endTime) + (parseInt(bufferMinutes) || 0)), startTime
+    ];
+
+    if (excludeId) {
+        query += ' AND a.id != ?';
+        params.push(excludeId);
+    }
+
+    const [conflicts] = await db.execute(`${query} ORDER BY r.name, a.start_time`, params);
+    return conflicts;
+};
+
+/**
+ * Message naming the first resource that is already booked
+ * @param {Array} conflicts - From findResourceConflicts
+ * @returns {string}
+ */
+const getResourceConflictMessage = (conflicts) => {
+    const conflict = conflicts[0];
+    const time = `${String(conflict.start_time).slice(0, 5)}-${String(conflict.end_time).slice(0, 5)}`;
+    return `${conflict.resource_name} is already booked ${time}${conflict.pt_name ? ` by ${conflict.pt_name}` : ''}`;
+};
+
+/**
+ * Resource IDs reserved by an appointment
+ * @param {Object} db - Database connection
+ * @param {number} appointmentId - Appointment ID
+ * @returns {Promise<Array>}
+ */
+const getAppointmentResourceIds = async (db, appointmentId) => {
+    const [rows] = await db.execute(
+        'SELECT resource_id FROM appointment_resources WHERE appointment_id = ?',
+        [appointmentId]
+    );
+    return rows.map(row => row.resource_id);
+};
+
+/**
+ * Replace the rooms and equipment reserved by an appointment
+ * @param {Object} db - Database connection
+ * @param {number} appointmentId - Appointment ID
+ * @param {Array} resourceIds - Validated resource IDs
+ */
+const saveAppointmentResources = async (db, appointmentId, resourceIds) => {
+    await db.execute('DELETE FROM appointment_resources WHERE appointment_id = ?', [appointmentId]);
+    for (const resourceId of resourceIds) {
+        await db.execute(
+            'INSERT INTO appointment_resources (appointment_id, resource_id) VALUES (?, ?)',
+            [appointmentId, resourceId]
+        );
+    }
+};
+
+const resourceValidators = [
+    body('resource_type').isIn(Object.keys(RESOURCE_TYPES)),
+    body('name').trim().notEmpty().isLength({ max: 100 }),
+    body('description').optional({ nullable: true }).trim().isLength({ max: 255 })
+];
+
+// Rooms and equipment of a clinic; inactive ones only for admins who ask for them
+app.get('/api/clinic-resources', authenticateToken, async (req, res) => {
+    try {
+        const db = req.app.locals.db;
+        const { clinic_id, include_inactive } = req.query;
+        if (!clinic_id) {
+            return res.status(400).json({ error: 'clinic_id is required' });
+        }
+
+        let query = `SELECT r.*,
+                            (SELECT COUNT(*) FROM appointment_resources ar
+                             JOIN appointments a ON ar.appointment_id = a.id
+                             WHERE ar.resource_id = r.id AND a.appointment_date >= CURDATE()
+                               AND a.status IN ('SCHEDULED', 'CONFIRMED')) as upcoming_bookings
+                     FROM clinic_resources r
+                     WHERE r.clinic_id = ?`;
+        if (!(include_inactive === '1' && req.user.role === 'ADMIN')) {
+            query += ' AND r.active = 1';
+        }
+
+        const [resources] = await db.execute(`${query} ORDER BY r.resource_type, r.name`, [clinic_id]);
+
+        res.json({ resource_types: RESOURCE_TYPES, resources });
+    } catch (error) {
+        console.error('Get clinic resources error:', error);
+        res.status(500).json({ error: 'Failed to retrieve rooms and equipment' });
+    }
+});
+
+app.post('/api/clinic-resources', authenticateToken, authorize('ADMIN'), [
+    body('clinic_id').isInt(),
+    ...resourceValidators
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        const db = req.app.locals.db;
+        const { clinic_id, resource_type, name } = req.body;
+        const description = req.body.description || null;
+
+        const [result] = await db.execute(
+            `INSERT INTO clinic_resources (clinic_id, resource_type, name, description, created_by)
+             VALUES (?, ?, ?, ?, ?)`,
+            [clinic_id, resource_type, name, description, req.user.id]
+        );
+
+        await auditLog(db, req.user.id, 'CREATE', 'clinic_resource', result.insertId, null,
+            { clinic_id, resource_type, name, description }, req);
+
+        res.status(201).json({ success: true, id: result.insertId, message: 'Room or equipment added' });
+    } catch (error) {
+        if (error.code === 'ER_DUP_ENTRY') {
+            return res.status(409).json({ error: 'This clinic already has a room or equipment with this name' });
+        }
+        console.error('Create clinic resource error:', error);
+        res.status(500).json({ error: 'Failed to add room or equipment' });
+    }
+});
+
+app.put('/api/clinic-resources/:id', authenticateToken, authorize('ADMIN'), [
+    ...resourceValidators,
+    body('active').optional().isBoolean()
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        const db = req.app.locals.db;
+        const [resources] = await db.execute('SELECT * FROM clinic_resources WHERE id = ?', [req.params.id]);
+        if (resources.length === 0) {
+            return res.status(404).json({ error: 'Room or equipment not found' });
+        }
+
+        const { resource_type, name } = req.body;
+        const description = req.body.description || null;
+        const active = req.body.active === undefined ? resources[0].active : (req.body.active ? 1 : 0);
+
+        await db.execute(
+            'UPDATE clinic_resources SET resource_type = ?, name = ?, description = ?, active = ? WHERE id = ?',
+            [resource_type, name, description, active, req.params.id]
+        );
+
+        await auditLog(db, req.user.id, 'UPDATE', 'clinic_resource', req.params.id, resources[0],
+            { resource_type, name, description, active }, req);
+
+        res.json({ success: true, message: 'Room or equipment updated' });
+    } catch (error) {
+        if (error.code === 'ER_DUP_ENTRY') {
+            return res.status(409).json({ error: 'This clinic already has a room or equipment with this name' });
+        }
+        console.error('Update clinic resource error:', error);
+        res.status(500).json({ error: 'Failed to update room or equipment' });
+    }
+});
+
+// Resources that were ever booked are deactivated so past appointments keep their reservations
+app.delete('/api/clinic-resources/:id', authenticateToken, authorize('ADMIN'), async (req, res) => {
+    try {
+        const db = req.app.locals.db;
+        const [resources] = await db.execute('SELECT * FROM clinic_resources WHERE id = ?', [req.params.id]);
+        if (resources.length === 0) {
+            return res.status(404).json({ error: 'Room or equipment not found' });
+        }
+
+        const [bookings] = await db.execute(
+            'SELECT COUNT(*) as total FROM appointment_resources WHERE resource_id = ?',
+            [req.params.id]
+        );
+
+        if (bookings[0].total > 0) {
+            await db.execute('UPDATE clinic_resources SET active = 0 WHERE id = ?', [req.params.id]);
+            await auditLog(db, req.user.id, 'UPDATE', 'clinic_resource', req.params.id, resources[0], { active: 0 }, req);
+            return res.json({ success: true, message: 'Room or equipment has bookings and was deactivated' });
+        }
+
+        await db.execute('DELETE FROM clinic_resources WHERE id = ?', [req.params.id]);
+        await auditLog(db, req.user.id, 'DELETE', 'clinic_resource', req.params.id, resources[0], null, req);
+
+        res.json({ success: true, message: 'Room or equipment removed' });
+    } catch (error) {
+        console.error('Delete clinic resource error:', error);
+        res.status(500).json({ error: 'Failed to remove room or equipment' });
+    }
+});
+
+// ========================================
+// RECURRING APPOINTMENT SERIES
+// ========================================
+
+const SERIES_MAX_OCCURRENCES = 52;
+
+/**
+ * Whether a user may book or change appointments at a clinic. Only CLINIC users and users with
+ * clinic grants are restricted, as in getAccessiblePatient.
+ * @param {Object} db - Database connection
+ * @param {Object} user - { id, role, clinic_id }
+ * @param {number|string} clinicId - Clinic ID
+ * @returns {Promise<boolean>}
+ */
+const canAccessClinic = async (db, user, clinicId) => {
+    if (user.role === 'ADMIN') {
+        return true;
+    }
+    const accessibleClinics = await getAccessibleClinicIds(db, user);
+    if (user.role !== 'CLINIC' && accessibleClinics.length === 0) {
+        return true;
+    }
+    return accessibleClinics.includes(parseInt(clinicId));
+};
+
+/**
+ * Check that a therapist is an active PT who works at the clinic
+ * @param {Object} db - Database connection
+ * @param {number|string} ptId - Therapist user ID
+ * @param {number|string} clinicId - Clinic ID
+ * @returns {Promise<string|null>} - Error message or null
+ */
+const validateSeriesTherapist = async (db, ptId, clinicId) => {
+    const [therapists] = await db.execute(
+        "SELECT id, role, clinic_id FROM users WHERE id = ? AND role = 'PT' AND active = 1",
+        [ptId]
+    );
+    if (therapists.length === 0) {
+        return 'Therapist not found or inactive';
+    }
+    if (!(await canAccessClinic(db, therapists[0], clinicId))) {
+        return 'Therapist does not work at this clinic';
+    }
+    return null;
+};
+
+/**
+ * Dates of a weekly series from its first date on the chosen weekdays
+ * @param {string} startDate - 'YYYY-MM-DD'
+ * @param {Array} weekdays - Weekday numbers, 0 = Sunday
+ * @param {number} count - Number of sessions
+ * @returns {Array} - 'YYYY-MM-DD' dates
+ */
+const buildSeriesDates = (startDate, weekdays, count) => {
+    const dates = [];
+    const day = moment(startDate, 'YYYY-MM-DD');
+    while (dates.length < count) {
+        if (weekdays.includes(day.day())) {
+            dates.push(day.format('YYYY-MM-DD'));
+        }
+        day.add(1, 'day');
+    }
+    return dates;
+};
+
+/**
+ * Check a series request and resolve its length, course and resources
+ * @param {Object} db - Database connection
+ * @param {Object} user - Authenticated user (req.user)
+ * @param {Object} body - Request body
+ * @returns {Promise<Object>} - { series } or { status, error }
+ */
+const resolveSeriesRequest = async (db, user, body) => {
+    const { patient_id, pt_id, clinic_id, start_date, start_time, service_id, course_id } = body;
+
+    if (!patient_id || !pt_id || !clinic_id || !start_date || !start_time) {
+        return { status: 400, error: 'patient_id, pt_id, clinic_id, start_date and start_time are required' };
+    }
+    if (!moment(start_date, 'YYYY-MM-DD', true).isValid()) {
+        return { status: 400, error: 'start_date must be YYYY-MM-DD' };
+    }
+    if (!(await canAccessClinic(db, user, clinic_id))) {
+        return { status: 403, error: 'No access to this clinic' };
+    }
+    const therapistError = await validateSeriesTherapist(db, pt_id, clinic_id);
+    if (therapistError) {
+        return { status: 400, error: therapistError };
+    }
+
+    const weekdays = Array.isArray(body.weekdays)
+        ? Array.from(new Set(body.weekdays.map(day => parseInt(day)))).sort()
+        : [];
+    if (weekdays.length === 0 || weekdays.some(day => !(day >= 0 && day <= 6))) {
+        return { status: 400, error: 'Choose at least one weekday' };
+    }
+
+    const resolved = await resolveAppointmentDuration(db, { service_id });
+    if (resolved.error) {
+        return resolved;
+    }
+    const end_time = body.end_time || (resolved.duration && resolved.duration.duration_minutes && TIME_PATTERN.test(start_time)
+        ? minutesToTime(timeToMinutes(start_time) + resolved.duration.duration_minutes)
+        : null);
+    if (!end_time) {
+        return { status: 400, error: 'end_time is required when the service has no set duration' };
+    }
+    const timeError = validateShifts([{ start_time, end_time }]);
+    if (timeError) {
+        return { status: 400, error: timeError };
+    }
+
+    // A course caps the series at the sessions not yet used or booked
+    let course = null;
+    if (course_id) {
+        const [courses] = await db.execute(
+            `SELECT c.id, c.course_code, c.course_name, c.remaining_sessions, c.status, c.patient_id, c.expiry_date,
+                    (SELECT COUNT(*) FROM appointments a
+                     WHERE a.course_id = c.id AND a.status IN ('SCHEDULED', 'CONFIRMED')) as booked_sessions
+             FROM courses c WHERE c.id = ?`,
+            [course_id]
+        );
+        if (courses.length === 0) {
+            return { status: 404, error: 'Course not found' };
+        }
+
+        course = courses[0];
+        if (course.patient_id !== parseInt(patient_id)) {
+            return { status: 400, error: 'Course does not belong to this patient' };
+        }
+        if (course.status !== 'ACTIVE') {
+            return { status: 400, error: `Course is ${course.status}. Only ACTIVE courses can be used.` };
+        }
+        if (course.expiry_date && moment(course.expiry_date).isBefore(moment(), 'day')) {
+            return { status: 400, error: 'Course has expired' };
+        }
+
+        course.available_sessions = course.remaining_sessions - course.booked_sessions;
+        if (course.available_sessions <= 0) {
+            return { status: 400, error: 'All remaining sessions of this course are already booked' };
+        }
+    }
+
+    const count = parseInt(body.count) || (course ? course.available_sessions : 0);
+    if (count < 1 || count > SERIES_MAX_OCCURRENCES) {
+        return { status: 400, error: `Choose between 1 and ${SERIES_MAX_OCCURRENCES} sessions` };
+    }
+    if (course && count > course.available_sessions) {
+        return { status: 400, error: `The course has ${course.available_sessions} session(s) left to book` };
+    }
+
+    const resources = await validateAppointmentResources(db, clinic_id, body.resource_ids);
+    if (resources.error) {
+        return resources;
+    }
+
+    return {
+        series: {
+            patient_id,
+            pt_id,
+            clinic_id,
+            service_id: resolved.duration ? resolved.duration.service_id : null,
+            course,
+            weekdays,
+            start_date,
+            start_time,
+            end_time,
+            count,
+            bufferMinutes: resolved.duration ? resolved.duration.buffer_minutes : 0,
+            resourceIds: resources.resourceIds,
+            appointment_type: body.appointment_type || null,
+            reason: body.reason || null,
+            notes: body.notes || null
+        }
+    };
+};
+
+/**
+ * Check every session of a series against opening hours, the therapist's and the resources' bookings,
+ * the course expiry and the other sessions. Sessions may carry their own buffer_minutes and resource_ids.
+ * @param {Object} db - Database connection
+ * @param {Object} series - { clinic_id, pt_id, bufferMinutes, resourceIds, course }
+ * @param {Array} occurrences - [{ date, start_time, end_time }]
+ * @param {Array} ignoreIds - Appointments being moved, which do not block themselves
+ * @returns {Promise<Array>} - The occurrences with { available, problems }
+ */
+const checkSeriesOccurrences = async (db, series, occurrences, ignoreIds = []) => {
+    const ignored = ignoreIds.map(String);
+    const expiry = series.course && series.course.expiry_date ? moment(series.course.expiry_date).format('YYYY-MM-DD') : null;
+    const checked = [];
+
+    for (const occurrence of occurrences) {
+        const { date, start_time, end_time } = occurrence;
+        const bufferMinutes = occurrence.buffer_minutes !== undefined ? occurrence.buffer_minutes : series.bufferMinutes;
+        const problems = [];
+
+        if (expiry && date > expiry) {
+            problems.push('After the course expires');
+        }
+
+        const closed = await checkClinicOpen(db, series.clinic_id, date, start_time, end_time);
+        if (closed) {
+            problems.push(closed);
+        }
+
+        const conflicts = await findAppointmentConflicts(db, {
+            ptId: series.pt_id, date, startTime: start_time, endTime: end_time, bufferMinutes
+        });
+        conflicts
+            .filter(conflict => !ignored.includes(String(conflict.id)))
+            .forEach(conflict => problems.push(
+                `Therapist is booked with ${conflict.patient_name} ${String(conflict.start_time).slice(0, 5)}-${String(conflict.end_time).slice(0, 5)}`
+            ));
+
+        const resourceConflicts = (await findResourceConflicts(db, {
+            resourceIds: occurrence.resource_ids || series.resourceIds,
+            date, startTime: start_time, endTime: end_time, bufferMinutes
+        })).filter(conflict => !ignored.includes(String(conflict.appointment_id)));
+        if (resourceConflicts.length > 0) {
+            problems.push(getResourceConflictMessage(resourceConflicts));
+        }
+
+        const start = timeToMinutes(start_time);
+        const end = timeToMinutes(end_time) + (bufferMinutes || 0);
+        const overlapsSibling = checked.some(other => other.date === date
+            && timeToMinutes(other.start_time) < end
+            && timeToMinutes(other.end_time) + (bufferMinutes || 0) > start);
+        if (overlapsSibling) {
+            problems.push('Overlaps another session of this series');
+        }
+
+        checked.push({ ...occurrence, available: problems.length === 0, problems });
+    }
+
+    return checked;
+};
+
+/**
+ * Booked sessions of a series from a date on
+ * @param {Object} db - Database connection
+ * @param {number} seriesId - Series ID
+ * @param {string} fromDate - 'YYYY-MM-DD'
+ * @returns {Promise<Array>}
+ */
+const getRemainingSeriesAppointments = async (db, seriesId, fromDate) => {
+    const [appointments] = await db.execute(
+        `SELECT id, pt_id, appointment_date, start_time, end_time, buffer_minutes, pn_case_id, calendar_event_id
+         FROM appointments
+         WHERE series_id = ? AND appointment_date >= ? AND status IN ('SCHEDULED', 'CONFIRMED')
+         ORDER BY appointment_date, start_time`,
+        [seriesId, fromDate]
+    );
+    return appointments;
+};
+
+/**
+ * Google Calendar details of an appointment row from appointmentSelectClause
+ * @param {Object} appointment - Appointment row
+ * @returns {Object}
+ */
+const buildCalendarEventData = (appointment) => ({
+    appointment_date: appointment.appointment_date,
+    start_time: appointment.start_time,
+    end_time: appointment.end_time,
+    patient_name: appointment.patient_name,
+    walk_in_name: appointment.walk_in_name,
+    pt_name: appointment.pt_name || '',
+    clinic_name: appointment.clinic_name || '',
+    reason: appointment.reason,
+    patient_email: appointment.patient_email || null
+});
+
+// Sessions a series would book, each checked for conflicts
+app.post('/api/appointment-series/preview', authenticateToken, authorize('ADMIN', 'PT'), async (req, res) => {
+    try {
+        const db = req.app.locals.db;
+        const resolved = await resolveSeriesRequest(db, req.user, req.body);
+        if (resolved.error) {
+            return res.status(resolved.status).json({ error: resolved.error });
+        }
+
+        const { series } = resolved;
+        const occurrences = buildSeriesDates(series.start_date, series.weekdays, series.count)
+            .map(date => ({ date, start_time: series.start_time, end_time: series.end_time }));
+
+        res.json({
+            course: series.course,
+            occurrences: await checkSeriesOccurrences(db, series, occurrences)
+        });
+    } catch (error) {
+        console.error('Preview appointment series error:', error);
+        res.status(500).json({ error: 'Failed to preview appointment series' });
+    }
+});
+
+// Book a series. The sessions may be sent back from the preview with conflicts moved or skipped.
+app.post('/api/appointment-series', authenticateToken, authorize('ADMIN', 'PT'), async (req, res) => {
+    const db = req.app.locals.db;
+    let connection;
+
+    try {
+        const resolved = await resolveSeriesRequest(db, req.user, req.body);
+        if (resolved.error) {
+            return res.status(resolved.status).json({ error: resolved.error });
+        }
+
+        const { series } = resolved;
+        let occurrences = buildSeriesDates(series.start_date, series.weekdays, series.count)
+            .map(date => ({ date, start_time: series.start_time, end_time: series.end_time }));
+
+        if (Array.isArray(req.body.occurrences)) {
+            occurrences = req.body.occurrences.map(({ date, start_time, end_time }) => ({ date, start_time, end_time }));
+            const invalid = occurrences.some(occurrence => !moment(occurrence.date, 'YYYY-MM-DD', true).isValid()
+                || validateShifts([occurrence]));
+            if (invalid) {
+                return res.status(400).json({ error: 'Each session needs a valid date, start time and end time' });
+            }
+            if (occurrences.length === 0 || occurrences.length > series.count) {
+                return res.status(400).json({ error: `Book between 1 and ${series.count} sessions` });
+            }
+            occurrences.sort((a, b) => `${a.date} ${a.start_time}`.localeCompare(`${b.date} ${b.start_time}`));
+        }
+
+        const checked = await checkSeriesOccurrences(db, series, occurrences);
+        if (checked.some(occurrence => !occurrence.available)) {
+            return res.status(409).json({
+                error: 'Some sessions conflict. Move or skip them and book again.',
+                occurrences: checked
+            });
+        }
+
+        connection = await db.getConnection();
+        await connection.beginTransaction();
+
+        const [seriesResult] = await connection.execute(
+            `INSERT INTO appointment_series
+             (patient_id, pt_id, clinic_id, course_id, service_id, weekdays, start_time, end_time, start_date,
+              occurrences, appointment_type, reason, notes, created_by)
+             VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+            [
+                series.patient_id, series.pt_id, series.clinic_id, series.course ? series.course.id : null,
+                series.service_id, series.weekdays.join(','), series.start_time, series.end_time, occurrences[0].date,
+                occurrences.length, series.appointment_type, series.reason, series.notes, req.user.id
+            ]
+        );
+        const seriesId = seriesResult.insertId;
+
+        const appointmentIds = [];
+        for (const occurrence of occurrences) {
+            const [result] = await connection.execute(
+                `INSERT INTO appointments
+                 (patient_id, pt_id, clinic_id, appointment_date, start_time, end_time, appointment_type, booking_type,
+                  course_id, service_id, buffer_minutes, series_id, reason, notes, created_by)
+                 VALUES (?, ?, ?, ?, ?, ?, ?, 'OLD_PATIENT', ?, ?, ?, ?, ?, ?, ?)`,
+                [
+                    series.patient_id, series.pt_id, series.clinic_id, occurrence.date, occurrence.start_time,
+                    occurrence.end_time, series.appointment_type, series.course ? series.course.id : null,
+                    series.service_id, series.bufferMinutes, seriesId, series.reason, series.notes, req.user.id
+                ]
+            );
+            await saveAppointmentResources(connection, result.insertId, series.resourceIds);
+            appointmentIds.push(result.insertId);
+        }
+
+        await connection.commit();
+
+        await auditLog(db, req.user.id, 'CREATE', 'appointment_series', seriesId, null,
+            { ...req.body, appointment_ids: appointmentIds }, req);
+
+        const [appointments] = await db.execute(
+            `${appointmentSelectClause} WHERE a.series_id = ? ORDER BY a.appointment_date, a.start_time`,
+            [seriesId]
+        );
+
+        // One LINE message for the whole series
+        try {
+            const first = appointments[0];
+            const notificationMessage = `🏥 New Appointment Series
+
+👤 Patient: ${first.patient_name || 'N/A'}
+👨‍⚕️ Physiotherapist: ${first.pt_name || 'N/A'}
+🏢 Clinic: ${first.clinic_name || 'N/A'}
+📅 Sessions: ${appointments.length}, ${moment(first.appointment_date).format('DD/MM/YYYY')} - ${moment(appointments[appointments.length - 1].appointment_date).format('DD/MM/YYYY')}
+🕒 Time: ${series.start_time} - ${series.end_time}
+${series.course ? `📦 Course: ${series.course.course_code}` : ''}`;
+
+            await sendLINENotification(db, 'newAppointment', notificationMessage);
+        } catch (notifError) {
+            console.error('Failed to send LINE notification:', notifError);
+        }
+
+        // Google Calendar events per session
+        for (const appointment of appointments) {
+            try {
+                const calendarEventId = await createGoogleCalendarEvent(db, buildCalendarEventData(appointment));
+                if (calendarEventId) {
+                    await db.execute(
+                        'UPDATE appointments SET calendar_event_id = ? WHERE id = ?',
+                        [calendarEventId, appointment.id]
+                    );
+                }
+            } catch (calendarError) {
+                console.error('Failed to create Google Calendar event:', calendarError);
+            }
+        }
+
+        res.status(201).json({
+            success: true,
+            series_id: seriesId,
+            appointment_ids: appointmentIds,
+            message: `${appointmentIds.length} appointments booked`
+        });
+    } catch (error) {
+        if (connection) await connection.rollback();
+        console.error('Create appointment series error:', error);
+        res.status(500).json({ error: 'Failed to book appointment series' });
+    } finally {
+        if (connection) connection.release();
+    }
+});
+
+// A series with all its sessions
+app.get('/api/appointment-series/:id', authenticateToken, async (req, res) => {
+    try {
+        const db = req.app.locals.db;
+        const [seriesRows] = await db.execute(
+            `SELECT s.*, c.course_code, c.course_name, c.remaining_sessions
+             FROM appointment_series s
+             LEFT JOIN courses c ON s.course_id = c.id
+             WHERE s.id = ?`,
+            [req.params.id]
+        );
+        if (seriesRows.length === 0) {
+            return res.status(404).json({ error: 'Series not found' });
+        }
+
+        if (!(await canAccessClinic(db, req.user, seriesRows[0].clinic_id))) {
+            return res.status(403).json({ error: 'No access to this clinic' });
+        }
+
+        const [appointments] = await db.execute(
+            `${appointmentSelectClause} WHERE a.series_id = ? ORDER BY a.appointment_date, a.start_time`,
+            [req.params.id]
+        );
+
+        res.json({ series: seriesRows[0], appointments });
+    } catch (error) {
+        console.error('Get appointment series error:', error);
+        res.status(500).json({ error: 'Failed to retrieve appointment series' });
+    }
+});
+
+// Move the remaining sessions: new time of day, a shift by whole days, or another therapist
+app.post('/api/appointment-series/:id/reschedule', authenticateToken, authorize('ADMIN', 'PT'), async (req, res) => {
+    const db = req.app.locals.db;
+    let connection;
+
+    try {
+        const { start_time, end_time, pt_id } = req.body;
+        const fromDate = req.body.from_date || moment().format('YYYY-MM-DD');
+        const dayOffset = parseInt(req.body.day_offset) || 0;
+
+        if (!moment(fromDate, 'YYYY-MM-DD', true).isValid()) {
+            return res.status(400).json({ error: 'from_date must be YYYY-MM-DD' });
+        }
+        if ((start_time && !TIME_PATTERN.test(start_time)) || (end_time && !TIME_PATTERN.test(end_time))) {
+            return res.status(400).json({ error: 'Times must be HH:MM' });
+        }
+        if (Math.abs(dayOffset) > 6) {
+            return res.status(400).json({ error: 'Sessions can move by up to 6 days' });
+        }
+        if (!start_time && !end_time && !dayOffset && !pt_id) {
+            return res.status(400).json({ error: 'Nothing to change' });
+        }
+
+        const [seriesRows] = await db.execute(
+            `SELECT s.*, c.expiry_date
+             FROM appointment_series s
+             LEFT JOIN courses c ON s.course_id = c.id
+             WHERE s.id = ?`,
+            [req.params.id]
+        );
+        if (seriesRows.length === 0) {
+            return res.status(404).json({ error: 'Series not found' });
+        }
+        const seriesRow = seriesRows[0];
+        if (!(await canAccessClinic(db, req.user, seriesRow.clinic_id))) {
+            return res.status(403).json({ error: 'No access to this clinic' });
+        }
+        if (pt_id) {
+            const therapistError = await validateSeriesTherapist(db, pt_id, seriesRow.clinic_id);
+            if (therapistError) {
+                return res.status(400).json({ error: therapistError });
+            }
+        }
+
+        const remaining = await getRemainingSeriesAppointments(db, seriesRow.id, fromDate);
+        if (remaining.length === 0) {
+            return res.status(400).json({ error: 'No upcoming sessions left in this series' });
+        }
+
+        // Each session keeps its length unless both new times are given
+        const occurrences = [];
+        for (const appointment of remaining) {
+            const length = timeToMinutes(appointment.end_time) - timeToMinutes(appointment.start_time);
+            const newStart = start_time || appointment.start_time;
+            const newEnd = end_time && start_time ? end_time : minutesToTime(timeToMinutes(newStart) + length);
+            occurrences.push({
+                appointment_id: appointment.id,
+                date: moment(appointment.appointment_date).add(dayOffset, 'days').format('YYYY-MM-DD'),
+                start_time: newStart,
+                end_time: newEnd,
+                buffer_minutes: appointment.buffer_minutes,
+                resource_ids: await getAppointmentResourceIds(db, appointment.id)
+            });
+        }
+        if (occurrences.some(occurrence => validateShifts([occurrence]))) {
+            return res.status(400).json({ error: 'The end time must be after the start time' });
+        }
+
+        const newPtId = pt_id || seriesRow.pt_id;
+        const checked = await checkSeriesOccurrences(db, {
+            clinic_id: seriesRow.clinic_id,
+            pt_id: newPtId,
+            bufferMinutes: 0,
+            resourceIds: [],
+            course: seriesRow.course_id ? { expiry_date: seriesRow.expiry_date } : null
+        }, occurrences, remaining.map(appointment => appointment.id));
+        if (checked.some(occurrence => !occurrence.available)) {
+            return res.status(409).json({
+                error: 'Some sessions cannot move. Nothing was changed.',
+                occurrences: checked
+            });
+        }
+
+        connection = await db.getConnection();
+        await connection.beginTransaction();
+        for (const occurrence of occurrences) {
+            await connection.execute(
+                `UPDATE appointments
+                 SET appointment_date = ?, start_time = ?, end_time = ?, pt_id = ?, updated_at = CURRENT_TIMESTAMP
+                 WHERE id = ?`,
+                [occurrence.date, occurrence.start_time, occurrence.end_time, newPtId, occurrence.appointment_id]
+            );
+        }
+        const weekdays = seriesRow.weekdays.split(',').map(day => (parseInt(day) + dayOffset + 7) % 7).sort();
+        await connection.execute(
+            `UPDATE appointment_series
+             SET pt_id = ?, weekdays = ?, start_date = DATE_ADD(start_date, INTERVAL ? DAY), start_time = ?, end_time = ?
+             WHERE id = ?`,
+            [newPtId, weekdays.join(','), dayOffset, occurrences[0].start_time, occurrences[0].end_time, seriesRow.id]
+        );
+        await connection.commit();
+
+        await auditLog(db, req.user.id, 'UPDATE', 'appointment_series', seriesRow.id,
+            { pt_id: seriesRow.pt_id, weekdays: seriesRow.weekdays, start_date: seriesRow.start_date, sessions: remaining },
+            { pt_id: newPtId, weekdays: weekdays.join(','), day_offset: dayOffset, sessions: occurrences }, req);
+
+        // Keep Google Calendar in step
+        const [moved] = await db.execute(
+            `${appointmentSelectClause} WHERE a.id IN (${occurrences.map(() => '?').join(',')})`,
+            occurrences.map(occurrence => occurrence.appointment_id)
+        );
+        for (const appointment of moved) {
+            const eventId = remaining.find(row => row.id === appointment.id).calendar_event_id;
+            if (!eventId) continue;
+            try {
+                await updateGoogleCalendarEvent(db, eventId, buildCalendarEventData(appointment));
+            } catch (calendarError) {
+                console.error('Failed to update Google Calendar event:', calendarError);
+            }
+        }
+
+        res.json({
+            success: true,
+            rescheduled: occurrences.length,
+            message: `${occurrences.length} session(s) rescheduled`
+        });
+    } catch (error) {
+        if (connection) await connection.rollback();
+        console.error('Reschedule appointment series error:', error);
+        res.status(500).json({ error: 'Failed to reschedule appointment series' });
+    } finally {
+        if (connection) connection.release();
+    }
+});
+
+// Cancel the remaining sessions. Sessions linked to a PN case are cancelled one by one so the case stays in sync.
+app.post('/api/appointment-series/:id/cancel', authenticateToken, authorize('ADMIN', 'PT'), async (req, res) => {
+    try {
+        const db = req.app.locals.db;
+        const fromDate = req.body.from_date || moment().format('YYYY-MM-DD');
+        const cancellationReason = req.body.cancellation_reason || '';
+
+        if (!moment(fromDate, 'YYYY-MM-DD', true).isValid()) {
+            return res.status(400).json({ error: 'from_date must be YYYY-MM-DD' });
+        }
+
+        const [seriesRows] = await db.execute('SELECT * FROM appointment_series WHERE id = ?', [req.params.id]);
+        if (seriesRows.length === 0) {
+            return res.status(404).json({ error: 'Series not found' });
+        }
+        if (!(await canAccessClinic(db, req.user, seriesRows[0].clinic_id))) {
+            return res.status(403).json({ error: 'No access to this clinic' });
+        }
+
+        const remaining = await getRemainingSeriesAppointments(db, req.params.id, fromDate);
+        const cancellable = remaining.filter(appointment => !appointment.pn_case_id);
+        const skipped = remaining.filter(appointment => appointment.pn_case_id);
+
+        if (cancellable.length > 0) {
+            await db.execute(
+                `UPDATE appointments
+                 SET status = 'CANCELLED',
+                     cancellation_reason = ?,
+                     cancelled_at = NOW(),
+                     cancelled_by = ?,
+                     updated_at = NOW()
+                 WHERE id IN (${cancellable.map(() => '?').join(',')})`,
+                [cancellationReason, req.user.id, ...cancellable.map(appointment => appointment.id)]
+            );
+        }
+
+        const [active] = await db.execute(
+            `SELECT COUNT(*) as total FROM appointments
+             WHERE series_id = ? AND status IN ('SCHEDULED', 'CONFIRMED')`,
+            [req.params.id]
+        );
+        if (active[0].total === 0) {
+            await db.execute("UPDATE appointment_series SET status = 'CANCELLED' WHERE id = ?", [req.params.id]);
+        }
+
+        await auditLog(db, req.user.id, 'UPDATE_STATUS', 'appointment_series', req.params.id, null, {
+            from_date: fromDate,
+            cancellation_reason: cancellationReason,
+            appointment_ids: cancellable.map(appointment => appointment.id)
+        }, req);
+
+        if (cancellable.length > 0) {
+            try {
+                const [details] = await db.execute(
+                    `${appointmentSelectClause} WHERE a.id = ?`,
+                    [cancellable[0].id]
+                );
+                const notificationMessage = `❌ Appointment Series Cancelled
+
+👤 Patient: ${details[0].patient_name || 'N/A'}
+👨‍⚕️ Physiotherapist: ${details[0].pt_name || 'N/A'}
+🏢 Clinic: ${details[0].clinic_name || 'N/A'}
+📅 Sessions cancelled: ${cancellable.length}, from ${moment(fromDate).format('DD/MM/YYYY')}
+${cancellationReason ? `💬 Reason: ${cancellationReason}` : ''}`;
+
+                await sendLINENotification(db, 'appointmentCancelled', notificationMessage);
+            } catch (notifError) {
+                console.error('Failed to send LINE notification:', notifError);
+            }
+        }
+
+        // Remove the cancelled sessions from Google Calendar
+        for (const appointment of cancellable) {
+            if (!appointment.calendar_event_id) continue;
+            try {
+                const deleted = await deleteGoogleCalendarEvent(db, appointment.calendar_event_id);
+                if (deleted) {
+                    await db.execute('UPDATE appointments SET calendar_event_id = NULL WHERE id = ?', [appointment.id]);
+                }
+            } catch (calendarError) {
+                console.error('Failed to delete Google Calendar event:', calendarError);
+            }
+        }
+
+        res.json({
+            success: true,
+            cancelled: cancellable.length,
+            skipped: skipped.map(appointment => ({
+                id: appointment.id,
+                appointment_date: moment(appointment.appointment_date).format('YYYY-MM-DD')
+            })),
+            message: skipped.length > 0
+                ? `${cancellable.length} session(s) cancelled. ${skipped.length} session(s) linked to a PN case must be cancelled one by one.`
+                : `${cancellable.length} session(s) cancelled`
+        });
+    } catch (error) {
+        console.error('Cancel appointment series error:', error);
+        res.status(500).json({ error: 'Failed to cancel appointment series' });
+    }
+});
+
+// ========================================
+// APPOINTMENT ROUTES (NEW)
+// ========================================
+
+// Shared select clause for appointment queries
+const appointmentSelectClause = `
+    SELECT
+        a.id,
+        a.patient_id,
+        a.pt_id,
+        a.clinic_id,
+        DATE_FORMAT(a.appointment_date, '%Y-%m-%d') AS appointment_date,
+        TIME_FORMAT(a.start_time, '%H:%i:%s') AS start_time,
+        TIME_FORMAT(a.end_time, '%H:%i:%s') AS end_time,
+        a.status,
+        a.appointment_type,
+        a.booking_type,
+        a.walk_in_name,
+        a.walk_in_phone,
+        CASE
+            WHEN a.booking_type = 'WALK_IN' THEN CONCAT('W', LPAD(a.id, 6, '0'))
+            ELSE NULL
+        END AS walk_in_id,
+        a.pn_case_id,
+        a.auto_created_pn,
+        a.service_id,
+        a.package_id,
+        a.buffer_minutes,
+        a.series_id,
+        a.reason,
+        a.notes,
+        a.created_by,
+        DATE_FORMAT(a.created_at, '%Y-%m-%d %H:%i:%s') AS created_at,
+        DATE_FORMAT(a.updated_at, '%Y-%m-%d %H:%i:%s') AS updated_at,
+        a.cancellation_reason,
+        DATE_FORMAT(a.cancelled_at, '%Y-%m-%d %H:%i:%s') AS cancelled_at,
+        a.cancelled_by,
+        p.hn,
+        p.pt_number,
+        p.first_name AS patient_first_name,
+        p.last_name AS patient_last_name,
+        p.email AS patient_email,
+        p.gender,
+        p.dob,
+        CASE
+            WHEN a.booking_type = 'WALK_IN' THEN a.walk_in_name
+            ELSE CONCAT_WS(' ', p.first_name, p.last_name)
+        END AS patient_name,
+        CONCAT_WS(' ', pt.first_name, pt.last_name) AS pt_name,
+        c.name AS clinic_name,
+        c.code AS clinic_code,
+        CONCAT_WS(' ', creator.first_name, creator.last_name) AS created_by_name,
+        CONCAT_WS(' ', canceller.first_name, canceller.last_name) AS cancelled_by_name,
+        pn.pn_code,
+        pn.status AS pn_status,
+        (SELECT GROUP_CONCAT(ar.resource_id) FROM appointment_resources ar
+         WHERE ar.appointment_id = a.id) AS resource_ids,
+        (SELECT GROUP_CONCAT(r.name ORDER BY r.name SEPARATOR ', ')
+         FROM appointment_resources ar JOIN clinic_resources r ON ar.resource_id = r.id
+         WHERE ar.appointment_id = a.id) AS resource_names
+    FROM appointments a
+    LEFT JOIN patients p ON a.patient_id = p.id
+    LEFT JOIN users pt ON a.pt_id = pt.id
+    JOIN clinics c ON a.clinic_id = c.id
+    LEFT JOIN users creator ON a.created_by = creator.id
+    LEFT JOIN users canceller ON a.cancelled_by = canceller.id
+    LEFT JOIN pn_cases pn ON a.pn_case_id = pn.id
+`;
+
+// Get all appointments (with filters)
+app.get('/api/appointments', authenticateToken, async (req, res) => {
+    try {
+        const db = req.app.locals.db;
+        const { pt_id, clinic_id, start_date, end_date, status } = req.query;
+
+        const accessibleClinics = await getAccessibleClinicIds(db, req.user);
+
+        if (req.user.role === 'CLINIC' && accessibleClinics.length === 0) {
+            return res.json([]);
+        }
+
+        let query = `${appointmentSelectClause} WHERE 1=1`;
+        const params = [];
+
+        if (req.user.role !== 'ADMIN' && accessibleClinics.length > 0) {
+            query += ` AND a.clinic_id IN (${accessibleClinics.map(() => '?').join(',')})`;
+            params.push(...accessibleClinics);
+        }
+
+        // Filter by PT
+        if (pt_id) {
+            query += ' AND a.pt_id = ?';
+            params.push(pt_id);
+        }
+
+        // Filter by Clinic
+        if (clinic_id) {
+            query += ' AND a.clinic_id = ?';
+            params.push(clinic_id);
+        }
+
+        // Filter by date range
+        if (start_date) {
+            query += ' AND a.appointment_date >= ?';
+            params.push(start_date);
+        }
+        if (end_date) {
+            query += ' AND a.appointment_date <= ?';
+            params.push(end_date);
+        }
+
+        // Filter by status
+        if (status) {
+            query += ' AND a.status = ?';
+            params.push(status);
+        } else {
+            // By default, exclude CANCELLED appointments from calendar view
+            query += ' AND a.status != ?';
+            params.push('CANCELLED');
+        }
+
+        query += ' ORDER BY a.appointment_date, a.start_time';
+
+        const [appointments] = await db.execute(query, params);
+
+        res.json(appointments);
+    } catch (error) {
+        console.error('Get appointments error:', error);
+        res.status(500).json({ error: 'Failed to retrieve appointments' });
+    }
+});
+
+// Check for appointment conflicts
+app.post('/api/appointments/check-conflict', authenticateToken, async (req, res) => {
+    try {
+        const db = req.app.locals.db;
+        const { pt_id, appointment_date, start_time, exclude_appointment_id, service_id, package_id, resource_ids } = req.body;
+
+        const resolved = await resolveAppointmentDuration(db, { service_id, package_id });
+        if (resolved.error) {
+            return res.status(resolved.status).json({ error: resolved.error });
+        }
+
+        const end_time = req.body.end_time || (resolved.duration && resolved.duration.duration_minutes && start_time
+            ? minutesToTime(timeToMinutes(start_time) + resolved.duration.duration_minutes)
+            : null);
+
+        if (!pt_id || !appointment_date || !start_time || !end_time) {
+            return res.status(400).json({ error: 'Missing required fields' });
+        }
+
+        // Without a service, a rescheduled appointment keeps its own buffer
+        let bufferMinutes = resolved.duration ? resolved.duration.buffer_minutes : 0;
+        if (!resolved.duration && exclude_appointment_id) {
+            const [current] = await db.execute(
+                'SELECT buffer_minutes FROM appointments WHERE id = ?',
+                [exclude_appointment_id]
+            );
+            if (current.length > 0) {
+                bufferMinutes = current[0].buffer_minutes;
+            }
+        }
+
+        // Exclude current appointment when rescheduling
+        const conflicts = await findAppointmentConflicts(db, {
+            ptId: pt_id,
+            date: appointment_date,
+            startTime: start_time,
+            endTime: end_time,
+            bufferMinutes,
+            excludeId: exclude_appointment_id
+        });
+
+        // Rooms and equipment; a rescheduled appointment keeps its own unless others are given
+        let resourceIds = Array.isArray(resource_ids) ? resource_ids : [];
+        if (!Array.isArray(resource_ids) && exclude_appointment_id) {
+            resourceIds = await getAppointmentResourceIds(db, exclude_appointment_id);
+        }
+        const resourceConflicts = await findResourceConflicts(db, {
+            resourceIds,
+            date: appointment_date,
+            startTime: start_time,
+            endTime: end_time,
+            bufferMinutes,
+            excludeId: exclude_appointment_id
+        });
+
+        res.json({
+            hasConflict: conflicts.length > 0 || resourceConflicts.length > 0,
+            conflicts: conflicts,
+            resourceConflicts
+        });
+    } catch (error) {
+        console.error('Check conflict error:', error);
+        res.status(500).json({ error: 'Failed to check conflicts' });
+    }
+});
+
+// Get available time slots for a specific date, clinic, and PT
+app.get('/api/appointments/available-slots', authenticateToken, async (req, res) => {
+    try {
+        const db = req.app.locals.db;
+        const { date, clinic_id, pt_id, service_id } = req.query;
+
+        if (!date || !clinic_id) {
+            return res.status(400).json({ error: 'Date and clinic_id are required' });
+        }
+
+        // Slots as long as the service, blocking its buffer
+        const resolved = await resolveAppointmentDuration(db, { service_id });
+        if (resolved.error) {
+            return res.status(resolved.status).json({ error: resolved.error });
+        }
+        const durationMinutes = (resolved.duration && resolved.duration.duration_minutes) || SLOT_MINUTES;
+        const bufferMinutes = resolved.duration ? resolved.duration.buffer_minutes : 0;
+
+        const schedule = await loadClinicDaySchedule(db, clinic_id, date);
+        const slots = buildScheduleSlots(schedule, {
+            clinicId: clinic_id,
+            ptId: pt_id,
+            hours: UNROSTERED_HOURS.staff,
+            durationMinutes,
+            bufferMinutes
+        }).map(slot => ({ ...slot, booked: !slot.available }));
+
+        res.json({
+            date,
+            clinic_id,
+            pt_id: pt_id || null,
+            duration_minutes: durationMinutes,
+            buffer_minutes: bufferMinutes,
+            rostered: schedule.rostered,
+            closures: schedule.opening.closures.map(closure => closure.name),
+            on_duty: schedule.therapists
+                .filter(therapist => !pt_id || String(therapist.pt_id) === String(pt_id))
+                .map(therapist => ({
+                    pt_id: therapist.pt_id,
+                    pt_name: therapist.pt_name,
+                    shifts: therapist.windows.map(window => ({
+                        start_time: minutesToTime(window.start),
+                        end_time: minutesToTime(window.end)
+                    }))
+                })),
+            slots
+        });
+    } catch (error) {
+        console.error('Get available slots error:', error);
+        res.status(500).json({ error: 'Failed to retrieve available time slots' });
+    }
+});
+
+// Create new appointment
+app.post('/api/appointments', authenticateToken, async (req, res) => {
+    try {
+        const db = req.app.locals.db;
+        const {
+            booking_type,  // NEW: 'WALK_IN' or 'OLD_PATIENT'
+            patient_id,
+            walk_in_name,   // NEW: For walk-in patients
+            walk_in_phone,  // NEW: For walk-in patients
+            pt_id,
+            clinic_id,
+            appointment_date,
+            start_time,
+            appointment_type,
+            reason,
+            notes,
+            auto_create_pn,  // NEW: Flag to auto-create PN case
+            course_id,       // NEW: Course ID for course cutting
+            pn_case_id,      // NEW: Link existing PN case to appointment
+            service_id,      // Service booked; sets the default length and cleanup buffer
+            resource_ids     // Rooms and equipment reserved for the appointment
+        } = req.body;
+
+        // Check access - Only ADMIN and PT can create appointments
+        if (req.user.role !== 'ADMIN' && req.user.role !== 'PT') {
+            return res.status(403).json({ error: 'Only ADMIN or PT can create appointments' });
+        }
+
+        // Validate booking type
+        const validBookingType = booking_type || 'OLD_PATIENT';
+        if (!['WALK_IN', 'OLD_PATIENT'].includes(validBookingType)) {
+            return res.status(400).json({ error: 'Invalid booking_type' });
+        }
+
+        const sanitizedWalkInName = typeof walk_in_name === 'string' ? walk_in_name.trim() : walk_in_name;
+        const sanitizedWalkInPhone = typeof walk_in_phone === 'string' ? walk_in_phone.trim() : walk_in_phone;
+
+        const resolved = await resolveAppointmentDuration(db, { service_id });
+        if (resolved.error) {
+            return res.status(resolved.status).json({ error: resolved.error });
+        }
+        const bufferMinutes = resolved.duration ? resolved.duration.buffer_minutes : 0;
+        const end_time = req.body.end_time || (resolved.duration && resolved.duration.duration_minutes && start_time
+            ? minutesToTime(timeToMinutes(start_time) + resolved.duration.duration_minutes)
+            : null);
+
+        // Validate required fields based on booking type
+        if (validBookingType === 'WALK_IN') {
+            if (!sanitizedWalkInName || !pt_id || !clinic_id || !appointment_date || !start_time || !end_time) {
+                return res.status(400).json({ error: 'Missing required fields for walk-in booking' });
+            }
+        } else {
+            // OLD_PATIENT
+            if (!patient_id || !pt_id || !clinic_id || !appointment_date || !start_time || !end_time) {
+                return res.status(400).json({ error: 'Missing required fields for patient booking' });
+            }
+        }
+
+        // Opening hours, holidays and closures
+        const closedMessage = await checkClinicOpen(db, clinic_id, appointment_date, start_time, end_time);
+        if (closedMessage) {
+            return res.status(400).json({ error: closedMessage });
+        }
+
+        // Check for conflicts, including cleanup buffers
+        const conflicts = await findAppointmentConflicts(db, {
+            ptId: pt_id,
+            date: appointment_date,
+            startTime: start_time,
+            endTime: end_time,
+            bufferMinutes
+        });
+
+        if (conflicts.length > 0) {
+            return res.status(409).json({ error: 'Time slot conflict detected' });
+        }
+
+        // Rooms and equipment must belong to the clinic and be free for the same time
+        const resources = await validateAppointmentResources(db, clinic_id, resource_ids);
+        if (resources.error) {
+            return res.status(resources.status).json({ error: resources.error });
+        }
+        const resourceConflicts = await findResourceConflicts(db, {
+            resourceIds: resources.resourceIds,
+            date: appointment_date,
+            startTime: start_time,
+            endTime: end_time,
+            bufferMinutes
+        });
+        if (resourceConflicts.length > 0) {
+            return res.status(409).json({ error: getResourceConflictMessage(resourceConflicts), resource_conflicts: resourceConflicts });
+        }
+
+        // Course validation if course_id is provided
+        let validatedCourseId = null;
+        if (course_id && validBookingType === 'OLD_PATIENT' && patient_id) {
+            const [courses] = await db.execute(
+                `SELECT id, course_code, remaining_sessions, status, patient_id, expiry_date
+                 FROM courses WHERE id = ?`,
+                [course_id]
+            );
+
+            if (courses.length === 0) {
+                return res.status(404).json({ error: 'Course not found' });
+            }
+
+            const course = courses[0];
+
+            // Validate course belongs to the patient
+            if (course.patient_id !== parseInt(patient_id)) {
+                return res.status(400).json({
+                    error: 'Course does not belong to this patient'
+                });
+            }
+
+            // Validate course status
+            if (course.status !== 'ACTIVE') {
+                return res.status(400).json({
+                    error: `Course is ${course.status}. Only ACTIVE courses can be used.`
+                });
+            }
+
+            // Validate remaining sessions
+            if (course.remaining_sessions <= 0) {
+                return res.status(400).json({
+                    error: 'Course has no remaining sessions. Please purchase a new course.',
+                    course_code: course.course_code,
+                    remaining_sessions: course.remaining_sessions
+                });
+            }
+
+            // Validate expiry date
+            if (course.expiry_date && new Date(course.expiry_date) < new Date()) {
+                return res.status(400).json({
+                    error: 'Course has expired',
+                    expiry_date: course.expiry_date
+                });
+            }
+
+            // Course validation passed
+            validatedCourseId = course_id;
+        }
+
+        let pnCaseId = pn_case_id || null;  // Use provided pn_case_id if exists
+        let autoCreatedPN = false;
+
+        // Auto-create PN case for OLD_PATIENT bookings if requested (and no pn_case_id provided)
+        if (validBookingType === 'OLD_PATIENT' && auto_create_pn && patient_id && !pnCaseId) {
+            try {
+                // Get patient details
+                const [patients] = await db.execute(
+                    'SELECT clinic_id, first_name, last_name, diagnosis FROM patients WHERE id = ?',
+                    [patient_id]
+                );
+
+                if (patients.length > 0) {
+                    const patient = patients[0];
+                    const pnCode = generatePNCode();
+
+                    // Create PN case with PENDING status
+                    const [pnResult] = await db.execute(
+                        `INSERT INTO pn_cases (
+                            pn_code, patient_id, diagnosis, purpose, status,
+                            source_clinic_id, target_clinic_id, notes, created_by
+                        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+                        [
+                            pnCode,
+                            patient_id,
+                            patient.diagnosis || 'Appointment for physiotherapy treatment',
+                            'Physiotherapy treatment from appointment booking',
+                            'PENDING',
+                            patient.clinic_id,
+                            clinic_id,
+                            `Auto-created from appointment on ${appointment_date}`,
+                            req.user.id
+                        ]
+                    );
+
+                    pnCaseId = pnResult.insertId;
+                    autoCreatedPN = true;
+
+                    console.log(`Auto-created PN case ${pnCode} (ID: ${pnCaseId}) for appointment`);
+                }
+            } catch (pnError) {
+                console.error('Failed to auto-create PN case:', pnError);
+                // Continue with appointment creation even if PN creation fails
+            }
+        }
+
+        console.log('=== CREATING APPOINTMENT ===');
+        console.log('PN Case ID:', pnCaseId);
+        console.log('Patient ID:', patient_id);
+        console.log('Clinic ID:', clinic_id);
+        console.log('Auto Created PN:', autoCreatedPN);
+
+        // Create appointment with new fields including course_id
+        const [result] = await db.execute(
+            `INSERT INTO appointments
+             (patient_id, pt_id, clinic_id, appointment_date, start_time, end_time,
+              appointment_type, booking_type, walk_in_name, walk_in_phone,
+              pn_case_id, auto_created_pn, course_id, service_id, buffer_minutes, reason, notes, created_by)
+             VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+            [
+                validBookingType === 'OLD_PATIENT' ? patient_id : null,
+                pt_id,
+                clinic_id,
+                appointment_date,
+                start_time,
+                end_time,
+                appointment_type,
+                validBookingType,
+                validBookingType === 'WALK_IN' ? sanitizedWalkInName : null,
+                validBookingType === 'WALK_IN' ? (sanitizedWalkInPhone || null) : null,
+                pnCaseId,
+                autoCreatedPN ? 1 : 0,
+                validatedCourseId,
+                resolved.duration ? resolved.duration.service_id : null,
+                bufferMinutes,
+                reason,
+                notes,
+                req.user.id
+            ]
+        );
+
+        await saveAppointmentResources(db, result.insertId, resources.resourceIds);
+
+        // NOTE: Course session is NOT deducted here
+        // Session will be deducted when appointment status changes to COMPLETED
+
+        // Get created appointment details
+        const [appointments] = await db.execute(
+            `${appointmentSelectClause} WHERE a.id = ?`,
+            [result.insertId]
+        );
+
+        const response = appointments[0];
+        if (pnCaseId) {
+            response.pn_case_id = pnCaseId;
+            response.auto_created_pn = true;
+        }
+
+        // Send LINE notification for new appointment
+        try {
+            const appointmentData = appointments[0];
+            const patientName = validBookingType === 'WALK_IN'
+                ? sanitizedWalkInName
+                : `${appointmentData.patient_first_name || ''} ${appointmentData.patient_last_name || ''}`.trim();
+            const ptName = `${appointmentData.pt_first_name || ''} ${appointmentData.pt_last_name || ''}`.trim();
+            const clinicName = appointmentData.clinic_name || 'N/A';
+
+            const notificationMessage = `🏥 New Appointment Created
+
+📋 Appointment ID: ${result.insertId}
+👤 Patient: ${patientName || 'N/A'}
+${validBookingType === 'WALK_IN' ? '🚶 Walk-in Patient' : ''}
+👨‍⚕️ Physiotherapist: ${ptName}
+🏢 Clinic: ${clinicName}
+📅 Date: ${moment(appointment_date).format('DD/MM/YYYY')}
+🕒 Time: ${start_time} - ${end_time}
+📝 Type: ${appointment_type || 'N/A'}
+${reason ? `💬 Reason: ${reason}` : ''}
+
+${pnCaseId ? `✅ PN Case Created (ID: ${pnCaseId})` : ''}`;
+
+            await sendLINENotification(db, 'newAppointment', notificationMessage);
+        } catch (notifError) {
+            console.error('Failed to send LINE notification:', notifError);
+            // Don't fail the request if notification fails
+        }
+
+        // Create Google Calendar event
+        try {
+            const appointmentData = appointments[0];
+
+            // Prepare data for calendar
+            const calendarData = {
+                appointment_date: appointment_date,
+                start_time: start_time,
+                end_time: end_time,
+                patient_name: validBookingType === 'WALK_IN'
+                    ? sanitizedWalkInName
+                    : `${appointmentData.patient_first_name || ''} ${appointmentData.patient_last_name || ''}`.trim(),
+                walk_in_name: validBookingType === 'WALK_IN' ? sanitizedWalkInName : null,
+                pt_name: `${appointmentData.pt_first_name || ''} ${appointmentData.pt_last_name || ''}`.trim(),
+                clinic_name: appointmentData.clinic_name || '',
+                reason: reason,
+                patient_email: appointmentData.patient_email || null
+            };
+
+            const calendarEventId = await createGoogleCalendarEvent(db, calendarData);
+
+            if (calendarEventId) {
+                // Store calendar event ID in database
+                await db.execute(
+                    'UPDATE appointments SET calendar_event_id = ? WHERE id = ?',
+                    [calendarEventId, result.insertId]
+                );
+                response.calendar_event_id = calendarEventId;
+            }
+        } catch (calendarError) {
+            console.error('Failed to create Google Calendar event:', calendarError);
+            // Don't fail the request if calendar creation fails
+        }
+
+        // Send confirmation email to patient (only for OLD_PATIENT with email)
+        try {
+            if (validBookingType === 'OLD_PATIENT' && patient_id) {
+                const appointmentData = appointments[0];
+                const patientEmail = appointmentData.patient_email;
+
+                if (patientEmail && patientEmail.includes('@')) {
+                    console.log('Sending confirmation email to patient:', patientEmail);
+                    const emailSent = await sendAppointmentConfirmationEmail(
+                        db,
+                        result.insertId,
+                        patientEmail
+                    );
+
+                    if (emailSent) {
+                        console.log('✅ Confirmation email sent to:', patientEmail);
+                        response.email_sent = true;
+                    } else {
+                        console.log('⚠️ Email not sent (SMTP disabled or error)');
+                        response.email_sent = false;
+                    }
+                } else {
+                    console.log('⚠️ No patient email available');
+                    response.email_sent = false;
+                }
+            } else {
+                console.log('⚠️ Walk-in booking - no email sent');
+                response.email_sent = false;
+            }
+        } catch (emailError) {
+            console.error('❌ Failed to send confirmation email:', emailError);
+            response.email_sent = false;
+            // Don't fail the request if email sending fails
+        }
+
+        res.status(201).json(response);
+    } catch (error) {
+        console.error('Create appointment error:', error);
+        res.status(500).json({ error: 'Failed to create appointment' });
+    }
+});
+// Cancel appointment
+// Cancel appointment (with PN case sync)
+app.delete('/api/appointments/:id', authenticateToken, async (req, res) => {
+    try {
+        const db = req.app.locals.db;
+        const { id } = req.params;
+        const { cancellation_reason } = req.body;
+
+        // Check access
+        if (req.user.role !== 'ADMIN' && req.user.role !== 'PT') {
+            return res.status(403).json({ error: 'Only ADMIN or PT can cancel appointments' });
+        }
+
+        // Get appointment with full details for notification
+        const [appointments] = await db.execute(
+            `SELECT a.*,
+                    COALESCE(a.course_id, pn.course_id) as course_id,
+                    pn.status as pn_status,
+                    p.first_name as patient_first_name,
+                    p.last_name as patient_last_name,
+                    pt.first_name as pt_first_name,
+                    pt.last_name as pt_last_name,
+                    c.name as clinic_name
+             FROM appointments a
+             LEFT JOIN pn_cases pn ON a.pn_case_id = pn.id
+             LEFT JOIN patients p ON a.patient_id = p.id
+             LEFT JOIN users pt ON a.pt_id = pt.id
+             LEFT JOIN clinics c ON a.clinic_id = c.id
+             WHERE a.id = ?`,
+            [id]
+        );
+
+        if (appointments.length === 0) {
+            return res.status(404).json({ error: 'Appointment not found' });
+        }
+
+        const appointment = appointments[0];
+
+        console.log('=== APPOINTMENT CANCELLATION ===');
+        console.log('Appointment ID:', id);
+        console.log('PN Case ID:', appointment.pn_case_id);
+        console.log('PN Status:', appointment.pn_status);
+        console.log('Course ID:', appointment.course_id);
+
+        // Cancel appointment
+        await db.execute(
+            `UPDATE appointments
+             SET status = 'CANCELLED',
+                 cancellation_reason = ?,
+                 cancelled_at = NOW(),
+                 cancelled_by = ?,
+                 updated_at = NOW()
+             WHERE id = ?`,
+            [cancellation_reason || '', req.user.id, id]
+        );
+
+        // Sync with PN case if linked
+        if (appointment.pn_case_id) {
+            // Return course session if PN was ACCEPTED (session was already deducted)
+            if (appointment.pn_status === 'ACCEPTED' && appointment.course_id) {
+                console.log('🔄 APPOINTMENT DELETION: Returning course session');
+                console.log('   Appointment ID:', id);
+                console.log('   PN Case ID:', appointment.pn_case_id);
+                console.log('   PN Status:', appointment.pn_status);
+                console.log('   Course ID:', appointment.course_id);
+
+                await db.execute(
+                    `UPDATE courses
+                     SET used_sessions = used_sessions - 1,
+                         remaining_sessions = remaining_sessions + 1,
+                         status = CASE
+                             WHEN status = 'COMPLETED' AND remaining_sessions + 1 > 0 THEN 'ACTIVE'
+                             ELSE status
+                         END,
+                         updated_at = NOW()
+                     WHERE id = ?`,
+                    [appointment.course_id]
+                );
+
+                // Log course return
+                await db.execute(
+                    `INSERT INTO course_usage_history
+                     (course_id, bill_id, pn_id, sessions_used, usage_date, action_type, notes, created_by)
+                     VALUES (?, NULL, ?, 1, CURDATE(), 'RETURN', 'Appointment cancelled - session returned', ?)`,
+                    [appointment.course_id, appointment.pn_case_id, req.user.id]
+                ).catch(err => console.warn('Failed to log course return:', err.message));
+
+                console.log('✅ Course session returned successfully');
+            } else {
+                console.log('ℹ️  No course session to return (PN status:', appointment.pn_status, ', course_id:', appointment.course_id, ')');
+            }
+
+            // Update PN case to CANCELLED
+            await db.execute(
+                `UPDATE pn_cases
+                 SET status = 'CANCELLED',
+                     cancelled_at = NOW(),
+                     cancellation_reason = ?,
+                     updated_at = NOW()
+                 WHERE id = ?`,
+                [cancellation_reason || 'Cancelled from appointment', appointment.pn_case_id]
+            );
+
+            // Log status change
+            await db.execute(
+                `INSERT INTO pn_status_history (pn_id, old_status, new_status, changed_by, change_reason, is_reversal)
+                 VALUES (?, ?, 'CANCELLED', ?, ?, FALSE)`,
+                [appointment.pn_case_id, appointment.pn_status, req.user.id, cancellation_reason || 'Cancelled from appointment']
+            ).catch(err => console.warn('Failed to log status history:', err.message));
+
+            console.log('✅ Synced: Appointment CANCELLED → PN case CANCELLED');
+        }
+
+        // Send LINE notification for cancelled appointment
+        try {
+            const patientName = appointment.booking_type === 'WALK_IN'
+                ? appointment.walk_in_name
+                : `${appointment.patient_first_name || ''} ${appointment.patient_last_name || ''}`.trim();
+            const ptName = `${appointment.pt_first_name || ''} ${appointment.pt_last_name || ''}`.trim();
+            const clinicName = appointment.clinic_name || 'N/A';
+
+            const notificationMessage = `❌ Appointment Cancelled
+
+📋 Appointment ID: ${id}
+👤 Patient: ${patientName || 'N/A'}
+👨‍⚕️ Physiotherapist: ${ptName}
+🏢 Clinic: ${clinicName}
+📅 Date: ${moment(appointment.appointment_date).format('DD/MM/YYYY')}
+🕒 Time: ${appointment.start_time} - ${appointment.end_time}
+${cancellation_reason ? `💬 Reason: ${cancellation_reason}` : ''}
+
+${appointment.pn_case_id ? `🔗 Linked PN Case also cancelled` : ''}`;
+
+            await sendLINENotification(db, 'appointmentCancelled', notificationMessage);
+        } catch (notifError) {
+            console.error('Failed to send LINE notification:', notifError);
+            // Don't fail the request if notification fails
+        }
+
+        // Delete Google Calendar event
+        try {
+            if (appointment.calendar_event_id) {
+                const deleted = await deleteGoogleCalendarEvent(db, appointment.calendar_event_id);
+                if (deleted) {
+                    // Clear calendar_event_id from database
+                    await db.execute(
+                        'UPDATE appointments SET calendar_event_id = NULL WHERE id = ?',
+                        [id]
+                    );
+                }
+            }
+        } catch (calendarError) {
+            console.error('Failed to delete Google Calendar event:', calendarError);
+            // Don't fail the request if calendar deletion fails
+        }
+
+        res.json({
+            message: 'Appointment cancelled successfully',
+            pn_synced: !!appointment.pn_case_id
+        });
+    } catch (error) {
+        console.error('Cancel appointment error:', error);
+        res.status(500).json({ error: 'Failed to cancel appointment' });
+    }
+});
+
+// ========================================
+// CLINICAL SEARCH
+// ========================================
+
+// Free-text columns searched in each kind of record. Thai text has no word breaks,
+// so matching is by substring (LIKE) rather than a FULLTEXT index.
+const CLINICAL_SEARCH_SOURCES = {
+    CASE: {
+        label: 'PN case',
+        fields: ['diagnosis', 'physio_diagnosis', 'pt_diagnosis', 'chief_complaint', 'pt_chief_complaint',
+            'present_history', 'pt_present_history', 'purpose', 'notes', 'medical_notes', 'functional_status'],
+        select: 'pn.id as record_id, pn.created_at as match_date, pn.*',
+        from: '',
+        date: 'pn.created_at'
+    },
+    DIAGNOSIS_CODE: {
+        label: 'Diagnosis code',
+        fields: ['code', 'title'],
+        select: 'dc.id as record_id, pn.created_at as match_date, dc.code, dc.title',
+        from: 'JOIN pn_diagnosis_codes dc ON dc.pn_id = pn.id',
+        alias: 'dc',
+        date: 'pn.created_at'
+    },
+    VISIT: {
+        label: 'Visit',
+        fields: ['chief_complaint', 'subjective', 'objective', 'assessment', 'plan', 'treatment_provided', 'notes'],
+        select: 'v.id as record_id, v.visit_date as match_date, v.visit_no, v.chief_complaint, v.subjective, v.objective, v.assessment, v.plan, v.treatment_provided, v.notes',
+        from: 'JOIN pn_visits v ON v.pn_id = pn.id',
+        alias: 'v',
+        date: 'v.visit_date'
+    },
+    SOAP_NOTE: {
+        label: 'SOAP note',
+        fields: ['subjective', 'objective', 'assessment', 'plan', 'notes'],
+        select: 's.id as record_id, s.timestamp as match_date, s.subjective, s.objective, s.assessment, s.plan, s.notes',
+        from: 'JOIN pn_soap_notes s ON s.pn_id = pn.id',
+        alias: 's',
+        date: 's.timestamp'
+    },
+    ADDENDUM: {
+        label: 'Addendum',
+        fields: ['reason', 'changes'],
+        select: 'ad.id as record_id, ad.created_at as match_date, ad.record_type, ad.reason, ad.changes',
+        from: 'JOIN clinical_note_addenda ad ON ad.pn_id = pn.id',
+        alias: 'ad',
+        date: 'ad.created_at'
+    },
+    ATTACHMENT: {
+        label: 'Attachment',
+        fields: ['file_name', 'description'],
+        select: 'att.id as record_id, att.created_at as match_date, att.file_name, att.description',
+        from: 'JOIN pn_attachments att ON att.pn_id = pn.id',
+        alias: 'att',
+        date: 'att.created_at'
+    }
+};
+
+const CLINICAL_SEARCH_ROWS_PER_SOURCE = 500;
+
+// Search terms: quoted phrases stay together, other words are matched separately
+const parseSearchTerms = (query) => {
+    const terms = [];
+    String(query || '').replace(/"([^"]+)"|(\S+)/g, (match, phrase, word) => {
+        const term = (phrase || word).trim();
+        if (term.length >= 2 && !terms.includes(term.toLowerCase())) {
+            terms.push(term.toLowerCase());
+        }
+        return match;
+    });
+    return terms.slice(0, 8);
+};
+
+const escapeLike = (term) => term.replace(/[\\%_]/g, char => `\\${char}`);
+
+// ~160 characters of text around the first matched term
+const buildSearchSnippet = (text, terms) => {
+    const value = String(text).replace(/\s+/g, ' ');
+    const lower = value.toLowerCase();
+    const index = terms.map(term => lower.indexOf(term)).filter(i => i >= 0).sort((a, b) => a - b)[0] || 0;
+    const start = Math.max(0, index - 60);
+    const end = Math.min(value.length, index + 100);
+    return `${start > 0 ? '...' : ''}${value.slice(start, end)}${end < value.length ? '...' : ''}`;
+};
+
+/**
+ * Find records of one kind where every term appears in at least one searched field.
+ * @param {Object} db - Database connection
+ * @param {string} sourceKey - Key of CLINICAL_SEARCH_SOURCES
+ * @param {string[]} terms - Lower-case search terms
+ * @param {Object} filters - { where: string[], params: any[] } restricting pn_cases (alias pn), plus from/to dates
+ * @returns {Promise<Object[]>} - Matches: { pn_id, source, record_id, match_date, field, snippet }
+ */
+const searchClinicalSource = async (db, sourceKey, terms, filters) => {
+    const source = CLINICAL_SEARCH_SOURCES[sourceKey];
+    const prefix = source.alias || 'pn';
+    const where = [...filters.where];
+    const params = [...filters.params];
+
+    terms.forEach(term => {
+        where.push(`(${source.fields.map(field => `${prefix}.${field} LIKE ?`).join(' OR ')})`);
+        source.fields.forEach(() => params.push(`%${escapeLike(term)}%`));
+    });
+    if (filters.from) {
+        where.push(`${source.date} >= ?`);
+        params.push(filters.from);
+    }
+    if (filters.to) {
+        where.push(`${source.date} < DATE_ADD(?, INTERVAL 1 DAY)`);
+        params.push(filters.to);
+    }
+
+    const [rows] = await db.execute(
+        `SELECT pn.id as pn_id, ${source.select}
+         FROM pn_cases pn
+         ${source.from}
+         WHERE ${where.join(' AND ')}
+         ORDER BY match_date DESC
+         LIMIT ${CLINICAL_SEARCH_ROWS_PER_SOURCE}`,
+        params
+    );
+
+    return rows.map(row => {
+        const matched = source.fields.filter(field => row[field] &&
+            terms.some(term => String(row[field]).toLowerCase().includes(term)));
+        const field = matched[0] || source.fields[0];
+        return {
+            pn_id: row.pn_id,
+            source: sourceKey,
+            source_label: source.label,
+            record_id: row.record_id,
+            visit_no: row.visit_no || null,
+            match_date: row.match_date,
+            fields: matched,
+            snippet: buildSearchSnippet(row[field] || '', terms)
+        };
+    });
+};
+
+// Search free text across PN cases, diagnosis codes, visits, SOAP notes, addenda and attachments.
+// Results are grouped by case, most recent match first.
+app.get('/api/search/clinical', authenticateToken, async (req, res) => {
+    try {
+        const db = req.app.locals.db;
+        const terms = parseSearchTerms(req.query.q);
+        if (terms.length === 0) {
+            return res.status(400).json({ error: 'Enter at least one search term of 2 or more characters' });
+        }
+
+        const dateFormat = /^\d{4}-\d{2}-\d{2}$/;
+        if ((req.query.from && !dateFormat.test(req.query.from)) || (req.query.to && !dateFormat.test(req.query.to))) {
+            return res.status(400).json({ error: 'Dates must be YYYY-MM-DD' });
+        }
+        const sources = req.query.sources
+            ? String(req.query.sources).split(',').filter(key => CLINICAL_SEARCH_SOURCES[key])
+            : Object.keys(CLINICAL_SEARCH_SOURCES);
+        if (sources.length === 0) {
+            return res.status(400).json({ error: 'Invalid sources' });
+        }
+        if (req.query.status && !['PENDING', 'ACCEPTED', 'IN_PROGRESS', 'COMPLETED', 'CANCELLED'].includes(req.query.status)) {
+            return res.status(400).json({ error: 'Invalid case status' });
+        }
+        const limit = safeParseInt(req.query.limit, 50, 1, 200);
+
+        const filters = { where: [], params: [], from: req.query.from || null, to: req.query.to || null };
+        if (req.user.role !== 'ADMIN') {
+            const accessibleClinics = await getAccessibleClinicIds(db, req.user);
+
+            if (req.user.role === 'CLINIC' && accessibleClinics.length === 0) {
+                return res.json({ terms, cases: [], total_cases: 0, truncated: false });
+            }
+
+            if (accessibleClinics.length > 0) {
+                const placeholders = accessibleClinics.map(() => '?').join(',');
+                filters.where.push(`(pn.source_clinic_id IN (${placeholders}) OR pn.target_clinic_id IN (${placeholders}))`);
+                filters.params.push(...accessibleClinics, ...accessibleClinics);
+            }
+        }
+        if (req.query.status) {
+            filters.where.push('pn.status = ?');
+            filters.params.push(req.query.status);
+        }
+        if (req.query.clinic_id) {
+            filters.where.push('(pn.source_clinic_id = ? OR pn.target_clinic_id = ?)');
+            filters.params.push(req.query.clinic_id, req.query.clinic_id);
+        }
+
+        const matches = [];
+        let truncated = false;
+        for (const sourceKey of sources) {
+            const found = await searchClinicalSource(db, sourceKey, terms, filters);
+            truncated = truncated || found.length >= CLINICAL_SEARCH_ROWS_PER_SOURCE;
+            matches.push(...found);
+        }
+
+        const byCase = new Map();
+        matches.forEach(match => {
+            if (!byCase.has(match.pn_id)) {
+                byCase.set(match.pn_id, { pn_id: match.pn_id, last_match_at: match.match_date, matches: [] });
+            }
+            const group = byCase.get(match.pn_id);
+            group.matches.push(match);
+            if (new Date(match.match_date) > new Date(group.last_match_at)) {
+                group.last_match_at = match.match_date;
+            }
+        });
+
+        const groups = Array.from(byCase.values())
+            .sort((a, b) => new Date(b.last_match_at) - new Date(a.last_match_at));
+        const page = groups.slice(0, limit);
+
+        if (page.length > 0) {
+            const [cases] = await db.execute(
+                `SELECT pn.id, pn.pn_code, pn.status, pn.diagnosis, pn.created_at, pn.patient_id,
+                        p.hn, p.first_name, p.last_name, tc.name as target_clinic_name
+                 FROM pn_cases pn
+                 JOIN patients p ON pn.patient_id = p.id
+                 LEFT JOIN clinics tc ON pn.target_clinic_id = tc.id
+                 WHERE pn.id IN (${page.map(() => '?').join(',')})`,
+                page.map(group => group.pn_id)
+            );
+            const casesById = new Map(cases.map(pnCase => [pnCase.id, pnCase]));
+            page.forEach(group => {
+                Object.assign(group, casesById.get(group.pn_id) || {});
+                group.matches.sort((a, b) => new Date(b.match_date) - new Date(a.match_date));
+            });
+        }
+
+        res.json({
+            terms,
+            cases: page,
+            total_cases: groups.length,
+            truncated: truncated || groups.length > limit
+        });
+    } catch (error) {
+        console.error('Clinical search error:', error);
+        res.status(500).json({ error: 'Failed to search clinical records' });
+    }
+});
+
+// ========================================
+// ATTACHMENT ROUTES (NEW)
+// ========================================
+
+// Upload attachment
+app.post('/api/pn/:id/upload', authenticateToken, upload.single('file'), async (req, res) => {
+    try {
+        const db = req.app.locals.db;
+        const pnId = req.params.id;
+        const file = req.file;
+        const userId = req.user.id;
+
+        if (!file) {
+            return res.status(400).json({ error: 'No file uploaded' });
+        }
+
+        // Save to database
+        const [result] = await db.execute(
+            `INSERT INTO pn_attachments (pn_id, file_name, file_path, mime_type, file_size, uploaded_by)
+             VALUES (?, ?, ?, ?, ?, ?)`,
+            [pnId, file.originalname, file.path, file.mimetype, file.size, userId]
+        );
+        
+        await auditLog(db, userId, 'UPLOAD_ATTACHMENT', 'pn_attachment', result.insertId, null, file, req);
+        
+        // Get the newly created attachment to send back
+        const [newAttachment] = await db.execute(
+            `SELECT a.*, CONCAT(u.first_name, ' ', u.last_name) as uploaded_by_name
+             FROM pn_attachments a
+             JOIN users u ON a.uploaded_by = u.id
+             WHERE a.id = ?`,
+            [result.insertId]
+        );
+
+        res.status(201).json({
+            success: true,
+            message: 'File uploaded successfully',
+            attachment: newAttachment[0]
+        });
+
+    } catch (error) {
+        console.error('Upload attachment error:', error);
+        res.status(500).json({ error: 'Failed to upload file' });
+    }
+});
+
+// Download attachment
+app.get('/api/attachment/:id/download', authenticateToken, async (req, res) => {
+    try {
+        const db = req.app.locals.db;
+        const { id } = req.params;
+
+        // Get attachment with associated PN case and clinics
+        const [attachments] = await db.execute(
+            `SELECT pa.*, pn.source_clinic_id, pn.target_clinic_id
+             FROM pn_attachments pa
+             JOIN pn_cases pn ON pa.pn_id = pn.id
+             WHERE pa.id = ?`,
+            [id]
+        );
+
+        if (attachments.length === 0) {
+            return res.status(404).json({ error: 'Attachment not found' });
+        }
+
+        const attachment = attachments[0];
+
+        // Check clinic access
+        if (req.user.role !== 'ADMIN' && req.user.role !== 'PT') {
+            // CLINIC users can only access attachments for cases involving their clinic
+            if (req.user.role === 'CLINIC') {
+                const hasAccess = (
+                    req.user.clinic_id === attachment.source_clinic_id ||
+                    req.user.clinic_id === attachment.target_clinic_id
+                );
+
+                if (!hasAccess) {
+                    return res.status(403).json({ error: 'No access to this attachment' });
+                }
+            } else {
+                return res.status(403).json({ error: 'Insufficient permissions' });
+            }
+        }
+
+        // Validate file path to prevent path traversal
+        const uploadDir = path.resolve(process.env.UPLOAD_DIR || './uploads');
+        const filePath = path.resolve(attachment.file_path);
+
+        if (!filePath.startsWith(uploadDir)) {
+            console.error('Path traversal attempt detected:', filePath);
+            return res.status(403).json({ error: 'Invalid file path' });
+        }
+
+        // Check file exists
+        try {
+            await fs.promises.access(filePath);
+            res.download(filePath, attachment.file_name);
+        } catch {
+            return res.status(404).json({ error: 'File not found on server' });
+        }
+
+    } catch (error) {
+        console.error('Download attachment error:', error);
+        res.status(500).json({ error: 'Failed to download file' });
+    }
+});
+
+// Delete attachment
+app.delete('/api/attachment/:id', authenticateToken, async (req, res) => {
+    try {
+        const db = req.app.locals.db;
+        const { id } = req.params;
+
+        // Get attachment details with associated PN case
+        const [attachments] = await db.execute(
+            `SELECT pa.*, pn.source_clinic_id, pn.target_clinic_id
+             FROM pn_attachments pa
+             JOIN pn_cases pn ON pa.pn_id = pn.id
+             WHERE pa.id = ?`,
+            [id]
+        );
+
+        if (attachments.length === 0) {
+            return res.status(404).json({ error: 'Attachment not found' });
+        }
+
+        const attachment = attachments[0];
+
+        // Check permissions (Admin, PT can always delete)
+        const allowedRoles = ['ADMIN', 'PT', 'PT_ADMIN'];
+        if (!allowedRoles.includes(req.user.role)) {
+            // CLINIC users can only delete attachments for cases involving their clinic
+            if (req.user.role === 'CLINIC') {
+                const hasAccess = (
+                    req.user.clinic_id === attachment.source_clinic_id ||
+                    req.user.clinic_id === attachment.target_clinic_id
+                );
+
+                if (!hasAccess) {
+                    return res.status(403).json({ error: 'No access to delete this attachment' });
+                }
+            } else {
+                return res.status(403).json({ error: 'You do not have permission to delete this file' });
+            }
+        }
+
+        // Signed consent forms are part of the medical record
+        const [consents] = await db.execute('SELECT id FROM patient_consents WHERE attachment_id = ?', [id]);
+        if (consents.length > 0) {
+            return res.status(409).json({ error: 'Signed consent forms cannot be deleted. Revoke the consent from the patient record instead.' });
+        }
+
+        // Validate file path to prevent path traversal
+        const uploadDir = path.resolve(process.env.UPLOAD_DIR || './uploads');
+        const filePath = path.resolve(attachment.file_path);
+
+        if (!filePath.startsWith(uploadDir)) {
+            console.error('Path traversal attempt detected during delete:', filePath);
+            return res.status(403).json({ error: 'Invalid file path' });
+        }
+
+        // Delete file from disk
+        try {
+            await fs.promises.unlink(filePath);
+        } catch (err) {
+            console.error(`Failed to delete file from disk: ${filePath}`, err);
+            // Don't stop the process, just log it. We still want to remove the DB entry.
+        }
+
+        // Delete from database
+        await db.execute('DELETE FROM pn_attachments WHERE id = ?', [id]);
+        
+        await auditLog(db, req.user.id, 'DELETE_ATTACHMENT', 'pn_attachment', id, attachment, null, req);
+
+        res.json({ success: true, message: 'Attachment deleted successfully' });
+
+    } catch (error) {
+        console.error('Delete attachment error:', error);
+        res.status(500).json({ error: 'Failed to delete attachment' });
+    }
+});
+
+
+// ========================================
+// PATIENT CONSENT FORMS
+// ========================================
+
+const CONSENT_FORMS = {
+    TREATMENT: 'Treatment consent',
+    DRY_NEEDLING: 'Dry needling',
+    PDPA: 'Personal data (PDPA)',
+    PHOTO: 'Photographs and video'
+};
+const CONSENT_LANGUAGES = { th: 'Thai', en: 'English', zh: 'Chinese' };
+const CONSENT_CHANNELS = ['TABLET', 'LINK'];
+const CONSENT_LINK_DAYS = 7;
+
+// Signed PDFs sit under the upload folder so they download like any other case attachment
+const CONSENT_DIR = path.join(process.env.UPLOAD_DIR || './uploads', 'consents');
+
+// PDFKit's built-in fonts cover Latin text only; Thai and Chinese need a TTF/OTF font file
+const CONSENT_PDF_FONTS = { th: process.env.PDF_FONT_TH, zh: process.env.PDF_FONT_ZH };
+
+const buildConsentSignUrl = (token) => `${process.env.APP_BASE_URL || ''}/consent/${token}`;
+
+const consentTemplateValidators = [
+    body('title').trim().notEmpty().isLength({ max: 200 }),
+    body('body').trim().notEmpty(),
+    body('ask_on_booking').optional().isBoolean().toBoolean(),
+    body('active').optional().isBoolean().toBoolean()
+];
+
+// Load a patient and check the caller's clinic access (same rule as patient search)
+const getAccessiblePatient = async (db, user, patientId) => {
+    const [patients] = await db.execute(
+        'SELECT id, hn, first_name, last_name, clinic_id FROM patients WHERE id = ?',
+        [patientId]
+    );
+    if (patients.length === 0) {
+        return { status: 404, error: 'Patient not found' };
+    }
+    if (user.role !== 'ADMIN') {
+        const accessibleClinics = await getAccessibleClinicIds(db, user);
+        if ((user.role === 'CLINIC' || accessibleClinics.length > 0) && !accessibleClinics.includes(patients[0].clinic_id)) {
+            return { status: 403, error: 'No access to this patient' };
+        }
+    }
+    return { patient: patients[0] };
+};
+
+// Active templates for one language, keyed by form code
+const getConsentTemplates = async (db, language) => {
+    const [templates] = await db.execute(
+        'SELECT * FROM consent_templates WHERE language = ? AND active = 1',
+        [language]
+    );
+    return templates.reduce((byCode, template) => ({ ...byCode, [template.code]: template }), {});
+};
+
+/**
+ * Create a signing request: one PENDING row per form, all sharing one link.
+ * @param {Object} db - Database connection
+ * @param {Object} request - { codes, language, channel, patientId, appointmentId, pnId, requestedBy }
+ * @returns {Promise<Object>} - { token, sign_url, expires_at }
+ */
+const createConsentRequest = async (db, { codes, language, channel, patientId, appointmentId, pnId, requestedBy }) => {
+    const token = uuidv4();
+    const expiresAt = moment().add(CONSENT_LINK_DAYS, 'days').format('YYYY-MM-DD HH:mm:ss');
+
+    for (const code of codes) {
+        await db.execute(
+            `INSERT INTO patient_consents (request_token, token_expires_at, patient_id, appointment_id, pn_id,
+                                           consent_code, language, channel, requested_by)
+             VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+            [token, expiresAt, patientId || null, appointmentId || null, pnId || null,
+                code, language, channel, requestedBy || null]
+        );
+    }
+
+    return { token, sign_url: buildConsentSignUrl(token), expires_at: expiresAt };
+};
+
+// Requests for the signing page; revoked forms are left out
+const getConsentRequest = async (db, token) => {
+    const [rows] = await db.execute(
+        `SELECT pc.*, p.first_name, p.last_name, p.hn,
+                a.walk_in_name, a.appointment_date, c.name as clinic_name
+         FROM patient_consents pc
+         LEFT JOIN patients p ON pc.patient_id = p.id
+         LEFT JOIN appointments a ON pc.appointment_id = a.id
+         LEFT JOIN clinics c ON c.id = COALESCE(p.clinic_id, a.clinic_id)
+         WHERE pc.request_token = ? AND pc.status != 'REVOKED'
+         ORDER BY FIELD(pc.consent_code, 'TREATMENT', 'DRY_NEEDLING', 'PDPA', 'PHOTO')`,
+        [token]
+    );
+    return rows;
+};
+
+/**
+ * Write the signed consent PDF. When no font is configured for the signing language
+ * the English text of the same form is printed, with a note naming the language signed.
+ * @param {Object} consent - Signed patient_consents row, with patient and clinic names
+ * @param {Buffer} signatureImage - Drawn signature (PNG)
+ * @param {Object|null} englishTemplate - English consent_templates row for the same form
+ * @returns {Promise<string>} - Path of the PDF
+ */
+const writeConsentPDF = async (consent, signatureImage, englishTemplate) => {
+    await fs.promises.mkdir(CONSENT_DIR, { recursive: true });
+    const filePath = path.join(CONSENT_DIR, `consent-${consent.id}-${uuidv4()}.pdf`);
+
+    const doc = new PDFDocument({ margin: 50 });
+    const stream = fs.createWriteStream(filePath);
+    doc.pipe(stream);
+
+    const fontPath = CONSENT_PDF_FONTS[consent.language];
+    const hasFont = Boolean(fontPath) && fs.existsSync(fontPath);
+    if (hasFont) {
+        doc.registerFont('ConsentText', fontPath);
+    }
+    const textFont = hasFont ? 'ConsentText' : 'Helvetica';
+    const printsSigned = consent.language === 'en' || hasFont;
+    const printed = printsSigned ? consent : (englishTemplate || { title: CONSENT_FORMS[consent.consent_code], body: '' });
+
+    doc.fontSize(12).text(consent.clinic_name || 'RehabPlus', { align: 'center' });
+    doc.font(textFont).fontSize(16).text(printed.title, { align: 'center' }).font('Helvetica');
+    doc.fontSize(9).fillColor('#555555')
+        .text(`${CONSENT_FORMS[consent.consent_code]} - version ${consent.template_version} - ${CONSENT_LANGUAGES[consent.language]}`, { align: 'center' })
+        .fillColor('black');
+    doc.moveDown();
+
+    doc.fontSize(11);
+    const patientName = consent.first_name ? `${consent.first_name} ${consent.last_name}` : consent.walk_in_name;
+    doc.font(textFont).text(`Patient: ${patientName || '-'}`).font('Helvetica');
+    if (consent.hn) {
+        doc.text(`HN: ${consent.hn}`);
+    }
+    if (consent.appointment_date) {
+        doc.text(`Appointment: ${moment(consent.appointment_date).format('DD/MM/YYYY')}`);
+    }
+    doc.moveDown();
+
+    doc.font(textFont).text(printed.body, { align: 'justify' }).font('Helvetica');
+    if (!printsSigned) {
+        doc.moveDown(0.5);
+        doc.font('Helvetica-Oblique').fontSize(9)
+            .text(`The patient read and signed the ${CONSENT_LANGUAGES[consent.language]} text of this form (version ${consent.template_version}). ` +
+                'That text is kept with the electronic consent record; the English version is printed here.')
+            .font('Helvetica').fontSize(11);
+    }
+    doc.moveDown();
+
+    doc.font('Helvetica-Bold')
+        .text(consent.decision === 'GRANTED' ? '[X] I agree to the above' : '[X] I do not agree to the above')
+        .font('Helvetica');
+    doc.moveDown();
+
+    const width = 220;
+    const imageHeight = 70;
+    if (doc.y + imageHeight + 80 > doc.page.height - doc.page.margins.bottom) {
+        doc.addPage();
+    }
+    const left = doc.page.margins.left;
+    const top = doc.y;
+    doc.image(signatureImage, left, top, { fit: [width, imageHeight], valign: 'bottom' });
+    doc.moveTo(left, top + imageHeight + 2).lineTo(left + width, top + imageHeight + 2)
+        .strokeColor('#333333').lineWidth(0.5).stroke();
+    doc.font(textFont).text(consent.signer_name, left, top + imageHeight + 6, { width }).font('Helvetica');
+    if (consent.signer_relationship) {
+        doc.font(textFont).text(`Signed on behalf of the patient (${consent.signer_relationship})`, left, doc.y, { width }).font('Helvetica');
+    }
+    doc.fontSize(8).fillColor('#555555')
+        .text(`Electronically signed ${moment(consent.signed_at).format('DD/MM/YYYY HH:mm')} via ${consent.channel.toLowerCase()}` +
+            `${consent.signed_ip ? `, IP ${consent.signed_ip}` : ''}. Consent record #${consent.id}.`, left, doc.y, { width: 400 })
+        .fillColor('black');
+
+    doc.end();
+    await new Promise((resolve, reject) => {
+        stream.on('finish', resolve);
+        stream.on('error', reject);
+    });
+    return filePath;
+};
+
+// Case a signed form is filed under: the one it was requested for, the booked visit's case, or the patient's latest case
+const resolveConsentCase = async (db, consent) => {
+    if (consent.pn_id) {
+        return consent.pn_id;
+    }
+    if (consent.appointment_id) {
+        const [appointments] = await db.execute('SELECT pn_case_id FROM appointments WHERE id = ?', [consent.appointment_id]);
+        if (appointments.length > 0 && appointments[0].pn_case_id) {
+            return appointments[0].pn_case_id;
+        }
+    }
+    if (consent.patient_id) {
+        const [cases] = await db.execute(
+            'SELECT id FROM pn_cases WHERE patient_id = ? ORDER BY created_at DESC, id DESC LIMIT 1',
+            [consent.patient_id]
+        );
+        if (cases.length > 0) {
+            return cases[0].id;
+        }
+    }
+    return null;
+};
+
+/**
+ * Add signed consent PDFs that are not yet filed as PN case attachments.
+ * Forms signed before the patient had a case (e.g. online bookings) wait here
+ * until one exists. Pass { patientId } or { appointmentId }.
+ * @param {Object} db - Database connection
+ * @param {Object} scope - Which consents to look at
+ * @returns {Promise<number>} - Number of PDFs attached
+ */
+const attachSignedConsents = async (db, { patientId, appointmentId }) => {
+    try {
+        const [consents] = await db.execute(
+            `SELECT * FROM patient_consents
+             WHERE ${patientId ? 'patient_id = ?' : 'appointment_id = ?'}
+             AND status = 'SIGNED' AND attachment_id IS NULL AND file_path IS NOT NULL`,
+            [patientId || appointmentId]
+        );
+
+        let attached = 0;
+        for (const consent of consents) {
+            const pnId = await resolveConsentCase(db, consent);
+            if (!pnId) {
+                continue;
+            }
+
+            const stat = await fs.promises.stat(consent.file_path).catch(() => null);
+            // The patient signed it, so no staff user is recorded as the uploader
+            const [result] = await db.execute(
+                `INSERT INTO pn_attachments (pn_id, file_name, file_path, file_size, description, uploaded_by)
+                 VALUES (?, ?, ?, ?, ?, ?)`,
+                [pnId, `consent-${consent.consent_code.toLowerCase()}-${consent.id}.pdf`, consent.file_path,
+                    stat ? stat.size : null,
+                    `Signed consent: ${CONSENT_FORMS[consent.consent_code]} (${consent.decision === 'GRANTED' ? 'agreed' : 'declined'})`,
+                    null]
+            );
+            await db.execute(
+                'UPDATE patient_consents SET pn_id = ?, attachment_id = ? WHERE id = ?',
+                [pnId, result.insertId, consent.id]
+            );
+            attached++;
+        }
+        return attached;
+    } catch (err) {
+        console.warn('Failed to attach signed consents (table may not exist):', err.message);
+        return 0;
+    }
+};
+
+// Consent templates for the request form (active only)
+app.get('/api/consent-templates', authenticateToken, async (req, res) => {
+    try {
+        const db = req.app.locals.db;
+        const [templates] = await db.execute(
+            `SELECT id, code, language, title, version, ask_on_booking
+             FROM consent_templates WHERE active = 1
+             ORDER BY FIELD(code, 'TREATMENT', 'DRY_NEEDLING', 'PDPA', 'PHOTO'), FIELD(language, 'th', 'en', 'zh')`
+        );
+        res.json({ templates, forms: CONSENT_FORMS, languages: CONSENT_LANGUAGES });
+    } catch (error) {
+        console.error('Get consent templates error:', error);
+        res.status(500).json({ error: 'Failed to retrieve consent templates' });
+    }
+});
+
+app.get('/api/admin/consent-templates', authenticateToken, authorize('ADMIN'), async (req, res) => {
+    try {
+        const db = req.app.locals.db;
+        const [templates] = await db.execute(
+            `SELECT t.*, CONCAT(u.first_name, ' ', u.last_name) as updated_by_name
+             FROM consent_templates t
+             LEFT JOIN users u ON t.updated_by = u.id
+             ORDER BY FIELD(t.code, 'TREATMENT', 'DRY_NEEDLING', 'PDPA', 'PHOTO'), FIELD(t.language, 'th', 'en', 'zh')`
+        );
+        res.json({ templates, forms: CONSENT_FORMS, languages: CONSENT_LANGUAGES });
+    } catch (error) {
+        console.error('Get admin consent templates error:', error);
+        res.status(500).json({ error: 'Failed to retrieve consent templates' });
+    }
+});
+
+// Edit a template; changing the wording raises the version so signed forms show which text they saw
+app.put('/api/admin/consent-templates/:id', authenticateToken, authorize('ADMIN'), consentTemplateValidators, async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        const db = req.app.locals.db;
+        const [existing] = await db.execute('SELECT * FROM consent_templates WHERE id = ?', [req.params.id]);
+        if (existing.length === 0) {
+            return res.status(404).json({ error: 'Consent template not found' });
+        }
+
+        const template = existing[0];
+        const textChanged = req.body.title !== template.title || req.body.body !== template.body;
+        const version = textChanged ? template.version + 1 : template.version;
+        const askOnBooking = req.body.ask_on_booking === undefined ? template.ask_on_booking : (req.body.ask_on_booking ? 1 : 0);
+        const active = req.body.active === undefined ? template.active : (req.body.active ? 1 : 0);
+
+        await db.execute(
+            `UPDATE consent_templates
+             SET title = ?, body = ?, version = ?, ask_on_booking = ?, active = ?, updated_by = ?
+             WHERE id = ?`,
+            [req.body.title, req.body.body, version, askOnBooking, active, req.user.id, req.params.id]
+        );
+
+        await auditLog(db, req.user.id, 'UPDATE', 'consent_template', req.params.id, template, req.body, req);
+
+        res.json({ success: true, version });
+    } catch (error) {
+        console.error('Update consent template error:', error);
+        res.status(500).json({ error: 'Failed to update consent template' });
+    }
+});
+
+// Consent forms of a patient, newest first; pending ones include their signing link
+app.get('/api/patients/:id/consents', authenticateToken, async (req, res) => {
+    try {
+        const db = req.app.locals.db;
+        const access = await getAccessiblePatient(db, req.user, req.params.id);
+        if (access.error) {
+            return res.status(access.status).json({ error: access.error });
+        }
+
+        const [consents] = await db.execute(
+            `SELECT pc.id, pc.request_token, pc.token_expires_at, pc.appointment_id, pc.pn_id, pc.consent_code,
+                    pc.language, pc.title, pc.template_version, pc.status, pc.decision, pc.signer_name,
+                    pc.signer_relationship, pc.channel, pc.signed_at, pc.attachment_id, pc.created_at,
+                    pc.revoked_at, pc.revoke_reason, pn.pn_code,
+                    CONCAT(u.first_name, ' ', u.last_name) as requested_by_name,
+                    CONCAT(r.first_name, ' ', r.last_name) as revoked_by_name
+             FROM patient_consents pc
+             LEFT JOIN pn_cases pn ON pc.pn_id = pn.id
+             LEFT JOIN users u ON pc.requested_by = u.id
+             LEFT JOIN users r ON pc.revoked_by = r.id
+             WHERE pc.patient_id = ?
+             ORDER BY pc.created_at DESC, pc.id DESC`,
+            [req.params.id]
+        );
+
+        const now = new Date();
+        res.json({
+            consents: consents.map(({ request_token, ...consent }) => ({
+                ...consent,
+                form_name: CONSENT_FORMS[consent.consent_code],
+                expired: consent.status === 'PENDING' && new Date(consent.token_expires_at) < now,
+                sign_url: consent.status === 'PENDING' && new Date(consent.token_expires_at) >= now
+                    ? buildConsentSignUrl(request_token) : null
+            })),
+            forms: CONSENT_FORMS,
+            languages: CONSENT_LANGUAGES
+        });
+    } catch (error) {
+        console.error('Get patient consents error:', error);
+        res.status(500).json({ error: 'Failed to retrieve consent forms' });
+    }
+});
+
+// Request signatures: { codes: ['TREATMENT', ...], language, channel: TABLET|LINK, pn_id }
+app.post('/api/patients/:id/consents', authenticateToken, [
+    body('codes').isArray({ min: 1 }),
+    body('codes.*').isIn(Object.keys(CONSENT_FORMS)),
+    body('language').isIn(Object.keys(CONSENT_LANGUAGES)),
+    body('channel').optional().isIn(CONSENT_CHANNELS),
+    body('pn_id').optional({ nullable: true }).isInt().toInt()
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        const db = req.app.locals.db;
+        const access = await getAccessiblePatient(db, req.user, req.params.id);
+        if (access.error) {
+            return res.status(access.status).json({ error: access.error });
+        }
+
+        if (req.body.pn_id) {
+            const [cases] = await db.execute('SELECT patient_id FROM pn_cases WHERE id = ?', [req.body.pn_id]);
+            if (cases.length === 0 || cases[0].patient_id !== access.patient.id) {
+                return res.status(400).json({ error: 'PN case does not belong to this patient' });
+            }
+        }
+
+        const codes = [...new Set(req.body.codes)];
+        const templates = await getConsentTemplates(db, req.body.language);
+        const missing = codes.filter(code => !templates[code]);
+        if (missing.length > 0) {
+            return res.status(400).json({
+                error: `No active ${CONSENT_LANGUAGES[req.body.language]} template for: ${missing.map(code => CONSENT_FORMS[code]).join(', ')}`
+            });
+        }
+
+        const request = await createConsentRequest(db, {
+            codes,
+            language: req.body.language,
+            channel: req.body.channel || 'LINK',
+            patientId: access.patient.id,
+            pnId: req.body.pn_id || null,
+            requestedBy: req.user.id
+        });
+
+        await auditLog(db, req.user.id, 'REQUEST_CONSENT', 'patient', access.patient.id, null,
+            { codes, language: req.body.language, channel: req.body.channel || 'LINK' }, req);
+
+        res.status(201).json({ success: true, ...request });
+    } catch (error) {
+        console.error('Request consent error:', error);
+        res.status(500).json({ error: 'Failed to request consent' });
+    }
+});
+
+// Signed consent PDF
+app.get('/api/consents/:id/pdf', authenticateToken, async (req, res) => {
+    try {
+        const db = req.app.locals.db;
+        const [consents] = await db.execute('SELECT * FROM patient_consents WHERE id = ?', [req.params.id]);
+        if (consents.length === 0 || !consents[0].file_path) {
+            return res.status(404).json({ error: 'Signed consent not found' });
+        }
+
+        const consent = consents[0];
+        if (consent.patient_id) {
+            const access = await getAccessiblePatient(db, req.user, consent.patient_id);
+            if (access.error) {
+                return res.status(access.status).json({ error: access.error });
+            }
+        } else if (req.user.role === 'CLINIC') {
+            return res.status(403).json({ error: 'No access to this consent' });
+        }
+
+        const uploadDir = path.resolve(process.env.UPLOAD_DIR || './uploads');
+        const filePath = path.resolve(consent.file_path);
+        if (!filePath.startsWith(uploadDir)) {
+            console.error('Path traversal attempt detected:', filePath);
+            return res.status(403).json({ error: 'Invalid file path' });
+        }
+
+        try {
+            await fs.promises.access(filePath);
+        } catch {
+            return res.status(404).json({ error: 'File not found on server' });
+        }
+
+        res.setHeader('Content-Type', 'application/pdf');
+        res.setHeader('Content-Disposition', `inline; filename="consent-${consent.consent_code.toLowerCase()}-${consent.id}.pdf"`);
+        fs.createReadStream(filePath).pipe(res);
+    } catch (error) {
+        console.error('Get consent PDF error:', error);
+        res.status(500).json({ error: 'Failed to get consent PDF' });
+    }
+});
+
+// Withdraw a signed consent or cancel a pending request; the signed PDF is kept
+app.post('/api/consents/:id/revoke', authenticateToken, [
+    body('reason').trim().notEmpty().isLength({ max: 255 })
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        const db = req.app.locals.db;
+        const [consents] = await db.execute('SELECT * FROM patient_consents WHERE id = ?', [req.params.id]);
+        if (consents.length === 0) {
+            return res.status(404).json({ error: 'Consent not found' });
+        }
+
+        const consent = consents[0];
+        if (consent.patient_id) {
+            const access = await getAccessiblePatient(db, req.user, consent.patient_id);
+            if (access.error) {
+                return res.status(access.status).json({ error: access.error });
+            }
+        }
+        if (consent.status === 'REVOKED') {
+            return res.status(400).json({ error: 'Consent is already revoked' });
+        }
+
+        await db.execute(
+            `UPDATE patient_consents
+             SET status = 'REVOKED', revoked_at = NOW(), revoked_by = ?, revoke_reason = ?
+             WHERE id = ?`,
+            [req.user.id, req.body.reason, consent.id]
+        );
+
+        await auditLog(db, req.user.id, 'REVOKE_CONSENT', 'patient_consent', consent.id,
+            { status: consent.status }, { status: 'REVOKED', reason: req.body.reason }, req);
+
+        res.json({ success: true });
+    } catch (error) {
+        console.error('Revoke consent error:', error);
+        res.status(500).json({ error: 'Failed to revoke consent' });
+    }
+});
+
+// Public signing page, used on the clinic tablet or from the link sent to the patient
+app.get('/consent/:token', async (req, res) => {
+    try {
+        const db = req.app.locals.db;
+        const consents = await getConsentRequest(db, req.params.token);
+        if (consents.length === 0) {
+            return res.status(404).send('This consent link is no longer available.');
+        }
+
+        const language = CONSENT_LANGUAGES[req.query.lang] ? req.query.lang : consents[0].language;
+        const pending = consents.filter(consent => consent.status === 'PENDING');
+        const expired = pending.length > 0 && new Date(consents[0].token_expires_at) < new Date();
+        const templates = await getConsentTemplates(db, language);
+
+        res.render('consent-sign', {
+            token: req.params.token,
+            language,
+            languages: CONSENT_LANGUAGES,
+            clinicName: consents[0].clinic_name,
+            patientName: consents[0].first_name ? `${consents[0].first_name} ${consents[0].last_name}` : (consents[0].walk_in_name || ''),
+            forms: pending.map(consent => templates[consent.consent_code]).filter(Boolean),
+            missing: pending.filter(consent => !templates[consent.consent_code]).length,
+            signed: consents.filter(consent => consent.status === 'SIGNED'),
+            expired
+        });
+    } catch (error) {
+        console.error('Public consent page error:', error);
+        res.status(500).send('Failed to load consent forms');
+    }
+});
+
+// Sign the pending forms of a request:
+// { language, signer_name, signer_relationship, signature_data, decisions: { CODE: { decision, version } } }
+app.post('/consent/:token', async (req, res) => {
+    try {
+        const db = req.app.locals.db;
+        const consents = await getConsentRequest(db, req.params.token);
+        const pending = consents.filter(consent => consent.status === 'PENDING');
+        if (pending.length === 0) {
+            return res.status(404).json({ error: 'There are no forms waiting to be signed on this link' });
+        }
+        if (new Date(pending[0].token_expires_at) < new Date()) {
+            return res.status(410).json({ error: 'This consent link has expired. Please ask the clinic for a new one.' });
+        }
+
+        const language = req.body.language;
+        const signerName = typeof req.body.signer_name === 'string' ? req.body.signer_name.trim() : '';
+        const relationship = typeof req.body.signer_relationship === 'string' ? req.body.signer_relationship.trim() : '';
+        const decisions = req.body.decisions || {};
+        if (!CONSENT_LANGUAGES[language]) {
+            return res.status(400).json({ error: 'Invalid language' });
+        }
+        if (!signerName || signerName.length > 200 || relationship.length > 100) {
+            return res.status(400).json({ error: 'Please enter the name of the person signing' });
+        }
+
+        const match = typeof req.body.signature_data === 'string' &&
+            req.body.signature_data.match(/^data:image\/png;base64,([A-Za-z0-9+/=]+)$/);
+        const signatureImage = match ? Buffer.from(match[1], 'base64') : null;
+        if (!signatureImage || !detectSignatureImageType(signatureImage)) {
+            return res.status(400).json({ error: 'Please sign in the signature box' });
+        }
+        if (signatureImage.length > MAX_SIGNATURE_BYTES) {
+            return res.status(400).json({ error: 'Signature image is too large' });
+        }
+
+        const templates = await getConsentTemplates(db, language);
+        const englishTemplates = language === 'en' ? templates : await getConsentTemplates(db, 'en');
+        for (const consent of pending) {
+            const answer = decisions[consent.consent_code] || {};
+            const template = templates[consent.consent_code];
+            if (!['GRANTED', 'DECLINED'].includes(answer.decision)) {
+                return res.status(400).json({ error: 'Please agree or decline every form' });
+            }
+            // The wording changed after the page was opened; the patient must see the current text
+            if (!template || parseInt(answer.version) !== template.version) {
+                return res.status(409).json({ error: 'A form has been updated. Please reload the page and read it again.' });
+            }
+        }
+
+        const signedAt = moment().format('YYYY-MM-DD HH:mm:ss');
+        const signedIp = getClientIP(req);
+        for (const consent of pending) {
+            const template = templates[consent.consent_code];
+            const signed = {
+                ...consent,
+                language,
+                title: template.title,
+                body: template.body,
+                template_version: template.version,
+                status: 'SIGNED',
+                decision: decisions[consent.consent_code].decision,
+                signer_name: signerName,
+                signer_relationship: relationship || null,
+                signed_at: signedAt,
+                signed_ip: signedIp
+            };
+            const filePath = await writeConsentPDF(signed, signatureImage, englishTemplates[consent.consent_code] || null);
+
+            await db.execute(
+                `UPDATE patient_consents
+                 SET language = ?, title = ?, body = ?, template_version = ?, status = 'SIGNED', decision = ?,
+                     signer_name = ?, signer_relationship = ?, signed_at = ?, signed_ip = ?, file_path = ?
+                 WHERE id = ? AND status = 'PENDING'`,
+                [language, signed.title, signed.body, signed.template_version, signed.decision,
+                    signerName, signed.signer_relationship, signedAt, signedIp, filePath, consent.id]
+            );
+            // The signer is not a user: log without an actor and keep who signed, and from where, in the new values
+            await auditLog(db, null, 'SIGN_CONSENT', 'patient_consent', consent.id, null, {
+                consent_code: consent.consent_code,
+                decision: signed.decision,
+                channel: consent.channel,
+                signer_name: signerName,
+                signer_relationship: signed.signer_relationship,
+                signed_ip: signedIp
+            }, req);
+        }
+
+        const first = pending[0];
+        await attachSignedConsents(db, first.patient_id ? { patientId: first.patient_id } : { appointmentId: first.appointment_id });
+
+        res.json({ success: true, signed: pending.length });
+    } catch (error) {
+        console.error('Sign consent error:', error);
+        res.status(500).json({ error: 'Failed to save consent' });
+    }
+});
+
+// ========================================
+// VISITS AND REPORTS ROUTES
+// ========================================
+
+// Create visit
+app.post('/api/pn/:id/visit', authenticateToken, [
+    body('visit_date').isDate(),
+    body('status').isIn(['SCHEDULED', 'COMPLETED', 'CANCELLED', 'NO_SHOW'])
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+        
+        const db = req.app.locals.db;
+        const pnId = req.params.id;
+        
+        // Get next visit number
+        const [maxVisit] = await db.execute(
+            'SELECT MAX(visit_no) as max_no FROM pn_visits WHERE pn_id = ?',
+            [pnId]
+        );
+        
+        const visitNo = (maxVisit[0].max_no || 0) + 1;
+
+        // A SOAP template fills in whichever S/O/A/P fields were left empty
+        const soap = {};
+        SOAP_TEMPLATE_FIELDS.forEach(field => {
+            soap[field] = req.body[field] || null;
+        });
+        if (req.body.template_id) {
+            const [templates] = await db.execute(
+                'SELECT * FROM soap_templates WHERE id = ? AND active = 1',
+                [req.body.template_id]
+            );
+            if (templates.length === 0) {
+                return res.status(400).json({ error: 'SOAP template not found' });
+            }
+            const context = await buildSOAPTemplateContext(db, pnId, req.user, {
+                visit_no: visitNo,
+                date: moment(req.body.visit_date).format('DD/MM/YYYY')
+            });
+            const rendered = renderSOAPTemplate(templates[0], context);
+            SOAP_TEMPLATE_FIELDS.forEach(field => {
+                if (!soap[field]) soap[field] = rendered[field];
+            });
+        }
+        
+        // Completed visits can be signed as they are saved (`sign: true`), which locks them
+        const sign = Boolean(req.body.sign) && req.body.status === 'COMPLETED';
+        const signature = sign ? await getActiveSignature(db, req.user.id) : null;
+
+        const [result] = await db.execute(
+            `INSERT INTO pn_visits (
+                pn_id, visit_no, visit_date, visit_time, status,
+                chief_complaint, subjective, objective, assessment, plan,
+                treatment_provided, therapist_id, duration_minutes, notes, created_by, signed_at, signed_by, signature_id
+            ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ${sign ? 'NOW(), ?' : 'NULL, ?'}, ?)`,
+            [
+                pnId, visitNo, req.body.visit_date, req.body.visit_time || null,
+                req.body.status || 'SCHEDULED',
+                req.body.chief_complaint || null, soap.subjective,
+                soap.objective, soap.assessment,
+                soap.plan, req.body.treatment_provided || null,
+                req.body.therapist_id || req.user.id, req.body.duration_minutes || null,
+                soap.notes, req.user.id, sign ? req.user.id : null, signature ? signature.id : null
+            ]
+        );
+        
+        await auditLog(db, req.user.id, 'CREATE', 'visit', result.insertId, null, req.body, req);
+
+        // Goal progress recorded at this visit: [{ goal_id, value, status, note }]
+        if (Array.isArray(req.body.goal_updates) && req.body.goal_updates.length > 0) {
+            const [goals] = await db.execute('SELECT * FROM pn_goals WHERE pn_id = ?', [pnId]);
+            for (const update of req.body.goal_updates) {
+                const goal = goals.find(g => g.id === parseInt(update.goal_id));
+                const hasValue = update.value !== undefined && update.value !== null && update.value !== '';
+                if (!goal || (!hasValue && !GOAL_STATUSES.includes(update.status))) {
+                    continue;
+                }
+                await recordGoalUpdate(db, goal, {
+                    value: hasValue ? update.value : null,
+                    status: GOAL_STATUSES.includes(update.status) ? update.status : null,
+                    note: update.note,
+                    visitId: result.insertId,
+                    userId: req.user.id
+                });
+            }
+        }
+        
+        res.status(201).json({
+            success: true,
+            message: 'Visit created successfully',
+            visit_id: result.insertId,
+            visit_no: visitNo,
+            signed: sign
+        });
+    } catch (error) {
+        console.error('Create visit error:', error);
+        res.status(500).json({ error: 'Failed to create visit' });
+    }
+});
+
+// Report types of pn_reports; DISCHARGE has its own case-level layout
+const REPORT_TITLES = {
+    INITIAL: 'Initial Assessment Report',
+    PROGRESS: 'Progress Report',
+    DISCHARGE: 'Discharge Summary',
+    SUMMARY: 'Treatment Summary Report'
+};
+
+// Generate and save report
+app.post('/api/visit/:id/report', authenticateToken, [
+    body('report_type').optional({ checkFalsy: true }).isIn(Object.keys(REPORT_TITLES))
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        const db = req.app.locals.db;
+        const visitId = req.params.id;
+        const reportType = req.body.report_type || 'PROGRESS';
+        
+        // Get visit and case details
+        const [visits] = await db.execute(
+            `SELECT v.*, pn.pn_code, pn.diagnosis, pn.purpose,
+                    p.hn, p.pt_number, p.first_name, p.last_name, p.dob,
+                    c.name as clinic_name, c.address as clinic_address
+             FROM pn_visits v
+             JOIN pn_cases pn ON v.pn_id = pn.id
+             JOIN patients p ON pn.patient_id = p.id
+             JOIN clinics c ON pn.target_clinic_id = c.id
+             WHERE v.id = ?`,
+            [visitId]
+        );
+        
+        if (visits.length === 0) {
+            return res.status(404).json({ error: 'Visit not found' });
+        }
+        
+        const visit = visits[0];
+
+        // Discharge reports cover the whole case rather than this visit
+        if (reportType === 'DISCHARGE') {
+            const [cases] = await db.execute('SELECT status FROM pn_cases WHERE id = ?', [visit.pn_id]);
+            if (cases[0].status !== 'COMPLETED') {
+                return res.status(400).json({ error: 'Discharge reports are only available for completed cases' });
+            }
+
+            const report = await createDischargeReport(db, visit.pn_id, req.user.id);
+            await auditLog(db, req.user.id, 'CREATE', 'report', report.reportId, null,
+                          { pn_id: visit.pn_id, report_type: 'DISCHARGE' }, req);
+
+            return res.json({
+                success: true,
+                message: 'Report generated successfully',
+                report_id: report.reportId,
+                download_url: `/api/report/${report.reportId}/download`
+            });
+        }
+
+        const fileName = `report_${visit.pn_code}_visit${visit.visit_no}_${Date.now()}.pdf`;
+        const filePath = path.join(process.env.REPORTS_DIR || './reports', fileName);
+        
+        // Create PDF
+        const doc = new PDFDocument();
+        const writeStream = require('fs').createWriteStream(filePath);
+        const stream = doc.pipe(writeStream);
+        
+        // Header
+        doc.fontSize(20).text(REPORT_TITLES[reportType], { align: 'center' });
+        doc.moveDown();
+        doc.fontSize(14).text(visit.clinic_name, { align: 'center' });
+        doc.fontSize(10).text(visit.clinic_address || '', { align: 'center' });
+        doc.moveDown();
+        
+        // Report info
+        doc.fontSize(12);
+        doc.text(`Report Date: ${moment().format('DD/MM/YYYY HH:mm')}`);
+        doc.text(`PN Code: ${visit.pn_code}`);
+        doc.text(`Visit No: ${visit.visit_no}`);
+        doc.moveDown();
+        
+        // Patient info
+        doc.fontSize(14).text('Patient Information', { underline: true });
+        doc.fontSize(11);
+        doc.text(`HN: ${visit.hn}`);
+        doc.text(`PT Number: ${visit.pt_number}`);
+        doc.text(`Name: ${visit.first_name} ${visit.last_name}`);
+        doc.text(`DOB: ${moment(visit.dob).format('DD/MM/YYYY')}`);
+        doc.text(`Diagnosis: ${visit.diagnosis}`);
+        writePDFDiagnosisCodes(doc, (await getDiagnosisCodesByCase(db, [visit.pn_id]))[visit.pn_id]);
+        writePDFScreening(doc, await getLatestScreening(db, visit.pn_id));
+        doc.moveDown();
+        
+        // Visit details
+        doc.fontSize(14).text('Visit Details', { underline: true });
+        doc.fontSize(11);
+        doc.text(`Visit Date: ${moment(visit.visit_date).format('DD/MM/YYYY')}`);
+        doc.text(`Status: ${visit.status}`);
+        
+        if (visit.chief_complaint) {
+            doc.moveDown();
+            doc.text('Chief Complaint:', { underline: true });
+            doc.text(visit.chief_complaint);
+        }
+        
+        if (visit.subjective) {
+            doc.moveDown();
+            doc.text('Subjective:', { underline: true });
+            doc.text(visit.subjective);
+        }
+        
+        if (visit.objective) {
+            doc.moveDown();
+            doc.text('Objective:', { underline: true });
+            doc.text(visit.objective);
+        }
+        
+        if (visit.assessment) {
+            doc.moveDown();
+            doc.text('Assessment:', { underline: true });
+            doc.text(visit.assessment);
+        }
+        
+        if (visit.plan) {
+            doc.moveDown();
+            doc.text('Plan:', { underline: true });
+            doc.text(visit.plan);
+        }
+        
+        if (visit.treatment_provided) {
+            doc.moveDown();
+            doc.text('Treatment Provided:', { underline: true });
+            doc.text(visit.treatment_provided);
+        }
+
+        // The note above is what was signed; later corrections are listed, not merged in
+        if (visit.signed_at) {
+            doc.moveDown();
+            doc.fontSize(9).fillColor('#555555')
+                .text(`Signed ${moment(visit.signed_at).format('DD/MM/YYYY HH:mm')}`)
+                .fillColor('black').fontSize(11);
+        }
+        const [visitWithAddenda] = await attachAddenda(db, 'VISIT', [visit], VISIT_NOTE_FIELDS);
+        if (visitWithAddenda.addenda.length > 0) {
+            doc.moveDown();
+            doc.fontSize(14).text('Addenda', { underline: true });
+            doc.fontSize(10);
+            visitWithAddenda.addenda.forEach(addendum => {
+                doc.moveDown(0.5);
+                doc.text(`${moment(addendum.created_at).format('DD/MM/YYYY HH:mm')} by ${addendum.created_by_name || 'N/A'}: ${addendum.reason}`);
+                addendum.changes.forEach(change => {
+                    doc.text(`${change.field.replace(/_/g, ' ')}: ${change.to || '(removed)'}`, doc.page.margins.left + 12);
+                });
+                doc.x = doc.page.margins.left;
+            });
+            doc.fontSize(11);
+        }
+        
+        // Pain locations from the most recent SOAP note that has a body chart
+        let chartedNotes = [];
+        try {
+            const [result] = await db.execute(
+                `SELECT s.id, s.timestamp FROM pn_soap_notes s
+                 WHERE s.pn_id = ? AND EXISTS (SELECT 1 FROM pn_soap_body_marks m WHERE m.soap_note_id = s.id)
+                 ORDER BY s.timestamp DESC LIMIT 1`,
+                [visit.pn_id]
+            );
+            chartedNotes = result;
+        } catch (err) {
+            console.warn('Failed to load body chart for report (table may not exist):', err.message);
+        }
+        if (chartedNotes.length > 0) {
+            const marksByNote = await getBodyChartMarksByNote(db, [chartedNotes[0].id]);
+            doc.moveDown();
+            doc.fontSize(14).text('Body Chart', { underline: true });
+            doc.fontSize(9).text(`From SOAP note of ${moment(chartedNotes[0].timestamp).format('DD/MM/YYYY HH:mm')}`);
+            doc.moveDown(0.5);
+            drawPDFBodyChart(doc, marksByNote[chartedNotes[0].id] || []);
+        }
+
+        // Progress trends across the case
+        const progress = await buildPNProgress(db, visit.pn_id);
+        const hasProgress = progress && (progress.pain.points.length > 0 ||
+            progress.measures.length > 0 || progress.rom.length > 0);
+        if (hasProgress) {
+            doc.addPage();
+            doc.fontSize(14).text('Progress Summary', { underline: true });
+            doc.moveDown(0.5);
+
+            if (progress.pain.points.length > 0) {
+                drawPDFProgressChart(doc, `Pain (0-10): ${describeProgressChange(progress.pain)}`,
+                    progress.pain.points, { min: 0, max: 10 });
+            }
+
+            progress.measures.forEach(series => {
+                const max = series.code === 'LEFS' ? 80 : 100;
+                drawPDFProgressChart(doc, `${series.name} (${series.code}): ${describeProgressChange(series)}`,
+                    series.points, { min: 0, max, unit: series.unit === '%' ? '%' : '' });
+            });
+
+            if (progress.rom.length > 0) {
+                if (doc.y + 40 > doc.page.height - doc.page.margins.bottom) {
+                    doc.addPage();
+                }
+                doc.fontSize(11).text('Range of Motion', { underline: true });
+                doc.fontSize(10);
+                progress.rom.forEach(series => {
+                    doc.text(`${series.label}: ${series.points.map(point => `${point.value}°`).join(' -> ')}` +
+                        (series.points.length > 1 ? ` (${series.change > 0 ? '+' : ''}${series.change}°)` : ''));
+                });
+            }
+        }
+
+        // Goal attainment across the case
+        const attainment = await buildGoalAttainment(db, visit.pn_id);
+        if (attainment.goals.length > 0) {
+            doc.moveDown();
+            drawPDFGoalAttainment(doc, attainment);
+        }
+
+        // Signed by the user generating the report when they have a registered signature
+        const signature = await loadSigningSignature(db, req.user.id);
+        if (signature) {
+            doc.moveDown();
+            drawPDFSignature(doc, signature);
+        }
+
+        // Generate QR code for download link
+        const downloadUrl = `${process.env.APP_BASE_URL}/api/report/${visitId}/download`;
+        const qrCode = await QRCode.toDataURL(downloadUrl);
+        
+        // Add QR code to PDF
+        doc.moveDown();
+        doc.text('Scan QR code to download this report:', { align: 'center' });
+        doc.image(qrCode, doc.page.width / 2 - 50, doc.y + 10, { width: 100 });
+        
+        // Footer
+        doc.fontSize(10);
+        doc.text(`Generated on ${moment().format('DD/MM/YYYY HH:mm:ss')}`, 
+                50, doc.page.height - 50, { align: 'center' });
+        
+        doc.end();
+        
+        // Wait for PDF to be written
+        await new Promise((resolve) => stream.on('finish', resolve));
+        
+        // Save report record to database
+        const [result] = await db.execute(
+            `INSERT INTO pn_reports (
+                pn_id, visit_id, report_type, file_path, file_name, 
+                mime_type, file_size, qr_code, report_data, created_by,
+                signed_by, signed_at, signature_id
+            ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+            [
+                visit.pn_id,
+                visitId,
+                reportType,
+                filePath,
+                fileName,
+                'application/pdf',
+                (await require('fs').promises.stat(filePath)).size,
+                qrCode,
+                JSON.stringify(visit),
+                req.user.id,
+                signature ? req.user.id : null,
+                signature ? signature.signed_at : null,
+                signature ? signature.id : null
+            ]
+        );
+        
+        await auditLog(db, req.user.id, 'CREATE', 'report', result.insertId, null, 
+                      { visit_id: visitId }, req);
+        
+        res.json({
+            success: true,
+            message: 'Report generated successfully',
+            report_id: result.insertId,
+            download_url: `/api/report/${result.insertId}/download`
+        });
+    } catch (error) {
+        console.error('Generate report error:', error);
+        res.status(500).json({ error: 'Failed to generate report' });
+    }
+});
+
+// Download report
+app.get('/api/report/:id/download', authenticateToken, async (req, res) => {
+    try {
+        const db = req.app.locals.db;
+        const { id } = req.params;
+        
+        const [reports] = await db.execute(
+            'SELECT * FROM pn_reports WHERE id = ?',
+            [id]
+        );
+        
+        if (reports.length === 0) {
+            return res.status(404).json({ error: 'Report not found' });
+        }
+        
+        const report = reports[0];
+        
+        // Check if file exists
+        try {
+            await require('fs').promises.access(report.file_path);
+        } catch {
+            return res.status(404).json({ error: 'Report file not found' });
+        }
+        
+        res.download(report.file_path, report.file_name);
+    } catch (error) {
+        console.error('Download report error:', error);
+        res.status(500).json({ error: 'Failed to download report' });
+    }
+});
+
+// Download the latest report of a PN case (optionally ?type=DISCHARGE etc.)
+app.get('/api/pn/:id/last-report', authenticateToken, async (req, res) => {
+    try {
+        const db = req.app.locals.db;
+        const access = await getAccessiblePNCase(db, req.user, req.params.id);
+        if (access.error) {
+            return res.status(access.status).json({ error: access.error });
+        }
+
+        const reportType = req.query.type;
+        if (reportType && !REPORT_TITLES[reportType]) {
+            return res.status(400).json({ error: 'Invalid report type' });
+        }
+
+        const [reports] = await db.execute(
+            `SELECT * FROM pn_reports
+             WHERE pn_id = ? ${reportType ? 'AND report_type = ?' : ''}
+             ORDER BY created_at DESC, id DESC LIMIT 1`,
+            reportType ? [req.params.id, reportType] : [req.params.id]
+        );
+
+        if (reports.length === 0) {
+            return res.status(404).json({ error: 'Report not found' });
+        }
+
+        try {
+            await require('fs').promises.access(reports[0].file_path);
+        } catch {
+            return res.status(404).json({ error: 'Report file not found' });
+        }
+
+        res.download(reports[0].file_path, reports[0].file_name);
+    } catch (error) {
+        console.error('Download last report error:', error);
+        res.status(500).json({ error: 'Failed to download report' });
+    }
+});
+
+// ========================================
+// OUTCOME MEASURES
+// ========================================
+
+/**
+ * Standard outcome measure definitions.
+ * Questionnaires take `responses` as an array of item scores (null = unanswered);
+ * ROM takes an array of { joint, movement, side, degrees }.
+ * `better` tells charts and reports which direction is improvement.
+ */
+const OUTCOME_MEASURES = {
+    NPRS: {
+        name: 'Numeric Pain Rating Scale',
+        items: 1, itemMin: 0, itemMax: 10, maxMissing: 0,
+        unit: '/10', better: 'lower', mcid: 2,
+        score: (sum) => sum,
+        bands: [[0, 'No pain'], [3, 'Mild pain'], [6, 'Moderate pain'], [10, 'Severe pain']]
+    },
+    ODI: {
+        name: 'Oswestry Disability Index',
+        items: 10, itemMin: 0, itemMax: 5, maxMissing: 1,
+        unit: '%', better: 'lower', mcid: 10,
+        score: (sum, answered) => sum / (answered * 5) * 100,
+        bands: [[20, 'Minimal disability'], [40, 'Moderate disability'], [60, 'Severe disability'], [80, 'Crippled'], [100, 'Bed-bound']]
+    },
+    NDI: {
+        name: 'Neck Disability Index',
+        items: 10, itemMin: 0, itemMax: 5, maxMissing: 1,
+        unit: '%', better: 'lower', mcid: 10,
+        score: (sum, answered) => sum / (answered * 5) * 100,
+        bands: [[8, 'No disability'], [28, 'Mild disability'], [48, 'Moderate disability'], [68, 'Severe disability'], [100, 'Complete disability']]
+    },
+    LEFS: {
+        name: 'Lower Extremity Functional Scale',
+        items: 20, itemMin: 0, itemMax: 4, maxMissing: 0,
+        unit: '/80', better: 'higher', mcid: 9,
+        score: (sum) => sum,
+        bands: [[20, 'Severe limitation'], [40, 'Moderate limitation'], [60, 'Mild limitation'], [80, 'Minimal limitation']]
+    },
+    DASH: {
+        name: 'Disabilities of the Arm, Shoulder and Hand',
+        items: 30, itemMin: 1, itemMax: 5, maxMissing: 3,
+        unit: '/100', better: 'lower', mcid: 10,
+        score: (sum, answered) => (sum / answered - 1) * 25,
+        bands: [[20, 'Minimal disability'], [40, 'Mild disability'], [60, 'Moderate disability'], [80, 'Severe disability'], [100, 'Extreme disability']]
+    },
+    ROM: {
+        name: 'Range of Motion (goniometry)',
+        unit: '°', better: 'higher'
+    }
+};
+
+const ROM_SIDES = ['L', 'R', 'BILATERAL', 'SPINE'];
+
+const interpretOutcomeScore = (definition, score) => {
+    const band = definition.bands.find(([max]) => score <= max);
+    return band ? band[1] : definition.bands[definition.bands.length - 1][1];
+};
+
+/**
+ * Validate responses and calculate the score for an outcome measure
+ * @param {string} code - Measure code (key of OUTCOME_MEASURES)
+ * @param {Array} responses - Item scores, or ROM readings
+ * @returns {Object} - { score, interpretation, responses } or { error }
+ */
+const scoreOutcomeMeasure = (code, responses) => {
+    const definition = OUTCOME_MEASURES[code];
+    if (!definition) {
+        return { error: `Unknown outcome measure: ${code}` };
+    }
+    if (!Array.isArray(responses) || responses.length === 0) {
+        return { error: 'responses must be a non-empty array' };
+    }
+
+    if (code === 'ROM') {
+        for (const reading of responses) {
+            const degrees = Number(reading && reading.degrees);
+            if (!reading || !reading.joint || !reading.movement || !Number.isFinite(degrees) || degrees < -90 || degrees > 360) {
+                return { error: 'Each ROM reading needs joint, movement and degrees (-90 to 360)' };
+            }
+            if (reading.side && !ROM_SIDES.includes(reading.side)) {
+                return { error: `ROM side must be one of ${ROM_SIDES.join(', ')}` };
+            }
+        }
+        return {
+            score: null,
+            interpretation: null,
+            responses: responses.map(reading => ({
+                joint: String(reading.joint).trim().toLowerCase(),
+                movement: String(reading.movement).trim().toLowerCase(),
+                side: reading.side || null,
+                degrees: Number(reading.degrees),
+                active: reading.active !== false
+            }))
+        };
+    }
+
+    if (responses.length !== definition.items) {
+        return { error: `${code} requires ${definition.items} item responses` };
+    }
+
+    let sum = 0;
+    let answered = 0;
+    for (const value of responses) {
+        if (value === null || value === undefined || value === '') {
+            continue;
+        }
+        const itemScore = Number(value);
+        if (!Number.isInteger(itemScore) || itemScore < definition.itemMin || itemScore > definition.itemMax) {
+            return { error: `${code} item scores must be whole numbers from ${definition.itemMin} to ${definition.itemMax}` };
+        }
+        sum += itemScore;
+        answered++;
+    }
+
+    if (definition.items - answered > definition.maxMissing) {
+        return { error: `${code} allows at most ${definition.maxMissing} unanswered items` };
+    }
+
+    const score = Math.round(definition.score(sum, answered) * 100) / 100;
+
+    return {
+        score,
+        interpretation: interpretOutcomeScore(definition, score),
+        responses: responses.map(value => (value === null || value === undefined || value === '') ? null : Number(value))
+    };
+};
+
+// Load a PN case and check the caller may see it (CLINIC users: source or target clinic only)
+const getAccessiblePNCase = async (db, user, pnId) => {
+    const [cases] = await db.execute(
+        'SELECT id, patient_id, status, source_clinic_id, target_clinic_id FROM pn_cases WHERE id = ?',
+        [pnId]
+    );
+    if (cases.length === 0) {
+        return { status: 404, error: 'PN case not found' };
+    }
+    const pnCase = cases[0];
+    if (user.role === 'CLINIC' &&
+        user.clinic_id !== pnCase.source_clinic_id && user.clinic_id !== pnCase.target_clinic_id) {
+        return { status: 403, error: 'No access to this PN case' };
+    }
+    return { pnCase };
+};
+
+// Outcome measure definitions (for the recording form)
+app.get('/api/outcome-measures', authenticateToken, (req, res) => {
+    const definitions = Object.entries(OUTCOME_MEASURES).map(([code, definition]) => ({
+        code,
+        name: definition.name,
+        items: definition.items || null,
+        item_min: definition.itemMin !== undefined ? definition.itemMin : null,
+        item_max: definition.itemMax !== undefined ? definition.itemMax : null,
+        max_missing: definition.maxMissing !== undefined ? definition.maxMissing : null,
+        unit: definition.unit,
+        better: definition.better,
+        mcid: definition.mcid || null
+    }));
+
+    res.json(definitions);
+});
+
+// List outcome measures for a PN case, oldest first
+app.get('/api/pn/:id/outcome-measures', authenticateToken, async (req, res) => {
+    try {
+        const db = req.app.locals.db;
+        const access = await getAccessiblePNCase(db, req.user, req.params.id);
+        if (access.error) {
+            return res.status(access.status).json({ error: access.error });
+        }
+
+        let query = `
+            SELECT om.*, v.visit_no, CONCAT(u.first_name, ' ', u.last_name) as recorded_by_name
+            FROM pn_outcome_measures om
+            LEFT JOIN pn_visits v ON om.visit_id = v.id
+            JOIN users u ON om.recorded_by = u.id
+            WHERE om.pn_id = ?
+        `;
+        const params = [req.params.id];
+
+        if (req.query.measure_code) {
+            query += ' AND om.measure_code = ?';
+            params.push(req.query.measure_code);
+        }
+
+        query += ' ORDER BY om.measured_at, om.id';
+
+        const [measures] = await db.execute(query, params);
+
+        res.json(measures.map(measure => ({
+            ...measure,
+            responses: typeof measure.responses === 'string' ? JSON.parse(measure.responses) : measure.responses,
+            score: measure.score !== null ? Number(measure.score) : null
+        })));
+    } catch (error) {
+        console.error('Get outcome measures error:', error);
+        res.status(500).json({ error: 'Failed to retrieve outcome measures' });
+    }
+});
+
+// Record an outcome measure for a PN case (optionally against a visit)
+app.post('/api/pn/:id/outcome-measures', authenticateToken, authorize('ADMIN', 'PT'), [
+    body('measure_code').isIn(Object.keys(OUTCOME_MEASURES)),
+    body('responses').isArray({ min: 1 })
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        const db = req.app.locals.db;
+        const pnId = req.params.id;
+        const { measure_code, visit_id, notes, measured_at } = req.body;
+
+        const access = await getAccessiblePNCase(db, req.user, pnId);
+        if (access.error) {
+            return res.status(access.status).json({ error: access.error });
+        }
+
+        if (visit_id) {
+            const [visits] = await db.execute(
+                'SELECT id FROM pn_visits WHERE id = ? AND pn_id = ?',
+                [visit_id, pnId]
+            );
+            if (visits.length === 0) {
+                return res.status(400).json({ error: 'Visit does not belong to this PN case' });
+            }
+        }
+
+        const scored = scoreOutcomeMeasure(measure_code, req.body.responses);
+        if (scored.error) {
+            return res.status(400).json({ error: scored.error });
+        }
+
+        const measuredAt = measured_at ? moment(measured_at) : moment();
+        if (!measuredAt.isValid()) {
+            return res.status(400).json({ error: 'Invalid measured_at' });
+        }
+
+        const [result] = await db.execute(
+            `INSERT INTO pn_outcome_measures (
+                pn_id, visit_id, measure_code, responses, score, interpretation, notes, measured_at, recorded_by
+            ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+            [
+                pnId, visit_id || null, measure_code, JSON.stringify(scored.responses),
+                scored.score, scored.interpretation, notes || null,
+                measuredAt.format('YYYY-MM-DD HH:mm:ss'), req.user.id
+            ]
+        );
+
+        await auditLog(db, req.user.id, 'CREATE', 'outcome_measure', result.insertId, null, {
+            pn_id: pnId, visit_id: visit_id || null, measure_code, score: scored.score
+        }, req);
+
+        if (scored.score !== null) {
+            await updateGoalsFromOutcomeMeasure(db, pnId, measure_code, scored.score, {
+                visitId: visit_id, outcomeMeasureId: result.insertId, userId: req.user.id
+            });
+        }
+
+        res.status(201).json({
+            success: true,
+            message: 'Outcome measure recorded',
+            id: result.insertId,
+            score: scored.score,
+            interpretation: scored.interpretation
+        });
+    } catch (error) {
+        console.error('Create outcome measure error:', error);
+        res.status(500).json({ error: 'Failed to record outcome measure' });
+    }
+});
+
+// Delete an outcome measure entered in error
+app.delete('/api/pn/:id/outcome-measures/:measureId', authenticateToken, authorize('ADMIN', 'PT'), async (req, res) => {
+    try {
+        const db = req.app.locals.db;
+        const { id, measureId } = req.params;
+
+        const [measures] = await db.execute(
+            'SELECT * FROM pn_outcome_measures WHERE id = ? AND pn_id = ?',
+            [measureId, id]
+        );
+        if (measures.length === 0) {
+            return res.status(404).json({ error: 'Outcome measure not found' });
+        }
+
+        if (req.user.role !== 'ADMIN' && measures[0].recorded_by !== req.user.id) {
+            return res.status(403).json({ error: 'Only the recording therapist or an admin can delete this measure' });
+        }
+
+        await db.execute('DELETE FROM pn_outcome_measures WHERE id = ?', [measureId]);
+
+        await auditLog(db, req.user.id, 'DELETE', 'outcome_measure', measureId, measures[0], null, req);
+
+        res.json({ success: true, message: 'Outcome measure deleted' });
+    } catch (error) {
+        console.error('Delete outcome measure error:', error);
+        res.status(500).json({ error: 'Failed to delete outcome measure' });
+    }
+});
+
+// ========================================
+// PN PROGRESS TRACKING
+// ========================================
+
+// Pain scores typed into free-text notes: "VAS 6", "NPRS: 4", "pain score = 3", "pain 5/10"
+const PAIN_TEXT_PATTERNS = [
+    /\b(?:vas|nprs|nrs|ps)\s*[:=]?\s*(\d{1,2}(?:\.\d)?)(?![\d.])/i,
+    /\bpain(?:\s*(?:score|scale|level))?\s*[:=]\s*(\d{1,2}(?:\.\d)?)(?![\d.])/i,
+    /\bpain\b[^.\n]{0,20}?(\d{1,2}(?:\.\d)?)\s*\/\s*10\b/i
+];
+
+const extractPainScore = (text) => {
+    if (!text) {
+        return null;
+    }
+    for (const pattern of PAIN_TEXT_PATTERNS) {
+        const match = String(text).match(pattern);
+        if (match) {
+            const score = parseFloat(match[1]);
+            if (score >= 0 && score <= 10) {
+                return score;
+            }
+        }
+    }
+    return null;
+};
+
+const extractFirstPainScore = (texts) => {
+    for (const text of texts) {
+        const score = extractPainScore(text);
+        if (score !== null) {
+            return score;
+        }
+    }
+    return null;
+};
+
+// First/last/change for a series; `better` is 'lower' or 'higher'
+const summarizeProgressSeries = (points, better, mcid = null) => {
+    if (points.length === 0) {
+        return { first: null, last: null, change: null, improved: null, clinically_significant: null };
+    }
+    const first = points[0].value;
+    const last = points[points.length - 1].value;
+    const change = Math.round((last - first) * 100) / 100;
+    const improvement = better === 'lower' ? -change : change;
+
+    return {
+        first,
+        last,
+        change,
+        improved: points.length > 1 ? improvement > 0 : null,
+        clinically_significant: points.length > 1 && mcid ? improvement >= mcid : null
+    };
+};
+
+// "6 -> 2/10 (-4, improved, clinically significant)" for report text
+const describeProgressChange = (series) => {
+    if (series.points.length < 2) {
+        return `${series.last}${series.unit} (single measurement)`;
+    }
+    const trend = series.improved ? 'improved' : 'not improved';
+    return `${series.first} -> ${series.last}${series.unit} (${series.change > 0 ? '+' : ''}${series.change}, ${trend}` +
+        `${series.clinically_significant ? ', clinically significant' : ''})`;
+};
+
+/**
+ * Collect pain scores, outcome-measure scores and ROM readings for a PN case, oldest first.
+ * Pain comes from the case intake/PT assessment, NPRS measures, and scores written in
+ * visit and SOAP note text.
+ * @param {Object} db - Database connection
+ * @param {number|string} pnId - PN case ID
+ * @returns {Promise<Object|null>} - { pain, measures, rom } or null when the case does not exist
+ */
+const buildPNProgress = async (db, pnId) => {
+    const [cases] = await db.execute(
+        `SELECT id, pn_code, initial_pain_scale, pain_scale, pt_pain_score, created_at, accepted_at
+         FROM pn_cases WHERE id = ?`,
+        [pnId]
+    );
+    if (cases.length === 0) {
+        return null;
+    }
+    const pnCase = cases[0];
+
+    const [visits] = await db.execute(
+        `SELECT id, visit_no, visit_date, visit_time, chief_complaint, subjective, objective, notes
+         FROM pn_visits WHERE pn_id = ? AND status != 'CANCELLED'
+         ORDER BY visit_date, visit_no`,
+        [pnId]
+    );
+
+    let soapNotes = [];
+    try {
+        const [result] = await db.execute(
+            'SELECT id, subjective, objective, notes, timestamp FROM pn_soap_notes WHERE pn_id = ? ORDER BY timestamp',
+            [pnId]
+        );
+        soapNotes = result;
+    } catch (err) {
+        console.warn('Failed to load SOAP notes for progress (table may not exist):', err.message);
+    }
+
+    let measures = [];
+    try {
+        const [result] = await db.execute(
+            `SELECT om.*, v.visit_no
+             FROM pn_outcome_measures om
+             LEFT JOIN pn_visits v ON om.visit_id = v.id
+             WHERE om.pn_id = ?
+             ORDER BY om.measured_at, om.id`,
+            [pnId]
+        );
+        measures = result;
+    } catch (err) {
+        console.warn('Failed to load outcome measures for progress (table may not exist):', err.message);
+    }
+
+    const painPoints = [];
+    const intakePain = pnCase.initial_pain_scale !== null ? pnCase.initial_pain_scale : pnCase.pain_scale;
+    if (intakePain !== null && intakePain !== undefined) {
+        painPoints.push({ date: pnCase.created_at, value: Number(intakePain), source: 'INTAKE', visit_no: null });
+    }
+    if (pnCase.pt_pain_score !== null && pnCase.pt_pain_score !== undefined) {
+        painPoints.push({ date: pnCase.accepted_at || pnCase.created_at, value: Number(pnCase.pt_pain_score), source: 'PT_ASSESSMENT', visit_no: null });
+    }
+
+    // Structured NPRS wins over a score parsed from the same visit's notes
+    const nprsVisitIds = new Set(measures.filter(m => m.measure_code === 'NPRS' && m.visit_id).map(m => m.visit_id));
+
+    visits.forEach(visit => {
+        if (nprsVisitIds.has(visit.id)) {
+            return;
+        }
+        const score = extractFirstPainScore([visit.subjective, visit.chief_complaint, visit.objective, visit.notes]);
+        if (score !== null) {
+            painPoints.push({
+                date: moment(`${moment(visit.visit_date).format('YYYY-MM-DD')} ${visit.visit_time || '00:00:00'}`).toDate(),
+                value: score, source: 'VISIT_NOTE', visit_no: visit.visit_no
+            });
+        }
+    });
+
+    soapNotes.forEach(note => {
+        const score = extractFirstPainScore([note.subjective, note.objective, note.notes]);
+        if (score !== null) {
+            painPoints.push({ date: note.timestamp, value: score, source: 'SOAP_NOTE', visit_no: null });
+        }
+    });
+
+    const measureSeries = {};
+    const romSeries = {};
+
+    measures.forEach(measure => {
+        const responses = typeof measure.responses === 'string' ? JSON.parse(measure.responses) : measure.responses;
+
+        if (measure.measure_code === 'NPRS') {
+            painPoints.push({ date: measure.measured_at, value: Number(measure.score), source: 'NPRS', visit_no: measure.visit_no });
+            return;
+        }
+
+        if (measure.measure_code === 'ROM') {
+            (responses || []).forEach(reading => {
+                const label = `${reading.joint} ${reading.movement}${reading.side ? ` (${reading.side})` : ''}`;
+                if (!romSeries[label]) {
+                    romSeries[label] = { label, joint: reading.joint, movement: reading.movement, side: reading.side, points: [] };
+                }
+                romSeries[label].points.push({ date: measure.measured_at, value: Number(reading.degrees), visit_no: measure.visit_no });
+            });
+            return;
+        }
+
+        if (!measureSeries[measure.measure_code]) {
+            measureSeries[measure.measure_code] = { code: measure.measure_code, points: [] };
+        }
+        measureSeries[measure.measure_code].points.push({
+            date: measure.measured_at,
+            value: Number(measure.score),
+            interpretation: measure.interpretation,
+            visit_no: measure.visit_no
+        });
+    });
+
+    const byDate = (a, b) => new Date(a.date) - new Date(b.date);
+    painPoints.sort(byDate);
+
+    return {
+        pn_id: pnCase.id,
+        pn_code: pnCase.pn_code,
+        pain: {
+            unit: '/10',
+            better: 'lower',
+            mcid: OUTCOME_MEASURES.NPRS.mcid,
+            points: painPoints,
+            ...summarizeProgressSeries(painPoints, 'lower', OUTCOME_MEASURES.NPRS.mcid)
+        },
+        measures: Object.values(measureSeries).map(series => {
+            const definition = OUTCOME_MEASURES[series.code];
+            series.points.sort(byDate);
+            return {
+                code: series.code,
+                name: definition.name,
+                unit: definition.unit,
+                better: definition.better,
+                mcid: definition.mcid,
+                points: series.points,
+                ...summarizeProgressSeries(series.points, definition.better, definition.mcid)
+            };
+        }),
+        rom: Object.values(romSeries).map(series => {
+            series.points.sort(byDate);
+            return { ...series, unit: '°', better: 'higher', ...summarizeProgressSeries(series.points, 'higher') };
+        })
+    };
+};
+
+/**
+ * Draw a simple line chart of a progress series into a PDFKit document at the current position
+ * @param {Object} doc - PDFKit document
+ * @param {string} title - Chart title
+ * @param {Object[]} points - [{ date, value }]
+ * @param {Object} options - { min, max, unit }
+ */
+const drawPDFProgressChart = (doc, title, points, options = {}) => {
+    const width = 440;
+    const height = 120;
+    const left = doc.page.margins.left + 30;
+
+    if (doc.y + height + 50 > doc.page.height - doc.page.margins.bottom) {
+        doc.addPage();
+    }
+
+    doc.fontSize(11).fillColor('black').text(title, doc.page.margins.left, doc.y);
+    const top = doc.y + 8;
+
+    const values = points.map(point => point.value);
+    const min = options.min !== undefined ? options.min : Math.min(...values);
+    let max = options.max !== undefined ? options.max : Math.max(...values);
+    if (max === min) {
+        max = min + 1;
+    }
+    const x = (index) => left + (points.length === 1 ? width / 2 : (index / (points.length - 1)) * width);
+    const y = (value) => top + height - ((value - min) / (max - min)) * height;
+
+    // Axes and scale labels
+    doc.lineWidth(1).strokeColor('#999999')
+        .moveTo(left, top).lineTo(left, top + height).lineTo(left + width, top + height).stroke();
+    doc.fontSize(8).fillColor('#666666');
+    doc.text(`${max}${options.unit || ''}`, doc.page.margins.left, top - 4, { width: 26, align: 'right' });
+    doc.text(`${min}${options.unit || ''}`, doc.page.margins.left, top + height - 4, { width: 26, align: 'right' });
+
+    // Line and points
+    doc.lineWidth(2).strokeColor('#667eea');
+    points.forEach((point, index) => {
+        if (index === 0) {
+            doc.moveTo(x(index), y(point.value));
+        } else {
+            doc.lineTo(x(index), y(point.value));
+        }
+    });
+    if (points.length > 1) {
+        doc.stroke();
+    }
+    points.forEach((point, index) => {
+        doc.circle(x(index), y(point.value), 3).fill('#667eea');
+        doc.fillColor('#333333').fontSize(7)
+            .text(String(point.value), x(index) - 15, y(point.value) - 12, { width: 30, align: 'center' })
+            .text(moment(point.date).format('DD/MM'), x(index) - 15, top + height + 4, { width: 30, align: 'center' });
+    });
+
+    doc.fillColor('black').strokeColor('black').lineWidth(1);
+    doc.x = doc.page.margins.left;
+    doc.y = top + height + 20;
+};
+
+// Progress trends for a PN case (pain, outcome measures, ROM)
+app.get('/api/pn/:id/progress', authenticateToken, async (req, res) => {
+    try {
+        const db = req.app.locals.db;
+        const access = await getAccessiblePNCase(db, req.user, req.params.id);
+        if (access.error) {
+            return res.status(access.status).json({ error: access.error });
+        }
+
+        const progress = await buildPNProgress(db, req.params.id);
+
+        res.json(progress);
+    } catch (error) {
+        console.error('Get PN progress error:', error);
+        res.status(500).json({ error: 'Failed to retrieve progress' });
+    }
+});
+
+// ========================================
+// PN GOALS (SMART GOAL TRACKING)
+// ========================================
+
+const GOAL_STATUSES = ['ACTIVE', 'MET', 'PARTIALLY_MET', 'NOT_MET', 'DISCONTINUED'];
+
+const goalValidators = [
+    body('description').trim().notEmpty(),
+    body('measure_code').optional({ nullable: true, checkFalsy: true }).isIn(Object.keys(OUTCOME_MEASURES)),
+    body('measure_label').optional({ nullable: true }).isLength({ max: 100 }),
+    body('unit').optional({ nullable: true }).isLength({ max: 20 }),
+    body(['baseline_value', 'target_value']).optional({ nullable: true, checkFalsy: true }).isFloat(),
+    body('due_date').optional({ nullable: true, checkFalsy: true }).isDate(),
+    body('status').optional().isIn(GOAL_STATUSES)
+];
+
+const toOptionalNumber = (value) => (value === undefined || value === null || value === '' ? null : Number(value));
+
+// Lower is better when the target is below the baseline, or for measures like NPRS/ODI
+const goalLowerIsBetter = (goal) => {
+    const baseline = toOptionalNumber(goal.baseline_value);
+    const target = toOptionalNumber(goal.target_value);
+    if (baseline !== null && target !== null && baseline !== target) {
+        return target < baseline;
+    }
+    const definition = OUTCOME_MEASURES[goal.measure_code];
+    return definition ? definition.better === 'lower' : false;
+};
+
+const goalTargetReached = (goal, value) => {
+    const target = toOptionalNumber(goal.target_value);
+    if (target === null || value === null) {
+        return false;
+    }
+    return goalLowerIsBetter(goal) ? value <= target : value >= target;
+};
+
+// Share of the way from baseline to target, 0-100 (null without numbers)
+const goalProgressPercent = (goal) => {
+    const baseline = toOptionalNumber(goal.baseline_value);
+    const target = toOptionalNumber(goal.target_value);
+    const current = toOptionalNumber(goal.current_value);
+    if (baseline === null || target === null || current === null || baseline === target) {
+        return null;
+    }
+    const percent = (current - baseline) / (target - baseline) * 100;
+    return Math.round(Math.min(Math.max(percent, 0), 100));
+};
+
+/**
+ * Goals of a PN case with progress, plus the attainment summary used in reports.
+ * Discontinued goals are listed but not counted in the attainment rate.
+ * @param {Object} db - Database connection
+ * @param {number|string} pnId - PN case ID
+ * @returns {Promise<Object>} - { goals, summary }
+ */
+const buildGoalAttainment = async (db, pnId) => {
+    const [goals] = await db.execute(
+        `SELECT g.*, CONCAT(u.first_name, ' ', u.last_name) as created_by_name
+         FROM pn_goals g
+         LEFT JOIN users u ON g.created_by = u.id
+         WHERE g.pn_id = ?
+         ORDER BY g.created_at, g.id`,
+        [pnId]
+    );
+
+    const today = moment().startOf('day');
+    const enriched = goals.map(goal => {
+        const definition = OUTCOME_MEASURES[goal.measure_code];
+        return {
+            ...goal,
+            baseline_value: toOptionalNumber(goal.baseline_value),
+            target_value: toOptionalNumber(goal.target_value),
+            current_value: toOptionalNumber(goal.current_value),
+            measure_name: definition ? definition.name : goal.measure_label,
+            progress_percent: goalProgressPercent(goal),
+            overdue: goal.status === 'ACTIVE' && goal.due_date !== null && moment(goal.due_date).isBefore(today)
+        };
+    });
+
+    const counts = {};
+    GOAL_STATUSES.forEach(status => { counts[status] = 0; });
+    enriched.forEach(goal => { counts[goal.status] += 1; });
+    const assessed = enriched.length - counts.DISCONTINUED;
+
+    return {
+        goals: enriched,
+        summary: {
+            total: enriched.length,
+            ...counts,
+            overdue: enriched.filter(goal => goal.overdue).length,
+            attainment_rate: assessed > 0 ? Math.round(counts.MET / assessed * 100) : null
+        }
+    };
+};
+
+/**
+ * Record progress on a goal and move its current value/status along.
+ * Reaching the target marks an ACTIVE goal as MET unless a status is given.
+ * @param {Object} db - Database connection (or transaction connection)
+ * @param {Object} goal - pn_goals row
+ * @param {Object} update - { value, status, note, visitId, outcomeMeasureId, userId }
+ * @returns {Promise<string>} - The goal's new status
+ */
+const recordGoalUpdate = async (db, goal, { value, status, note, visitId, outcomeMeasureId, userId }) => {
+    const numericValue = toOptionalNumber(value);
+    let newStatus = status || goal.status;
+    if (!status && goal.status === 'ACTIVE' && goalTargetReached(goal, numericValue)) {
+        newStatus = 'MET';
+    }
+
+    await db.execute(
+        `INSERT INTO pn_goal_updates (goal_id, visit_id, outcome_measure_id, value, status, note, recorded_by)
+         VALUES (?, ?, ?, ?, ?, ?, ?)`,
+        [goal.id, visitId || null, outcomeMeasureId || null, numericValue, newStatus, note || null, userId]
+    );
+
+    await db.execute(
+        `UPDATE pn_goals
+         SET current_value = COALESCE(?, current_value), status = ?,
+             achieved_at = CASE WHEN ? = 'MET' THEN COALESCE(achieved_at, CURDATE()) ELSE NULL END
+         WHERE id = ?`,
+        [numericValue, newStatus, newStatus, goal.id]
+    );
+
+    return newStatus;
+};
+
+// New outcome measure scores feed the active goals that track the same measure
+const updateGoalsFromOutcomeMeasure = async (db, pnId, measureCode, score, { visitId, outcomeMeasureId, userId }) => {
+    const [goals] = await db.execute(
+        "SELECT * FROM pn_goals WHERE pn_id = ? AND measure_code = ? AND status = 'ACTIVE'",
+        [pnId, measureCode]
+    );
+    for (const goal of goals) {
+        await recordGoalUpdate(db, goal, { value: score, visitId, outcomeMeasureId, userId });
+    }
+};
+
+const insertPNGoal = async (db, pnId, goal, userId) => {
+    const [result] = await db.execute(
+        `INSERT INTO pn_goals (
+            pn_id, description, measure_code, measure_label, unit, baseline_value,
+            target_value, current_value, due_date, status, created_by
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [
+            pnId, goal.description, goal.measure_code || null, goal.measure_label || null, goal.unit || null,
+            toOptionalNumber(goal.baseline_value), toOptionalNumber(goal.target_value),
+            toOptionalNumber(goal.baseline_value), goal.due_date || null, goal.status || 'ACTIVE', userId
+        ]
+    );
+    return result.insertId;
+};
+
+/**
+ * Goal attainment table for PDF reports.
+ * @param {PDFDocument} doc - PDFKit document
+ * @param {Object} attainment - Result of buildGoalAttainment
+ */
+const drawPDFGoalAttainment = (doc, { goals, summary }) => {
+    const statusLabels = {
+        ACTIVE: 'In progress', MET: 'Met', PARTIALLY_MET: 'Partially met', NOT_MET: 'Not met', DISCONTINUED: 'Discontinued'
+    };
+    const formatValue = (value, goal) => (value === null ? '-' : `${value}${goal.unit ? ` ${goal.unit}` : ''}`);
+
+    if (doc.y + 80 > doc.page.height - doc.page.margins.bottom) {
+        doc.addPage();
+    }
+    doc.fontSize(14).fillColor('black').text('Goal Attainment', doc.page.margins.left, doc.y, { underline: true });
+    doc.fontSize(10).text(
+        `${summary.MET} of ${summary.total - summary.DISCONTINUED} goals met` +
+        (summary.attainment_rate !== null ? ` (${summary.attainment_rate}%)` : '') +
+        `, ${summary.PARTIALLY_MET} partially met, ${summary.NOT_MET} not met, ${summary.ACTIVE} in progress` +
+        (summary.DISCONTINUED > 0 ? `, ${summary.DISCONTINUED} discontinued` : '')
+    );
+    doc.moveDown(0.5);
+
+    goals.forEach((goal, index) => {
+        if (doc.y + 50 > doc.page.height - doc.page.margins.bottom) {
+            doc.addPage();
+        }
+        doc.fontSize(10).fillColor('black').text(`${index + 1}. ${goal.description}`, doc.page.margins.left, doc.y);
+        const details = [`Status: ${statusLabels[goal.status]}`];
+        if (goal.measure_name) {
+            details.push(`${goal.measure_name}: ${formatValue(goal.baseline_value, goal)} -> ${formatValue(goal.current_value, goal)} (target ${formatValue(goal.target_value, goal)})`);
+        }
+        if (goal.due_date) {
+            details.push(`Due ${moment(goal.due_date).format('DD/MM/YYYY')}`);
+        }
+        if (goal.achieved_at) {
+            details.push(`Achieved ${moment(goal.achieved_at).format('DD/MM/YYYY')}`);
+        }
+        doc.fontSize(9).fillColor(goal.status === 'MET' ? '#2e7d32' : '#555555').text(details.join('  |  '), doc.page.margins.left + 12);
+        doc.moveDown(0.4);
+    });
+    doc.fillColor('black');
+    doc.x = doc.page.margins.left;
+};
+
+// Goals of a PN case with their progress history
+app.get('/api/pn/:id/goals', authenticateToken, async (req, res) => {
+    try {
+        const db = req.app.locals.db;
+        const access = await getAccessiblePNCase(db, req.user, req.params.id);
+        if (access.error) {
+            return res.status(access.status).json({ error: access.error });
+        }
+
+        const attainment = await buildGoalAttainment(db, req.params.id);
+
+        const [updates] = await db.execute(
+            `SELECT gu.*, v.visit_no, CONCAT(u.first_name, ' ', u.last_name) as recorded_by_name
+             FROM pn_goal_updates gu
+             JOIN pn_goals g ON gu.goal_id = g.id
+             LEFT JOIN pn_visits v ON gu.visit_id = v.id
+             LEFT JOIN users u ON gu.recorded_by = u.id
+             WHERE g.pn_id = ?
+             ORDER BY gu.recorded_at, gu.id`,
+            [req.params.id]
+        );
+
+        res.json({
+            goals: attainment.goals.map(goal => ({
+                ...goal,
+                updates: updates.filter(update => update.goal_id === goal.id)
+                    .map(update => ({ ...update, value: toOptionalNumber(update.value) }))
+            })),
+            summary: attainment.summary
+        });
+    } catch (error) {
+        console.error('Get PN goals error:', error);
+        res.status(500).json({ error: 'Failed to retrieve goals' });
+    }
+});
+
+app.post('/api/pn/:id/goals', authenticateToken, authorize('ADMIN', 'PT'), goalValidators, async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        const db = req.app.locals.db;
+        const access = await getAccessiblePNCase(db, req.user, req.params.id);
+        if (access.error) {
+            return res.status(access.status).json({ error: access.error });
+        }
+
+        const goalId = await insertPNGoal(db, req.params.id, req.body, req.user.id);
+
+        await auditLog(db, req.user.id, 'CREATE', 'pn_goal', goalId, null, req.body, req);
+
+        res.status(201).json({ success: true, id: goalId });
+    } catch (error) {
+        console.error('Create PN goal error:', error);
+        res.status(500).json({ error: 'Failed to create goal' });
+    }
+});
+
+// Edit the goal definition; progress is recorded through /updates
+app.put('/api/pn/:id/goals/:goalId', authenticateToken, authorize('ADMIN', 'PT'), goalValidators, async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        const db = req.app.locals.db;
+        const [goals] = await db.execute('SELECT * FROM pn_goals WHERE id = ? AND pn_id = ?', [req.params.goalId, req.params.id]);
+        if (goals.length === 0) {
+            return res.status(404).json({ error: 'Goal not found' });
+        }
+
+        await db.execute(
+            `UPDATE pn_goals
+             SET description = ?, measure_code = ?, measure_label = ?, unit = ?,
+                 baseline_value = ?, target_value = ?, due_date = ?
+             WHERE id = ?`,
+            [
+                req.body.description, req.body.measure_code || null, req.body.measure_label || null, req.body.unit || null,
+                toOptionalNumber(req.body.baseline_value), toOptionalNumber(req.body.target_value),
+                req.body.due_date || null, req.params.goalId
+            ]
+        );
+
+        await auditLog(db, req.user.id, 'UPDATE', 'pn_goal', req.params.goalId, goals[0], req.body, req);
+
+        res.json({ success: true });
+    } catch (error) {
+        console.error('Update PN goal error:', error);
+        res.status(500).json({ error: 'Failed to update goal' });
+    }
+});
+
+// Record progress (value and/or status) on a goal, optionally at a visit
+app.post('/api/pn/:id/goals/:goalId/updates', authenticateToken, authorize('ADMIN', 'PT'), [
+    body('value').optional({ nullable: true, checkFalsy: true }).isFloat(),
+    body('status').optional({ checkFalsy: true }).isIn(GOAL_STATUSES)
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        const db = req.app.locals.db;
+        const { value, status, note, visit_id } = req.body;
+        if ((value === undefined || value === null || value === '') && !status) {
+            return res.status(400).json({ error: 'Provide a value or a status' });
+        }
+
+        const [goals] = await db.execute('SELECT * FROM pn_goals WHERE id = ? AND pn_id = ?', [req.params.goalId, req.params.id]);
+        if (goals.length === 0) {
+            return res.status(404).json({ error: 'Goal not found' });
+        }
+
+        if (visit_id) {
+            const [visits] = await db.execute('SELECT id FROM pn_visits WHERE id = ? AND pn_id = ?', [visit_id, req.params.id]);
+            if (visits.length === 0) {
+                return res.status(400).json({ error: 'Visit does not belong to this PN case' });
+            }
+        }
+
+        const newStatus = await recordGoalUpdate(db, goals[0], {
+            value, status, note, visitId: visit_id, userId: req.user.id
+        });
+
+        await auditLog(db, req.user.id, 'UPDATE', 'pn_goal', req.params.goalId, goals[0], { value, status: newStatus, note, visit_id }, req);
+
+        res.status(201).json({ success: true, status: newStatus });
+    } catch (error) {
+        console.error('Record goal update error:', error);
+        res.status(500).json({ error: 'Failed to record goal progress' });
+    }
+});
+
+app.delete('/api/pn/:id/goals/:goalId', authenticateToken, authorize('ADMIN', 'PT'), async (req, res) => {
+    try {
+        const db = req.app.locals.db;
+        const [goals] = await db.execute('SELECT * FROM pn_goals WHERE id = ? AND pn_id = ?', [req.params.goalId, req.params.id]);
+        if (goals.length === 0) {
+            return res.status(404).json({ error: 'Goal not found' });
+        }
+
+        await db.execute('DELETE FROM pn_goals WHERE id = ?', [req.params.goalId]);
+        await auditLog(db, req.user.id, 'DELETE', 'pn_goal', req.params.goalId, goals[0], null, req);
+
+        res.json({ success: true });
+    } catch (error) {
+        console.error('Delete PN goal error:', error);
+        res.status(500).json({ error: 'Failed to delete goal' });
+    }
+});
+
+// ========================================
+// DISCHARGE SUMMARY
+// ========================================
+
+const DISCHARGE_REASONS = {
+    GOALS_ACHIEVED: 'Goals achieved',
+    PLATEAU: 'Progress plateaued',
+    PATIENT_REQUEST: 'Patient request',
+    REFERRED_ON: 'Referred to another service',
+    NON_ATTENDANCE: 'Did not attend',
+    OTHER: 'Other'
+};
+
+/**
+ * Render the discharge summary PDF of a completed case and record it in pn_reports.
+ * Uses the saved pn_discharge_summaries row when there is one.
+ * @param {Object} db - Database pool
+ * @param {number|string} pnId - PN case ID
+ * @param {number} userId - User generating the report
+ * @returns {Promise<Object>} - { reportId, fileName }
+ */
+const createDischargeReport = async (db, pnId, userId) => {
+    const [cases] = await db.execute(
+        `SELECT pn.*, p.hn, p.pt_number, p.first_name, p.last_name, p.dob,
+                c.name as clinic_name, c.address as clinic_address
+         FROM pn_cases pn
+         JOIN patients p ON pn.patient_id = p.id
+         JOIN clinics c ON pn.target_clinic_id = c.id
+         WHERE pn.id = ?`,
+        [pnId]
+    );
+    const pnCase = cases[0];
+
+    const [summaries] = await db.execute(
+        `SELECT ds.*, CONCAT(u.first_name, ' ', u.last_name) as created_by_name
+         FROM pn_discharge_summaries ds
+         LEFT JOIN users u ON ds.created_by = u.id
+         WHERE ds.pn_id = ?`,
+        [pnId]
+    );
+    const discharge = summaries[0] || null;
+
+    const [visitStats] = await db.execute(
+        `SELECT COUNT(*) as visit_count, MIN(visit_date) as first_visit, MAX(visit_date) as last_visit
+         FROM pn_visits WHERE pn_id = ?`,
+        [pnId]
+    );
+
+    // Final SOAP note (written when the case was completed)
+    let finalNote = null;
+    try {
+        const [notes] = await db.execute(
+            'SELECT assessment, plan, timestamp FROM pn_soap_notes WHERE pn_id = ? ORDER BY timestamp DESC LIMIT 1',
+            [pnId]
+        );
+        finalNote = notes[0] || null;
+    } catch (err) {
+        console.warn('Failed to load SOAP notes for discharge report:', err.message);
+    }
+
+    const progress = await buildPNProgress(db, pnId);
+    const attainment = await buildGoalAttainment(db, pnId);
+    const exerciseProgram = await loadExerciseProgram(db, pnId);
+
+    const fileName = `discharge_${pnCase.pn_code}_${Date.now()}.pdf`;
+    const filePath = path.join(process.env.REPORTS_DIR || './reports', fileName);
+
+    const doc = new PDFDocument();
+    const stream = doc.pipe(require('fs').createWriteStream(filePath));
+    const section = (title) => {
+        if (doc.y + 60 > doc.page.height - doc.page.margins.bottom) {
+            doc.addPage();
+        }
+        doc.moveDown();
+        doc.fontSize(14).text(title, doc.page.margins.left, doc.y, { underline: true });
+        doc.fontSize(11);
+    };
+
+    // Header
+    doc.fontSize(20).text(REPORT_TITLES.DISCHARGE, { align: 'center' });
+    doc.moveDown();
+    doc.fontSize(14).text(pnCase.clinic_name, { align: 'center' });
+    doc.fontSize(10).text(pnCase.clinic_address || '', { align: 'center' });
+    doc.moveDown();
+
+    doc.fontSize(12);
+    doc.text(`Report Date: ${moment().format('DD/MM/YYYY HH:mm')}`);
+    doc.text(`PN Code: ${pnCase.pn_code}`);
+    doc.text(`Discharge Date: ${pnCase.completed_at ? moment(pnCase.completed_at).format('DD/MM/YYYY') : '-'}`);
+
+    section('Patient Information');
+    doc.text(`HN: ${pnCase.hn}`);
+    doc.text(`PT Number: ${pnCase.pt_number}`);
+    doc.text(`Name: ${pnCase.first_name} ${pnCase.last_name}`);
+    doc.text(`DOB: ${moment(pnCase.dob).format('DD/MM/YYYY')}`);
+
+    section('Episode of Care');
+    doc.text(`Diagnosis: ${pnCase.diagnosis}`);
+    if (pnCase.pt_diagnosis) {
+        doc.text(`PT Diagnosis: ${pnCase.pt_diagnosis}`);
+    }
+    writePDFDiagnosisCodes(doc, (await getDiagnosisCodesByCase(db, [pnCase.id]))[pnCase.id]);
+    writePDFScreening(doc, await getLatestScreening(db, pnCase.id));
+    const stats = visitStats[0];
+    const startDate = stats.first_visit || pnCase.created_at;
+    doc.text(`Treatment Period: ${moment(startDate).format('DD/MM/YYYY')} - ` +
+        `${moment(pnCase.completed_at || stats.last_visit).format('DD/MM/YYYY')}`);
+    doc.text(`Visits: ${stats.visit_count}`);
+    if (discharge) {
+        doc.text(`Reason for Discharge: ${DISCHARGE_REASONS[discharge.discharge_reason]}`);
+    }
+
+    // Initial and final scores of each outcome
+    const hasOutcomes = progress && (progress.pain.points.length > 0 ||
+        progress.measures.length > 0 || progress.rom.length > 0);
+    if (hasOutcomes) {
+        section('Outcomes (initial -> final)');
+        if (progress.pain.points.length > 0) {
+            doc.text(`Pain (0-10): ${describeProgressChange(progress.pain)}`);
+        }
+        progress.measures.forEach(series => {
+            doc.text(`${series.name} (${series.code}): ${describeProgressChange(series)}`);
+        });
+        progress.rom.forEach(series => {
+            doc.text(`${series.label}: ${describeProgressChange(series)}`);
+        });
+    }
+
+    if (attainment.goals.length > 0) {
+        doc.moveDown();
+        drawPDFGoalAttainment(doc, attainment);
+    }
+
+    if (finalNote) {
+        section('Final Assessment');
+        doc.text(finalNote.assessment);
+        if (finalNote.plan) {
+            doc.moveDown(0.5);
+            doc.text(`Plan: ${finalNote.plan}`);
+        }
+    }
+
+    if (discharge && discharge.clinical_summary) {
+        section('Condition at Discharge');
+        doc.text(discharge.clinical_summary);
+    }
+
+    if (discharge) {
+        section('Recommendations');
+        doc.text(discharge.recommendations);
+
+        if (discharge.follow_up || discharge.follow_up_date) {
+            section('Follow-up');
+            if (discharge.follow_up_date) {
+                doc.text(`Follow-up Date: ${moment(discharge.follow_up_date).format('DD/MM/YYYY')}`);
+            }
+            if (discharge.follow_up) {
+                doc.text(discharge.follow_up);
+            }
+        }
+    }
+
+    if (exerciseProgram && exerciseProgram.items.length > 0) {
+        section('Home Exercise Program');
+        doc.text(`Continue version ${exerciseProgram.program.version} of the home exercise program:`);
+        exerciseProgram.items.forEach((item, index) => {
+            const dosage = formatExerciseDosage(item);
+            doc.text(`${index + 1}. ${item.name}${dosage ? ` - ${dosage}` : ''}`, doc.page.margins.left + 12);
+        });
+        doc.x = doc.page.margins.left;
+    }
+
+    const signature = await loadSigningSignature(db, userId);
+    if (signature) {
+        doc.moveDown();
+        drawPDFSignature(doc, signature);
+    } else if (discharge && discharge.created_by_name) {
+        doc.moveDown(2);
+        doc.text(`Physiotherapist: ${discharge.created_by_name}`);
+    }
+
+    // QR code to the latest discharge report of the case
+    const downloadUrl = `${process.env.APP_BASE_URL}/api/pn/${pnId}/last-report?type=DISCHARGE`;
+    const qrCode = await QRCode.toDataURL(downloadUrl);
+    if (doc.y + 140 > doc.page.height - doc.page.margins.bottom) {
+        doc.addPage();
+    }
+    doc.moveDown();
+    doc.text('Scan QR code to download this report:', { align: 'center' });
+    doc.image(qrCode, doc.page.width / 2 - 50, doc.y + 10, { width: 100 });
+
+    // Footer
+    doc.fontSize(10);
+    doc.text(`Generated on ${moment().format('DD/MM/YYYY HH:mm:ss')}`,
+            50, doc.page.height - 50, { align: 'center' });
+
+    doc.end();
+    await new Promise((resolve) => stream.on('finish', resolve));
+
+    const [result] = await db.execute(
+        `INSERT INTO pn_reports (
+            pn_id, visit_id, report_type, file_path, file_name,
+            mime_type, file_size, qr_code, report_data, created_by,
+            signed_by, signed_at, signature_id
+        ) VALUES (?, NULL, 'DISCHARGE', ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [
+            pnId,
+            filePath,
+            fileName,
+            'application/pdf',
+            (await require('fs').promises.stat(filePath)).size,
+            qrCode,
+            JSON.stringify({ ...pnCase, discharge, goal_summary: attainment.summary }),
+            userId,
+            signature ? userId : null,
+            signature ? signature.signed_at : null,
+            signature ? signature.id : null
+        ]
+    );
+
+    if (discharge) {
+        await db.execute('UPDATE pn_discharge_summaries SET report_id = ? WHERE id = ?', [result.insertId, discharge.id]);
+    }
+
+    return { reportId: result.insertId, fileName };
+};
+
+// Discharge summary of a case, with what the discharge form needs
+app.get('/api/pn/:id/discharge', authenticateToken, async (req, res) => {
+    try {
+        const db = req.app.locals.db;
+        const access = await getAccessiblePNCase(db, req.user, req.params.id);
+        if (access.error) {
+            return res.status(access.status).json({ error: access.error });
+        }
+
+        const [summaries] = await db.execute(
+            `SELECT ds.*, CONCAT(u.first_name, ' ', u.last_name) as created_by_name
+             FROM pn_discharge_summaries ds
+             LEFT JOIN users u ON ds.created_by = u.id
+             WHERE ds.pn_id = ?`,
+            [req.params.id]
+        );
+
+        const progress = await buildPNProgress(db, req.params.id);
+        const attainment = await buildGoalAttainment(db, req.params.id);
+
+        // Questionnaires already used in the case, offered for a final score
+        const usedMeasures = new Set(['NPRS', ...progress.measures.map(series => series.code)]);
+        const measures = Object.entries(OUTCOME_MEASURES)
+            .filter(([code]) => code !== 'ROM' && usedMeasures.has(code))
+            .map(([code, definition]) => {
+                const series = progress.measures.find(m => m.code === code);
+                return {
+                    code,
+                    name: definition.name,
+                    items: definition.items,
+                    item_min: definition.itemMin,
+                    item_max: definition.itemMax,
+                    unit: definition.unit,
+                    last_score: series ? series.last : null
+                };
+            });
+
+        res.json({
+            status: access.pnCase.status,
+            summary: summaries[0] || null,
+            reasons: Object.entries(DISCHARGE_REASONS).map(([code, label]) => ({ code, label })),
+            measures,
+            goals: attainment.goals,
+            goal_summary: attainment.summary
+        });
+    } catch (error) {
+        console.error('Get discharge summary error:', error);
+        res.status(500).json({ error: 'Failed to retrieve discharge summary' });
+    }
+});
+
+// Discharge a completed case: final outcome scores, goal outcomes, recommendations and
+// follow-up, then a DISCHARGE report. Posting again updates the summary and issues a new report.
+app.post('/api/pn/:id/discharge', authenticateToken, authorize('ADMIN', 'PT'), [
+    body('discharge_reason').optional({ checkFalsy: true }).isIn(Object.keys(DISCHARGE_REASONS)),
+    body('recommendations').trim().notEmpty().withMessage('Recommendations are required'),
+    body('follow_up_date').optional({ nullable: true, checkFalsy: true }).isISO8601(),
+    body('outcome_measures').optional().isArray(),
+    body('outcome_measures.*.measure_code').optional().isIn(Object.keys(OUTCOME_MEASURES)),
+    body('goals').optional().isArray(),
+    body('goals.*.status').optional({ checkFalsy: true }).isIn(GOAL_STATUSES),
+    body('goals.*.value').optional({ nullable: true, checkFalsy: true }).isFloat()
+], async (req, res) => {
+    const db = req.app.locals.db;
+    const pnId = req.params.id;
+    let connection;
+
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        const { discharge_reason, clinical_summary, recommendations, follow_up, follow_up_date } = req.body;
+        const outcomeMeasures = req.body.outcome_measures || [];
+        const goalOutcomes = req.body.goals || [];
+
+        const access = await getAccessiblePNCase(db, req.user, pnId);
+        if (access.error) {
+            return res.status(access.status).json({ error: access.error });
+        }
+        if (access.pnCase.status !== 'COMPLETED') {
+            return res.status(400).json({ error: 'Only completed cases can be discharged' });
+        }
+
+        // Score everything before writing anything
+        const scoredMeasures = [];
+        for (const measure of outcomeMeasures) {
+            const scored = scoreOutcomeMeasure(measure.measure_code, measure.responses);
+            if (scored.error) {
+                return res.status(400).json({ error: scored.error });
+            }
+            scoredMeasures.push({ code: measure.measure_code, notes: measure.notes, ...scored });
+        }
+
+        const [caseGoals] = await db.execute('SELECT id FROM pn_goals WHERE pn_id = ?', [pnId]);
+        const goalIds = caseGoals.map(goal => goal.id);
+        const unknownGoal = goalOutcomes.find(goal => !goalIds.includes(parseInt(goal.id)));
+        if (unknownGoal) {
+            return res.status(400).json({ error: `Goal ${unknownGoal.id} does not belong to this PN case` });
+        }
+
+        connection = await db.getConnection();
+        await connection.beginTransaction();
+
+        for (const measure of scoredMeasures) {
+            const [result] = await connection.execute(
+                `INSERT INTO pn_outcome_measures (
+                    pn_id, visit_id, measure_code, responses, score, interpretation, notes, measured_at, recorded_by
+                ) VALUES (?, NULL, ?, ?, ?, ?, ?, NOW(), ?)`,
+                [
+                    pnId, measure.code, JSON.stringify(measure.responses), measure.score,
+                    measure.interpretation, measure.notes || 'Discharge', req.user.id
+                ]
+            );
+            if (measure.score !== null) {
+                await updateGoalsFromOutcomeMeasure(connection, pnId, measure.code, measure.score, {
+                    outcomeMeasureId: result.insertId, userId: req.user.id
+                });
+            }
+        }
+
+        // Explicit goal outcomes come last so they win over automatic updates
+        for (const outcome of goalOutcomes) {
+            const hasValue = outcome.value !== undefined && outcome.value !== null && outcome.value !== '';
+            if (!hasValue && !outcome.status) {
+                continue;
+            }
+            const [goals] = await connection.execute('SELECT * FROM pn_goals WHERE id = ?', [outcome.id]);
+            await recordGoalUpdate(connection, goals[0], {
+                value: outcome.value,
+                status: outcome.status,
+                note: outcome.note || 'Discharge',
+                userId: req.user.id
+            });
+        }
+
+        await connection.execute(
+            `INSERT INTO pn_discharge_summaries (
+                pn_id, discharge_reason, clinical_summary, recommendations, follow_up, follow_up_date, created_by
+            ) VALUES (?, ?, ?, ?, ?, ?, ?)
+            ON DUPLICATE KEY UPDATE
+                discharge_reason = VALUES(discharge_reason),
+                clinical_summary = VALUES(clinical_summary),
+                recommendations = VALUES(recommendations),
+                follow_up = VALUES(follow_up),
+                follow_up_date = VALUES(follow_up_date),
+                updated_by = VALUES(created_by)`,
+            [
+                pnId, discharge_reason || 'GOALS_ACHIEVED', clinical_summary || null, recommendations,
+                follow_up || null, follow_up_date || null, req.user.id
+            ]
+        );
+
+        await connection.commit();
+        // The report reads through the pool, so hand the connection back first
+        connection.release();
+        connection = null;
+
+        const report = await createDischargeReport(db, pnId, req.user.id);
+
+        await auditLog(db, req.user.id, 'CREATE', 'discharge_summary', pnId, null, {
+            discharge_reason: discharge_reason || 'GOALS_ACHIEVED',
+            outcome_measures: scoredMeasures.map(measure => measure.code),
+            goals: goalOutcomes.length,
+            report_id: report.reportId
+        }, req);
+
+        res.status(201).json({
+            success: true,
+            message: 'Discharge summary saved',
+            report_id: report.reportId,
+            download_url: `/api/report/${report.reportId}/download`
+        });
+    } catch (error) {
+        if (connection) await connection.rollback();
+        console.error('Discharge PN case error:', error);
+        res.status(500).json({ error: 'Failed to save discharge summary' });
+    } finally {
+        if (connection) connection.release();
+    }
+});
+
+// ========================================
+// REFERRAL LETTERS
+// ========================================
+
+const REFERRAL_LETTER_TYPES = {
+    PROGRESS: 'Progress Report',
+    DISCHARGE: 'Discharge Report'
+};
+
+// system_settings keys (referral_letter_<key>) -> document settings field
+const REFERRAL_LETTER_SETTINGS = {
+    opening: 'opening',
+    closing: 'closing',
+    email_subject: 'emailSubject',
+    email_body: 'emailBody'
+};
+
+// Wording used until an admin saves their own in Document Settings.
+// Placeholders: {doctor} {patient} {hn} {pn_code} {clinic} {letter_type} {therapist}
+const REFERRAL_LETTER_DEFAULTS = {
+    opening: 'Thank you for referring {patient} (HN {hn}) for physiotherapy at {clinic}. ' +
+        'This letter summarizes the assessment, treatment and progress of the episode of care {pn_code}.',
+    closing: 'Please do not hesitate to contact us if you have any questions about this patient\'s care.',
+    emailSubject: 'Physiotherapy {letter_type}: {patient} ({pn_code})',
+    emailBody: 'Dear {doctor},\n\nPlease find attached the physiotherapy {letter_type} for {patient} (HN {hn}).\n\n' +
+        'Kind regards,\n{therapist}\n{clinic}'
+};
+
+/**
+ * Referral letter wording: saved document settings over the built-in defaults
+ * @param {Object} db - Database connection
+ * @returns {Promise<Object>} - { opening, closing, emailSubject, emailBody }
+ */
+const getReferralLetterTemplate = async (db) => {
+    const [rows] = await db.execute(
+        `SELECT setting_key, setting_value FROM system_settings WHERE setting_key LIKE 'referral_letter_%'`
+    );
+    const template = { ...REFERRAL_LETTER_DEFAULTS };
+    rows.forEach(row => {
+        const field = REFERRAL_LETTER_SETTINGS[row.setting_key.replace('referral_letter_', '')];
+        if (field && row.setting_value) {
+            template[field] = row.setting_value;
+        }
+    });
+    return template;
+};
+
+const fillLetterTemplate = (text, values) =>
+    String(text || '').replace(/\{(\w+)\}/g, (match, key) => (values[key] !== undefined ? values[key] : match));
+
+/**
+ * Render a referral letter PDF addressed to the referring doctor and record it in pn_referral_letters.
+ * PROGRESS letters can be written during treatment; DISCHARGE letters add the discharge summary.
+ * @param {Object} db - Database pool
+ * @param {number|string} pnId - PN case ID
+ * @param {Object} options - { letterType, doctorName, doctorEmail, comments, userId }
+ * @returns {Promise<Object>} - Saved pn_referral_letters row
+ */
+const createReferralLetter = async (db, pnId, { letterType, doctorName, doctorEmail, comments, userId }) => {
+    const [cases] = await db.execute(
+        `SELECT pn.*, p.hn, p.first_name, p.last_name, p.dob,
+                c.name as clinic_name, c.address as clinic_address, c.phone as clinic_phone,
+                CONCAT(u.first_name, ' ', u.last_name) as author_name
+         FROM pn_cases pn
+         JOIN patients p ON pn.patient_id = p.id
+         JOIN clinics c ON pn.target_clinic_id = c.id
+         JOIN users u ON u.id = ?
+         WHERE pn.id = ?`,
+        [userId, pnId]
+    );
+    const pnCase = cases[0];
+
+    const [visitStats] = await db.execute(
+        `SELECT COUNT(*) as visit_count, MIN(visit_date) as first_visit, MAX(visit_date) as last_visit
+         FROM pn_visits WHERE pn_id = ? AND status = 'COMPLETED'`,
+        [pnId]
+    );
+    const [treatments] = await db.execute(
+        `SELECT visit_no, visit_date, treatment_provided FROM pn_visits
+         WHERE pn_id = ? AND treatment_provided IS NOT NULL AND treatment_provided <> ''
+         ORDER BY visit_date DESC, visit_no DESC LIMIT 3`,
+        [pnId]
+    );
+    const [notes] = await db.execute(
+        'SELECT assessment, plan, timestamp FROM pn_soap_notes WHERE pn_id = ? ORDER BY timestamp DESC LIMIT 1',
+        [pnId]
+    );
+    const latestNote = notes[0] || null;
+
+    let discharge = null;
+    if (letterType === 'DISCHARGE') {
+        const [summaries] = await db.execute('SELECT * FROM pn_discharge_summaries WHERE pn_id = ?', [pnId]);
+        discharge = summaries[0] || null;
+    }
+
+    const progress = await buildPNProgress(db, pnId);
+    const attainment = await buildGoalAttainment(db, pnId);
+    const exerciseProgram = await loadExerciseProgram(db, pnId);
+    const template = await getReferralLetterTemplate(db);
+    const values = {
+        doctor: doctorName,
+        patient: `${pnCase.first_name} ${pnCase.last_name}`,
+        hn: pnCase.hn,
+        pn_code: pnCase.pn_code,
+        clinic: pnCase.clinic_name,
+        letter_type: REFERRAL_LETTER_TYPES[letterType].toLowerCase(),
+        therapist: pnCase.author_name
+    };
+
+    const fileName = `referral_${pnCase.pn_code}_${letterType.toLowerCase()}_${Date.now()}.pdf`;
+    const filePath = path.join(process.env.REPORTS_DIR || './reports', fileName);
+
+    const doc = new PDFDocument({ margin: 60 });
+    const stream = doc.pipe(require('fs').createWriteStream(filePath));
+    const section = (title) => {
+        if (doc.y + 60 > doc.page.height - doc.page.margins.bottom) {
+            doc.addPage();
+        }
+        doc.moveDown();
+        doc.fontSize(12).text(title, doc.page.margins.left, doc.y, { underline: true });
+        doc.fontSize(11);
+    };
+
+    // Letterhead
+    doc.fontSize(16).text(pnCase.clinic_name, { align: 'right' });
+    doc.fontSize(9).text(pnCase.clinic_address || '', { align: 'right' });
+    if (pnCase.clinic_phone) {
+        doc.text(`Tel. ${pnCase.clinic_phone}`, { align: 'right' });
+    }
+    doc.moveDown(2);
+
+    doc.fontSize(11);
+    doc.text(moment().format('DD MMMM YYYY'));
+    doc.moveDown();
+    doc.text(`To: ${doctorName}`);
+    doc.moveDown();
+    doc.font('Helvetica-Bold')
+        .text(`Re: ${values.patient}, HN ${pnCase.hn}, DOB ${moment(pnCase.dob).format('DD/MM/YYYY')} - ${REFERRAL_LETTER_TYPES[letterType]} (${pnCase.pn_code})`)
+        .font('Helvetica');
+    doc.moveDown();
+    doc.text(`Dear ${doctorName},`);
+    doc.moveDown(0.5);
+    doc.text(fillLetterTemplate(template.opening, values));
+
+    section('Assessment');
+    doc.text(`Referral diagnosis: ${pnCase.diagnosis}`);
+    if (pnCase.pt_diagnosis) {
+        doc.text(`Physiotherapy diagnosis: ${pnCase.pt_diagnosis}`);
+    }
+    writePDFDiagnosisCodes(doc, (await getDiagnosisCodesByCase(db, [pnCase.id]))[pnCase.id]);
+    if (pnCase.pt_chief_complaint) {
+        doc.text(`Presenting complaint: ${pnCase.pt_chief_complaint}`);
+    }
+    if (pnCase.pt_pain_score !== null && pnCase.pt_pain_score !== undefined) {
+        doc.text(`Pain at initial assessment: ${pnCase.pt_pain_score}/10`);
+    }
+
+    section('Treatment');
+    const stats = visitStats[0];
+    if (stats.visit_count > 0) {
+        doc.text(`${stats.visit_count} visit(s) between ${moment(stats.first_visit).format('DD/MM/YYYY')} and ` +
+            `${moment(stats.last_visit).format('DD/MM/YYYY')}.`);
+    } else {
+        doc.text('No treatment visits completed yet.');
+    }
+    treatments.slice().reverse().forEach(visit => {
+        doc.text(`Visit ${visit.visit_no} (${moment(visit.visit_date).format('DD/MM/YYYY')}): ${visit.treatment_provided}`);
+    });
+    if (exerciseProgram && exerciseProgram.items.length > 0) {
+        doc.text(`Home exercise program: ${exerciseProgram.items.map(item => item.name).join(', ')}`);
+    }
+
+    const hasOutcomes = progress && (progress.pain.points.length > 0 ||
+        progress.measures.length > 0 || progress.rom.length > 0);
+    if (hasOutcomes || attainment.goals.length > 0 || latestNote) {
+        section('Progress');
+        if (hasOutcomes) {
+            if (progress.pain.points.length > 0) {
+                doc.text(`Pain (0-10): ${describeProgressChange(progress.pain)}`);
+            }
+            progress.measures.forEach(series => {
+                doc.text(`${series.name} (${series.code}): ${describeProgressChange(series)}`);
+            });
+            progress.rom.forEach(series => {
+                doc.text(`${series.label}: ${describeProgressChange(series)}`);
+            });
+        }
+        if (attainment.goals.length > 0) {
+            doc.moveDown(0.5);
+            drawPDFGoalAttainment(doc, attainment);
+        }
+        if (latestNote && latestNote.assessment) {
+            doc.moveDown(0.5);
+            doc.text(`Current assessment: ${latestNote.assessment}`);
+        }
+    }
+
+    section(letterType === 'DISCHARGE' ? 'Discharge and Recommendations' : 'Plan');
+    if (discharge) {
+        doc.text(`Discharged ${pnCase.completed_at ? moment(pnCase.completed_at).format('DD/MM/YYYY') : ''}: ` +
+            `${DISCHARGE_REASONS[discharge.discharge_reason]}`);
+        if (discharge.clinical_summary) {
+            doc.text(discharge.clinical_summary);
+        }
+        doc.text(discharge.recommendations);
+        if (discharge.follow_up_date) {
+            doc.text(`Follow-up: ${moment(discharge.follow_up_date).format('DD/MM/YYYY')}${discharge.follow_up ? ` - ${discharge.follow_up}` : ''}`);
+        }
+    } else if (latestNote && latestNote.plan) {
+        doc.text(latestNote.plan);
+    } else {
+        doc.text(letterType === 'DISCHARGE' ? 'The patient has completed this episode of care.' : 'Treatment continues as planned.');
+    }
+
+    if (comments) {
+        section('Comments');
+        doc.text(comments);
+    }
+
+    doc.moveDown();
+    doc.text(fillLetterTemplate(template.closing, values));
+    doc.moveDown();
+    doc.text('Yours sincerely,');
+
+    const signature = await loadSigningSignature(db, userId);
+    if (signature) {
+        drawPDFSignature(doc, signature);
+    } else {
+        doc.moveDown(2);
+        doc.text(`${pnCase.author_name}, Physiotherapist`);
+    }
+
+    doc.end();
+    await new Promise((resolve) => stream.on('finish', resolve));
+
+    const [result] = await db.execute(
+        `INSERT INTO pn_referral_letters (
+            pn_id, letter_type, doctor_name, doctor_email, comments,
+            file_path, file_name, file_size, signature_id, created_by
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [
+            pnId, letterType, doctorName, doctorEmail || null, comments || null,
+            filePath, fileName, (await require('fs').promises.stat(filePath)).size,
+            signature ? signature.id : null, userId
+        ]
+    );
+
+    const [letters] = await db.execute('SELECT * FROM pn_referral_letters WHERE id = ?', [result.insertId]);
+    return letters[0];
+};
+
+/**
+ * Email a referral letter PDF and record the attempt in pn_referral_letter_deliveries
+ * @param {Object} db - Database connection
+ * @param {Object} letter - pn_referral_letters row
+ * @param {string} email - Recipient address
+ * @param {Object} user - Sending user ({ id })
+ * @returns {Promise<Object>} - { sent, subject }
+ */
+const sendReferralLetter = async (db, letter, email, user) => {
+    const [cases] = await db.execute(
+        `SELECT pn.pn_code, p.hn, p.first_name, p.last_name, c.name as clinic_name,
+                CONCAT(u.first_name, ' ', u.last_name) as sender_name
+         FROM pn_cases pn
+         JOIN patients p ON pn.patient_id = p.id
+         JOIN clinics c ON pn.target_clinic_id = c.id
+         JOIN users u ON u.id = ?
+         WHERE pn.id = ?`,
+        [user.id, letter.pn_id]
+    );
+    const pnCase = cases[0];
+    const template = await getReferralLetterTemplate(db);
+    const values = {
+        doctor: letter.doctor_name,
+        patient: `${pnCase.first_name} ${pnCase.last_name}`,
+        hn: pnCase.hn,
+        pn_code: pnCase.pn_code,
+        clinic: pnCase.clinic_name,
+        letter_type: REFERRAL_LETTER_TYPES[letter.letter_type].toLowerCase(),
+        therapist: pnCase.sender_name
+    };
+
+    const subject = fillLetterTemplate(template.emailSubject, values).slice(0, 255);
+    const html = escapeHtml(fillLetterTemplate(template.emailBody, values)).replace(/\n/g, '<br>');
+    const sent = await sendNotificationEmail(db, email, subject, html, [
+        { filename: letter.file_name, path: letter.file_path, contentType: 'application/pdf' }
+    ]);
+
+    await db.execute(
+        `INSERT INTO pn_referral_letter_deliveries (letter_id, recipient_email, subject, status, sent_by)
+         VALUES (?, ?, ?, ?, ?)`,
+        [letter.id, email, subject, sent ? 'SENT' : 'FAILED', user.id]
+    );
+
+    return { sent, subject };
+};
+
+// Referral letters of a case with their delivery history, and who they go to by default
+app.get('/api/pn/:id/referral-letters', authenticateToken, async (req, res) => {
+    try {
+        const db = req.app.locals.db;
+        const access = await getAccessiblePNCase(db, req.user, req.params.id);
+        if (access.error) {
+            return res.status(access.status).json({ error: access.error });
+        }
+
+        const [letters] = await db.execute(
+            `SELECT rl.id, rl.letter_type, rl.doctor_name, rl.doctor_email, rl.comments, rl.file_name,
+                    rl.signature_id, rl.created_at, CONCAT(u.first_name, ' ', u.last_name) as created_by_name
+             FROM pn_referral_letters rl
+             LEFT JOIN users u ON rl.created_by = u.id
+             WHERE rl.pn_id = ?
+             ORDER BY rl.created_at DESC`,
+            [req.params.id]
+        );
+
+        const deliveriesByLetter = {};
+        if (letters.length > 0) {
+            const [deliveries] = await db.execute(
+                `SELECT d.*, CONCAT(u.first_name, ' ', u.last_name) as sent_by_name
+                 FROM pn_referral_letter_deliveries d
+                 LEFT JOIN users u ON d.sent_by = u.id
+                 WHERE d.letter_id IN (${letters.map(() => '?').join(',')})
+                 ORDER BY d.sent_at DESC`,
+                letters.map(letter => letter.id)
+            );
+            deliveries.forEach(delivery => {
+                (deliveriesByLetter[delivery.letter_id] = deliveriesByLetter[delivery.letter_id] || []).push(delivery);
+            });
+        }
+
+        // Address new letters like the case, else like the last letter
+        const [cases] = await db.execute(
+            'SELECT referring_doctor, referring_doctor_email FROM pn_cases WHERE id = ?',
+            [req.params.id]
+        );
+        const lastLetter = letters[0] || {};
+
+        res.json({
+            letter_types: REFERRAL_LETTER_TYPES,
+            recipient: {
+                doctor_name: cases[0].referring_doctor || lastLetter.doctor_name || '',
+                doctor_email: cases[0].referring_doctor_email || lastLetter.doctor_email || ''
+            },
+            letters: letters.map(letter => ({
+                ...letter,
+                pdf_url: `/api/referral-letters/${letter.id}/pdf`,
+                deliveries: deliveriesByLetter[letter.id] || []
+            }))
+        });
+    } catch (error) {
+        console.error('Get referral letters error:', error);
+        res.status(500).json({ error: 'Failed to retrieve referral letters' });
+    }
+});
+
+// Write a letter to the referring doctor, optionally emailing it straight away
+app.post('/api/pn/:id/referral-letters', authenticateToken, authorize('ADMIN', 'PT'), [
+    body('letter_type').isIn(Object.keys(REFERRAL_LETTER_TYPES)),
+    body('doctor_name').optional({ checkFalsy: true }).trim().isLength({ max: 200 }),
+    body('doctor_email').optional({ checkFalsy: true }).trim().isEmail(),
+    body('comments').optional({ checkFalsy: true }).trim().isLength({ max: 5000 }),
+    body('send_email').optional().isBoolean()
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        const db = req.app.locals.db;
+        const access = await getAccessiblePNCase(db, req.user, req.params.id);
+        if (access.error) {
+            return res.status(access.status).json({ error: access.error });
+        }
+
+        const { letter_type, comments } = req.body;
+        if (!['ACCEPTED', 'IN_PROGRESS', 'COMPLETED'].includes(access.pnCase.status)) {
+            return res.status(400).json({ error: 'Letters can only be written once the case has been accepted' });
+        }
+        if (letter_type === 'DISCHARGE' && access.pnCase.status !== 'COMPLETED') {
+            return res.status(400).json({ error: 'A discharge letter needs a completed case' });
+        }
+
+        const [cases] = await db.execute(
+            'SELECT referring_doctor, referring_doctor_email FROM pn_cases WHERE id = ?',
+            [req.params.id]
+        );
+        const doctorName = req.body.doctor_name || cases[0].referring_doctor;
+        const doctorEmail = req.body.doctor_email || cases[0].referring_doctor_email;
+        if (!doctorName) {
+            return res.status(400).json({ error: 'Enter the name of the referring doctor' });
+        }
+        const sendEmail = req.body.send_email === true || req.body.send_email === 'true';
+        if (sendEmail && !doctorEmail) {
+            return res.status(400).json({ error: 'Enter the email address of the referring doctor' });
+        }
+
+        const letter = await createReferralLetter(db, req.params.id, {
+            letterType: letter_type,
+            doctorName,
+            doctorEmail,
+            comments,
+            userId: req.user.id
+        });
+
+        await auditLog(db, req.user.id, 'CREATE', 'referral_letter', letter.id, null, {
+            pn_id: letter.pn_id, letter_type, doctor_name: doctorName
+        }, req);
+
+        let delivery = null;
+        if (sendEmail) {
+            delivery = await sendReferralLetter(db, letter, doctorEmail, req.user);
+            await auditLog(db, req.user.id, 'SEND', 'referral_letter', letter.id, null, {
+                recipient_email: doctorEmail, sent: delivery.sent
+            }, req);
+        }
+
+        res.status(201).json({
+            success: true,
+            letter_id: letter.id,
+            pdf_url: `/api/referral-letters/${letter.id}/pdf`,
+            email_sent: delivery ? delivery.sent : null,
+            message: !delivery ? 'Letter created'
+                : delivery.sent ? `Letter created and emailed to ${doctorEmail}`
+                    : 'Letter created, but the email could not be sent. Check the SMTP settings and try again.'
+        });
+    } catch (error) {
+        console.error('Create referral letter error:', error);
+        res.status(500).json({ error: 'Failed to create referral letter' });
+    }
+});
+
+/**
+ * Load a referral letter the user may see
+ * @returns {Promise<Object>} - { letter } or { status, error }
+ */
+const getAccessibleReferralLetter = async (db, user, letterId) => {
+    const [letters] = await db.execute('SELECT * FROM pn_referral_letters WHERE id = ?', [letterId]);
+    if (letters.length === 0) {
+        return { status: 404, error: 'Referral letter not found' };
+    }
+    const access = await getAccessiblePNCase(db, user, letters[0].pn_id);
+    if (access.error) {
+        return access;
+    }
+    return { letter: letters[0] };
+};
+
+// Referral letter PDF exactly as written (and sent)
+app.get('/api/referral-letters/:id/pdf', authenticateToken, async (req, res) => {
+    try {
+        const db = req.app.locals.db;
+        const access = await getAccessibleReferralLetter(db, req.user, req.params.id);
+        if (access.error) {
+            return res.status(access.status).json({ error: access.error });
+        }
+
+        try {
+            await require('fs').promises.access(access.letter.file_path);
+        } catch {
+            return res.status(404).json({ error: 'Letter file not found' });
+        }
+
+        res.download(access.letter.file_path, access.letter.file_name);
+    } catch (error) {
+        console.error('Download referral letter error:', error);
+        res.status(500).json({ error: 'Failed to download referral letter' });
+    }
+});
+
+// Email (or re-send) a referral letter
+app.post('/api/referral-letters/:id/send', authenticateToken, authorize('ADMIN', 'PT'), [
+    body('email').optional({ checkFalsy: true }).trim().isEmail()
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        const db = req.app.locals.db;
+        const access = await getAccessibleReferralLetter(db, req.user, req.params.id);
+        if (access.error) {
+            return res.status(access.status).json({ error: access.error });
+        }
+
+        const email = req.body.email || access.letter.doctor_email;
+        if (!email) {
+            return res.status(400).json({ error: 'Enter the email address of the referring doctor' });
+        }
+
+        const delivery = await sendReferralLetter(db, access.letter, email, req.user);
+        await auditLog(db, req.user.id, 'SEND', 'referral_letter', access.letter.id, null, {
+            recipient_email: email, sent: delivery.sent
+        }, req);
+
+        if (!delivery.sent) {
+            return res.status(500).json({ error: 'The email could not be sent. Check the SMTP settings and try again.' });
+        }
+        res.json({ success: true, message: `Letter emailed to ${email}` });
+    } catch (error) {
+        console.error('Send referral letter error:', error);
+        res.status(500).json({ error: 'Failed to send referral letter' });
+    }
+});
+
+// ========================================
+// CLINICAL NOTE LOCKING AND ADDENDA
+// ========================================
+
+const SOAP_NOTE_FIELDS = ['subjective', 'objective', 'assessment', 'plan', 'notes'];
+const VISIT_NOTE_FIELDS = ['chief_complaint', 'subjective', 'objective', 'assessment', 'plan', 'treatment_provided', 'notes'];
+
+// Records that are signed and then corrected through addenda
+const CLINICAL_RECORDS = {
+    SOAP_NOTE: { table: 'pn_soap_notes', fields: SOAP_NOTE_FIELDS, label: 'SOAP note' },
+    VISIT: { table: 'pn_visits', fields: VISIT_NOTE_FIELDS, label: 'Visit' }
+};
+
+const asClinicalText = (value) => (value === null || value === undefined ? '' : String(value));
+
+// { field, from, to } for each of `fields` that `changes` actually alters
+const diffClinicalFields = (record, changes, fields) => fields
+    .filter(field => changes[field] !== undefined && asClinicalText(changes[field]) !== asClinicalText(record[field]))
+    .map(field => ({
+        field,
+        from: record[field] === undefined ? null : record[field],
+        to: changes[field] === '' ? null : changes[field]
+    }));
+
+/**
+ * Attach addenda to clinical records and work out their current content.
+ * The stored row keeps what was signed; `current` applies every addendum in order.
+ * @param {Object} db - Database connection
+ * @param {string} recordType - SOAP_NOTE, VISIT or PN_CASE
+ * @param {Object[]} records - Rows with an id (and signed_at for notes/visits)
+ * @param {string[]} fields - Content fields to report in `current`
+ * @returns {Promise<Object[]>} - Records with { locked, addenda, current }
+ */
+const attachAddenda = async (db, recordType, records, fields) => {
+    if (records.length === 0) {
+        return records;
+    }
+
+    let addenda = [];
+    try {
+        const [rows] = await db.execute(
+            `SELECT a.*, CONCAT(u.first_name, ' ', u.last_name) as created_by_name
+             FROM clinical_note_addenda a
+             LEFT JOIN users u ON a.created_by = u.id
+             WHERE a.record_type = ? AND a.record_id IN (${records.map(() => '?').join(',')})
+             ORDER BY a.created_at, a.id`,
+            [recordType, ...records.map(record => record.id)]
+        );
+        addenda = rows;
+    } catch (err) {
+        console.warn('Failed to load addenda (table may not exist):', err.message);
+    }
+
+    return records.map(record => {
+        const own = addenda
+            .filter(addendum => addendum.record_id === record.id)
+            .map(addendum => ({
+                ...addendum,
+                changes: typeof addendum.changes === 'string' ? JSON.parse(addendum.changes) : addendum.changes
+            }));
+
+        const current = {};
+        fields.forEach(field => { current[field] = record[field] === undefined ? null : record[field]; });
+        own.forEach(addendum => addendum.changes.forEach(change => { current[change.field] = change.to; }));
+
+        return { ...record, locked: Boolean(record.signed_at), addenda: own, current };
+    });
+};
+
+const insertAddendum = async (db, { pnId, recordType, recordId, reason, changes, userId }) => {
+    const [result] = await db.execute(
+        `INSERT INTO clinical_note_addenda (pn_id, record_type, record_id, reason, changes, created_by)
+         VALUES (?, ?, ?, ?, ?, ?)`,
+        [pnId, recordType, recordId, reason, JSON.stringify(changes), userId]
+    );
+    return result.insertId;
+};
+
+// Load a SOAP note or visit of a case; `pnId` is optional for visits addressed by their own id
+const loadClinicalRecord = async (db, recordType, recordId, pnId) => {
+    const { table } = CLINICAL_RECORDS[recordType];
+    const [rows] = await db.execute(
+        `SELECT * FROM ${table} WHERE id = ? ${pnId ? 'AND pn_id = ?' : ''}`,
+        pnId ? [recordId, pnId] : [recordId]
+    );
+    return rows[0] || null;
+};
+
+// The author (or the visit's therapist) and admins may sign or edit before signing
+const isClinicalRecordAuthor = (record, user) => user.role === 'ADMIN' ||
+    record.created_by === user.id || (record.therapist_id !== undefined && record.therapist_id === user.id);
+
+const signClinicalRecord = async (req, res, recordType, recordId, pnId) => {
+    const db = req.app.locals.db;
+    const { table, label } = CLINICAL_RECORDS[recordType];
+
+    const record = await loadClinicalRecord(db, recordType, recordId, pnId);
+    if (!record) {
+        return res.status(404).json({ error: `${label} not found` });
+    }
+    if (record.signed_at) {
+        return res.status(409).json({ error: `${label} is already signed` });
+    }
+    if (!isClinicalRecordAuthor(record, req.user)) {
+        return res.status(403).json({ error: `Only the author or an admin can sign this ${label.toLowerCase()}` });
+    }
+    if (recordType === 'VISIT' && record.status !== 'COMPLETED') {
+        return res.status(400).json({ error: 'Only completed visits can be signed' });
+    }
+
+    // The registered signature image, if any, is kept with the record as it was at signing
+    const signature = await getActiveSignature(db, req.user.id);
+    const signatureId = signature ? signature.id : null;
+    await db.execute(`UPDATE ${table} SET signed_at = NOW(), signed_by = ?, signature_id = ? WHERE id = ?`,
+        [req.user.id, signatureId, record.id]);
+    await auditLog(db, req.user.id, 'SIGN', recordType.toLowerCase(), record.id, null,
+                  { pn_id: record.pn_id, signature_id: signatureId }, req);
+
+    res.json({ success: true, message: `${label} signed and locked` });
+};
+
+const updateClinicalRecord = async (req, res, recordType, recordId, pnId, extraFields = []) => {
+    const db = req.app.locals.db;
+    const { table, fields, label } = CLINICAL_RECORDS[recordType];
+
+    const record = await loadClinicalRecord(db, recordType, recordId, pnId);
+    if (!record) {
+        return res.status(404).json({ error: `${label} not found` });
+    }
+    if (record.signed_at) {
+        return res.status(409).json({ error: `${label} is signed and locked; corrections must be added as an addendum` });
+    }
+    if (!isClinicalRecordAuthor(record, req.user)) {
+        return res.status(403).json({ error: `Only the author or an admin can edit this ${label.toLowerCase()}` });
+    }
+
+    const editable = [...fields, ...extraFields].filter(field => req.body[field] !== undefined);
+    if (editable.length === 0) {
+        return res.status(400).json({ error: 'No fields to update' });
+    }
+
+    await db.execute(
+        `UPDATE ${table} SET ${editable.map(field => `${field} = ?`).join(', ')} WHERE id = ?`,
+        [...editable.map(field => (req.body[field] === '' ? null : req.body[field])), record.id]
+    );
+    await auditLog(db, req.user.id, 'UPDATE', recordType.toLowerCase(), record.id, record, req.body, req);
+
+    res.json({ success: true, message: `${label} updated` });
+};
+
+const addClinicalAddendum = async (req, res, recordType, recordId, pnId) => {
+    const db = req.app.locals.db;
+    const { fields, label } = CLINICAL_RECORDS[recordType];
+
+    const record = await loadClinicalRecord(db, recordType, recordId, pnId);
+    if (!record) {
+        return res.status(404).json({ error: `${label} not found` });
+    }
+    if (!record.signed_at) {
+        return res.status(409).json({ error: `${label} is not signed yet; edit it directly` });
+    }
+
+    // Diff against the current content so consecutive addenda chain correctly
+    const [withAddenda] = await attachAddenda(db, recordType, [record], fields);
+    const changes = diffClinicalFields(withAddenda.current, req.body.changes, fields);
+    if (changes.length === 0) {
+        return res.status(400).json({ error: `No changes to ${fields.join(', ')}` });
+    }
+
+    const addendumId = await insertAddendum(db, {
+        pnId: record.pn_id, recordType, recordId: record.id, reason: req.body.reason, changes, userId: req.user.id
+    });
+    await auditLog(db, req.user.id, 'ADDENDUM', recordType.toLowerCase(), record.id, null,
+                  { addendum_id: addendumId, reason: req.body.reason, changes }, req);
+
+    res.status(201).json({ success: true, id: addendumId, changes });
+};
+
+const addendumValidators = [
+    body('reason').trim().notEmpty().withMessage('A reason is required for an addendum'),
+    body('changes').isObject().withMessage('changes must be an object of field: new text')
+];
+
+// Sign and lock a SOAP note
+app.post('/api/pn/:id/soap-notes/:noteId/sign', authenticateToken, authorize('ADMIN', 'PT'), async (req, res) => {
+    try {
+        await signClinicalRecord(req, res, 'SOAP_NOTE', req.params.noteId, req.params.id);
+    } catch (error) {
+        console.error('Sign SOAP note error:', error);
+        res.status(500).json({ error: 'Failed to sign SOAP note' });
+    }
+});
+
+// Edit a SOAP note that has not been signed yet
+app.put('/api/pn/:id/soap-notes/:noteId', authenticateToken, authorize('ADMIN', 'PT'), async (req, res) => {
+    try {
+        await updateClinicalRecord(req, res, 'SOAP_NOTE', req.params.noteId, req.params.id);
+    } catch (error) {
+        console.error('Update SOAP note error:', error);
+        res.status(500).json({ error: 'Failed to update SOAP note' });
+    }
+});
+
+// Correct a signed SOAP note: { reason, changes: { assessment: '...' } }
+app.post('/api/pn/:id/soap-notes/:noteId/addenda', authenticateToken, authorize('ADMIN', 'PT'), addendumValidators, async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        await addClinicalAddendum(req, res, 'SOAP_NOTE', req.params.noteId, req.params.id);
+    } catch (error) {
+        console.error('Add SOAP note addendum error:', error);
+        res.status(500).json({ error: 'Failed to add addendum' });
+    }
+});
+
+// Sign and lock a visit note
+app.post('/api/visit/:id/sign', authenticateToken, authorize('ADMIN', 'PT'), async (req, res) => {
+    try {
+        await signClinicalRecord(req, res, 'VISIT', req.params.id);
+    } catch (error) {
+        console.error('Sign visit error:', error);
+        res.status(500).json({ error: 'Failed to sign visit' });
+    }
+});
+
+// Edit a visit that has not been signed yet
+app.put('/api/visit/:id', authenticateToken, authorize('ADMIN', 'PT'), [
+    body('status').optional().isIn(['SCHEDULED', 'COMPLETED', 'CANCELLED', 'NO_SHOW']),
+    body('duration_minutes').optional({ nullable: true, checkFalsy: true }).isInt({ min: 0 })
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        await updateClinicalRecord(req, res, 'VISIT', req.params.id, null, ['status', 'visit_time', 'duration_minutes']);
+    } catch (error) {
+        console.error('Update visit error:', error);
+        res.status(500).json({ error: 'Failed to update visit' });
+    }
+});
+
+// Correct a signed visit: { reason, changes: { treatment_provided: '...' } }
+app.post('/api/visit/:id/addenda', authenticateToken, authorize('ADMIN', 'PT'), addendumValidators, async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
+        await addClinicalAddendum(req, res, 'VISIT', req.params.id);
+    } catch (error) {
+        console.error('Add visit addendum error:', error);
+        res.status(500).json({ error: 'Failed to add addendum' });
+    }
+});
+
+// ========================================
+// ELECTRONIC SIGNATURES
+// ========================================
+
+// Signature images are kept out of the public /uploads folder and served only to signed-in users
+const SIGNATURES_DIR = process.env.SIGNATURES_DIR || './signatures';
+const MAX_SIGNATURE_BYTES = 1024 * 1024;
+
+// File magic numbers of the image types PDFKit can embed
+const SIGNATURE_IMAGE_TYPES = [
+    { mimeType: 'image/png', extension: '.png', magic: Buffer.from([0x89, 0x50, 0x4e, 0x47]) },
+    { mimeType: 'image/jpeg', extension: '.jpg', magic: Buffer.from([0xff, 0xd8, 0xff]) }
+];
+
+const detectSignatureImageType = (buffer) =>
+    SIGNATURE_IMAGE_TYPES.find(type => buffer.length > type.magic.length &&
+        buffer.subarray(0, type.magic.length).equals(type.magic)) || null;
+
+// The user's current signature, or null when none is registered
+const getActiveSignature = async (db, userId) => {
+    try {
+        const [rows] = await db.execute(
+            'SELECT * FROM user_signatures WHERE user_id = ? AND active = 1 ORDER BY id DESC LIMIT 1',
+            [userId]
+        );
+        return rows[0] || null;
+    } catch (err) {
+        console.warn('Failed to load signature (table may not exist):', err.message);
+        return null;
+    }
+};
+
+/**
+ * Load a stored signature with its signer for printing on a document.
+ * Replaced signatures still load, so documents keep the image they were signed with.
+ * @param {Object} db - Database connection
+ * @param {number|null} signatureId - user_signatures.id
+ * @param {Date|string} signedAt - When the document was signed
+ * @returns {Promise<Object|null>} - { id, file_path, mime_type, signer_name, license_number, signed_at }
+ */
+const loadSignature = async (db, signatureId, signedAt) => {
+    if (!signatureId) {
+        return null;
+    }
+
+    const [rows] = await db.execute(
+        `SELECT s.id, s.user_id, s.file_name, s.mime_type, u.first_name, u.last_name, u.license_number
+         FROM user_signatures s
+         JOIN users u ON s.user_id = u.id
+         WHERE s.id = ?`,
+        [signatureId]
+    );
+    if (rows.length === 0) {
+        return null;
+    }
+
+    const filePath = path.join(SIGNATURES_DIR, path.basename(rows[0].file_name));
+    if (!fs.existsSync(filePath)) {
+        console.warn('Signature image missing:', filePath);
+        return null;
+    }
+
+    return {
+        id: rows[0].id,
+        user_id: rows[0].user_id,
+        file_path: filePath,
+        mime_type: rows[0].mime_type,
+        signer_name: `${rows[0].first_name} ${rows[0].last_name}`,
+        license_number: rows[0].license_number,
+        signed_at: signedAt
+    };
+};
+
+// Signature for HTML documents, with the image inlined so printed or saved pages stay complete
+const loadSignatureForHTML = async (db, signatureId, signedAt) => {
+    const signature = await loadSignature(db, signatureId, signedAt);
+    if (!signature) {
+        return null;
+    }
+    const image = await fs.promises.readFile(signature.file_path);
+    return {
+        image: `data:${signature.mime_type};base64,${image.toString('base64')}`,
+        signer_name: signature.signer_name,
+        license_number: signature.license_number,
+        signed_at: signature.signed_at
+    };
+};
+
+// Inline each signed record's signature image as `signature_image`, loading each signature once
+const attachSignatureImages = async (db, records) => {
+    const images = {};
+    for (const record of records) {
+        if (record.signature_id && images[record.signature_id] === undefined) {
+            const signature = await loadSignatureForHTML(db, record.signature_id, null);
+            images[record.signature_id] = signature ? signature.image : null;
+        }
+    }
+    return records.map(record => ({
+        ...record,
+        signature_image: record.signature_id ? images[record.signature_id] : null
+    }));
+};
+
+/**
+ * Draw a signature block (image, name, license number, timestamp) at the current PDF position.
+ * @param {PDFDocument} doc - PDFKit document
+ * @param {Object} signature - From loadSignature
+ * @param {string} [role] - Caption under the signature line
+ */
+const drawPDFSignature = (doc, signature, role = 'Physiotherapist') => {
+    const width = 200;
+    const imageHeight = 60;
+    if (doc.y + imageHeight + 60 > doc.page.height - doc.page.margins.bottom) {
+        doc.addPage();
+    }
+
+    const left = doc.page.width - doc.page.margins.right - width;
+    const top = doc.y + 10;
+    doc.image(signature.file_path, left, top, { fit: [width, imageHeight], align: 'center', valign: 'bottom' });
+    doc.moveTo(left, top + imageHeight + 2).lineTo(left + width, top + imageHeight + 2)
+        .strokeColor('#333333').lineWidth(0.5).stroke();
+
+    doc.fontSize(10).fillColor('black');
+    doc.text(`${signature.signer_name} (${role})`, left, top + imageHeight + 6, { width, align: 'center' });
+    if (signature.license_number) {
+        doc.text(`License No: ${signature.license_number}`, left, doc.y, { width, align: 'center' });
+    }
+    doc.fontSize(8).fillColor('#555555')
+        .text(`Electronically signed ${moment(signature.signed_at).format('DD/MM/YYYY HH:mm')}`, left, doc.y, { width, align: 'center' })
+        .fillColor('black').fontSize(11);
+    doc.x = doc.page.margins.left;
+};
+
+// Signature a user signs a generated document with right now, or null when they have none registered
+const loadSigningSignature = async (db, userId) => {
+    const signature = await getActiveSignature(db, userId);
+    return signature ? loadSignature(db, signature.id, new Date()) : null;
+};
+
+const signatureResponse = (signature) => (signature ? {
+    id: signature.id,
+    source: signature.source,
+    created_at: signature.created_at,
+    image_url: `/api/signatures/${signature.id}/image`
+} : null);
+
+// Current user's registered signature
+app.get('/api/auth/signature', authenticateToken, async (req, res) => {
+    try {
+        const signature = await getActiveSignature(req.app.locals.db, req.user.id);
+        res.json({ signature: signatureResponse(signature) });
+    } catch (error) {
+        console.error('Get signature error:', error);
+        res.status(500).json({ error: 'Failed to get signature' });
+    }
+});
+
+// Register a signature: an uploaded image (`signature_file`) or a drawn one (`signature_data` PNG data URL).
+// The previous signature is retired but kept, since documents it signed still show it.
+app.post('/api/auth/signature', authenticateToken, authorize('ADMIN', 'PT'), upload.single('signature_file'), async (req, res) => {
+    try {
+        const db = req.app.locals.db;
+
+        let image;
+        let source;
+        if (req.file) {
+            image = await fs.promises.readFile(req.file.path);
+            await fs.promises.unlink(req.file.path).catch(() => {});
+            source = 'UPLOAD';
+        } else if (typeof req.body.signature_data === 'string') {
+            const match = req.body.signature_data.match(/^data:image\/(png|jpeg);base64,([A-Za-z0-9+/=]+)$/);
+            if (!match) {
+                return res.status(400).json({ error: 'signature_data must be a PNG or JPEG data URL' });
+            }
+            image = Buffer.from(match[2], 'base64');
+            source = 'DRAWN';
+        } else {
+            return res.status(400).json({ error: 'Upload a signature image or draw a signature' });
+        }
+
+        const imageType = detectSignatureImageType(image);
+        if (!imageType) {
+            return res.status(400).json({ error: 'Signature must be a PNG or JPEG image' });
+        }
+        if (image.length > MAX_SIGNATURE_BYTES) {
+            return res.status(400).json({ error: 'Signature image must be 1 MB or smaller' });
+        }
+
+        const fileName = `signature-${req.user.id}-${Date.now()}${imageType.extension}`;
+        await fs.promises.mkdir(SIGNATURES_DIR, { recursive: true });
+        await fs.promises.writeFile(path.join(SIGNATURES_DIR, fileName), image);
+
+        await db.execute(
+            'UPDATE user_signatures SET active = 0, revoked_at = NOW() WHERE user_id = ? AND active = 1',
+            [req.user.id]
+        );
+        const [result] = await db.execute(
+            `INSERT INTO user_signatures (user_id, file_name, mime_type, source)
+             VALUES (?, ?, ?, ?)`,
+            [req.user.id, fileName, imageType.mimeType, source]
+        );
+
+        await auditLog(db, req.user.id, 'REGISTER_SIGNATURE', 'user_signature', result.insertId, null, { source }, req);
+
+        res.status(201).json({
+            success: true,
+            signature: { id: result.insertId, source, image_url: `/api/signatures/${result.insertId}/image` }
+        });
+    } catch (error) {
+        console.error('Register signature error:', error);
+        res.status(500).json({ error: 'Failed to register signature' });
+    }
+});
+
+// Retire the current signature; documents already signed keep it
+app.delete('/api/auth/signature', authenticateToken, async (req, res) => {
+    try {
+        const db = req.app.locals.db;
+        const signature = await getActiveSignature(db, req.user.id);
+        if (!signature) {
+            return res.status(404).json({ error: 'No signature registered' });
+        }
+
+        await db.execute('UPDATE user_signatures SET active = 0, revoked_at = NOW() WHERE id = ?', [signature.id]);
+        await auditLog(db, req.user.id, 'REVOKE_SIGNATURE', 'user_signature', signature.id, null, null, req);
+
+        res.json({ success: true, message: 'Signature removed' });
+    } catch (error) {
+        console.error('Remove signature error:', error);
+        res.status(500).json({ error: 'Failed to remove signature' });
+    }
+});
+
+// Signature image for its owner (profile page) and admins. Signed records and documents embed
+// the image server-side instead.
+app.get('/api/signatures/:id/image', authenticateToken, async (req, res) => {
+    try {
+        const signature = await loadSignature(req.app.locals.db, req.params.id, null);
+        if (!signature) {
+            return res.status(404).json({ error: 'Signature not found' });
+        }
+        if (req.user.role !== 'ADMIN' && signature.user_id !== req.user.id) {
+            return res.status(403).json({ error: 'Access denied' });
+        }
+
+        res.setHeader('Cache-Control', 'private, max-age=3600');
+        res.type(signature.mime_type).sendFile(path.resolve(signature.file_path));
+    } catch (error) {
+        console.error('Get signature image error:', error);
+        res.status(500).json({ error: 'Failed to get signature image' });
+    }
+});
 
-        res.json({
-            case: {
-                id: pnCase.id,
-                pn_code: pnCase.pn_code,
-                status: pnCase.status
-            },
-            events: timeline
-        });
+// Sign a certificate with the current user's registered signature
+app.post('/api/certificates/:certificateId/sign', authenticateToken, authorize('ADMIN', 'PT'), async (req, res) => {
+    try {
+        const db = req.app.locals.db;
+        const [certificates] = await db.execute('SELECT * FROM pt_certificates WHERE id = ?', [req.params.certificateId]);
+        if (certificates.length === 0) {
+            return res.status(404).json({ error: 'Certificate not found' });
+        }
+        if (certificates[0].signed_at) {
+            return res.status(409).json({ error: 'Certificate is already signed' });
+        }
+
+        const signature = await getActiveSignature(db, req.user.id);
+        if (!signature) {
+            return res.status(400).json({ error: 'Register your signature on the profile page before signing' });
+        }
+
+        await db.execute(
+            'UPDATE pt_certificates SET signed_by = ?, signed_at = NOW(), signature_id = ? WHERE id = ?',
+            [req.user.id, signature.id, certificates[0].id]
+        );
+        await auditLog(db, req.user.id, 'SIGN', 'pt_certificate', certificates[0].id, null, { signature_id: signature.id }, req);
+
+        res.json({ success: true, message: 'Certificate signed' });
     } catch (error) {
-        console.error('Get PN timeline error:', error);
-        res.status(500).json({ error: 'Failed to retrieve PN timeline' });
+        console.error('Sign certificate error:', error);
+        res.status(500).json({ error: 'Failed to sign certificate' });
     }
 });
 
 // ========================================
-// APPOINTMENT ROUTES (NEW)
+// CLINICAL CODING (ICD-10 / ICF)
 // ========================================
 
-// Shared select clause for appointment queries
-const appointmentSelectClause = `
-    SELECT
-        a.id,
-        a.patient_id,
-        a.pt_id,
-        a.clinic_id,
-        DATE_FORMAT(a.appointment_date, '%Y-%m-%d') AS appointment_date,
-        TIME_FORMAT(a.start_time, '%H:%i:%s') AS start_time,
-        TIME_FORMAT(a.end_time, '%H:%i:%s') AS end_time,
-        a.status,
-        a.appointment_type,
-        a.booking_type,
-        a.walk_in_name,
-        a.walk_in_phone,
-        CASE
-            WHEN a.booking_type = 'WALK_IN' THEN CONCAT('W', LPAD(a.id, 6, '0'))
-            ELSE NULL
-        END AS walk_in_id,
-        a.pn_case_id,
-        a.auto_created_pn,
-        a.reason,
-        a.notes,
-        a.created_by,
-        DATE_FORMAT(a.created_at, '%Y-%m-%d %H:%i:%s') AS created_at,
-        DATE_FORMAT(a.updated_at, '%Y-%m-%d %H:%i:%s') AS updated_at,
-        a.cancellation_reason,
-        DATE_FORMAT(a.cancelled_at, '%Y-%m-%d %H:%i:%s') AS cancelled_at,
-        a.cancelled_by,
-        p.hn,
-        p.pt_number,
-        p.first_name AS patient_first_name,
-        p.last_name AS patient_last_name,
-        p.email AS patient_email,
-        p.gender,
-        p.dob,
-        CASE
-            WHEN a.booking_type = 'WALK_IN' THEN a.walk_in_name
-            ELSE CONCAT_WS(' ', p.first_name, p.last_name)
-        END AS patient_name,
-        CONCAT_WS(' ', pt.first_name, pt.last_name) AS pt_name,
-        c.name AS clinic_name,
-        c.code AS clinic_code,
-        CONCAT_WS(' ', creator.first_name, creator.last_name) AS created_by_name,
-        CONCAT_WS(' ', canceller.first_name, canceller.last_name) AS cancelled_by_name,
-        pn.pn_code,
-        pn.status AS pn_status
-    FROM appointments a
-    LEFT JOIN patients p ON a.patient_id = p.id
-    LEFT JOIN users pt ON a.pt_id = pt.id
-    JOIN clinics c ON a.clinic_id = c.id
-    LEFT JOIN users creator ON a.created_by = creator.id
-    LEFT JOIN users canceller ON a.cancelled_by = canceller.id
-    LEFT JOIN pn_cases pn ON a.pn_case_id = pn.id
-`;
+const CLINICAL_CODE_SYSTEMS = { ICD10: 'ICD-10', ICF: 'ICF' };
+
+// Free-text diagnosis columns of pn_cases that can carry codes
+const DIAGNOSIS_CODE_FIELDS = ['diagnosis', 'physio_diagnosis', 'pt_diagnosis'];
+const DIAGNOSIS_CODE_LABELS = { diagnosis: 'Diagnosis', physio_diagnosis: 'Physio Diagnosis', pt_diagnosis: 'PT Diagnosis' };
+
+const emptyDiagnosisCodes = () => ({ diagnosis: [], physio_diagnosis: [], pt_diagnosis: [] });
+
+// "ICD-10 M54.5 Low back pain; ICF b28013 Pain in back"
+const formatDiagnosisCodes = (codes) => codes
+    .map(code => `${CLINICAL_CODE_SYSTEMS[code.code_system]} ${code.code} ${code.title}`)
+    .join('; ');
+
+// One "<field> Codes:" line per coded diagnosis field, for reports and claims
+const writePDFDiagnosisCodes = (doc, codesByField) => {
+    DIAGNOSIS_CODE_FIELDS.filter(field => codesByField[field].length > 0).forEach(field => {
+        doc.text(`${DIAGNOSIS_CODE_LABELS[field]} Codes: ${formatDiagnosisCodes(codesByField[field])}`);
+    });
+};
+
+/**
+ * Load the codes recorded against each diagnosis field of some cases.
+ * @param {Object} db - Database connection
+ * @param {number[]} pnIds - PN case IDs
+ * @returns {Promise<Object>} - { [pnId]: { diagnosis: [], physio_diagnosis: [], pt_diagnosis: [] } }
+ */
+const getDiagnosisCodesByCase = async (db, pnIds) => {
+    const byCase = {};
+    pnIds.forEach(pnId => { byCase[pnId] = emptyDiagnosisCodes(); });
+    if (pnIds.length === 0) {
+        return byCase;
+    }
 
-// Get all appointments (with filters)
-app.get('/api/appointments', authenticateToken, async (req, res) => {
     try {
-        const db = req.app.locals.db;
-        const { pt_id, clinic_id, start_date, end_date, status } = req.query;
+        const [rows] = await db.execute(
+            `SELECT id, pn_id, diagnosis_field, clinical_code_id, code_system, code, title
+             FROM pn_diagnosis_codes
+             WHERE pn_id IN (${pnIds.map(() => '?').join(',')})
+             ORDER BY pn_id, diagnosis_field, sort_order, id`,
+            pnIds
+        );
+        rows.forEach(row => {
+            if (byCase[row.pn_id]) {
+                byCase[row.pn_id][row.diagnosis_field].push(row);
+            }
+        });
+    } catch (err) {
+        console.warn('Failed to load diagnosis codes (table may not exist):', err.message);
+    }
 
-        const accessibleClinics = await getAccessibleClinicIds(db, req.user);
+    return byCase;
+};
 
-        if (req.user.role === 'CLINIC' && accessibleClinics.length === 0) {
-            return res.json([]);
-        }
+/**
+ * Check `diagnosis_codes` from a request body: { diagnosis: [codeId, ...], pt_diagnosis: [...] }.
+ * Only the fields present are returned, so callers replace just those.
+ * @param {Object} db - Database connection
+ * @param {*} input - Value of req.body.diagnosis_codes
+ * @param {string[]} [fields] - Fields this request may code
+ * @returns {Promise<Object>} - { codes: { field: [clinical_codes rows] } } or { error }
+ */
+const parseDiagnosisCodes = async (db, input, fields = DIAGNOSIS_CODE_FIELDS) => {
+    if (input === undefined || input === null) {
+        return { codes: {} };
+    }
+    if (typeof input !== 'object' || Array.isArray(input)) {
+        return { error: 'diagnosis_codes must be an object of field: [code ids]' };
+    }
 
-        let query = `${appointmentSelectClause} WHERE 1=1`;
-        const params = [];
+    const codes = {};
+    for (const [field, ids] of Object.entries(input)) {
+        if (!fields.includes(field)) {
+            return { error: `Codes cannot be recorded for ${field}; use ${fields.join(', ')}` };
+        }
+        if (!Array.isArray(ids) || ids.some(codeId => !Number.isInteger(Number(codeId)))) {
+            return { error: `diagnosis_codes.${field} must be an array of code ids` };
+        }
 
-        if (req.user.role !== 'ADMIN' && accessibleClinics.length > 0) {
-            query += ` AND a.clinic_id IN (${accessibleClinics.map(() => '?').join(',')})`;
-            params.push(...accessibleClinics);
+        const uniqueIds = [...new Set(ids.map(Number))];
+        if (uniqueIds.length === 0) {
+            codes[field] = [];
+            continue;
         }
 
-        // Filter by PT
-        if (pt_id) {
-            query += ' AND a.pt_id = ?';
-            params.push(pt_id);
+        const [rows] = await db.execute(
+            `SELECT * FROM clinical_codes WHERE active = 1 AND id IN (${uniqueIds.map(() => '?').join(',')})`,
+            uniqueIds
+        );
+        const missing = uniqueIds.filter(codeId => !rows.some(row => row.id === codeId));
+        if (missing.length > 0) {
+            return { error: `Unknown or inactive clinical code id: ${missing.join(', ')}` };
         }
+        // Keep the order given; the first code is the primary one
+        codes[field] = uniqueIds.map(codeId => rows.find(row => row.id === codeId));
+    }
 
-        // Filter by Clinic
-        if (clinic_id) {
-            query += ' AND a.clinic_id = ?';
-            params.push(clinic_id);
+    return { codes };
+};
+
+// Replace the codes of each field in `codes` (from parseDiagnosisCodes)
+const saveDiagnosisCodes = async (db, pnId, codes, userId) => {
+    for (const [field, rows] of Object.entries(codes)) {
+        await db.execute('DELETE FROM pn_diagnosis_codes WHERE pn_id = ? AND diagnosis_field = ?', [pnId, field]);
+        for (const [index, code] of rows.entries()) {
+            await db.execute(
+                `INSERT INTO pn_diagnosis_codes (pn_id, diagnosis_field, clinical_code_id, code_system, code, title, sort_order, created_by)
+                 VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+                [pnId, field, code.id, code.code_system, code.code, code.title, index, userId]
+            );
         }
+    }
+};
 
-        // Filter by date range
-        if (start_date) {
-            query += ' AND a.appointment_date >= ?';
-            params.push(start_date);
+// Typeahead search: ?q=back&system=ICD10&limit=20 (code prefix, title or keywords)
+app.get('/api/clinical-codes', authenticateToken, async (req, res) => {
+    try {
+        const db = req.app.locals.db;
+        const q = (req.query.q || '').trim();
+        const limit = Math.min(parseInt(req.query.limit) || 20, 50);
+
+        let query = 'SELECT id, code_system, code, title, chapter, keywords, active FROM clinical_codes WHERE 1=1';
+        const params = [];
+
+        if (req.query.include_inactive !== '1') {
+            query += ' AND active = 1';
         }
-        if (end_date) {
-            query += ' AND a.appointment_date <= ?';
-            params.push(end_date);
+        if (req.query.system) {
+            if (!CLINICAL_CODE_SYSTEMS[req.query.system]) {
+                return res.status(400).json({ error: `system must be one of ${Object.keys(CLINICAL_CODE_SYSTEMS).join(', ')}` });
+            }
+            query += ' AND code_system = ?';
+            params.push(req.query.system);
+        }
+        if (q) {
+            query += ' AND (code LIKE ? OR title LIKE ? OR keywords LIKE ?)';
+            params.push(`${q}%`, `%${q}%`, `%${q}%`);
         }
 
-        // Filter by status
-        if (status) {
-            query += ' AND a.status = ?';
-            params.push(status);
-        } else {
-            // By default, exclude CANCELLED appointments from calendar view
-            query += ' AND a.status != ?';
-            params.push('CANCELLED');
+        // Exact code first, then code prefix matches, then the rest alphabetically by code
+        query += ' ORDER BY (code = ?) DESC, (code LIKE ?) DESC, code_system, code LIMIT ?';
+        params.push(q, `${q}%`, limit);
+
+        const [codes] = await db.execute(query, params);
+        res.json(codes);
+    } catch (error) {
+        console.error('Search clinical codes error:', error);
+        res.status(500).json({ error: 'Failed to search clinical codes' });
+    }
+});
+
+const clinicalCodeValidators = [
+    body('code_system').isIn(Object.keys(CLINICAL_CODE_SYSTEMS)).withMessage('code_system must be ICD10 or ICF'),
+    body('code').trim().matches(/^([A-Z][0-9]{2}(\.[0-9A-Z]{1,4})?|[bdes][0-9]{3,6})$/)
+        .withMessage('code must look like M54.5 (ICD-10) or b28013 (ICF)'),
+    body('title').trim().notEmpty().isLength({ max: 255 }),
+    body('chapter').optional({ nullable: true }).isLength({ max: 100 }),
+    body('keywords').optional({ nullable: true }).isLength({ max: 255 })
+];
+
+// Add a code missing from the table (ADMIN only)
+app.post('/api/clinical-codes', authenticateToken, authorize('ADMIN'), clinicalCodeValidators, async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
         }
 
-        query += ' ORDER BY a.appointment_date, a.start_time';
+        const db = req.app.locals.db;
+        const [existing] = await db.execute(
+            'SELECT id FROM clinical_codes WHERE code_system = ? AND code = ?',
+            [req.body.code_system, req.body.code]
+        );
+        if (existing.length > 0) {
+            return res.status(409).json({ error: 'This code already exists', id: existing[0].id });
+        }
 
-        const [appointments] = await db.execute(query, params);
+        const [result] = await db.execute(
+            `INSERT INTO clinical_codes (code_system, code, title, chapter, keywords)
+             VALUES (?, ?, ?, ?, ?)`,
+            [req.body.code_system, req.body.code, req.body.title, req.body.chapter || null, req.body.keywords || null]
+        );
 
-        res.json(appointments);
+        await auditLog(db, req.user.id, 'CREATE', 'clinical_code', result.insertId, null, req.body, req);
+
+        res.status(201).json({ success: true, id: result.insertId });
     } catch (error) {
-        console.error('Get appointments error:', error);
-        res.status(500).json({ error: 'Failed to retrieve appointments' });
+        console.error('Create clinical code error:', error);
+        res.status(500).json({ error: 'Failed to create clinical code' });
     }
 });
 
-// Check for appointment conflicts
-app.post('/api/appointments/check-conflict', authenticateToken, async (req, res) => {
+// Edit a code's title/keywords or retire it (ADMIN only); cases keep the title they were coded with
+app.put('/api/clinical-codes/:id', authenticateToken, authorize('ADMIN'), [
+    body('title').optional().trim().notEmpty().isLength({ max: 255 }),
+    body('chapter').optional({ nullable: true }).isLength({ max: 100 }),
+    body('keywords').optional({ nullable: true }).isLength({ max: 255 }),
+    body('active').optional().isBoolean()
+], async (req, res) => {
     try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+
         const db = req.app.locals.db;
-        const { pt_id, appointment_date, start_time, end_time, exclude_appointment_id } = req.body;
+        const [codes] = await db.execute('SELECT * FROM clinical_codes WHERE id = ?', [req.params.id]);
+        if (codes.length === 0) {
+            return res.status(404).json({ error: 'Clinical code not found' });
+        }
 
-        if (!pt_id || !appointment_date || !start_time || !end_time) {
-            return res.status(400).json({ error: 'Missing required fields' });
+        const fields = ['title', 'chapter', 'keywords', 'active'].filter(field => req.body[field] !== undefined);
+        if (fields.length === 0) {
+            return res.status(400).json({ error: 'No fields to update' });
         }
 
-        let query = `
-            SELECT id, start_time, end_time,
-                   CONCAT(p.first_name, ' ', p.last_name) as patient_name
-            FROM appointments a
-            JOIN patients p ON a.patient_id = p.id
-            WHERE a.pt_id = ?
-              AND a.appointment_date = ?
-              AND a.status != 'CANCELLED'
-              AND (
-                  (a.start_time < ? AND a.end_time > ?) OR
-                  (a.start_time < ? AND a.end_time > ?) OR
-                  (a.start_time >= ? AND a.end_time <= ?)
-              )
-        `;
-        const params = [pt_id, appointment_date, end_time, start_time, end_time, start_time, start_time, end_time];
+        await db.execute(
+            `UPDATE clinical_codes SET ${fields.map(field => `${field} = ?`).join(', ')} WHERE id = ?`,
+            [...fields.map(field => (field === 'active' ? (req.body.active ? 1 : 0) : req.body[field] || null)), req.params.id]
+        );
 
-        // Exclude current appointment when rescheduling
-        if (exclude_appointment_id) {
-            query += ' AND a.id != ?';
-            params.push(exclude_appointment_id);
-        }
+        await auditLog(db, req.user.id, 'UPDATE', 'clinical_code', req.params.id, codes[0], req.body, req);
 
-        const [conflicts] = await db.execute(query, params);
+        res.json({ success: true, message: 'Clinical code updated' });
+    } catch (error) {
+        console.error('Update clinical code error:', error);
+        res.status(500).json({ error: 'Failed to update clinical code' });
+    }
+});
 
-        res.json({
-            hasConflict: conflicts.length > 0,
-            conflicts: conflicts
-        });
+// Codes recorded against the diagnoses of a case
+app.get('/api/pn/:id/diagnosis-codes', authenticateToken, async (req, res) => {
+    try {
+        const db = req.app.locals.db;
+        const access = await getAccessiblePNCase(db, req.user, req.params.id);
+        if (access.error) {
+            return res.status(access.status).json({ error: access.error });
+        }
+
+        const byCase = await getDiagnosisCodesByCase(db, [access.pnCase.id]);
+        res.json(byCase[access.pnCase.id]);
     } catch (error) {
-        console.error('Check conflict error:', error);
-        res.status(500).json({ error: 'Failed to check conflicts' });
+        console.error('Get diagnosis codes error:', error);
+        res.status(500).json({ error: 'Failed to get diagnosis codes' });
     }
 });
 
-// Get available time slots for a specific date, clinic, and PT
-app.get('/api/appointments/available-slots', authenticateToken, async (req, res) => {
+// Replace the codes of one or more diagnosis fields: { diagnosis_codes: { pt_diagnosis: [12, 80] } }
+app.put('/api/pn/:id/diagnosis-codes', authenticateToken, authorize('ADMIN', 'PT'), async (req, res) => {
     try {
         const db = req.app.locals.db;
-        const { date, clinic_id, pt_id } = req.query;
+        const access = await getAccessiblePNCase(db, req.user, req.params.id);
+        if (access.error) {
+            return res.status(access.status).json({ error: access.error });
+        }
 
-        if (!date || !clinic_id) {
-            return res.status(400).json({ error: 'Date and clinic_id are required' });
+        const parsed = await parseDiagnosisCodes(db, req.body.diagnosis_codes);
+        if (parsed.error) {
+            return res.status(400).json({ error: parsed.error });
         }
+        if (Object.keys(parsed.codes).length === 0) {
+            return res.status(400).json({ error: 'No diagnosis codes to update' });
+        }
+
+        await saveDiagnosisCodes(db, access.pnCase.id, parsed.codes, req.user.id);
+        await auditLog(db, req.user.id, 'UPDATE_DIAGNOSIS_CODES', 'pn_case', access.pnCase.id, null, req.body.diagnosis_codes, req);
+
+        const byCase = await getDiagnosisCodesByCase(db, [access.pnCase.id]);
+        res.json({ success: true, diagnosis_codes: byCase[access.pnCase.id] });
+    } catch (error) {
+        console.error('Update diagnosis codes error:', error);
+        res.status(500).json({ error: 'Failed to update diagnosis codes' });
+    }
+});
+
+// ========================================
+// RED-FLAG SCREENING
+// ========================================
+
+const SCREENING_SEVERITIES = { RED_FLAG: 'Red flag', CONTRAINDICATION: 'Contraindication', PRECAUTION: 'Precaution' };
+
+const screeningQuestionValidators = [
+    body('question').trim().notEmpty().isLength({ max: 255 }),
+    body('guidance').optional({ nullable: true }).isLength({ max: 255 }),
+    body('severity').isIn(Object.keys(SCREENING_SEVERITIES)),
+    body('sort_order').optional({ nullable: true }).isInt({ min: 0 }).toInt(),
+    body('active').optional().isBoolean().toBoolean()
+];
+
+const parseScreeningRow = (row) => ({
+    ...row,
+    answers: typeof row.answers === 'string' ? JSON.parse(row.answers) : (row.answers || [])
+});
+
+const screeningPositives = (screening) => screening.answers.filter(answer => answer.answer);
+
+// "[Red flag] History of cancer? - breast CA 2019" for reports and notifications
+const describeScreeningAnswer = (answer) =>
+    `[${SCREENING_SEVERITIES[answer.severity] || answer.severity}] ${answer.question}${answer.note ? ` - ${answer.note}` : ''}`;
+
+// Screening block for PDF reports; positive answers are printed in red
+const writePDFScreening = (doc, screening) => {
+    if (!screening) {
+        doc.text('Red-flag screening: not recorded');
+        return;
+    }
+
+    const positives = screeningPositives(screening);
+    doc.text(`Red-flag screening (${moment(screening.screened_at).format('DD/MM/YYYY')}` +
+        `${screening.screened_by_name ? `, ${screening.screened_by_name}` : ''}): ` +
+        (positives.length > 0 ? `${positives.length} positive` : 'no positive answers'));
+    if (positives.length > 0) {
+        doc.fillColor('#c62828');
+        positives.forEach(answer => doc.text(`- ${describeScreeningAnswer(answer)}`));
+        doc.fillColor('black');
+    }
+    if (screening.notes) {
+        doc.text(`Screening notes: ${screening.notes}`);
+    }
+};
+
+/**
+ * Load the screenings of a PN case, newest first.
+ * @param {Object} db - Database connection
+ * @param {number} pnId - PN case ID
+ * @returns {Promise<Object[]>} - pn_screenings rows with parsed answers
+ */
+const getScreenings = async (db, pnId) => {
+    try {
+        const [rows] = await db.execute(
+            `SELECT s.*,
+                    CONCAT(u.first_name, ' ', u.last_name) as screened_by_name,
+                    CONCAT(a.first_name, ' ', a.last_name) as acknowledged_by_name
+             FROM pn_screenings s
+             LEFT JOIN users u ON s.screened_by = u.id
+             LEFT JOIN users a ON s.acknowledged_by = a.id
+             WHERE s.pn_id = ?
+             ORDER BY s.screened_at DESC, s.id DESC`,
+            [pnId]
+        );
+        return rows.map(parseScreeningRow);
+    } catch (err) {
+        console.warn('Failed to load screenings (table may not exist):', err.message);
+        return [];
+    }
+};
+
+const getLatestScreening = async (db, pnId) => (await getScreenings(db, pnId))[0] || null;
+
+/**
+ * Check a screening from a request body against the active questions.
+ * Every active question needs a yes/no answer; the question text is snapshotted
+ * so later edits to the checklist do not change what was asked.
+ * @param {Object} db - Database connection
+ * @param {*} input - { answers: [{ question_id, answer, note }], notes, acknowledged }
+ * @returns {Promise<Object>} - { screening } or { error }
+ */
+const parseScreening = async (db, input) => {
+    if (!input || typeof input !== 'object' || !Array.isArray(input.answers)) {
+        return { error: 'screening.answers must be an array of { question_id, answer }' };
+    }
 
-        // Define time slots (from 8:00 AM to 8:00 PM in 30-minute intervals)
-        const timeSlots = [];
-        for (let hour = 8; hour < 20; hour++) {
-            for (let minute = 0; minute < 60; minute += 30) {
-                const startHour = hour.toString().padStart(2, '0');
-                const startMinute = minute.toString().padStart(2, '0');
-                const endMinute = (minute + 30) % 60;
-                const endHour = minute === 30 ? hour + 1 : hour;
+    const [questions] = await db.execute(
+        'SELECT * FROM screening_questions WHERE active = 1 ORDER BY sort_order, id'
+    );
+    if (questions.length === 0) {
+        return { error: 'No screening questions are configured' };
+    }
 
-                timeSlots.push({
-                    start_time: `${startHour}:${startMinute}:00`,
-                    end_time: `${endHour.toString().padStart(2, '0')}:${endMinute.toString().padStart(2, '0')}:00`,
-                    label: `${startHour}:${startMinute} - ${endHour.toString().padStart(2, '0')}:${endMinute.toString().padStart(2, '0')}`
-                });
-            }
+    const given = {};
+    for (const answer of input.answers) {
+        if (!answer || !questions.some(q => q.id === parseInt(answer.question_id, 10))) {
+            return { error: `Unknown or inactive screening question: ${answer ? answer.question_id : answer}` };
         }
+        if (typeof answer.answer !== 'boolean') {
+            return { error: 'Each screening answer must be true (yes) or false (no)' };
+        }
+        given[parseInt(answer.question_id, 10)] = answer;
+    }
 
-        // Get existing appointments for the date and clinic
-        let query = `
-            SELECT start_time, end_time, pt_id
-            FROM appointments
-            WHERE appointment_date = ?
-              AND clinic_id = ?
-              AND status != 'CANCELLED'
-        `;
-        const params = [date, clinic_id];
+    const missing = questions.filter(q => !given[q.id]);
+    if (missing.length > 0) {
+        return { error: `Answer every screening question (missing: ${missing.map(q => q.question).join('; ')})` };
+    }
 
-        // If PT is specified, only check that PT's schedule
-        if (pt_id) {
-            query += ' AND pt_id = ?';
-            params.push(pt_id);
+    const answers = questions.map(q => ({
+        question_id: q.id,
+        question: q.question,
+        severity: q.severity,
+        guidance: q.guidance,
+        answer: given[q.id].answer,
+        note: given[q.id].note ? String(given[q.id].note).trim() || null : null
+    }));
+
+    return {
+        screening: {
+            answers,
+            notes: input.notes || null,
+            acknowledged: input.acknowledged === true
         }
+    };
+};
 
-        const [existingAppointments] = await db.execute(query, params);
+/**
+ * Store a checked screening for a PN case.
+ * @param {Object} db - Database connection
+ * @param {number} pnId - PN case ID
+ * @param {Object} screening - From parseScreening
+ * @param {number} userId - Screening user
+ * @returns {Promise<number>} - New screening ID
+ */
+const saveScreening = async (db, pnId, screening, userId) => {
+    const positives = screeningPositives(screening);
+    const [result] = await db.execute(
+        `INSERT INTO pn_screenings (pn_id, answers, positive_count, red_flag_count, notes, acknowledged_by, screened_by)
+         VALUES (?, ?, ?, ?, ?, ?, ?)`,
+        [
+            pnId, JSON.stringify(screening.answers), positives.length,
+            positives.filter(answer => answer.severity === 'RED_FLAG').length,
+            screening.notes, positives.length > 0 && screening.acknowledged ? userId : null, userId
+        ]
+    );
+    return result.insertId;
+};
 
-        // Mark slots as available or booked
-        const availableSlots = timeSlots.map(slot => {
-            // Check if this slot conflicts with any existing appointment
-            const hasConflict = existingAppointments.some(apt => {
-                // Check if the slot overlaps with the appointment
-                return (
-                    (slot.start_time < apt.end_time && slot.end_time > apt.start_time)
-                );
-            });
+/**
+ * Gate for PENDING -> ACCEPTED. Uses the screening sent with the request, or the
+ * latest one on file; positive answers must have been acknowledged.
+ * @param {Object} db - Database connection
+ * @param {number} pnId - PN case ID
+ * @param {*} input - req.body.screening (optional)
+ * @returns {Promise<Object>} - { screening, isNew } or { status, body } to send back
+ */
+const checkScreeningForAcceptance = async (db, pnId, input) => {
+    let screening;
+    let isNew = false;
 
+    if (input !== undefined && input !== null) {
+        const parsed = await parseScreening(db, input);
+        if (parsed.error) {
+            return { status: 400, body: { error: parsed.error } };
+        }
+        screening = parsed.screening;
+        isNew = true;
+    } else {
+        screening = await getLatestScreening(db, pnId);
+        if (!screening) {
             return {
-                ...slot,
-                available: !hasConflict,
-                booked: hasConflict
+                status: 400,
+                body: { error: 'Red-flag screening must be completed before the case is accepted', screening_required: true }
             };
-        });
+        }
+        screening.acknowledged = Boolean(screening.acknowledged_by);
+    }
 
-        res.json({
-            date,
-            clinic_id,
-            pt_id: pt_id || null,
-            slots: availableSlots
-        });
-    } catch (error) {
-        console.error('Get available slots error:', error);
-        res.status(500).json({ error: 'Failed to retrieve available time slots' });
+    const positives = screeningPositives(screening);
+    if (positives.length > 0 && !screening.acknowledged) {
+        return {
+            status: 409,
+            body: {
+                error: 'Screening has positive answers; review them and confirm before accepting the case',
+                requires_acknowledgement: true,
+                positive_answers: positives
+            }
+        };
     }
-});
 
-// Create new appointment
-app.post('/api/appointments', authenticateToken, async (req, res) => {
-    try {
-        const db = req.app.locals.db;
-        const {
-            booking_type,  // NEW: 'WALK_IN' or 'OLD_PATIENT'
-            patient_id,
-            walk_in_name,   // NEW: For walk-in patients
-            walk_in_phone,  // NEW: For walk-in patients
-            pt_id,
-            clinic_id,
-            appointment_date,
-            start_time,
-            end_time,
-            appointment_type,
-            reason,
-            notes,
-            auto_create_pn,  // NEW: Flag to auto-create PN case
-            course_id,       // NEW: Course ID for course cutting
-            pn_case_id       // NEW: Link existing PN case to appointment
-        } = req.body;
+    return { screening, isNew };
+};
 
-        // Check access - Only ADMIN and PT can create appointments
-        if (req.user.role !== 'ADMIN' && req.user.role !== 'PT') {
-            return res.status(403).json({ error: 'Only ADMIN or PT can create appointments' });
-        }
+/**
+ * Tell the PT treating the case about positive screening answers (email when
+ * SMTP is set up, plus the LINE group when the redFlagScreening event is on).
+ * The PT who did the screening already saw the warning and is not emailed.
+ * @param {Object} db - Database connection
+ * @param {number} pnId - PN case ID
+ * @param {Object} screening - Screening with answers
+ * @param {Object} user - Screening user
+ */
+const notifyScreeningPositives = async (db, pnId, screening, user) => {
+    const positives = screeningPositives(screening);
+    if (positives.length === 0) {
+        return;
+    }
 
-        // Validate booking type
-        const validBookingType = booking_type || 'OLD_PATIENT';
-        if (!['WALK_IN', 'OLD_PATIENT'].includes(validBookingType)) {
-            return res.status(400).json({ error: 'Invalid booking_type' });
+    try {
+        const [cases] = await db.execute(
+            `SELECT pn.pn_code, p.hn, p.first_name, p.last_name,
+                    COALESCE(pn.assigned_pt_id,
+                             (SELECT a.pt_id FROM appointments a
+                              WHERE a.pn_case_id = pn.id AND a.pt_id IS NOT NULL AND a.status != 'CANCELLED'
+                              ORDER BY a.appointment_date DESC, a.start_time DESC LIMIT 1)) as pt_id
+             FROM pn_cases pn
+             JOIN patients p ON pn.patient_id = p.id
+             WHERE pn.id = ?`,
+            [pnId]
+        );
+        if (cases.length === 0) {
+            return;
         }
-
-        const sanitizedWalkInName = typeof walk_in_name === 'string' ? walk_in_name.trim() : walk_in_name;
-        const sanitizedWalkInPhone = typeof walk_in_phone === 'string' ? walk_in_phone.trim() : walk_in_phone;
-
-        // Validate required fields based on booking type
-        if (validBookingType === 'WALK_IN') {
-            if (!sanitizedWalkInName || !pt_id || !clinic_id || !appointment_date || !start_time || !end_time) {
-                return res.status(400).json({ error: 'Missing required fields for walk-in booking' });
-            }
-        } else {
-            // OLD_PATIENT
-            if (!patient_id || !pt_id || !clinic_id || !appointment_date || !start_time || !end_time) {
-                return res.status(400).json({ error: 'Missing required fields for patient booking' });
+        const pnCase = cases[0];
+        const lines = positives.map(describeScreeningAnswer);
+
+        const message = `⚠️ Screening Red Flags
+PN: ${pnCase.pn_code}
+Patient: ${pnCase.first_name} ${pnCase.last_name} (HN ${pnCase.hn})
+${lines.map(line => `• ${line}`).join('\n')}`;
+        await sendLINENotification(db, 'redFlagScreening', message);
+
+        if (pnCase.pt_id && pnCase.pt_id !== user.id) {
+            const [pts] = await db.execute('SELECT email, first_name FROM users WHERE id = ? AND active = 1', [pnCase.pt_id]);
+            if (pts.length > 0) {
+                await sendNotificationEmail(db, pts[0].email, `Screening red flags for ${pnCase.pn_code}`, `
+                    <p>Hello ${escapeHtml(pts[0].first_name)},</p>
+                    <p>The screening for <strong>${escapeHtml(pnCase.pn_code)}</strong>
+                       (${escapeHtml(`${pnCase.first_name} ${pnCase.last_name}`)}, HN ${escapeHtml(pnCase.hn)})
+                       has positive answers. Please review them before treatment:</p>
+                    <ul>${positives.map(answer => `<li>${escapeHtml(describeScreeningAnswer(answer))}` +
+                        `${answer.guidance ? `<br><small>${escapeHtml(answer.guidance)}</small>` : ''}</li>`).join('')}</ul>
+                    ${screening.notes ? `<p>Notes: ${escapeHtml(screening.notes)}</p>` : ''}
+                `);
             }
         }
+    } catch (err) {
+        console.error('Failed to send screening notification:', err);
+    }
+};
 
-        // Check for conflicts
-        const [conflicts] = await db.execute(
-            `SELECT id FROM appointments
-             WHERE pt_id = ? AND appointment_date = ? AND status != 'CANCELLED'
-               AND (
-                   (start_time < ? AND end_time > ?) OR
-                   (start_time < ? AND end_time > ?) OR
-                   (start_time >= ? AND end_time <= ?)
-               )`,
-            [pt_id, appointment_date, end_time, start_time, end_time, start_time, start_time, end_time]
+// Active checklist for the screening form
+app.get('/api/screening-questions', authenticateToken, authorize('ADMIN', 'PT'), async (req, res) => {
+    try {
+        const db = req.app.locals.db;
+        const [questions] = await db.execute(
+            'SELECT id, question, guidance, severity, sort_order FROM screening_questions WHERE active = 1 ORDER BY sort_order, id'
         );
+        res.json({ questions, severities: SCREENING_SEVERITIES });
+    } catch (error) {
+        console.error('Get screening questions error:', error);
+        res.status(500).json({ error: 'Failed to retrieve screening questions' });
+    }
+});
 
-        if (conflicts.length > 0) {
-            return res.status(409).json({ error: 'Time slot conflict detected' });
-        }
-
-        // Course validation if course_id is provided
-        let validatedCourseId = null;
-        if (course_id && validBookingType === 'OLD_PATIENT' && patient_id) {
-            const [courses] = await db.execute(
-                `SELECT id, course_code, remaining_sessions, status, patient_id, expiry_date
-                 FROM courses WHERE id = ?`,
-                [course_id]
-            );
-
-            if (courses.length === 0) {
-                return res.status(404).json({ error: 'Course not found' });
-            }
-
-            const course = courses[0];
+// Admin: all questions including inactive ones
+app.get('/api/admin/screening-questions', authenticateToken, authorize('ADMIN'), async (req, res) => {
+    try {
+        const db = req.app.locals.db;
+        const [questions] = await db.execute(
+            'SELECT * FROM screening_questions ORDER BY active DESC, sort_order, id'
+        );
+        res.json({ questions, severities: SCREENING_SEVERITIES });
+    } catch (error) {
+        console.error('Get admin screening questions error:', error);
+        res.status(500).json({ error: 'Failed to retrieve screening questions' });
+    }
+});
 
-            // Validate course belongs to the patient
-            if (course.patient_id !== parseInt(patient_id)) {
-                return res.status(400).json({
-                    error: 'Course does not belong to this patient'
-                });
-            }
+app.post('/api/admin/screening-questions', authenticateToken, authorize('ADMIN'), screeningQuestionValidators, async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
 
-            // Validate course status
-            if (course.status !== 'ACTIVE') {
-                return res.status(400).json({
-                    error: `Course is ${course.status}. Only ACTIVE courses can be used.`
-                });
-            }
+        const db = req.app.locals.db;
+        const [result] = await db.execute(
+            `INSERT INTO screening_questions (question, guidance, severity, sort_order, active)
+             VALUES (?, ?, ?, ?, ?)`,
+            [
+                req.body.question, req.body.guidance || null, req.body.severity,
+                req.body.sort_order || 0, req.body.active === false ? 0 : 1
+            ]
+        );
 
-            // Validate remaining sessions
-            if (course.remaining_sessions <= 0) {
-                return res.status(400).json({
-                    error: 'Course has no remaining sessions. Please purchase a new course.',
-                    course_code: course.course_code,
-                    remaining_sessions: course.remaining_sessions
-                });
-            }
+        await auditLog(db, req.user.id, 'CREATE', 'screening_question', result.insertId, null, req.body, req);
 
-            // Validate expiry date
-            if (course.expiry_date && new Date(course.expiry_date) < new Date()) {
-                return res.status(400).json({
-                    error: 'Course has expired',
-                    expiry_date: course.expiry_date
-                });
-            }
+        res.status(201).json({ success: true, id: result.insertId });
+    } catch (error) {
+        console.error('Create screening question error:', error);
+        res.status(500).json({ error: 'Failed to create screening question' });
+    }
+});
 
-            // Course validation passed
-            validatedCourseId = course_id;
+// Screenings already taken keep their own copy of the question text
+app.put('/api/admin/screening-questions/:id', authenticateToken, authorize('ADMIN'), screeningQuestionValidators, async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
         }
 
-        let pnCaseId = pn_case_id || null;  // Use provided pn_case_id if exists
-        let autoCreatedPN = false;
+        const db = req.app.locals.db;
+        const [existing] = await db.execute('SELECT * FROM screening_questions WHERE id = ?', [req.params.id]);
+        if (existing.length === 0) {
+            return res.status(404).json({ error: 'Screening question not found' });
+        }
 
-        // Auto-create PN case for OLD_PATIENT bookings if requested (and no pn_case_id provided)
-        if (validBookingType === 'OLD_PATIENT' && auto_create_pn && patient_id && !pnCaseId) {
-            try {
-                // Get patient details
-                const [patients] = await db.execute(
-                    'SELECT clinic_id, first_name, last_name, diagnosis FROM patients WHERE id = ?',
-                    [patient_id]
-                );
+        const active = req.body.active === undefined ? existing[0].active : (req.body.active ? 1 : 0);
+        const sortOrder = req.body.sort_order === undefined || req.body.sort_order === null
+            ? existing[0].sort_order : req.body.sort_order;
 
-                if (patients.length > 0) {
-                    const patient = patients[0];
-                    const pnCode = generatePNCode();
+        await db.execute(
+            `UPDATE screening_questions
+             SET question = ?, guidance = ?, severity = ?, sort_order = ?, active = ?
+             WHERE id = ?`,
+            [req.body.question, req.body.guidance || null, req.body.severity, sortOrder, active, req.params.id]
+        );
 
-                    // Create PN case with PENDING status
-                    const [pnResult] = await db.execute(
-                        `INSERT INTO pn_cases (
-                            pn_code, patient_id, diagnosis, purpose, status,
-                            source_clinic_id, target_clinic_id, notes, created_by
-                        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
-                        [
-                            pnCode,
-                            patient_id,
-                            patient.diagnosis || 'Appointment for physiotherapy treatment',
-                            'Physiotherapy treatment from appointment booking',
-                            'PENDING',
-                            patient.clinic_id,
-                            clinic_id,
-                            `Auto-created from appointment on ${appointment_date}`,
-                            req.user.id
-                        ]
-                    );
+        await auditLog(db, req.user.id, 'UPDATE', 'screening_question', req.params.id, existing[0], req.body, req);
 
-                    pnCaseId = pnResult.insertId;
-                    autoCreatedPN = true;
+        res.json({ success: true });
+    } catch (error) {
+        console.error('Update screening question error:', error);
+        res.status(500).json({ error: 'Failed to update screening question' });
+    }
+});
 
-                    console.log(`Auto-created PN case ${pnCode} (ID: ${pnCaseId}) for appointment`);
-                }
-            } catch (pnError) {
-                console.error('Failed to auto-create PN case:', pnError);
-                // Continue with appointment creation even if PN creation fails
-            }
+app.delete('/api/admin/screening-questions/:id', authenticateToken, authorize('ADMIN'), async (req, res) => {
+    try {
+        const db = req.app.locals.db;
+        const [existing] = await db.execute('SELECT * FROM screening_questions WHERE id = ?', [req.params.id]);
+        if (existing.length === 0) {
+            return res.status(404).json({ error: 'Screening question not found' });
         }
 
-        console.log('=== CREATING APPOINTMENT ===');
-        console.log('PN Case ID:', pnCaseId);
-        console.log('Patient ID:', patient_id);
-        console.log('Clinic ID:', clinic_id);
-        console.log('Auto Created PN:', autoCreatedPN);
-
-        // Create appointment with new fields including course_id
-        const [result] = await db.execute(
-            `INSERT INTO appointments
-             (patient_id, pt_id, clinic_id, appointment_date, start_time, end_time,
-              appointment_type, booking_type, walk_in_name, walk_in_phone,
-              pn_case_id, auto_created_pn, course_id, reason, notes, created_by)
-             VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
-            [
-                validBookingType === 'OLD_PATIENT' ? patient_id : null,
-                pt_id,
-                clinic_id,
-                appointment_date,
-                start_time,
-                end_time,
-                appointment_type,
-                validBookingType,
-                validBookingType === 'WALK_IN' ? sanitizedWalkInName : null,
-                validBookingType === 'WALK_IN' ? (sanitizedWalkInPhone || null) : null,
-                pnCaseId,
-                autoCreatedPN ? 1 : 0,
-                validatedCourseId,
-                reason,
-                notes,
-                req.user.id
-            ]
-        );
-
-        // NOTE: Course session is NOT deducted here
-        // Session will be deducted when appointment status changes to COMPLETED
+        await db.execute('DELETE FROM screening_questions WHERE id = ?', [req.params.id]);
+        await auditLog(db, req.user.id, 'DELETE', 'screening_question', req.params.id, existing[0], null, req);
 
-        // Get created appointment details
-        const [appointments] = await db.execute(
-            `${appointmentSelectClause} WHERE a.id = ?`,
-            [result.insertId]
-        );
+        res.json({ success: true });
+    } catch (error) {
+        console.error('Delete screening question error:', error);
+        res.status(500).json({ error: 'Failed to delete screening question' });
+    }
+});
 
-        const response = appointments[0];
-        if (pnCaseId) {
-            response.pn_case_id = pnCaseId;
-            response.auto_created_pn = true;
+// Screenings of a case, newest first
+app.get('/api/pn/:id/screening', authenticateToken, async (req, res) => {
+    try {
+        const db = req.app.locals.db;
+        const access = await getAccessiblePNCase(db, req.user, req.params.id);
+        if (access.error) {
+            return res.status(access.status).json({ error: access.error });
         }
 
-        // Send LINE notification for new appointment
-        try {
-            const appointmentData = appointments[0];
-            const patientName = validBookingType === 'WALK_IN'
-                ? sanitizedWalkInName
-                : `${appointmentData.patient_first_name || ''} ${appointmentData.patient_last_name || ''}`.trim();
-            const ptName = `${appointmentData.pt_first_name || ''} ${appointmentData.pt_last_name || ''}`.trim();
-            const clinicName = appointmentData.clinic_name || 'N/A';
+        res.json(await getScreenings(db, access.pnCase.id));
+    } catch (error) {
+        console.error('Get screenings error:', error);
+        res.status(500).json({ error: 'Failed to retrieve screenings' });
+    }
+});
 
-            const notificationMessage = `🏥 New Appointment Created
+// Record a screening ahead of acceptance, or re-screen an accepted case
+app.post('/api/pn/:id/screening', authenticateToken, authorize('ADMIN', 'PT'), async (req, res) => {
+    try {
+        const db = req.app.locals.db;
+        const access = await getAccessiblePNCase(db, req.user, req.params.id);
+        if (access.error) {
+            return res.status(access.status).json({ error: access.error });
+        }
 
-📋 Appointment ID: ${result.insertId}
-👤 Patient: ${patientName || 'N/A'}
-${validBookingType === 'WALK_IN' ? '🚶 Walk-in Patient' : ''}
-👨‍⚕️ Physiotherapist: ${ptName}
-🏢 Clinic: ${clinicName}
-📅 Date: ${moment(appointment_date).format('DD/MM/YYYY')}
-🕒 Time: ${start_time} - ${end_time}
-📝 Type: ${appointment_type || 'N/A'}
-${reason ? `💬 Reason: ${reason}` : ''}
+        const parsed = await parseScreening(db, req.body);
+        if (parsed.error) {
+            return res.status(400).json({ error: parsed.error });
+        }
 
-${pnCaseId ? `✅ PN Case Created (ID: ${pnCaseId})` : ''}`;
+        const screeningId = await saveScreening(db, access.pnCase.id, parsed.screening, req.user.id);
+        await auditLog(db, req.user.id, 'SCREEN', 'pn_case', access.pnCase.id, null, { screening_id: screeningId }, req);
+        await notifyScreeningPositives(db, access.pnCase.id, parsed.screening, req.user);
 
-            await sendLINENotification(db, 'newAppointment', notificationMessage);
-        } catch (notifError) {
-            console.error('Failed to send LINE notification:', notifError);
-            // Don't fail the request if notification fails
-        }
+        const positives = screeningPositives(parsed.screening);
+        res.status(201).json({
+            success: true,
+            id: screeningId,
+            positive_count: positives.length,
+            positive_answers: positives,
+            requires_acknowledgement: positives.length > 0 && !parsed.screening.acknowledged
+        });
+    } catch (error) {
+        console.error('Save screening error:', error);
+        res.status(500).json({ error: 'Failed to save screening' });
+    }
+});
 
-        // Create Google Calendar event
-        try {
-            const appointmentData = appointments[0];
+// ========================================
+// BODY CHART (SOAP NOTE PAIN LOCATIONS)
+// ========================================
 
-            // Prepare data for calendar
-            const calendarData = {
-                appointment_date: appointment_date,
-                start_time: start_time,
-                end_time: end_time,
-                patient_name: validBookingType === 'WALK_IN'
-                    ? sanitizedWalkInName
-                    : `${appointmentData.patient_first_name || ''} ${appointmentData.patient_last_name || ''}`.trim(),
-                walk_in_name: validBookingType === 'WALK_IN' ? sanitizedWalkInName : null,
-                pt_name: `${appointmentData.pt_first_name || ''} ${appointmentData.pt_last_name || ''}`.trim(),
-                clinic_name: appointmentData.clinic_name || '',
-                reason: reason,
-                patient_email: appointmentData.patient_email || null
-            };
+// Figure outline on a 100 x 220 grid: [x, y, width, height]. Paired parts are given for the
+// figure's right side; on the FRONT view that is the viewer's left, on the BACK view the viewer's right.
+const BODY_CHART_WIDTH = 100;
+const BODY_CHART_HEIGHT = 220;
+
+const BODY_CHART_CENTRAL_PARTS = [
+    { shape: [40, 2, 20, 24], front: ['head', 'Head / face'], back: ['head', 'Head (back)'] },
+    { shape: [45, 26, 10, 8], front: ['neck', 'Neck (front)'], back: ['neck', 'Cervical spine'] },
+    { shape: [36, 34, 28, 26], front: ['chest', 'Chest'], back: ['upper_back', 'Thoracic spine / upper back'] },
+    { shape: [36, 60, 28, 22], front: ['abdomen', 'Abdomen'], back: ['lower_back', 'Lumbar spine / lower back'] },
+    { shape: [36, 82, 28, 16], front: ['pelvis', 'Pelvis / groin'], back: ['sacrum', 'Sacrum / buttocks'] }
+];
+
+const BODY_CHART_PAIRED_PARTS = [
+    { shape: [22, 34, 14, 10], front: ['shoulder', 'shoulder'], back: ['shoulder', 'shoulder (back)'] },
+    { shape: [22, 44, 12, 30], front: ['upper_arm', 'upper arm'], back: ['upper_arm', 'upper arm (back)'] },
+    { shape: [18, 74, 12, 28], front: ['forearm', 'forearm / elbow'], back: ['forearm', 'forearm / elbow (back)'] },
+    { shape: [15, 102, 12, 14], front: ['hand', 'hand / wrist'], back: ['hand', 'hand / wrist (back)'] },
+    { shape: [37, 98, 12, 40], front: ['thigh', 'thigh'], back: ['thigh', 'hamstring'] },
+    { shape: [37, 138, 12, 12], front: ['knee', 'knee'], back: ['knee', 'back of knee'] },
+    { shape: [37, 150, 12, 44], front: ['lower_leg', 'shin'], back: ['lower_leg', 'calf'] },
+    { shape: [35, 194, 14, 12], front: ['foot', 'foot / ankle'], back: ['foot', 'heel / sole'] }
+];
+
+const mirrorBodyChartShape = ([x, y, w, h]) => [BODY_CHART_WIDTH - x - w, y, w, h];
+
+// Flat region list: { view, code, label, side, shape }
+const BODY_CHART_REGIONS = ['FRONT', 'BACK'].flatMap(view => {
+    const key = view === 'FRONT' ? 'front' : 'back';
+    const central = BODY_CHART_CENTRAL_PARTS.map(part => ({
+        view, code: part[key][0], label: part[key][1], side: null, shape: part.shape
+    }));
+    const paired = BODY_CHART_PAIRED_PARTS.flatMap(part => {
+        const rightShape = view === 'FRONT' ? part.shape : mirrorBodyChartShape(part.shape);
+        const leftShape = view === 'FRONT' ? mirrorBodyChartShape(part.shape) : part.shape;
+        return [
+            { view, code: `${part[key][0]}_r`, label: `Right ${part[key][1]}`, side: 'R', shape: rightShape },
+            { view, code: `${part[key][0]}_l`, label: `Left ${part[key][1]}`, side: 'L', shape: leftShape }
+        ];
+    });
+    return [...central, ...paired];
+});
 
-            const calendarEventId = await createGoogleCalendarEvent(db, calendarData);
+const BODY_CHART_SYMPTOMS = {
+    PAIN: { label: 'Pain', color: '#dc3545' },
+    ACHE: { label: 'Ache', color: '#fd7e14' },
+    STIFFNESS: { label: 'Stiffness', color: '#6f42c1' },
+    NUMBNESS: { label: 'Numbness', color: '#0d6efd' },
+    TINGLING: { label: 'Pins & needles', color: '#20c997' },
+    BURNING: { label: 'Burning', color: '#ffc107' },
+    WEAKNESS: { label: 'Weakness', color: '#6c757d' },
+    SWELLING: { label: 'Swelling', color: '#198754' }
+};
 
-            if (calendarEventId) {
-                // Store calendar event ID in database
-                await db.execute(
-                    'UPDATE appointments SET calendar_event_id = ? WHERE id = ?',
-                    [calendarEventId, result.insertId]
-                );
-                response.calendar_event_id = calendarEventId;
-            }
-        } catch (calendarError) {
-            console.error('Failed to create Google Calendar event:', calendarError);
-            // Don't fail the request if calendar creation fails
-        }
+const findBodyChartRegion = (view, code) => {
+    return BODY_CHART_REGIONS.find(region => region.view === view && region.code === code);
+};
 
-        // Send confirmation email to patient (only for OLD_PATIENT with email)
-        try {
-            if (validBookingType === 'OLD_PATIENT' && patient_id) {
-                const appointmentData = appointments[0];
-                const patientEmail = appointmentData.patient_email;
+/**
+ * Validate body chart marks from a SOAP note form.
+ * Coordinates are fractions (0-1) of the figure; when missing the centre of the region is used.
+ * @param {Array} marks - [{ view, region, symptom, x, y, intensity, note }]
+ * @returns {Object} - { marks } normalized, or { error }
+ */
+const validateBodyChartMarks = (marks) => {
+    if (marks === undefined || marks === null) {
+        return { marks: [] };
+    }
+    if (!Array.isArray(marks)) {
+        return { error: 'body_chart must be an array of marks' };
+    }
 
-                if (patientEmail && patientEmail.includes('@')) {
-                    console.log('Sending confirmation email to patient:', patientEmail);
-                    const emailSent = await sendAppointmentConfirmationEmail(
-                        db,
-                        result.insertId,
-                        patientEmail
-                    );
+    const normalized = [];
+    for (const mark of marks) {
+        const view = String((mark && mark.view) || '').toUpperCase();
+        const region = findBodyChartRegion(view, mark && mark.region);
+        if (!region) {
+            return { error: `Unknown body chart region: ${mark && mark.view}/${mark && mark.region}` };
+        }
+        const symptom = String(mark.symptom || 'PAIN').toUpperCase();
+        if (!BODY_CHART_SYMPTOMS[symptom]) {
+            return { error: `Unknown body chart symptom: ${mark.symptom}` };
+        }
 
-                    if (emailSent) {
-                        console.log('✅ Confirmation email sent to:', patientEmail);
-                        response.email_sent = true;
-                    } else {
-                        console.log('⚠️ Email not sent (SMTP disabled or error)');
-                        response.email_sent = false;
-                    }
-                } else {
-                    console.log('⚠️ No patient email available');
-                    response.email_sent = false;
-                }
-            } else {
-                console.log('⚠️ Walk-in booking - no email sent');
-                response.email_sent = false;
+        const [rx, ry, rw, rh] = region.shape;
+        const x = mark.x !== undefined && mark.x !== null ? Number(mark.x) : (rx + rw / 2) / BODY_CHART_WIDTH;
+        const y = mark.y !== undefined && mark.y !== null ? Number(mark.y) : (ry + rh / 2) / BODY_CHART_HEIGHT;
+        if (!(x >= 0 && x <= 1 && y >= 0 && y <= 1)) {
+            return { error: 'Body chart coordinates must be between 0 and 1' };
+        }
+
+        let intensity = null;
+        if (mark.intensity !== undefined && mark.intensity !== null && mark.intensity !== '') {
+            intensity = Number(mark.intensity);
+            if (!Number.isInteger(intensity) || intensity < 0 || intensity > 10) {
+                return { error: 'Body chart intensity must be a whole number from 0 to 10' };
             }
-        } catch (emailError) {
-            console.error('❌ Failed to send confirmation email:', emailError);
-            response.email_sent = false;
-            // Don't fail the request if email sending fails
         }
 
-        res.status(201).json(response);
-    } catch (error) {
-        console.error('Create appointment error:', error);
-        res.status(500).json({ error: 'Failed to create appointment' });
+        normalized.push({
+            view,
+            region: region.code,
+            symptom,
+            intensity,
+            x: Math.round(x * 10000) / 10000,
+            y: Math.round(y * 10000) / 10000,
+            note: mark.note ? String(mark.note).substring(0, 255) : null
+        });
+    }
+
+    return { marks: normalized };
+};
+
+// Save validated marks for a SOAP note
+const saveBodyChartMarks = async (db, soapNoteId, pnId, marks) => {
+    for (const mark of marks) {
+        await db.execute(
+            `INSERT INTO pn_soap_body_marks (soap_note_id, pn_id, view, region, symptom, intensity, x, y, note)
+             VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+            [soapNoteId, pnId, mark.view, mark.region, mark.symptom, mark.intensity, mark.x, mark.y, mark.note]
+        );
+    }
+};
+
+// Load marks for a set of SOAP notes, grouped by soap_note_id
+const getBodyChartMarksByNote = async (db, soapNoteIds) => {
+    const grouped = {};
+    if (soapNoteIds.length === 0) {
+        return grouped;
     }
+    try {
+        const [marks] = await db.execute(
+            `SELECT * FROM pn_soap_body_marks
+             WHERE soap_note_id IN (${soapNoteIds.map(() => '?').join(',')})
+             ORDER BY id`,
+            soapNoteIds
+        );
+        marks.forEach(mark => {
+            const region = findBodyChartRegion(mark.view, mark.region);
+            (grouped[mark.soap_note_id] = grouped[mark.soap_note_id] || []).push({
+                ...mark,
+                x: Number(mark.x),
+                y: Number(mark.y),
+                region_label: region ? region.label : mark.region
+            });
+        });
+    } catch (err) {
+        console.warn('Failed to load body chart marks (table may not exist):', err.message);
+    }
+    return grouped;
+};
+
+/**
+ * Render front and back body chart views with marks as an SVG string (for printed documents)
+ * @param {Object[]} marks - Saved marks
+ * @param {number} height - Rendered height in px
+ * @returns {string}
+ */
+const buildBodyChartSVG = (marks, height = 220) => {
+    const gap = 30;
+    const totalWidth = BODY_CHART_WIDTH * 2 + gap;
+    const marked = new Set(marks.map(mark => `${mark.view}:${mark.region}`));
+
+    const views = ['FRONT', 'BACK'].map((view, index) => {
+        const offset = index * (BODY_CHART_WIDTH + gap);
+        const shapes = BODY_CHART_REGIONS.filter(region => region.view === view).map(region => {
+            const [x, y, w, h] = region.shape;
+            const fill = marked.has(`${view}:${region.code}`) ? '#f8d7da' : '#f1f3f5';
+            return `<rect x="${offset + x}" y="${y}" width="${w}" height="${h}" rx="${Math.min(w, h) / 2}" fill="${fill}" stroke="#adb5bd" stroke-width="0.6"/>`;
+        }).join('');
+        const dots = marks.filter(mark => mark.view === view).map(mark => {
+            const symptom = BODY_CHART_SYMPTOMS[mark.symptom] || BODY_CHART_SYMPTOMS.PAIN;
+            return `<circle cx="${offset + mark.x * BODY_CHART_WIDTH}" cy="${mark.y * BODY_CHART_HEIGHT}" r="3" fill="${symptom.color}" stroke="#fff" stroke-width="0.6"/>`;
+        }).join('');
+        const label = `<text x="${offset + BODY_CHART_WIDTH / 2}" y="${BODY_CHART_HEIGHT + 10}" font-size="8" text-anchor="middle" fill="#495057">${view === 'FRONT' ? 'Front' : 'Back'}</text>`;
+        return shapes + dots + label;
+    }).join('');
+
+    const width = Math.round(height * totalWidth / (BODY_CHART_HEIGHT + 12));
+    return `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${totalWidth} ${BODY_CHART_HEIGHT + 12}" width="${width}" height="${height}">${views}</svg>`;
+};
+
+/**
+ * Draw front and back body chart views with marks into a PDFKit document at the current position
+ * @param {Object} doc - PDFKit document
+ * @param {Object[]} marks - Saved marks
+ */
+const drawPDFBodyChart = (doc, marks) => {
+    const gap = 40;
+    const height = BODY_CHART_HEIGHT;
+
+    if (doc.y + height + 60 > doc.page.height - doc.page.margins.bottom) {
+        doc.addPage();
+    }
+
+    const top = doc.y;
+    const left = doc.page.margins.left;
+    const marked = new Set(marks.map(mark => `${mark.view}:${mark.region}`));
+
+    ['FRONT', 'BACK'].forEach((view, index) => {
+        const offset = left + index * (BODY_CHART_WIDTH + gap);
+        BODY_CHART_REGIONS.filter(region => region.view === view).forEach(region => {
+            const [x, y, w, h] = region.shape;
+            doc.roundedRect(offset + x, top + y, w, h, Math.min(w, h) / 2)
+                .lineWidth(0.6)
+                .fillAndStroke(marked.has(`${view}:${region.code}`) ? '#f8d7da' : '#f1f3f5', '#adb5bd');
+        });
+        marks.filter(mark => mark.view === view).forEach(mark => {
+            const symptom = BODY_CHART_SYMPTOMS[mark.symptom] || BODY_CHART_SYMPTOMS.PAIN;
+            doc.circle(offset + mark.x * BODY_CHART_WIDTH, top + mark.y * height, 3).fill(symptom.color);
+        });
+        doc.fillColor('#495057').fontSize(8)
+            .text(view === 'FRONT' ? 'Front' : 'Back', offset, top + height + 4, { width: BODY_CHART_WIDTH, align: 'center' });
+    });
+
+    // Legend of marked regions beside the figures
+    const legendLeft = left + 2 * BODY_CHART_WIDTH + gap + 30;
+    doc.fontSize(9).fillColor('black');
+    let legendY = top;
+    marks.forEach(mark => {
+        const region = findBodyChartRegion(mark.view, mark.region);
+        const symptom = BODY_CHART_SYMPTOMS[mark.symptom] || BODY_CHART_SYMPTOMS.PAIN;
+        doc.circle(legendLeft, legendY + 4, 3).fill(symptom.color);
+        doc.fillColor('black').text(
+            `${region ? region.label : mark.region}: ${symptom.label}${mark.intensity !== null && mark.intensity !== undefined ? ` ${mark.intensity}/10` : ''}${mark.note ? ` - ${mark.note}` : ''}`,
+            legendLeft + 8, legendY, { width: doc.page.width - doc.page.margins.right - legendLeft - 8 }
+        );
+        legendY = doc.y + 2;
+    });
+
+    doc.fillColor('black').strokeColor('black').lineWidth(1);
+    doc.x = left;
+    doc.y = Math.max(top + height + 20, legendY + 5);
+};
+
+// Region and symptom catalogue for the body chart editor
+app.get('/api/body-chart/regions', authenticateToken, (req, res) => {
+    res.json({
+        width: BODY_CHART_WIDTH,
+        height: BODY_CHART_HEIGHT,
+        regions: BODY_CHART_REGIONS,
+        symptoms: Object.entries(BODY_CHART_SYMPTOMS).map(([code, symptom]) => ({ code, ...symptom }))
+    });
 });
-// Cancel appointment
-// Cancel appointment (with PN case sync)
-app.delete('/api/appointments/:id', authenticateToken, async (req, res) => {
+
+// All body chart marks for a PN case, oldest note first
+app.get('/api/pn/:id/body-chart', authenticateToken, async (req, res) => {
     try {
         const db = req.app.locals.db;
-        const { id } = req.params;
-        const { cancellation_reason } = req.body;
-
-        // Check access
-        if (req.user.role !== 'ADMIN' && req.user.role !== 'PT') {
-            return res.status(403).json({ error: 'Only ADMIN or PT can cancel appointments' });
+        const access = await getAccessiblePNCase(db, req.user, req.params.id);
+        if (access.error) {
+            return res.status(access.status).json({ error: access.error });
         }
 
-        // Get appointment with full details for notification
-        const [appointments] = await db.execute(
-            `SELECT a.*,
-                    COALESCE(a.course_id, pn.course_id) as course_id,
-                    pn.status as pn_status,
-                    p.first_name as patient_first_name,
-                    p.last_name as patient_last_name,
-                    pt.first_name as pt_first_name,
-                    pt.last_name as pt_last_name,
-                    c.name as clinic_name
-             FROM appointments a
-             LEFT JOIN pn_cases pn ON a.pn_case_id = pn.id
-             LEFT JOIN patients p ON a.patient_id = p.id
-             LEFT JOIN users pt ON a.pt_id = pt.id
-             LEFT JOIN clinics c ON a.clinic_id = c.id
-             WHERE a.id = ?`,
-            [id]
-        );
+        let query = `
+            SELECT m.*, s.timestamp as note_timestamp
+            FROM pn_soap_body_marks m
+            JOIN pn_soap_notes s ON m.soap_note_id = s.id
+            WHERE m.pn_id = ?
+        `;
+        const params = [req.params.id];
 
-        if (appointments.length === 0) {
-            return res.status(404).json({ error: 'Appointment not found' });
+        if (req.query.region) {
+            query += ' AND m.region = ?';
+            params.push(req.query.region);
+        }
+        if (req.query.symptom) {
+            query += ' AND m.symptom = ?';
+            params.push(String(req.query.symptom).toUpperCase());
         }
 
-        const appointment = appointments[0];
+        query += ' ORDER BY s.timestamp, m.id';
 
-        console.log('=== APPOINTMENT CANCELLATION ===');
-        console.log('Appointment ID:', id);
-        console.log('PN Case ID:', appointment.pn_case_id);
-        console.log('PN Status:', appointment.pn_status);
-        console.log('Course ID:', appointment.course_id);
+        const [marks] = await db.execute(query, params);
 
-        // Cancel appointment
-        await db.execute(
-            `UPDATE appointments
-             SET status = 'CANCELLED',
-                 cancellation_reason = ?,
-                 cancelled_at = NOW(),
-                 cancelled_by = ?,
-                 updated_at = NOW()
-             WHERE id = ?`,
-            [cancellation_reason || '', req.user.id, id]
-        );
+        res.json(marks.map(mark => {
+            const region = findBodyChartRegion(mark.view, mark.region);
+            return { ...mark, x: Number(mark.x), y: Number(mark.y), region_label: region ? region.label : mark.region };
+        }));
+    } catch (error) {
+        console.error('Get body chart error:', error);
+        res.status(500).json({ error: 'Failed to retrieve body chart' });
+    }
+});
 
-        // Sync with PN case if linked
-        if (appointment.pn_case_id) {
-            // Return course session if PN was ACCEPTED (session was already deducted)
-            if (appointment.pn_status === 'ACCEPTED' && appointment.course_id) {
-                console.log('🔄 APPOINTMENT DELETION: Returning course session');
-                console.log('   Appointment ID:', id);
-                console.log('   PN Case ID:', appointment.pn_case_id);
-                console.log('   PN Status:', appointment.pn_status);
-                console.log('   Course ID:', appointment.course_id);
+// ========================================
+// SOAP TEMPLATES
+// ========================================
 
-                await db.execute(
-                    `UPDATE courses
-                     SET used_sessions = used_sessions - 1,
-                         remaining_sessions = remaining_sessions + 1,
-                         status = CASE
-                             WHEN status = 'COMPLETED' AND remaining_sessions + 1 > 0 THEN 'ACTIVE'
-                             ELSE status
-                         END,
-                         updated_at = NOW()
-                     WHERE id = ?`,
-                    [appointment.course_id]
-                );
+const SOAP_TEMPLATE_FIELDS = ['subjective', 'objective', 'assessment', 'plan', 'notes'];
+
+// Placeholders a template may use; anything else is left as typed so the therapist notices it
+const SOAP_TEMPLATE_PLACEHOLDERS = [
+    'patient_name', 'first_name', 'age', 'gender', 'diagnosis', 'pt_diagnosis',
+    'chief_complaint', 'pain_score', 'visit_no', 'date', 'therapist_name'
+];
+
+/**
+ * Replace {{placeholder}} tokens in a template text.
+ * Known placeholders without a value become empty; unknown ones are kept.
+ * @param {string} text - Template text
+ * @param {Object} context - Values keyed by placeholder name
+ * @returns {string|null}
+ */
+const fillSOAPTemplateText = (text, context) => {
+    if (text === null || text === undefined) {
+        return null;
+    }
+    return String(text).replace(/\{\{\s*([a-z_]+)\s*\}\}/g, (match, key) => {
+        if (!SOAP_TEMPLATE_PLACEHOLDERS.includes(key)) {
+            return match;
+        }
+        const value = context[key];
+        return value === null || value === undefined ? '' : String(value);
+    });
+};
 
-                // Log course return
-                await db.execute(
-                    `INSERT INTO course_usage_history
-                     (course_id, bill_id, pn_id, sessions_used, usage_date, action_type, notes, created_by)
-                     VALUES (?, NULL, ?, 1, CURDATE(), 'RETURN', 'Appointment cancelled - session returned', ?)`,
-                    [appointment.course_id, appointment.pn_case_id, req.user.id]
-                ).catch(err => console.warn('Failed to log course return:', err.message));
+const renderSOAPTemplate = (template, context) => {
+    const rendered = {};
+    SOAP_TEMPLATE_FIELDS.forEach(field => {
+        rendered[field] = fillSOAPTemplateText(template[field], context);
+    });
+    return rendered;
+};
 
-                console.log('✅ Course session returned successfully');
-            } else {
-                console.log('ℹ️  No course session to return (PN status:', appointment.pn_status, ', course_id:', appointment.course_id, ')');
-            }
+/**
+ * Collect placeholder values for a PN case.
+ * @param {Object} db - Database pool
+ * @param {number} pnId - PN case id
+ * @param {Object} user - Logged-in user (therapist name)
+ * @param {Object} overrides - e.g. { visit_no, date } when they are already known
+ * @returns {Object} - Placeholder context
+ */
+const buildSOAPTemplateContext = async (db, pnId, user, overrides = {}) => {
+    const [cases] = await db.execute(
+        `SELECT pn.diagnosis, pn.pt_diagnosis, pn.physio_diagnosis, pn.pt_chief_complaint, pn.chief_complaint,
+                pn.pt_pain_score, pn.pain_scale, p.title, p.first_name, p.last_name, p.dob, p.gender
+         FROM pn_cases pn
+         JOIN patients p ON pn.patient_id = p.id
+         WHERE pn.id = ?`,
+        [pnId]
+    );
+    const pnCase = cases[0] || {};
+
+    // Latest NPRS wins over the intake pain score
+    const [nprs] = await db.execute(
+        `SELECT score FROM pn_outcome_measures
+         WHERE pn_id = ? AND measure_code = 'NPRS' AND score IS NOT NULL
+         ORDER BY measured_at DESC LIMIT 1`,
+        [pnId]
+    );
+    let painScore = nprs.length > 0 ? Number(nprs[0].score) : null;
+    if (painScore === null) {
+        painScore = pnCase.pt_pain_score !== null && pnCase.pt_pain_score !== undefined ? pnCase.pt_pain_score : pnCase.pain_scale;
+    }
 
-            // Update PN case to CANCELLED
-            await db.execute(
-                `UPDATE pn_cases
-                 SET status = 'CANCELLED',
-                     cancelled_at = NOW(),
-                     cancellation_reason = ?,
-                     updated_at = NOW()
-                 WHERE id = ?`,
-                [cancellation_reason || 'Cancelled from appointment', appointment.pn_case_id]
-            );
+    let visitNo = overrides.visit_no;
+    if (visitNo === undefined) {
+        const [maxVisit] = await db.execute('SELECT MAX(visit_no) as max_no FROM pn_visits WHERE pn_id = ?', [pnId]);
+        visitNo = (maxVisit[0].max_no || 0) + 1;
+    }
 
-            // Log status change
-            await db.execute(
-                `INSERT INTO pn_status_history (pn_id, old_status, new_status, changed_by, change_reason, is_reversal)
-                 VALUES (?, ?, 'CANCELLED', ?, ?, FALSE)`,
-                [appointment.pn_case_id, appointment.pn_status, req.user.id, cancellation_reason || 'Cancelled from appointment']
-            ).catch(err => console.warn('Failed to log status history:', err.message));
+    const [therapists] = await db.execute('SELECT first_name, last_name FROM users WHERE id = ?', [user.id]);
+    const genderLabels = { M: 'male', F: 'female', O: 'other' };
 
-            console.log('✅ Synced: Appointment CANCELLED → PN case CANCELLED');
-        }
+    return {
+        patient_name: [pnCase.title, pnCase.first_name, pnCase.last_name].filter(Boolean).join(' '),
+        first_name: pnCase.first_name || null,
+        age: pnCase.dob ? moment().diff(moment(pnCase.dob), 'years') : null,
+        gender: genderLabels[pnCase.gender] || null,
+        diagnosis: pnCase.diagnosis || null,
+        pt_diagnosis: pnCase.pt_diagnosis || pnCase.physio_diagnosis || null,
+        chief_complaint: pnCase.pt_chief_complaint || pnCase.chief_complaint || null,
+        pain_score: painScore === null || painScore === undefined ? null : painScore,
+        visit_no: visitNo,
+        date: overrides.date || moment().format('DD/MM/YYYY'),
+        therapist_name: therapists.length > 0 ? `${therapists[0].first_name} ${therapists[0].last_name}` : null
+    };
+};
 
-        // Send LINE notification for cancelled appointment
-        try {
-            const patientName = appointment.booking_type === 'WALK_IN'
-                ? appointment.walk_in_name
-                : `${appointment.patient_first_name || ''} ${appointment.patient_last_name || ''}`.trim();
-            const ptName = `${appointment.pt_first_name || ''} ${appointment.pt_last_name || ''}`.trim();
-            const clinicName = appointment.clinic_name || 'N/A';
+// True when one of the template's keywords appears in the case diagnosis
+const soapTemplateMatchesDiagnosis = (template, diagnosisText) => {
+    if (!template.diagnosis_keywords || !diagnosisText) {
+        return false;
+    }
+    const haystack = diagnosisText.toLowerCase();
+    return template.diagnosis_keywords.split(',')
+        .map(keyword => keyword.trim().toLowerCase())
+        .some(keyword => keyword && haystack.includes(keyword));
+};
 
-            const notificationMessage = `❌ Appointment Cancelled
+const soapTemplateValidators = [
+    body('name').trim().notEmpty().isLength({ max: 150 }),
+    body('category').optional({ nullable: true }).isLength({ max: 50 }),
+    body('diagnosis_keywords').optional({ nullable: true }).isLength({ max: 255 }),
+    body('active').optional().isBoolean().toBoolean()
+];
 
-📋 Appointment ID: ${id}
-👤 Patient: ${patientName || 'N/A'}
-👨‍⚕️ Physiotherapist: ${ptName}
-🏢 Clinic: ${clinicName}
-📅 Date: ${moment(appointment.appointment_date).format('DD/MM/YYYY')}
-🕒 Time: ${appointment.start_time} - ${appointment.end_time}
-${cancellation_reason ? `💬 Reason: ${cancellation_reason}` : ''}
+// List active templates; with ?pn_id= the ones matching the case diagnosis come first
+app.get('/api/soap-templates', authenticateToken, authorize('ADMIN', 'PT'), async (req, res) => {
+    try {
+        const db = req.app.locals.db;
+        const [templates] = await db.execute(
+            'SELECT * FROM soap_templates WHERE active = 1 ORDER BY category, name'
+        );
 
-${appointment.pn_case_id ? `🔗 Linked PN Case also cancelled` : ''}`;
+        let diagnosisText = '';
+        if (req.query.pn_id) {
+            const [cases] = await db.execute(
+                'SELECT diagnosis, pt_diagnosis, physio_diagnosis FROM pn_cases WHERE id = ?',
+                [req.query.pn_id]
+            );
+            if (cases.length > 0) {
+                diagnosisText = [cases[0].diagnosis, cases[0].pt_diagnosis, cases[0].physio_diagnosis].filter(Boolean).join(' ');
+            }
+        }
 
-            await sendLINENotification(db, 'appointmentCancelled', notificationMessage);
-        } catch (notifError) {
-            console.error('Failed to send LINE notification:', notifError);
-            // Don't fail the request if notification fails
+        const result = templates.map(template => ({
+            ...template,
+            suggested: soapTemplateMatchesDiagnosis(template, diagnosisText)
+        }));
+        result.sort((a, b) => Number(b.suggested) - Number(a.suggested));
+
+        res.json(result);
+    } catch (error) {
+        console.error('Get SOAP templates error:', error);
+        res.status(500).json({ error: 'Failed to retrieve SOAP templates' });
+    }
+});
+
+// Template text with placeholders filled in for a PN case
+app.get('/api/pn/:id/soap-templates/:templateId/render', authenticateToken, authorize('ADMIN', 'PT'), async (req, res) => {
+    try {
+        const db = req.app.locals.db;
+        const access = await getAccessiblePNCase(db, req.user, req.params.id);
+        if (access.error) {
+            return res.status(access.status).json({ error: access.error });
         }
 
-        // Delete Google Calendar event
-        try {
-            if (appointment.calendar_event_id) {
-                const deleted = await deleteGoogleCalendarEvent(db, appointment.calendar_event_id);
-                if (deleted) {
-                    // Clear calendar_event_id from database
-                    await db.execute(
-                        'UPDATE appointments SET calendar_event_id = NULL WHERE id = ?',
-                        [id]
-                    );
-                }
-            }
-        } catch (calendarError) {
-            console.error('Failed to delete Google Calendar event:', calendarError);
-            // Don't fail the request if calendar deletion fails
+        const [templates] = await db.execute(
+            'SELECT * FROM soap_templates WHERE id = ? AND active = 1',
+            [req.params.templateId]
+        );
+        if (templates.length === 0) {
+            return res.status(404).json({ error: 'SOAP template not found' });
         }
 
+        const context = await buildSOAPTemplateContext(db, req.params.id, req.user);
+
         res.json({
-            message: 'Appointment cancelled successfully',
-            pn_synced: !!appointment.pn_case_id
+            template_id: templates[0].id,
+            name: templates[0].name,
+            ...renderSOAPTemplate(templates[0], context)
         });
     } catch (error) {
-        console.error('Cancel appointment error:', error);
-        res.status(500).json({ error: 'Failed to cancel appointment' });
+        console.error('Render SOAP template error:', error);
+        res.status(500).json({ error: 'Failed to render SOAP template' });
     }
 });
 
-// ========================================
-// ATTACHMENT ROUTES (NEW)
-// ========================================
-
-// Upload attachment
-app.post('/api/pn/:id/upload', authenticateToken, upload.single('file'), async (req, res) => {
+// Admin: all templates including inactive ones
+app.get('/api/admin/soap-templates', authenticateToken, authorize('ADMIN'), async (req, res) => {
     try {
         const db = req.app.locals.db;
-        const pnId = req.params.id;
-        const file = req.file;
-        const userId = req.user.id;
+        const [templates] = await db.execute(
+            `SELECT t.*, CONCAT(u.first_name, ' ', u.last_name) as created_by_name
+             FROM soap_templates t
+             LEFT JOIN users u ON t.created_by = u.id
+             ORDER BY t.active DESC, t.category, t.name`
+        );
+        res.json({ templates, placeholders: SOAP_TEMPLATE_PLACEHOLDERS });
+    } catch (error) {
+        console.error('Get admin SOAP templates error:', error);
+        res.status(500).json({ error: 'Failed to retrieve SOAP templates' });
+    }
+});
 
-        if (!file) {
-            return res.status(400).json({ error: 'No file uploaded' });
+app.post('/api/admin/soap-templates', authenticateToken, authorize('ADMIN'), soapTemplateValidators, async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+        if (!SOAP_TEMPLATE_FIELDS.some(field => req.body[field])) {
+            return res.status(400).json({ error: 'Template needs text for at least one SOAP field' });
         }
 
-        // Save to database
+        const db = req.app.locals.db;
         const [result] = await db.execute(
-            `INSERT INTO pn_attachments (pn_id, file_name, file_path, mime_type, file_size, uploaded_by)
-             VALUES (?, ?, ?, ?, ?, ?)`,
-            [pnId, file.originalname, file.path, file.mimetype, file.size, userId]
-        );
-        
-        await auditLog(db, userId, 'UPLOAD_ATTACHMENT', 'pn_attachment', result.insertId, null, file, req);
-        
-        // Get the newly created attachment to send back
-        const [newAttachment] = await db.execute(
-            `SELECT a.*, CONCAT(u.first_name, ' ', u.last_name) as uploaded_by_name
-             FROM pn_attachments a
-             JOIN users u ON a.uploaded_by = u.id
-             WHERE a.id = ?`,
-            [result.insertId]
+            `INSERT INTO soap_templates (name, category, diagnosis_keywords, subjective, objective, assessment, plan, notes, active, created_by)
+             VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+            [
+                req.body.name, req.body.category || null, req.body.diagnosis_keywords || null,
+                req.body.subjective || null, req.body.objective || null, req.body.assessment || null,
+                req.body.plan || null, req.body.notes || null,
+                req.body.active === false ? 0 : 1,
+                req.user.id
+            ]
         );
 
-        res.status(201).json({
-            success: true,
-            message: 'File uploaded successfully',
-            attachment: newAttachment[0]
-        });
+        await auditLog(db, req.user.id, 'CREATE', 'soap_template', result.insertId, null, req.body, req);
 
+        res.status(201).json({ success: true, id: result.insertId });
     } catch (error) {
-        console.error('Upload attachment error:', error);
-        res.status(500).json({ error: 'Failed to upload file' });
+        if (error.code === 'ER_DUP_ENTRY') {
+            return res.status(409).json({ error: 'A template with this name already exists' });
+        }
+        console.error('Create SOAP template error:', error);
+        res.status(500).json({ error: 'Failed to create SOAP template' });
     }
 });
 
-// Download attachment
-app.get('/api/attachment/:id/download', authenticateToken, async (req, res) => {
+app.put('/api/admin/soap-templates/:id', authenticateToken, authorize('ADMIN'), soapTemplateValidators, async (req, res) => {
     try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
+        if (!SOAP_TEMPLATE_FIELDS.some(field => req.body[field])) {
+            return res.status(400).json({ error: 'Template needs text for at least one SOAP field' });
+        }
+
         const db = req.app.locals.db;
-        const { id } = req.params;
+        const [existing] = await db.execute('SELECT * FROM soap_templates WHERE id = ?', [req.params.id]);
+        if (existing.length === 0) {
+            return res.status(404).json({ error: 'SOAP template not found' });
+        }
 
-        // Get attachment with associated PN case and clinics
-        const [attachments] = await db.execute(
-            `SELECT pa.*, pn.source_clinic_id, pn.target_clinic_id
-             FROM pn_attachments pa
-             JOIN pn_cases pn ON pa.pn_id = pn.id
-             WHERE pa.id = ?`,
-            [id]
+        const active = req.body.active === undefined ? existing[0].active : (req.body.active ? 1 : 0);
+
+        await db.execute(
+            `UPDATE soap_templates
+             SET name = ?, category = ?, diagnosis_keywords = ?, subjective = ?, objective = ?,
+                 assessment = ?, plan = ?, notes = ?, active = ?, updated_by = ?
+             WHERE id = ?`,
+            [
+                req.body.name, req.body.category || null, req.body.diagnosis_keywords || null,
+                req.body.subjective || null, req.body.objective || null, req.body.assessment || null,
+                req.body.plan || null, req.body.notes || null, active, req.user.id, req.params.id
+            ]
         );
 
-        if (attachments.length === 0) {
-            return res.status(404).json({ error: 'Attachment not found' });
+        await auditLog(db, req.user.id, 'UPDATE', 'soap_template', req.params.id, existing[0], req.body, req);
+
+        res.json({ success: true });
+    } catch (error) {
+        if (error.code === 'ER_DUP_ENTRY') {
+            return res.status(409).json({ error: 'A template with this name already exists' });
         }
+        console.error('Update SOAP template error:', error);
+        res.status(500).json({ error: 'Failed to update SOAP template' });
+    }
+});
 
-        const attachment = attachments[0];
+app.delete('/api/admin/soap-templates/:id', authenticateToken, authorize('ADMIN'), async (req, res) => {
+    try {
+        const db = req.app.locals.db;
+        const [existing] = await db.execute('SELECT * FROM soap_templates WHERE id = ?', [req.params.id]);
+        if (existing.length === 0) {
+            return res.status(404).json({ error: 'SOAP template not found' });
+        }
 
-        // Check clinic access
-        if (req.user.role !== 'ADMIN' && req.user.role !== 'PT') {
-            // CLINIC users can only access attachments for cases involving their clinic
-            if (req.user.role === 'CLINIC') {
-                const hasAccess = (
-                    req.user.clinic_id === attachment.source_clinic_id ||
-                    req.user.clinic_id === attachment.target_clinic_id
-                );
+        await db.execute('DELETE FROM soap_templates WHERE id = ?', [req.params.id]);
+        await auditLog(db, req.user.id, 'DELETE', 'soap_template', req.params.id, existing[0], null, req);
 
-                if (!hasAccess) {
-                    return res.status(403).json({ error: 'No access to this attachment' });
-                }
-            } else {
-                return res.status(403).json({ error: 'Insufficient permissions' });
+        res.json({ success: true });
+    } catch (error) {
+        console.error('Delete SOAP template error:', error);
+        res.status(500).json({ error: 'Failed to delete SOAP template' });
+    }
+});
+
+// ========================================
+// HOME EXERCISE PROGRAM
+// ========================================
+
+const EXERCISE_BODY_REGIONS = {
+    NECK: 'Neck',
+    SHOULDER: 'Shoulder',
+    ELBOW: 'Elbow',
+    WRIST_HAND: 'Wrist / hand',
+    UPPER_BACK: 'Upper back',
+    LOWER_BACK: 'Lower back',
+    HIP: 'Hip',
+    KNEE: 'Knee',
+    ANKLE_FOOT: 'Ankle / foot',
+    CORE: 'Core',
+    GENERAL: 'General'
+};
+
+const exerciseValidators = [
+    body('name').trim().notEmpty().isLength({ max: 150 }),
+    body('body_region').isIn(Object.keys(EXERCISE_BODY_REGIONS)),
+    body('instructions').trim().notEmpty(),
+    body(['default_sets', 'default_reps', 'default_hold_seconds']).optional({ checkFalsy: true }).isInt({ min: 0, max: 1000 }),
+    body('default_frequency').optional({ nullable: true }).isLength({ max: 100 }),
+    body('active').optional().isBoolean().toBoolean()
+];
+
+// Uploaded images are served from /uploads; otherwise keep the URL that was typed in
+const getExerciseImageUrl = (req, fallback) => {
+    if (req.file) {
+        return `/uploads/${req.file.filename}`;
+    }
+    return req.body.image_url === undefined ? fallback : (req.body.image_url || null);
+};
+
+const toOptionalInt = (value) => (value === undefined || value === null || value === '' ? null : parseInt(value));
+
+const buildHEPShareUrl = (token) => `${process.env.APP_BASE_URL || ''}/hep/${token}`;
+
+/**
+ * Load one version of a case's exercise program with its exercises.
+ * @param {Object} db - Database pool
+ * @param {number} pnId - PN case id
+ * @param {number} version - Program version; latest when omitted
+ * @returns {Object|null} - { program, items } or null when the case has no program
+ */
+const loadExerciseProgram = async (db, pnId, version) => {
+    const [programs] = await db.execute(
+        `SELECT ep.*, v.visit_no, v.visit_date, CONCAT(u.first_name, ' ', u.last_name) as created_by_name
+         FROM pn_exercise_programs ep
+         LEFT JOIN pn_visits v ON ep.visit_id = v.id
+         LEFT JOIN users u ON ep.created_by = u.id
+         WHERE ep.pn_id = ? ${version ? 'AND ep.version = ?' : ''}
+         ORDER BY ep.version DESC LIMIT 1`,
+        version ? [pnId, version] : [pnId]
+    );
+    if (programs.length === 0) {
+        return null;
+    }
+
+    const [items] = await db.execute(
+        `SELECT i.*, e.name, e.body_region, e.instructions, e.image_url
+         FROM pn_exercise_program_items i
+         JOIN exercises e ON i.exercise_id = e.id
+         WHERE i.program_id = ?
+         ORDER BY i.sort_order, i.id`,
+        [programs[0].id]
+    );
+
+    return { program: programs[0], items };
+};
+
+// "3 sets x 10 reps, hold 5 s, 2 times a day"
+const formatExerciseDosage = (item) => {
+    const parts = [];
+    if (item.sets) parts.push(`${item.sets} sets`);
+    if (item.reps) parts.push(`${item.reps} reps`);
+    const dosage = [parts.join(' x ')];
+    if (item.hold_seconds) dosage.push(`hold ${item.hold_seconds} s`);
+    if (item.frequency) dosage.push(item.frequency);
+    return dosage.filter(Boolean).join(', ');
+};
+
+// Local path of an uploaded exercise image PDFKit can embed (JPEG/PNG only)
+const getExerciseImagePath = (imageUrl) => {
+    if (!imageUrl || !imageUrl.startsWith('/uploads/') || !/\.(jpe?g|png)$/i.test(imageUrl)) {
+        return null;
+    }
+    const filePath = path.join(process.env.UPLOAD_DIR || './uploads', path.basename(imageUrl));
+    return fs.existsSync(filePath) ? filePath : null;
+};
+
+/**
+ * Write the patient handout PDF for an exercise program to a response.
+ * @param {Object} res - Express response
+ * @param {Object} data - { pnCase, program, items }
+ * @param {string|null} shareUrl - Public page link, printed as a QR code when sharing is on
+ */
+const sendExerciseHandoutPDF = async (res, { pnCase, program, items }, shareUrl) => {
+    const doc = new PDFDocument({ margin: 50 });
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `inline; filename="home-exercises-${pnCase.pn_code}-v${program.version}.pdf"`);
+    doc.pipe(res);
+
+    doc.fontSize(20).text('Home Exercise Program', { align: 'center' });
+    doc.fontSize(12).text(pnCase.clinic_name || '', { align: 'center' });
+    doc.moveDown();
+
+    doc.fontSize(11);
+    doc.text(`Patient: ${pnCase.first_name} ${pnCase.last_name}`);
+    doc.text(`Case: ${pnCase.pn_code}    Program version ${program.version}, ${moment(program.created_at).format('DD/MM/YYYY')}`);
+    if (program.created_by_name) {
+        doc.text(`Prescribed by: ${program.created_by_name}`);
+    }
+    if (program.notes) {
+        doc.moveDown(0.5);
+        doc.text(program.notes);
+    }
+    doc.moveDown();
+
+    items.forEach((item, index) => {
+        const imagePath = getExerciseImagePath(item.image_url);
+        const blockHeight = imagePath ? 110 : 70;
+        if (doc.y + blockHeight > doc.page.height - doc.page.margins.bottom) {
+            doc.addPage();
+        }
+
+        const top = doc.y;
+        const textX = imagePath ? 180 : 50;
+        const textWidth = doc.page.width - textX - 50;
+
+        if (imagePath) {
+            try {
+                doc.image(imagePath, 50, top, { fit: [120, 90] });
+            } catch (imageError) {
+                console.error('Exercise image error:', imageError.message);
             }
         }
 
-        // Validate file path to prevent path traversal
-        const uploadDir = path.resolve(process.env.UPLOAD_DIR || './uploads');
-        const filePath = path.resolve(attachment.file_path);
+        doc.fontSize(13).text(`${index + 1}. ${item.name}`, textX, top, { width: textWidth });
+        const dosage = formatExerciseDosage(item);
+        if (dosage) {
+            doc.fontSize(11).fillColor('#1565c0').text(dosage, textX, doc.y, { width: textWidth }).fillColor('black');
+        }
+        doc.fontSize(10).text(item.instructions, textX, doc.y + 2, { width: textWidth });
+        if (item.notes) {
+            doc.font('Helvetica-Oblique').text(item.notes, textX, doc.y + 2, { width: textWidth }).font('Helvetica');
+        }
+
+        doc.y = Math.max(doc.y, imagePath ? top + 95 : doc.y) + 12;
+        doc.x = 50;
+    });
+
+    if (shareUrl) {
+        const qrCode = await QRCode.toDataURL(shareUrl);
+        if (doc.y + 130 > doc.page.height - doc.page.margins.bottom) {
+            doc.addPage();
+        }
+        doc.moveDown();
+        doc.fontSize(10).text('Scan to open your exercises on your phone:', 50, doc.y, { align: 'center' });
+        doc.image(qrCode, doc.page.width / 2 - 50, doc.y + 5, { width: 100 });
+    }
+
+    doc.end();
+};
+
+// Case details printed on the handout
+const getHandoutCase = async (db, pnId) => {
+    const [cases] = await db.execute(
+        `SELECT pn.id, pn.pn_code, pn.hep_share_token, p.first_name, p.last_name, c.name as clinic_name
+         FROM pn_cases pn
+         JOIN patients p ON pn.patient_id = p.id
+         LEFT JOIN clinics c ON pn.target_clinic_id = c.id
+         WHERE pn.id = ?`,
+        [pnId]
+    );
+    return cases[0] || null;
+};
+
+// Body regions for the library forms
+app.get('/api/exercises/body-regions', authenticateToken, (req, res) => {
+    res.json(Object.entries(EXERCISE_BODY_REGIONS).map(([code, label]) => ({ code, label })));
+});
+
+// Exercise library; inactive exercises only with ?include_inactive=1
+app.get('/api/exercises', authenticateToken, authorize('ADMIN', 'PT'), async (req, res) => {
+    try {
+        const db = req.app.locals.db;
+        let query = 'SELECT * FROM exercises WHERE 1=1';
+        const params = [];
+
+        if (req.query.include_inactive !== '1') {
+            query += ' AND active = 1';
+        }
+        if (req.query.region) {
+            query += ' AND body_region = ?';
+            params.push(req.query.region);
+        }
+        if (req.query.search) {
+            query += ' AND (name LIKE ? OR instructions LIKE ?)';
+            params.push(`%${req.query.search}%`, `%${req.query.search}%`);
+        }
+
+        query += ' ORDER BY body_region, name';
 
-        if (!filePath.startsWith(uploadDir)) {
-            console.error('Path traversal attempt detected:', filePath);
-            return res.status(403).json({ error: 'Invalid file path' });
+        const [exercises] = await db.execute(query, params);
+        res.json(exercises);
+    } catch (error) {
+        console.error('Get exercises error:', error);
+        res.status(500).json({ error: 'Failed to retrieve exercises' });
+    }
+});
+
+app.post('/api/exercises', authenticateToken, authorize('ADMIN'), upload.single('image'), exerciseValidators, async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
         }
 
-        // Check file exists
-        try {
-            await fs.promises.access(filePath);
-            res.download(filePath, attachment.file_name);
-        } catch {
-            return res.status(404).json({ error: 'File not found on server' });
+        if (req.file && !req.file.mimetype.startsWith('image/')) {
+            return res.status(400).json({ error: 'Exercise image must be a JPEG, PNG or GIF file' });
         }
 
+        const db = req.app.locals.db;
+        const [result] = await db.execute(
+            `INSERT INTO exercises (
+                name, body_region, instructions, image_url, default_sets, default_reps,
+                default_hold_seconds, default_frequency, active, created_by
+            ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+            [
+                req.body.name, req.body.body_region, req.body.instructions, getExerciseImageUrl(req, null),
+                toOptionalInt(req.body.default_sets), toOptionalInt(req.body.default_reps),
+                toOptionalInt(req.body.default_hold_seconds), req.body.default_frequency || null,
+                req.body.active === false ? 0 : 1, req.user.id
+            ]
+        );
+
+        await auditLog(db, req.user.id, 'CREATE', 'exercise', result.insertId, null, req.body, req);
+
+        res.status(201).json({ success: true, id: result.insertId });
     } catch (error) {
-        console.error('Download attachment error:', error);
-        res.status(500).json({ error: 'Failed to download file' });
+        console.error('Create exercise error:', error);
+        res.status(500).json({ error: 'Failed to create exercise' });
     }
 });
 
-// Delete attachment
-app.delete('/api/attachment/:id', authenticateToken, async (req, res) => {
+app.put('/api/exercises/:id', authenticateToken, authorize('ADMIN'), upload.single('image'), exerciseValidators, async (req, res) => {
     try {
-        const db = req.app.locals.db;
-        const { id } = req.params;
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({ errors: errors.array() });
+        }
 
-        // Get attachment details with associated PN case
-        const [attachments] = await db.execute(
-            `SELECT pa.*, pn.source_clinic_id, pn.target_clinic_id
-             FROM pn_attachments pa
-             JOIN pn_cases pn ON pa.pn_id = pn.id
-             WHERE pa.id = ?`,
-            [id]
-        );
+        if (req.file && !req.file.mimetype.startsWith('image/')) {
+            return res.status(400).json({ error: 'Exercise image must be a JPEG, PNG or GIF file' });
+        }
 
-        if (attachments.length === 0) {
-            return res.status(404).json({ error: 'Attachment not found' });
+        const db = req.app.locals.db;
+        const [existing] = await db.execute('SELECT * FROM exercises WHERE id = ?', [req.params.id]);
+        if (existing.length === 0) {
+            return res.status(404).json({ error: 'Exercise not found' });
         }
 
-        const attachment = attachments[0];
+        await db.execute(
+            `UPDATE exercises
+             SET name = ?, body_region = ?, instructions = ?, image_url = ?, default_sets = ?, default_reps = ?,
+                 default_hold_seconds = ?, default_frequency = ?, active = ?, updated_by = ?
+             WHERE id = ?`,
+            [
+                req.body.name, req.body.body_region, req.body.instructions,
+                getExerciseImageUrl(req, existing[0].image_url),
+                toOptionalInt(req.body.default_sets), toOptionalInt(req.body.default_reps),
+                toOptionalInt(req.body.default_hold_seconds), req.body.default_frequency || null,
+                req.body.active === undefined ? existing[0].active : (req.body.active ? 1 : 0),
+                req.user.id, req.params.id
+            ]
+        );
 
-        // Check permissions (Admin, PT can always delete)
-        const allowedRoles = ['ADMIN', 'PT', 'PT_ADMIN'];
-        if (!allowedRoles.includes(req.user.role)) {
-            // CLINIC users can only delete attachments for cases involving their clinic
-            if (req.user.role === 'CLINIC') {
-                const hasAccess = (
-                    req.user.clinic_id === attachment.source_clinic_id ||
-                    req.user.clinic_id === attachment.target_clinic_id
-                );
+        await auditLog(db, req.user.id, 'UPDATE', 'exercise', req.params.id, existing[0], req.body, req);
 
-                if (!hasAccess) {
-                    return res.status(403).json({ error: 'No access to delete this attachment' });
-                }
-            } else {
-                return res.status(403).json({ error: 'You do not have permission to delete this file' });
-            }
+        res.json({ success: true });
+    } catch (error) {
+        console.error('Update exercise error:', error);
+        res.status(500).json({ error: 'Failed to update exercise' });
+    }
+});
+
+// Exercises stay referenced by past programs, so they are deactivated rather than deleted
+app.delete('/api/exercises/:id', authenticateToken, authorize('ADMIN'), async (req, res) => {
+    try {
+        const db = req.app.locals.db;
+        const [result] = await db.execute('UPDATE exercises SET active = 0, updated_by = ? WHERE id = ?', [req.user.id, req.params.id]);
+        if (result.affectedRows === 0) {
+            return res.status(404).json({ error: 'Exercise not found' });
         }
 
-        // Validate file path to prevent path traversal
-        const uploadDir = path.resolve(process.env.UPLOAD_DIR || './uploads');
-        const filePath = path.resolve(attachment.file_path);
+        await auditLog(db, req.user.id, 'DEACTIVATE', 'exercise', req.params.id, null, null, req);
 
-        if (!filePath.startsWith(uploadDir)) {
-            console.error('Path traversal attempt detected during delete:', filePath);
-            return res.status(403).json({ error: 'Invalid file path' });
-        }
+        res.json({ success: true });
+    } catch (error) {
+        console.error('Delete exercise error:', error);
+        res.status(500).json({ error: 'Failed to deactivate exercise' });
+    }
+});
 
-        // Delete file from disk
-        try {
-            await fs.promises.unlink(filePath);
-        } catch (err) {
-            console.error(`Failed to delete file from disk: ${filePath}`, err);
-            // Don't stop the process, just log it. We still want to remove the DB entry.
+// Current (or ?version=) exercise program of a case, with the version history
+app.get('/api/pn/:id/exercise-program', authenticateToken, async (req, res) => {
+    try {
+        const db = req.app.locals.db;
+        const access = await getAccessiblePNCase(db, req.user, req.params.id);
+        if (access.error) {
+            return res.status(access.status).json({ error: access.error });
         }
 
-        // Delete from database
-        await db.execute('DELETE FROM pn_attachments WHERE id = ?', [id]);
-        
-        await auditLog(db, req.user.id, 'DELETE_ATTACHMENT', 'pn_attachment', id, attachment, null, req);
+        const [versions] = await db.execute(
+            `SELECT ep.id, ep.version, ep.visit_id, v.visit_no, ep.created_at,
+                    CONCAT(u.first_name, ' ', u.last_name) as created_by_name,
+                    (SELECT COUNT(*) FROM pn_exercise_program_items i WHERE i.program_id = ep.id) as exercise_count
+             FROM pn_exercise_programs ep
+             LEFT JOIN pn_visits v ON ep.visit_id = v.id
+             LEFT JOIN users u ON ep.created_by = u.id
+             WHERE ep.pn_id = ?
+             ORDER BY ep.version DESC`,
+            [req.params.id]
+        );
 
-        res.json({ success: true, message: 'Attachment deleted successfully' });
+        const current = await loadExerciseProgram(db, req.params.id, req.query.version);
+        const handoutCase = await getHandoutCase(db, req.params.id);
 
+        res.json({
+            program: current ? current.program : null,
+            items: current ? current.items : [],
+            versions,
+            share_url: handoutCase && handoutCase.hep_share_token ? buildHEPShareUrl(handoutCase.hep_share_token) : null
+        });
     } catch (error) {
-        console.error('Delete attachment error:', error);
-        res.status(500).json({ error: 'Failed to delete attachment' });
+        console.error('Get exercise program error:', error);
+        res.status(500).json({ error: 'Failed to retrieve exercise program' });
     }
 });
 
-
-// ========================================
-// VISITS AND REPORTS ROUTES
-// ========================================
-
-// Create visit
-app.post('/api/pn/:id/visit', authenticateToken, [
-    body('visit_date').isDate(),
-    body('status').isIn(['SCHEDULED', 'COMPLETED', 'CANCELLED', 'NO_SHOW'])
+// Save the program as a new version; earlier versions are kept unchanged
+app.post('/api/pn/:id/exercise-program', authenticateToken, authorize('ADMIN', 'PT'), [
+    body('items').isArray({ min: 1 }),
+    body('items.*.exercise_id').isInt(),
+    body(['items.*.sets', 'items.*.reps', 'items.*.hold_seconds']).optional({ nullable: true, checkFalsy: true }).isInt({ min: 0, max: 1000 }),
+    body('items.*.frequency').optional({ nullable: true }).isLength({ max: 100 })
 ], async (req, res) => {
+    const db = req.app.locals.db;
+    const pnId = req.params.id;
+    let connection;
+
     try {
         const errors = validationResult(req);
         if (!errors.isEmpty()) {
             return res.status(400).json({ errors: errors.array() });
         }
-        
-        const db = req.app.locals.db;
-        const pnId = req.params.id;
-        
-        // Get next visit number
-        const [maxVisit] = await db.execute(
-            'SELECT MAX(visit_no) as max_no FROM pn_visits WHERE pn_id = ?',
+
+        const access = await getAccessiblePNCase(db, req.user, pnId);
+        if (access.error) {
+            return res.status(access.status).json({ error: access.error });
+        }
+
+        const { visit_id, notes, items } = req.body;
+        if (visit_id) {
+            const [visits] = await db.execute('SELECT id FROM pn_visits WHERE id = ? AND pn_id = ?', [visit_id, pnId]);
+            if (visits.length === 0) {
+                return res.status(400).json({ error: 'Visit does not belong to this PN case' });
+            }
+        }
+
+        // Library defaults fill in any dosage the therapist left blank
+        const exerciseIds = [...new Set(items.map(item => parseInt(item.exercise_id)))];
+        const [exercises] = await db.execute(
+            `SELECT * FROM exercises WHERE id IN (${exerciseIds.map(() => '?').join(',')})`,
+            exerciseIds
+        );
+        const exerciseMap = new Map(exercises.map(exercise => [exercise.id, exercise]));
+        const missing = exerciseIds.filter(id => !exerciseMap.has(id));
+        if (missing.length > 0) {
+            return res.status(400).json({ error: `Unknown exercise id(s): ${missing.join(', ')}` });
+        }
+
+        connection = await db.getConnection();
+        await connection.beginTransaction();
+
+        const [maxVersion] = await connection.execute(
+            'SELECT MAX(version) as max_version FROM pn_exercise_programs WHERE pn_id = ? FOR UPDATE',
             [pnId]
         );
-        
-        const visitNo = (maxVisit[0].max_no || 0) + 1;
-        
-        const [result] = await db.execute(
-            `INSERT INTO pn_visits (
-                pn_id, visit_no, visit_date, visit_time, status,
-                chief_complaint, subjective, objective, assessment, plan,
-                treatment_provided, therapist_id, duration_minutes, notes, created_by
-            ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
-            [
-                pnId, visitNo, req.body.visit_date, req.body.visit_time || null,
-                req.body.status || 'SCHEDULED',
-                req.body.chief_complaint || null, req.body.subjective || null,
-                req.body.objective || null, req.body.assessment || null,
-                req.body.plan || null, req.body.treatment_provided || null,
-                req.body.therapist_id || req.user.id, req.body.duration_minutes || null,
-                req.body.notes || null, req.user.id
-            ]
+        const version = (maxVersion[0].max_version || 0) + 1;
+
+        const [result] = await connection.execute(
+            'INSERT INTO pn_exercise_programs (pn_id, visit_id, version, notes, created_by) VALUES (?, ?, ?, ?, ?)',
+            [pnId, visit_id || null, version, notes || null, req.user.id]
         );
-        
-        await auditLog(db, req.user.id, 'CREATE', 'visit', result.insertId, null, req.body, req);
-        
-        res.status(201).json({
-            success: true,
-            message: 'Visit created successfully',
-            visit_id: result.insertId,
-            visit_no: visitNo
-        });
+
+        const pick = (value, fallback) => (value === undefined || value === null || value === '' ? fallback : value);
+        for (const [index, item] of items.entries()) {
+            const exercise = exerciseMap.get(parseInt(item.exercise_id));
+            await connection.execute(
+                `INSERT INTO pn_exercise_program_items (program_id, exercise_id, sort_order, sets, reps, hold_seconds, frequency, notes)
+                 VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+                [
+                    result.insertId, exercise.id, index,
+                    toOptionalInt(pick(item.sets, exercise.default_sets)),
+                    toOptionalInt(pick(item.reps, exercise.default_reps)),
+                    toOptionalInt(pick(item.hold_seconds, exercise.default_hold_seconds)),
+                    pick(item.frequency, exercise.default_frequency),
+                    item.notes || null
+                ]
+            );
+        }
+
+        await connection.commit();
+
+        await auditLog(db, req.user.id, 'CREATE', 'exercise_program', result.insertId, null, {
+            pn_id: pnId, version, visit_id: visit_id || null, exercise_ids: exerciseIds
+        }, req);
+
+        res.status(201).json({ success: true, id: result.insertId, version });
     } catch (error) {
-        console.error('Create visit error:', error);
-        res.status(500).json({ error: 'Failed to create visit' });
+        if (connection) await connection.rollback();
+        console.error('Save exercise program error:', error);
+        res.status(500).json({ error: 'Failed to save exercise program' });
+    } finally {
+        if (connection) connection.release();
     }
 });
 
-// Generate and save report
-app.post('/api/visit/:id/report', authenticateToken, async (req, res) => {
+// Handout PDF for staff (current or ?version=)
+app.get('/api/pn/:id/exercise-program/handout', authenticateToken, async (req, res) => {
     try {
         const db = req.app.locals.db;
-        const visitId = req.params.id;
-        
-        // Get visit and case details
-        const [visits] = await db.execute(
-            `SELECT v.*, pn.pn_code, pn.diagnosis, pn.purpose,
-                    p.hn, p.pt_number, p.first_name, p.last_name, p.dob,
-                    c.name as clinic_name, c.address as clinic_address
-             FROM pn_visits v
-             JOIN pn_cases pn ON v.pn_id = pn.id
-             JOIN patients p ON pn.patient_id = p.id
-             JOIN clinics c ON pn.target_clinic_id = c.id
-             WHERE v.id = ?`,
-            [visitId]
-        );
-        
-        if (visits.length === 0) {
-            return res.status(404).json({ error: 'Visit not found' });
-        }
-        
-        const visit = visits[0];
-        const fileName = `report_${visit.pn_code}_visit${visit.visit_no}_${Date.now()}.pdf`;
-        const filePath = path.join(process.env.REPORTS_DIR || './reports', fileName);
-        
-        // Create PDF
-        const doc = new PDFDocument();
-        const writeStream = require('fs').createWriteStream(filePath);
-        const stream = doc.pipe(writeStream);
-        
-        // Header
-        doc.fontSize(20).text('Physiotherapy Report', { align: 'center' });
-        doc.moveDown();
-        doc.fontSize(14).text(visit.clinic_name, { align: 'center' });
-        doc.fontSize(10).text(visit.clinic_address || '', { align: 'center' });
-        doc.moveDown();
-        
-        // Report info
-        doc.fontSize(12);
-        doc.text(`Report Date: ${moment().format('DD/MM/YYYY HH:mm')}`);
-        doc.text(`PN Code: ${visit.pn_code}`);
-        doc.text(`Visit No: ${visit.visit_no}`);
-        doc.moveDown();
-        
-        // Patient info
-        doc.fontSize(14).text('Patient Information', { underline: true });
-        doc.fontSize(11);
-        doc.text(`HN: ${visit.hn}`);
-        doc.text(`PT Number: ${visit.pt_number}`);
-        doc.text(`Name: ${visit.first_name} ${visit.last_name}`);
-        doc.text(`DOB: ${moment(visit.dob).format('DD/MM/YYYY')}`);
-        doc.text(`Diagnosis: ${visit.diagnosis}`);
-        doc.moveDown();
-        
-        // Visit details
-        doc.fontSize(14).text('Visit Details', { underline: true });
-        doc.fontSize(11);
-        doc.text(`Visit Date: ${moment(visit.visit_date).format('DD/MM/YYYY')}`);
-        doc.text(`Status: ${visit.status}`);
-        
-        if (visit.chief_complaint) {
-            doc.moveDown();
-            doc.text('Chief Complaint:', { underline: true });
-            doc.text(visit.chief_complaint);
+        const access = await getAccessiblePNCase(db, req.user, req.params.id);
+        if (access.error) {
+            return res.status(access.status).json({ error: access.error });
         }
-        
-        if (visit.subjective) {
-            doc.moveDown();
-            doc.text('Subjective:', { underline: true });
-            doc.text(visit.subjective);
+
+        const current = await loadExerciseProgram(db, req.params.id, req.query.version);
+        if (!current) {
+            return res.status(404).json({ error: 'No exercise program for this case' });
         }
-        
-        if (visit.objective) {
-            doc.moveDown();
-            doc.text('Objective:', { underline: true });
-            doc.text(visit.objective);
+
+        const handoutCase = await getHandoutCase(db, req.params.id);
+        const shareUrl = handoutCase.hep_share_token ? buildHEPShareUrl(handoutCase.hep_share_token) : null;
+
+        await sendExerciseHandoutPDF(res, { pnCase: handoutCase, ...current }, shareUrl);
+    } catch (error) {
+        console.error('Exercise handout error:', error);
+        if (!res.headersSent) {
+            res.status(500).json({ error: 'Failed to generate handout' });
         }
-        
-        if (visit.assessment) {
-            doc.moveDown();
-            doc.text('Assessment:', { underline: true });
-            doc.text(visit.assessment);
+    }
+});
+
+// Turn on the public handout link (keeps the existing link if there is one)
+app.post('/api/pn/:id/exercise-program/share', authenticateToken, authorize('ADMIN', 'PT'), async (req, res) => {
+    try {
+        const db = req.app.locals.db;
+        const access = await getAccessiblePNCase(db, req.user, req.params.id);
+        if (access.error) {
+            return res.status(access.status).json({ error: access.error });
         }
-        
-        if (visit.plan) {
-            doc.moveDown();
-            doc.text('Plan:', { underline: true });
-            doc.text(visit.plan);
+
+        const handoutCase = await getHandoutCase(db, req.params.id);
+        let token = handoutCase.hep_share_token;
+        if (!token) {
+            token = uuidv4();
+            await db.execute('UPDATE pn_cases SET hep_share_token = ? WHERE id = ?', [token, req.params.id]);
+            await auditLog(db, req.user.id, 'SHARE', 'exercise_program', req.params.id, null, null, req);
         }
-        
-        if (visit.treatment_provided) {
-            doc.moveDown();
-            doc.text('Treatment Provided:', { underline: true });
-            doc.text(visit.treatment_provided);
+
+        res.json({ success: true, share_url: buildHEPShareUrl(token) });
+    } catch (error) {
+        console.error('Share exercise program error:', error);
+        res.status(500).json({ error: 'Failed to share exercise program' });
+    }
+});
+
+// Revoke the public link; sharing again issues a new one
+app.delete('/api/pn/:id/exercise-program/share', authenticateToken, authorize('ADMIN', 'PT'), async (req, res) => {
+    try {
+        const db = req.app.locals.db;
+        const access = await getAccessiblePNCase(db, req.user, req.params.id);
+        if (access.error) {
+            return res.status(access.status).json({ error: access.error });
         }
-        
-        // Generate QR code for download link
-        const downloadUrl = `${process.env.APP_BASE_URL}/api/report/${visitId}/download`;
-        const qrCode = await QRCode.toDataURL(downloadUrl);
-        
-        // Add QR code to PDF
-        doc.moveDown();
-        doc.text('Scan QR code to download this report:', { align: 'center' });
-        doc.image(qrCode, doc.page.width / 2 - 50, doc.y + 10, { width: 100 });
-        
-        // Footer
-        doc.fontSize(10);
-        doc.text(`Generated on ${moment().format('DD/MM/YYYY HH:mm:ss')}`, 
-                50, doc.page.height - 50, { align: 'center' });
-        
-        doc.end();
-        
-        // Wait for PDF to be written
-        await new Promise((resolve) => stream.on('finish', resolve));
-        
-        // Save report record to database
-        const [result] = await db.execute(
-            `INSERT INTO pn_reports (
-                visit_id, report_type, file_path, file_name, 
-                mime_type, file_size, qr_code, report_data, created_by
-            ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
-            [
-                visitId,
-                req.body.report_type || 'PROGRESS',
-                filePath,
-                fileName,
-                'application/pdf',
-                (await require('fs').promises.stat(filePath)).size,
-                qrCode,
-                JSON.stringify(visit),
-                req.user.id
-            ]
-        );
-        
-        await auditLog(db, req.user.id, 'CREATE', 'report', result.insertId, null, 
-                      { visit_id: visitId }, req);
-        
-        res.json({
-            success: true,
-            message: 'Report generated successfully',
-            report_id: result.insertId,
-            download_url: `/api/report/${result.insertId}/download`
-        });
+
+        await db.execute('UPDATE pn_cases SET hep_share_token = NULL WHERE id = ?', [req.params.id]);
+        await auditLog(db, req.user.id, 'UNSHARE', 'exercise_program', req.params.id, null, null, req);
+
+        res.json({ success: true });
     } catch (error) {
-        console.error('Generate report error:', error);
-        res.status(500).json({ error: 'Failed to generate report' });
+        console.error('Unshare exercise program error:', error);
+        res.status(500).json({ error: 'Failed to revoke share link' });
     }
 });
 
-// Download report
-app.get('/api/report/:id/download', authenticateToken, async (req, res) => {
+// Public patient page; always shows the latest version of the program
+app.get('/hep/:token', async (req, res) => {
     try {
         const db = req.app.locals.db;
-        const { id } = req.params;
-        
-        const [reports] = await db.execute(
-            'SELECT * FROM pn_reports WHERE id = ?',
-            [id]
-        );
-        
-        if (reports.length === 0) {
-            return res.status(404).json({ error: 'Report not found' });
+        const [cases] = await db.execute('SELECT id FROM pn_cases WHERE hep_share_token = ?', [req.params.token]);
+        const current = cases.length > 0 ? await loadExerciseProgram(db, cases[0].id) : null;
+        if (!current) {
+            return res.status(404).send('This exercise program link is no longer available.');
         }
-        
-        const report = reports[0];
-        
-        // Check if file exists
-        try {
-            await require('fs').promises.access(report.file_path);
-        } catch {
-            return res.status(404).json({ error: 'Report file not found' });
+
+        const handoutCase = await getHandoutCase(db, cases[0].id);
+
+        res.render('hep-handout', {
+            patientName: handoutCase.first_name,
+            clinicName: handoutCase.clinic_name,
+            program: current.program,
+            items: current.items.map(item => ({ ...item, dosage: formatExerciseDosage(item) })),
+            token: req.params.token,
+            moment
+        });
+    } catch (error) {
+        console.error('Public exercise program error:', error);
+        res.status(500).send('Failed to load exercise program');
+    }
+});
+
+app.get('/hep/:token/handout.pdf', async (req, res) => {
+    try {
+        const db = req.app.locals.db;
+        const [cases] = await db.execute('SELECT id FROM pn_cases WHERE hep_share_token = ?', [req.params.token]);
+        const current = cases.length > 0 ? await loadExerciseProgram(db, cases[0].id) : null;
+        if (!current) {
+            return res.status(404).send('This exercise program link is no longer available.');
         }
-        
-        res.download(report.file_path, report.file_name);
+
+        const handoutCase = await getHandoutCase(db, cases[0].id);
+        await sendExerciseHandoutPDF(res, { pnCase: handoutCase, ...current }, buildHEPShareUrl(req.params.token));
     } catch (error) {
-        console.error('Download report error:', error);
-        res.status(500).json({ error: 'Failed to download report' });
+        console.error('Public exercise handout error:', error);
+        if (!res.headersSent) {
+            res.status(500).send('Failed to generate handout');
+        }
     }
 });
 
@@ -5013,7 +14374,8 @@ app.put('/api/appointments/:id', authenticateToken, async (req, res) => {
             pt_diagnosis,
             pt_chief_complaint,
             pt_present_history,
-            pt_pain_score
+            pt_pain_score,
+            resource_ids
         } = req.body;
 
         // Get appointment details with linked PN case, clinic info, and course info
@@ -5054,24 +14416,67 @@ app.put('/api/appointments/:id', authenticateToken, async (req, res) => {
         console.log('PN Target Clinic Code:', appointment.target_clinic_code);
         console.log('Course ID:', appointment.course_id);
 
+        // Completing the appointment accepts a pending PN case, which needs the red-flag screening first
+        let acceptance = null;
+        if (status === 'COMPLETED' && appointment.pn_case_id && appointment.pn_status === 'PENDING') {
+            acceptance = await checkScreeningForAcceptance(db, appointment.pn_case_id, req.body.screening);
+            if (acceptance.body) {
+                return res.status(acceptance.status).json(acceptance.body);
+            }
+        }
+
+        // A moved appointment must still fall within the clinic's opening hours
+        const newDate = appointment_date || moment(appointment.appointment_date).format('YYYY-MM-DD');
+        const newStartTime = start_time || appointment.start_time;
+        const newEndTime = end_time || appointment.end_time;
+        const isRescheduled = newDate !== moment(appointment.appointment_date).format('YYYY-MM-DD') ||
+            timeToMinutes(newStartTime) !== timeToMinutes(appointment.start_time) ||
+            timeToMinutes(newEndTime) !== timeToMinutes(appointment.end_time);
+        if (isRescheduled) {
+            const closedMessage = await checkClinicOpen(db, appointment.clinic_id, newDate, newStartTime, newEndTime);
+            if (closedMessage) {
+                return res.status(400).json({ error: closedMessage });
+            }
+        }
+
         // Check for time conflicts if rescheduling
         if (appointment_date && start_time && end_time) {
-            const [conflicts] = await db.execute(
-                `SELECT id FROM appointments
-                 WHERE pt_id = ? AND appointment_date = ? AND status != 'CANCELLED' AND id != ?
-                   AND (
-                       (start_time < ? AND end_time > ?) OR
-                       (start_time < ? AND end_time > ?) OR
-                       (start_time >= ? AND end_time <= ?)
-                   )`,
-                [appointment.pt_id, appointment_date, id, end_time, start_time, end_time, start_time, start_time, end_time]
-            );
+            const conflicts = await findAppointmentConflicts(db, {
+                ptId: appointment.pt_id,
+                date: appointment_date,
+                startTime: start_time,
+                endTime: end_time,
+                bufferMinutes: appointment.buffer_minutes,
+                excludeId: id
+            });
 
             if (conflicts.length > 0) {
                 return res.status(409).json({ error: 'Time slot conflict detected' });
             }
         }
 
+        // Rooms and equipment must stay free at the new time, or be free for a new selection
+        let resources = null;
+        if (resource_ids !== undefined) {
+            resources = await validateAppointmentResources(db, appointment.clinic_id, resource_ids);
+            if (resources.error) {
+                return res.status(resources.status).json({ error: resources.error });
+            }
+        }
+        if (resources || (appointment_date && start_time && end_time)) {
+            const resourceConflicts = await findResourceConflicts(db, {
+                resourceIds: resources ? resources.resourceIds : await getAppointmentResourceIds(db, id),
+                date: newDate,
+                startTime: newStartTime,
+                endTime: newEndTime,
+                bufferMinutes: appointment.buffer_minutes,
+                excludeId: id
+            });
+            if (resourceConflicts.length > 0) {
+                return res.status(409).json({ error: getResourceConflictMessage(resourceConflicts), resource_conflicts: resourceConflicts });
+            }
+        }
+
         // Build dynamic update query
         const updates = [];
         const params = [];
@@ -5149,6 +14554,19 @@ app.put('/api/appointments/:id', authenticateToken, async (req, res) => {
             );
         }
 
+        if (resources) {
+            await saveAppointmentResources(db, id, resources.resourceIds);
+        }
+
+        // A booking linked to a patient record brings its consent forms along
+        if (normalizedBookingType === 'OLD_PATIENT') {
+            await db.execute(
+                'UPDATE patient_consents SET patient_id = ? WHERE appointment_id = ? AND patient_id IS NULL',
+                [patient_id, id]
+            ).catch(err => console.warn('Failed to link consents to patient:', err.message));
+            await attachSignedConsents(db, { patientId: patient_id });
+        }
+
         // Sync with PN case if linked
         console.log('=== CHECKING PN CASE SYNC ===');
         console.log('appointment.pn_case_id:', appointment.pn_case_id);
@@ -5183,6 +14601,11 @@ app.put('/api/appointments/:id', authenticateToken, async (req, res) => {
                         });
                     }
 
+                    const diagnosisCodes = await parseDiagnosisCodes(db, req.body.diagnosis_codes, ['pt_diagnosis']);
+                    if (diagnosisCodes.error) {
+                        return res.status(400).json({ error: diagnosisCodes.error });
+                    }
+
                     // Update PN case with PT assessment and set to ACCEPTED
                     console.log('Updating PN case with PT assessment...');
                     const [pnUpdateResult] = await db.execute(
@@ -5198,6 +14621,7 @@ app.put('/api/appointments/:id', authenticateToken, async (req, res) => {
                         [pt_diagnosis, pt_chief_complaint, pt_present_history, pt_pain_score, appointment.pn_case_id]
                     );
                     console.log('PN case update result - rows affected:', pnUpdateResult.affectedRows);
+                    await saveDiagnosisCodes(db, appointment.pn_case_id, diagnosisCodes.codes, req.user.id);
                 } else {
                     // CL001: Just set to ACCEPTED without PT assessment
                     console.log('CL001 clinic - updating PN case without PT assessment...');
@@ -5212,6 +14636,11 @@ app.put('/api/appointments/:id', authenticateToken, async (req, res) => {
                     console.log('PN case update result - rows affected:', pnUpdateResult.affectedRows);
                 }
 
+                if (acceptance && acceptance.isNew) {
+                    await saveScreening(db, appointment.pn_case_id, acceptance.screening, req.user.id);
+                    await notifyScreeningPositives(db, appointment.pn_case_id, acceptance.screening, req.user);
+                }
+
                 // Handle course session deduction (only if not already deducted)
                 if (appointment.course_id) {
                     // Check if course session was already deducted for this PN
@@ -5282,6 +14711,7 @@ app.put('/api/appointments/:id', authenticateToken, async (req, res) => {
                      WHERE id = ?`,
                     [appointment.pn_case_id]
                 );
+                await saveDiagnosisCodes(db, appointment.pn_case_id, { pt_diagnosis: [] }, req.user.id);
 
                 // Return course session if it was deducted (check course_usage_history)
                 if (appointment.course_id) {
@@ -5465,12 +14895,21 @@ app.get('/api/bills/services', authenticateToken, async (req, res) => {
 app.post('/api/bills/services', authenticateToken, authorize('ADMIN'), async (req, res) => {
     try {
         const db = req.app.locals.db;
-        const { service_code, service_name, service_description, default_price, service_type } = req.body;
+        const { service_code, service_name, service_description, default_price, service_type, duration_minutes, buffer_minutes } = req.body;
+
+        const durationError = validateDurationFields({ duration_minutes, buffer_minutes });
+        if (durationError) {
+            return res.status(400).json({ error: durationError });
+        }
 
         const [result] = await db.execute(
-            `INSERT INTO services (service_code, service_name, service_description, default_price, service_type, created_by)
-             VALUES (?, ?, ?, ?, ?, ?)`,
-            [service_code, service_name, service_description, default_price, service_type || 'PHYSIOTHERAPY', req.user.id]
+            `INSERT INTO services (service_code, service_name, service_description, default_price, service_type,
+                                   duration_minutes, buffer_minutes, created_by)
+             VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+            [
+                service_code, service_name, service_description, default_price, service_type || 'PHYSIOTHERAPY',
+                duration_minutes ? parseInt(duration_minutes) : null, parseInt(buffer_minutes) || 0, req.user.id
+            ]
         );
 
         res.status(201).json({ message: 'Service created successfully', id: result.insertId });
@@ -5485,7 +14924,12 @@ app.put('/api/bills/services/:id', authenticateToken, authorize('ADMIN'), async
     try {
         const db = req.app.locals.db;
         const serviceId = req.params.id;
-        const { service_code, service_name, service_description, default_price, service_type, active } = req.body;
+        const { service_code, service_name, service_description, default_price, service_type, active, duration_minutes, buffer_minutes } = req.body;
+
+        const durationError = validateDurationFields({ duration_minutes, buffer_minutes });
+        if (durationError) {
+            return res.status(400).json({ error: durationError });
+        }
 
         // Build update query dynamically based on provided fields
         const updates = [];
@@ -5511,6 +14955,14 @@ app.put('/api/bills/services/:id', authenticateToken, authorize('ADMIN'), async
             updates.push('service_type = ?');
             params.push(service_type);
         }
+        if (duration_minutes !== undefined) {
+            updates.push('duration_minutes = ?');
+            params.push(duration_minutes ? parseInt(duration_minutes) : null);
+        }
+        if (buffer_minutes !== undefined) {
+            updates.push('buffer_minutes = ?');
+            params.push(parseInt(buffer_minutes) || 0);
+        }
         if (active !== undefined) {
             updates.push('active = ?');
             params.push(active);
@@ -7028,6 +16480,70 @@ app.get('/api/statistics/services/ranking', authenticateToken, async (req, res)
     }
 });
 
+// Diagnosis ranking by ICD-10/ICF code, counted per PN case (cases created in the date range)
+app.get('/api/statistics/diagnoses/ranking', authenticateToken, async (req, res) => {
+    try {
+        const db = req.app.locals.db;
+        const { date_from, date_to, system, field, clinic_id, limit = 10 } = req.query;
+
+        if (system && !CLINICAL_CODE_SYSTEMS[system]) {
+            return res.status(400).json({ error: `system must be one of ${Object.keys(CLINICAL_CODE_SYSTEMS).join(', ')}` });
+        }
+        if (field && !DIAGNOSIS_CODE_FIELDS.includes(field)) {
+            return res.status(400).json({ error: `field must be one of ${DIAGNOSIS_CODE_FIELDS.join(', ')}` });
+        }
+
+        let query = `
+            SELECT
+                dc.code_system,
+                dc.code,
+                MAX(dc.title) as title,
+                COUNT(DISTINCT dc.pn_id) as case_count,
+                COUNT(DISTINCT pn.patient_id) as patient_count,
+                COUNT(DISTINCT CASE WHEN pn.status = 'COMPLETED' THEN pn.id END) as completed_count
+            FROM pn_diagnosis_codes dc
+            JOIN pn_cases pn ON dc.pn_id = pn.id
+            WHERE pn.status != 'CANCELLED'
+        `;
+        const params = [];
+
+        if (date_from) {
+            query += ` AND DATE(pn.created_at) >= ?`;
+            params.push(date_from);
+        }
+        if (date_to) {
+            query += ` AND DATE(pn.created_at) <= ?`;
+            params.push(date_to);
+        }
+        if (system) {
+            query += ` AND dc.code_system = ?`;
+            params.push(system);
+        }
+        if (field) {
+            query += ` AND dc.diagnosis_field = ?`;
+            params.push(field);
+        }
+        if (clinic_id) {
+            query += ` AND pn.target_clinic_id = ?`;
+            params.push(clinic_id);
+        }
+
+        query += `
+            GROUP BY dc.code_system, dc.code
+            ORDER BY case_count DESC, dc.code
+            LIMIT ?
+        `;
+        params.push(parseInt(limit));
+
+        const [diagnoses] = await db.execute(query, params);
+
+        res.json(diagnoses);
+    } catch (error) {
+        console.error('Get diagnosis ranking error:', error);
+        res.status(500).json({ error: 'Failed to retrieve diagnosis ranking', details: error.message });
+    }
+});
+
 // ========================================
 // LOYALTY/MEMBERSHIP SYSTEM API
 // ========================================
@@ -8327,6 +17843,26 @@ app.get('/api/public/clinics', async (req, res) => {
     }
 });
 
+// Public: Get active service packages with their length and cleanup buffer
+app.get('/api/public/packages', async (req, res) => {
+    try {
+        const db = req.app.locals.db;
+        const [packages] = await db.execute(`
+            SELECT p.id, p.package_name, p.description, p.price, p.duration_minutes,
+                   COALESCE(p.buffer_minutes, s.buffer_minutes, 0) as buffer_minutes,
+                   p.benefits, p.pain_zones, p.is_featured, p.is_best_value, p.image_url
+            FROM public_service_packages p
+            LEFT JOIN services s ON p.service_id = s.id
+            WHERE p.active = 1
+            ORDER BY p.display_order ASC, p.duration_minutes ASC
+        `);
+        res.json(packages);
+    } catch (error) {
+        console.error('Get public packages error:', error);
+        res.status(500).json({ error: 'Failed to load packages' });
+    }
+});
+
 // DEBUG: Get all appointments for testing
 app.get('/api/public/debug-appointments', async (req, res) => {
     try {
@@ -8444,6 +17980,21 @@ app.get('/api/public/booking-calendar', async (req, res) => {
             console.log(`Added booking for ${dateStr}:`, bookingsByDate[dateStr]);
         });
 
+        // Days the clinic is closed all day (weekly day off, holiday, closure) cannot be booked
+        const calendar = await loadClinicCalendar(db, clinic_id, start_date, end_date);
+        const lastDate = moment.min(moment(end_date, 'YYYY-MM-DD'), moment(start_date, 'YYYY-MM-DD').add(1, 'year'));
+        for (const day = moment(start_date, 'YYYY-MM-DD'); day.isSameOrBefore(lastDate, 'day'); day.add(1, 'day')) {
+            const dateStr = day.format('YYYY-MM-DD');
+            const opening = getClinicOpenWindows(calendar, dateStr);
+            if (opening.windows.length === 0) {
+                bookingsByDate[dateStr] = {
+                    ...(bookingsByDate[dateStr] || { total: 0, walkIn: 0, patient: 0 }),
+                    closed: true,
+                    closures: opening.closures.map(closure => closure.name)
+                };
+            }
+        }
+
         console.log('Booking calendar date keys:', Object.keys(bookingsByDate)); // Debug log
         res.json(bookingsByDate);
     } catch (error) {
@@ -8456,122 +18007,39 @@ app.get('/api/public/booking-calendar', async (req, res) => {
 app.get('/api/public/time-slots', async (req, res) => {
     try {
         const db = req.app.locals.db;
-        const { clinic_id, date } = req.query;
+        const { clinic_id, date, package_id } = req.query;
 
         if (!clinic_id || !date) {
             return res.status(400).json({ error: 'clinic_id and date are required' });
         }
 
-        // Generate time slots (9:00 AM to 8:00 PM, 30-minute intervals)
-        const slots = [];
-        const now = new Date();
-        const todayDate = now.toISOString().split('T')[0]; // YYYY-MM-DD format
-        const currentHour = now.getHours();
-        const currentMinute = now.getMinutes();
-        const isToday = date === todayDate;
-
-        // Generate 30-minute slots from 9:00 to 20:00
-        for (let hour = 9; hour < 20; hour++) {
-            for (let minute = 0; minute < 60; minute += 30) {
-                const startHour = hour;
-                const startMinute = minute;
-                const endMinute = minute + 30;
-                const endHour = endMinute >= 60 ? hour + 1 : hour;
-                const adjustedEndMinute = endMinute >= 60 ? 0 : endMinute;
-
-                const startTime = `${startHour.toString().padStart(2, '0')}:${startMinute.toString().padStart(2, '0')}:00`;
-                const endTime = `${endHour.toString().padStart(2, '0')}:${adjustedEndMinute.toString().padStart(2, '0')}:00`;
-
-                // Skip past time slots if booking for today
-                if (isToday) {
-                    // Convert slot end time to minutes for easier comparison
-                    const slotEndMinutes = endHour * 60 + adjustedEndMinute;
-                    const currentMinutes = currentHour * 60 + currentMinute;
-
-                    // Skip if the slot has already passed
-                    if (slotEndMinutes <= currentMinutes) {
-                        console.log(`Skipping past slot: ${startTime} - ${endTime} (current time: ${currentHour}:${currentMinute})`);
-                        continue;
-                    }
-                }
-
-                slots.push({ start_time: startTime, end_time: endTime });
-            }
-        }
-
-        // Check which slots are already booked
-        const [bookedSlots] = await db.execute(`
-            SELECT a.start_time, a.end_time, a.id, a.walk_in_name,
-                   CONCAT(COALESCE(p.first_name, ''), ' ', COALESCE(p.last_name, '')) as patient_name
-            FROM appointments a
-            LEFT JOIN patients p ON a.patient_id = p.id
-            WHERE a.clinic_id = ?
-            AND a.appointment_date = ?
-            AND a.status != 'CANCELLED'
-        `, [clinic_id, date]);
-
-        console.log(`\n========== TIME SLOTS DEBUG for ${date} ==========`);
-        console.log('Clinic ID:', clinic_id);
-        console.log('Total booked appointments:', bookedSlots.length);
-
-        if (bookedSlots.length > 0) {
-            console.log('\nBooked appointments from DB:');
-            bookedSlots.forEach((booking, idx) => {
-                console.log(`  ${idx + 1}. ID:${booking.id} | ${booking.walk_in_name || booking.patient_name}`);
-                console.log(`     Start: "${booking.start_time}" (type: ${typeof booking.start_time})`);
-                console.log(`     End: "${booking.end_time}" (type: ${typeof booking.end_time})`);
-            });
+        // With a package, each slot is as long as the package and needs its buffer free too
+        const resolved = await resolveAppointmentDuration(db, { package_id });
+        if (resolved.error) {
+            return res.status(resolved.status).json({ error: resolved.error });
         }
 
-        console.log('\nGenerated time slots:');
-        slots.forEach((slot, idx) => {
-            console.log(`  ${idx + 1}. "${slot.start_time}" - "${slot.end_time}"`);
+        // Slots follow the therapists rostered at the clinic that day
+        const schedule = await loadClinicDaySchedule(db, clinic_id, date);
+        let slots = buildScheduleSlots(schedule, {
+            clinicId: clinic_id,
+            hours: UNROSTERED_HOURS.public,
+            durationMinutes: resolved.duration ? resolved.duration.duration_minutes : SLOT_MINUTES,
+            bufferMinutes: resolved.duration ? resolved.duration.buffer_minutes : 0
         });
 
-        // Mark slots as available or not
-        const availableSlots = slots.map((slot, slotIdx) => {
-            console.log(`\nChecking slot ${slotIdx + 1}: ${slot.start_time} - ${slot.end_time}`);
-
-            const isBooked = bookedSlots.some((booked, bookIdx) => {
-                // Normalize time strings (MySQL might return Buffer or different format)
-                const bookedStart = String(booked.start_time).trim();
-                const bookedEnd = String(booked.end_time).trim();
-                const slotStart = slot.start_time;
-                const slotEnd = slot.end_time;
-
-                const bookingName = booked.walk_in_name || booked.patient_name || 'Unknown';
-                console.log(`  vs booking ${bookIdx + 1}: "${bookedStart}" - "${bookedEnd}" (${bookingName})`);
-
-                // Check for TIME OVERLAP instead of exact match
-                // A slot overlaps with a booking if:
-                // - Slot starts before booking ends AND
-                // - Slot ends after booking starts
-                // Example: Appointment 13:00-15:00 overlaps with:
-                //   - Slot 13:00-14:00 (13:00 < 15:00 AND 14:00 > 13:00) ✓
-                //   - Slot 14:00-15:00 (14:00 < 15:00 AND 15:00 > 13:00) ✓
-                //   - Slot 15:00-16:00 (15:00 < 15:00) ✗ No overlap
-                const overlap = slotStart < bookedEnd && slotEnd > bookedStart;
-
-                console.log(`    Overlap? "${slotStart}" < "${bookedEnd}" = ${slotStart < bookedEnd}`);
-                console.log(`             "${slotEnd}" > "${bookedStart}" = ${slotEnd > bookedStart}`);
-                console.log(`    → ${overlap ? 'YES - BOOKED!' : 'NO - Available'}`);
-
-                return overlap;
-            });
-
-            console.log(`  Final: ${isBooked ? '✗ BOOKED' : '✓ AVAILABLE'}`);
-
-            return {
-                ...slot,
-                available: !isBooked
-            };
-        });
+        // Skip past time slots if booking for today
+        const now = moment();
+        if (date === now.format('YYYY-MM-DD')) {
+            const currentMinutes = now.hours() * 60 + now.minutes();
+            slots = slots.filter(slot => timeToMinutes(slot.end_time) > currentMinutes);
+        }
 
-        console.log('\n========== SUMMARY ==========');
-        availableSlots.forEach((slot, idx) => {
-            console.log(`${idx + 1}. ${slot.start_time}-${slot.end_time}: ${slot.available ? '✓ AVAILABLE' : '✗ BOOKED'}`);
-        });
-        console.log('============================\n');
+        const availableSlots = slots.map(slot => ({
+            start_time: slot.start_time,
+            end_time: slot.end_time,
+            available: slot.available
+        }));
 
         res.json(availableSlots);
     } catch (error) {
@@ -8606,6 +18074,17 @@ app.get('/api/public/my-bookings', async (req, res) => {
             LIMIT 10
         `, [clientIP]);
 
+        // Link to any consent forms still waiting to be signed
+        for (const booking of bookings) {
+            const [consents] = await db.execute(
+                `SELECT request_token FROM patient_consents
+                 WHERE appointment_id = ? AND status = 'PENDING' AND token_expires_at > NOW()
+                 LIMIT 1`,
+                [booking.id]
+            ).catch(() => [[]]);
+            booking.consent_url = consents.length > 0 ? buildConsentSignUrl(consents[0].request_token) : null;
+        }
+
         res.json(bookings);
     } catch (error) {
         console.error('Get my bookings error:', error);
@@ -8625,38 +18104,52 @@ app.post('/api/public/book-appointment', async (req, res) => {
             appointment_date,
             start_time,
             end_time,
-            reason
+            reason,
+            consent_language,
+            package_id
         } = req.body;
 
         console.log('Booking request:', { walk_in_name, walk_in_phone, clinic_id, appointment_date, start_time, end_time, reason });
         console.log('Client IP:', clientIP);
 
+        // A package sets the length and cleanup buffer; otherwise the requested end time is used
+        const resolved = await resolveAppointmentDuration(db, { package_id });
+        if (resolved.error) {
+            return res.status(resolved.status).json({ error: resolved.error });
+        }
+        const duration = resolved.duration;
+        const endTime = duration && start_time
+            ? minutesToTime(timeToMinutes(start_time) + duration.duration_minutes)
+            : end_time;
+        const bufferMinutes = duration ? duration.buffer_minutes : 0;
+
         // Validation
-        if (!walk_in_name || !walk_in_phone || !clinic_id || !appointment_date || !start_time || !end_time) {
+        if (!walk_in_name || !walk_in_phone || !clinic_id || !appointment_date || !start_time || !endTime) {
             console.log('Validation failed - missing fields');
             return res.status(400).json({ error: 'All fields are required' });
         }
 
-        console.log('Validation passed, checking for overlaps...');
+        console.log('Validation passed, checking availability...');
 
-        // Check if slot overlaps with existing appointments (not just exact match)
-        // Overlap formula: existing.start_time < new.end_time AND existing.end_time > new.start_time
-        const [existing] = await db.execute(`
-            SELECT id, start_time, end_time FROM appointments
-            WHERE clinic_id = ?
-            AND appointment_date = ?
-            AND status IN ('SCHEDULED', 'CONFIRMED', 'IN_PROGRESS')
-            AND start_time < ?
-            AND end_time > ?
-        `, [clinic_id, appointment_date, end_time, start_time]);
+        // A therapist must be on duty and free for the whole booking
+        const schedule = await loadClinicDaySchedule(db, clinic_id, appointment_date);
+        const availability = checkScheduleInterval(
+            schedule, timeToMinutes(start_time), timeToMinutes(endTime), { clinicId: clinic_id, bufferMinutes }
+        );
 
-        if (existing.length > 0) {
-            console.log('Slot overlap detected:', existing);
-            return res.status(400).json({ error: 'This time slot overlaps with an existing appointment' });
+        if (!availability.available) {
+            console.log('Slot not available:', { rostered: schedule.rostered, closed: availability.closed, on_duty: availability.on_duty });
+            let error = 'This time slot overlaps with an existing appointment';
+            if (availability.closed) {
+                error = availability.closed;
+            } else if (availability.on_duty === false) {
+                error = 'No therapist is available at this time';
+            }
+            return res.status(400).json({ error });
         }
 
-        console.log('No overlaps found. Creating appointment...');
-        console.log('INSERT values:', [walk_in_name, walk_in_phone, clinic_id, appointment_date, start_time, end_time, reason, clientIP]);
+        console.log('Slot available. Creating appointment...');
+        console.log('INSERT values:', [walk_in_name, walk_in_phone, clinic_id, appointment_date, start_time, endTime, reason, clientIP]);
 
         // Create walk-in appointment (created_by = 1 for public bookings - admin user)
         // NOTE: Walk-in bookings don't have patient records, so no email for calendar invites
@@ -8664,12 +18157,38 @@ app.post('/api/public/book-appointment', async (req, res) => {
             INSERT INTO appointments (
                 walk_in_name, walk_in_phone, booking_type, clinic_id,
                 appointment_date, start_time, end_time, status,
+                service_id, package_id, buffer_minutes, appointment_type,
                 reason, client_ip_address, created_by
-            ) VALUES (?, ?, 'WALK_IN', ?, ?, ?, ?, 'SCHEDULED', ?, ?, 1)
-        `, [walk_in_name, walk_in_phone, clinic_id, appointment_date, start_time, end_time, reason, clientIP]);
+            ) VALUES (?, ?, 'WALK_IN', ?, ?, ?, ?, 'SCHEDULED', ?, ?, ?, ?, ?, ?, 1)
+        `, [
+            walk_in_name, walk_in_phone, clinic_id, appointment_date, start_time, endTime,
+            duration ? duration.service_id : null, duration ? duration.package_id : null, bufferMinutes,
+            duration ? duration.name : null, reason, clientIP
+        ]);
 
         console.log('Appointment created successfully:', result.insertId);
 
+        // Consent forms marked "ask on booking" can be signed before the visit
+        let consentUrl = null;
+        try {
+            const language = CONSENT_LANGUAGES[consent_language] ? consent_language : 'en';
+            const [bookingTemplates] = await db.execute(
+                'SELECT code FROM consent_templates WHERE language = ? AND active = 1 AND ask_on_booking = 1',
+                [language]
+            );
+            if (bookingTemplates.length > 0) {
+                const request = await createConsentRequest(db, {
+                    codes: bookingTemplates.map(template => template.code),
+                    language,
+                    channel: 'BOOKING',
+                    appointmentId: result.insertId
+                });
+                consentUrl = request.sign_url;
+            }
+        } catch (consentError) {
+            console.error('Failed to create booking consent request:', consentError);
+        }
+
         // Initialize response data
         let calendarEventId = null;
         let emailSent = false;
@@ -8696,7 +18215,7 @@ app.post('/api/public/book-appointment', async (req, res) => {
                     appointment_id: result.insertId,
                     appointment_date: appointment_date,
                     start_time: start_time,
-                    end_time: end_time,
+                    end_time: endTime,
                     patient_name: walk_in_name,
                     walk_in_name: walk_in_name,
                     patient_email: null, // Walk-ins don't have email - no calendar invite
@@ -8732,7 +18251,8 @@ app.post('/api/public/book-appointment', async (req, res) => {
             appointment_id: result.insertId,
             message: 'Appointment booked successfully',
             calendar_event_id: calendarEventId,
-            email_sent: emailSent
+            email_sent: emailSent,
+            consent_url: consentUrl
         });
     } catch (error) {
         console.error('Book appointment error:', error);
@@ -8834,19 +18354,28 @@ app.post('/api/admin/booking/packages', authenticateToken, authorize('ADMIN'), a
         const db = req.app.locals.db;
         const userId = req.session.userId;
         const {
-            package_name, package_code, price, duration_minutes,
+            package_name, package_code, price, duration_minutes, buffer_minutes,
             description, benefits, pain_zones, display_order,
             active, is_featured, is_best_value
         } = req.body;
 
+        const durationError = validateDurationFields({ duration_minutes, buffer_minutes });
+        if (durationError) {
+            return res.status(400).json({ error: durationError });
+        }
+        // An empty buffer falls back to the linked service's buffer
+        const packageBuffer = buffer_minutes === undefined || buffer_minutes === null || buffer_minutes === ''
+            ? null
+            : parseInt(buffer_minutes);
+
         const [result] = await db.execute(`
             INSERT INTO public_service_packages (
-                package_name, package_code, price, duration_minutes,
+                package_name, package_code, price, duration_minutes, buffer_minutes,
                 description, benefits, pain_zones, display_order,
                 active, is_featured, is_best_value, created_by
-            ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+            ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
         `, [
-            package_name, package_code, price, duration_minutes,
+            package_name, package_code, price, duration_minutes, packageBuffer,
             description, benefits, pain_zones, display_order,
             active, is_featured, is_best_value, userId
         ]);
@@ -8863,19 +18392,28 @@ app.put('/api/admin/booking/packages/:id', authenticateToken, authorize('ADMIN')
     try {
         const db = req.app.locals.db;
         const {
-            package_name, package_code, price, duration_minutes,
+            package_name, package_code, price, duration_minutes, buffer_minutes,
             description, benefits, pain_zones, display_order,
             active, is_featured, is_best_value
         } = req.body;
 
+        const durationError = validateDurationFields({ duration_minutes, buffer_minutes });
+        if (durationError) {
+            return res.status(400).json({ error: durationError });
+        }
+        // An empty buffer falls back to the linked service's buffer
+        const packageBuffer = buffer_minutes === undefined || buffer_minutes === null || buffer_minutes === ''
+            ? null
+            : parseInt(buffer_minutes);
+
         await db.execute(`
             UPDATE public_service_packages SET
-                package_name = ?, package_code = ?, price = ?, duration_minutes = ?,
+                package_name = ?, package_code = ?, price = ?, duration_minutes = ?, buffer_minutes = ?,
                 description = ?, benefits = ?, pain_zones = ?, display_order = ?,
                 active = ?, is_featured = ?, is_best_value = ?
             WHERE id = ?
         `, [
-            package_name, package_code, price, duration_minutes,
+            package_name, package_code, price, duration_minutes, packageBuffer,
             description, benefits, pain_zones, display_order,
             active, is_featured, is_best_value, req.params.id
         ]);
@@ -9200,7 +18738,7 @@ app.get('/api/document-settings', authenticateToken, authorize('ADMIN'), async (
         // Load all document settings
         const [settingsRows] = await db.execute(
             `SELECT setting_key, setting_value FROM system_settings
-             WHERE setting_key LIKE 'bill_%' OR setting_key LIKE 'pt_cert_%'`
+             WHERE setting_key LIKE 'bill_%' OR setting_key LIKE 'pt_cert_%' OR setting_key LIKE 'referral_letter_%'`
         );
 
         if (settingsRows.length === 0) {
@@ -9210,7 +18748,8 @@ app.get('/api/document-settings', authenticateToken, authorize('ADMIN'), async (
         // Reconstruct settings object
         const settings = {
             bill: {},
-            certificate: {}
+            certificate: {},
+            referral: {}
         };
 
         settingsRows.forEach(row => {
@@ -9238,6 +18777,9 @@ app.get('/api/document-settings', authenticateToken, authorize('ADMIN'), async (
                 else if (key === 'border_color') settings.certificate.borderColor = row.setting_value;
                 else if (key === 'doctor_name') settings.certificate.doctorName = row.setting_value;
                 else if (key === 'license_number') settings.certificate.license = row.setting_value;
+            } else if (row.setting_key.startsWith('referral_letter_')) {
+                const key = row.setting_key.replace('referral_letter_', '');
+                if (REFERRAL_LETTER_SETTINGS[key]) settings.referral[REFERRAL_LETTER_SETTINGS[key]] = row.setting_value;
             }
         });
 
@@ -9307,6 +18849,19 @@ app.post('/api/document-settings', authenticateToken, authorize('ADMIN'), async
             }
         }
 
+        // Save referral letter wording; blank fields fall back to the built-in text
+        if (settingsObj.referral) {
+            for (const [key, field] of Object.entries(REFERRAL_LETTER_SETTINGS)) {
+                const value = (settingsObj.referral[field] || '').trim();
+                await db.execute(
+                    `INSERT INTO system_settings (setting_key, setting_value, updated_at, updated_by)
+                     VALUES (?, ?, NOW(), ?)
+                     ON DUPLICATE KEY UPDATE setting_value = ?, updated_at = NOW(), updated_by = ?`,
+                    [`referral_letter_${key}`, value, req.user.id, value, req.user.id]
+                );
+            }
+        }
+
         res.json({ success: true, message: 'Settings saved successfully' });
     } catch (error) {
         console.error('Save document settings error:', error);
@@ -9554,7 +19109,7 @@ app.get('/documents/render/:templateType/:dataId', authenticateToken, async (req
 
             // Get latest SOAP note
             const [soapNotes] = await db.execute(
-                `SELECT subjective, objective, assessment, plan
+                `SELECT id, subjective, objective, assessment, plan
                  FROM pn_soap_notes
                  WHERE pn_id = ?
                  ORDER BY timestamp DESC
@@ -9562,6 +19117,22 @@ app.get('/documents/render/:templateType/:dataId', authenticateToken, async (req
                 [certificate.pn_id]
             );
 
+            // Codes of the physiotherapy diagnosis, falling back to the referral diagnosis
+            const caseCodes = (await getDiagnosisCodesByCase(db, [certificate.pn_id]))[certificate.pn_id];
+            const diagnosisCodes = ['pt_diagnosis', 'physio_diagnosis', 'diagnosis']
+                .map(field => caseCodes[field]).find(codes => codes.length > 0) || [];
+
+            // Body chart of that note, drawn as inline SVG
+            let bodyChartSvg = null;
+            if (soapNotes.length > 0) {
+                const marksByNote = await getBodyChartMarksByNote(db, [soapNotes[0].id]);
+                const marks = marksByNote[soapNotes[0].id] || [];
+                if (marks.length > 0) {
+                    bodyChartSvg = buildBodyChartSVG(marks, 180);
+                    soapNotes[0].body_chart = marks;
+                }
+            }
+
             data = {
                 certificate: {
                     id: certificate.id,
@@ -9593,7 +19164,10 @@ app.get('/documents/render/:templateType/:dataId', authenticateToken, async (req
                     doctor_name: settings.doctor_name || certificate.created_by_name,
                     license_number: settings.license_number || ''
                 },
-                soap: soapNotes.length > 0 ? soapNotes[0] : null
+                soap: soapNotes.length > 0 ? soapNotes[0] : null,
+                bodyChartSvg,
+                diagnosisCodes,
+                signature: await loadSignatureForHTML(db, certificate.signature_id, certificate.signed_at)
             };
             templateFile = 'document_pt_cert_template';
 
@@ -9631,6 +19205,11 @@ app.get('/patients', authenticateToken, (req, res) => {
     res.render('patients', { user: req.user });
 });
 
+// Clinical search
+app.get('/clinical-search', authenticateToken, (req, res) => {
+    res.render('clinical-search', { user: req.user });
+});
+
 // Patient registration
 app.get('/patient/register', authenticateToken, (req, res) => {
     res.render('patient-register', { user: req.user });
@@ -9701,4 +19280,39 @@ app.get('/admin/services', authenticateToken, authorize('ADMIN'), (req, res) =>
     res.render('admin/services', { user: req.user });
 });
 
+// Admin SOAP templates page
+app.get('/admin/soap-templates', authenticateToken, authorize('ADMIN'), (req, res) => {
+    res.render('admin/soap-templates', { user: req.user });
+});
+
+// Admin screening checklist page
+app.get('/admin/screening-questions', authenticateToken, authorize('ADMIN'), (req, res) => {
+    res.render('admin/screening-questions', { user: req.user });
+});
+
+// Admin consent templates page
+app.get('/admin/consent-templates', authenticateToken, authorize('ADMIN'), (req, res) => {
+    res.render('admin/consent-templates', { user: req.user });
+});
+
+// Admin opening hours and closures page
+app.get('/admin/clinic-calendar', authenticateToken, authorize('ADMIN'), (req, res) => {
+    res.render('admin/clinic-calendar', { user: req.user });
+});
+
+// Admin therapist schedules page
+app.get('/admin/therapist-schedules', authenticateToken, authorize('ADMIN'), (req, res) => {
+    res.render('admin/therapist-schedules', { user: req.user });
+});
+
+// Admin rooms and equipment page
+app.get('/admin/clinic-resources', authenticateToken, authorize('ADMIN'), (req, res) => {
+    res.render('admin/clinic-resources', { user: req.user });
+});
+
+// Admin exercise library page
+app.get('/admin/exercises', authenticateToken, authorize('ADMIN'), (req, res) => {
+    res.render('admin/exercises', { user: req.user });
+});
+
 module.exports = app;
\ No newline at end of file
@@ -23,6 +23,46 @@ SET time_zone = "+00:00";
 
 -- --------------------------------------------------------
 
+--
+-- Table structure for table `appointment_resources`
+--
+
+CREATE TABLE `appointment_resources` (
+  `id` int(11) NOT NULL,
+  `appointment_id` int(11) NOT NULL,
+  `resource_id` int(11) NOT NULL,
+  `created_at` timestamp NOT NULL DEFAULT current_timestamp()
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci COMMENT='Rooms and equipment reserved by an appointment';
+
+-- --------------------------------------------------------
+
+--
+-- Table structure for table `appointment_series`
+--
+
+CREATE TABLE `appointment_series` (
+  `id` int(11) NOT NULL,
+  `patient_id` int(11) NOT NULL,
+  `pt_id` int(11) DEFAULT NULL,
+  `clinic_id` int(11) NOT NULL,
+  `course_id` int(11) DEFAULT NULL COMMENT 'Course whose sessions the series books',
+  `service_id` int(11) DEFAULT NULL,
+  `weekdays` varchar(20) NOT NULL COMMENT 'Comma-separated weekdays, 0 = Sunday',
+  `start_time` time NOT NULL,
+  `end_time` time NOT NULL,
+  `start_date` date NOT NULL,
+  `occurrences` int(11) NOT NULL COMMENT 'Sessions booked when the series was created',
+  `status` enum('ACTIVE','CANCELLED') NOT NULL DEFAULT 'ACTIVE',
+  `appointment_type` varchar(100) DEFAULT NULL,
+  `reason` text DEFAULT NULL,
+  `notes` text DEFAULT NULL,
+  `created_by` int(11) NOT NULL,
+  `created_at` timestamp NOT NULL DEFAULT current_timestamp(),
+  `updated_at` timestamp NULL DEFAULT NULL ON UPDATE current_timestamp()
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci COMMENT='Recurring appointments booked in one action';
+
+-- --------------------------------------------------------
+
 --
 -- Table structure for table `appointments`
 --
@@ -50,6 +90,10 @@ CREATE TABLE `appointments` (
   `pn_case_id` int(11) DEFAULT NULL COMMENT 'Links to PN case if auto-created',
   `auto_created_pn` tinyint(1) DEFAULT 0 COMMENT 'Whether PN was auto-created from appointment',
   `course_id` int(11) DEFAULT NULL COMMENT 'Links to course for course cutting',
+  `service_id` int(11) DEFAULT NULL COMMENT 'Service booked, sets the default length',
+  `package_id` int(11) DEFAULT NULL COMMENT 'Public package booked online',
+  `buffer_minutes` int(11) NOT NULL DEFAULT 0 COMMENT 'Cleanup time blocked after end_time',
+  `series_id` int(11) DEFAULT NULL COMMENT 'Recurring series the appointment belongs to',
   `created_by` int(11) NOT NULL,
   `created_at` timestamp NOT NULL DEFAULT current_timestamp(),
   `updated_at` timestamp NULL DEFAULT NULL ON UPDATE current_timestamp(),
@@ -151,6 +195,199 @@ CREATE TABLE `certificate_settings` (
 
 -- --------------------------------------------------------
 
+--
+-- Table structure for table `clinic_closures`
+--
+
+CREATE TABLE `clinic_closures` (
+  `id` int(11) NOT NULL,
+  `clinic_id` int(11) DEFAULT NULL COMMENT 'NULL = all clinics',
+  `closure_type` enum('HOLIDAY','CLOSURE') NOT NULL DEFAULT 'CLOSURE' COMMENT 'All-clinic holidays are skipped by clinics open on holidays',
+  `name` varchar(200) NOT NULL,
+  `start_date` date NOT NULL,
+  `end_date` date NOT NULL,
+  `start_time` time DEFAULT NULL COMMENT 'Start and end time set = closed only for part of the day',
+  `end_time` time DEFAULT NULL,
+  `created_by` int(11) NOT NULL,
+  `created_at` timestamp NOT NULL DEFAULT current_timestamp()
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci COMMENT='Public holidays and ad-hoc closures (weather, maintenance)';
+
+-- --------------------------------------------------------
+
+--
+-- Table structure for table `clinic_opening_hours`
+--
+
+CREATE TABLE `clinic_opening_hours` (
+  `id` int(11) NOT NULL,
+  `clinic_id` int(11) NOT NULL,
+  `weekday` tinyint(1) NOT NULL COMMENT '0 = Sunday ... 6 = Saturday',
+  `open_time` time NOT NULL,
+  `close_time` time NOT NULL,
+  `created_by` int(11) NOT NULL,
+  `created_at` timestamp NOT NULL DEFAULT current_timestamp()
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci COMMENT='Opening hours per weekday; several rows per day for a midday break. Clinics without rows are not restricted';
+
+-- --------------------------------------------------------
+
+--
+-- Table structure for table `clinic_resources`
+--
+
+CREATE TABLE `clinic_resources` (
+  `id` int(11) NOT NULL,
+  `clinic_id` int(11) NOT NULL,
+  `resource_type` enum('ROOM','EQUIPMENT') NOT NULL COMMENT 'ROOM = treatment room or bed, EQUIPMENT = machine shared by therapists',
+  `name` varchar(100) NOT NULL,
+  `description` varchar(255) DEFAULT NULL,
+  `active` tinyint(1) NOT NULL DEFAULT 1,
+  `created_by` int(11) NOT NULL,
+  `created_at` timestamp NOT NULL DEFAULT current_timestamp(),
+  `updated_at` timestamp NULL DEFAULT NULL ON UPDATE current_timestamp()
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci COMMENT='Rooms, beds and equipment that appointments reserve';
+
+-- --------------------------------------------------------
+
+--
+-- Table structure for table `clinical_codes`
+--
+
+CREATE TABLE `clinical_codes` (
+  `id` int(11) NOT NULL,
+  `code_system` enum('ICD10','ICF') NOT NULL,
+  `code` varchar(16) NOT NULL COMMENT 'e.g. M54.5 (ICD-10) or b28013 (ICF)',
+  `title` varchar(255) NOT NULL,
+  `chapter` varchar(100) DEFAULT NULL COMMENT 'ICD-10 chapter or ICF component',
+  `keywords` varchar(255) DEFAULT NULL COMMENT 'Synonyms and Thai terms for the typeahead',
+  `active` tinyint(1) NOT NULL DEFAULT 1,
+  `created_at` timestamp NOT NULL DEFAULT current_timestamp(),
+  `updated_at` timestamp NULL DEFAULT NULL ON UPDATE current_timestamp()
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci COMMENT='ICD-10 diagnosis and ICF body function/activity codes';
+
+--
+-- Dumping data for table `clinical_codes`
+--
+
+INSERT INTO `clinical_codes` (`id`, `code_system`, `code`, `title`, `chapter`, `keywords`, `active`, `created_at`, `updated_at`) VALUES
+(1, 'ICD10', 'G20', 'Parkinson disease', 'Nervous system (G)', 'PD, พาร์กินสัน', 1, '2026-10-19 09:00:00', NULL),
+(2, 'ICD10', 'G35', 'Multiple sclerosis', 'Nervous system (G)', 'MS', 1, '2026-10-19 09:00:00', NULL),
+(3, 'ICD10', 'G51.0', 'Bell palsy', 'Nervous system (G)', 'facial palsy, ใบหน้าอัมพาต', 1, '2026-10-19 09:00:00', NULL),
+(4, 'ICD10', 'G56.0', 'Carpal tunnel syndrome', 'Nervous system (G)', 'CTS, มือชา', 1, '2026-10-19 09:00:00', NULL),
+(5, 'ICD10', 'G80.9', 'Cerebral palsy, unspecified', 'Nervous system (G)', 'CP', 1, '2026-10-19 09:00:00', NULL),
+(6, 'ICD10', 'G81.9', 'Hemiplegia, unspecified', 'Nervous system (G)', 'อัมพาตครึ่งซีก', 1, '2026-10-19 09:00:00', NULL),
+(7, 'ICD10', 'G82.2', 'Paraplegia, unspecified', 'Nervous system (G)', 'SCI, อัมพาตครึ่งท่อนล่าง', 1, '2026-10-19 09:00:00', NULL),
+(8, 'ICD10', 'I63.9', 'Cerebral infarction, unspecified', 'Circulatory system (I)', 'stroke, CVA, โรคหลอดเลือดสมอง', 1, '2026-10-19 09:00:00', NULL),
+(9, 'ICD10', 'I69.3', 'Sequelae of cerebral infarction', 'Circulatory system (I)', 'post-stroke, stroke rehab', 1, '2026-10-19 09:00:00', NULL),
+(10, 'ICD10', 'J44.9', 'Chronic obstructive pulmonary disease, unspecified', 'Respiratory system (J)', 'COPD, ถุงลมโป่งพอง', 1, '2026-10-19 09:00:00', NULL),
+(11, 'ICD10', 'M16.1', 'Other primary coxarthrosis', 'Musculoskeletal system (M)', 'hip OA, ข้อสะโพกเสื่อม', 1, '2026-10-19 09:00:00', NULL),
+(12, 'ICD10', 'M17.1', 'Other primary gonarthrosis', 'Musculoskeletal system (M)', 'knee OA, ข้อเข่าเสื่อม', 1, '2026-10-19 09:00:00', NULL),
+(13, 'ICD10', 'M19.0', 'Primary arthrosis of other joints', 'Musculoskeletal system (M)', 'OA, osteoarthritis', 1, '2026-10-19 09:00:00', NULL),
+(14, 'ICD10', 'M22.2', 'Patellofemoral disorders', 'Musculoskeletal system (M)', 'PFPS, patellofemoral pain', 1, '2026-10-19 09:00:00', NULL),
+(15, 'ICD10', 'M23.2', 'Derangement of meniscus due to old tear or injury', 'Musculoskeletal system (M)', 'meniscus, หมอนรองเข่า', 1, '2026-10-19 09:00:00', NULL),
+(16, 'ICD10', 'M24.5', 'Contracture of joint', 'Musculoskeletal system (M)', 'ข้อติด', 1, '2026-10-19 09:00:00', NULL),
+(17, 'ICD10', 'M25.5', 'Pain in joint', 'Musculoskeletal system (M)', 'arthralgia, ปวดข้อ', 1, '2026-10-19 09:00:00', NULL),
+(18, 'ICD10', 'M40.2', 'Other and unspecified kyphosis', 'Musculoskeletal system (M)', 'หลังค่อม', 1, '2026-10-19 09:00:00', NULL),
+(19, 'ICD10', 'M41.1', 'Juvenile idiopathic scoliosis', 'Musculoskeletal system (M)', 'scoliosis, กระดูกสันหลังคด', 1, '2026-10-19 09:00:00', NULL),
+(20, 'ICD10', 'M43.6', 'Torticollis', 'Musculoskeletal system (M)', 'wry neck, คอเอียง', 1, '2026-10-19 09:00:00', NULL),
+(21, 'ICD10', 'M47.8', 'Other spondylosis', 'Musculoskeletal system (M)', 'spondylosis, กระดูกสันหลังเสื่อม', 1, '2026-10-19 09:00:00', NULL),
+(22, 'ICD10', 'M48.0', 'Spinal stenosis', 'Musculoskeletal system (M)', 'โพรงกระดูกสันหลังตีบ', 1, '2026-10-19 09:00:00', NULL),
+(23, 'ICD10', 'M50.1', 'Cervical disc disorder with radiculopathy', 'Musculoskeletal system (M)', 'cervical radiculopathy, หมอนรองกระดูกคอ', 1, '2026-10-19 09:00:00', NULL),
+(24, 'ICD10', 'M51.1', 'Lumbar and other intervertebral disc disorders with radiculopathy', 'Musculoskeletal system (M)', 'lumbar radiculopathy', 1, '2026-10-19 09:00:00', NULL),
+(25, 'ICD10', 'M51.2', 'Other specified intervertebral disc displacement', 'Musculoskeletal system (M)', 'HNP, herniated disc, หมอนรองกระดูกทับเส้นประสาท', 1, '2026-10-19 09:00:00', NULL),
+(26, 'ICD10', 'M53.1', 'Cervicobrachial syndrome', 'Musculoskeletal system (M)', 'neck and arm pain', 1, '2026-10-19 09:00:00', NULL),
+(27, 'ICD10', 'M54.1', 'Radiculopathy', 'Musculoskeletal system (M)', 'nerve root pain, ปวดร้าว', 1, '2026-10-19 09:00:00', NULL),
+(28, 'ICD10', 'M54.2', 'Cervicalgia', 'Musculoskeletal system (M)', 'neck pain, ปวดคอ', 1, '2026-10-19 09:00:00', NULL),
+(29, 'ICD10', 'M54.3', 'Sciatica', 'Musculoskeletal system (M)', 'ปวดร้าวลงขา', 1, '2026-10-19 09:00:00', NULL),
+(30, 'ICD10', 'M54.4', 'Lumbago with sciatica', 'Musculoskeletal system (M)', 'LBP with sciatica', 1, '2026-10-19 09:00:00', NULL),
+(31, 'ICD10', 'M54.5', 'Low back pain', 'Musculoskeletal system (M)', 'LBP, lumbago, ปวดหลังส่วนล่าง', 1, '2026-10-19 09:00:00', NULL),
+(32, 'ICD10', 'M54.6', 'Pain in thoracic spine', 'Musculoskeletal system (M)', 'upper back pain, ปวดหลังส่วนบน', 1, '2026-10-19 09:00:00', NULL),
+(33, 'ICD10', 'M62.4', 'Contracture of muscle', 'Musculoskeletal system (M)', 'กล้ามเนื้อหดสั้น', 1, '2026-10-19 09:00:00', NULL),
+(34, 'ICD10', 'M62.8', 'Other specified disorders of muscle', 'Musculoskeletal system (M)', 'muscle strain, muscle weakness', 1, '2026-10-19 09:00:00', NULL),
+(35, 'ICD10', 'M65.3', 'Trigger finger', 'Musculoskeletal system (M)', 'นิ้วล็อก', 1, '2026-10-19 09:00:00', NULL),
+(36, 'ICD10', 'M65.4', 'Radial styloid tenosynovitis [de Quervain]', 'Musculoskeletal system (M)', 'de Quervain, เอ็นข้อมืออักเสบ', 1, '2026-10-19 09:00:00', NULL),
+(37, 'ICD10', 'M70.6', 'Trochanteric bursitis', 'Musculoskeletal system (M)', 'hip bursitis', 1, '2026-10-19 09:00:00', NULL),
+(38, 'ICD10', 'M72.2', 'Plantar fascial fibromatosis', 'Musculoskeletal system (M)', 'plantar fasciitis, รองช้ำ', 1, '2026-10-19 09:00:00', NULL),
+(39, 'ICD10', 'M75.0', 'Adhesive capsulitis of shoulder', 'Musculoskeletal system (M)', 'frozen shoulder, ไหล่ติด', 1, '2026-10-19 09:00:00', NULL),
+(40, 'ICD10', 'M75.1', 'Rotator cuff syndrome', 'Musculoskeletal system (M)', 'rotator cuff tear, เอ็นหัวไหล่', 1, '2026-10-19 09:00:00', NULL),
+(41, 'ICD10', 'M75.4', 'Impingement syndrome of shoulder', 'Musculoskeletal system (M)', 'shoulder impingement', 1, '2026-10-19 09:00:00', NULL),
+(42, 'ICD10', 'M76.6', 'Achilles tendinitis', 'Musculoskeletal system (M)', 'เอ็นร้อยหวายอักเสบ', 1, '2026-10-19 09:00:00', NULL),
+(43, 'ICD10', 'M77.1', 'Lateral epicondylitis', 'Musculoskeletal system (M)', 'tennis elbow, ข้อศอกอักเสบ', 1, '2026-10-19 09:00:00', NULL),
+(44, 'ICD10', 'M79.1', 'Myalgia', 'Musculoskeletal system (M)', 'office syndrome, myofascial pain, ปวดกล้ามเนื้อ', 1, '2026-10-19 09:00:00', NULL),
+(45, 'ICD10', 'M79.6', 'Pain in limb', 'Musculoskeletal system (M)', 'ปวดแขน, ปวดขา', 1, '2026-10-19 09:00:00', NULL),
+(46, 'ICD10', 'M81.0', 'Postmenopausal osteoporosis', 'Musculoskeletal system (M)', 'กระดูกพรุน', 1, '2026-10-19 09:00:00', NULL),
+(47, 'ICD10', 'R26.2', 'Difficulty in walking, not elsewhere classified', 'Symptoms and signs (R)', 'เดินลำบาก', 1, '2026-10-19 09:00:00', NULL),
+(48, 'ICD10', 'R26.8', 'Other and unspecified abnormalities of gait and mobility', 'Symptoms and signs (R)', 'gait abnormality, balance', 1, '2026-10-19 09:00:00', NULL),
+(49, 'ICD10', 'R29.6', 'Tendency to fall, not elsewhere classified', 'Symptoms and signs (R)', 'falls, หกล้มบ่อย', 1, '2026-10-19 09:00:00', NULL),
+(50, 'ICD10', 'S13.4', 'Sprain and strain of cervical spine', 'Injury (S)', 'whiplash', 1, '2026-10-19 09:00:00', NULL),
+(51, 'ICD10', 'S33.5', 'Sprain and strain of lumbar spine', 'Injury (S)', 'back strain, หลังเคล็ด', 1, '2026-10-19 09:00:00', NULL),
+(52, 'ICD10', 'S42.2', 'Fracture of upper end of humerus', 'Injury (S)', 'proximal humerus fracture', 1, '2026-10-19 09:00:00', NULL),
+(53, 'ICD10', 'S43.4', 'Sprain and strain of shoulder joint', 'Injury (S)', 'shoulder sprain', 1, '2026-10-19 09:00:00', NULL),
+(54, 'ICD10', 'S52.5', 'Fracture of lower end of radius', 'Injury (S)', 'distal radius fracture, Colles', 1, '2026-10-19 09:00:00', NULL),
+(55, 'ICD10', 'S72.0', 'Fracture of neck of femur', 'Injury (S)', 'hip fracture, สะโพกหัก', 1, '2026-10-19 09:00:00', NULL),
+(56, 'ICD10', 'S82.6', 'Fracture of lateral malleolus', 'Injury (S)', 'ankle fracture', 1, '2026-10-19 09:00:00', NULL),
+(57, 'ICD10', 'S83.2', 'Tear of meniscus, current', 'Injury (S)', 'meniscus tear, หมอนรองเข่าฉีก', 1, '2026-10-19 09:00:00', NULL),
+(58, 'ICD10', 'S83.5', 'Sprain and strain involving (anterior)(posterior) cruciate ligament of knee', 'Injury (S)', 'ACL, PCL, เอ็นไขว้หน้าเข่า', 1, '2026-10-19 09:00:00', NULL),
+(59, 'ICD10', 'S93.4', 'Sprain and strain of ankle', 'Injury (S)', 'ankle sprain, ข้อเท้าพลิก', 1, '2026-10-19 09:00:00', NULL),
+(60, 'ICD10', 'Z47.8', 'Other specified orthopaedic follow-up care', 'Health services (Z)', 'post-operative rehabilitation', 1, '2026-10-19 09:00:00', NULL),
+(61, 'ICD10', 'Z50.1', 'Other physical therapy', 'Health services (Z)', 'physiotherapy, กายภาพบำบัด', 1, '2026-10-19 09:00:00', NULL),
+(62, 'ICD10', 'Z96.6', 'Presence of orthopaedic joint implants', 'Health services (Z)', 'TKA, THA, joint replacement, ผ่าตัดเปลี่ยนข้อ', 1, '2026-10-19 09:00:00', NULL),
+(63, 'ICF', 'b134', 'Sleep functions', 'Body functions (b)', 'sleep, การนอน', 1, '2026-10-19 09:00:00', NULL),
+(64, 'ICF', 'b260', 'Proprioceptive function', 'Body functions (b)', 'proprioception', 1, '2026-10-19 09:00:00', NULL),
+(65, 'ICF', 'b265', 'Touch function', 'Body functions (b)', 'sensation, ชา', 1, '2026-10-19 09:00:00', NULL),
+(66, 'ICF', 'b280', 'Sensation of pain', 'Body functions (b)', 'pain, ปวด', 1, '2026-10-19 09:00:00', NULL),
+(67, 'ICF', 'b28010', 'Pain in head and neck', 'Body functions (b)', 'neck pain, headache', 1, '2026-10-19 09:00:00', NULL),
+(68, 'ICF', 'b28013', 'Pain in back', 'Body functions (b)', 'back pain, ปวดหลัง', 1, '2026-10-19 09:00:00', NULL),
+(69, 'ICF', 'b28014', 'Pain in upper limb', 'Body functions (b)', 'arm pain, shoulder pain', 1, '2026-10-19 09:00:00', NULL),
+(70, 'ICF', 'b28015', 'Pain in lower limb', 'Body functions (b)', 'leg pain, knee pain', 1, '2026-10-19 09:00:00', NULL),
+(71, 'ICF', 'b28016', 'Pain in joints', 'Body functions (b)', 'joint pain', 1, '2026-10-19 09:00:00', NULL),
+(72, 'ICF', 'b440', 'Respiration functions', 'Body functions (b)', 'breathing', 1, '2026-10-19 09:00:00', NULL),
+(73, 'ICF', 'b455', 'Exercise tolerance functions', 'Body functions (b)', 'endurance, fitness', 1, '2026-10-19 09:00:00', NULL),
+(74, 'ICF', 'b710', 'Mobility of joint functions', 'Body functions (b)', 'ROM, range of motion', 1, '2026-10-19 09:00:00', NULL),
+(75, 'ICF', 'b715', 'Stability of joint functions', 'Body functions (b)', 'joint instability', 1, '2026-10-19 09:00:00', NULL),
+(76, 'ICF', 'b730', 'Muscle power functions', 'Body functions (b)', 'strength, weakness, กำลังกล้ามเนื้อ', 1, '2026-10-19 09:00:00', NULL),
+(77, 'ICF', 'b735', 'Muscle tone functions', 'Body functions (b)', 'spasticity, hypotonia', 1, '2026-10-19 09:00:00', NULL),
+(78, 'ICF', 'b740', 'Muscle endurance functions', 'Body functions (b)', 'fatigue', 1, '2026-10-19 09:00:00', NULL),
+(79, 'ICF', 'b750', 'Motor reflex functions', 'Body functions (b)', 'reflexes', 1, '2026-10-19 09:00:00', NULL),
+(80, 'ICF', 'b755', 'Involuntary movement reaction functions', 'Body functions (b)', 'balance reactions', 1, '2026-10-19 09:00:00', NULL),
+(81, 'ICF', 'b760', 'Control of voluntary movement functions', 'Body functions (b)', 'coordination', 1, '2026-10-19 09:00:00', NULL),
+(82, 'ICF', 'b770', 'Gait pattern functions', 'Body functions (b)', 'gait, การเดิน', 1, '2026-10-19 09:00:00', NULL),
+(83, 'ICF', 'b780', 'Sensations related to muscles and movement functions', 'Body functions (b)', 'stiffness, muscle tightness', 1, '2026-10-19 09:00:00', NULL),
+(84, 'ICF', 'd410', 'Changing basic body position', 'Activities and participation (d)', 'sit to stand, bed mobility', 1, '2026-10-19 09:00:00', NULL),
+(85, 'ICF', 'd415', 'Maintaining a body position', 'Activities and participation (d)', 'sitting tolerance, standing tolerance', 1, '2026-10-19 09:00:00', NULL),
+(86, 'ICF', 'd420', 'Transferring oneself', 'Activities and participation (d)', 'transfers', 1, '2026-10-19 09:00:00', NULL),
+(87, 'ICF', 'd430', 'Lifting and carrying objects', 'Activities and participation (d)', 'lifting', 1, '2026-10-19 09:00:00', NULL),
+(88, 'ICF', 'd440', 'Fine hand use', 'Activities and participation (d)', 'grip, hand function', 1, '2026-10-19 09:00:00', NULL),
+(89, 'ICF', 'd445', 'Hand and arm use', 'Activities and participation (d)', 'reaching, overhead', 1, '2026-10-19 09:00:00', NULL),
+(90, 'ICF', 'd450', 'Walking', 'Activities and participation (d)', 'walking distance, เดิน', 1, '2026-10-19 09:00:00', NULL),
+(91, 'ICF', 'd455', 'Moving around', 'Activities and participation (d)', 'stairs, running', 1, '2026-10-19 09:00:00', NULL),
+(92, 'ICF', 'd465', 'Moving around using equipment', 'Activities and participation (d)', 'wheelchair, walker', 1, '2026-10-19 09:00:00', NULL),
+(93, 'ICF', 'd470', 'Using transportation', 'Activities and participation (d)', 'bus, car passenger', 1, '2026-10-19 09:00:00', NULL),
+(94, 'ICF', 'd475', 'Driving', 'Activities and participation (d)', 'driving', 1, '2026-10-19 09:00:00', NULL),
+(95, 'ICF', 'd510', 'Washing oneself', 'Activities and participation (d)', 'bathing', 1, '2026-10-19 09:00:00', NULL),
+(96, 'ICF', 'd540', 'Dressing', 'Activities and participation (d)', 'dressing', 1, '2026-10-19 09:00:00', NULL),
+(97, 'ICF', 'd640', 'Doing housework', 'Activities and participation (d)', 'housework, งานบ้าน', 1, '2026-10-19 09:00:00', NULL),
+(98, 'ICF', 'd850', 'Remunerative employment', 'Activities and participation (d)', 'work, return to work', 1, '2026-10-19 09:00:00', NULL),
+(99, 'ICF', 'd920', 'Recreation and leisure', 'Activities and participation (d)', 'sport, hobbies', 1, '2026-10-19 09:00:00', NULL);
+
+-- --------------------------------------------------------
+
+--
+-- Table structure for table `clinical_note_addenda`
+--
+
+CREATE TABLE `clinical_note_addenda` (
+  `id` int(11) NOT NULL,
+  `pn_id` int(11) NOT NULL,
+  `record_type` enum('SOAP_NOTE','VISIT','PN_CASE') NOT NULL COMMENT 'pn_soap_notes, pn_visits or pn_cases',
+  `record_id` int(11) NOT NULL,
+  `reason` text NOT NULL,
+  `changes` longtext CHARACTER SET utf8mb4 COLLATE utf8mb4_bin NOT NULL COMMENT 'JSON array of { field, from, to }' CHECK (json_valid(`changes`)),
+  `created_by` int(11) NOT NULL,
+  `created_at` timestamp NOT NULL DEFAULT current_timestamp()
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci COMMENT='Corrections to signed clinical records; the original rows are never changed';
+
+-- --------------------------------------------------------
+
 --
 -- Table structure for table `clinics`
 --
@@ -164,6 +401,7 @@ CREATE TABLE `clinics` (
   `email` varchar(100) DEFAULT NULL,
   `contact_person` varchar(100) DEFAULT NULL,
   `active` tinyint(1) DEFAULT 1,
+  `open_on_holidays` tinyint(1) NOT NULL DEFAULT 0 COMMENT 'Ignore public holidays set for all clinics',
   `created_at` timestamp NOT NULL DEFAULT current_timestamp(),
   `updated_at` timestamp NULL DEFAULT NULL ON UPDATE current_timestamp()
 ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
@@ -196,6 +434,44 @@ CREATE TABLE `clinic_service_pricing` (
 
 -- --------------------------------------------------------
 
+--
+-- Table structure for table `consent_templates`
+--
+
+CREATE TABLE `consent_templates` (
+  `id` int(11) NOT NULL,
+  `code` enum('TREATMENT','DRY_NEEDLING','PDPA','PHOTO') NOT NULL,
+  `language` enum('th','en','zh') NOT NULL DEFAULT 'en',
+  `title` varchar(200) NOT NULL,
+  `body` text NOT NULL,
+  `version` int(11) NOT NULL DEFAULT 1 COMMENT 'Raised on every text change; signed forms keep the version they saw',
+  `ask_on_booking` tinyint(1) NOT NULL DEFAULT 0 COMMENT 'Sent to patients who book online',
+  `active` tinyint(1) NOT NULL DEFAULT 1,
+  `updated_by` int(11) DEFAULT NULL,
+  `created_at` timestamp NOT NULL DEFAULT current_timestamp(),
+  `updated_at` timestamp NULL DEFAULT NULL ON UPDATE current_timestamp()
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci COMMENT='Informed consent form text, one row per form and language';
+
+--
+-- Dumping data for table `consent_templates`
+--
+
+INSERT INTO `consent_templates` (`id`, `code`, `language`, `title`, `body`, `version`, `ask_on_booking`, `active`, `updated_by`, `created_at`, `updated_at`) VALUES
+(1, 'TREATMENT', 'en', 'Consent to Physiotherapy Assessment and Treatment', 'I agree to a physiotherapy assessment and to the treatment my physiotherapist recommends, which may include exercise, manual therapy, electrotherapy, heat or cold, and taping.\n\nThe physiotherapist has explained the purpose of the treatment, what to expect, and its usual risks, such as temporary soreness, bruising or a short-term increase in symptoms. I understand that results are not guaranteed.\n\nI have told the physiotherapist about my medical conditions, medicines, pregnancy, implants and previous injuries, and I will report any change. I may ask questions, refuse any part of the treatment, or withdraw this consent at any time.', 1, 1, 1, NULL, '2026-10-19 09:00:00', NULL),
+(2, 'TREATMENT', 'th', 'หนังสือแสดงความยินยอมรับการตรวจประเมินและการรักษาทางกายภาพบำบัด', 'ข้าพเจ้ายินยอมรับการตรวจประเมินทางกายภาพบำบัด และการรักษาตามที่นักกายภาพบำบัดแนะนำ ซึ่งอาจรวมถึงการออกกำลังกาย การรักษาด้วยมือ เครื่องมือไฟฟ้า ความร้อนหรือความเย็น และการติดเทป\n\nนักกายภาพบำบัดได้อธิบายวัตถุประสงค์ของการรักษา สิ่งที่จะเกิดขึ้น และความเสี่ยงที่พบได้ เช่น อาการปวดเมื่อยชั่วคราว รอยช้ำ หรืออาการที่เพิ่มขึ้นในระยะสั้น ข้าพเจ้าเข้าใจว่าไม่สามารถรับประกันผลการรักษาได้\n\nข้าพเจ้าได้แจ้งโรคประจำตัว ยาที่ใช้ การตั้งครรภ์ อุปกรณ์ฝังในร่างกาย และการบาดเจ็บในอดีตแล้ว และจะแจ้งหากมีการเปลี่ยนแปลง ข้าพเจ้าสามารถสอบถาม ปฏิเสธการรักษาส่วนใดก็ได้ หรือถอนความยินยอมนี้ได้ทุกเมื่อ', 1, 1, 1, NULL, '2026-10-19 09:00:00', NULL),
+(3, 'TREATMENT', 'zh', '物理治疗评估与治疗知情同意书', '本人同意接受物理治疗评估，以及物理治疗师建议的治疗，可能包括运动训练、手法治疗、电疗、热敷或冷敷及贴扎。\n\n物理治疗师已向本人说明治疗目的、治疗过程及常见风险，例如暂时性酸痛、瘀青或症状短期加重。本人了解治疗效果无法保证。\n\n本人已告知自身疾病、用药、怀孕情况、体内植入物及既往伤病，如有变化将及时告知。本人可随时提问、拒绝任何部分的治疗或撤回本同意。', 1, 1, 1, NULL, '2026-10-19 09:00:00', NULL),
+(4, 'DRY_NEEDLING', 'en', 'Consent to Dry Needling', 'Dry needling uses thin, sterile, single-use needles inserted into muscle to reduce pain and muscle tension. No medicine is injected.\n\nCommon effects are soreness, bruising and brief bleeding at the needle site, and tiredness or light-headedness after treatment. Rare risks include fainting, infection, nerve irritation and, when needling near the chest wall, pneumothorax (collapsed lung).\n\nI have told the physiotherapist if I am pregnant, take blood thinners, have a bleeding disorder, a fear of needles, an implant or a weakened immune system. I agree to dry needling and understand I can ask for it to stop at any time.', 1, 1, 1, NULL, '2026-10-19 09:00:00', NULL),
+(5, 'DRY_NEEDLING', 'th', 'หนังสือแสดงความยินยอมรับการรักษาด้วยการฝังเข็มแบบแห้ง (Dry Needling)', 'การฝังเข็มแบบแห้งใช้เข็มขนาดเล็ก ปลอดเชื้อ และใช้ครั้งเดียว แทงเข้าไปในกล้ามเนื้อเพื่อลดอาการปวดและความตึงของกล้ามเนื้อ โดยไม่มีการฉีดยา\n\nผลที่พบได้บ่อย ได้แก่ อาการปวดระบม รอยช้ำ เลือดออกเล็กน้อยบริเวณที่แทงเข็ม และอาการอ่อนเพลียหรือเวียนศีรษะหลังการรักษา ความเสี่ยงที่พบได้น้อย ได้แก่ เป็นลม การติดเชื้อ การระคายเคืองเส้นประสาท และภาวะลมรั่วในช่องเยื่อหุ้มปอดเมื่อแทงเข็มบริเวณทรวงอก\n\nข้าพเจ้าได้แจ้งนักกายภาพบำบัดแล้วหากตั้งครรภ์ ใช้ยาต้านการแข็งตัวของเลือด มีภาวะเลือดออกง่าย กลัวเข็ม มีอุปกรณ์ฝังในร่างกาย หรือมีภูมิคุ้มกันบกพร่อง ข้าพเจ้ายินยอมรับการฝังเข็มแบบแห้ง และเข้าใจว่าสามารถขอให้หยุดได้ทุกเมื่อ', 1, 1, 1, NULL, '2026-10-19 09:00:00', NULL),
+(6, 'DRY_NEEDLING', 'zh', '干针治疗知情同意书', '干针治疗使用细小、无菌、一次性的针刺入肌肉，以减轻疼痛和肌肉紧张，不注射任何药物。\n\n常见反应包括针刺部位酸痛、瘀青、少量出血，以及治疗后疲倦或头晕。罕见风险包括晕厥、感染、神经刺激，以及在胸壁附近针刺时发生气胸。\n\n如本人怀孕、服用抗凝血药物、有出血性疾病、惧怕针刺、体内有植入物或免疫力低下，已告知物理治疗师。本人同意接受干针治疗，并了解可随时要求停止。', 1, 1, 1, NULL, '2026-10-19 09:00:00', NULL),
+(7, 'PDPA', 'en', 'Consent to Collect and Use Personal Data (PDPA)', 'Under the Personal Data Protection Act B.E. 2562 (2019), I allow the clinic to collect, use and keep my personal data and health information to assess and treat me, schedule appointments, issue bills, receipts and medical certificates, and contact me about my care.\n\nMy data may be shared with the referring physician or clinic, and with my insurer when I ask for a claim. It is kept for as long as medical records must be kept by law.\n\nI may ask to see, correct or receive a copy of my data, and may withdraw this consent at any time, except where the law requires the clinic to keep the records.', 1, 1, 1, NULL, '2026-10-19 09:00:00', NULL),
+(8, 'PDPA', 'th', 'หนังสือให้ความยินยอมในการเก็บรวบรวมและใช้ข้อมูลส่วนบุคคล (PDPA)', 'ตามพระราชบัญญัติคุ้มครองข้อมูลส่วนบุคคล พ.ศ. 2562 ข้าพเจ้ายินยอมให้คลินิกเก็บรวบรวม ใช้ และเก็บรักษาข้อมูลส่วนบุคคลและข้อมูลสุขภาพของข้าพเจ้า เพื่อการตรวจประเมินและการรักษา การนัดหมาย การออกใบแจ้งหนี้ ใบเสร็จ และใบรับรองแพทย์ และการติดต่อเกี่ยวกับการดูแลรักษา\n\nข้อมูลอาจถูกเปิดเผยแก่แพทย์หรือคลินิกที่ส่งตัว และบริษัทประกันเมื่อข้าพเจ้าขอเบิกค่ารักษา โดยจะเก็บรักษาไว้ตามระยะเวลาที่กฎหมายกำหนดสำหรับเวชระเบียน\n\nข้าพเจ้ามีสิทธิขอเข้าถึง แก้ไข หรือขอรับสำเนาข้อมูล และสามารถถอนความยินยอมได้ทุกเมื่อ เว้นแต่กรณีที่กฎหมายกำหนดให้คลินิกต้องเก็บรักษาข้อมูลไว้', 1, 1, 1, NULL, '2026-10-19 09:00:00', NULL),
+(9, 'PDPA', 'zh', '个人资料收集与使用同意书（PDPA）', '根据泰国《2019年个人资料保护法》（佛历2562年），本人同意诊所收集、使用和保存本人的个人资料及健康信息，用于评估与治疗、预约安排、开具账单、收据和医疗证明，以及就治疗事宜与本人联系。\n\n本人资料可能会提供给转诊医生或诊所，以及在本人申请理赔时提供给保险公司，并按法律规定的病历保存期限保存。\n\n本人有权查阅、更正或索取资料副本，并可随时撤回本同意，但法律要求诊所保存的记录除外。', 1, 1, 1, NULL, '2026-10-19 09:00:00', NULL),
+(10, 'PHOTO', 'en', 'Consent to Clinical Photographs and Video', 'I allow the clinic to take photographs or video of me during assessment and treatment to record posture, movement, wounds or progress.\n\nThe images are stored with my medical record and are only seen by the staff caring for me. They will not be used for teaching, publications or marketing unless I give separate written consent, and my face will be hidden where possible.\n\nI may decline photographs without affecting my treatment, and may withdraw this consent at any time.', 1, 0, 1, NULL, '2026-10-19 09:00:00', NULL),
+(11, 'PHOTO', 'th', 'หนังสือแสดงความยินยอมในการถ่ายภาพและวิดีโอทางคลินิก', 'ข้าพเจ้ายินยอมให้คลินิกถ่ายภาพหรือวิดีโอระหว่างการตรวจประเมินและการรักษา เพื่อบันทึกท่าทาง การเคลื่อนไหว บาดแผล หรือความก้าวหน้าของการรักษา\n\nภาพจะถูกเก็บไว้ในเวชระเบียนและเปิดดูได้เฉพาะเจ้าหน้าที่ที่ดูแลข้าพเจ้าเท่านั้น จะไม่นำไปใช้เพื่อการสอน การตีพิมพ์ หรือการตลาด เว้นแต่ข้าพเจ้าให้ความยินยอมเป็นลายลักษณ์อักษรแยกต่างหาก และจะปิดบังใบหน้าเมื่อทำได้\n\nข้าพเจ้าสามารถปฏิเสธการถ่ายภาพได้โดยไม่มีผลต่อการรักษา และสามารถถอนความยินยอมได้ทุกเมื่อ', 1, 0, 1, NULL, '2026-10-19 09:00:00', NULL),
+(12, 'PHOTO', 'zh', '临床照片及视频拍摄同意书', '本人同意诊所在评估和治疗期间为本人拍摄照片或视频，用于记录姿势、动作、伤口或治疗进展。\n\n影像将与本人病历一起保存，仅供负责本人治疗的工作人员查看。除非本人另行书面同意，不会用于教学、出版或宣传，并会尽可能遮挡面部。\n\n本人可拒绝拍摄且不影响治疗，并可随时撤回本同意。', 1, 0, 1, NULL, '2026-10-19 09:00:00', NULL);
+
+-- --------------------------------------------------------
+
 --
 -- Table structure for table `courses`
 --
@@ -262,6 +538,29 @@ CREATE TABLE `course_usage_history` (
 
 -- --------------------------------------------------------
 
+--
+-- Table structure for table `exercises`
+--
+
+CREATE TABLE `exercises` (
+  `id` int(11) NOT NULL,
+  `name` varchar(150) NOT NULL,
+  `body_region` varchar(30) NOT NULL DEFAULT 'GENERAL' COMMENT 'NECK, SHOULDER, ELBOW, WRIST_HAND, UPPER_BACK, LOWER_BACK, HIP, KNEE, ANKLE_FOOT, CORE, GENERAL',
+  `instructions` text NOT NULL,
+  `image_url` varchar(500) DEFAULT NULL,
+  `default_sets` int(11) DEFAULT NULL,
+  `default_reps` int(11) DEFAULT NULL,
+  `default_hold_seconds` int(11) DEFAULT NULL,
+  `default_frequency` varchar(100) DEFAULT NULL COMMENT 'e.g. 2 times a day',
+  `active` tinyint(1) NOT NULL DEFAULT 1,
+  `created_by` int(11) NOT NULL,
+  `updated_by` int(11) DEFAULT NULL,
+  `created_at` timestamp NOT NULL DEFAULT current_timestamp(),
+  `updated_at` timestamp NULL DEFAULT NULL ON UPDATE current_timestamp()
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci COMMENT='Home exercise library';
+
+-- --------------------------------------------------------
+
 --
 -- Table structure for table `gift_cards`
 --
@@ -378,6 +677,40 @@ CREATE TABLE `notification_settings` (
 
 -- --------------------------------------------------------
 
+--
+-- Table structure for table `patient_consents`
+--
+
+CREATE TABLE `patient_consents` (
+  `id` int(11) NOT NULL,
+  `request_token` varchar(64) NOT NULL COMMENT 'Signing link; shared by the forms requested together',
+  `token_expires_at` datetime NOT NULL,
+  `patient_id` int(11) DEFAULT NULL COMMENT 'NULL until an online booking is linked to a patient',
+  `appointment_id` int(11) DEFAULT NULL,
+  `pn_id` int(11) DEFAULT NULL COMMENT 'Case the signed PDF is attached to',
+  `consent_code` enum('TREATMENT','DRY_NEEDLING','PDPA','PHOTO') NOT NULL,
+  `language` enum('th','en','zh') NOT NULL DEFAULT 'en',
+  `title` varchar(200) DEFAULT NULL COMMENT 'Snapshot of the text that was signed',
+  `body` text DEFAULT NULL,
+  `template_version` int(11) DEFAULT NULL,
+  `status` enum('PENDING','SIGNED','REVOKED') NOT NULL DEFAULT 'PENDING',
+  `decision` enum('GRANTED','DECLINED') DEFAULT NULL,
+  `signer_name` varchar(200) DEFAULT NULL,
+  `signer_relationship` varchar(100) DEFAULT NULL COMMENT 'Empty when the patient signed; otherwise e.g. parent, guardian',
+  `channel` enum('TABLET','LINK','BOOKING') NOT NULL DEFAULT 'LINK',
+  `signed_at` datetime DEFAULT NULL,
+  `signed_ip` varchar(45) DEFAULT NULL,
+  `file_path` varchar(500) DEFAULT NULL COMMENT 'Signed PDF',
+  `attachment_id` int(11) DEFAULT NULL COMMENT 'pn_attachments row holding the signed PDF',
+  `requested_by` int(11) DEFAULT NULL,
+  `created_at` timestamp NOT NULL DEFAULT current_timestamp(),
+  `revoked_at` datetime DEFAULT NULL,
+  `revoked_by` int(11) DEFAULT NULL,
+  `revoke_reason` varchar(255) DEFAULT NULL
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci COMMENT='Consent forms requested from and signed by patients';
+
+-- --------------------------------------------------------
+
 --
 -- Table structure for table `patients`
 --
@@ -388,6 +721,8 @@ CREATE TABLE `patients` (
   `pt_number` varchar(50) NOT NULL,
   `pid` varchar(13) DEFAULT NULL,
   `passport_no` varchar(50) DEFAULT NULL,
+  `id_type` enum('THAI_ID','PASSPORT') DEFAULT NULL COMMENT 'Which identifier the patient is registered under',
+  `nationality` char(2) DEFAULT NULL COMMENT 'ISO 3166-1 alpha-2',
   `title` varchar(20) DEFAULT NULL,
   `first_name` varchar(100) NOT NULL,
   `last_name` varchar(100) NOT NULL,
@@ -539,7 +874,7 @@ CREATE TABLE `pn_attachments` (
   `file_type` varchar(100) DEFAULT NULL COMMENT 'MIME type',
   `file_size` int(11) DEFAULT NULL COMMENT 'File size in bytes',
   `description` text DEFAULT NULL COMMENT 'File description',
-  `uploaded_by` int(11) NOT NULL COMMENT 'User who uploaded',
+  `uploaded_by` int(11) DEFAULT NULL COMMENT 'User who uploaded; NULL for consent forms signed by the patient',
   `created_at` timestamp NOT NULL DEFAULT current_timestamp(),
   `updated_at` timestamp NULL DEFAULT NULL ON UPDATE current_timestamp()
 ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci COMMENT='Attachments for PN cases';
@@ -560,6 +895,7 @@ CREATE TABLE `pn_cases` (
   `source_clinic_id` int(11) NOT NULL,
   `target_clinic_id` int(11) NOT NULL,
   `referring_doctor` varchar(200) DEFAULT NULL,
+  `referring_doctor_email` varchar(150) DEFAULT NULL,
   `assigned_pt_id` int(11) DEFAULT NULL,
   `course_id` int(11) DEFAULT NULL COMMENT 'Links to course for course cutting',
   `notes` text DEFAULT NULL,
@@ -567,8 +903,6 @@ CREATE TABLE `pn_cases` (
   `allergies` text DEFAULT NULL,
   `pn_precautions` text DEFAULT NULL,
   `pn_contraindications` text DEFAULT NULL,
-  `treatment_goals` text DEFAULT NULL,
-  `expected_outcomes` text DEFAULT NULL,
   `medical_notes` text DEFAULT NULL,
   `vital_signs` longtext CHARACTER SET utf8mb4 COLLATE utf8mb4_bin DEFAULT NULL CHECK (json_valid(`vital_signs`)),
   `pain_scale` int(11) DEFAULT NULL,
@@ -593,96 +927,278 @@ CREATE TABLE `pn_cases` (
   `pt_pain_score` int(11) DEFAULT NULL COMMENT 'Pain score 0-10 for non-CL001 cases',
   `is_reversed` tinyint(1) DEFAULT 0,
   `last_reversal_reason` text DEFAULT NULL,
-  `last_reversed_at` datetime DEFAULT NULL
+  `last_reversed_at` datetime DEFAULT NULL,
+  `hep_share_token` varchar(36) DEFAULT NULL COMMENT 'Public link to the home exercise program handout'
 ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
 
 --
 -- Dumping data for table `pn_cases`
 --
 
-INSERT INTO `pn_cases` (`id`, `pn_code`, `patient_id`, `diagnosis`, `purpose`, `status`, `source_clinic_id`, `target_clinic_id`, `referring_doctor`, `assigned_pt_id`, `course_id`, `notes`, `current_medications`, `allergies`, `pn_precautions`, `pn_contraindications`, `treatment_goals`, `expected_outcomes`, `medical_notes`, `vital_signs`, `pain_scale`, `functional_status`, `physio_diagnosis`, `chief_complaint`, `present_history`, `initial_pain_scale`, `assessed_by`, `assessed_at`, `reversal_reason`, `accepted_at`, `completed_at`, `cancelled_at`, `cancellation_reason`, `created_by`, `created_at`, `updated_at`, `pt_diagnosis`, `pt_chief_complaint`, `pt_present_history`, `pt_pain_score`, `is_reversed`, `last_reversal_reason`, `last_reversed_at`) VALUES
-(59, 'PN-20251107154412-2743', 61, 'Lt.lower back pain', 'Reduce pain and increase ROM', 'COMPLETED', 1, 1, NULL, NULL, NULL, '-', NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, '2025-11-07 08:45:05', '2025-11-07 09:00:40', NULL, NULL, 1, '2025-11-07 08:44:12', '2025-11-07 09:00:40', NULL, NULL, NULL, NULL, 0, NULL, NULL),
-(60, 'PN-20251107160245-6282', 47, 'Pain relief', 'Physiotherapy treatment from appointment booking', 'CANCELLED', 1, 1, NULL, NULL, NULL, 'Auto-created from appointment on 2025-11-11', NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, '2025-11-08 05:29:54', 'cancle', 1, '2025-11-07 09:02:45', '2025-11-08 05:29:54', NULL, NULL, NULL, NULL, 0, NULL, NULL),
-(61, 'PN-20251108121854-0111', 62, 'มีอาการชาปวดร้าวไปถึงปลาย ขาทั้ง 2 ข้าง ในท่าหดกล้ามเนื้อ', 'ลดอาการร้าวขาทั้ง 2 ข้าว', 'COMPLETED', 1, 1, NULL, NULL, NULL, NULL, '', '', '', '', 'Reduce pain and numbness', '', '', NULL, 4, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, '2025-11-08 05:28:12', '2025-11-08 10:58:19', NULL, NULL, 1, '2025-11-08 05:18:54', '2025-11-08 10:58:19', NULL, NULL, NULL, NULL, 0, NULL, NULL),
-(62, 'PN-20251108123031-2143', 47, 'Pain relief', 'Physiotherapy treatment from appointment booking', 'CANCELLED', 1, 1, NULL, NULL, NULL, 'Auto-created from appointment on 2025-11-11', NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, '2025-11-08 11:40:21', 'Cancle', 1, '2025-11-08 05:30:31', '2025-11-08 11:40:21', NULL, NULL, NULL, NULL, 0, NULL, NULL),
-(63, 'PN-20251108125945-3496', 18, 'Pain relief', 'Physiotherapy treatment from appointment booking', 'CANCELLED', 1, 1, NULL, NULL, NULL, 'Auto-created from appointment on 2025-11-08', NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, '2025-11-08 08:39:58', NULL, '2025-11-08 08:44:47', 'Change person ', 1, '2025-11-08 05:59:45', '2025-11-08 08:44:47', NULL, NULL, NULL, NULL, 0, NULL, NULL),
-(64, 'PN-20251108130620-5940', 57, 'Pain relief', 'Physiotherapy treatment from appointment booking', 'CANCELLED', 1, 1, NULL, NULL, NULL, 'Auto-created from appointment on 2025-11-08', NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, '2025-11-08 06:08:02', 'wrong', 1, '2025-11-08 06:06:20', '2025-11-08 06:08:02', NULL, NULL, NULL, NULL, 0, NULL, NULL),
-(65, 'PN-20251108130842-4763', 57, 'Pain relief', 'Physiotherapy treatment from appointment booking', 'CANCELLED', 1, 1, NULL, NULL, NULL, 'Auto-created from appointment on 2025-11-08', NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, '2025-11-08 06:42:28', 'Wrong person', 1, '2025-11-08 06:08:42', '2025-11-08 06:42:28', NULL, NULL, NULL, NULL, 0, NULL, NULL),
-(66, 'PN-20251108134253-4492', 59, 'Pain relief', 'Physiotherapy treatment from appointment booking', 'CANCELLED', 1, 1, NULL, NULL, NULL, 'Auto-created from appointment on 2025-11-08', NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, '2025-11-08 07:43:50', 'Wrong person', 1, '2025-11-08 06:42:53', '2025-11-08 07:43:50', NULL, NULL, NULL, NULL, 0, NULL, NULL),
-(67, 'PN-20251108154341-8820', 63, 'Rt.SI joint dysfuction', 'reduce pain', 'COMPLETED', 1, 1, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, '2025-11-08 08:45:17', '2025-11-08 10:56:44', NULL, NULL, 1, '2025-11-08 08:43:41', '2025-11-08 10:56:44', NULL, NULL, NULL, NULL, 0, NULL, NULL),
-(68, 'PN-20251108223325-6585', 47, 'Pain relief', 'Physiotherapy treatment from appointment booking', 'COMPLETED', 1, 1, NULL, NULL, NULL, 'Auto-created from appointment on 2025-11-11', NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, '2025-11-11 06:09:35', '2025-11-11 13:03:30', NULL, NULL, 1, '2025-11-08 15:33:25', '2025-11-11 13:03:30', NULL, NULL, NULL, NULL, 0, NULL, NULL),
-(69, 'PN-20251110090856-1380', 47, 'Pain relief', 'Physiotherapy treatment from appointment booking', 'COMPLETED', 1, 1, NULL, NULL, NULL, 'Auto-created from appointment on 2025-11-12', NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, '2025-11-12 06:38:03', '2025-11-12 08:32:07', NULL, NULL, 1, '2025-11-10 02:08:56', '2025-11-12 08:32:07', NULL, NULL, NULL, NULL, 0, NULL, NULL),
-(70, 'PN-20251110093532-7708', 64, 'Hip stiffness', 'Improve eange of motion and reduce pain', 'CANCELLED', 1, 1, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, '2025-11-10 02:39:13', 'ca', 1, '2025-11-10 02:35:32', '2025-11-10 02:39:13', NULL, NULL, NULL, NULL, 0, NULL, NULL),
-(71, 'PN-20251110094017-3751', 64, 'Hip stiffness', 'Physiotherapy treatment from appointment booking', 'COMPLETED', 1, 1, NULL, NULL, NULL, 'Auto-created from appointment on 2025-11-10', NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, '2025-11-10 04:17:20', '2025-11-10 08:29:09', NULL, NULL, 1, '2025-11-10 02:40:17', '2025-11-10 08:29:09', NULL, NULL, NULL, NULL, 0, NULL, NULL),
-(72, 'PN-20251110112834-7085', 65, 'neck stiffness', 'improve range of motion', 'CANCELLED', 1, 1, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, '2025-11-10 04:29:15', 'ca', 1, '2025-11-10 04:28:34', '2025-11-10 04:29:15', NULL, NULL, NULL, NULL, 0, NULL, NULL),
-(73, 'PN-20251110112947-6170', 65, 'neck stiffness', 'Physiotherapy treatment from appointment booking', 'COMPLETED', 1, 1, NULL, NULL, NULL, 'Auto-created from appointment on 2025-11-10', NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, '2025-11-10 08:29:26', '2025-11-10 08:35:30', NULL, NULL, 1, '2025-11-10 04:29:47', '2025-11-10 08:35:30', NULL, NULL, NULL, NULL, 0, NULL, NULL),
-(74, 'PN-20251110135608-8429', 11, 'Pain relief', 'Physiotherapy treatment from appointment booking', 'COMPLETED', 1, 1, NULL, NULL, NULL, 'Auto-created from appointment on 2025-11-10', NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, '2025-11-10 08:53:00', '2025-11-10 09:39:38', NULL, NULL, 1, '2025-11-10 06:56:08', '2025-11-10 09:39:38', NULL, NULL, NULL, NULL, 0, NULL, NULL),
-(75, 'PN-20251110160648-6726', 44, 'Pain relief', 'Physiotherapy treatment from appointment booking', 'COMPLETED', 1, 1, NULL, NULL, NULL, 'Auto-created from appointment on 2025-11-11', NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, '2025-11-11 12:58:52', '2025-11-11 13:38:34', NULL, NULL, 1, '2025-11-10 09:06:48', '2025-11-11 13:38:34', NULL, NULL, NULL, NULL, 0, NULL, NULL),
-(76, 'PN-20251110180254-7715', 66, 'Heel', 'Reduce pain', 'COMPLETED', 1, 1, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, '2025-11-10 11:03:43', '2025-11-11 02:41:47', NULL, NULL, 1, '2025-11-10 11:02:54', '2025-11-11 02:41:47', NULL, NULL, NULL, NULL, 0, NULL, NULL),
-(77, 'PN-20251111132534-3838', 64, 'Hip stiffness', 'Physiotherapy treatment from appointment booking', 'COMPLETED', 1, 1, NULL, NULL, NULL, 'Auto-created from appointment on 2025-11-11', NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, '2025-11-11 08:29:40', '2025-11-11 13:07:55', NULL, NULL, 1, '2025-11-11 06:25:34', '2025-11-11 13:07:55', NULL, NULL, NULL, NULL, 0, NULL, NULL),
-(78, 'PN-20251111151730-7906', 4, 'Pain relief', 'Physiotherapy treatment from appointment booking', 'CANCELLED', 1, 1, NULL, NULL, NULL, 'Auto-created from appointment on 2025-11-13', NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, '2025-11-11 08:18:57', 'ก', 1, '2025-11-11 08:17:30', '2025-11-11 08:18:57', NULL, NULL, NULL, NULL, 0, NULL, NULL),
-(79, 'PN-20251111151933-8308', 4, 'Pain relief', 'Physiotherapy treatment from appointment booking', 'CANCELLED', 1, 1, NULL, NULL, NULL, 'Auto-created from appointment on 2025-11-13', NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, '2025-11-11 08:19:58', 'ก', 1, '2025-11-11 08:19:33', '2025-11-11 08:19:58', NULL, NULL, NULL, NULL, 0, NULL, NULL),
-(80, 'PN-20251111172749-0802', 66, 'Heel', 'Physiotherapy treatment from appointment booking', 'CANCELLED', 1, 1, NULL, NULL, NULL, 'Auto-created from appointment on 2025-11-12', NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, '2025-11-12 07:47:22', 'ca', 1, '2025-11-11 10:27:49', '2025-11-12 07:47:22', NULL, NULL, NULL, NULL, 0, NULL, NULL),
-(81, 'PN-20251111185556-9485', 4, 'Pain relief', 'Physiotherapy treatment from appointment booking', 'CANCELLED', 1, 1, NULL, NULL, NULL, 'Auto-created from appointment on 2025-11-14', NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, '2025-11-11 12:00:25', 'ทดสอบ', 1, '2025-11-11 11:55:56', '2025-11-11 12:00:25', NULL, NULL, NULL, NULL, 0, NULL, NULL),
-(82, 'PN-20251111190052-2991', 67, 'ทดสอบ', 'Physiotherapy treatment from appointment booking', 'CANCELLED', 1, 1, NULL, NULL, NULL, 'Auto-created from appointment on 2025-11-14', NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, '2025-11-11 12:02:01', 'ทดสอย', 1, '2025-11-11 12:00:52', '2025-11-11 12:02:01', NULL, NULL, NULL, NULL, 0, NULL, NULL),
-(83, 'PN-20251111190241-9780', 67, 'ทดสอบ', 'Physiotherapy treatment from appointment booking', 'CANCELLED', 1, 1, NULL, NULL, NULL, 'Auto-created from appointment on 2025-11-15', NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, '2025-11-11 12:09:16', 'ds', 1, '2025-11-11 12:02:41', '2025-11-11 12:09:16', NULL, NULL, NULL, NULL, 0, NULL, NULL),
-(84, 'PN-20251111190959-0155', 67, 'ทดสอบ', 'Physiotherapy treatment from appointment booking', 'CANCELLED', 1, 1, NULL, NULL, NULL, 'Auto-created from appointment on 2025-11-13', NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, '2025-11-11 12:16:00', 'ทดสอบ ', 1, '2025-11-11 12:09:59', '2025-11-11 12:16:00', NULL, NULL, NULL, NULL, 0, NULL, NULL),
-(85, 'PN-20251111191636-0313', 67, 'ทดสอบ', 'Physiotherapy treatment from appointment booking', 'CANCELLED', 1, 1, NULL, NULL, NULL, 'Auto-created from appointment on 2025-11-14', NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, '2025-11-11 12:17:19', 'Cancelled from appointment', 1, '2025-11-11 12:16:36', '2025-11-11 12:17:19', NULL, NULL, NULL, NULL, 0, NULL, NULL),
-(86, 'PN-20251111191820-0858', 67, 'ทดสอบ', 'Physiotherapy treatment from appointment booking', 'CANCELLED', 1, 1, NULL, NULL, NULL, 'Auto-created from appointment on 2025-11-13', NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, '2025-11-11 12:26:18', 'กแ', 1, '2025-11-11 12:18:20', '2025-11-11 12:26:18', NULL, NULL, NULL, NULL, 0, NULL, NULL),
-(87, 'PN-20251111192637-3094', 67, 'ทดสอบ', 'Physiotherapy treatment from appointment booking', 'CANCELLED', 1, 1, NULL, NULL, NULL, 'Auto-created from appointment on 2025-11-13', NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, '2025-11-11 12:35:16', 'ca', 1, '2025-11-11 12:26:37', '2025-11-11 12:35:16', NULL, NULL, NULL, NULL, 0, NULL, NULL),
-(88, 'PN-20251111193541-1629', 67, 'ทดสอบ', 'Physiotherapy treatment from appointment booking', 'CANCELLED', 1, 1, NULL, NULL, NULL, 'Auto-created from appointment on 2025-11-15', NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, '2025-11-11 13:11:21', 'CA', 1, '2025-11-11 12:35:41', '2025-11-11 13:11:21', NULL, NULL, NULL, NULL, 0, NULL, NULL),
-(89, 'PN-20251111203153-9482', 67, 'ทดสอบ', 'Physiotherapy treatment from appointment booking', 'CANCELLED', 1, 1, NULL, NULL, NULL, 'Auto-created from appointment on 2025-11-13', NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, '2025-11-11 13:38:17', 'ca', 1, '2025-11-11 13:31:53', '2025-11-11 13:38:17', NULL, NULL, NULL, NULL, 0, NULL, NULL),
-(90, 'PN-20251111203956-1696', 67, 'ทดสอบ', 'Physiotherapy treatment from appointment booking', 'CANCELLED', 1, 1, NULL, NULL, NULL, 'Auto-created from appointment on 2025-11-15', NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, '2025-11-11 13:56:20', 'ca', 1, '2025-11-11 13:39:56', '2025-11-11 13:56:20', NULL, NULL, NULL, NULL, 0, NULL, NULL),
-(91, 'PN-20251111205659-4157', 67, 'ทดสอบ', 'Physiotherapy treatment from appointment booking', 'CANCELLED', 1, 1, NULL, NULL, NULL, 'Auto-created from appointment on 2025-11-16', NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, '2025-11-11 14:04:51', 'ca', 1, '2025-11-11 13:56:59', '2025-11-11 14:04:51', NULL, NULL, NULL, NULL, 0, NULL, NULL),
-(92, 'PN-20251111210518-7035', 67, 'ทดสอบ', 'Physiotherapy treatment from appointment booking', 'CANCELLED', 1, 1, NULL, NULL, NULL, 'Auto-created from appointment on 2025-11-14', NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, '2025-11-11 16:05:53', 'ca', 1, '2025-11-11 14:05:18', '2025-11-11 16:05:53', NULL, NULL, NULL, NULL, 0, NULL, NULL),
-(93, 'PN-20251111220135-0910', 67, 'ทดสอบ', 'Physiotherapy treatment from appointment booking', 'CANCELLED', 1, 1, NULL, NULL, NULL, 'Auto-created from appointment on 2025-11-15', NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, '2025-11-11 16:05:49', 'c', 1, '2025-11-11 15:01:35', '2025-11-11 16:05:49', NULL, NULL, NULL, NULL, 0, NULL, NULL),
-(94, 'PN-20251111225218-2653', 67, 'ทดสอบ', 'Physiotherapy treatment from appointment booking', 'CANCELLED', 1, 1, NULL, NULL, NULL, 'Auto-created from appointment on 2025-11-19', NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, '2025-11-12 03:39:44', 'ca', 1, '2025-11-11 15:52:18', '2025-11-12 03:39:44', NULL, NULL, NULL, NULL, 0, NULL, NULL),
-(95, 'PN-20251111225708-3691', 67, 'ทดสอบ', 'Physiotherapy treatment from appointment booking', 'CANCELLED', 1, 1, NULL, NULL, NULL, 'Auto-created from appointment on 2025-11-19', NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, '2025-11-12 03:39:39', 'ca', 1, '2025-11-11 15:57:08', '2025-11-12 03:39:39', NULL, NULL, NULL, NULL, 0, NULL, NULL),
-(96, 'PN-20251111230631-1693', 67, 'ทดสอบ', 'Physiotherapy treatment from appointment booking', 'CANCELLED', 1, 1, NULL, NULL, NULL, 'Auto-created from appointment on 2025-11-14', NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, '2025-11-11 16:07:55', 'แฟ', 1, '2025-11-11 16:06:31', '2025-11-11 16:07:55', NULL, NULL, NULL, NULL, 0, NULL, NULL),
-(97, 'PN-20251111230815-9272', 67, 'ทดสอบ', 'Physiotherapy treatment from appointment booking', 'CANCELLED', 1, 1, NULL, NULL, NULL, 'Auto-created from appointment on 2025-11-14', NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, '2025-11-11 16:28:10', 'Cancelled from appointment', 1, '2025-11-11 16:08:15', '2025-11-11 16:28:10', NULL, NULL, NULL, NULL, 0, NULL, NULL),
-(98, 'PN-20251111231949-0245', 67, 'ทดสอบ', 'Physiotherapy treatment from appointment booking', 'CANCELLED', 1, 1, NULL, NULL, NULL, 'Auto-created from appointment on 2025-11-13', NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, '2025-11-11 16:28:14', 'Cancelled from appointment', 1, '2025-11-11 16:19:49', '2025-11-11 16:28:14', NULL, NULL, NULL, NULL, 0, NULL, NULL),
-(99, 'PN-20251111232833-0538', 67, 'ทดสอบ', 'Physiotherapy treatment from appointment booking', 'CANCELLED', 1, 1, NULL, NULL, NULL, 'Auto-created from appointment on 2025-11-12', NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, '2025-11-11 16:34:29', 'ca', 1, '2025-11-11 16:28:33', '2025-11-11 16:34:29', NULL, NULL, NULL, NULL, 0, NULL, NULL),
-(100, 'PN-20251111233448-5986', 67, 'ทดสอบ', 'Physiotherapy treatment from appointment booking', 'CANCELLED', 1, 1, NULL, NULL, NULL, 'Auto-created from appointment on 2025-11-13', NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, '2025-11-11 16:42:55', 'Cancelled from appointment', 1, '2025-11-11 16:34:48', '2025-11-11 16:42:55', NULL, NULL, NULL, NULL, 0, NULL, NULL),
-(101, 'PN-20251111234327-6928', 67, 'ทดสอบ', 'Physiotherapy treatment from appointment booking', 'CANCELLED', 1, 1, NULL, NULL, NULL, 'Auto-created from appointment on 2025-11-13', NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, '2025-11-11 16:50:52', 'ca', 1, '2025-11-11 16:43:27', '2025-11-11 16:50:52', NULL, NULL, NULL, NULL, 0, NULL, NULL),
-(102, 'PN-20251111235110-1464', 67, 'ทดสอบ', 'Physiotherapy treatment from appointment booking', 'CANCELLED', 1, 1, NULL, NULL, NULL, 'Auto-created from appointment on 2025-11-18', NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, '2025-11-12 03:39:36', 'ca', 1, '2025-11-11 16:51:10', '2025-11-12 03:39:36', NULL, NULL, NULL, NULL, 0, NULL, NULL),
-(103, 'PN-20251112084523-7888', 67, 'ทดสอบ', 'Physiotherapy treatment from appointment booking', 'CANCELLED', 1, 1, NULL, NULL, NULL, 'Auto-created from appointment on 2025-11-13', NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, '2025-11-12 01:46:40', 'CA', 1, '2025-11-12 01:45:23', '2025-11-12 01:46:40', NULL, NULL, NULL, NULL, 0, NULL, NULL),
-(104, 'PN-20251112104012-1149', 67, 'ทดสอบ', 'Physiotherapy treatment from appointment booking', 'CANCELLED', 1, 1, NULL, NULL, NULL, 'Auto-created from appointment on 2025-11-12', NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, '2025-11-12 03:44:32', 'ca', 1, '2025-11-12 03:40:12', '2025-11-12 03:44:32', NULL, NULL, NULL, NULL, 0, NULL, NULL),
-(105, 'PN-20251112105209-2625', 68, 'Hip pain', 'Pain reduce', 'COMPLETED', 1, 1, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, '2025-11-12 03:52:47', '2025-11-12 08:47:33', NULL, NULL, 1, '2025-11-12 03:52:09', '2025-11-12 08:47:33', NULL, NULL, NULL, NULL, 0, NULL, NULL),
-(106, 'PN-20251112143451-5205', 66, 'Heel', 'Physiotherapy treatment from appointment booking', 'COMPLETED', 1, 1, NULL, NULL, NULL, 'Auto-created from appointment on 2025-11-12', NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, '2025-11-12 12:32:20', '2025-11-12 12:37:47', NULL, NULL, 1, '2025-11-12 07:34:51', '2025-11-12 12:37:47', NULL, NULL, NULL, NULL, 0, NULL, NULL),
-(107, 'PN-20251112143617-2655', 67, 'ทดสอบ', 'Physiotherapy treatment from appointment booking', 'CANCELLED', 1, 1, NULL, NULL, NULL, 'Auto-created from appointment on 2025-11-12', NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, '2025-11-12 07:42:24', 'ca', 1, '2025-11-12 07:36:17', '2025-11-12 07:42:24', NULL, NULL, NULL, NULL, 0, NULL, NULL),
-(108, 'PN-20251112150844-4854', 47, 'Pain relief', 'Physiotherapy treatment from appointment booking', 'CANCELLED', 1, 1, NULL, NULL, NULL, 'Auto-created from appointment on 2025-11-14', NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, '2025-11-12 08:23:07', 'ca', 1, '2025-11-12 08:08:44', '2025-11-12 08:23:07', NULL, NULL, NULL, NULL, 0, NULL, NULL),
-(109, 'PN-20251112151854-8666', 69, 'Knee accident', 'Reduce pain', 'COMPLETED', 1, 1, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, '2025-11-12 08:19:44', '2025-11-12 08:45:30', NULL, NULL, 1, '2025-11-12 08:18:54', '2025-11-12 08:45:30', NULL, NULL, NULL, NULL, 0, NULL, NULL),
-(110, 'PN-20251112152330-9617', 47, 'Pain relief', 'Physiotherapy treatment from appointment booking', 'CANCELLED', 1, 1, NULL, NULL, NULL, 'Auto-created from appointment on 2025-11-14', NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, '2025-11-17 07:36:30', NULL, '2025-11-17 07:41:29', 'CA', 1, '2025-11-12 08:23:30', '2025-11-17 07:41:29', NULL, NULL, NULL, NULL, 0, NULL, NULL),
-(111, 'PN-20251112154621-5531', 47, 'Pain relief', 'Physiotherapy treatment from appointment booking', 'CANCELLED', 1, 1, NULL, NULL, NULL, 'Auto-created from appointment on 2025-11-12', NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, '2025-11-12 08:47:11', NULL, '2025-11-12 08:47:21', 'ca', 1, '2025-11-12 08:46:21', '2025-11-12 08:47:21', NULL, NULL, NULL, NULL, 0, NULL, NULL),
-(112, 'PN-20251112175227-9357', 69, 'Knee accident', 'Physiotherapy treatment from appointment booking', 'COMPLETED', 1, 1, NULL, NULL, NULL, 'Auto-created from appointment on 2025-11-15', NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, '2025-11-15 08:46:02', '2025-11-17 02:54:27', NULL, NULL, 1, '2025-11-12 10:52:27', '2025-11-17 02:54:27', NULL, NULL, NULL, NULL, 0, NULL, NULL),
-(113, 'PN-20251113101428-6213', 65, 'neck stiffness', 'Physiotherapy treatment from appointment booking', 'COMPLETED', 1, 1, NULL, NULL, NULL, 'Auto-created from appointment on 2025-11-13', NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, '2025-11-13 06:03:10', '2025-11-13 08:24:42', NULL, NULL, 1, '2025-11-13 03:14:28', '2025-11-13 08:24:42', NULL, NULL, NULL, NULL, 0, NULL, NULL),
-(114, 'PN-20251113102754-0557', 70, 'Muay thai elbow pain', 'Improve range of motion , relief pain', 'COMPLETED', 1, 1, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, '2025-11-13 03:28:33', '2025-11-13 05:45:32', NULL, NULL, 1, '2025-11-13 03:27:54', '2025-11-13 05:45:32', NULL, NULL, NULL, NULL, 0, NULL, NULL),
-(115, 'PN-20251113112953-1273', 71, 'ทดสวอบ', 'ก', 'CANCELLED', 1, 1, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, '2025-11-13 04:30:56', 'ca', 1, '2025-11-13 04:29:53', '2025-11-13 04:30:56', NULL, NULL, NULL, NULL, 0, NULL, NULL),
-(116, 'PN-20251113113259-5016', 71, 'ทดสวอบ', 'ทดสอบ', 'CANCELLED', 1, 1, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, '2025-11-13 04:34:22', 'ca', 1, '2025-11-13 04:32:59', '2025-11-13 04:34:22', NULL, NULL, NULL, NULL, 0, NULL, NULL),
-(117, 'PN-20251113114629-6745', 71, 'ทดสวอบ', 'Popupcheck ', 'CANCELLED', 1, 1, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, '2025-11-13 04:53:20', 'ca', 1, '2025-11-13 04:46:29', '2025-11-13 04:53:20', NULL, NULL, NULL, NULL, 0, NULL, NULL),
-(118, 'PN-20251113115341-4662', 71, 'ทดสวอบ', 'ทดสอบ', 'CANCELLED', 1, 1, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, '2025-11-13 04:56:17', 'ca', 1, '2025-11-13 04:53:41', '2025-11-13 04:56:17', NULL, NULL, NULL, NULL, 0, NULL, NULL),
-(119, 'PN-20251113115644-9509', 71, 'ทดสวอบ', 'ทดสอบ', 'CANCELLED', 1, 1, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, '2025-11-13 04:57:05', NULL, '2025-11-13 05:05:11', 'ca', 1, '2025-11-13 04:56:44', '2025-11-13 05:05:11', NULL, NULL, NULL, NULL, 0, NULL, NULL),
-(120, 'PN-20251113121057-0863', 71, 'ทดสวอบ', 'ทดสอบ', 'CANCELLED', 1, 1, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, '2025-11-13 05:12:22', 'แฟ', 1, '2025-11-13 05:10:57', '2025-11-13 05:12:22', NULL, NULL, NULL, NULL, 0, NULL, NULL),
-(121, 'PN-20251113122402-0175', 71, 'ทดสวอบ', 'ทด', 'CANCELLED', 1, 1, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, '2025-11-13 05:28:58', 'ca', 1, '2025-11-13 05:24:02', '2025-11-13 05:28:58', NULL, NULL, NULL, NULL, 0, NULL, NULL),
-(122, 'PN-20251113122801-7793', 67, 'ทดสอบ', 'Physiotherapy treatment from appointment booking', 'CANCELLED', 1, 1, NULL, NULL, NULL, 'Auto-created from appointment on 2025-11-13', NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, '2025-11-13 05:28:25', NULL, '2025-11-13 05:28:39', 'แฟ', 1, '2025-11-13 05:28:01', '2025-11-13 05:28:39', NULL, NULL, NULL, NULL, 0, NULL, NULL),
-(123, 'PN-20251113123701-9364', 71, 'ทดสวอบ', 'ทดสอบ', 'CANCELLED', 1, 1, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, '2025-11-13 05:37:55', NULL, '2025-11-13 05:38:12', 'ca', 1, '2025-11-13 05:37:01', '2025-11-13 05:38:12', NULL, NULL, NULL, NULL, 0, NULL, NULL),
-(124, 'PN-20251113124606-9258', 71, 'ทดสวอบ', 'ทสดอบ', 'CANCELLED', 1, 1, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, '2025-11-13 05:58:48', 'ca', 1, '2025-11-13 05:46:06', '2025-11-13 05:58:48', NULL, NULL, NULL, NULL, 0, NULL, NULL),
-(125, 'PN-20251113125921-4775', 71, 'ทดสวอบ', 'c', 'CANCELLED', 1, 1, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, '2025-11-13 05:59:52', NULL, '2025-11-13 06:00:04', 'ca', 1, '2025-11-13 05:59:21', '2025-11-13 06:00:04', NULL, NULL, NULL, NULL, 0, NULL, NULL),
-(126, 'PN-20251114091917-1471', 72, 'Muay thai class ', 'Improve range of motion', 'COMPLETED', 1, 1, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, '2025-11-14 02:21:06', '2025-11-14 04:02:20', NULL, NULL, 1, '2025-11-14 02:19:17', '2025-11-14 04:02:20', NULL, NULL, NULL, NULL, 0, NULL, NULL),
-(127, 'PN-20251114140949-3004', 73, 'Muscle Hight Tension', 'Pain reduction', 'COMPLETED', 1, 1, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, '2025-11-14 07:10:12', '2025-11-14 09:57:22', NULL, NULL, 1, '2025-11-14 07:09:49', '2025-11-14 09:57:22', NULL, NULL, NULL, NULL, 0, NULL, NULL),
-(128, 'PN-20251114165324-1541', 77, 'Knee pain', 'pain reduce', 'COMPLETED', 1, 1, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, '2025-11-14 09:55:12', '2025-11-15 02:30:14', NULL, NULL, 1, '2025-11-14 09:53:24', '2025-11-15 02:30:14', NULL, NULL, NULL, NULL, 0, NULL, NULL),
-(129, 'PN-20251114180105-8112', 28, 'Pain relief', 'Back relief', 'COMPLETED', 1, 1, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, '2025-11-14 11:01:18', '2025-11-15 02:36:40', NULL, NULL, 1, '2025-11-14 11:01:05', '2025-11-15 02:36:40', NULL, NULL, NULL, NULL, 0, NULL, NULL),
-(130, 'PN-20251115121634-9387', 78, 'Broken Wrist', 'Pain reduce', 'COMPLETED', 1, 1, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, '2025-11-15 05:16:54', '2025-11-15 07:01:57', NULL, NULL, 1, '2025-11-15 05:16:34', '2025-11-15 07:01:57', NULL, NULL, NULL, NULL, 0, NULL, NULL),
-(131, 'PN-20251115165213-0325', 79, 'Frozen stuck', 'Increase Range of Motion', 'COMPLETED', 1, 1, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, '2025-11-15 10:48:46', '2025-11-17 02:57:02', NULL, NULL, 1, '2025-11-15 09:52:13', '2025-11-17 02:57:02', NULL, NULL, NULL, NULL, 0, NULL, NULL),
-(132, 'PN-20251117093655-5984', 80, 'Forearm pain', 'Improve range', 'CANCELLED', 1, 1, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, '2025-11-17 03:10:06', 'ca', 1, '2025-11-17 02:36:55', '2025-11-17 03:10:06', NULL, NULL, NULL, NULL, 0, NULL, NULL),
-(133, 'PN-20251117101021-0708', 80, 'Forearm pain', 'Improve range of motion', 'CANCELLED', 1, 1, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, '2025-11-17 03:42:29', NULL, '2025-11-17 03:46:39', 'ca', 1, '2025-11-17 03:10:21', '2025-11-17 03:46:39', NULL, NULL, NULL, NULL, 0, NULL, NULL),
-(134, 'PN-20251117104703-2151', 80, 'Forearm pain', 'Physiotherapy treatment from appointment booking', 'COMPLETED', 1, 1, NULL, NULL, NULL, 'Auto-created from appointment on 2025-11-17', NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, '2025-11-17 04:02:47', '2025-11-17 08:33:14', NULL, NULL, 1, '2025-11-17 03:47:03', '2025-11-17 08:33:14', NULL, NULL, NULL, NULL, 0, NULL, NULL),
-(135, 'PN-20251117110537-4558', 72, 'Muay thai class ', 'Physiotherapy treatment from appointment booking', 'PENDING', 1, 1, NULL, NULL, NULL, 'Auto-created from appointment on 2025-11-18', NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, 1, '2025-11-17 04:05:37', NULL, NULL, NULL, NULL, NULL, 0, NULL, NULL),
-(136, 'PN-20251117121349-5725', 38, 'Pain relief', 'Physiotherapy treatment from appointment booking', 'PENDING', 1, 1, NULL, NULL, NULL, 'Auto-created from appointment on 2025-11-18', NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, 1, '2025-11-17 05:13:49', '2025-11-17 14:23:02', NULL, NULL, NULL, NULL, 0, NULL, NULL),
-(137, 'PN-20251117143934-7412', 47, 'Pain relief', 'Physiotherapy treatment from appointment booking', 'CANCELLED', 1, 1, NULL, NULL, NULL, 'Auto-created from appointment on 2025-11-18', NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, '2025-11-17 07:39:57', 'CA', 1, '2025-11-17 07:39:34', '2025-11-17 07:39:57', NULL, NULL, NULL, NULL, 0, NULL, NULL),
-(138, 'PN-20251117144039-4252', 47, 'Pain relief', 'Physiotherapy treatment from appointment booking', 'PENDING', 1, 1, NULL, NULL, NULL, 'Auto-created from appointment on 2025-11-18', NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, 1, '2025-11-17 07:40:39', NULL, NULL, NULL, NULL, NULL, 0, NULL, NULL),
-(139, 'PN-20251117144203-6162', 47, 'Pain relief', 'Physiotherapy treatment from appointment booking', 'COMPLETED', 1, 1, NULL, NULL, NULL, 'Auto-created from appointment on 2025-11-17', NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, '2025-11-17 07:53:29', '2025-11-17 08:43:14', NULL, NULL, 1, '2025-11-17 07:42:03', '2025-11-17 08:43:14', NULL, NULL, NULL, NULL, 0, NULL, NULL),
-(140, 'PN-20251118100237-4151', 78, 'Broken Wrist', 'Physiotherapy treatment from appointment booking', 'PENDING', 1, 1, NULL, NULL, NULL, 'Auto-created from appointment on 2025-11-19', NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, 1, '2025-11-18 03:02:37', NULL, NULL, NULL, NULL, NULL, 0, NULL, NULL);
+INSERT INTO `pn_cases` (`id`, `pn_code`, `patient_id`, `diagnosis`, `purpose`, `status`, `source_clinic_id`, `target_clinic_id`, `referring_doctor`, `assigned_pt_id`, `course_id`, `notes`, `current_medications`, `allergies`, `pn_precautions`, `pn_contraindications`, `medical_notes`, `vital_signs`, `pain_scale`, `functional_status`, `physio_diagnosis`, `chief_complaint`, `present_history`, `initial_pain_scale`, `assessed_by`, `assessed_at`, `reversal_reason`, `accepted_at`, `completed_at`, `cancelled_at`, `cancellation_reason`, `created_by`, `created_at`, `updated_at`, `pt_diagnosis`, `pt_chief_complaint`, `pt_present_history`, `pt_pain_score`, `is_reversed`, `last_reversal_reason`, `last_reversed_at`) VALUES
+(59, 'PN-20251107154412-2743', 61, 'Lt.lower back pain', 'Reduce pain and increase ROM', 'COMPLETED', 1, 1, NULL, NULL, NULL, '-', NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, '2025-11-07 08:45:05', '2025-11-07 09:00:40', NULL, NULL, 1, '2025-11-07 08:44:12', '2025-11-07 09:00:40', NULL, NULL, NULL, NULL, 0, NULL, NULL),
+(60, 'PN-20251107160245-6282', 47, 'Pain relief', 'Physiotherapy treatment from appointment booking', 'CANCELLED', 1, 1, NULL, NULL, NULL, 'Auto-created from appointment on 2025-11-11', NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, '2025-11-08 05:29:54', 'cancle', 1, '2025-11-07 09:02:45', '2025-11-08 05:29:54', NULL, NULL, NULL, NULL, 0, NULL, NULL),
+(61, 'PN-20251108121854-0111', 62, 'มีอาการชาปวดร้าวไปถึงปลาย ขาทั้ง 2 ข้าง ในท่าหดกล้ามเนื้อ', 'ลดอาการร้าวขาทั้ง 2 ข้าว', 'COMPLETED', 1, 1, NULL, NULL, NULL, NULL, '', '', '', '', '', NULL, 4, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, '2025-11-08 05:28:12', '2025-11-08 10:58:19', NULL, NULL, 1, '2025-11-08 05:18:54', '2025-11-08 10:58:19', NULL, NULL, NULL, NULL, 0, NULL, NULL),
+(62, 'PN-20251108123031-2143', 47, 'Pain relief', 'Physiotherapy treatment from appointment booking', 'CANCELLED', 1, 1, NULL, NULL, NULL, 'Auto-created from appointment on 2025-11-11', NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, '2025-11-08 11:40:21', 'Cancle', 1, '2025-11-08 05:30:31', '2025-11-08 11:40:21', NULL, NULL, NULL, NULL, 0, NULL, NULL),
+(63, 'PN-20251108125945-3496', 18, 'Pain relief', 'Physiotherapy treatment from appointment booking', 'CANCELLED', 1, 1, NULL, NULL, NULL, 'Auto-created from appointment on 2025-11-08', NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, '2025-11-08 08:39:58', NULL, '2025-11-08 08:44:47', 'Change person ', 1, '2025-11-08 05:59:45', '2025-11-08 08:44:47', NULL, NULL, NULL, NULL, 0, NULL, NULL),
+(64, 'PN-20251108130620-5940', 57, 'Pain relief', 'Physiotherapy treatment from appointment booking', 'CANCELLED', 1, 1, NULL, NULL, NULL, 'Auto-created from appointment on 2025-11-08', NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, '2025-11-08 06:08:02', 'wrong', 1, '2025-11-08 06:06:20', '2025-11-08 06:08:02', NULL, NULL, NULL, NULL, 0, NULL, NULL),
+(65, 'PN-20251108130842-4763', 57, 'Pain relief', 'Physiotherapy treatment from appointment booking', 'CANCELLED', 1, 1, NULL, NULL, NULL, 'Auto-created from appointment on 2025-11-08', NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, '2025-11-08 06:42:28', 'Wrong person', 1, '2025-11-08 06:08:42', '2025-11-08 06:42:28', NULL, NULL, NULL, NULL, 0, NULL, NULL),
+(66, 'PN-20251108134253-4492', 59, 'Pain relief', 'Physiotherapy treatment from appointment booking', 'CANCELLED', 1, 1, NULL, NULL, NULL, 'Auto-created from appointment on 2025-11-08', NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, '2025-11-08 07:43:50', 'Wrong person', 1, '2025-11-08 06:42:53', '2025-11-08 07:43:50', NULL, NULL, NULL, NULL, 0, NULL, NULL),
+(67, 'PN-20251108154341-8820', 63, 'Rt.SI joint dysfuction', 'reduce pain', 'COMPLETED', 1, 1, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, '2025-11-08 08:45:17', '2025-11-08 10:56:44', NULL, NULL, 1, '2025-11-08 08:43:41', '2025-11-08 10:56:44', NULL, NULL, NULL, NULL, 0, NULL, NULL),
+(68, 'PN-20251108223325-6585', 47, 'Pain relief', 'Physiotherapy treatment from appointment booking', 'COMPLETED', 1, 1, NULL, NULL, NULL, 'Auto-created from appointment on 2025-11-11', NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, '2025-11-11 06:09:35', '2025-11-11 13:03:30', NULL, NULL, 1, '2025-11-08 15:33:25', '2025-11-11 13:03:30', NULL, NULL, NULL, NULL, 0, NULL, NULL),
+(69, 'PN-20251110090856-1380', 47, 'Pain relief', 'Physiotherapy treatment from appointment booking', 'COMPLETED', 1, 1, NULL, NULL, NULL, 'Auto-created from appointment on 2025-11-12', NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, '2025-11-12 06:38:03', '2025-11-12 08:32:07', NULL, NULL, 1, '2025-11-10 02:08:56', '2025-11-12 08:32:07', NULL, NULL, NULL, NULL, 0, NULL, NULL),
+(70, 'PN-20251110093532-7708', 64, 'Hip stiffness', 'Improve eange of motion and reduce pain', 'CANCELLED', 1, 1, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, '2025-11-10 02:39:13', 'ca', 1, '2025-11-10 02:35:32', '2025-11-10 02:39:13', NULL, NULL, NULL, NULL, 0, NULL, NULL),
+(71, 'PN-20251110094017-3751', 64, 'Hip stiffness', 'Physiotherapy treatment from appointment booking', 'COMPLETED', 1, 1, NULL, NULL, NULL, 'Auto-created from appointment on 2025-11-10', NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, '2025-11-10 04:17:20', '2025-11-10 08:29:09', NULL, NULL, 1, '2025-11-10 02:40:17', '2025-11-10 08:29:09', NULL, NULL, NULL, NULL, 0, NULL, NULL),
+(72, 'PN-20251110112834-7085', 65, 'neck stiffness', 'improve range of motion', 'CANCELLED', 1, 1, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, '2025-11-10 04:29:15', 'ca', 1, '2025-11-10 04:28:34', '2025-11-10 04:29:15', NULL, NULL, NULL, NULL, 0, NULL, NULL),
+(73, 'PN-20251110112947-6170', 65, 'neck stiffness', 'Physiotherapy treatment from appointment booking', 'COMPLETED', 1, 1, NULL, NULL, NULL, 'Auto-created from appointment on 2025-11-10', NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, '2025-11-10 08:29:26', '2025-11-10 08:35:30', NULL, NULL, 1, '2025-11-10 04:29:47', '2025-11-10 08:35:30', NULL, NULL, NULL, NULL, 0, NULL, NULL),
+(74, 'PN-20251110135608-8429', 11, 'Pain relief', 'Physiotherapy treatment from appointment booking', 'COMPLETED', 1, 1, NULL, NULL, NULL, 'Auto-created from appointment on 2025-11-10', NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, '2025-11-10 08:53:00', '2025-11-10 09:39:38', NULL, NULL, 1, '2025-11-10 06:56:08', '2025-11-10 09:39:38', NULL, NULL, NULL, NULL, 0, NULL, NULL),
+(75, 'PN-20251110160648-6726', 44, 'Pain relief', 'Physiotherapy treatment from appointment booking', 'COMPLETED', 1, 1, NULL, NULL, NULL, 'Auto-created from appointment on 2025-11-11', NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, '2025-11-11 12:58:52', '2025-11-11 13:38:34', NULL, NULL, 1, '2025-11-10 09:06:48', '2025-11-11 13:38:34', NULL, NULL, NULL, NULL, 0, NULL, NULL),
+(76, 'PN-20251110180254-7715', 66, 'Heel', 'Reduce pain', 'COMPLETED', 1, 1, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, '2025-11-10 11:03:43', '2025-11-11 02:41:47', NULL, NULL, 1, '2025-11-10 11:02:54', '2025-11-11 02:41:47', NULL, NULL, NULL, NULL, 0, NULL, NULL),
+(77, 'PN-20251111132534-3838', 64, 'Hip stiffness', 'Physiotherapy treatment from appointment booking', 'COMPLETED', 1, 1, NULL, NULL, NULL, 'Auto-created from appointment on 2025-11-11', NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, '2025-11-11 08:29:40', '2025-11-11 13:07:55', NULL, NULL, 1, '2025-11-11 06:25:34', '2025-11-11 13:07:55', NULL, NULL, NULL, NULL, 0, NULL, NULL),
+(78, 'PN-20251111151730-7906', 4, 'Pain relief', 'Physiotherapy treatment from appointment booking', 'CANCELLED', 1, 1, NULL, NULL, NULL, 'Auto-created from appointment on 2025-11-13', NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, '2025-11-11 08:18:57', 'ก', 1, '2025-11-11 08:17:30', '2025-11-11 08:18:57', NULL, NULL, NULL, NULL, 0, NULL, NULL),
+(79, 'PN-20251111151933-8308', 4, 'Pain relief', 'Physiotherapy treatment from appointment booking', 'CANCELLED', 1, 1, NULL, NULL, NULL, 'Auto-created from appointment on 2025-11-13', NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, '2025-11-11 08:19:58', 'ก', 1, '2025-11-11 08:19:33', '2025-11-11 08:19:58', NULL, NULL, NULL, NULL, 0, NULL, NULL),
+(80, 'PN-20251111172749-0802', 66, 'Heel', 'Physiotherapy treatment from appointment booking', 'CANCELLED', 1, 1, NULL, NULL, NULL, 'Auto-created from appointment on 2025-11-12', NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, '2025-11-12 07:47:22', 'ca', 1, '2025-11-11 10:27:49', '2025-11-12 07:47:22', NULL, NULL, NULL, NULL, 0, NULL, NULL),
+(81, 'PN-20251111185556-9485', 4, 'Pain relief', 'Physiotherapy treatment from appointment booking', 'CANCELLED', 1, 1, NULL, NULL, NULL, 'Auto-created from appointment on 2025-11-14', NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, '2025-11-11 12:00:25', 'ทดสอบ', 1, '2025-11-11 11:55:56', '2025-11-11 12:00:25', NULL, NULL, NULL, NULL, 0, NULL, NULL),
+(82, 'PN-20251111190052-2991', 67, 'ทดสอบ', 'Physiotherapy treatment from appointment booking', 'CANCELLED', 1, 1, NULL, NULL, NULL, 'Auto-created from appointment on 2025-11-14', NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, '2025-11-11 12:02:01', 'ทดสอย', 1, '2025-11-11 12:00:52', '2025-11-11 12:02:01', NULL, NULL, NULL, NULL, 0, NULL, NULL),
+(83, 'PN-20251111190241-9780', 67, 'ทดสอบ', 'Physiotherapy treatment from appointment booking', 'CANCELLED', 1, 1, NULL, NULL, NULL, 'Auto-created from appointment on 2025-11-15', NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, '2025-11-11 12:09:16', 'ds', 1, '2025-11-11 12:02:41', '2025-11-11 12:09:16', NULL, NULL, NULL, NULL, 0, NULL, NULL),
+(84, 'PN-20251111190959-0155', 67, 'ทดสอบ', 'Physiotherapy treatment from appointment booking', 'CANCELLED', 1, 1, NULL, NULL, NULL, 'Auto-created from appointment on 2025-11-13', NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, '2025-11-11 12:16:00', 'ทดสอบ ', 1, '2025-11-11 12:09:59', '2025-11-11 12:16:00', NULL, NULL, NULL, NULL, 0, NULL, NULL),
+(85, 'PN-20251111191636-0313', 67, 'ทดสอบ', 'Physiotherapy treatment from appointment booking', 'CANCELLED', 1, 1, NULL, NULL, NULL, 'Auto-created from appointment on 2025-11-14', NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, '2025-11-11 12:17:19', 'Cancelled from appointment', 1, '2025-11-11 12:16:36', '2025-11-11 12:17:19', NULL, NULL, NULL, NULL, 0, NULL, NULL),
+(86, 'PN-20251111191820-0858', 67, 'ทดสอบ', 'Physiotherapy treatment from appointment booking', 'CANCELLED', 1, 1, NULL, NULL, NULL, 'Auto-created from appointment on 2025-11-13', NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, '2025-11-11 12:26:18', 'กแ', 1, '2025-11-11 12:18:20', '2025-11-11 12:26:18', NULL, NULL, NULL, NULL, 0, NULL, NULL),
+(87, 'PN-20251111192637-3094', 67, 'ทดสอบ', 'Physiotherapy treatment from appointment booking', 'CANCELLED', 1, 1, NULL, NULL, NULL, 'Auto-created from appointment on 2025-11-13', NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, '2025-11-11 12:35:16', 'ca', 1, '2025-11-11 12:26:37', '2025-11-11 12:35:16', NULL, NULL, NULL, NULL, 0, NULL, NULL),
+(88, 'PN-20251111193541-1629', 67, 'ทดสอบ', 'Physiotherapy treatment from appointment booking', 'CANCELLED', 1, 1, NULL, NULL, NULL, 'Auto-created from appointment on 2025-11-15', NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, '2025-11-11 13:11:21', 'CA', 1, '2025-11-11 12:35:41', '2025-11-11 13:11:21', NULL, NULL, NULL, NULL, 0, NULL, NULL),
+(89, 'PN-20251111203153-9482', 67, 'ทดสอบ', 'Physiotherapy treatment from appointment booking', 'CANCELLED', 1, 1, NULL, NULL, NULL, 'Auto-created from appointment on 2025-11-13', NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, '2025-11-11 13:38:17', 'ca', 1, '2025-11-11 13:31:53', '2025-11-11 13:38:17', NULL, NULL, NULL, NULL, 0, NULL, NULL),
+(90, 'PN-20251111203956-1696', 67, 'ทดสอบ', 'Physiotherapy treatment from appointment booking', 'CANCELLED', 1, 1, NULL, NULL, NULL, 'Auto-created from appointment on 2025-11-15', NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, '2025-11-11 13:56:20', 'ca', 1, '2025-11-11 13:39:56', '2025-11-11 13:56:20', NULL, NULL, NULL, NULL, 0, NULL, NULL),
+(91, 'PN-20251111205659-4157', 67, 'ทดสอบ', 'Physiotherapy treatment from appointment booking', 'CANCELLED', 1, 1, NULL, NULL, NULL, 'Auto-created from appointment on 2025-11-16', NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, '2025-11-11 14:04:51', 'ca', 1, '2025-11-11 13:56:59', '2025-11-11 14:04:51', NULL, NULL, NULL, NULL, 0, NULL, NULL),
+(92, 'PN-20251111210518-7035', 67, 'ทดสอบ', 'Physiotherapy treatment from appointment booking', 'CANCELLED', 1, 1, NULL, NULL, NULL, 'Auto-created from appointment on 2025-11-14', NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, '2025-11-11 16:05:53', 'ca', 1, '2025-11-11 14:05:18', '2025-11-11 16:05:53', NULL, NULL, NULL, NULL, 0, NULL, NULL),
+(93, 'PN-20251111220135-0910', 67, 'ทดสอบ', 'Physiotherapy treatment from appointment booking', 'CANCELLED', 1, 1, NULL, NULL, NULL, 'Auto-created from appointment on 2025-11-15', NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, '2025-11-11 16:05:49', 'c', 1, '2025-11-11 15:01:35', '2025-11-11 16:05:49', NULL, NULL, NULL, NULL, 0, NULL, NULL),
+(94, 'PN-20251111225218-2653', 67, 'ทดสอบ', 'Physiotherapy treatment from appointment booking', 'CANCELLED', 1, 1, NULL, NULL, NULL, 'Auto-created from appointment on 2025-11-19', NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, '2025-11-12 03:39:44', 'ca', 1, '2025-11-11 15:52:18', '2025-11-12 03:39:44', NULL, NULL, NULL, NULL, 0, NULL, NULL),
+(95, 'PN-20251111225708-3691', 67, 'ทดสอบ', 'Physiotherapy treatment from appointment booking', 'CANCELLED', 1, 1, NULL, NULL, NULL, 'Auto-created from appointment on 2025-11-19', NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, '2025-11-12 03:39:39', 'ca', 1, '2025-11-11 15:57:08', '2025-11-12 03:39:39', NULL, NULL, NULL, NULL, 0, NULL, NULL),
+(96, 'PN-20251111230631-1693', 67, 'ทดสอบ', 'Physiotherapy treatment from appointment booking', 'CANCELLED', 1, 1, NULL, NULL, NULL, 'Auto-created from appointment on 2025-11-14', NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, '2025-11-11 16:07:55', 'แฟ', 1, '2025-11-11 16:06:31', '2025-11-11 16:07:55', NULL, NULL, NULL, NULL, 0, NULL, NULL),
+(97, 'PN-20251111230815-9272', 67, 'ทดสอบ', 'Physiotherapy treatment from appointment booking', 'CANCELLED', 1, 1, NULL, NULL, NULL, 'Auto-created from appointment on 2025-11-14', NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, '2025-11-11 16:28:10', 'Cancelled from appointment', 1, '2025-11-11 16:08:15', '2025-11-11 16:28:10', NULL, NULL, NULL, NULL, 0, NULL, NULL),
+(98, 'PN-20251111231949-0245', 67, 'ทดสอบ', 'Physiotherapy treatment from appointment booking', 'CANCELLED', 1, 1, NULL, NULL, NULL, 'Auto-created from appointment on 2025-11-13', NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, '2025-11-11 16:28:14', 'Cancelled from appointment', 1, '2025-11-11 16:19:49', '2025-11-11 16:28:14', NULL, NULL, NULL, NULL, 0, NULL, NULL),
+(99, 'PN-20251111232833-0538', 67, 'ทดสอบ', 'Physiotherapy treatment from appointment booking', 'CANCELLED', 1, 1, NULL, NULL, NULL, 'Auto-created from appointment on 2025-11-12', NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, '2025-11-11 16:34:29', 'ca', 1, '2025-11-11 16:28:33', '2025-11-11 16:34:29', NULL, NULL, NULL, NULL, 0, NULL, NULL),
+(100, 'PN-20251111233448-5986', 67, 'ทดสอบ', 'Physiotherapy treatment from appointment booking', 'CANCELLED', 1, 1, NULL, NULL, NULL, 'Auto-created from appointment on 2025-11-13', NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, '2025-11-11 16:42:55', 'Cancelled from appointment', 1, '2025-11-11 16:34:48', '2025-11-11 16:42:55', NULL, NULL, NULL, NULL, 0, NULL, NULL),
+(101, 'PN-20251111234327-6928', 67, 'ทดสอบ', 'Physiotherapy treatment from appointment booking', 'CANCELLED', 1, 1, NULL, NULL, NULL, 'Auto-created from appointment on 2025-11-13', NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, '2025-11-11 16:50:52', 'ca', 1, '2025-11-11 16:43:27', '2025-11-11 16:50:52', NULL, NULL, NULL, NULL, 0, NULL, NULL),
+(102, 'PN-20251111235110-1464', 67, 'ทดสอบ', 'Physiotherapy treatment from appointment booking', 'CANCELLED', 1, 1, NULL, NULL, NULL, 'Auto-created from appointment on 2025-11-18', NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, '2025-11-12 03:39:36', 'ca', 1, '2025-11-11 16:51:10', '2025-11-12 03:39:36', NULL, NULL, NULL, NULL, 0, NULL, NULL),
+(103, 'PN-20251112084523-7888', 67, 'ทดสอบ', 'Physiotherapy treatment from appointment booking', 'CANCELLED', 1, 1, NULL, NULL, NULL, 'Auto-created from appointment on 2025-11-13', NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, '2025-11-12 01:46:40', 'CA', 1, '2025-11-12 01:45:23', '2025-11-12 01:46:40', NULL, NULL, NULL, NULL, 0, NULL, NULL),
+(104, 'PN-20251112104012-1149', 67, 'ทดสอบ', 'Physiotherapy treatment from appointment booking', 'CANCELLED', 1, 1, NULL, NULL, NULL, 'Auto-created from appointment on 2025-11-12', NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, '2025-11-12 03:44:32', 'ca', 1, '2025-11-12 03:40:12', '2025-11-12 03:44:32', NULL, NULL, NULL, NULL, 0, NULL, NULL),
+(105, 'PN-20251112105209-2625', 68, 'Hip pain', 'Pain reduce', 'COMPLETED', 1, 1, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, '2025-11-12 03:52:47', '2025-11-12 08:47:33', NULL, NULL, 1, '2025-11-12 03:52:09', '2025-11-12 08:47:33', NULL, NULL, NULL, NULL, 0, NULL, NULL),
+(106, 'PN-20251112143451-5205', 66, 'Heel', 'Physiotherapy treatment from appointment booking', 'COMPLETED', 1, 1, NULL, NULL, NULL, 'Auto-created from appointment on 2025-11-12', NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, '2025-11-12 12:32:20', '2025-11-12 12:37:47', NULL, NULL, 1, '2025-11-12 07:34:51', '2025-11-12 12:37:47', NULL, NULL, NULL, NULL, 0, NULL, NULL),
+(107, 'PN-20251112143617-2655', 67, 'ทดสอบ', 'Physiotherapy treatment from appointment booking', 'CANCELLED', 1, 1, NULL, NULL, NULL, 'Auto-created from appointment on 2025-11-12', NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, '2025-11-12 07:42:24', 'ca', 1, '2025-11-12 07:36:17', '2025-11-12 07:42:24', NULL, NULL, NULL, NULL, 0, NULL, NULL),
+(108, 'PN-20251112150844-4854', 47, 'Pain relief', 'Physiotherapy treatment from appointment booking', 'CANCELLED', 1, 1, NULL, NULL, NULL, 'Auto-created from appointment on 2025-11-14', NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, '2025-11-12 08:23:07', 'ca', 1, '2025-11-12 08:08:44', '2025-11-12 08:23:07', NULL, NULL, NULL, NULL, 0, NULL, NULL),
+(109, 'PN-20251112151854-8666', 69, 'Knee accident', 'Reduce pain', 'COMPLETED', 1, 1, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, '2025-11-12 08:19:44', '2025-11-12 08:45:30', NULL, NULL, 1, '2025-11-12 08:18:54', '2025-11-12 08:45:30', NULL, NULL, NULL, NULL, 0, NULL, NULL),
+(110, 'PN-20251112152330-9617', 47, 'Pain relief', 'Physiotherapy treatment from appointment booking', 'CANCELLED', 1, 1, NULL, NULL, NULL, 'Auto-created from appointment on 2025-11-14', NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, '2025-11-17 07:36:30', NULL, '2025-11-17 07:41:29', 'CA', 1, '2025-11-12 08:23:30', '2025-11-17 07:41:29', NULL, NULL, NULL, NULL, 0, NULL, NULL),
+(111, 'PN-20251112154621-5531', 47, 'Pain relief', 'Physiotherapy treatment from appointment booking', 'CANCELLED', 1, 1, NULL, NULL, NULL, 'Auto-created from appointment on 2025-11-12', NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, '2025-11-12 08:47:11', NULL, '2025-11-12 08:47:21', 'ca', 1, '2025-11-12 08:46:21', '2025-11-12 08:47:21', NULL, NULL, NULL, NULL, 0, NULL, NULL),
+(112, 'PN-20251112175227-9357', 69, 'Knee accident', 'Physiotherapy treatment from appointment booking', 'COMPLETED', 1, 1, NULL, NULL, NULL, 'Auto-created from appointment on 2025-11-15', NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, '2025-11-15 08:46:02', '2025-11-17 02:54:27', NULL, NULL, 1, '2025-11-12 10:52:27', '2025-11-17 02:54:27', NULL, NULL, NULL, NULL, 0, NULL, NULL),
+(113, 'PN-20251113101428-6213', 65, 'neck stiffness', 'Physiotherapy treatment from appointment booking', 'COMPLETED', 1, 1, NULL, NULL, NULL, 'Auto-created from appointment on 2025-11-13', NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, '2025-11-13 06:03:10', '2025-11-13 08:24:42', NULL, NULL, 1, '2025-11-13 03:14:28', '2025-11-13 08:24:42', NULL, NULL, NULL, NULL, 0, NULL, NULL),
+(114, 'PN-20251113102754-0557', 70, 'Muay thai elbow pain', 'Improve range of motion , relief pain', 'COMPLETED', 1, 1, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, '2025-11-13 03:28:33', '2025-11-13 05:45:32', NULL, NULL, 1, '2025-11-13 03:27:54', '2025-11-13 05:45:32', NULL, NULL, NULL, NULL, 0, NULL, NULL),
+(115, 'PN-20251113112953-1273', 71, 'ทดสวอบ', 'ก', 'CANCELLED', 1, 1, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, '2025-11-13 04:30:56', 'ca', 1, '2025-11-13 04:29:53', '2025-11-13 04:30:56', NULL, NULL, NULL, NULL, 0, NULL, NULL),
+(116, 'PN-20251113113259-5016', 71, 'ทดสวอบ', 'ทดสอบ', 'CANCELLED', 1, 1, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, '2025-11-13 04:34:22', 'ca', 1, '2025-11-13 04:32:59', '2025-11-13 04:34:22', NULL, NULL, NULL, NULL, 0, NULL, NULL),
+(117, 'PN-20251113114629-6745', 71, 'ทดสวอบ', 'Popupcheck ', 'CANCELLED', 1, 1, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, '2025-11-13 04:53:20', 'ca', 1, '2025-11-13 04:46:29', '2025-11-13 04:53:20', NULL, NULL, NULL, NULL, 0, NULL, NULL),
+(118, 'PN-20251113115341-4662', 71, 'ทดสวอบ', 'ทดสอบ', 'CANCELLED', 1, 1, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, '2025-11-13 04:56:17', 'ca', 1, '2025-11-13 04:53:41', '2025-11-13 04:56:17', NULL, NULL, NULL, NULL, 0, NULL, NULL),
+(119, 'PN-20251113115644-9509', 71, 'ทดสวอบ', 'ทดสอบ', 'CANCELLED', 1, 1, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, '2025-11-13 04:57:05', NULL, '2025-11-13 05:05:11', 'ca', 1, '2025-11-13 04:56:44', '2025-11-13 05:05:11', NULL, NULL, NULL, NULL, 0, NULL, NULL),
+(120, 'PN-20251113121057-0863', 71, 'ทดสวอบ', 'ทดสอบ', 'CANCELLED', 1, 1, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, '2025-11-13 05:12:22', 'แฟ', 1, '2025-11-13 05:10:57', '2025-11-13 05:12:22', NULL, NULL, NULL, NULL, 0, NULL, NULL),
+(121, 'PN-20251113122402-0175', 71, 'ทดสวอบ', 'ทด', 'CANCELLED', 1, 1, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, '2025-11-13 05:28:58', 'ca', 1, '2025-11-13 05:24:02', '2025-11-13 05:28:58', NULL, NULL, NULL, NULL, 0, NULL, NULL),
+(122, 'PN-20251113122801-7793', 67, 'ทดสอบ', 'Physiotherapy treatment from appointment booking', 'CANCELLED', 1, 1, NULL, NULL, NULL, 'Auto-created from appointment on 2025-11-13', NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, '2025-11-13 05:28:25', NULL, '2025-11-13 05:28:39', 'แฟ', 1, '2025-11-13 05:28:01', '2025-11-13 05:28:39', NULL, NULL, NULL, NULL, 0, NULL, NULL),
+(123, 'PN-20251113123701-9364', 71, 'ทดสวอบ', 'ทดสอบ', 'CANCELLED', 1, 1, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, '2025-11-13 05:37:55', NULL, '2025-11-13 05:38:12', 'ca', 1, '2025-11-13 05:37:01', '2025-11-13 05:38:12', NULL, NULL, NULL, NULL, 0, NULL, NULL),
+(124, 'PN-20251113124606-9258', 71, 'ทดสวอบ', 'ทสดอบ', 'CANCELLED', 1, 1, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, '2025-11-13 05:58:48', 'ca', 1, '2025-11-13 05:46:06', '2025-11-13 05:58:48', NULL, NULL, NULL, NULL, 0, NULL, NULL),
+(125, 'PN-20251113125921-4775', 71, 'ทดสวอบ', 'c', 'CANCELLED', 1, 1, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, '2025-11-13 05:59:52', NULL, '2025-11-13 06:00:04', 'ca', 1, '2025-11-13 05:59:21', '2025-11-13 06:00:04', NULL, NULL, NULL, NULL, 0, NULL, NULL),
+(126, 'PN-20251114091917-1471', 72, 'Muay thai class ', 'Improve range of motion', 'COMPLETED', 1, 1, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, '2025-11-14 02:21:06', '2025-11-14 04:02:20', NULL, NULL, 1, '2025-11-14 02:19:17', '2025-11-14 04:02:20', NULL, NULL, NULL, NULL, 0, NULL, NULL),
+(127, 'PN-20251114140949-3004', 73, 'Muscle Hight Tension', 'Pain reduction', 'COMPLETED', 1, 1, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, '2025-11-14 07:10:12', '2025-11-14 09:57:22', NULL, NULL, 1, '2025-11-14 07:09:49', '2025-11-14 09:57:22', NULL, NULL, NULL, NULL, 0, NULL, NULL),
+(128, 'PN-20251114165324-1541', 77, 'Knee pain', 'pain reduce', 'COMPLETED', 1, 1, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, '2025-11-14 09:55:12', '2025-11-15 02:30:14', NULL, NULL, 1, '2025-11-14 09:53:24', '2025-11-15 02:30:14', NULL, NULL, NULL, NULL, 0, NULL, NULL),
+(129, 'PN-20251114180105-8112', 28, 'Pain relief', 'Back relief', 'COMPLETED', 1, 1, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, '2025-11-14 11:01:18', '2025-11-15 02:36:40', NULL, NULL, 1, '2025-11-14 11:01:05', '2025-11-15 02:36:40', NULL, NULL, NULL, NULL, 0, NULL, NULL),
+(130, 'PN-20251115121634-9387', 78, 'Broken Wrist', 'Pain reduce', 'COMPLETED', 1, 1, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, '2025-11-15 05:16:54', '2025-11-15 07:01:57', NULL, NULL, 1, '2025-11-15 05:16:34', '2025-11-15 07:01:57', NULL, NULL, NULL, NULL, 0, NULL, NULL),
+(131, 'PN-20251115165213-0325', 79, 'Frozen stuck', 'Increase Range of Motion', 'COMPLETED', 1, 1, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, '2025-11-15 10:48:46', '2025-11-17 02:57:02', NULL, NULL, 1, '2025-11-15 09:52:13', '2025-11-17 02:57:02', NULL, NULL, NULL, NULL, 0, NULL, NULL),
+(132, 'PN-20251117093655-5984', 80, 'Forearm pain', 'Improve range', 'CANCELLED', 1, 1, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, '2025-11-17 03:10:06', 'ca', 1, '2025-11-17 02:36:55', '2025-11-17 03:10:06', NULL, NULL, NULL, NULL, 0, NULL, NULL),
+(133, 'PN-20251117101021-0708', 80, 'Forearm pain', 'Improve range of motion', 'CANCELLED', 1, 1, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, '2025-11-17 03:42:29', NULL, '2025-11-17 03:46:39', 'ca', 1, '2025-11-17 03:10:21', '2025-11-17 03:46:39', NULL, NULL, NULL, NULL, 0, NULL, NULL),
+(134, 'PN-20251117104703-2151', 80, 'Forearm pain', 'Physiotherapy treatment from appointment booking', 'COMPLETED', 1, 1, NULL, NULL, NULL, 'Auto-created from appointment on 2025-11-17', NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, '2025-11-17 04:02:47', '2025-11-17 08:33:14', NULL, NULL, 1, '2025-11-17 03:47:03', '2025-11-17 08:33:14', NULL, NULL, NULL, NULL, 0, NULL, NULL),
+(135, 'PN-20251117110537-4558', 72, 'Muay thai class ', 'Physiotherapy treatment from appointment booking', 'PENDING', 1, 1, NULL, NULL, NULL, 'Auto-created from appointment on 2025-11-18', NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, 1, '2025-11-17 04:05:37', NULL, NULL, NULL, NULL, NULL, 0, NULL, NULL),
+(136, 'PN-20251117121349-5725', 38, 'Pain relief', 'Physiotherapy treatment from appointment booking', 'PENDING', 1, 1, NULL, NULL, NULL, 'Auto-created from appointment on 2025-11-18', NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, 1, '2025-11-17 05:13:49', '2025-11-17 14:23:02', NULL, NULL, NULL, NULL, 0, NULL, NULL),
+(137, 'PN-20251117143934-7412', 47, 'Pain relief', 'Physiotherapy treatment from appointment booking', 'CANCELLED', 1, 1, NULL, NULL, NULL, 'Auto-created from appointment on 2025-11-18', NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, '2025-11-17 07:39:57', 'CA', 1, '2025-11-17 07:39:34', '2025-11-17 07:39:57', NULL, NULL, NULL, NULL, 0, NULL, NULL),
+(138, 'PN-20251117144039-4252', 47, 'Pain relief', 'Physiotherapy treatment from appointment booking', 'PENDING', 1, 1, NULL, NULL, NULL, 'Auto-created from appointment on 2025-11-18', NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, 1, '2025-11-17 07:40:39', NULL, NULL, NULL, NULL, NULL, 0, NULL, NULL),
+(139, 'PN-20251117144203-6162', 47, 'Pain relief', 'Physiotherapy treatment from appointment booking', 'COMPLETED', 1, 1, NULL, NULL, NULL, 'Auto-created from appointment on 2025-11-17', NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, '2025-11-17 07:53:29', '2025-11-17 08:43:14', NULL, NULL, 1, '2025-11-17 07:42:03', '2025-11-17 08:43:14', NULL, NULL, NULL, NULL, 0, NULL, NULL),
+(140, 'PN-20251118100237-4151', 78, 'Broken Wrist', 'Physiotherapy treatment from appointment booking', 'PENDING', 1, 1, NULL, NULL, NULL, 'Auto-created from appointment on 2025-11-19', NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, NULL, 1, '2025-11-18 03:02:37', NULL, NULL, NULL, NULL, NULL, 0, NULL, NULL);
+
+-- --------------------------------------------------------
+
+--
+-- Table structure for table `pn_diagnosis_codes`
+--
+
+CREATE TABLE `pn_diagnosis_codes` (
+  `id` int(11) NOT NULL,
+  `pn_id` int(11) NOT NULL,
+  `diagnosis_field` enum('diagnosis','physio_diagnosis','pt_diagnosis') NOT NULL COMMENT 'Free-text column of pn_cases the code belongs to',
+  `clinical_code_id` int(11) NOT NULL,
+  `code_system` enum('ICD10','ICF') NOT NULL,
+  `code` varchar(16) NOT NULL,
+  `title` varchar(255) NOT NULL COMMENT 'Title when coded, so reports do not change if the code table is edited',
+  `sort_order` int(11) NOT NULL DEFAULT 0 COMMENT '0 = primary code',
+  `created_by` int(11) NOT NULL,
+  `created_at` timestamp NOT NULL DEFAULT current_timestamp()
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci COMMENT='Coded diagnoses stored alongside the free-text diagnoses of a PN case';
+
+-- --------------------------------------------------------
+
+--
+-- Table structure for table `pn_discharge_summaries`
+--
+
+CREATE TABLE `pn_discharge_summaries` (
+  `id` int(11) NOT NULL,
+  `pn_id` int(11) NOT NULL,
+  `discharge_reason` enum('GOALS_ACHIEVED','PLATEAU','PATIENT_REQUEST','REFERRED_ON','NON_ATTENDANCE','OTHER') NOT NULL DEFAULT 'GOALS_ACHIEVED',
+  `clinical_summary` text DEFAULT NULL COMMENT 'Condition at discharge',
+  `recommendations` text NOT NULL,
+  `follow_up` text DEFAULT NULL COMMENT 'Follow-up instructions',
+  `follow_up_date` date DEFAULT NULL,
+  `report_id` int(11) DEFAULT NULL COMMENT 'Latest DISCHARGE report in pn_reports',
+  `created_by` int(11) NOT NULL,
+  `updated_by` int(11) DEFAULT NULL,
+  `created_at` timestamp NOT NULL DEFAULT current_timestamp(),
+  `updated_at` timestamp NULL DEFAULT NULL ON UPDATE current_timestamp()
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci COMMENT='Discharge details of completed PN cases';
+
+-- --------------------------------------------------------
+
+--
+-- Table structure for table `pn_exercise_program_items`
+--
+
+CREATE TABLE `pn_exercise_program_items` (
+  `id` int(11) NOT NULL,
+  `program_id` int(11) NOT NULL,
+  `exercise_id` int(11) NOT NULL,
+  `sort_order` int(11) NOT NULL DEFAULT 0,
+  `sets` int(11) DEFAULT NULL,
+  `reps` int(11) DEFAULT NULL,
+  `hold_seconds` int(11) DEFAULT NULL,
+  `frequency` varchar(100) DEFAULT NULL,
+  `notes` text DEFAULT NULL COMMENT 'Patient-specific instructions'
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci COMMENT='Exercises prescribed in a program version';
+
+-- --------------------------------------------------------
+
+--
+-- Table structure for table `pn_exercise_programs`
+--
+
+CREATE TABLE `pn_exercise_programs` (
+  `id` int(11) NOT NULL,
+  `pn_id` int(11) NOT NULL COMMENT 'Foreign key to pn_cases',
+  `visit_id` int(11) DEFAULT NULL COMMENT 'Visit the program was prescribed or revised at',
+  `version` int(11) NOT NULL COMMENT 'Increments each time the program is revised',
+  `notes` text DEFAULT NULL COMMENT 'General advice shown on the handout',
+  `created_by` int(11) NOT NULL,
+  `created_at` timestamp NOT NULL DEFAULT current_timestamp()
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci COMMENT='Home exercise program versions per PN case';
+
+-- --------------------------------------------------------
+
+--
+-- Table structure for table `pn_goal_updates`
+--
+
+CREATE TABLE `pn_goal_updates` (
+  `id` int(11) NOT NULL,
+  `goal_id` int(11) NOT NULL,
+  `visit_id` int(11) DEFAULT NULL COMMENT 'Visit the progress was recorded at',
+  `outcome_measure_id` int(11) DEFAULT NULL COMMENT 'Set when the value came from a recorded outcome measure',
+  `value` decimal(8,2) DEFAULT NULL,
+  `status` enum('ACTIVE','MET','PARTIALLY_MET','NOT_MET','DISCONTINUED') NOT NULL,
+  `note` text DEFAULT NULL,
+  `recorded_by` int(11) NOT NULL,
+  `recorded_at` timestamp NOT NULL DEFAULT current_timestamp()
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci COMMENT='Progress history of PN goals';
+
+-- --------------------------------------------------------
+
+--
+-- Table structure for table `pn_goals`
+--
+
+CREATE TABLE `pn_goals` (
+  `id` int(11) NOT NULL,
+  `pn_id` int(11) NOT NULL COMMENT 'Foreign key to pn_cases',
+  `description` text NOT NULL COMMENT 'SMART goal statement',
+  `measure_code` varchar(20) DEFAULT NULL COMMENT 'Outcome measure (NPRS, ODI, ...) or NULL for a custom measure',
+  `measure_label` varchar(100) DEFAULT NULL COMMENT 'Custom measure, e.g. Walking distance',
+  `unit` varchar(20) DEFAULT NULL,
+  `baseline_value` decimal(8,2) DEFAULT NULL,
+  `target_value` decimal(8,2) DEFAULT NULL,
+  `current_value` decimal(8,2) DEFAULT NULL COMMENT 'Latest recorded value',
+  `due_date` date DEFAULT NULL,
+  `status` enum('ACTIVE','MET','PARTIALLY_MET','NOT_MET','DISCONTINUED') NOT NULL DEFAULT 'ACTIVE',
+  `achieved_at` date DEFAULT NULL,
+  `created_by` int(11) NOT NULL,
+  `created_at` timestamp NOT NULL DEFAULT current_timestamp(),
+  `updated_at` timestamp NULL DEFAULT NULL ON UPDATE current_timestamp()
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci COMMENT='Structured treatment goals per PN case';
+
+--
+-- Dumping data for table `pn_goals`
+--
+
+INSERT INTO `pn_goals` (`id`, `pn_id`, `description`, `measure_code`, `measure_label`, `unit`, `baseline_value`, `target_value`, `current_value`, `due_date`, `status`, `achieved_at`, `created_by`, `created_at`, `updated_at`) VALUES
+(1, 61, 'Reduce pain and numbness', NULL, NULL, NULL, NULL, NULL, NULL, NULL, 'ACTIVE', NULL, 1, '2025-11-08 05:18:54', NULL);
+
+-- --------------------------------------------------------
+
+--
+-- Table structure for table `pn_outcome_measures`
+--
+
+CREATE TABLE `pn_outcome_measures` (
+  `id` int(11) NOT NULL,
+  `pn_id` int(11) NOT NULL COMMENT 'Foreign key to pn_cases',
+  `visit_id` int(11) DEFAULT NULL COMMENT 'Visit the measure was taken at (NULL = case intake)',
+  `measure_code` varchar(20) NOT NULL COMMENT 'NPRS, ODI, NDI, LEFS, DASH, ROM',
+  `responses` longtext CHARACTER SET utf8mb4 COLLATE utf8mb4_bin NOT NULL CHECK (json_valid(`responses`)),
+  `score` decimal(6,2) DEFAULT NULL COMMENT 'Calculated score (NULL for ROM)',
+  `interpretation` varchar(100) DEFAULT NULL,
+  `notes` text DEFAULT NULL,
+  `measured_at` datetime NOT NULL,
+  `recorded_by` int(11) NOT NULL,
+  `created_at` timestamp NOT NULL DEFAULT current_timestamp(),
+  `updated_at` timestamp NULL DEFAULT NULL ON UPDATE current_timestamp()
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci COMMENT='Scored outcome measures per PN case and visit';
+
+-- --------------------------------------------------------
+
+--
+-- Table structure for table `pn_referral_letter_deliveries`
+--
+
+CREATE TABLE `pn_referral_letter_deliveries` (
+  `id` int(11) NOT NULL,
+  `letter_id` int(11) NOT NULL,
+  `recipient_email` varchar(150) NOT NULL,
+  `subject` varchar(255) NOT NULL,
+  `status` enum('SENT','FAILED') NOT NULL,
+  `sent_by` int(11) NOT NULL,
+  `sent_at` timestamp NOT NULL DEFAULT current_timestamp()
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci COMMENT='Every attempt to email a referral letter';
+
+-- --------------------------------------------------------
+
+--
+-- Table structure for table `pn_referral_letters`
+--
+
+CREATE TABLE `pn_referral_letters` (
+  `id` int(11) NOT NULL,
+  `pn_id` int(11) NOT NULL,
+  `letter_type` enum('PROGRESS','DISCHARGE') NOT NULL DEFAULT 'PROGRESS',
+  `doctor_name` varchar(200) NOT NULL COMMENT 'Addressee at the time of writing',
+  `doctor_email` varchar(150) DEFAULT NULL,
+  `comments` text DEFAULT NULL COMMENT 'Free text added by the therapist',
+  `file_path` varchar(500) NOT NULL,
+  `file_name` varchar(255) NOT NULL,
+  `file_size` int(11) DEFAULT NULL,
+  `signature_id` int(11) DEFAULT NULL,
+  `created_by` int(11) NOT NULL,
+  `created_at` timestamp NOT NULL DEFAULT current_timestamp()
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci COMMENT='Letters back to the referring doctor of a PN case';
 
 -- --------------------------------------------------------
 
@@ -692,7 +1208,8 @@ INSERT INTO `pn_cases` (`id`, `pn_code`, `patient_id`, `diagnosis`, `purpose`, `
 
 CREATE TABLE `pn_reports` (
   `id` int(11) NOT NULL,
-  `visit_id` int(11) NOT NULL,
+  `pn_id` int(11) NOT NULL,
+  `visit_id` int(11) DEFAULT NULL COMMENT 'NULL for case-level reports such as DISCHARGE',
   `report_type` enum('INITIAL','PROGRESS','DISCHARGE','SUMMARY') NOT NULL DEFAULT 'PROGRESS',
   `file_path` varchar(500) DEFAULT NULL,
   `file_name` varchar(255) DEFAULT NULL,
@@ -701,12 +1218,53 @@ CREATE TABLE `pn_reports` (
   `qr_code` text DEFAULT NULL,
   `report_data` longtext CHARACTER SET utf8mb4 COLLATE utf8mb4_bin DEFAULT NULL CHECK (json_valid(`report_data`)),
   `created_by` int(11) NOT NULL,
+  `signed_by` int(11) DEFAULT NULL COMMENT 'Set when the PDF carries its author''s electronic signature',
+  `signed_at` datetime DEFAULT NULL,
+  `signature_id` int(11) DEFAULT NULL,
   `created_at` timestamp NOT NULL DEFAULT current_timestamp(),
   `updated_at` timestamp NULL DEFAULT NULL ON UPDATE current_timestamp()
 ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
 
 -- --------------------------------------------------------
 
+--
+-- Table structure for table `pn_screenings`
+--
+
+CREATE TABLE `pn_screenings` (
+  `id` int(11) NOT NULL,
+  `pn_id` int(11) NOT NULL,
+  `answers` longtext CHARACTER SET utf8mb4 COLLATE utf8mb4_bin NOT NULL COMMENT 'Snapshot: [{question_id, question, severity, guidance, answer, note}]' CHECK (json_valid(`answers`)),
+  `positive_count` int(11) NOT NULL DEFAULT 0,
+  `red_flag_count` int(11) NOT NULL DEFAULT 0,
+  `notes` text DEFAULT NULL,
+  `acknowledged_by` int(11) DEFAULT NULL COMMENT 'Who confirmed the positive answers were reviewed',
+  `screened_by` int(11) NOT NULL,
+  `screened_at` timestamp NOT NULL DEFAULT current_timestamp()
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
+
+-- --------------------------------------------------------
+
+--
+-- Table structure for table `pn_soap_body_marks`
+--
+
+CREATE TABLE `pn_soap_body_marks` (
+  `id` int(11) NOT NULL,
+  `soap_note_id` int(11) NOT NULL COMMENT 'Foreign key to pn_soap_notes',
+  `pn_id` int(11) NOT NULL COMMENT 'Foreign key to pn_cases (denormalized for per-case queries)',
+  `view` enum('FRONT','BACK') NOT NULL,
+  `region` varchar(30) NOT NULL COMMENT 'Body chart region code, e.g. lower_back, knee_r',
+  `symptom` enum('PAIN','ACHE','STIFFNESS','NUMBNESS','TINGLING','BURNING','WEAKNESS','SWELLING') NOT NULL DEFAULT 'PAIN',
+  `intensity` tinyint(4) DEFAULT NULL COMMENT '0-10',
+  `x` decimal(5,4) NOT NULL COMMENT 'Horizontal position as a fraction of the figure width',
+  `y` decimal(5,4) NOT NULL COMMENT 'Vertical position as a fraction of the figure height',
+  `note` varchar(255) DEFAULT NULL,
+  `created_at` timestamp NOT NULL DEFAULT current_timestamp()
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci COMMENT='Body chart pain/symptom locations for SOAP notes';
+
+-- --------------------------------------------------------
+
 --
 -- Table structure for table `pn_soap_notes`
 --
@@ -721,6 +1279,9 @@ CREATE TABLE `pn_soap_notes` (
   `timestamp` datetime NOT NULL DEFAULT current_timestamp() COMMENT 'When SOAP note was created',
   `notes` text DEFAULT NULL COMMENT 'Additional notes',
   `created_by` int(11) NOT NULL COMMENT 'User who created SOAP note',
+  `signed_at` datetime DEFAULT NULL COMMENT 'Signed notes are locked; corrections go to clinical_note_addenda',
+  `signed_by` int(11) DEFAULT NULL,
+  `signature_id` int(11) DEFAULT NULL COMMENT 'Signature image of signed_by at signing time',
   `created_at` timestamp NOT NULL DEFAULT current_timestamp(),
   `updated_at` timestamp NULL DEFAULT NULL ON UPDATE current_timestamp()
 ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci COMMENT='SOAP notes for PN cases';
@@ -765,6 +1326,9 @@ CREATE TABLE `pn_visits` (
   `duration_minutes` int(11) DEFAULT NULL,
   `notes` text DEFAULT NULL,
   `created_by` int(11) NOT NULL,
+  `signed_at` datetime DEFAULT NULL COMMENT 'Signed visits are locked; corrections go to clinical_note_addenda',
+  `signed_by` int(11) DEFAULT NULL,
+  `signature_id` int(11) DEFAULT NULL COMMENT 'Signature image of signed_by at signing time',
   `created_at` timestamp NOT NULL DEFAULT current_timestamp(),
   `updated_at` timestamp NULL DEFAULT NULL ON UPDATE current_timestamp()
 ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci;
@@ -781,6 +1345,9 @@ CREATE TABLE `pt_certificates` (
   `certificate_type` enum('thai','english') NOT NULL DEFAULT 'thai',
   `certificate_data` text NOT NULL,
   `created_by` int(11) NOT NULL,
+  `signed_by` int(11) DEFAULT NULL COMMENT 'Cleared when the certificate is edited',
+  `signed_at` datetime DEFAULT NULL,
+  `signature_id` int(11) DEFAULT NULL,
   `created_at` timestamp NULL DEFAULT current_timestamp(),
   `updated_at` timestamp NULL DEFAULT current_timestamp() ON UPDATE current_timestamp()
 ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb3 COLLATE=utf8mb3_general_ci;
@@ -839,6 +1406,7 @@ CREATE TABLE `public_service_packages` (
   `description` text DEFAULT NULL,
   `price` decimal(10,2) NOT NULL,
   `duration_minutes` int(11) NOT NULL DEFAULT 60,
+  `buffer_minutes` int(11) DEFAULT NULL COMMENT 'Cleanup time after the session, NULL uses the service buffer',
   `benefits` text DEFAULT NULL COMMENT 'JSON array of benefits',
   `pain_zones` varchar(500) DEFAULT NULL COMMENT 'Comma-separated pain zones this helps',
   `is_featured` tinyint(1) DEFAULT 0 COMMENT 'Show as "Most Popular"',
@@ -872,6 +1440,40 @@ CREATE TABLE `public_testimonials` (
 
 -- --------------------------------------------------------
 
+--
+-- Table structure for table `screening_questions`
+--
+
+CREATE TABLE `screening_questions` (
+  `id` int(11) NOT NULL,
+  `question` varchar(255) NOT NULL,
+  `guidance` varchar(255) DEFAULT NULL COMMENT 'What to do when the answer is yes',
+  `severity` enum('RED_FLAG','CONTRAINDICATION','PRECAUTION') NOT NULL DEFAULT 'RED_FLAG',
+  `sort_order` int(11) NOT NULL DEFAULT 0,
+  `active` tinyint(1) NOT NULL DEFAULT 1,
+  `created_at` timestamp NOT NULL DEFAULT current_timestamp(),
+  `updated_at` timestamp NULL DEFAULT NULL ON UPDATE current_timestamp()
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci COMMENT='Red-flag / contraindication checklist asked before a PN case is accepted';
+
+--
+-- Dumping data for table `screening_questions`
+--
+
+INSERT INTO `screening_questions` (`id`, `question`, `guidance`, `severity`, `sort_order`, `active`, `created_at`, `updated_at`) VALUES
+(1, 'Unexplained weight loss, fever or night sweats?', 'Possible malignancy or infection: refer back to the physician before treating.', 'RED_FLAG', 10, 1, '2026-10-19 09:00:00', NULL),
+(2, 'History of cancer?', 'Ask about recent follow-up; new spinal or bone pain needs medical review.', 'RED_FLAG', 20, 1, '2026-10-19 09:00:00', NULL),
+(3, 'Constant or night pain not relieved by rest or position change?', 'Non-mechanical pain: screen further and consider referral.', 'RED_FLAG', 30, 1, '2026-10-19 09:00:00', NULL),
+(4, 'New bladder or bowel dysfunction, or numbness in the saddle area?', 'Suspected cauda equina: urgent medical referral, do not treat.', 'RED_FLAG', 40, 1, '2026-10-19 09:00:00', NULL),
+(5, 'Progressive weakness or numbness in the arms or legs?', 'Progressive neurological deficit: refer to the physician.', 'RED_FLAG', 50, 1, '2026-10-19 09:00:00', NULL),
+(6, 'Recent significant trauma or fall?', 'Rule out fracture before loading or manipulation.', 'RED_FLAG', 60, 1, '2026-10-19 09:00:00', NULL),
+(7, 'Chest pain, shortness of breath or calf swelling and tenderness?', 'Possible cardiac event or DVT: stop and refer urgently.', 'RED_FLAG', 70, 1, '2026-10-19 09:00:00', NULL),
+(8, 'Pacemaker, metal implant or pregnancy?', 'Avoid electrotherapy, diathermy and ultrasound over the area.', 'CONTRAINDICATION', 80, 1, '2026-10-19 09:00:00', NULL),
+(9, 'Uncontrolled blood pressure or diabetes?', 'Check vital signs before exercise and monitor during treatment.', 'PRECAUTION', 90, 1, '2026-10-19 09:00:00', NULL),
+(10, 'Long-term steroid use or known osteoporosis?', 'Grade loading and avoid high-velocity techniques.', 'PRECAUTION', 100, 1, '2026-10-19 09:00:00', NULL),
+(11, 'Taking anticoagulants?', 'Avoid deep or forceful manual techniques; watch for bruising.', 'PRECAUTION', 110, 1, '2026-10-19 09:00:00', NULL);
+
+-- --------------------------------------------------------
+
 --
 -- Table structure for table `services`
 --
@@ -883,6 +1485,8 @@ CREATE TABLE `services` (
   `service_description` text DEFAULT NULL,
   `default_price` decimal(10,2) NOT NULL,
   `service_type` varchar(100) DEFAULT 'PHYSIOTHERAPY',
+  `duration_minutes` int(11) DEFAULT NULL COMMENT 'Default appointment length',
+  `buffer_minutes` int(11) NOT NULL DEFAULT 0 COMMENT 'Cleanup time blocked after each appointment',
   `active` tinyint(1) DEFAULT 1 COMMENT 'Global service active status',
   `created_by` int(11) NOT NULL,
   `created_at` timestamp NOT NULL DEFAULT current_timestamp(),
@@ -892,24 +1496,118 @@ CREATE TABLE `services` (
 -- --------------------------------------------------------
 
 --
--- Table structure for table `system_settings`
+-- Table structure for table `soap_templates`
 --
 
-CREATE TABLE `system_settings` (
+CREATE TABLE `soap_templates` (
   `id` int(11) NOT NULL,
-  `setting_key` varchar(100) NOT NULL,
-  `setting_value` text DEFAULT NULL,
-  `settings` text DEFAULT NULL COMMENT 'For JSON settings storage',
-  `updated_at` timestamp NOT NULL DEFAULT current_timestamp() ON UPDATE current_timestamp(),
-  `updated_by` int(11) DEFAULT NULL
-) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci COMMENT='System-wide settings including document customization';
-
--- --------------------------------------------------------
-
---
--- Table structure for table `users`
---
-
+  `name` varchar(150) NOT NULL COMMENT 'e.g. Low back pain initial, ACL post-op week 2',
+  `category` varchar(50) DEFAULT NULL COMMENT 'Body area or specialty used for grouping',
+  `diagnosis_keywords` varchar(255) DEFAULT NULL COMMENT 'Comma-separated keywords matched against the PN diagnosis',
+  `subjective` text DEFAULT NULL,
+  `objective` text DEFAULT NULL,
+  `assessment` text DEFAULT NULL,
+  `plan` text DEFAULT NULL,
+  `notes` text DEFAULT NULL,
+  `active` tinyint(1) NOT NULL DEFAULT 1,
+  `created_by` int(11) NOT NULL,
+  `updated_by` int(11) DEFAULT NULL,
+  `created_at` timestamp NOT NULL DEFAULT current_timestamp(),
+  `updated_at` timestamp NULL DEFAULT NULL ON UPDATE current_timestamp()
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci COMMENT='Admin-managed SOAP note templates with {{placeholders}}';
+
+-- --------------------------------------------------------
+
+--
+-- Table structure for table `system_settings`
+--
+
+CREATE TABLE `system_settings` (
+  `id` int(11) NOT NULL,
+  `setting_key` varchar(100) NOT NULL,
+  `setting_value` text DEFAULT NULL,
+  `settings` text DEFAULT NULL COMMENT 'For JSON settings storage',
+  `updated_at` timestamp NOT NULL DEFAULT current_timestamp() ON UPDATE current_timestamp(),
+  `updated_by` int(11) DEFAULT NULL
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci COMMENT='System-wide settings including document customization';
+
+-- --------------------------------------------------------
+
+--
+-- Table structure for table `therapist_leave`
+--
+
+CREATE TABLE `therapist_leave` (
+  `id` int(11) NOT NULL,
+  `pt_id` int(11) NOT NULL,
+  `start_date` date NOT NULL,
+  `end_date` date NOT NULL,
+  `start_time` time DEFAULT NULL COMMENT 'Part-day leave (single day only); NULL = whole days',
+  `end_time` time DEFAULT NULL,
+  `leave_type` enum('ANNUAL','SICK','PERSONAL','TRAINING','OTHER') NOT NULL DEFAULT 'ANNUAL',
+  `notes` varchar(255) DEFAULT NULL,
+  `created_by` int(11) NOT NULL,
+  `created_at` timestamp NOT NULL DEFAULT current_timestamp()
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci COMMENT='Therapist leave; applies at every clinic';
+
+-- --------------------------------------------------------
+
+--
+-- Table structure for table `therapist_schedules`
+--
+
+CREATE TABLE `therapist_schedules` (
+  `id` int(11) NOT NULL,
+  `pt_id` int(11) NOT NULL,
+  `clinic_id` int(11) NOT NULL,
+  `weekday` tinyint(1) NOT NULL COMMENT '0 = Sunday ... 6 = Saturday',
+  `start_time` time NOT NULL,
+  `end_time` time NOT NULL,
+  `created_by` int(11) NOT NULL,
+  `created_at` timestamp NOT NULL DEFAULT current_timestamp()
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci COMMENT='Weekly working hours of therapists per clinic; several rows per day for split shifts';
+
+-- --------------------------------------------------------
+
+--
+-- Table structure for table `therapist_shift_exceptions`
+--
+
+CREATE TABLE `therapist_shift_exceptions` (
+  `id` int(11) NOT NULL,
+  `pt_id` int(11) NOT NULL,
+  `clinic_id` int(11) NOT NULL,
+  `shift_date` date NOT NULL,
+  `start_time` time DEFAULT NULL COMMENT 'NULL with end_time NULL = not working at this clinic that day',
+  `end_time` time DEFAULT NULL,
+  `reason` varchar(255) DEFAULT NULL,
+  `created_by` int(11) NOT NULL,
+  `created_at` timestamp NOT NULL DEFAULT current_timestamp()
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci COMMENT='Shifts on a date that replace the weekly schedule (swaps, extra days, days off)';
+
+-- --------------------------------------------------------
+
+--
+-- Table structure for table `user_signatures`
+--
+
+CREATE TABLE `user_signatures` (
+  `id` int(11) NOT NULL,
+  `user_id` int(11) NOT NULL,
+  `file_name` varchar(255) NOT NULL COMMENT 'Image in SIGNATURES_DIR; never overwritten so signed documents keep their image',
+  `mime_type` varchar(100) NOT NULL,
+  `source` enum('UPLOAD','DRAWN') NOT NULL DEFAULT 'UPLOAD',
+  `active` tinyint(1) NOT NULL DEFAULT 1 COMMENT 'One active signature per user; replaced ones stay for documents already signed',
+  `created_at` timestamp NOT NULL DEFAULT current_timestamp(),
+  `revoked_at` datetime DEFAULT NULL
+) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci COMMENT='Registered signature images of therapists';
+
+-- --------------------------------------------------------
+
+--
+-- Table structure for table `users`
+--
+
 CREATE TABLE `users` (
   `id` int(11) NOT NULL,
   `email` varchar(100) NOT NULL,
@@ -966,6 +1664,25 @@ INSERT INTO `user_clinic_grants` (`id`, `user_id`, `clinic_id`, `granted_by`, `g
 -- Indexes for dumped tables
 --
 
+--
+-- Indexes for table `appointment_resources`
+--
+ALTER TABLE `appointment_resources`
+  ADD PRIMARY KEY (`id`),
+  ADD UNIQUE KEY `uq_appointment_resource` (`appointment_id`,`resource_id`),
+  ADD KEY `idx_appointment_resource_resource` (`resource_id`);
+
+--
+-- Indexes for table `appointment_series`
+--
+ALTER TABLE `appointment_series`
+  ADD PRIMARY KEY (`id`),
+  ADD KEY `idx_series_patient` (`patient_id`),
+  ADD KEY `idx_series_pt` (`pt_id`),
+  ADD KEY `idx_series_clinic` (`clinic_id`),
+  ADD KEY `idx_series_course` (`course_id`),
+  ADD KEY `created_by` (`created_by`);
+
 --
 -- Indexes for table `appointments`
 --
@@ -978,6 +1695,9 @@ ALTER TABLE `appointments`
   ADD KEY `idx_appointment_status` (`status`),
   ADD KEY `idx_appointment_pn` (`pn_case_id`),
   ADD KEY `idx_appointment_course` (`course_id`),
+  ADD KEY `idx_appointment_service` (`service_id`),
+  ADD KEY `idx_appointment_package` (`package_id`),
+  ADD KEY `idx_appointment_series` (`series_id`),
   ADD KEY `cancelled_by` (`cancelled_by`),
   ADD KEY `created_by` (`created_by`),
   ADD KEY `idx_appointment_datetime` (`appointment_date`,`start_time`),
@@ -1025,6 +1745,49 @@ ALTER TABLE `certificate_settings`
   ADD PRIMARY KEY (`id`),
   ADD UNIQUE KEY `unique_clinic` (`clinic_id`);
 
+--
+-- Indexes for table `clinic_closures`
+--
+ALTER TABLE `clinic_closures`
+  ADD PRIMARY KEY (`id`),
+  ADD KEY `idx_closure_dates` (`start_date`,`end_date`),
+  ADD KEY `idx_closure_clinic` (`clinic_id`),
+  ADD KEY `created_by` (`created_by`);
+
+--
+-- Indexes for table `clinic_opening_hours`
+--
+ALTER TABLE `clinic_opening_hours`
+  ADD PRIMARY KEY (`id`),
+  ADD KEY `idx_opening_clinic_day` (`clinic_id`,`weekday`),
+  ADD KEY `created_by` (`created_by`);
+
+--
+-- Indexes for table `clinic_resources`
+--
+ALTER TABLE `clinic_resources`
+  ADD PRIMARY KEY (`id`),
+  ADD UNIQUE KEY `uq_resource_clinic_name` (`clinic_id`,`name`),
+  ADD KEY `idx_resource_clinic_active` (`clinic_id`,`active`),
+  ADD KEY `created_by` (`created_by`);
+
+--
+-- Indexes for table `clinical_codes`
+--
+ALTER TABLE `clinical_codes`
+  ADD PRIMARY KEY (`id`),
+  ADD UNIQUE KEY `uk_clinical_code` (`code_system`,`code`),
+  ADD KEY `idx_clinical_code_title` (`title`);
+
+--
+-- Indexes for table `clinical_note_addenda`
+--
+ALTER TABLE `clinical_note_addenda`
+  ADD PRIMARY KEY (`id`),
+  ADD KEY `idx_addenda_record` (`record_type`,`record_id`,`created_at`),
+  ADD KEY `idx_addenda_pn` (`pn_id`),
+  ADD KEY `created_by` (`created_by`);
+
 --
 -- Indexes for table `clinics`
 --
@@ -1044,6 +1807,14 @@ ALTER TABLE `clinic_service_pricing`
   ADD KEY `idx_service_clinic` (`service_id`),
   ADD KEY `updated_by` (`updated_by`);
 
+--
+-- Indexes for table `consent_templates`
+--
+ALTER TABLE `consent_templates`
+  ADD PRIMARY KEY (`id`),
+  ADD UNIQUE KEY `uk_consent_template` (`code`,`language`),
+  ADD KEY `fk_consent_template_user` (`updated_by`);
+
 --
 -- Indexes for table `courses`
 --
@@ -1074,6 +1845,14 @@ ALTER TABLE `course_usage_history`
   ADD KEY `idx_usage_date` (`usage_date`),
   ADD KEY `fk_usage_creator` (`created_by`);
 
+--
+-- Indexes for table `exercises`
+--
+ALTER TABLE `exercises`
+  ADD PRIMARY KEY (`id`),
+  ADD KEY `created_by` (`created_by`),
+  ADD KEY `idx_exercise_region` (`active`,`body_region`);
+
 --
 -- Indexes for table `gift_cards`
 --
@@ -1123,6 +1902,19 @@ ALTER TABLE `notification_settings`
   ADD UNIQUE KEY `unique_setting_type` (`setting_type`),
   ADD KEY `idx_setting_type` (`setting_type`);
 
+--
+-- Indexes for table `patient_consents`
+--
+ALTER TABLE `patient_consents`
+  ADD PRIMARY KEY (`id`),
+  ADD KEY `idx_consent_token` (`request_token`),
+  ADD KEY `idx_consent_patient` (`patient_id`,`consent_code`),
+  ADD KEY `fk_consent_appointment` (`appointment_id`),
+  ADD KEY `fk_consent_pn` (`pn_id`),
+  ADD KEY `fk_consent_attachment` (`attachment_id`),
+  ADD KEY `fk_consent_requested_by` (`requested_by`),
+  ADD KEY `fk_consent_revoked_by` (`revoked_by`);
+
 --
 -- Indexes for table `patients`
 --
@@ -1130,9 +1922,10 @@ ALTER TABLE `patients`
   ADD PRIMARY KEY (`id`),
   ADD UNIQUE KEY `pt_number` (`pt_number`),
   ADD KEY `created_by` (`created_by`),
-  ADD KEY `idx_patient_hn` (`hn`),
+  ADD UNIQUE KEY `uk_patient_hn` (`hn`),
   ADD KEY `idx_patient_pt_number` (`pt_number`),
   ADD KEY `idx_patient_pid` (`pid`),
+  ADD KEY `idx_patient_passport` (`passport_no`),
   ADD KEY `idx_patient_name` (`first_name`,`last_name`),
   ADD KEY `idx_patient_clinic` (`clinic_id`);
 
@@ -1160,7 +1953,86 @@ ALTER TABLE `pn_cases`
   ADD KEY `idx_pn_assigned_pt` (`assigned_pt_id`),
   ADD KEY `idx_pn_assessed_by` (`assessed_by`),
   ADD KEY `idx_pn_assessed_at` (`assessed_at`),
-  ADD KEY `idx_pn_course` (`course_id`);
+  ADD KEY `idx_pn_course` (`course_id`),
+  ADD UNIQUE KEY `uk_pn_hep_share_token` (`hep_share_token`);
+
+--
+-- Indexes for table `pn_diagnosis_codes`
+--
+ALTER TABLE `pn_diagnosis_codes`
+  ADD PRIMARY KEY (`id`),
+  ADD UNIQUE KEY `uk_pn_diagnosis_code` (`pn_id`,`diagnosis_field`,`clinical_code_id`),
+  ADD KEY `idx_diagnosis_code` (`code_system`,`code`),
+  ADD KEY `fk_diagnosis_code_clinical` (`clinical_code_id`);
+
+--
+-- Indexes for table `pn_discharge_summaries`
+--
+ALTER TABLE `pn_discharge_summaries`
+  ADD PRIMARY KEY (`id`),
+  ADD UNIQUE KEY `uniq_discharge_pn` (`pn_id`),
+  ADD KEY `report_id` (`report_id`),
+  ADD KEY `created_by` (`created_by`);
+
+--
+-- Indexes for table `pn_exercise_program_items`
+--
+ALTER TABLE `pn_exercise_program_items`
+  ADD PRIMARY KEY (`id`),
+  ADD KEY `idx_program_items_program` (`program_id`,`sort_order`),
+  ADD KEY `exercise_id` (`exercise_id`);
+
+--
+-- Indexes for table `pn_exercise_programs`
+--
+ALTER TABLE `pn_exercise_programs`
+  ADD PRIMARY KEY (`id`),
+  ADD UNIQUE KEY `uk_exercise_program_version` (`pn_id`,`version`),
+  ADD KEY `created_by` (`created_by`),
+  ADD KEY `idx_exercise_program_visit` (`visit_id`);
+
+--
+-- Indexes for table `pn_goal_updates`
+--
+ALTER TABLE `pn_goal_updates`
+  ADD PRIMARY KEY (`id`),
+  ADD KEY `idx_goal_updates_goal` (`goal_id`,`recorded_at`),
+  ADD KEY `idx_goal_updates_visit` (`visit_id`),
+  ADD KEY `recorded_by` (`recorded_by`);
+
+--
+-- Indexes for table `pn_goals`
+--
+ALTER TABLE `pn_goals`
+  ADD PRIMARY KEY (`id`),
+  ADD KEY `created_by` (`created_by`),
+  ADD KEY `idx_goal_pn_status` (`pn_id`,`status`);
+
+--
+-- Indexes for table `pn_outcome_measures`
+--
+ALTER TABLE `pn_outcome_measures`
+  ADD PRIMARY KEY (`id`),
+  ADD KEY `recorded_by` (`recorded_by`),
+  ADD KEY `idx_outcome_pn_measure` (`pn_id`,`measure_code`,`measured_at`),
+  ADD KEY `idx_outcome_visit` (`visit_id`);
+
+--
+-- Indexes for table `pn_referral_letter_deliveries`
+--
+ALTER TABLE `pn_referral_letter_deliveries`
+  ADD PRIMARY KEY (`id`),
+  ADD KEY `idx_delivery_letter` (`letter_id`),
+  ADD KEY `sent_by` (`sent_by`);
+
+--
+-- Indexes for table `pn_referral_letters`
+--
+ALTER TABLE `pn_referral_letters`
+  ADD PRIMARY KEY (`id`),
+  ADD KEY `idx_referral_letter_pn` (`pn_id`),
+  ADD KEY `signature_id` (`signature_id`),
+  ADD KEY `created_by` (`created_by`);
 
 --
 -- Indexes for table `pn_reports`
@@ -1168,10 +2040,29 @@ ALTER TABLE `pn_cases`
 ALTER TABLE `pn_reports`
   ADD PRIMARY KEY (`id`),
   ADD KEY `created_by` (`created_by`),
+  ADD KEY `idx_report_pn` (`pn_id`,`report_type`),
   ADD KEY `idx_report_visit` (`visit_id`),
   ADD KEY `idx_report_type` (`report_type`),
   ADD KEY `idx_report_created_at` (`created_at`);
 
+--
+-- Indexes for table `pn_screenings`
+--
+ALTER TABLE `pn_screenings`
+  ADD PRIMARY KEY (`id`),
+  ADD KEY `idx_pn_screening` (`pn_id`,`screened_at`),
+  ADD KEY `fk_pn_screening_user` (`screened_by`),
+  ADD KEY `fk_pn_screening_ack` (`acknowledged_by`);
+
+--
+-- Indexes for table `pn_soap_body_marks`
+--
+ALTER TABLE `pn_soap_body_marks`
+  ADD PRIMARY KEY (`id`),
+  ADD KEY `idx_body_mark_note` (`soap_note_id`),
+  ADD KEY `idx_body_mark_pn` (`pn_id`),
+  ADD KEY `idx_body_mark_region` (`region`,`symptom`);
+
 --
 -- Indexes for table `pn_soap_notes`
 --
@@ -1246,6 +2137,13 @@ ALTER TABLE `public_testimonials`
   ADD KEY `display_on_public` (`display_on_public`),
   ADD KEY `fk_testimonial_creator` (`created_by`);
 
+--
+-- Indexes for table `screening_questions`
+--
+ALTER TABLE `screening_questions`
+  ADD PRIMARY KEY (`id`),
+  ADD KEY `idx_screening_active` (`active`,`sort_order`);
+
 --
 -- Indexes for table `services`
 --
@@ -1256,6 +2154,15 @@ ALTER TABLE `services`
   ADD KEY `idx_service_active` (`active`),
   ADD KEY `created_by` (`created_by`);
 
+--
+-- Indexes for table `soap_templates`
+--
+ALTER TABLE `soap_templates`
+  ADD PRIMARY KEY (`id`),
+  ADD UNIQUE KEY `uk_soap_template_name` (`name`),
+  ADD KEY `created_by` (`created_by`),
+  ADD KEY `idx_soap_template_active` (`active`,`category`);
+
 --
 -- Indexes for table `system_settings`
 --
@@ -1264,6 +2171,39 @@ ALTER TABLE `system_settings`
   ADD UNIQUE KEY `unique_setting_key` (`setting_key`),
   ADD KEY `idx_updated_by` (`updated_by`);
 
+--
+-- Indexes for table `therapist_leave`
+--
+ALTER TABLE `therapist_leave`
+  ADD PRIMARY KEY (`id`),
+  ADD KEY `idx_leave_pt_dates` (`pt_id`,`start_date`,`end_date`),
+  ADD KEY `created_by` (`created_by`);
+
+--
+-- Indexes for table `therapist_schedules`
+--
+ALTER TABLE `therapist_schedules`
+  ADD PRIMARY KEY (`id`),
+  ADD KEY `idx_schedule_clinic_day` (`clinic_id`,`weekday`),
+  ADD KEY `idx_schedule_pt` (`pt_id`),
+  ADD KEY `created_by` (`created_by`);
+
+--
+-- Indexes for table `therapist_shift_exceptions`
+--
+ALTER TABLE `therapist_shift_exceptions`
+  ADD PRIMARY KEY (`id`),
+  ADD KEY `idx_exception_clinic_date` (`clinic_id`,`shift_date`),
+  ADD KEY `idx_exception_pt_date` (`pt_id`,`shift_date`),
+  ADD KEY `created_by` (`created_by`);
+
+--
+-- Indexes for table `user_signatures`
+--
+ALTER TABLE `user_signatures`
+  ADD PRIMARY KEY (`id`),
+  ADD KEY `idx_signature_user` (`user_id`,`active`);
+
 --
 -- Indexes for table `users`
 --
@@ -1288,6 +2228,18 @@ ALTER TABLE `user_clinic_grants`
 -- AUTO_INCREMENT for dumped tables
 --
 
+--
+-- AUTO_INCREMENT for table `appointment_resources`
+--
+ALTER TABLE `appointment_resources`
+  MODIFY `id` int(11) NOT NULL AUTO_INCREMENT;
+
+--
+-- AUTO_INCREMENT for table `appointment_series`
+--
+ALTER TABLE `appointment_series`
+  MODIFY `id` int(11) NOT NULL AUTO_INCREMENT;
+
 --
 -- AUTO_INCREMENT for table `appointments`
 --
@@ -1318,6 +2270,36 @@ ALTER TABLE `bill_items`
 ALTER TABLE `certificate_settings`
   MODIFY `id` int(11) NOT NULL AUTO_INCREMENT;
 
+--
+-- AUTO_INCREMENT for table `clinic_closures`
+--
+ALTER TABLE `clinic_closures`
+  MODIFY `id` int(11) NOT NULL AUTO_INCREMENT;
+
+--
+-- AUTO_INCREMENT for table `clinic_opening_hours`
+--
+ALTER TABLE `clinic_opening_hours`
+  MODIFY `id` int(11) NOT NULL AUTO_INCREMENT;
+
+--
+-- AUTO_INCREMENT for table `clinic_resources`
+--
+ALTER TABLE `clinic_resources`
+  MODIFY `id` int(11) NOT NULL AUTO_INCREMENT;
+
+--
+-- AUTO_INCREMENT for table `clinical_codes`
+--
+ALTER TABLE `clinical_codes`
+  MODIFY `id` int(11) NOT NULL AUTO_INCREMENT, AUTO_INCREMENT=100;
+
+--
+-- AUTO_INCREMENT for table `clinical_note_addenda`
+--
+ALTER TABLE `clinical_note_addenda`
+  MODIFY `id` int(11) NOT NULL AUTO_INCREMENT;
+
 --
 -- AUTO_INCREMENT for table `clinics`
 --
@@ -1330,6 +2312,12 @@ ALTER TABLE `clinics`
 ALTER TABLE `clinic_service_pricing`
   MODIFY `id` int(11) NOT NULL AUTO_INCREMENT;
 
+--
+-- AUTO_INCREMENT for table `consent_templates`
+--
+ALTER TABLE `consent_templates`
+  MODIFY `id` int(11) NOT NULL AUTO_INCREMENT, AUTO_INCREMENT=13;
+
 --
 -- AUTO_INCREMENT for table `courses`
 --
@@ -1348,6 +2336,12 @@ ALTER TABLE `course_templates`
 ALTER TABLE `course_usage_history`
   MODIFY `id` int(11) NOT NULL AUTO_INCREMENT;
 
+--
+-- AUTO_INCREMENT for table `exercises`
+--
+ALTER TABLE `exercises`
+  MODIFY `id` int(11) NOT NULL AUTO_INCREMENT;
+
 --
 -- AUTO_INCREMENT for table `gift_cards`
 --
@@ -1384,6 +2378,12 @@ ALTER TABLE `loyalty_transactions`
 ALTER TABLE `notification_settings`
   MODIFY `id` int(11) NOT NULL AUTO_INCREMENT;
 
+--
+-- AUTO_INCREMENT for table `patient_consents`
+--
+ALTER TABLE `patient_consents`
+  MODIFY `id` int(11) NOT NULL AUTO_INCREMENT;
+
 --
 -- AUTO_INCREMENT for table `patients`
 --
@@ -1402,12 +2402,78 @@ ALTER TABLE `pn_attachments`
 ALTER TABLE `pn_cases`
   MODIFY `id` int(11) NOT NULL AUTO_INCREMENT, AUTO_INCREMENT=141;
 
+--
+-- AUTO_INCREMENT for table `pn_diagnosis_codes`
+--
+ALTER TABLE `pn_diagnosis_codes`
+  MODIFY `id` int(11) NOT NULL AUTO_INCREMENT;
+
+--
+-- AUTO_INCREMENT for table `pn_discharge_summaries`
+--
+ALTER TABLE `pn_discharge_summaries`
+  MODIFY `id` int(11) NOT NULL AUTO_INCREMENT;
+
+--
+-- AUTO_INCREMENT for table `pn_exercise_program_items`
+--
+ALTER TABLE `pn_exercise_program_items`
+  MODIFY `id` int(11) NOT NULL AUTO_INCREMENT;
+
+--
+-- AUTO_INCREMENT for table `pn_exercise_programs`
+--
+ALTER TABLE `pn_exercise_programs`
+  MODIFY `id` int(11) NOT NULL AUTO_INCREMENT;
+
+--
+-- AUTO_INCREMENT for table `pn_goal_updates`
+--
+ALTER TABLE `pn_goal_updates`
+  MODIFY `id` int(11) NOT NULL AUTO_INCREMENT;
+
+--
+-- AUTO_INCREMENT for table `pn_goals`
+--
+ALTER TABLE `pn_goals`
+  MODIFY `id` int(11) NOT NULL AUTO_INCREMENT, AUTO_INCREMENT=2;
+
+--
+-- AUTO_INCREMENT for table `pn_outcome_measures`
+--
+ALTER TABLE `pn_outcome_measures`
+  MODIFY `id` int(11) NOT NULL AUTO_INCREMENT;
+
+--
+-- AUTO_INCREMENT for table `pn_referral_letter_deliveries`
+--
+ALTER TABLE `pn_referral_letter_deliveries`
+  MODIFY `id` int(11) NOT NULL AUTO_INCREMENT;
+
+--
+-- AUTO_INCREMENT for table `pn_referral_letters`
+--
+ALTER TABLE `pn_referral_letters`
+  MODIFY `id` int(11) NOT NULL AUTO_INCREMENT;
+
 --
 -- AUTO_INCREMENT for table `pn_reports`
 --
 ALTER TABLE `pn_reports`
   MODIFY `id` int(11) NOT NULL AUTO_INCREMENT;
 
+--
+-- AUTO_INCREMENT for table `pn_screenings`
+--
+ALTER TABLE `pn_screenings`
+  MODIFY `id` int(11) NOT NULL AUTO_INCREMENT;
+
+--
+-- AUTO_INCREMENT for table `pn_soap_body_marks`
+--
+ALTER TABLE `pn_soap_body_marks`
+  MODIFY `id` int(11) NOT NULL AUTO_INCREMENT;
+
 --
 -- AUTO_INCREMENT for table `pn_soap_notes`
 --
@@ -1456,18 +2522,54 @@ ALTER TABLE `public_service_packages`
 ALTER TABLE `public_testimonials`
   MODIFY `id` int(11) NOT NULL AUTO_INCREMENT;
 
+--
+-- AUTO_INCREMENT for table `screening_questions`
+--
+ALTER TABLE `screening_questions`
+  MODIFY `id` int(11) NOT NULL AUTO_INCREMENT, AUTO_INCREMENT=12;
+
 --
 -- AUTO_INCREMENT for table `services`
 --
 ALTER TABLE `services`
   MODIFY `id` int(11) NOT NULL AUTO_INCREMENT;
 
+--
+-- AUTO_INCREMENT for table `soap_templates`
+--
+ALTER TABLE `soap_templates`
+  MODIFY `id` int(11) NOT NULL AUTO_INCREMENT;
+
 --
 -- AUTO_INCREMENT for table `system_settings`
 --
 ALTER TABLE `system_settings`
   MODIFY `id` int(11) NOT NULL AUTO_INCREMENT;
 
+--
+-- AUTO_INCREMENT for table `therapist_leave`
+--
+ALTER TABLE `therapist_leave`
+  MODIFY `id` int(11) NOT NULL AUTO_INCREMENT;
+
+--
+-- AUTO_INCREMENT for table `therapist_schedules`
+--
+ALTER TABLE `therapist_schedules`
+  MODIFY `id` int(11) NOT NULL AUTO_INCREMENT;
+
+--
+-- AUTO_INCREMENT for table `therapist_shift_exceptions`
+--
+ALTER TABLE `therapist_shift_exceptions`
+  MODIFY `id` int(11) NOT NULL AUTO_INCREMENT;
+
+--
+-- AUTO_INCREMENT for table `user_signatures`
+--
+ALTER TABLE `user_signatures`
+  MODIFY `id` int(11) NOT NULL AUTO_INCREMENT;
+
 --
 -- AUTO_INCREMENT for table `users`
 --
@@ -1484,6 +2586,24 @@ ALTER TABLE `user_clinic_grants`
 -- Constraints for dumped tables
 --
 
+--
+-- Constraints for table `appointment_resources`
+--
+ALTER TABLE `appointment_resources`
+  ADD CONSTRAINT `fk_appointment_resource_appointment` FOREIGN KEY (`appointment_id`) REFERENCES `appointments` (`id`) ON DELETE CASCADE,
+  ADD CONSTRAINT `fk_appointment_resource_resource` FOREIGN KEY (`resource_id`) REFERENCES `clinic_resources` (`id`);
+
+--
+-- Constraints for table `appointment_series`
+--
+ALTER TABLE `appointment_series`
+  ADD CONSTRAINT `fk_series_clinic` FOREIGN KEY (`clinic_id`) REFERENCES `clinics` (`id`),
+  ADD CONSTRAINT `fk_series_course` FOREIGN KEY (`course_id`) REFERENCES `courses` (`id`) ON DELETE SET NULL,
+  ADD CONSTRAINT `fk_series_created_by` FOREIGN KEY (`created_by`) REFERENCES `users` (`id`),
+  ADD CONSTRAINT `fk_series_patient` FOREIGN KEY (`patient_id`) REFERENCES `patients` (`id`) ON DELETE CASCADE,
+  ADD CONSTRAINT `fk_series_pt` FOREIGN KEY (`pt_id`) REFERENCES `users` (`id`) ON DELETE SET NULL,
+  ADD CONSTRAINT `fk_series_service` FOREIGN KEY (`service_id`) REFERENCES `services` (`id`) ON DELETE SET NULL;
+
 --
 -- Constraints for table `appointments`
 --
@@ -1491,10 +2611,13 @@ ALTER TABLE `appointments`
   ADD CONSTRAINT `fk_appointment_canceller` FOREIGN KEY (`cancelled_by`) REFERENCES `users` (`id`) ON DELETE SET NULL,
   ADD CONSTRAINT `fk_appointment_clinic` FOREIGN KEY (`clinic_id`) REFERENCES `clinics` (`id`),
   ADD CONSTRAINT `fk_appointment_course` FOREIGN KEY (`course_id`) REFERENCES `courses` (`id`) ON DELETE SET NULL,
+  ADD CONSTRAINT `fk_appointment_package` FOREIGN KEY (`package_id`) REFERENCES `public_service_packages` (`id`) ON DELETE SET NULL,
   ADD CONSTRAINT `fk_appointment_creator` FOREIGN KEY (`created_by`) REFERENCES `users` (`id`),
   ADD CONSTRAINT `fk_appointment_patient` FOREIGN KEY (`patient_id`) REFERENCES `patients` (`id`) ON DELETE SET NULL,
   ADD CONSTRAINT `fk_appointment_pn` FOREIGN KEY (`pn_case_id`) REFERENCES `pn_cases` (`id`) ON DELETE SET NULL,
-  ADD CONSTRAINT `fk_appointment_pt` FOREIGN KEY (`pt_id`) REFERENCES `users` (`id`) ON DELETE SET NULL;
+  ADD CONSTRAINT `fk_appointment_pt` FOREIGN KEY (`pt_id`) REFERENCES `users` (`id`) ON DELETE SET NULL,
+  ADD CONSTRAINT `fk_appointment_series` FOREIGN KEY (`series_id`) REFERENCES `appointment_series` (`id`) ON DELETE SET NULL,
+  ADD CONSTRAINT `fk_appointment_service` FOREIGN KEY (`service_id`) REFERENCES `services` (`id`) ON DELETE SET NULL;
 
 --
 -- Constraints for table `bills`
@@ -1520,6 +2643,27 @@ ALTER TABLE `bill_items`
 ALTER TABLE `certificate_settings`
   ADD CONSTRAINT `certificate_settings_ibfk_1` FOREIGN KEY (`clinic_id`) REFERENCES `clinics` (`id`) ON DELETE CASCADE;
 
+--
+-- Constraints for table `clinic_closures`
+--
+ALTER TABLE `clinic_closures`
+  ADD CONSTRAINT `fk_closure_clinic` FOREIGN KEY (`clinic_id`) REFERENCES `clinics` (`id`) ON DELETE CASCADE,
+  ADD CONSTRAINT `fk_closure_created_by` FOREIGN KEY (`created_by`) REFERENCES `users` (`id`);
+
+--
+-- Constraints for table `clinic_opening_hours`
+--
+ALTER TABLE `clinic_opening_hours`
+  ADD CONSTRAINT `fk_opening_clinic` FOREIGN KEY (`clinic_id`) REFERENCES `clinics` (`id`) ON DELETE CASCADE,
+  ADD CONSTRAINT `fk_opening_created_by` FOREIGN KEY (`created_by`) REFERENCES `users` (`id`);
+
+--
+-- Constraints for table `clinic_resources`
+--
+ALTER TABLE `clinic_resources`
+  ADD CONSTRAINT `fk_resource_clinic` FOREIGN KEY (`clinic_id`) REFERENCES `clinics` (`id`) ON DELETE CASCADE,
+  ADD CONSTRAINT `fk_resource_created_by` FOREIGN KEY (`created_by`) REFERENCES `users` (`id`);
+
 --
 -- Constraints for table `clinic_service_pricing`
 --
@@ -1528,6 +2672,19 @@ ALTER TABLE `clinic_service_pricing`
   ADD CONSTRAINT `fk_clinic_pricing_service` FOREIGN KEY (`service_id`) REFERENCES `services` (`id`) ON DELETE CASCADE,
   ADD CONSTRAINT `fk_clinic_pricing_updater` FOREIGN KEY (`updated_by`) REFERENCES `users` (`id`);
 
+--
+-- Constraints for table `clinical_note_addenda`
+--
+ALTER TABLE `clinical_note_addenda`
+  ADD CONSTRAINT `fk_addendum_created_by` FOREIGN KEY (`created_by`) REFERENCES `users` (`id`),
+  ADD CONSTRAINT `fk_addendum_pn` FOREIGN KEY (`pn_id`) REFERENCES `pn_cases` (`id`) ON DELETE CASCADE;
+
+--
+-- Constraints for table `consent_templates`
+--
+ALTER TABLE `consent_templates`
+  ADD CONSTRAINT `fk_consent_template_user` FOREIGN KEY (`updated_by`) REFERENCES `users` (`id`) ON DELETE SET NULL;
+
 --
 -- Constraints for table `courses`
 --
@@ -1550,6 +2707,12 @@ ALTER TABLE `course_usage_history`
   ADD CONSTRAINT `fk_usage_creator` FOREIGN KEY (`created_by`) REFERENCES `users` (`id`),
   ADD CONSTRAINT `fk_usage_pn` FOREIGN KEY (`pn_id`) REFERENCES `pn_cases` (`id`) ON DELETE SET NULL;
 
+--
+-- Constraints for table `exercises`
+--
+ALTER TABLE `exercises`
+  ADD CONSTRAINT `fk_exercise_created_by` FOREIGN KEY (`created_by`) REFERENCES `users` (`id`);
+
 --
 -- Constraints for table `gift_cards`
 --
@@ -1572,6 +2735,17 @@ ALTER TABLE `loyalty_transactions`
   ADD CONSTRAINT `loyalty_transactions_ibfk_2` FOREIGN KEY (`bill_id`) REFERENCES `bills` (`id`) ON DELETE SET NULL,
   ADD CONSTRAINT `loyalty_transactions_ibfk_3` FOREIGN KEY (`performed_by`) REFERENCES `users` (`id`) ON DELETE SET NULL;
 
+--
+-- Constraints for table `patient_consents`
+--
+ALTER TABLE `patient_consents`
+  ADD CONSTRAINT `fk_consent_appointment` FOREIGN KEY (`appointment_id`) REFERENCES `appointments` (`id`) ON DELETE SET NULL,
+  ADD CONSTRAINT `fk_consent_attachment` FOREIGN KEY (`attachment_id`) REFERENCES `pn_attachments` (`id`) ON DELETE SET NULL,
+  ADD CONSTRAINT `fk_consent_patient` FOREIGN KEY (`patient_id`) REFERENCES `patients` (`id`) ON DELETE CASCADE,
+  ADD CONSTRAINT `fk_consent_pn` FOREIGN KEY (`pn_id`) REFERENCES `pn_cases` (`id`) ON DELETE SET NULL,
+  ADD CONSTRAINT `fk_consent_requested_by` FOREIGN KEY (`requested_by`) REFERENCES `users` (`id`) ON DELETE SET NULL,
+  ADD CONSTRAINT `fk_consent_revoked_by` FOREIGN KEY (`revoked_by`) REFERENCES `users` (`id`) ON DELETE SET NULL;
+
 --
 -- Constraints for table `patients`
 --
@@ -1592,6 +2766,90 @@ ALTER TABLE `pn_attachments`
 ALTER TABLE `pn_cases`
   ADD CONSTRAINT `fk_pn_course` FOREIGN KEY (`course_id`) REFERENCES `courses` (`id`) ON DELETE SET NULL ON UPDATE CASCADE;
 
+--
+-- Constraints for table `pn_diagnosis_codes`
+--
+ALTER TABLE `pn_diagnosis_codes`
+  ADD CONSTRAINT `fk_diagnosis_code_clinical` FOREIGN KEY (`clinical_code_id`) REFERENCES `clinical_codes` (`id`),
+  ADD CONSTRAINT `fk_diagnosis_code_created_by` FOREIGN KEY (`created_by`) REFERENCES `users` (`id`),
+  ADD CONSTRAINT `fk_diagnosis_code_pn` FOREIGN KEY (`pn_id`) REFERENCES `pn_cases` (`id`) ON DELETE CASCADE;
+
+--
+-- Constraints for table `pn_discharge_summaries`
+--
+ALTER TABLE `pn_discharge_summaries`
+  ADD CONSTRAINT `fk_discharge_created_by` FOREIGN KEY (`created_by`) REFERENCES `users` (`id`),
+  ADD CONSTRAINT `fk_discharge_pn` FOREIGN KEY (`pn_id`) REFERENCES `pn_cases` (`id`) ON DELETE CASCADE,
+  ADD CONSTRAINT `fk_discharge_report` FOREIGN KEY (`report_id`) REFERENCES `pn_reports` (`id`) ON DELETE SET NULL;
+
+--
+-- Constraints for table `pn_exercise_program_items`
+--
+ALTER TABLE `pn_exercise_program_items`
+  ADD CONSTRAINT `fk_program_item_exercise` FOREIGN KEY (`exercise_id`) REFERENCES `exercises` (`id`),
+  ADD CONSTRAINT `fk_program_item_program` FOREIGN KEY (`program_id`) REFERENCES `pn_exercise_programs` (`id`) ON DELETE CASCADE;
+
+--
+-- Constraints for table `pn_exercise_programs`
+--
+ALTER TABLE `pn_exercise_programs`
+  ADD CONSTRAINT `fk_exercise_program_created_by` FOREIGN KEY (`created_by`) REFERENCES `users` (`id`),
+  ADD CONSTRAINT `fk_exercise_program_pn` FOREIGN KEY (`pn_id`) REFERENCES `pn_cases` (`id`) ON DELETE CASCADE,
+  ADD CONSTRAINT `fk_exercise_program_visit` FOREIGN KEY (`visit_id`) REFERENCES `pn_visits` (`id`) ON DELETE SET NULL;
+
+--
+-- Constraints for table `pn_goal_updates`
+--
+ALTER TABLE `pn_goal_updates`
+  ADD CONSTRAINT `fk_goal_update_goal` FOREIGN KEY (`goal_id`) REFERENCES `pn_goals` (`id`) ON DELETE CASCADE,
+  ADD CONSTRAINT `fk_goal_update_recorded_by` FOREIGN KEY (`recorded_by`) REFERENCES `users` (`id`),
+  ADD CONSTRAINT `fk_goal_update_visit` FOREIGN KEY (`visit_id`) REFERENCES `pn_visits` (`id`) ON DELETE SET NULL;
+
+--
+-- Constraints for table `pn_goals`
+--
+ALTER TABLE `pn_goals`
+  ADD CONSTRAINT `fk_goal_created_by` FOREIGN KEY (`created_by`) REFERENCES `users` (`id`),
+  ADD CONSTRAINT `fk_goal_pn` FOREIGN KEY (`pn_id`) REFERENCES `pn_cases` (`id`) ON DELETE CASCADE;
+
+--
+-- Constraints for table `pn_outcome_measures`
+--
+ALTER TABLE `pn_outcome_measures`
+  ADD CONSTRAINT `fk_outcome_pn` FOREIGN KEY (`pn_id`) REFERENCES `pn_cases` (`id`) ON DELETE CASCADE,
+  ADD CONSTRAINT `fk_outcome_recorded_by` FOREIGN KEY (`recorded_by`) REFERENCES `users` (`id`),
+  ADD CONSTRAINT `fk_outcome_visit` FOREIGN KEY (`visit_id`) REFERENCES `pn_visits` (`id`) ON DELETE SET NULL;
+
+--
+-- Constraints for table `pn_referral_letter_deliveries`
+--
+ALTER TABLE `pn_referral_letter_deliveries`
+  ADD CONSTRAINT `fk_delivery_letter` FOREIGN KEY (`letter_id`) REFERENCES `pn_referral_letters` (`id`) ON DELETE CASCADE,
+  ADD CONSTRAINT `fk_delivery_sent_by` FOREIGN KEY (`sent_by`) REFERENCES `users` (`id`);
+
+--
+-- Constraints for table `pn_referral_letters`
+--
+ALTER TABLE `pn_referral_letters`
+  ADD CONSTRAINT `fk_referral_letter_created_by` FOREIGN KEY (`created_by`) REFERENCES `users` (`id`),
+  ADD CONSTRAINT `fk_referral_letter_pn` FOREIGN KEY (`pn_id`) REFERENCES `pn_cases` (`id`) ON DELETE CASCADE,
+  ADD CONSTRAINT `fk_referral_letter_signature` FOREIGN KEY (`signature_id`) REFERENCES `user_signatures` (`id`) ON DELETE SET NULL;
+
+--
+-- Constraints for table `pn_screenings`
+--
+ALTER TABLE `pn_screenings`
+  ADD CONSTRAINT `fk_pn_screening_ack` FOREIGN KEY (`acknowledged_by`) REFERENCES `users` (`id`),
+  ADD CONSTRAINT `fk_pn_screening_case` FOREIGN KEY (`pn_id`) REFERENCES `pn_cases` (`id`) ON DELETE CASCADE,
+  ADD CONSTRAINT `fk_pn_screening_user` FOREIGN KEY (`screened_by`) REFERENCES `users` (`id`);
+
+--
+-- Constraints for table `pn_soap_body_marks`
+--
+ALTER TABLE `pn_soap_body_marks`
+  ADD CONSTRAINT `fk_body_mark_pn` FOREIGN KEY (`pn_id`) REFERENCES `pn_cases` (`id`) ON DELETE CASCADE,
+  ADD CONSTRAINT `fk_body_mark_soap` FOREIGN KEY (`soap_note_id`) REFERENCES `pn_soap_notes` (`id`) ON DELETE CASCADE;
+
 --
 -- Constraints for table `pn_soap_notes`
 --
@@ -1646,11 +2904,46 @@ ALTER TABLE `public_testimonials`
 ALTER TABLE `services`
   ADD CONSTRAINT `fk_service_creator` FOREIGN KEY (`created_by`) REFERENCES `users` (`id`);
 
+--
+-- Constraints for table `soap_templates`
+--
+ALTER TABLE `soap_templates`
+  ADD CONSTRAINT `fk_soap_template_created_by` FOREIGN KEY (`created_by`) REFERENCES `users` (`id`);
+
 --
 -- Constraints for table `system_settings`
 --
 ALTER TABLE `system_settings`
   ADD CONSTRAINT `fk_system_settings_user` FOREIGN KEY (`updated_by`) REFERENCES `users` (`id`) ON DELETE SET NULL;
+
+--
+-- Constraints for table `therapist_leave`
+--
+ALTER TABLE `therapist_leave`
+  ADD CONSTRAINT `fk_leave_created_by` FOREIGN KEY (`created_by`) REFERENCES `users` (`id`),
+  ADD CONSTRAINT `fk_leave_pt` FOREIGN KEY (`pt_id`) REFERENCES `users` (`id`) ON DELETE CASCADE;
+
+--
+-- Constraints for table `therapist_schedules`
+--
+ALTER TABLE `therapist_schedules`
+  ADD CONSTRAINT `fk_schedule_clinic` FOREIGN KEY (`clinic_id`) REFERENCES `clinics` (`id`) ON DELETE CASCADE,
+  ADD CONSTRAINT `fk_schedule_created_by` FOREIGN KEY (`created_by`) REFERENCES `users` (`id`),
+  ADD CONSTRAINT `fk_schedule_pt` FOREIGN KEY (`pt_id`) REFERENCES `users` (`id`) ON DELETE CASCADE;
+
+--
+-- Constraints for table `therapist_shift_exceptions`
+--
+ALTER TABLE `therapist_shift_exceptions`
+  ADD CONSTRAINT `fk_shift_exception_clinic` FOREIGN KEY (`clinic_id`) REFERENCES `clinics` (`id`) ON DELETE CASCADE,
+  ADD CONSTRAINT `fk_shift_exception_created_by` FOREIGN KEY (`created_by`) REFERENCES `users` (`id`),
+  ADD CONSTRAINT `fk_shift_exception_pt` FOREIGN KEY (`pt_id`) REFERENCES `users` (`id`) ON DELETE CASCADE;
+
+--
+-- Constraints for table `user_signatures`
+--
+ALTER TABLE `user_signatures`
+  ADD CONSTRAINT `fk_signature_user` FOREIGN KEY (`user_id`) REFERENCES `users` (`id`) ON DELETE CASCADE;
 COMMIT;
 
 /*!40101 SET CHARACTER_SET_CLIENT=@OLD_CHARACTER_SET_CLIENT */;
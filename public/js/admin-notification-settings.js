@@ -179,6 +179,7 @@ function populateLINEForm(settings) {
         document.getElementById('lineAppointmentCancelled').checked = events.appointmentCancelled || false;
         document.getElementById('lineNewPatient').checked = events.newPatient || false;
         document.getElementById('linePaymentReceived').checked = events.paymentReceived || false;
+        document.getElementById('lineRedFlagScreening').checked = events.redFlagScreening || false;
     }
 
     updateStatusBadge('line', settings.enabled === 1 || settings.enabled === '1');
@@ -191,7 +192,8 @@ async function saveLINESettings() {
             newAppointment: document.getElementById('lineNewAppointment').checked,
             appointmentCancelled: document.getElementById('lineAppointmentCancelled').checked,
             newPatient: document.getElementById('lineNewPatient').checked,
-            paymentReceived: document.getElementById('linePaymentReceived').checked
+            paymentReceived: document.getElementById('linePaymentReceived').checked,
+            redFlagScreening: document.getElementById('lineRedFlagScreening').checked
         };
 
         const settings = {
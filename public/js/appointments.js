@@ -35,7 +35,11 @@ function broadcastSync(type) {
 let calendar;
 let currentAppointmentId = null;
 let allAppointments = [];
+let bookableServices = [];
 let currentBookingType = 'OLD_PATIENT';
+let seriesOccurrences = null; // sessions of a recurring series being booked, from the preview
+let seriesPreviewKey = null;
+let acceptScreening = null; // red-flag screening for the PN case accepted on completion
 const canManageAppointments = window.userInfo && (window.userInfo.role === 'ADMIN' || window.userInfo.role === 'PT');
 
 // Initialize on page load
@@ -43,6 +47,7 @@ document.addEventListener('DOMContentLoaded', function() {
     // Load lists first
     loadPTList();
     loadClinicList();
+    loadServiceList();
     
     // Then initialize the calendar, which will trigger the first event load
     initializeCalendar();
@@ -136,7 +141,7 @@ function updateAutoCreatePNVisibility() {
     }
 
     const hasPatient = Boolean(idInput.value);
-    const shouldShow = currentBookingType === 'OLD_PATIENT' && !currentAppointmentId && hasPatient;
+    const shouldShow = currentBookingType === 'OLD_PATIENT' && !currentAppointmentId && hasPatient && !isSeriesBooking();
     section.style.display = shouldShow ? 'block' : 'none';
 }
 
@@ -172,6 +177,7 @@ function setBookingType(type, options = {}) {
     }
 
     updateAutoCreatePNVisibility();
+    updateSeriesVisibility();
 }
 
 async function refreshCalendar() {
@@ -345,6 +351,79 @@ async function loadClinicList() {
     }
 }
 
+// Load services that can be booked, with their default length
+async function loadServiceList() {
+    try {
+        const token = getCookie('authToken');
+        const response = await fetch('/api/bills/services', {
+            headers: { 'Authorization': `Bearer ${token}` }
+        });
+
+        if (!response.ok) throw new Error('Failed to load services');
+
+        bookableServices = await response.json();
+
+        const select = document.getElementById('appointmentService');
+        if (!select) return;
+
+        bookableServices.forEach(service => {
+            const option = document.createElement('option');
+            option.value = service.id;
+            option.textContent = service.duration_minutes
+                ? `${service.service_name} (${service.duration_minutes} min)`
+                : service.service_name;
+            select.appendChild(option);
+        });
+    } catch (error) {
+        console.error('Load services error:', error);
+    }
+}
+
+// Load the rooms and equipment of the selected clinic as checkboxes
+async function loadClinicResources(selectedIds = []) {
+    const clinicId = document.getElementById('appointmentClinic').value;
+    if (!clinicId) {
+        renderClinicResources([]);
+        return;
+    }
+
+    try {
+        const token = getCookie('authToken');
+        const response = await fetch(`/api/clinic-resources?clinic_id=${clinicId}`, {
+            headers: { 'Authorization': `Bearer ${token}` }
+        });
+
+        if (!response.ok) throw new Error('Failed to load rooms and equipment');
+
+        const data = await response.json();
+        renderClinicResources(data.resources, selectedIds);
+        checkConflicts();
+    } catch (error) {
+        console.error('Load clinic resources error:', error);
+        renderClinicResources([]);
+    }
+}
+
+function renderClinicResources(resources, selectedIds = []) {
+    const group = document.getElementById('appointmentResourcesGroup');
+    const container = document.getElementById('appointmentResources');
+    if (!group || !container) return;
+
+    const selected = selectedIds.map(String);
+    group.style.display = resources.length > 0 ? 'block' : 'none';
+    container.innerHTML = resources.map(resource => `
+        <div class="form-check">
+            <input class="form-check-input appointment-resource" type="checkbox" id="resource-${resource.id}"
+                   value="${resource.id}" onchange="checkConflicts()" ${selected.includes(String(resource.id)) ? 'checked' : ''}>
+            <label class="form-check-label" for="resource-${resource.id}">${escapeHtml(resource.name)}</label>
+        </div>
+    `).join('');
+}
+
+function getSelectedResourceIds() {
+    return Array.from(document.querySelectorAll('.appointment-resource:checked')).map(input => parseInt(input.value));
+}
+
 // Load appointments (FullCalendar JSON Feed)
 async function loadAppointments(fetchInfo, successCallback, failureCallback) {
     try {
@@ -484,6 +563,14 @@ function showBookingModal() {
     const conflictWarning = document.getElementById('conflictWarning');
     if (conflictWarning) conflictWarning.style.display = 'none';
 
+    const serviceSelect = document.getElementById('appointmentService');
+    if (serviceSelect) serviceSelect.disabled = false;
+    const serviceBuffer = document.getElementById('appointmentServiceBuffer');
+    if (serviceBuffer) serviceBuffer.textContent = '';
+
+    renderClinicResources([]);
+    resetSeriesOptions();
+
     updateAutoCreatePNVisibility();
 
     // Hide linked PN info when creating new appointment
@@ -628,6 +715,22 @@ function setDuration(minutes) {
     checkConflicts();
 }
 
+// Use the selected service's length and show its cleanup buffer
+function applyServiceDuration() {
+    const serviceId = document.getElementById('appointmentService').value;
+    const service = bookableServices.find(s => String(s.id) === serviceId);
+
+    document.getElementById('appointmentServiceBuffer').textContent = service && service.buffer_minutes
+        ? `Blocks ${service.buffer_minutes} min for cleanup after the session`
+        : '';
+
+    if (service && service.duration_minutes && document.getElementById('appointmentStartTime').value) {
+        setDuration(service.duration_minutes);
+    } else {
+        checkConflicts();
+    }
+}
+
 // Check for time conflicts
 async function checkConflicts() {
     const ptId = document.getElementById('appointmentPT').value;
@@ -652,7 +755,10 @@ async function checkConflicts() {
                 appointment_date: date,
                 start_time: startTime,
                 end_time: endTime,
-                exclude_appointment_id: currentAppointmentId
+                exclude_appointment_id: currentAppointmentId,
+                // A rescheduled appointment keeps its own buffer
+                service_id: currentAppointmentId ? null : (document.getElementById('appointmentService').value || null),
+                resource_ids: getSelectedResourceIds()
             })
         });
 
@@ -664,7 +770,9 @@ async function checkConflicts() {
         if (result.hasConflict) {
             const conflictList = result.conflicts.map(c =>
                 `${c.patient_name} (${c.start_time} - ${c.end_time})`
-            ).join(', ');
+            ).concat((result.resourceConflicts || []).map(c =>
+                `${c.resource_name} booked by ${c.pt_name || 'another therapist'} (${c.start_time} - ${c.end_time})`
+            )).join(', ');
 
             document.getElementById('conflictMessage').textContent =
                 `This time slot conflicts with: ${conflictList}`;
@@ -712,6 +820,11 @@ async function saveAppointment() {
         return;
     }
 
+    if (isSeriesBooking()) {
+        await saveSeries();
+        return;
+    }
+
     // Check if there's a conflict warning
     if (document.getElementById('conflictWarning').style.display !== 'none') {
         if (!confirm('There is a time conflict. Do you want to proceed anyway?')) {
@@ -726,6 +839,8 @@ async function saveAppointment() {
         start_time: startTime,
         end_time: endTime,
         appointment_type: document.getElementById('appointmentType').value,
+        service_id: document.getElementById('appointmentService').value || null,
+        resource_ids: getSelectedResourceIds(),
         reason: document.getElementById('appointmentReason').value,
         notes: document.getElementById('appointmentNotes').value
     };
@@ -807,6 +922,202 @@ async function saveAppointment() {
     }
 }
 
+// A new booking for an existing patient may repeat weekly
+function isSeriesBooking() {
+    const repeat = document.getElementById('appointmentRepeat');
+    return Boolean(repeat && repeat.checked) && currentBookingType === 'OLD_PATIENT' && !currentAppointmentId;
+}
+
+function updateSeriesVisibility() {
+    const section = document.getElementById('seriesSection');
+    if (!section) return;
+
+    section.style.display = currentBookingType === 'OLD_PATIENT' && !currentAppointmentId ? 'block' : 'none';
+    document.getElementById('seriesOptions').style.display = isSeriesBooking() ? 'block' : 'none';
+    document.getElementById('seriesPreview').style.display = isSeriesBooking() && seriesOccurrences ? 'block' : 'none';
+    updateAutoCreatePNVisibility();
+}
+
+function toggleSeriesOptions() {
+    // Start from the weekday of the chosen date
+    const date = document.getElementById('appointmentDate').value;
+    const checked = document.querySelectorAll('.series-weekday:checked');
+    if (isSeriesBooking() && date && checked.length === 0) {
+        const weekday = document.getElementById(`seriesWeekday${new Date(`${date}T00:00:00`).getDay()}`);
+        if (weekday) weekday.checked = true;
+    }
+    updateSeriesVisibility();
+}
+
+function resetSeriesOptions() {
+    seriesOccurrences = null;
+    seriesPreviewKey = null;
+    const preview = document.getElementById('seriesPreview');
+    if (preview) preview.innerHTML = '';
+    updateSeriesVisibility();
+}
+
+// Series request from the booking form, or null with an alert when incomplete
+function getSeriesRequest() {
+    const courseSelect = document.getElementById('appointmentCourse');
+    const request = {
+        patient_id: document.getElementById('selectedPatientId').value,
+        pt_id: document.getElementById('appointmentPT').value,
+        clinic_id: document.getElementById('appointmentClinic').value,
+        start_date: document.getElementById('appointmentDate').value,
+        start_time: document.getElementById('appointmentStartTime').value,
+        end_time: document.getElementById('appointmentEndTime').value,
+        service_id: document.getElementById('appointmentService').value || null,
+        course_id: courseSelect && courseSelect.value ? parseInt(courseSelect.value) : null,
+        weekdays: Array.from(document.querySelectorAll('.series-weekday:checked')).map(input => parseInt(input.value)),
+        count: document.getElementById('seriesCount').value || null,
+        resource_ids: getSelectedResourceIds(),
+        appointment_type: document.getElementById('appointmentType').value,
+        reason: document.getElementById('appointmentReason').value,
+        notes: document.getElementById('appointmentNotes').value
+    };
+
+    if (!request.patient_id || !request.pt_id || !request.clinic_id || !request.start_date || !request.start_time) {
+        showAlert('Please select the patient, therapist, clinic, first date and start time', 'warning');
+        return null;
+    }
+    if (request.weekdays.length === 0) {
+        showAlert('Please choose the weekdays to repeat on', 'warning');
+        return null;
+    }
+    return request;
+}
+
+// Sessions edited in the preview only apply while the fields they were built from are unchanged
+function getSeriesKey(request) {
+    const { patient_id, pt_id, clinic_id, start_date, start_time, end_time, service_id, course_id, weekdays, count, resource_ids } = request;
+    return JSON.stringify({ patient_id, pt_id, clinic_id, start_date, start_time, end_time, service_id, course_id, weekdays, count, resource_ids });
+}
+
+async function previewSeries() {
+    const request = getSeriesRequest();
+    if (!request) return;
+
+    try {
+        const token = getCookie('authToken');
+        const response = await fetch('/api/appointment-series/preview', {
+            method: 'POST',
+            headers: {
+                'Authorization': `Bearer ${token}`,
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify(request)
+        });
+
+        const result = await response.json();
+        if (!response.ok) throw new Error(result.error || 'Failed to check dates');
+
+        seriesOccurrences = result.occurrences;
+        seriesPreviewKey = getSeriesKey(request);
+        renderSeriesPreview();
+    } catch (error) {
+        console.error('Preview series error:', error);
+        showAlert(error.message, 'danger');
+    }
+}
+
+// Editable list of the series' sessions; conflicting ones can be moved or skipped
+function renderSeriesPreview() {
+    const container = document.getElementById('seriesPreview');
+    const conflicts = seriesOccurrences.filter(occurrence => !occurrence.available && !occurrence.skip).length;
+
+    container.innerHTML = `
+        <h6 class="fw-semibold text-primary mb-2"><i class="bi bi-arrow-repeat me-2" aria-hidden="true"></i>Sessions</h6>
+        ${conflicts > 0
+            ? `<div class="alert alert-warning py-2">${conflicts} session(s) conflict. Change their date or time, or skip them.</div>`
+            : ''}
+        <div class="table-responsive">
+            <table class="table table-sm align-middle">
+                <thead>
+                    <tr><th>#</th><th>Date</th><th>Start</th><th>End</th><th>Skip</th><th>Status</th></tr>
+                </thead>
+                <tbody>
+                    ${seriesOccurrences.map((occurrence, index) => `
+                        <tr class="${occurrence.skip ? 'text-muted' : ''}">
+                            <td>${index + 1}</td>
+                            <td><input type="date" class="form-control form-control-sm" value="${escapeHtml(occurrence.date)}" onchange="updateSeriesOccurrence(${index}, 'date', this.value)"></td>
+                            <td><input type="time" class="form-control form-control-sm" value="${formatTimeForInput(occurrence.start_time)}" onchange="updateSeriesOccurrence(${index}, 'start_time', this.value)"></td>
+                            <td><input type="time" class="form-control form-control-sm" value="${formatTimeForInput(occurrence.end_time)}" onchange="updateSeriesOccurrence(${index}, 'end_time', this.value)"></td>
+                            <td><input type="checkbox" class="form-check-input" ${occurrence.skip ? 'checked' : ''} onchange="updateSeriesOccurrence(${index}, 'skip', this.checked)" aria-label="Skip session ${index + 1}"></td>
+                            <td>
+                                ${occurrence.edited
+                                    ? '<small class="text-muted">Checked when saved</small>'
+                                    : occurrence.available
+                                        ? '<span class="badge bg-success">Available</span>'
+                                        : `<small class="text-danger">${occurrence.problems.map(escapeHtml).join('<br>')}</small>`}
+                            </td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        </div>
+    `;
+    container.style.display = 'block';
+}
+
+function updateSeriesOccurrence(index, field, value) {
+    const occurrence = seriesOccurrences[index];
+    occurrence[field] = value;
+    if (field !== 'skip') occurrence.edited = true;
+    renderSeriesPreview();
+}
+
+// Book the whole series; on conflicts the server sends every session back to resolve
+async function saveSeries() {
+    const request = getSeriesRequest();
+    if (!request) return;
+
+    const key = getSeriesKey(request);
+    if (seriesOccurrences && seriesPreviewKey === key) {
+        request.occurrences = seriesOccurrences
+            .filter(occurrence => !occurrence.skip)
+            .map(({ date, start_time, end_time }) => ({ date, start_time, end_time }));
+        if (request.occurrences.length === 0) {
+            showAlert('All sessions are skipped', 'warning');
+            return;
+        }
+    }
+
+    try {
+        const token = getCookie('authToken');
+        const response = await fetch('/api/appointment-series', {
+            method: 'POST',
+            headers: {
+                'Authorization': `Bearer ${token}`,
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify(request)
+        });
+
+        const result = await response.json();
+        if (response.status === 409 && result.occurrences) {
+            seriesOccurrences = result.occurrences;
+            seriesPreviewKey = key;
+            renderSeriesPreview();
+            showAlert(escapeHtml(result.error), 'warning');
+            return;
+        }
+        if (!response.ok) throw new Error(result.error || 'Failed to book series');
+
+        showAlert(escapeHtml(result.message), 'success');
+
+        const modalInstance = bootstrap.Modal.getInstance(document.getElementById('bookingModal'));
+        if (modalInstance) {
+            modalInstance.hide();
+        }
+        resetSeriesOptions();
+        await refreshCalendar();
+    } catch (error) {
+        console.error('Save series error:', error);
+        showAlert(error.message, 'danger');
+    }
+}
+
 // View appointment details
 async function viewAppointmentDetails(appointmentId) {
     const appointment = allAppointments.find(a => a.id === parseInt(appointmentId));
@@ -870,6 +1181,23 @@ async function viewAppointmentDetails(appointmentId) {
         </div>
     ` : '';
 
+    const seriesHtml = appointment.series_id ? `
+        <div class="alert alert-secondary mt-3">
+            <strong><i class="bi bi-arrow-repeat me-2"></i>Weekly series</strong>
+            <small class="ms-2 text-muted" id="seriesSummary"></small>
+            ${canManageAppointments && ['SCHEDULED', 'CONFIRMED'].includes(appointment.status) ? `
+                <div class="mt-2 d-flex flex-wrap gap-2">
+                    <button type="button" class="btn btn-sm btn-outline-warning" onclick="showSeriesRescheduleModal()">
+                        <i class="bi bi-calendar2-event me-1"></i>Reschedule remaining
+                    </button>
+                    <button type="button" class="btn btn-sm btn-outline-danger" onclick="cancelSeriesRemainder()">
+                        <i class="bi bi-x-octagon me-1"></i>Cancel remaining
+                    </button>
+                </div>
+            ` : ''}
+        </div>
+    ` : '';
+
     const detailsHtml = `
         <div class="row">
             <div class="col-md-6">
@@ -884,12 +1212,14 @@ async function viewAppointmentDetails(appointmentId) {
         </div>
         ${pnCaseHtml}
         ${courseHtml}
+        ${seriesHtml}
         <hr>
         <div class="row">
             <div class="col-md-12">
                 <p><strong>Date:</strong> ${moment(appointment.appointment_date).format('dddd, MMMM DD, YYYY')}</p>
                 <p><strong>Time:</strong> ${startMoment.format('HH:mm')} - ${endMoment.format('HH:mm')}</p>
                 ${appointment.appointment_type ? `<p><strong>Type:</strong> ${escapeHtml(appointment.appointment_type)}</p>` : ''}
+                ${appointment.resource_names ? `<p><strong>Rooms &amp; equipment:</strong> ${escapeHtml(appointment.resource_names)}</p>` : ''}
                 ${appointment.reason ? `<p><strong>Reason:</strong> ${escapeHtml(appointment.reason)}</p>` : ''}
                 ${appointment.notes ? `<p><strong>Notes:</strong> ${escapeHtml(appointment.notes)}</p>` : ''}
                 ${appointment.created_by_name ? `<p><strong>Created by:</strong> ${appointment.created_by_name}</p>` : ''}
@@ -908,6 +1238,9 @@ async function viewAppointmentDetails(appointmentId) {
     `;
 
     document.getElementById('appointmentDetails').innerHTML = detailsHtml;
+    if (appointment.series_id) {
+        loadSeriesSummary(appointment.series_id, appointment.id);
+    }
 
     const modal = new bootstrap.Modal(document.getElementById('viewAppointmentModal'));
 
@@ -983,15 +1316,22 @@ function rescheduleAppointment() {
     }
 
     updateAutoCreatePNVisibility();
+    updateSeriesVisibility();
 
     document.getElementById('appointmentPT').value = appointment.pt_id;
     document.getElementById('appointmentClinic').value = appointment.clinic_id;
+    loadClinicResources(appointment.resource_ids ? String(appointment.resource_ids).split(',') : []);
     document.getElementById('appointmentDate').value = appointment.appointment_date;
     document.getElementById('appointmentStartTime').value = formatTimeForInput(appointment.start_time);
     document.getElementById('appointmentEndTime').value = formatTimeForInput(appointment.end_time);
     document.getElementById('appointmentType').value = appointment.appointment_type || '';
     document.getElementById('appointmentReason').value = appointment.reason || '';
     document.getElementById('appointmentNotes').value = appointment.notes || '';
+
+    // The service is fixed once booked; only the time moves
+    const serviceSelect = document.getElementById('appointmentService');
+    serviceSelect.value = appointment.service_id || '';
+    serviceSelect.disabled = true;
 }
 
 // Mark appointment as completed (with PN case sync and PT Assessment for non-CL001)
@@ -1025,6 +1365,13 @@ async function markAsCompleted() {
     // Has linked PN case - check clinic from appointment data (no API call needed)
     const isCL001 = appointment.clinic_code === 'CL001';
 
+    // Completing accepts a pending PN case, which is screened for red flags first
+    acceptScreening = null;
+    if (appointment.pn_status === 'PENDING') {
+        acceptScreening = await ScreeningChecklist.collect(appointment.pn_case_id);
+        if (!acceptScreening) return;
+    }
+
     console.log('=== APPOINTMENT COMPLETION CHECK ===');
     console.log('Appointment ID:', currentAppointmentId);
     console.log('Clinic Code:', appointment.clinic_code);
@@ -1056,7 +1403,7 @@ async function completeAppointmentSimple() {
                 'Authorization': `Bearer ${token}`,
                 'Content-Type': 'application/json'
             },
-            body: JSON.stringify({ status: 'COMPLETED' })
+            body: JSON.stringify({ status: 'COMPLETED', screening: acceptScreening || undefined })
         });
 
         if (!response.ok) {
@@ -1147,6 +1494,8 @@ function showPTAssessmentModal(appointmentId, courseWarning = '') {
         painScoreValue.textContent = this.value;
     });
 
+    ClinicalCodePicker.attach('pt_diagnosis');
+
     // Show modal
     const modal = new bootstrap.Modal(document.getElementById('ptAssessmentModal'));
 
@@ -1187,7 +1536,9 @@ async function submitPTAssessmentForAppointment(appointmentId) {
                 pt_diagnosis: diagnosis,
                 pt_chief_complaint: chiefComplaint,
                 pt_present_history: presentHistory,
-                pt_pain_score: painScore
+                pt_pain_score: painScore,
+                diagnosis_codes: { pt_diagnosis: ClinicalCodePicker.getIds('pt_diagnosis') },
+                screening: acceptScreening || undefined
             })
         });
 
@@ -1277,6 +1628,132 @@ async function cancelAppointment() {
     }
 }
 
+// Position of an appointment in its series
+async function loadSeriesSummary(seriesId, appointmentId) {
+    const summary = document.getElementById('seriesSummary');
+    if (!summary) return;
+
+    try {
+        const token = getCookie('authToken');
+        const response = await fetch(`/api/appointment-series/${seriesId}`, {
+            headers: { 'Authorization': `Bearer ${token}` }
+        });
+        if (!response.ok) throw new Error('Failed to load series');
+
+        const data = await response.json();
+        const sessions = data.appointments.filter(a => a.status !== 'CANCELLED');
+        const position = sessions.findIndex(a => Number(a.id) === Number(appointmentId)) + 1;
+        summary.textContent = `${position > 0 ? `Session ${position} of ${sessions.length}` : `${sessions.length} sessions`}`
+            + `${data.series.course_code ? ` · Course ${data.series.course_code}` : ''}`
+            + `${data.series.status === 'CANCELLED' ? ' · Series cancelled' : ''}`;
+    } catch (error) {
+        console.error('Load series error:', error);
+    }
+}
+
+function showSeriesRescheduleModal() {
+    const appointment = allAppointments.find(a => Number(a.id) === Number(currentAppointmentId));
+    if (!appointment || !appointment.series_id) return;
+
+    document.getElementById('seriesRescheduleFrom').textContent =
+        `Moves this session and every later booked session of the series, from ${moment(appointment.appointment_date).format('DD MMM YYYY')}.`;
+    document.getElementById('seriesRescheduleStart').value = '';
+    document.getElementById('seriesRescheduleEnd').value = '';
+    document.getElementById('seriesRescheduleOffset').value = '0';
+    document.getElementById('seriesRescheduleProblems').innerHTML = '';
+
+    const ptSelect = document.getElementById('seriesReschedulePT');
+    ptSelect.innerHTML = document.getElementById('appointmentPT').innerHTML;
+    ptSelect.value = appointment.pt_id;
+
+    bootstrap.Modal.getInstance(document.getElementById('viewAppointmentModal')).hide();
+    new bootstrap.Modal(document.getElementById('seriesRescheduleModal')).show();
+}
+
+async function rescheduleSeries() {
+    const appointment = allAppointments.find(a => Number(a.id) === Number(currentAppointmentId));
+    if (!appointment) return;
+
+    const data = {
+        from_date: appointment.appointment_date,
+        start_time: document.getElementById('seriesRescheduleStart').value || null,
+        end_time: document.getElementById('seriesRescheduleEnd').value || null,
+        day_offset: parseInt(document.getElementById('seriesRescheduleOffset').value),
+        pt_id: document.getElementById('seriesReschedulePT').value || null
+    };
+
+    try {
+        const token = getCookie('authToken');
+        const response = await fetch(`/api/appointment-series/${appointment.series_id}/reschedule`, {
+            method: 'POST',
+            headers: {
+                'Authorization': `Bearer ${token}`,
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify(data)
+        });
+
+        const result = await response.json();
+        if (response.status === 409 && result.occurrences) {
+            document.getElementById('seriesRescheduleProblems').innerHTML = `
+                <div class="alert alert-warning mb-0">
+                    <strong>${escapeHtml(result.error)}</strong>
+                    <ul class="mb-0 mt-2">
+                        ${result.occurrences.filter(o => !o.available).map(o => `
+                            <li>${moment(o.date).format('DD MMM')} ${formatTimeForInput(o.start_time)}: ${o.problems.map(escapeHtml).join(', ')}</li>
+                        `).join('')}
+                    </ul>
+                </div>
+            `;
+            return;
+        }
+        if (!response.ok) throw new Error(result.error || 'Failed to reschedule series');
+
+        showAlert(escapeHtml(result.message), 'success');
+        bootstrap.Modal.getInstance(document.getElementById('seriesRescheduleModal')).hide();
+        broadcastSync('appointment-updated');
+        await refreshCalendar();
+        currentAppointmentId = null;
+    } catch (error) {
+        console.error('Reschedule series error:', error);
+        showAlert(error.message, 'danger');
+    }
+}
+
+async function cancelSeriesRemainder() {
+    const appointment = allAppointments.find(a => Number(a.id) === Number(currentAppointmentId));
+    if (!appointment || !appointment.series_id) return;
+
+    if (!confirm(`Cancel this session and every later booked session of the series, from ${moment(appointment.appointment_date).format('DD MMM YYYY')}?`)) return;
+
+    const reason = prompt('Please enter cancellation reason:');
+    if (reason === null) return;
+
+    try {
+        const token = getCookie('authToken');
+        const response = await fetch(`/api/appointment-series/${appointment.series_id}/cancel`, {
+            method: 'POST',
+            headers: {
+                'Authorization': `Bearer ${token}`,
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({ from_date: appointment.appointment_date, cancellation_reason: reason })
+        });
+
+        const result = await response.json();
+        if (!response.ok) throw new Error(result.error || 'Failed to cancel series');
+
+        showAlert(escapeHtml(result.message), result.skipped.length > 0 ? 'warning' : 'success');
+        bootstrap.Modal.getInstance(document.getElementById('viewAppointmentModal')).hide();
+        broadcastSync('appointment-updated');
+        await refreshCalendar();
+        currentAppointmentId = null;
+    } catch (error) {
+        console.error('Cancel series error:', error);
+        showAlert(error.message, 'danger');
+    }
+}
+
 // Calculate quick stats (today, week, month)
 function calculateQuickStats(appointments) {
     const now = moment();
@@ -0,0 +1,152 @@
+// Body chart for SOAP notes - RehabPlus
+// Front/back figure where therapists mark pain and symptom locations.
+// Region shapes come from /api/body-chart/regions so the page, the PDF report
+// and the certificate all draw the same figure.
+
+const BodyChartManager = {
+    catalogue: null,
+    gap: 30,
+
+    async loadCatalogue() {
+        if (this.catalogue) return this.catalogue;
+
+        const response = await fetch('/api/body-chart/regions', {
+            headers: { 'Authorization': `Bearer ${getCookie('authToken')}` }
+        });
+        if (!response.ok) {
+            throw new Error('Failed to load body chart regions');
+        }
+        this.catalogue = await response.json();
+        return this.catalogue;
+    },
+
+    symptom(code) {
+        return this.catalogue.symptoms.find(s => s.code === code) || this.catalogue.symptoms[0];
+    },
+
+    region(view, code) {
+        return this.catalogue.regions.find(r => r.view === view && r.code === code);
+    },
+
+    // Build the SVG for both views; marked regions are tinted
+    buildSVG(marks, editable) {
+        const { width, height, regions } = this.catalogue;
+        const totalWidth = width * 2 + this.gap;
+        const marked = new Set(marks.map(m => `${m.view}:${m.region}`));
+
+        const views = ['FRONT', 'BACK'].map((view, index) => {
+            const offset = index * (width + this.gap);
+            const shapes = regions.filter(r => r.view === view).map(r => {
+                const [x, y, w, h] = r.shape;
+                const fill = marked.has(`${view}:${r.code}`) ? '#f8d7da' : '#f1f3f5';
+                return `<rect class="body-region" data-view="${view}" data-region="${r.code}" data-offset="${offset}"
+                    x="${offset + x}" y="${y}" width="${w}" height="${h}" rx="${Math.min(w, h) / 2}"
+                    fill="${fill}" stroke="#adb5bd" stroke-width="0.6" style="${editable ? 'cursor: crosshair;' : ''}">
+                    <title>${r.label}</title></rect>`;
+            }).join('');
+            const dots = marks.map((m, i) => ({ m, i })).filter(({ m }) => m.view === view).map(({ m, i }) => `
+                <circle class="body-mark" data-index="${i}" cx="${offset + m.x * width}" cy="${m.y * height}" r="3.5"
+                    fill="${this.symptom(m.symptom).color}" stroke="#fff" stroke-width="0.8" style="${editable ? 'cursor: pointer;' : ''}">
+                    <title>${this.symptom(m.symptom).label}${m.intensity !== null && m.intensity !== undefined ? ` ${m.intensity}/10` : ''}</title>
+                </circle>`).join('');
+            const label = `<text x="${offset + width / 2}" y="${height + 10}" font-size="8" text-anchor="middle" fill="#495057">${view === 'FRONT' ? 'Front' : 'Back'}</text>`;
+            return shapes + dots + label;
+        }).join('');
+
+        return `<svg viewBox="0 0 ${totalWidth} ${height + 12}" style="width: 100%; max-width: 360px; height: auto;">${views}</svg>`;
+    },
+
+    buildLegend(marks, editable) {
+        if (marks.length === 0) {
+            return '<p class="text-muted small mb-0">No locations marked.</p>';
+        }
+        return `<ul class="list-unstyled small mb-0">${marks.map((m, i) => {
+            const region = this.region(m.view, m.region);
+            const symptom = this.symptom(m.symptom);
+            return `
+                <li class="d-flex align-items-center mb-1">
+                    <span class="me-2" style="display:inline-block;width:10px;height:10px;border-radius:50%;background:${symptom.color};"></span>
+                    <span>${region ? region.label : m.region}: ${symptom.label}${m.intensity !== null && m.intensity !== undefined ? ` ${m.intensity}/10` : ''}</span>
+                    ${editable ? `<button type="button" class="btn btn-link btn-sm text-danger p-0 ms-2" data-remove="${i}" title="Remove"><i class="bi bi-x-circle"></i></button>` : ''}
+                </li>`;
+        }).join('')}</ul>`;
+    },
+
+    // Read-only rendering (SOAP history, case page)
+    async render(container, marks) {
+        await this.loadCatalogue();
+        container.innerHTML = `
+            <div class="row align-items-start">
+                <div class="col-md-6">${this.buildSVG(marks, false)}</div>
+                <div class="col-md-6">${this.buildLegend(marks, false)}</div>
+            </div>
+        `;
+    },
+
+    // Interactive editor; click a region to add a mark, click a mark to remove it
+    async initEditor(container) {
+        await this.loadCatalogue();
+        container.bodyChartMarks = [];
+
+        container.innerHTML = `
+            <div class="row g-2 mb-2">
+                <div class="col-md-6">
+                    <select class="form-select form-select-sm" data-role="symptom">
+                        ${this.catalogue.symptoms.map(s => `<option value="${s.code}">${s.label}</option>`).join('')}
+                    </select>
+                </div>
+                <div class="col-md-6">
+                    <input type="number" class="form-control form-control-sm" data-role="intensity" min="0" max="10" placeholder="Intensity 0-10 (optional)">
+                </div>
+            </div>
+            <div class="row align-items-start">
+                <div class="col-md-7" data-role="figure"></div>
+                <div class="col-md-5" data-role="legend"></div>
+            </div>
+            <small class="text-muted">Click the figure to mark a location; click a dot to remove it.</small>
+        `;
+
+        const redraw = () => {
+            container.querySelector('[data-role="figure"]').innerHTML = this.buildSVG(container.bodyChartMarks, true);
+            container.querySelector('[data-role="legend"]').innerHTML = this.buildLegend(container.bodyChartMarks, true);
+        };
+
+        container.addEventListener('click', (e) => {
+            const remove = e.target.closest('[data-remove]');
+            const dot = e.target.closest('.body-mark');
+            const region = e.target.closest('.body-region');
+
+            if (remove || dot) {
+                const index = parseInt((remove || dot).dataset[remove ? 'remove' : 'index']);
+                container.bodyChartMarks.splice(index, 1);
+                redraw();
+                return;
+            }
+
+            if (region) {
+                const svg = region.ownerSVGElement;
+                const point = svg.createSVGPoint();
+                point.x = e.clientX;
+                point.y = e.clientY;
+                const local = point.matrixTransform(svg.getScreenCTM().inverse());
+                const intensity = container.querySelector('[data-role="intensity"]').value;
+
+                container.bodyChartMarks.push({
+                    view: region.dataset.view,
+                    region: region.dataset.region,
+                    symptom: container.querySelector('[data-role="symptom"]').value,
+                    intensity: intensity === '' ? null : parseInt(intensity),
+                    x: Math.min(Math.max((local.x - parseFloat(region.dataset.offset)) / this.catalogue.width, 0), 1),
+                    y: Math.min(Math.max(local.y / this.catalogue.height, 0), 1)
+                });
+                redraw();
+            }
+        });
+
+        redraw();
+    },
+
+    getMarks(container) {
+        return container.bodyChartMarks || [];
+    }
+};
@@ -0,0 +1,307 @@
+// Clinic Opening Hours and Closures JavaScript
+
+// Get auth token from cookie
+function getCookie(name) {
+    const value = `; ${document.cookie}`;
+    const parts = value.split(`; ${name}=`);
+    if (parts.length === 2) return parts.pop().split(';').shift();
+}
+
+// Show alert message
+function showAlert(message, type = 'info') {
+    const alertDiv = document.createElement('div');
+    alertDiv.className = `alert alert-${type} alert-dismissible fade show position-fixed top-0 start-50 translate-middle-x mt-3`;
+    alertDiv.style.zIndex = '9999';
+    alertDiv.style.minWidth = '300px';
+    alertDiv.innerHTML = `
+        ${message}
+        <button type="button" class="btn-close" data-bs-dismiss="alert"></button>
+    `;
+    document.body.appendChild(alertDiv);
+
+    setTimeout(() => {
+        alertDiv.remove();
+    }, 5000);
+}
+
+// HTML escaping
+function escapeHtml(unsafe) {
+    if (unsafe === null || unsafe === undefined) return '';
+    return String(unsafe)
+        .replace(/&/g, "&amp;")
+        .replace(/</g, "&lt;")
+        .replace(/>/g, "&gt;")
+        .replace(/"/g, "&quot;")
+        .replace(/'/g, "&#039;");
+}
+
+// 'HH:MM:SS' -> 'HH:MM'
+function shortTime(time) {
+    return time ? String(time).slice(0, 5) : '';
+}
+
+function formatDate(value) {
+    return new Date(value).toLocaleDateString('en-GB', { day: 'numeric', month: 'short', year: 'numeric' });
+}
+
+// Send a JSON request and throw the server's message on failure
+async function sendRequest(url, method, data) {
+    const response = await fetch(url, {
+        method,
+        headers: {
+            'Authorization': `Bearer ${getCookie('authToken')}`,
+            'Content-Type': 'application/json'
+        },
+        body: data ? JSON.stringify(data) : undefined
+    });
+
+    const result = await response.json();
+    if (!response.ok) {
+        throw new Error(result.error || (result.errors && result.errors[0].msg) || 'Request failed');
+    }
+    return result;
+}
+
+let weekdays = [];
+let closureTypes = {};
+
+// Initialize on page load
+document.addEventListener('DOMContentLoaded', function() {
+    const year = new Date().getFullYear();
+    document.getElementById('holidayYear').innerHTML = [year, year + 1]
+        .map(value => `<option value="${value}">${value}</option>`)
+        .join('');
+    loadClinics();
+});
+
+// Load clinics, then the calendar of the first one
+async function loadClinics() {
+    try {
+        const response = await fetch('/api/clinics', {
+            headers: { 'Authorization': `Bearer ${getCookie('authToken')}` }
+        });
+        if (!response.ok) throw new Error('Failed to load clinics');
+
+        const clinics = await response.json();
+        document.getElementById('filterClinic').innerHTML = clinics
+            .map(clinic => `<option value="${clinic.id}">${escapeHtml(clinic.name)}</option>`)
+            .join('');
+
+        if (clinics.length > 0) {
+            await loadCalendar();
+        }
+    } catch (error) {
+        console.error('Load clinics error:', error);
+        showAlert('Failed to load clinics', 'danger');
+    }
+}
+
+// Load opening hours and upcoming closures of the selected clinic
+async function loadCalendar() {
+    try {
+        const clinicId = document.getElementById('filterClinic').value;
+        const response = await fetch(`/api/clinics/${clinicId}/calendar`, {
+            headers: { 'Authorization': `Bearer ${getCookie('authToken')}` }
+        });
+        if (!response.ok) throw new Error('Failed to load clinic calendar');
+
+        const data = await response.json();
+        weekdays = data.weekdays;
+        closureTypes = data.closure_types;
+
+        document.getElementById('closureType').innerHTML = Object.entries(closureTypes)
+            .map(([code, label]) => `<option value="${code}">${escapeHtml(label)}</option>`)
+            .join('');
+        document.getElementById('openOnHolidays').checked = Boolean(data.clinic.open_on_holidays);
+        document.getElementById('affectedAppointments').innerHTML = '';
+
+        renderOpeningHours(data.hours);
+        renderClosures(data.closures);
+    } catch (error) {
+        console.error('Load clinic calendar error:', error);
+        showAlert('Failed to load clinic calendar', 'danger');
+    }
+}
+
+// Markup of one opening period
+function periodRowHtml(open = '', close = '') {
+    return `
+        <div class="d-flex gap-2 mb-2 period-row">
+            <input type="time" class="form-control form-control-sm period-open" value="${shortTime(open)}" step="1800" aria-label="Opens">
+            <input type="time" class="form-control form-control-sm period-close" value="${shortTime(close)}" step="1800" aria-label="Closes">
+            <button type="button" class="btn btn-sm btn-outline-danger" onclick="this.closest('.period-row').remove()" title="Remove">
+                <i class="bi bi-x"></i>
+            </button>
+        </div>
+    `;
+}
+
+function addPeriodRow(weekday) {
+    document.getElementById(`periods-${weekday}`).insertAdjacentHTML('beforeend', periodRowHtml());
+}
+
+// Opening periods per weekday starting Monday
+function renderOpeningHours(hours) {
+    document.getElementById('openingDays').innerHTML = [1, 2, 3, 4, 5, 6, 0].map(day => `
+        <div class="row g-2 align-items-start mb-2">
+            <div class="col-3 pt-1"><strong>${escapeHtml(weekdays[day])}</strong></div>
+            <div class="col-7" id="periods-${day}">
+                ${hours
+                    .filter(row => row.weekday === day)
+                    .map(row => periodRowHtml(row.open_time, row.close_time))
+                    .join('')}
+            </div>
+            <div class="col-2 text-end">
+                <button type="button" class="btn btn-sm btn-outline-primary" onclick="addPeriodRow(${day})" title="Add opening period">
+                    <i class="bi bi-plus"></i>
+                </button>
+            </div>
+        </div>
+    `).join('');
+}
+
+function renderClosures(closures) {
+    const tbody = document.getElementById('closures-table-body');
+    if (closures.length === 0) {
+        tbody.innerHTML = '<tr><td colspan="5" class="text-center text-muted">No upcoming holidays or closures</td></tr>';
+        return;
+    }
+
+    tbody.innerHTML = closures.map(closure => `
+        <tr>
+            <td>
+                ${formatDate(closure.start_date)}${closure.end_date !== closure.start_date ? ` - ${formatDate(closure.end_date)}` : ''}
+                ${closure.start_time ? `<br><small class="text-muted">${shortTime(closure.start_time)}-${shortTime(closure.end_time)}</small>` : ''}
+            </td>
+            <td>${escapeHtml(closure.name)}</td>
+            <td>
+                <span class="badge ${closure.closure_type === 'HOLIDAY' ? 'bg-info' : 'bg-warning text-dark'}">
+                    ${escapeHtml(closureTypes[closure.closure_type] || closure.closure_type)}
+                </span>
+            </td>
+            <td>${closure.clinic_id ? escapeHtml(closure.clinic_name) : '<span class="text-muted">All clinics</span>'}</td>
+            <td>
+                <button class="btn btn-sm btn-outline-danger" onclick="deleteClosure(${closure.id})" title="Remove">
+                    <i class="bi bi-trash"></i>
+                </button>
+            </td>
+        </tr>
+    `).join('');
+}
+
+// List bookings that fall in a new closure so staff can call the patients
+function renderAffectedAppointments(appointments) {
+    const container = document.getElementById('affectedAppointments');
+    if (appointments.length === 0) {
+        container.innerHTML = '';
+        return;
+    }
+
+    container.innerHTML = `
+        <div class="alert alert-warning">
+            <strong><i class="bi bi-exclamation-triangle me-2"></i>Booked appointments during this closure</strong>
+            <ul class="mb-0 mt-2">
+                ${appointments.map(appointment => `
+                    <li>
+                        ${formatDate(appointment.appointment_date)} ${shortTime(appointment.start_time)}-${shortTime(appointment.end_time)}
+                        - ${escapeHtml(appointment.patient_name)}${appointment.phone ? ` (${escapeHtml(appointment.phone)})` : ''}
+                        <small class="text-muted">${escapeHtml(appointment.clinic_name)}</small>
+                    </li>
+                `).join('')}
+            </ul>
+        </div>
+    `;
+}
+
+// Save opening hours
+async function saveOpeningHours() {
+    try {
+        const clinicId = document.getElementById('filterClinic').value;
+        const hours = [];
+        for (let day = 0; day < 7; day++) {
+            document.querySelectorAll(`#periods-${day} .period-row`).forEach(row => {
+                const open = row.querySelector('.period-open').value;
+                const close = row.querySelector('.period-close').value;
+                if (open || close) {
+                    hours.push({ weekday: day, open_time: open, close_time: close });
+                }
+            });
+        }
+
+        await sendRequest(`/api/clinics/${clinicId}/opening-hours`, 'PUT', {
+            hours,
+            open_on_holidays: document.getElementById('openOnHolidays').checked
+        });
+        showAlert('Opening hours saved', 'success');
+        await loadCalendar();
+    } catch (error) {
+        console.error('Save opening hours error:', error);
+        showAlert(error.message, 'danger');
+    }
+}
+
+function showClosureModal() {
+    document.getElementById('closureForm').reset();
+    new bootstrap.Modal(document.getElementById('closureModal')).show();
+}
+
+// Save holiday or closure
+async function saveClosure() {
+    try {
+        const data = {
+            clinic_id: document.getElementById('closureScope').value === 'all' ? null : document.getElementById('filterClinic').value,
+            closure_type: document.getElementById('closureType').value,
+            name: document.getElementById('closureName').value.trim(),
+            start_date: document.getElementById('closureStartDate').value,
+            end_date: document.getElementById('closureEndDate').value || document.getElementById('closureStartDate').value,
+            start_time: document.getElementById('closureStartTime').value,
+            end_time: document.getElementById('closureEndTime').value
+        };
+
+        if (!data.name || !data.start_date) {
+            showAlert('Please enter the name and date', 'warning');
+            return;
+        }
+
+        const result = await sendRequest('/api/clinic-closures', 'POST', data);
+        showAlert(escapeHtml(result.message), result.affected_appointments.length > 0 ? 'warning' : 'success');
+
+        const modal = bootstrap.Modal.getInstance(document.getElementById('closureModal'));
+        if (modal) modal.hide();
+
+        await loadCalendar();
+        renderAffectedAppointments(result.affected_appointments);
+    } catch (error) {
+        console.error('Save closure error:', error);
+        showAlert(error.message, 'danger');
+    }
+}
+
+// Add the fixed-date Thai national holidays of the selected year for all clinics
+async function addThaiHolidays() {
+    const year = document.getElementById('holidayYear').value;
+    if (!confirm(`Add the Thai national holidays of ${year} for all clinics?`)) return;
+
+    try {
+        const result = await sendRequest('/api/clinic-closures/thai-holidays', 'POST', { year });
+        showAlert(escapeHtml(result.message), 'success');
+        await loadCalendar();
+        renderAffectedAppointments(result.affected_appointments);
+    } catch (error) {
+        console.error('Add Thai holidays error:', error);
+        showAlert(error.message, 'danger');
+    }
+}
+
+async function deleteClosure(closureId) {
+    if (!confirm('Remove this holiday or closure?')) return;
+
+    try {
+        await sendRequest(`/api/clinic-closures/${closureId}`, 'DELETE');
+        showAlert('Closure removed', 'success');
+        await loadCalendar();
+    } catch (error) {
+        console.error('Delete closure error:', error);
+        showAlert(error.message, 'danger');
+    }
+}
@@ -0,0 +1,212 @@
+// Clinic Rooms and Equipment JavaScript
+
+// Get auth token from cookie
+function getCookie(name) {
+    const value = `; ${document.cookie}`;
+    const parts = value.split(`; ${name}=`);
+    if (parts.length === 2) return parts.pop().split(';').shift();
+}
+
+// Show alert message
+function showAlert(message, type = 'info') {
+    const alertDiv = document.createElement('div');
+    alertDiv.className = `alert alert-${type} alert-dismissible fade show position-fixed top-0 start-50 translate-middle-x mt-3`;
+    alertDiv.style.zIndex = '9999';
+    alertDiv.style.minWidth = '300px';
+    alertDiv.innerHTML = `
+        ${message}
+        <button type="button" class="btn-close" data-bs-dismiss="alert"></button>
+    `;
+    document.body.appendChild(alertDiv);
+
+    setTimeout(() => {
+        alertDiv.remove();
+    }, 5000);
+}
+
+// HTML escaping
+function escapeHtml(unsafe) {
+    if (unsafe === null || unsafe === undefined) return '';
+    return String(unsafe)
+        .replace(/&/g, "&amp;")
+        .replace(/</g, "&lt;")
+        .replace(/>/g, "&gt;")
+        .replace(/"/g, "&quot;")
+        .replace(/'/g, "&#039;");
+}
+
+// Send a JSON request and throw the server's message on failure
+async function sendRequest(url, method, data) {
+    const response = await fetch(url, {
+        method,
+        headers: {
+            'Authorization': `Bearer ${getCookie('authToken')}`,
+            'Content-Type': 'application/json'
+        },
+        body: data ? JSON.stringify(data) : undefined
+    });
+
+    const result = await response.json();
+    if (!response.ok) {
+        throw new Error(result.error || (result.errors && result.errors[0].msg) || 'Request failed');
+    }
+    return result;
+}
+
+let resourceTypes = {};
+let allResources = [];
+
+// Initialize on page load
+document.addEventListener('DOMContentLoaded', function() {
+    loadClinics();
+});
+
+// Load clinics, then the resources of the first one
+async function loadClinics() {
+    try {
+        const response = await fetch('/api/clinics', {
+            headers: { 'Authorization': `Bearer ${getCookie('authToken')}` }
+        });
+        if (!response.ok) throw new Error('Failed to load clinics');
+
+        const clinics = await response.json();
+        document.getElementById('filterClinic').innerHTML = clinics
+            .map(clinic => `<option value="${clinic.id}">${escapeHtml(clinic.name)}</option>`)
+            .join('');
+
+        if (clinics.length > 0) {
+            await loadResources();
+        }
+    } catch (error) {
+        console.error('Load clinics error:', error);
+        showAlert('Failed to load clinics', 'danger');
+    }
+}
+
+// Load rooms and equipment of the selected clinic
+async function loadResources() {
+    try {
+        const clinicId = document.getElementById('filterClinic').value;
+        const includeInactive = document.getElementById('showInactive').checked ? '1' : '0';
+        const response = await fetch(`/api/clinic-resources?clinic_id=${clinicId}&include_inactive=${includeInactive}`, {
+            headers: { 'Authorization': `Bearer ${getCookie('authToken')}` }
+        });
+        if (!response.ok) throw new Error('Failed to load rooms and equipment');
+
+        const data = await response.json();
+        resourceTypes = data.resource_types;
+        allResources = data.resources;
+
+        document.getElementById('resourceType').innerHTML = Object.entries(resourceTypes)
+            .map(([code, label]) => `<option value="${code}">${escapeHtml(label)}</option>`)
+            .join('');
+
+        renderResources();
+    } catch (error) {
+        console.error('Load resources error:', error);
+        showAlert('Failed to load rooms and equipment', 'danger');
+    }
+}
+
+function renderResources() {
+    const tbody = document.getElementById('resources-table-body');
+    if (allResources.length === 0) {
+        tbody.innerHTML = '<tr><td colspan="6" class="text-center text-muted">No rooms or equipment at this clinic</td></tr>';
+        return;
+    }
+
+    tbody.innerHTML = allResources.map(resource => `
+        <tr>
+            <td><strong>${escapeHtml(resource.name)}</strong></td>
+            <td>
+                <span class="badge ${resource.resource_type === 'ROOM' ? 'bg-info' : 'bg-warning text-dark'}">
+                    ${escapeHtml(resourceTypes[resource.resource_type] || resource.resource_type)}
+                </span>
+            </td>
+            <td>${resource.description ? escapeHtml(resource.description) : '<span class="text-muted">-</span>'}</td>
+            <td>${resource.upcoming_bookings}</td>
+            <td>
+                <span class="badge ${resource.active ? 'bg-success' : 'bg-secondary'}">
+                    ${resource.active ? 'Active' : 'Inactive'}
+                </span>
+            </td>
+            <td>
+                <button class="btn btn-sm btn-outline-primary" onclick="editResource(${resource.id})" title="Edit">
+                    <i class="bi bi-pencil"></i>
+                </button>
+                ${resource.active ? `
+                    <button class="btn btn-sm btn-outline-danger" onclick="deleteResource(${resource.id})" title="Remove">
+                        <i class="bi bi-trash"></i>
+                    </button>
+                ` : ''}
+            </td>
+        </tr>
+    `).join('');
+}
+
+function showResourceModal() {
+    document.getElementById('resourceForm').reset();
+    document.getElementById('resourceId').value = '';
+    document.getElementById('resourceActiveGroup').style.display = 'none';
+    new bootstrap.Modal(document.getElementById('resourceModal')).show();
+}
+
+function editResource(resourceId) {
+    const resource = allResources.find(r => r.id === resourceId);
+    if (!resource) return;
+
+    document.getElementById('resourceId').value = resource.id;
+    document.getElementById('resourceName').value = resource.name;
+    document.getElementById('resourceType').value = resource.resource_type;
+    document.getElementById('resourceDescription').value = resource.description || '';
+    document.getElementById('resourceActive').checked = Boolean(resource.active);
+    document.getElementById('resourceActiveGroup').style.display = 'block';
+    new bootstrap.Modal(document.getElementById('resourceModal')).show();
+}
+
+// Save room or equipment (create or update)
+async function saveResource() {
+    try {
+        const resourceId = document.getElementById('resourceId').value;
+        const data = {
+            resource_type: document.getElementById('resourceType').value,
+            name: document.getElementById('resourceName').value.trim(),
+            description: document.getElementById('resourceDescription').value.trim()
+        };
+
+        if (!data.name) {
+            showAlert('Please enter the name', 'warning');
+            return;
+        }
+
+        if (resourceId) {
+            data.active = document.getElementById('resourceActive').checked;
+            await sendRequest(`/api/clinic-resources/${resourceId}`, 'PUT', data);
+        } else {
+            data.clinic_id = document.getElementById('filterClinic').value;
+            await sendRequest('/api/clinic-resources', 'POST', data);
+        }
+        showAlert(`Room or equipment ${resourceId ? 'updated' : 'added'}`, 'success');
+
+        const modal = bootstrap.Modal.getInstance(document.getElementById('resourceModal'));
+        if (modal) modal.hide();
+
+        await loadResources();
+    } catch (error) {
+        console.error('Save resource error:', error);
+        showAlert(error.message, 'danger');
+    }
+}
+
+async function deleteResource(resourceId) {
+    if (!confirm('Remove this room or equipment?')) return;
+
+    try {
+        const result = await sendRequest(`/api/clinic-resources/${resourceId}`, 'DELETE');
+        showAlert(escapeHtml(result.message), 'success');
+        await loadResources();
+    } catch (error) {
+        console.error('Delete resource error:', error);
+        showAlert(error.message, 'danger');
+    }
+}
@@ -0,0 +1,182 @@
+// ICD-10 / ICF code picker - RehabPlus
+// Adds a typeahead under a diagnosis textarea. Selected codes are kept beside
+// the free text and sent to the API as clinical_codes ids.
+
+const ClinicalCodePicker = {
+    pickers: {},
+    searchDelay: 250,
+
+    escape(text) {
+        if (text === null || text === undefined) return '';
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#039;');
+    },
+
+    systemLabel(system) {
+        return system === 'ICF' ? 'ICF' : 'ICD-10';
+    },
+
+    // Inline "M54.5 Low back pain; ..." text for read-only displays
+    formatCodes(codes) {
+        return (codes || []).map(c => `${c.code} ${c.title}`).join('; ');
+    },
+
+    // Badges for read-only displays
+    renderBadges(codes) {
+        if (!codes || codes.length === 0) return '';
+        return codes.map(c => `
+            <span class="badge ${c.code_system === 'ICF' ? 'bg-info text-dark' : 'bg-primary'} me-1 mb-1" title="${this.escape(this.systemLabel(c.code_system))}">
+                ${this.escape(c.code)} ${this.escape(c.title)}
+            </span>
+        `).join('');
+    },
+
+    // Attach a picker below the textarea; calling again on the same id resets it
+    attach(textareaId, codes) {
+        const textarea = document.getElementById(textareaId);
+        if (!textarea) return;
+
+        let container = document.getElementById(`${textareaId}-codes`);
+        if (!container) {
+            container = document.createElement('div');
+            container.id = `${textareaId}-codes`;
+            container.className = 'clinical-code-picker mt-2 position-relative';
+            container.innerHTML = `
+                <div class="input-group input-group-sm">
+                    <span class="input-group-text"><i class="bi bi-upc-scan" aria-hidden="true"></i></span>
+                    <input type="text" class="form-control" autocomplete="off"
+                           placeholder="Search ICD-10 / ICF code or term..." aria-label="Search diagnosis codes">
+                </div>
+                <div class="list-group position-absolute w-100 shadow-sm d-none" style="z-index: 1060; max-height: 240px; overflow-y: auto;"></div>
+                <div class="clinical-code-chips mt-1"></div>
+            `;
+            textarea.insertAdjacentElement('afterend', container);
+
+            const input = container.querySelector('input');
+            input.addEventListener('input', () => this.scheduleSearch(textareaId));
+            input.addEventListener('keydown', (event) => {
+                if (event.key === 'Escape') this.hideResults(textareaId);
+                if (event.key === 'Enter') event.preventDefault();
+            });
+            input.addEventListener('blur', () => setTimeout(() => this.hideResults(textareaId), 200));
+        }
+
+        this.pickers[textareaId] = { container, codes: [], timer: null, results: [] };
+        this.setCodes(textareaId, codes || []);
+    },
+
+    setCodes(textareaId, codes) {
+        const picker = this.pickers[textareaId];
+        if (!picker) return;
+        picker.codes = (codes || []).map(c => ({
+            id: c.clinical_code_id || c.id,
+            code_system: c.code_system,
+            code: c.code,
+            title: c.title
+        }));
+        picker.container.querySelector('input').value = '';
+        this.hideResults(textareaId);
+        this.renderChips(textareaId);
+    },
+
+    getIds(textareaId) {
+        const picker = this.pickers[textareaId];
+        return picker ? picker.codes.map(c => c.id) : [];
+    },
+
+    scheduleSearch(textareaId) {
+        const picker = this.pickers[textareaId];
+        clearTimeout(picker.timer);
+        picker.timer = setTimeout(() => this.search(textareaId), this.searchDelay);
+    },
+
+    async search(textareaId) {
+        const picker = this.pickers[textareaId];
+        const query = picker.container.querySelector('input').value.trim();
+        if (query.length < 2) {
+            this.hideResults(textareaId);
+            return;
+        }
+
+        try {
+            const response = await fetch(`/api/clinical-codes?q=${encodeURIComponent(query)}&limit=15`, {
+                headers: { 'Authorization': `Bearer ${getCookie('authToken')}` }
+            });
+            if (!response.ok) throw new Error('Failed to search codes');
+
+            picker.results = await response.json();
+            this.renderResults(textareaId);
+        } catch (error) {
+            console.error('Clinical code search error:', error);
+            this.hideResults(textareaId);
+        }
+    },
+
+    renderResults(textareaId) {
+        const picker = this.pickers[textareaId];
+        const list = picker.container.querySelector('.list-group');
+        const selected = new Set(picker.codes.map(c => c.id));
+        const results = picker.results.filter(c => !selected.has(c.id));
+
+        if (results.length === 0) {
+            list.innerHTML = '<div class="list-group-item small text-muted">No matching codes</div>';
+        } else {
+            list.innerHTML = results.map(c => `
+                <button type="button" class="list-group-item list-group-item-action small" data-code-id="${c.id}">
+                    <span class="badge ${c.code_system === 'ICF' ? 'bg-info text-dark' : 'bg-primary'} me-1">${this.systemLabel(c.code_system)}</span>
+                    <strong>${this.escape(c.code)}</strong> ${this.escape(c.title)}
+                </button>
+            `).join('');
+            list.querySelectorAll('[data-code-id]').forEach(button => {
+                button.addEventListener('mousedown', (event) => {
+                    event.preventDefault();
+                    this.select(textareaId, parseInt(button.dataset.codeId, 10));
+                });
+            });
+        }
+        list.classList.remove('d-none');
+    },
+
+    hideResults(textareaId) {
+        const picker = this.pickers[textareaId];
+        if (picker) picker.container.querySelector('.list-group').classList.add('d-none');
+    },
+
+    select(textareaId, codeId) {
+        const picker = this.pickers[textareaId];
+        const code = picker.results.find(c => c.id === codeId);
+        if (!code || picker.codes.some(c => c.id === codeId)) return;
+
+        picker.codes.push({ id: code.id, code_system: code.code_system, code: code.code, title: code.title });
+        picker.container.querySelector('input').value = '';
+        this.hideResults(textareaId);
+        this.renderChips(textareaId);
+    },
+
+    remove(textareaId, codeId) {
+        const picker = this.pickers[textareaId];
+        picker.codes = picker.codes.filter(c => c.id !== codeId);
+        this.renderChips(textareaId);
+    },
+
+    // First chip is the primary code (saved with sort_order 0)
+    renderChips(textareaId) {
+        const picker = this.pickers[textareaId];
+        const chips = picker.container.querySelector('.clinical-code-chips');
+
+        chips.innerHTML = picker.codes.map((c, index) => `
+            <span class="badge ${c.code_system === 'ICF' ? 'bg-info text-dark' : 'bg-primary'} me-1 mb-1">
+                ${index === 0 ? '<i class="bi bi-star-fill me-1" title="Primary"></i>' : ''}${this.escape(c.code)} ${this.escape(c.title)}
+                <button type="button" class="btn-close btn-close-white ms-1" style="font-size: 0.55rem;"
+                        data-remove-id="${c.id}" aria-label="Remove ${this.escape(c.code)}"></button>
+            </span>
+        `).join('');
+        chips.querySelectorAll('[data-remove-id]').forEach(button => {
+            button.addEventListener('click', () => this.remove(textareaId, parseInt(button.dataset.removeId, 10)));
+        });
+    }
+};
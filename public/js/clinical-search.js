@@ -0,0 +1,154 @@
+// Clinical Search Page JavaScript
+let searchTerms = [];
+
+const statusColors = {
+    PENDING: 'warning',
+    ACCEPTED: 'info',
+    IN_PROGRESS: 'primary',
+    COMPLETED: 'success',
+    CANCELLED: 'secondary'
+};
+
+/**
+ * Load clinics into dropdown
+ */
+async function loadClinics() {
+    try {
+        const response = await apiGet('/api/clinics');
+
+        if (response) {
+            const select = document.getElementById('filterClinic');
+
+            response.forEach(clinic => {
+                const option = document.createElement('option');
+                option.value = clinic.id;
+                option.textContent = clinic.name;
+                select.appendChild(option);
+            });
+        }
+    } catch (error) {
+        console.error('Error loading clinics:', error);
+    }
+}
+
+/**
+ * Run the search with the current form values
+ */
+async function searchClinicalRecords() {
+    const query = document.getElementById('searchQuery').value.trim();
+    if (!query) return;
+
+    const params = new URLSearchParams({ q: query });
+    const filters = {
+        from: document.getElementById('searchFrom').value,
+        to: document.getElementById('searchTo').value,
+        status: document.getElementById('filterStatus').value,
+        clinic_id: document.getElementById('filterClinic').value,
+        sources: document.getElementById('filterSource').value
+    };
+    Object.entries(filters).forEach(([key, value]) => {
+        if (value) params.append(key, value);
+    });
+
+    showLoading('searchResults', 'Searching...');
+    document.getElementById('searchSummary').textContent = '';
+
+    try {
+        const data = await apiGet(`/api/search/clinical?${params}`);
+        searchTerms = data.terms;
+        displayResults(data);
+    } catch (error) {
+        console.error('Clinical search error:', error);
+        document.getElementById('searchResults').innerHTML = '';
+        showAlert(error.message || 'Search failed', 'danger');
+    }
+}
+
+/**
+ * Escape text and mark every occurrence of the search terms
+ * @param {string} text - Snippet text
+ * @returns {string} HTML
+ */
+function highlightTerms(text) {
+    if (!text) return '';
+    const pattern = searchTerms
+        .map(term => term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'))
+        .join('|');
+    if (!pattern) return escapeHtml(text);
+
+    return String(text).split(new RegExp(`(${pattern})`, 'gi'))
+        .map((part, index) => index % 2 === 1 ? `<mark>${escapeHtml(part)}</mark>` : escapeHtml(part))
+        .join('');
+}
+
+/**
+ * Display matched cases
+ * @param {Object} data - Search response
+ */
+function displayResults(data) {
+    const container = document.getElementById('searchResults');
+    const summary = document.getElementById('searchSummary');
+
+    summary.textContent = data.total_cases === 0
+        ? ''
+        : `${data.total_cases} case(s) found${data.truncated ? ` - showing the ${data.cases.length} most recent, refine the search to narrow the results` : ''}`;
+
+    if (data.cases.length === 0) {
+        container.innerHTML = `
+            <div class="text-center py-5 text-muted">
+                <i class="bi bi-search" style="font-size: 3rem;" aria-hidden="true"></i>
+                <p class="mt-2">No clinical records match your search</p>
+            </div>
+        `;
+        return;
+    }
+
+    container.innerHTML = data.cases.map(pnCase => `
+        <div class="card mb-3">
+            <div class="card-header d-flex justify-content-between align-items-center flex-wrap">
+                <div>
+                    <a href="/pn/${pnCase.pn_id}" class="fw-bold">${escapeHtml(pnCase.pn_code)}</a>
+                    <span class="badge bg-${statusColors[pnCase.status] || 'secondary'} ms-2">${escapeHtml(pnCase.status)}</span>
+                    <span class="ms-2">${escapeHtml(pnCase.diagnosis)}</span>
+                </div>
+                <div class="small">
+                    <a href="/patient/${pnCase.patient_id}">
+                        <i class="bi bi-person me-1" aria-hidden="true"></i>${escapeHtml(pnCase.first_name)} ${escapeHtml(pnCase.last_name)}
+                    </a>
+                    <span class="text-muted ms-1">HN ${escapeHtml(pnCase.hn)}</span>
+                    ${pnCase.target_clinic_name ? `<span class="text-muted ms-2"><i class="bi bi-building me-1" aria-hidden="true"></i>${escapeHtml(pnCase.target_clinic_name)}</span>` : ''}
+                </div>
+            </div>
+            <ul class="list-group list-group-flush">
+                ${pnCase.matches.map(match => `
+                    <li class="list-group-item">
+                        <div class="d-flex justify-content-between small text-muted mb-1">
+                            <span>
+                                <span class="badge bg-light text-dark border">${escapeHtml(match.source_label)}${match.visit_no ? ` #${match.visit_no}` : ''}</span>
+                                ${match.fields.map(field => escapeHtml(field.replace(/_/g, ' '))).join(', ')}
+                            </span>
+                            <span>${formatDate(match.match_date)}</span>
+                        </div>
+                        <div class="match-snippet">${highlightTerms(match.snippet)}</div>
+                    </li>
+                `).join('')}
+            </ul>
+        </div>
+    `).join('');
+}
+
+// Initialize page
+document.addEventListener('DOMContentLoaded', () => {
+    loadClinics();
+
+    document.getElementById('clinicalSearchForm').addEventListener('submit', (event) => {
+        event.preventDefault();
+        searchClinicalRecords();
+    });
+
+    const query = new URLSearchParams(window.location.search).get('q');
+    if (query) {
+        document.getElementById('searchQuery').value = query;
+        searchClinicalRecords();
+    }
+});
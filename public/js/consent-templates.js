@@ -0,0 +1,175 @@
+// Consent Form Management JavaScript
+
+// Get auth token from cookie
+function getCookie(name) {
+    const value = `; ${document.cookie}`;
+    const parts = value.split(`; ${name}=`);
+    if (parts.length === 2) return parts.pop().split(';').shift();
+}
+
+// Show alert message
+function showAlert(message, type = 'info') {
+    const alertDiv = document.createElement('div');
+    alertDiv.className = `alert alert-${type} alert-dismissible fade show position-fixed top-0 start-50 translate-middle-x mt-3`;
+    alertDiv.style.zIndex = '9999';
+    alertDiv.style.minWidth = '300px';
+    alertDiv.innerHTML = `
+        ${message}
+        <button type="button" class="btn-close" data-bs-dismiss="alert"></button>
+    `;
+    document.body.appendChild(alertDiv);
+
+    setTimeout(() => {
+        alertDiv.remove();
+    }, 5000);
+}
+
+// HTML escaping
+function escapeHtml(unsafe) {
+    if (unsafe === null || unsafe === undefined) return '';
+    return String(unsafe)
+        .replace(/&/g, "&amp;")
+        .replace(/</g, "&lt;")
+        .replace(/>/g, "&gt;")
+        .replace(/"/g, "&quot;")
+        .replace(/'/g, "&#039;");
+}
+
+let allTemplates = [];
+let forms = {};
+let languages = {};
+
+// Initialize on page load
+document.addEventListener('DOMContentLoaded', function() {
+    loadTemplates();
+});
+
+// Load templates (inactive included)
+async function loadTemplates() {
+    try {
+        const response = await fetch('/api/admin/consent-templates', {
+            headers: { 'Authorization': `Bearer ${getCookie('authToken')}` }
+        });
+        if (!response.ok) throw new Error('Failed to load consent forms');
+
+        const data = await response.json();
+        allTemplates = data.templates;
+
+        if (Object.keys(forms).length === 0) {
+            forms = data.forms;
+            languages = data.languages;
+            document.getElementById('filterForm').insertAdjacentHTML('beforeend',
+                Object.entries(forms).map(([code, label]) => `<option value="${code}">${label}</option>`).join(''));
+            document.getElementById('filterLanguage').insertAdjacentHTML('beforeend',
+                Object.entries(languages).map(([code, label]) => `<option value="${code}">${label}</option>`).join(''));
+        }
+
+        renderTemplatesTable();
+    } catch (error) {
+        console.error('Load consent templates error:', error);
+        showAlert('Failed to load consent forms', 'danger');
+    }
+}
+
+// Render templates table with the current filters
+function renderTemplatesTable() {
+    const tbody = document.getElementById('templates-table-body');
+    const filterForm = document.getElementById('filterForm').value;
+    const filterLanguage = document.getElementById('filterLanguage').value;
+
+    const templates = allTemplates.filter(template => {
+        if (filterForm && template.code !== filterForm) return false;
+        if (filterLanguage && template.language !== filterLanguage) return false;
+        return true;
+    });
+
+    if (templates.length === 0) {
+        tbody.innerHTML = '<tr><td colspan="7" class="text-center text-muted py-4">No consent forms found</td></tr>';
+        return;
+    }
+
+    tbody.innerHTML = templates.map(template => `
+        <tr>
+            <td><strong>${escapeHtml(forms[template.code] || template.code)}</strong></td>
+            <td>${escapeHtml(languages[template.language] || template.language)}</td>
+            <td>${escapeHtml(template.title)}</td>
+            <td>
+                v${template.version}
+                ${template.updated_by_name ? `<br><small class="text-muted">${escapeHtml(template.updated_by_name)}</small>` : ''}
+            </td>
+            <td>${template.ask_on_booking ? '<i class="bi bi-check-circle-fill text-success"></i>' : '-'}</td>
+            <td>
+                <span class="badge ${template.active ? 'bg-success' : 'bg-secondary'}">
+                    ${template.active ? 'Active' : 'Inactive'}
+                </span>
+            </td>
+            <td>
+                <button class="btn btn-sm btn-outline-primary" onclick="editTemplate(${template.id})" title="Edit">
+                    <i class="bi bi-pencil"></i>
+                </button>
+            </td>
+        </tr>
+    `).join('');
+}
+
+// Edit template
+function editTemplate(templateId) {
+    const template = allTemplates.find(t => t.id === templateId);
+    if (!template) {
+        showAlert('Consent form not found', 'danger');
+        return;
+    }
+
+    document.getElementById('templateModalTitle').innerHTML =
+        `<i class="bi bi-pencil me-2"></i>${escapeHtml(forms[template.code] || template.code)} (${escapeHtml(languages[template.language] || template.language)})`;
+    document.getElementById('templateId').value = template.id;
+    document.getElementById('templateTitle').value = template.title;
+    document.getElementById('templateBody').value = template.body;
+    document.getElementById('templateBooking').value = template.ask_on_booking ? '1' : '0';
+    document.getElementById('templateActive').value = template.active ? '1' : '0';
+
+    new bootstrap.Modal(document.getElementById('templateModal')).show();
+}
+
+// Save template
+async function saveTemplate() {
+    try {
+        const templateId = document.getElementById('templateId').value;
+        const templateData = {
+            title: document.getElementById('templateTitle').value.trim(),
+            body: document.getElementById('templateBody').value.trim(),
+            ask_on_booking: document.getElementById('templateBooking').value === '1',
+            active: document.getElementById('templateActive').value === '1'
+        };
+
+        if (!templateData.title || !templateData.body) {
+            showAlert('Please enter the title and text', 'warning');
+            return;
+        }
+
+        const response = await fetch(`/api/admin/consent-templates/${templateId}`, {
+            method: 'PUT',
+            headers: {
+                'Authorization': `Bearer ${getCookie('authToken')}`,
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify(templateData)
+        });
+
+        if (!response.ok) {
+            const error = await response.json();
+            throw new Error(error.error || (error.errors && error.errors[0].msg) || 'Failed to save consent form');
+        }
+
+        const result = await response.json();
+        showAlert(`Consent form saved (version ${result.version})`, 'success');
+
+        const modal = bootstrap.Modal.getInstance(document.getElementById('templateModal'));
+        if (modal) modal.hide();
+
+        await loadTemplates();
+    } catch (error) {
+        console.error('Save consent template error:', error);
+        showAlert(error.message, 'danger');
+    }
+}
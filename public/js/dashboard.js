@@ -3,6 +3,9 @@
 let currentPage = 1;
 let currentFilters = {};
 
+// Red-flag screening answered for the case being accepted
+let acceptScreening = null;
+
 // Broadcast channel for instant cross-tab communication
 let dashboardChannel = null;
 
@@ -330,6 +333,8 @@ function displayCases(cases) {
     }
 
     // Display filtered and sorted cases
+    const user = JSON.parse(localStorage.getItem('user'));
+    const canDischarge = user && (user.role === 'ADMIN' || user.role === 'PT');
     tbody.innerHTML = pnCases.map(pnCase => {
         // Check if this is a standalone walk-in (no PN case)
         const isWalkIn = pnCase.record_type === 'WALK_IN';
@@ -380,6 +385,10 @@ function displayCases(cases) {
                         `<button class="btn btn-sm btn-success" onclick="downloadLastReport(${parseInt(pnCase.id)})" title="Download Report">
                             <i class="bi bi-file-pdf"></i>
                         </button>` : ''}
+                    ${pnCase.status === 'COMPLETED' && !isWalkIn && canDischarge ?
+                        `<button class="btn btn-sm btn-outline-success" onclick="showDischargeModal(${parseInt(pnCase.id)})" title="Discharge Summary">
+                            <i class="bi bi-box-arrow-right"></i>
+                        </button>` : ''}
                     ${pnCase.status === 'COMPLETED' && !isWalkIn ?
                         `<button class="btn btn-sm btn-success" onclick="openCertificateModal(${parseInt(pnCase.id)})" title="Create/View PT Certificate">
                             <i class="bi bi-file-earmark-medical"></i>
@@ -591,6 +600,10 @@ async function saveStatus(caseId, currentStatus) {
             const isCL001 = sourceClinic === 'CL001' || targetClinic === 'CL001';
             const isExistingPatient = !sourceClinic && !targetClinic;
 
+            // Every case is screened for red flags before it is accepted
+            acceptScreening = await ScreeningChecklist.collect(caseId);
+            if (!acceptScreening) return;
+
             if (!isCL001 && !isExistingPatient) {
                 // Only show PT assessment for non-CL001 referral cases
                 showPTAssessmentModal(caseId);
@@ -636,6 +649,9 @@ async function saveStatus(caseId, currentStatus) {
 
         // CANCELLED: Ask for reason
         let body = { status: newStatus };
+        if (currentStatus === 'PENDING' && newStatus === 'ACCEPTED') {
+            body.screening = acceptScreening;
+        }
         if (newStatus === 'CANCELLED') {
             const reason = prompt('Please provide cancellation reason:');
             if (!reason) return;
@@ -716,6 +732,8 @@ function showPTAssessmentModal(caseId) {
         document.getElementById('pain_score_value').textContent = e.target.value;
     });
 
+    ClinicalCodePicker.attach('pt_diagnosis');
+
     const modal = new bootstrap.Modal(document.getElementById('ptAssessmentModal'));
     modal.show();
 }
@@ -730,7 +748,9 @@ async function submitPTAssessment(caseId) {
             pt_diagnosis: document.getElementById('pt_diagnosis').value,
             pt_chief_complaint: document.getElementById('pt_chief_complaint').value,
             pt_present_history: document.getElementById('pt_present_history').value,
-            pt_pain_score: parseInt(document.getElementById('pt_pain_score').value)
+            pt_pain_score: parseInt(document.getElementById('pt_pain_score').value),
+            diagnosis_codes: { pt_diagnosis: ClinicalCodePicker.getIds('pt_diagnosis') },
+            screening: acceptScreening
         };
 
         if (!body.pt_diagnosis || !body.pt_chief_complaint || !body.pt_present_history) {
@@ -886,6 +906,11 @@ async function showSOAPModal(caseId) {
                                 </div>
                             </div>
 
+                            <!-- Red-flag screening warning -->
+                            ${caseData.screening && caseData.screening.positive_count > 0 ? `
+                                <div class="mb-4">${ScreeningChecklist.renderSummary(caseData.screening)}</div>
+                            ` : ''}
+
                             <!-- PT Assessment (if available) -->
                             ${(caseData.pt_diagnosis || caseData.pt_chief_complaint || caseData.pt_present_history || caseData.pt_pain_score !== null) ? `
                                 <div class="card mb-4 shadow" style="border-left: 5px solid #2196F3; border-radius: 10px;">
@@ -899,6 +924,7 @@ async function showSOAPModal(caseId) {
                                                     <div class="p-3 rounded" style="background-color: white; border-left: 4px solid #42a5f5;">
                                                         <strong style="color: #1565c0;">PT Diagnosis:</strong>
                                                         <p class="mb-0 mt-2">${caseData.pt_diagnosis}</p>
+                                                        ${caseData.diagnosis_codes ? `<div class="mt-2">${ClinicalCodePicker.renderBadges(caseData.diagnosis_codes.pt_diagnosis)}</div>` : ''}
                                                     </div>
                                                 </div>
                                             ` : ''}
@@ -942,6 +968,19 @@ async function showSOAPModal(caseId) {
                                 </div>
                                 <div class="card-body">
                                     <form id="soapForm">
+                                        <div class="row g-2 align-items-end mb-3 d-none" id="soap_template_picker">
+                                            <div class="col-md-8">
+                                                <label class="form-label mb-1"><strong>SOAP Template</strong> <small class="text-muted">(suggested templates match the diagnosis)</small></label>
+                                                <select class="form-select" id="soap_template_select">
+                                                    <option value="">-- Select a template --</option>
+                                                </select>
+                                            </div>
+                                            <div class="col-md-4">
+                                                <button type="button" class="btn btn-outline-primary w-100" onclick="applySOAPTemplate(${caseId})">
+                                                    <i class="bi bi-magic"></i> Apply Template
+                                                </button>
+                                            </div>
+                                        </div>
                                         <div class="table-responsive">
                                             <table class="table table-bordered">
                                                 <thead class="table-light">
@@ -974,11 +1013,22 @@ async function showSOAPModal(caseId) {
                                                 </tbody>
                                             </table>
                                         </div>
+                                        <div class="mb-3">
+                                            <label class="form-label"><strong>Body Chart</strong> <small class="text-muted">(pain / symptom locations)</small></label>
+                                            <div id="soap_body_chart" class="border rounded p-2"></div>
+                                        </div>
                                         <div class="mb-3">
                                             <label class="form-label"><strong>Additional Notes</strong></label>
                                             <textarea class="form-control" id="soap_notes" rows="3"
                                                 placeholder="Any additional observations or comments..."></textarea>
                                         </div>
+                                        <div class="form-check mb-3">
+                                            <input class="form-check-input" type="checkbox" id="soap_sign" checked>
+                                            <label class="form-check-label" for="soap_sign">
+                                                <strong>Sign and lock this note</strong>
+                                                <small class="text-muted">(later corrections are added as addenda)</small>
+                                            </label>
+                                        </div>
                                         <div class="alert alert-info">
                                             <i class="bi bi-info-circle"></i> Timestamp will be automatically recorded when you complete the case.
                                         </div>
@@ -1008,12 +1058,77 @@ async function showSOAPModal(caseId) {
         const modal = new bootstrap.Modal(document.getElementById('soapModal'));
         modal.show();
 
+        try {
+            await BodyChartManager.initEditor(document.getElementById('soap_body_chart'));
+        } catch (chartError) {
+            console.error('Error loading body chart:', chartError);
+            document.getElementById('soap_body_chart').innerHTML = '<p class="text-muted small mb-0">Body chart unavailable.</p>';
+        }
+
+        await loadSOAPTemplateOptions(caseId);
+
     } catch (error) {
         console.error('Error loading SOAP modal:', error);
         showAlert('Error loading case details', 'danger');
     }
 }
 
+// Fill the template picker; it stays hidden when there are no templates
+async function loadSOAPTemplateOptions(caseId) {
+    try {
+        const response = await fetch(`/api/soap-templates?pn_id=${caseId}`, {
+            headers: { 'Authorization': `Bearer ${getCookie('authToken')}` }
+        });
+        if (!response.ok) return;
+
+        const templates = await response.json();
+        if (templates.length === 0) return;
+
+        document.getElementById('soap_template_select').insertAdjacentHTML('beforeend', templates.map(template => `
+            <option value="${template.id}">${template.suggested ? '★ ' : ''}${escapeHtml(template.name)}${template.category ? ` (${escapeHtml(template.category)})` : ''}</option>
+        `).join(''));
+        document.getElementById('soap_template_picker').classList.remove('d-none');
+    } catch (error) {
+        console.error('Error loading SOAP templates:', error);
+    }
+}
+
+// Prefill the SOAP fields from the selected template, placeholders filled in by the server
+async function applySOAPTemplate(caseId) {
+    const templateId = document.getElementById('soap_template_select').value;
+    if (!templateId) {
+        showAlert('Please select a template', 'warning');
+        return;
+    }
+
+    const fields = ['subjective', 'objective', 'assessment', 'plan', 'notes'];
+    const hasText = fields.some(field => document.getElementById(`soap_${field}`).value.trim());
+    if (hasText && !confirm('Replace the text already entered with this template?')) {
+        return;
+    }
+
+    try {
+        const response = await fetch(`/api/pn/${caseId}/soap-templates/${templateId}/render`, {
+            headers: { 'Authorization': `Bearer ${getCookie('authToken')}` }
+        });
+        if (!response.ok) {
+            const error = await response.json();
+            showAlert(error.error || 'Failed to load template', 'danger');
+            return;
+        }
+
+        const rendered = await response.json();
+        fields.forEach(field => {
+            if (rendered[field]) {
+                document.getElementById(`soap_${field}`).value = rendered[field];
+            }
+        });
+    } catch (error) {
+        console.error('Error applying SOAP template:', error);
+        showAlert('Error applying SOAP template', 'danger');
+    }
+}
+
 // Submit SOAP notes
 async function submitSOAP(caseId) {
     try {
@@ -1026,7 +1141,9 @@ async function submitSOAP(caseId) {
                 objective: document.getElementById('soap_objective').value,
                 assessment: document.getElementById('soap_assessment').value,
                 plan: document.getElementById('soap_plan').value,
-                notes: document.getElementById('soap_notes').value
+                notes: document.getElementById('soap_notes').value,
+                body_chart: BodyChartManager.getMarks(document.getElementById('soap_body_chart')),
+                sign: document.getElementById('soap_sign').checked
             }
         };
 
@@ -1046,9 +1163,13 @@ async function submitSOAP(caseId) {
         });
 
         if (response.ok) {
+            const result = await response.json();
             bootstrap.Modal.getInstance(document.getElementById('soapModal')).hide();
             showAlert('Case completed with SOAP notes', 'success');
             loadCases(currentPage);
+            if (result.discharge_pending) {
+                showDischargeModal(caseId);
+            }
         } else {
             const error = await response.json();
             showAlert(error.error || 'Failed to complete case', 'danger');
@@ -1059,6 +1180,198 @@ async function submitSOAP(caseId) {
     }
 }
 
+// Discharge form for completed cases: final scores, goal outcomes, recommendations, follow-up
+async function showDischargeModal(caseId) {
+    try {
+        const response = await fetch(`/api/pn/${caseId}/discharge`, {
+            headers: { 'Authorization': `Bearer ${getCookie('authToken')}` }
+        });
+        if (!response.ok) {
+            const error = await response.json();
+            showAlert(error.error || 'Failed to load discharge details', 'danger');
+            return;
+        }
+
+        const data = await response.json();
+        const summary = data.summary || {};
+        const goalStatuses = [
+            ['MET', 'Met'], ['PARTIALLY_MET', 'Partially met'], ['NOT_MET', 'Not met'],
+            ['ACTIVE', 'In progress'], ['DISCONTINUED', 'Discontinued']
+        ];
+
+        const measureRows = data.measures.map(measure => `
+            <div class="mb-2 discharge-measure" data-code="${measure.code}" data-items="${measure.items}">
+                <label class="form-label small mb-1">
+                    <strong>${escapeHtml(measure.name)} (${measure.code})</strong>
+                    ${measure.last_score !== null ? `<span class="text-muted">last ${escapeHtml(String(measure.last_score))}${escapeHtml(measure.unit)}</span>` : ''}
+                    <span class="text-muted">- ${measure.items > 1 ? `${measure.items} items, ` : ''}${measure.item_min}-${measure.item_max}</span>
+                </label>
+                <div class="d-flex flex-wrap gap-1">
+                    ${Array.from({ length: measure.items }, () => `
+                        <input type="number" class="form-control form-control-sm" style="width: 64px;"
+                            min="${measure.item_min}" max="${measure.item_max}">
+                    `).join('')}
+                </div>
+            </div>
+        `).join('');
+
+        const goalRows = data.goals.map(goal => `
+            <tr class="discharge-goal" data-goal-id="${goal.id}" data-status="${goal.status}">
+                <td class="small">${escapeHtml(goal.description)}
+                    ${goal.measure_name ? `<br><span class="text-muted">${escapeHtml(goal.measure_name)}: target ${escapeHtml(String(goal.target_value))}${goal.unit ? ` ${escapeHtml(goal.unit)}` : ''}</span>` : ''}
+                </td>
+                <td style="width: 110px;">
+                    <input type="number" step="any" class="form-control form-control-sm" name="value"
+                        placeholder="${goal.current_value !== null ? escapeHtml(String(goal.current_value)) : 'Value'}">
+                </td>
+                <td style="width: 160px;">
+                    <select class="form-select form-select-sm" name="status">
+                        ${goalStatuses.map(([code, label]) => `<option value="${code}" ${goal.status === code ? 'selected' : ''}>${label}</option>`).join('')}
+                    </select>
+                </td>
+            </tr>
+        `).join('');
+
+        const modalHtml = `
+            <div class="modal fade" id="dischargeModal" tabindex="-1">
+                <div class="modal-dialog modal-lg">
+                    <div class="modal-content">
+                        <div class="modal-header" style="background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); color: white;">
+                            <h5 class="modal-title"><i class="bi bi-box-arrow-right"></i> Discharge Summary</h5>
+                            <button type="button" class="btn-close btn-close-white" data-bs-dismiss="modal"></button>
+                        </div>
+                        <div class="modal-body">
+                            ${data.summary ? `
+                                <div class="alert alert-info small">
+                                    <i class="bi bi-info-circle"></i> Saved ${moment(data.summary.updated_at || data.summary.created_at).format('DD/MM/YYYY HH:mm')}.
+                                    Saving again updates the summary and issues a new discharge report.
+                                    ${data.summary.report_id ? `<a href="/api/report/${parseInt(data.summary.report_id)}/download" target="_blank">Download current report</a>` : ''}
+                                </div>
+                            ` : ''}
+                            <div class="mb-3">
+                                <label class="form-label"><strong>Reason for Discharge</strong></label>
+                                <select class="form-select" id="discharge_reason">
+                                    ${data.reasons.map(reason => `<option value="${reason.code}" ${summary.discharge_reason === reason.code ? 'selected' : ''}>${escapeHtml(reason.label)}</option>`).join('')}
+                                </select>
+                            </div>
+
+                            <h6 class="border-bottom pb-1">Final Outcome Scores <small class="text-muted">(leave empty to skip)</small></h6>
+                            ${measureRows}
+
+                            ${data.goals.length > 0 ? `
+                                <h6 class="border-bottom pb-1 mt-3">Goals</h6>
+                                <table class="table table-sm align-middle">
+                                    <thead><tr><th>Goal</th><th>Final value</th><th>Outcome</th></tr></thead>
+                                    <tbody>${goalRows}</tbody>
+                                </table>
+                            ` : ''}
+
+                            <div class="mb-3 mt-3">
+                                <label class="form-label"><strong>Condition at Discharge</strong></label>
+                                <textarea class="form-control" id="discharge_clinical_summary" rows="2">${escapeHtml(summary.clinical_summary)}</textarea>
+                            </div>
+                            <div class="mb-3">
+                                <label class="form-label"><strong>Recommendations</strong> <span class="text-danger">*</span></label>
+                                <textarea class="form-control" id="discharge_recommendations" rows="3"
+                                    placeholder="Activity advice, self-management, return to work/sport...">${escapeHtml(summary.recommendations)}</textarea>
+                            </div>
+                            <div class="row">
+                                <div class="col-md-8 mb-3">
+                                    <label class="form-label"><strong>Follow-up</strong></label>
+                                    <textarea class="form-control" id="discharge_follow_up" rows="2"
+                                        placeholder="e.g. Review in 6 weeks, contact clinic if symptoms return">${escapeHtml(summary.follow_up)}</textarea>
+                                </div>
+                                <div class="col-md-4 mb-3">
+                                    <label class="form-label"><strong>Follow-up Date</strong></label>
+                                    <input type="date" class="form-control" id="discharge_follow_up_date"
+                                        value="${summary.follow_up_date ? moment(summary.follow_up_date).format('YYYY-MM-DD') : ''}">
+                                </div>
+                            </div>
+                        </div>
+                        <div class="modal-footer">
+                            <button type="button" class="btn btn-secondary" data-bs-dismiss="modal">Later</button>
+                            <button type="button" class="btn btn-success" onclick="submitDischarge(${parseInt(caseId)})">
+                                <i class="bi bi-file-pdf"></i> Save &amp; Generate Report
+                            </button>
+                        </div>
+                    </div>
+                </div>
+            </div>
+        `;
+
+        const existing = document.getElementById('dischargeModal');
+        if (existing) existing.remove();
+
+        document.body.insertAdjacentHTML('beforeend', modalHtml);
+        new bootstrap.Modal(document.getElementById('dischargeModal')).show();
+    } catch (error) {
+        console.error('Error loading discharge modal:', error);
+        showAlert('Error loading discharge details', 'danger');
+    }
+}
+
+// Save the discharge summary and open the generated report
+async function submitDischarge(caseId) {
+    const modalElement = document.getElementById('dischargeModal');
+    const recommendations = document.getElementById('discharge_recommendations').value.trim();
+    if (!recommendations) {
+        showAlert('Please enter recommendations', 'warning');
+        return;
+    }
+
+    // Only measures with at least one item filled in are submitted
+    const outcomeMeasures = [];
+    modalElement.querySelectorAll('.discharge-measure').forEach(row => {
+        const responses = Array.from(row.querySelectorAll('input')).map(input => input.value === '' ? null : Number(input.value));
+        if (responses.some(value => value !== null)) {
+            outcomeMeasures.push({ measure_code: row.dataset.code, responses });
+        }
+    });
+
+    // An unchanged status is left out so a final score that reaches the target can still mark the goal met
+    const goals = Array.from(modalElement.querySelectorAll('.discharge-goal')).map(row => {
+        const status = row.querySelector('[name="status"]').value;
+        return {
+            id: parseInt(row.dataset.goalId),
+            value: row.querySelector('[name="value"]').value,
+            status: status !== row.dataset.status ? status : ''
+        };
+    });
+
+    try {
+        const response = await fetch(`/api/pn/${caseId}/discharge`, {
+            method: 'POST',
+            headers: {
+                'Authorization': `Bearer ${getCookie('authToken')}`,
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({
+                discharge_reason: document.getElementById('discharge_reason').value,
+                clinical_summary: document.getElementById('discharge_clinical_summary').value,
+                recommendations,
+                follow_up: document.getElementById('discharge_follow_up').value,
+                follow_up_date: document.getElementById('discharge_follow_up_date').value,
+                outcome_measures: outcomeMeasures,
+                goals
+            })
+        });
+
+        const result = await response.json();
+        if (!response.ok) {
+            showAlert(result.error || (result.errors && result.errors[0].msg) || 'Failed to save discharge summary', 'danger');
+            return;
+        }
+
+        bootstrap.Modal.getInstance(modalElement).hide();
+        showAlert('Discharge summary saved', 'success');
+        window.open(result.download_url, '_blank');
+        loadCases(currentPage);
+    } catch (error) {
+        console.error('Error saving discharge summary:', error);
+        showAlert('Error saving discharge summary', 'danger');
+    }
+}
+
 // Reverse status (ADMIN only)
 async function reverseStatus(caseId) {
     try {
@@ -1340,6 +1653,7 @@ async function openCertificateModal(pnId) {
 function displayCertificatesList(certificates) {
     const listDiv = document.getElementById('certificatesList');
     const isAdmin = loggedInUser && loggedInUser.role === 'ADMIN';
+    const canSign = loggedInUser && ['ADMIN', 'PT'].includes(loggedInUser.role);
 
     listDiv.innerHTML = certificates.map(cert => {
         const certData = JSON.parse(cert.certificate_data || '{}');
@@ -1357,8 +1671,18 @@ function displayCertificatesList(certificates) {
                             <small class="text-muted">
                                 Created: ${createdDate} by ${escapeHtml(cert.created_by_name)}
                             </small>
+                            ${cert.signed_at ? `
+                                <span class="badge bg-success ms-1" title="Signed ${new Date(cert.signed_at).toLocaleString('en-GB')}">
+                                    <i class="bi bi-pen"></i> Signed by ${escapeHtml(cert.signed_by_name)}
+                                </span>
+                            ` : '<span class="badge bg-warning text-dark ms-1">Unsigned</span>'}
                         </div>
                         <div>
+                            ${!cert.signed_at && canSign ? `
+                                <button class="btn btn-sm btn-success" onclick="signCertificate(${cert.id})" title="Sign with your registered signature">
+                                    <i class="bi bi-pen"></i> Sign
+                                </button>
+                            ` : ''}
                             <button class="btn btn-sm btn-primary" onclick="window.open('/documents/render/pt_cert/${cert.id}', '_blank')" title="View/Print">
                                 <i class="bi bi-printer"></i> Print
                             </button>
@@ -1431,7 +1755,11 @@ async function createCertificate() {
 
         if (response.ok) {
             const result = await response.json();
-            showAlert('Certificate created successfully!', 'success');
+            if (result.signed) {
+                showAlert('Certificate created and signed successfully!', 'success');
+            } else {
+                showAlert('Certificate created without a signature. Register your signature on the profile page to sign certificates electronically.', 'warning');
+            }
 
             // Close modal and open print view
             bootstrap.Modal.getInstance(document.getElementById('certificateModal')).hide();
@@ -1483,7 +1811,7 @@ async function saveCertificate() {
         });
 
         if (response.ok) {
-            showAlert('Certificate updated successfully!', 'success');
+            showAlert('Certificate updated successfully! It has to be signed again.', 'success');
 
             // Close modal and reload
             bootstrap.Modal.getInstance(document.getElementById('certificateModal')).hide();
@@ -1498,4 +1826,25 @@ async function saveCertificate() {
         console.error('Error updating certificate:', error);
         showAlert('Error updating certificate', 'danger');
     }
-}
\ No newline at end of file
+}
+
+// Sign a certificate with the current user's registered signature
+async function signCertificate(certId) {
+    try {
+        const response = await fetch(`/api/certificates/${certId}/sign`, {
+            method: 'POST',
+            headers: { 'Authorization': `Bearer ${getCookie('authToken')}` }
+        });
+
+        if (!response.ok) {
+            const error = await response.json();
+            throw new Error(error.error || 'Failed to sign certificate');
+        }
+
+        showAlert('Certificate signed', 'success');
+        openCertificateModal(currentCertificatePnId);
+    } catch (error) {
+        console.error('Error signing certificate:', error);
+        showAlert(error.message, 'danger');
+    }
+}
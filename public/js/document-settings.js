@@ -28,6 +28,12 @@ const DocumentSettings = {
             doctorName: 'Dr. Name',
             license: 'XXXXX',
             logo: null
+        },
+        referral: {
+            opening: '',
+            closing: '',
+            emailSubject: '',
+            emailBody: ''
         }
     },
 
@@ -72,6 +78,12 @@ const DocumentSettings = {
         document.getElementById('cert-border-color').value = this.settings.certificate.borderColor || '#667eea';
         document.getElementById('cert-doctor-name').value = this.settings.certificate.doctorName || '';
         document.getElementById('cert-license').value = this.settings.certificate.license || '';
+
+        // Referral letter wording
+        document.getElementById('referral-opening').value = this.settings.referral.opening || '';
+        document.getElementById('referral-closing').value = this.settings.referral.closing || '';
+        document.getElementById('referral-email-subject').value = this.settings.referral.emailSubject || '';
+        document.getElementById('referral-email-body').value = this.settings.referral.emailBody || '';
     },
 
     setupEventListeners() {
@@ -110,6 +122,12 @@ const DocumentSettings = {
                 borderColor: document.getElementById('cert-border-color').value,
                 doctorName: document.getElementById('cert-doctor-name').value,
                 license: document.getElementById('cert-license').value
+            },
+            referral: {
+                opening: document.getElementById('referral-opening').value,
+                closing: document.getElementById('referral-closing').value,
+                emailSubject: document.getElementById('referral-email-subject').value,
+                emailBody: document.getElementById('referral-email-body').value
             }
         };
 
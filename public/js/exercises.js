@@ -0,0 +1,246 @@
+// Exercise Library Management JavaScript
+
+// Get auth token from cookie
+function getCookie(name) {
+    const value = `; ${document.cookie}`;
+    const parts = value.split(`; ${name}=`);
+    if (parts.length === 2) return parts.pop().split(';').shift();
+}
+
+// Show alert message
+function showAlert(message, type = 'info') {
+    const alertDiv = document.createElement('div');
+    alertDiv.className = `alert alert-${type} alert-dismissible fade show position-fixed top-0 start-50 translate-middle-x mt-3`;
+    alertDiv.style.zIndex = '9999';
+    alertDiv.style.minWidth = '300px';
+    alertDiv.innerHTML = `
+        ${message}
+        <button type="button" class="btn-close" data-bs-dismiss="alert"></button>
+    `;
+    document.body.appendChild(alertDiv);
+
+    setTimeout(() => {
+        alertDiv.remove();
+    }, 5000);
+}
+
+// HTML escaping
+function escapeHtml(unsafe) {
+    if (unsafe === null || unsafe === undefined) return '';
+    return String(unsafe)
+        .replace(/&/g, "&amp;")
+        .replace(/</g, "&lt;")
+        .replace(/>/g, "&gt;")
+        .replace(/"/g, "&quot;")
+        .replace(/'/g, "&#039;");
+}
+
+let allExercises = [];
+let bodyRegions = [];
+
+// Initialize on page load
+document.addEventListener('DOMContentLoaded', async function() {
+    await loadBodyRegions();
+    loadExercises();
+});
+
+async function loadBodyRegions() {
+    try {
+        const response = await fetch('/api/exercises/body-regions', {
+            headers: { 'Authorization': `Bearer ${getCookie('authToken')}` }
+        });
+        if (!response.ok) throw new Error('Failed to load body regions');
+
+        bodyRegions = await response.json();
+        const options = bodyRegions.map(region => `<option value="${region.code}">${region.label}</option>`).join('');
+        document.getElementById('filterRegion').insertAdjacentHTML('beforeend', options);
+        document.getElementById('exerciseRegion').innerHTML = options;
+    } catch (error) {
+        console.error('Load body regions error:', error);
+        showAlert('Failed to load body regions', 'danger');
+    }
+}
+
+// Load exercises (inactive included; the status filter hides them)
+async function loadExercises() {
+    try {
+        const response = await fetch('/api/exercises?include_inactive=1', {
+            headers: { 'Authorization': `Bearer ${getCookie('authToken')}` }
+        });
+        if (!response.ok) throw new Error('Failed to load exercises');
+
+        allExercises = await response.json();
+        renderExercisesTable();
+    } catch (error) {
+        console.error('Load exercises error:', error);
+        showAlert('Failed to load exercises', 'danger');
+    }
+}
+
+function regionLabel(code) {
+    const region = bodyRegions.find(r => r.code === code);
+    return region ? region.label : code;
+}
+
+function formatDosage(exercise) {
+    const parts = [];
+    if (exercise.default_sets) parts.push(`${exercise.default_sets} sets`);
+    if (exercise.default_reps) parts.push(`${exercise.default_reps} reps`);
+    if (exercise.default_hold_seconds) parts.push(`hold ${exercise.default_hold_seconds} s`);
+    if (exercise.default_frequency) parts.push(escapeHtml(exercise.default_frequency));
+    return parts.join(', ') || '-';
+}
+
+// Render exercises table with the current filters
+function renderExercisesTable() {
+    const tbody = document.getElementById('exercises-table-body');
+    const filterRegion = document.getElementById('filterRegion').value;
+    const filterStatus = document.getElementById('filterStatus').value;
+    const search = document.getElementById('searchExercise').value.toLowerCase();
+
+    const exercises = allExercises.filter(exercise => {
+        if (filterRegion && exercise.body_region !== filterRegion) return false;
+        if (filterStatus !== '' && exercise.active != filterStatus) return false;
+        if (search && !exercise.name.toLowerCase().includes(search)) return false;
+        return true;
+    });
+
+    if (exercises.length === 0) {
+        tbody.innerHTML = '<tr><td colspan="6" class="text-center text-muted py-4">No exercises found</td></tr>';
+        return;
+    }
+
+    tbody.innerHTML = exercises.map(exercise => `
+        <tr>
+            <td>${exercise.image_url ? `<img src="${escapeHtml(exercise.image_url)}" alt="" style="width: 64px; height: 48px; object-fit: cover; border-radius: 6px;">` : '<i class="bi bi-image text-muted"></i>'}</td>
+            <td><strong>${escapeHtml(exercise.name)}</strong></td>
+            <td><span class="badge bg-info">${escapeHtml(regionLabel(exercise.body_region))}</span></td>
+            <td><small>${formatDosage(exercise)}</small></td>
+            <td>
+                <span class="badge ${exercise.active ? 'bg-success' : 'bg-secondary'}">
+                    ${exercise.active ? 'Active' : 'Inactive'}
+                </span>
+            </td>
+            <td>
+                <button class="btn btn-sm btn-outline-primary" onclick="editExercise(${exercise.id})" title="Edit">
+                    <i class="bi bi-pencil"></i>
+                </button>
+                ${exercise.active ? `
+                    <button class="btn btn-sm btn-outline-warning" onclick="deactivateExercise(${exercise.id})" title="Deactivate">
+                        <i class="bi bi-eye-slash"></i>
+                    </button>
+                ` : ''}
+            </td>
+        </tr>
+    `).join('');
+}
+
+// Show create exercise modal
+function showCreateExerciseModal() {
+    document.getElementById('exerciseModalTitle').innerHTML = '<i class="bi bi-plus-circle me-2"></i>New Exercise';
+    document.getElementById('exerciseForm').reset();
+    document.getElementById('exerciseId').value = '';
+    document.getElementById('exerciseActive').value = '1';
+    document.getElementById('exerciseImageCurrent').textContent = '';
+
+    new bootstrap.Modal(document.getElementById('exerciseModal')).show();
+}
+
+// Edit exercise
+function editExercise(exerciseId) {
+    const exercise = allExercises.find(e => e.id === exerciseId);
+    if (!exercise) {
+        showAlert('Exercise not found', 'danger');
+        return;
+    }
+
+    document.getElementById('exerciseForm').reset();
+    document.getElementById('exerciseModalTitle').innerHTML = '<i class="bi bi-pencil me-2"></i>Edit Exercise';
+    document.getElementById('exerciseId').value = exercise.id;
+    document.getElementById('exerciseName').value = exercise.name;
+    document.getElementById('exerciseRegion').value = exercise.body_region;
+    document.getElementById('exerciseInstructions').value = exercise.instructions;
+    document.getElementById('exerciseSets').value = exercise.default_sets || '';
+    document.getElementById('exerciseReps').value = exercise.default_reps || '';
+    document.getElementById('exerciseHold').value = exercise.default_hold_seconds || '';
+    document.getElementById('exerciseFrequency').value = exercise.default_frequency || '';
+    document.getElementById('exerciseActive').value = exercise.active ? '1' : '0';
+    document.getElementById('exerciseImageCurrent').textContent = exercise.image_url ? 'Leave empty to keep the current image.' : '';
+
+    new bootstrap.Modal(document.getElementById('exerciseModal')).show();
+}
+
+// Save exercise (create or update); sent as multipart so an image can be attached
+async function saveExercise() {
+    try {
+        const exerciseId = document.getElementById('exerciseId').value;
+        const name = document.getElementById('exerciseName').value.trim();
+        const instructions = document.getElementById('exerciseInstructions').value.trim();
+
+        if (!name || !instructions) {
+            showAlert('Please fill in all required fields', 'warning');
+            return;
+        }
+
+        const formData = new FormData();
+        formData.append('name', name);
+        formData.append('body_region', document.getElementById('exerciseRegion').value);
+        formData.append('instructions', instructions);
+        formData.append('default_sets', document.getElementById('exerciseSets').value);
+        formData.append('default_reps', document.getElementById('exerciseReps').value);
+        formData.append('default_hold_seconds', document.getElementById('exerciseHold').value);
+        formData.append('default_frequency', document.getElementById('exerciseFrequency').value.trim());
+        formData.append('active', document.getElementById('exerciseActive').value === '1' ? 'true' : 'false');
+
+        const image = document.getElementById('exerciseImage').files[0];
+        if (image) {
+            formData.append('image', image);
+        }
+
+        const response = await fetch(exerciseId ? `/api/exercises/${exerciseId}` : '/api/exercises', {
+            method: exerciseId ? 'PUT' : 'POST',
+            headers: { 'Authorization': `Bearer ${getCookie('authToken')}` },
+            body: formData
+        });
+
+        if (!response.ok) {
+            const error = await response.json();
+            throw new Error(error.error || (error.errors && error.errors[0].msg) || 'Failed to save exercise');
+        }
+
+        showAlert(`Exercise ${exerciseId ? 'updated' : 'created'} successfully!`, 'success');
+
+        const modal = bootstrap.Modal.getInstance(document.getElementById('exerciseModal'));
+        if (modal) modal.hide();
+
+        await loadExercises();
+    } catch (error) {
+        console.error('Save exercise error:', error);
+        showAlert(error.message, 'danger');
+    }
+}
+
+// Deactivate exercise; programs that already use it keep showing it
+async function deactivateExercise(exerciseId) {
+    if (!confirm('Deactivate this exercise? It will no longer be offered for new programs.')) {
+        return;
+    }
+
+    try {
+        const response = await fetch(`/api/exercises/${exerciseId}`, {
+            method: 'DELETE',
+            headers: { 'Authorization': `Bearer ${getCookie('authToken')}` }
+        });
+
+        if (!response.ok) {
+            const error = await response.json();
+            throw new Error(error.error || 'Failed to deactivate exercise');
+        }
+
+        showAlert('Exercise deactivated', 'success');
+        await loadExercises();
+    } catch (error) {
+        console.error('Deactivate exercise error:', error);
+        showAlert(error.message, 'danger');
+    }
+}
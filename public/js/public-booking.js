@@ -12,6 +12,7 @@ let selectedPackage = null;
 let bookingCalendarData = {}; // Stores booking counts per date
 let allTimeSlots = []; // Store all time slots for availability checking
 let availableConsecutiveMinutes = 0; // Available time for selected slot
+let clinicPackages = []; // Packages configured by the clinic, if any
 
 // Package recommendations based on pain zones
 const packageRecommendations = {
@@ -60,6 +61,7 @@ const packageRecommendations = {
 // Initialize on page load
 document.addEventListener('DOMContentLoaded', async () => {
     await loadBookingCalendar(); // Load booking data first
+    await loadClinicPackages();
     initializeDatePicker();
     loadMyBookings();
     setupEventListeners();
@@ -115,6 +117,11 @@ function initializeDatePicker() {
             function(date) {
                 // Disable Sundays (0)
                 return (date.getDay() === 0);
+            },
+            function(date) {
+                // Disable holidays and closures
+                const dayData = bookingCalendarData[moment(date).format('YYYY-MM-DD')];
+                return Boolean(dayData && dayData.closed);
             }
         ],
         onChange: onDateChange,
@@ -122,6 +129,12 @@ function initializeDatePicker() {
             // Get the date for this day element
             const dateStr = moment(dayElem.dateObj).format('YYYY-MM-DD');
 
+            if (bookingCalendarData[dateStr] && bookingCalendarData[dateStr].closed) {
+                const closures = bookingCalendarData[dateStr].closures;
+                dayElem.title = closures.length > 0 ? `Closed: ${closures.join(', ')}` : 'Closed';
+                return;
+            }
+
             // Check if there are bookings on this date
             if (bookingCalendarData[dateStr]) {
                 const bookingInfo = bookingCalendarData[dateStr];
@@ -264,16 +277,55 @@ function selectPainZone(card) {
     loadRecommendedPackages(zone);
 }
 
+// Load the clinic's own packages; the built-in recommendations are used when there are none
+async function loadClinicPackages() {
+    try {
+        const response = await fetch('/api/public/packages');
+        if (response.ok) {
+            clinicPackages = await response.json();
+        }
+    } catch (error) {
+        console.error('Error loading packages:', error);
+    }
+}
+
+// Packages for a pain zone, in the shape of packageRecommendations
+function getZonePackages(zone) {
+    const defaults = packageRecommendations[zone] || packageRecommendations['other'];
+    if (clinicPackages.length === 0) {
+        return defaults;
+    }
+
+    // Packages without pain zones suit every zone
+    return clinicPackages
+        .filter(pkg => !pkg.pain_zones || pkg.pain_zones.split(',').map(z => z.trim()).includes(zone))
+        .map(pkg => ({
+            id: pkg.id,
+            packageId: pkg.id,
+            name: pkg.package_name,
+            description: pkg.description || '',
+            duration: `${pkg.duration_minutes} min`,
+            durationMinutes: pkg.duration_minutes,
+            bufferMinutes: pkg.buffer_minutes,
+            icon: defaults[0].icon
+        }));
+}
+
+// A package needs its length plus the cleanup buffer free from the selected slot
+function packageFits(pkg) {
+    return pkg.durationMinutes + (pkg.bufferMinutes || 0) <= availableConsecutiveMinutes;
+}
+
 // Load recommended packages based on pain zone
 function loadRecommendedPackages(zone) {
     const container = document.getElementById('packages-container');
     const list = document.getElementById('packages-list');
 
-    const packages = packageRecommendations[zone] || packageRecommendations['other'];
+    const packages = getZonePackages(zone);
 
     // Filter packages based on available consecutive time
-    const availablePackages = packages.filter(pkg => pkg.durationMinutes <= availableConsecutiveMinutes);
-    const unavailablePackages = packages.filter(pkg => pkg.durationMinutes > availableConsecutiveMinutes);
+    const availablePackages = packages.filter(pkg => packageFits(pkg));
+    const unavailablePackages = packages.filter(pkg => !packageFits(pkg));
 
     console.log(`Available time: ${availableConsecutiveMinutes} min`);
     console.log(`Available packages:`, availablePackages.map(p => p.duration));
@@ -298,14 +350,14 @@ function loadRecommendedPackages(zone) {
         // Available packages
         ...availablePackages.map(pkg => `
             <div class="col-12">
-                <div class="package-card" data-package='${JSON.stringify(pkg)}' onclick="selectPackage(this)">
+                <div class="package-card" data-package="${escapeHtml(JSON.stringify(pkg))}" onclick="selectPackage(this)">
                     <div class="row align-items-center">
                         <div class="col-auto">
                             <div class="package-icon">${pkg.icon}</div>
                         </div>
                         <div class="col">
-                            <h5 class="mb-1">${pkg.name}</h5>
-                            <p class="mb-1 text-muted">${pkg.description}</p>
+                            <h5 class="mb-1">${escapeHtml(pkg.name)}</h5>
+                            <p class="mb-1 text-muted">${escapeHtml(pkg.description)}</p>
                             <small class="text-muted"><i class="bi bi-clock"></i> ${pkg.duration}</small>
                         </div>
                         <div class="col-auto">
@@ -324,8 +376,8 @@ function loadRecommendedPackages(zone) {
                             <div class="package-icon">${pkg.icon}</div>
                         </div>
                         <div class="col">
-                            <h5 class="mb-1">${pkg.name}</h5>
-                            <p class="mb-1 text-muted">${pkg.description}</p>
+                            <h5 class="mb-1">${escapeHtml(pkg.name)}</h5>
+                            <p class="mb-1 text-muted">${escapeHtml(pkg.description)}</p>
                             <small class="text-muted"><i class="bi bi-clock"></i> ${pkg.duration}</small>
                             <br>
                             <small class="text-danger"><i class="bi bi-x-circle"></i> Not enough time - next slots booked</small>
@@ -352,7 +404,7 @@ function selectPackage(card) {
     const pkg = JSON.parse(card.dataset.package);
 
     // Validate package duration fits in available time
-    if (pkg.durationMinutes > availableConsecutiveMinutes) {
+    if (!packageFits(pkg)) {
         showAlert(`Cannot select ${pkg.duration} service. Only ${availableConsecutiveMinutes} minutes available. Next time slots are booked.`, 'warning');
         return;
     }
@@ -473,7 +525,7 @@ async function handleBookingSubmit(e) {
     }
 
     // Final validation: ensure package duration fits in available time
-    if (selectedPackage.durationMinutes > availableConsecutiveMinutes) {
+    if (!packageFits(selectedPackage)) {
         showAlert(`Cannot book ${selectedPackage.duration} service. Only ${availableConsecutiveMinutes} minutes available. Next time slots are booked. Please select a different time slot.`, 'danger');
         return;
     }
@@ -495,7 +547,9 @@ async function handleBookingSubmit(e) {
             end_time: calculatedEndTime,
             reason: reason || `${selectedPainZone} - ${selectedPackage.name}`,
             appointment_type: selectedPackage.id,
-            booking_type: 'WALK_IN'
+            package_id: selectedPackage.packageId || null,
+            booking_type: 'WALK_IN',
+            consent_language: document.getElementById('consent-language').value
         };
 
         const response = await fetch('/api/public/book-appointment', {
@@ -509,7 +563,9 @@ async function handleBookingSubmit(e) {
         const result = await response.json();
 
         if (response.ok) {
-            showAlert('Appointment booked successfully!', 'success');
+            showAlert('Appointment booked successfully!' + (result.consent_url
+                ? ` <a href="${escapeHtml(result.consent_url)}" target="_blank" class="alert-link">Sign your consent forms now</a>`
+                : ''), 'success');
 
             // Reset form and state
             document.getElementById('booking-form').reset();
@@ -579,6 +635,11 @@ function displayMyBookings(bookings) {
                         <span class="badge bg-${getStatusColor(booking.status)}">${booking.status}</span>
                     </div>
                     <div class="col-md-4 text-end">
+                        ${booking.consent_url ? `
+                            <a class="btn btn-sm btn-primary mb-1" href="${escapeHtml(booking.consent_url)}" target="_blank">
+                                <i class="bi bi-pen"></i> Sign Consent Forms
+                            </a>
+                        ` : ''}
                         ${booking.status === 'SCHEDULED' || booking.status === 'CONFIRMED' ? `
                             <button class="btn btn-sm btn-danger" onclick="cancelBooking(${booking.id})">
                                 <i class="bi bi-x-circle"></i> Cancel
@@ -0,0 +1,211 @@
+// Screening Checklist Management JavaScript
+
+// Get auth token from cookie
+function getCookie(name) {
+    const value = `; ${document.cookie}`;
+    const parts = value.split(`; ${name}=`);
+    if (parts.length === 2) return parts.pop().split(';').shift();
+}
+
+// Show alert message
+function showAlert(message, type = 'info') {
+    const alertDiv = document.createElement('div');
+    alertDiv.className = `alert alert-${type} alert-dismissible fade show position-fixed top-0 start-50 translate-middle-x mt-3`;
+    alertDiv.style.zIndex = '9999';
+    alertDiv.style.minWidth = '300px';
+    alertDiv.innerHTML = `
+        ${message}
+        <button type="button" class="btn-close" data-bs-dismiss="alert"></button>
+    `;
+    document.body.appendChild(alertDiv);
+
+    setTimeout(() => {
+        alertDiv.remove();
+    }, 5000);
+}
+
+// HTML escaping
+function escapeHtml(unsafe) {
+    if (unsafe === null || unsafe === undefined) return '';
+    return String(unsafe)
+        .replace(/&/g, "&amp;")
+        .replace(/</g, "&lt;")
+        .replace(/>/g, "&gt;")
+        .replace(/"/g, "&quot;")
+        .replace(/'/g, "&#039;");
+}
+
+const SEVERITY_BADGES = { RED_FLAG: 'bg-danger', CONTRAINDICATION: 'bg-warning text-dark', PRECAUTION: 'bg-info' };
+
+let allQuestions = [];
+let severities = {};
+
+// Initialize on page load
+document.addEventListener('DOMContentLoaded', function() {
+    loadQuestions();
+});
+
+// Load questions (inactive included; the status filter hides them)
+async function loadQuestions() {
+    try {
+        const response = await fetch('/api/admin/screening-questions', {
+            headers: { 'Authorization': `Bearer ${getCookie('authToken')}` }
+        });
+        if (!response.ok) throw new Error('Failed to load questions');
+
+        const data = await response.json();
+        allQuestions = data.questions;
+
+        if (Object.keys(severities).length === 0) {
+            severities = data.severities;
+            const options = Object.entries(severities).map(([code, label]) => `<option value="${code}">${label}</option>`).join('');
+            document.getElementById('filterSeverity').insertAdjacentHTML('beforeend', options);
+            document.getElementById('questionSeverity').innerHTML = options;
+        }
+
+        renderQuestionsTable();
+    } catch (error) {
+        console.error('Load screening questions error:', error);
+        showAlert('Failed to load screening questions', 'danger');
+    }
+}
+
+// Render questions table with the current filters
+function renderQuestionsTable() {
+    const tbody = document.getElementById('questions-table-body');
+    const filterSeverity = document.getElementById('filterSeverity').value;
+    const filterStatus = document.getElementById('filterStatus').value;
+
+    const questions = allQuestions.filter(question => {
+        if (filterSeverity && question.severity !== filterSeverity) return false;
+        if (filterStatus !== '' && question.active != filterStatus) return false;
+        return true;
+    });
+
+    if (questions.length === 0) {
+        tbody.innerHTML = '<tr><td colspan="6" class="text-center text-muted py-4">No questions found</td></tr>';
+        return;
+    }
+
+    tbody.innerHTML = questions.map(question => `
+        <tr>
+            <td>${question.sort_order}</td>
+            <td><strong>${escapeHtml(question.question)}</strong></td>
+            <td><span class="badge ${SEVERITY_BADGES[question.severity] || 'bg-secondary'}">${escapeHtml(severities[question.severity] || question.severity)}</span></td>
+            <td><small>${escapeHtml(question.guidance) || '-'}</small></td>
+            <td>
+                <span class="badge ${question.active ? 'bg-success' : 'bg-secondary'}">
+                    ${question.active ? 'Active' : 'Inactive'}
+                </span>
+            </td>
+            <td>
+                <button class="btn btn-sm btn-outline-primary" onclick="editQuestion(${question.id})" title="Edit">
+                    <i class="bi bi-pencil"></i>
+                </button>
+                <button class="btn btn-sm btn-outline-danger" onclick="deleteQuestion(${question.id})" title="Delete">
+                    <i class="bi bi-trash"></i>
+                </button>
+            </td>
+        </tr>
+    `).join('');
+}
+
+// Show create question modal
+function showCreateQuestionModal() {
+    document.getElementById('questionModalTitle').innerHTML = '<i class="bi bi-plus-circle me-2"></i>New Question';
+    document.getElementById('questionForm').reset();
+    document.getElementById('questionId').value = '';
+    document.getElementById('questionActive').value = '1';
+    const lastOrder = allQuestions.reduce((max, q) => Math.max(max, q.sort_order), 0);
+    document.getElementById('questionOrder').value = lastOrder + 10;
+
+    new bootstrap.Modal(document.getElementById('questionModal')).show();
+}
+
+// Edit question
+function editQuestion(questionId) {
+    const question = allQuestions.find(q => q.id === questionId);
+    if (!question) {
+        showAlert('Question not found', 'danger');
+        return;
+    }
+
+    document.getElementById('questionModalTitle').innerHTML = '<i class="bi bi-pencil me-2"></i>Edit Question';
+    document.getElementById('questionId').value = question.id;
+    document.getElementById('questionText').value = question.question;
+    document.getElementById('questionGuidance').value = question.guidance || '';
+    document.getElementById('questionSeverity').value = question.severity;
+    document.getElementById('questionOrder').value = question.sort_order;
+    document.getElementById('questionActive').value = question.active ? '1' : '0';
+
+    new bootstrap.Modal(document.getElementById('questionModal')).show();
+}
+
+// Save question (create or update)
+async function saveQuestion() {
+    try {
+        const questionId = document.getElementById('questionId').value;
+        const order = document.getElementById('questionOrder').value;
+        const questionData = {
+            question: document.getElementById('questionText').value.trim(),
+            guidance: document.getElementById('questionGuidance').value.trim(),
+            severity: document.getElementById('questionSeverity').value,
+            sort_order: order === '' ? null : parseInt(order, 10),
+            active: document.getElementById('questionActive').value === '1'
+        };
+
+        if (!questionData.question) {
+            showAlert('Please enter the question', 'warning');
+            return;
+        }
+
+        const response = await fetch(questionId ? `/api/admin/screening-questions/${questionId}` : '/api/admin/screening-questions', {
+            method: questionId ? 'PUT' : 'POST',
+            headers: {
+                'Authorization': `Bearer ${getCookie('authToken')}`,
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify(questionData)
+        });
+
+        if (!response.ok) {
+            const error = await response.json();
+            throw new Error(error.error || (error.errors && error.errors[0].msg) || 'Failed to save question');
+        }
+
+        showAlert(`Question ${questionId ? 'updated' : 'created'} successfully!`, 'success');
+
+        const modal = bootstrap.Modal.getInstance(document.getElementById('questionModal'));
+        if (modal) modal.hide();
+
+        await loadQuestions();
+    } catch (error) {
+        console.error('Save screening question error:', error);
+        showAlert(error.message, 'danger');
+    }
+}
+
+// Delete question
+async function deleteQuestion(questionId) {
+    if (!confirm('Delete this question? Screenings already completed keep their answers.')) {
+        return;
+    }
+
+    try {
+        const response = await fetch(`/api/admin/screening-questions/${questionId}`, {
+            method: 'DELETE',
+            headers: { 'Authorization': `Bearer ${getCookie('authToken')}` }
+        });
+
+        if (!response.ok) {
+            const error = await response.json();
+            throw new Error(error.error || 'Failed to delete question');
+        }
+
+        showAlert('Question deleted', 'success');
+        await loadQuestions();
+    } catch (error) {
+        console.error('Delete screening question error:', error);
+        showAlert(error.message, 'danger');
+    }
+}
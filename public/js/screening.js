@@ -0,0 +1,222 @@
+// Red-flag screening form - RehabPlus
+// Checklist answered before a PN case is accepted. collect() shows the form and
+// resolves with the `screening` body for the API, or null when cancelled.
+// Answers from the latest screening on file are filled in.
+
+const ScreeningChecklist = {
+    badges: { RED_FLAG: 'bg-danger', CONTRAINDICATION: 'bg-warning text-dark', PRECAUTION: 'bg-info' },
+    severities: {},
+
+    escape(text) {
+        if (text === null || text === undefined) return '';
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#039;');
+    },
+
+    async fetchJSON(url) {
+        const response = await fetch(url, {
+            headers: { 'Authorization': `Bearer ${getCookie('authToken')}` }
+        });
+        if (!response.ok) {
+            throw new Error('Failed to load screening');
+        }
+        return response.json();
+    },
+
+    severityBadge(severity) {
+        return `<span class="badge ${this.badges[severity] || 'bg-secondary'}">${this.escape(this.severities[severity] || severity)}</span>`;
+    },
+
+    async collect(pnId) {
+        let data;
+        let previous;
+        try {
+            [data, previous] = await Promise.all([
+                this.fetchJSON('/api/screening-questions'),
+                this.fetchJSON(`/api/pn/${pnId}/screening`)
+            ]);
+        } catch (error) {
+            console.error('Load screening error:', error);
+            alert('Failed to load the screening checklist');
+            return null;
+        }
+
+        this.severities = data.severities;
+        const earlier = {};
+        if (previous.length > 0) {
+            previous[0].answers.forEach(a => { earlier[a.question_id] = a; });
+        }
+
+        const rows = data.questions.map(q => {
+            const before = earlier[q.id];
+            const yes = before && before.answer === true;
+            const no = before && before.answer === false;
+            return `
+                <li class="list-group-item" data-question-id="${q.id}">
+                    <div class="d-flex justify-content-between align-items-start gap-3">
+                        <div>
+                            <div>${this.severityBadge(q.severity)} ${this.escape(q.question)}</div>
+                            ${q.guidance ? `<small class="text-muted screening-guidance ${yes ? '' : 'd-none'}">${this.escape(q.guidance)}</small>` : ''}
+                        </div>
+                        <div class="btn-group btn-group-sm flex-shrink-0" role="group" aria-label="Answer">
+                            <input type="radio" class="btn-check" name="screening-q${q.id}" id="screening-q${q.id}-yes" value="yes" ${yes ? 'checked' : ''}>
+                            <label class="btn btn-outline-danger" for="screening-q${q.id}-yes">Yes</label>
+                            <input type="radio" class="btn-check" name="screening-q${q.id}" id="screening-q${q.id}-no" value="no" ${no ? 'checked' : ''}>
+                            <label class="btn btn-outline-success" for="screening-q${q.id}-no">No</label>
+                        </div>
+                    </div>
+                    <input type="text" class="form-control form-control-sm mt-2 screening-note ${yes ? '' : 'd-none'}"
+                           placeholder="Details (optional)" value="${yes && before.note ? this.escape(before.note) : ''}">
+                </li>
+            `;
+        }).join('');
+
+        const modalHtml = `
+            <div class="modal fade" id="screeningModal" tabindex="-1" data-bs-backdrop="static">
+                <div class="modal-dialog modal-lg modal-dialog-scrollable">
+                    <div class="modal-content">
+                        <div class="modal-header">
+                            <h5 class="modal-title"><i class="bi bi-shield-exclamation me-2"></i>Red-Flag Screening</h5>
+                            <button type="button" class="btn-close" data-bs-dismiss="modal"></button>
+                        </div>
+                        <div class="modal-body">
+                            <p class="text-muted">Answer every question before accepting the case.
+                                ${previous.length > 0 ? 'Answers from the last screening are filled in; check they still apply.' : ''}</p>
+                            <ul class="list-group mb-3">${rows}</ul>
+                            <div class="mb-3">
+                                <label class="form-label" for="screeningNotes">Screening Notes</label>
+                                <textarea class="form-control" id="screeningNotes" rows="2"></textarea>
+                            </div>
+                            <div class="alert alert-danger d-none" id="screeningWarning">
+                                <div id="screeningWarningText"></div>
+                                <div class="form-check mt-2">
+                                    <input class="form-check-input" type="checkbox" id="screeningAcknowledged">
+                                    <label class="form-check-label" for="screeningAcknowledged">
+                                        I have reviewed the positive answers and it is appropriate to accept this case
+                                    </label>
+                                </div>
+                            </div>
+                        </div>
+                        <div class="modal-footer">
+                            <button type="button" class="btn btn-secondary" data-bs-dismiss="modal">Cancel</button>
+                            <button type="button" class="btn btn-primary" id="screeningContinue">Continue</button>
+                        </div>
+                    </div>
+                </div>
+            </div>
+        `;
+
+        const existing = document.getElementById('screeningModal');
+        if (existing) existing.remove();
+        document.body.insertAdjacentHTML('beforeend', modalHtml);
+
+        const modalEl = document.getElementById('screeningModal');
+        const modal = new bootstrap.Modal(modalEl);
+
+        modalEl.querySelectorAll('.btn-check').forEach(input => {
+            input.addEventListener('change', () => this.updateWarning(modalEl));
+        });
+        this.updateWarning(modalEl);
+
+        return new Promise(resolve => {
+            let result = null;
+
+            document.getElementById('screeningContinue').addEventListener('click', () => {
+                const answers = [];
+                let unanswered = 0;
+                modalEl.querySelectorAll('[data-question-id]').forEach(item => {
+                    const checked = item.querySelector('.btn-check:checked');
+                    if (!checked) {
+                        unanswered++;
+                        return;
+                    }
+                    answers.push({
+                        question_id: parseInt(item.dataset.questionId, 10),
+                        answer: checked.value === 'yes',
+                        note: checked.value === 'yes' ? item.querySelector('.screening-note').value.trim() : null
+                    });
+                });
+
+                if (unanswered > 0) {
+                    alert(`Please answer all screening questions (${unanswered} left)`);
+                    return;
+                }
+
+                const positive = answers.some(a => a.answer);
+                const acknowledged = document.getElementById('screeningAcknowledged').checked;
+                if (positive && !acknowledged) {
+                    alert('Please confirm you have reviewed the positive answers');
+                    return;
+                }
+
+                result = {
+                    answers,
+                    notes: document.getElementById('screeningNotes').value.trim() || null,
+                    acknowledged: positive && acknowledged
+                };
+                modal.hide();
+            });
+
+            modalEl.addEventListener('hidden.bs.modal', () => {
+                modalEl.remove();
+                resolve(result);
+            });
+
+            modal.show();
+        });
+    },
+
+    // Show notes and the warning as soon as any answer is "yes"
+    updateWarning(modalEl) {
+        const positives = [];
+        modalEl.querySelectorAll('[data-question-id]').forEach(item => {
+            const yes = item.querySelector('.btn-check[value="yes"]').checked;
+            item.querySelector('.screening-note').classList.toggle('d-none', !yes);
+            const guidance = item.querySelector('.screening-guidance');
+            if (guidance) guidance.classList.toggle('d-none', !yes);
+            if (yes) positives.push(item);
+        });
+
+        const warning = document.getElementById('screeningWarning');
+        warning.classList.toggle('d-none', positives.length === 0);
+        document.getElementById('screeningWarningText').innerHTML =
+            `<i class="bi bi-exclamation-triangle-fill me-1"></i><strong>${positives.length} positive answer${positives.length === 1 ? '' : 's'}.</strong> ` +
+            'The treating physiotherapist will be notified, and the answers are printed on reports.';
+        if (positives.length === 0) {
+            document.getElementById('screeningAcknowledged').checked = false;
+        }
+    },
+
+    // Read-only summary of a saved screening
+    renderSummary(screening) {
+        if (!screening) {
+            return '<p class="text-muted mb-0">No screening recorded yet.</p>';
+        }
+
+        const positives = screening.answers.filter(a => a.answer);
+        const header = `<p class="small text-muted mb-2">Screened ${new Date(screening.screened_at).toLocaleString()}
+            ${screening.screened_by_name ? `by ${this.escape(screening.screened_by_name)}` : ''}
+            ${screening.acknowledged_by_name ? `; positives reviewed by ${this.escape(screening.acknowledged_by_name)}` : ''}</p>`;
+
+        const body = positives.length === 0
+            ? '<div class="alert alert-success mb-2"><i class="bi bi-check-circle me-1"></i>No red flags or contraindications reported.</div>'
+            : `<div class="alert alert-danger mb-2">
+                    <strong><i class="bi bi-exclamation-triangle-fill me-1"></i>${positives.length} positive answer${positives.length === 1 ? '' : 's'}</strong>
+                    <ul class="mb-0 mt-2">
+                        ${positives.map(a => `
+                            <li>
+                                <span class="badge ${this.badges[a.severity] || 'bg-secondary'}">${this.escape(a.severity.replace('_', ' '))}</span>
+                                ${this.escape(a.question)}${a.note ? ` <em>(${this.escape(a.note)})</em>` : ''}
+                                ${a.guidance ? `<br><small>${this.escape(a.guidance)}</small>` : ''}
+                            </li>
+                        `).join('')}
+                    </ul>
+               </div>`;
+
+        return header + body + (screening.notes ? `<p class="small mb-0"><strong>Notes:</strong> ${this.escape(screening.notes)}</p>` : '');
+    }
+};
@@ -76,7 +76,7 @@ function renderServicesTable(services) {
     if (!tbody) return;
 
     if (services.length === 0) {
-        tbody.innerHTML = '<tr><td colspan="6" class="text-center text-muted py-4">No services found</td></tr>';
+        tbody.innerHTML = '<tr><td colspan="7" class="text-center text-muted py-4">No services found</td></tr>';
         return;
     }
 
@@ -86,6 +86,10 @@ function renderServicesTable(services) {
             <td>${escapeHtml(service.service_name)}</td>
             <td><span class="badge bg-info">${escapeHtml(service.service_type)}</span></td>
             <td>฿${parseFloat(service.default_price).toFixed(2)}</td>
+            <td>
+                ${service.duration_minutes ? `${service.duration_minutes} min` : '<span class="text-muted">-</span>'}
+                ${service.buffer_minutes ? `<br><small class="text-muted">+${service.buffer_minutes} min cleanup</small>` : ''}
+            </td>
             <td>
                 <span class="badge ${service.active ? 'bg-success' : 'bg-secondary'}">
                     ${service.active ? 'Active' : 'Inactive'}
@@ -147,6 +151,8 @@ function editService(serviceId) {
     document.getElementById('serviceDescription').value = service.service_description || '';
     document.getElementById('defaultPrice').value = service.default_price;
     document.getElementById('serviceType').value = service.service_type;
+    document.getElementById('durationMinutes').value = service.duration_minutes || '';
+    document.getElementById('bufferMinutes').value = service.buffer_minutes || '';
     document.getElementById('serviceActive').value = service.active ? '1' : '0';
 
     const modal = new bootstrap.Modal(document.getElementById('serviceModal'));
@@ -163,6 +169,8 @@ async function saveService() {
         const serviceDescription = document.getElementById('serviceDescription').value.trim();
         const defaultPrice = document.getElementById('defaultPrice').value;
         const serviceType = document.getElementById('serviceType').value;
+        const durationMinutes = document.getElementById('durationMinutes').value;
+        const bufferMinutes = document.getElementById('bufferMinutes').value;
         const active = document.getElementById('serviceActive').value;
 
         // Validation
@@ -177,6 +185,8 @@ async function saveService() {
             service_description: serviceDescription,
             default_price: parseFloat(defaultPrice),
             service_type: serviceType,
+            duration_minutes: durationMinutes ? parseInt(durationMinutes) : null,
+            buffer_minutes: bufferMinutes ? parseInt(bufferMinutes) : 0,
             active: parseInt(active)
         };
 
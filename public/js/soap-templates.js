@@ -0,0 +1,211 @@
+// SOAP Templates Management JavaScript
+
+// Get auth token from cookie
+function getCookie(name) {
+    const value = `; ${document.cookie}`;
+    const parts = value.split(`; ${name}=`);
+    if (parts.length === 2) return parts.pop().split(';').shift();
+}
+
+// Show alert message
+function showAlert(message, type = 'info') {
+    const alertDiv = document.createElement('div');
+    alertDiv.className = `alert alert-${type} alert-dismissible fade show position-fixed top-0 start-50 translate-middle-x mt-3`;
+    alertDiv.style.zIndex = '9999';
+    alertDiv.style.minWidth = '300px';
+    alertDiv.innerHTML = `
+        ${message}
+        <button type="button" class="btn-close" data-bs-dismiss="alert"></button>
+    `;
+    document.body.appendChild(alertDiv);
+
+    setTimeout(() => {
+        alertDiv.remove();
+    }, 5000);
+}
+
+// HTML escaping
+function escapeHtml(unsafe) {
+    if (unsafe === null || unsafe === undefined) return '';
+    return String(unsafe)
+        .replace(/&/g, "&amp;")
+        .replace(/</g, "&lt;")
+        .replace(/>/g, "&gt;")
+        .replace(/"/g, "&quot;")
+        .replace(/'/g, "&#039;");
+}
+
+let allTemplates = [];
+
+// Initialize on page load
+document.addEventListener('DOMContentLoaded', function() {
+    loadTemplates();
+});
+
+// Load templates
+async function loadTemplates() {
+    try {
+        const response = await fetch('/api/admin/soap-templates', {
+            headers: { 'Authorization': `Bearer ${getCookie('authToken')}` }
+        });
+
+        if (!response.ok) throw new Error('Failed to load templates');
+
+        const data = await response.json();
+        allTemplates = data.templates;
+        document.getElementById('placeholder-list').innerHTML = data.placeholders
+            .map(name => `<code class="me-2">{{${name}}}</code>`).join('');
+
+        renderTemplatesTable();
+    } catch (error) {
+        console.error('Load templates error:', error);
+        showAlert('Failed to load SOAP templates', 'danger');
+    }
+}
+
+// Render templates table with the current filters
+function renderTemplatesTable() {
+    const tbody = document.getElementById('templates-table-body');
+    const filterStatus = document.getElementById('filterStatus').value;
+    const search = document.getElementById('searchTemplate').value.toLowerCase();
+
+    const templates = allTemplates.filter(template => {
+        if (filterStatus !== '' && template.active != filterStatus) return false;
+        if (search) {
+            const text = [template.name, template.category, template.diagnosis_keywords].join(' ').toLowerCase();
+            if (!text.includes(search)) return false;
+        }
+        return true;
+    });
+
+    if (templates.length === 0) {
+        tbody.innerHTML = '<tr><td colspan="5" class="text-center text-muted py-4">No templates found</td></tr>';
+        return;
+    }
+
+    tbody.innerHTML = templates.map(template => `
+        <tr>
+            <td><strong>${escapeHtml(template.name)}</strong></td>
+            <td>${template.category ? `<span class="badge bg-info">${escapeHtml(template.category)}</span>` : '-'}</td>
+            <td><small>${escapeHtml(template.diagnosis_keywords) || '-'}</small></td>
+            <td>
+                <span class="badge ${template.active ? 'bg-success' : 'bg-secondary'}">
+                    ${template.active ? 'Active' : 'Inactive'}
+                </span>
+            </td>
+            <td>
+                <button class="btn btn-sm btn-outline-primary" onclick="editTemplate(${template.id})" title="Edit">
+                    <i class="bi bi-pencil"></i>
+                </button>
+                <button class="btn btn-sm btn-outline-danger" onclick="deleteTemplate(${template.id})" title="Delete">
+                    <i class="bi bi-trash"></i>
+                </button>
+            </td>
+        </tr>
+    `).join('');
+}
+
+// Show create template modal
+function showCreateTemplateModal() {
+    document.getElementById('templateModalTitle').innerHTML = '<i class="bi bi-plus-circle me-2"></i>New Template';
+    document.getElementById('templateForm').reset();
+    document.getElementById('templateId').value = '';
+    document.getElementById('templateActive').value = '1';
+
+    new bootstrap.Modal(document.getElementById('templateModal')).show();
+}
+
+// Edit template
+function editTemplate(templateId) {
+    const template = allTemplates.find(t => t.id === templateId);
+    if (!template) {
+        showAlert('Template not found', 'danger');
+        return;
+    }
+
+    document.getElementById('templateModalTitle').innerHTML = '<i class="bi bi-pencil me-2"></i>Edit Template';
+    document.getElementById('templateId').value = template.id;
+    document.getElementById('templateName').value = template.name;
+    document.getElementById('templateCategory').value = template.category || '';
+    document.getElementById('templateKeywords').value = template.diagnosis_keywords || '';
+    document.getElementById('templateSubjective').value = template.subjective || '';
+    document.getElementById('templateObjective').value = template.objective || '';
+    document.getElementById('templateAssessment').value = template.assessment || '';
+    document.getElementById('templatePlan').value = template.plan || '';
+    document.getElementById('templateNotes').value = template.notes || '';
+    document.getElementById('templateActive').value = template.active ? '1' : '0';
+
+    new bootstrap.Modal(document.getElementById('templateModal')).show();
+}
+
+// Save template (create or update)
+async function saveTemplate() {
+    try {
+        const templateId = document.getElementById('templateId').value;
+        const templateData = {
+            name: document.getElementById('templateName').value.trim(),
+            category: document.getElementById('templateCategory').value.trim(),
+            diagnosis_keywords: document.getElementById('templateKeywords').value.trim(),
+            subjective: document.getElementById('templateSubjective').value,
+            objective: document.getElementById('templateObjective').value,
+            assessment: document.getElementById('templateAssessment').value,
+            plan: document.getElementById('templatePlan').value,
+            notes: document.getElementById('templateNotes').value,
+            active: document.getElementById('templateActive').value === '1'
+        };
+
+        if (!templateData.name) {
+            showAlert('Please enter a template name', 'warning');
+            return;
+        }
+
+        const response = await fetch(templateId ? `/api/admin/soap-templates/${templateId}` : '/api/admin/soap-templates', {
+            method: templateId ? 'PUT' : 'POST',
+            headers: {
+                'Authorization': `Bearer ${getCookie('authToken')}`,
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify(templateData)
+        });
+
+        if (!response.ok) {
+            const error = await response.json();
+            throw new Error(error.error || 'Failed to save template');
+        }
+
+        showAlert(`Template ${templateId ? 'updated' : 'created'} successfully!`, 'success');
+
+        const modal = bootstrap.Modal.getInstance(document.getElementById('templateModal'));
+        if (modal) modal.hide();
+
+        await loadTemplates();
+    } catch (error) {
+        console.error('Save template error:', error);
+        showAlert(error.message, 'danger');
+    }
+}
+
+// Delete template
+async function deleteTemplate(templateId) {
+    if (!confirm('Delete this template? Notes already written from it are not affected.')) {
+        return;
+    }
+
+    try {
+        const response = await fetch(`/api/admin/soap-templates/${templateId}`, {
+            method: 'DELETE',
+            headers: { 'Authorization': `Bearer ${getCookie('authToken')}` }
+        });
+
+        if (!response.ok) {
+            const error = await response.json();
+            throw new Error(error.error || 'Failed to delete template');
+        }
+
+        showAlert('Template deleted', 'success');
+        await loadTemplates();
+    } catch (error) {
+        console.error('Delete template error:', error);
+        showAlert(error.message, 'danger');
+    }
+}
@@ -28,6 +28,7 @@ const StatisticsManager = {
         document.getElementById('btn-export-csv')?.addEventListener('click', () => this.exportToCSV());
         document.getElementById('filter-date-from')?.addEventListener('change', () => this.loadStatistics());
         document.getElementById('filter-date-to')?.addEventListener('change', () => this.loadStatistics());
+        document.getElementById('filter-diagnosis-system')?.addEventListener('change', () => this.loadDiagnosisRanking());
     },
 
     async loadStatistics() {
@@ -66,6 +67,14 @@ const StatisticsManager = {
             console.error('[loadStatistics] Load service ranking failed:', error);
         }
 
+        try {
+            console.log('[loadStatistics] Loading diagnosis ranking...');
+            await this.loadDiagnosisRanking();
+            console.log('[loadStatistics] Diagnosis ranking loaded successfully');
+        } catch (error) {
+            console.error('[loadStatistics] Load diagnosis ranking failed:', error);
+        }
+
         console.log('[loadStatistics] All sections loading complete');
     },
 
@@ -363,6 +372,54 @@ const StatisticsManager = {
         }).join('');
     },
 
+    async loadDiagnosisRanking() {
+        const dateFrom = document.getElementById('filter-date-from')?.value;
+        const dateTo = document.getElementById('filter-date-to')?.value;
+        const system = document.getElementById('filter-diagnosis-system')?.value;
+
+        const params = new URLSearchParams();
+        if (dateFrom) params.append('date_from', dateFrom);
+        if (dateTo) params.append('date_to', dateTo);
+        if (system) params.append('system', system);
+        params.append('limit', '10');
+
+        const response = await fetch(`/api/statistics/diagnoses/ranking?${params}`, {
+            headers: { 'Authorization': `Bearer ${getToken()}` }
+        });
+
+        if (!response.ok) {
+            const errorData = await response.json().catch(() => ({}));
+            throw new Error(errorData.details || 'Failed to load diagnosis ranking');
+        }
+
+        this.diagnosisRanking = await response.json();
+        this.renderDiagnosisRanking();
+    },
+
+    renderDiagnosisRanking() {
+        const tbody = document.getElementById('diagnosis-ranking-table-body');
+        if (!tbody) return;
+
+        if (!this.diagnosisRanking || this.diagnosisRanking.length === 0) {
+            tbody.innerHTML = '<tr><td colspan="6" class="text-center">No coded diagnoses in this period</td></tr>';
+            return;
+        }
+
+        tbody.innerHTML = this.diagnosisRanking.map((diagnosis, index) => `
+            <tr>
+                <td><span class="badge bg-light text-dark">${index + 1}</span></td>
+                <td>
+                    <span class="badge ${diagnosis.code_system === 'ICF' ? 'bg-info text-dark' : 'bg-primary'}">${diagnosis.code_system === 'ICF' ? 'ICF' : 'ICD-10'}</span>
+                    <strong>${escapeHtml(diagnosis.code)}</strong>
+                </td>
+                <td>${escapeHtml(diagnosis.title)}</td>
+                <td class="text-center">${diagnosis.case_count}</td>
+                <td class="text-center">${diagnosis.patient_count}</td>
+                <td class="text-center">${diagnosis.completed_count}</td>
+            </tr>
+        `).join('');
+    },
+
     getPaymentStatusBadge(status) {
         const statusMap = {
             'PAID': '<span class="badge bg-success">Paid</span>',
@@ -0,0 +1,404 @@
+// Therapist Schedule Management JavaScript
+
+// Get auth token from cookie
+function getCookie(name) {
+    const value = `; ${document.cookie}`;
+    const parts = value.split(`; ${name}=`);
+    if (parts.length === 2) return parts.pop().split(';').shift();
+}
+
+// Show alert message
+function showAlert(message, type = 'info') {
+    const alertDiv = document.createElement('div');
+    alertDiv.className = `alert alert-${type} alert-dismissible fade show position-fixed top-0 start-50 translate-middle-x mt-3`;
+    alertDiv.style.zIndex = '9999';
+    alertDiv.style.minWidth = '300px';
+    alertDiv.innerHTML = `
+        ${message}
+        <button type="button" class="btn-close" data-bs-dismiss="alert"></button>
+    `;
+    document.body.appendChild(alertDiv);
+
+    setTimeout(() => {
+        alertDiv.remove();
+    }, 5000);
+}
+
+// HTML escaping
+function escapeHtml(unsafe) {
+    if (unsafe === null || unsafe === undefined) return '';
+    return String(unsafe)
+        .replace(/&/g, "&amp;")
+        .replace(/</g, "&lt;")
+        .replace(/>/g, "&gt;")
+        .replace(/"/g, "&quot;")
+        .replace(/'/g, "&#039;");
+}
+
+// 'HH:MM:SS' -> 'HH:MM'
+function shortTime(time) {
+    return time ? String(time).slice(0, 5) : '';
+}
+
+function formatDate(value) {
+    return new Date(value).toLocaleDateString('en-GB', { day: 'numeric', month: 'short', year: 'numeric' });
+}
+
+// Send a JSON request and throw the server's message on failure
+async function sendRequest(url, method, data) {
+    const response = await fetch(url, {
+        method,
+        headers: {
+            'Authorization': `Bearer ${getCookie('authToken')}`,
+            'Content-Type': 'application/json'
+        },
+        body: data ? JSON.stringify(data) : undefined
+    });
+
+    const result = await response.json();
+    if (!response.ok) {
+        throw new Error(result.error || (result.errors && result.errors[0].msg) || 'Request failed');
+    }
+    return result;
+}
+
+let weekdays = [];
+let leaveTypes = {};
+let therapists = [];
+let schedules = [];
+
+// Initialize on page load
+document.addEventListener('DOMContentLoaded', function() {
+    loadClinics();
+});
+
+// Load clinics, then the schedules of the first one
+async function loadClinics() {
+    try {
+        const response = await fetch('/api/clinics', {
+            headers: { 'Authorization': `Bearer ${getCookie('authToken')}` }
+        });
+        if (!response.ok) throw new Error('Failed to load clinics');
+
+        const clinics = await response.json();
+        document.getElementById('filterClinic').innerHTML = clinics
+            .map(clinic => `<option value="${clinic.id}">${escapeHtml(clinic.name)}</option>`)
+            .join('');
+
+        if (clinics.length > 0) {
+            await loadSchedules();
+        }
+    } catch (error) {
+        console.error('Load clinics error:', error);
+        showAlert('Failed to load clinics', 'danger');
+    }
+}
+
+// Load weekly schedules, shift changes and leave for the selected clinic
+async function loadSchedules() {
+    try {
+        const clinicId = document.getElementById('filterClinic').value;
+        const response = await fetch(`/api/therapist-schedules?clinic_id=${clinicId}`, {
+            headers: { 'Authorization': `Bearer ${getCookie('authToken')}` }
+        });
+        if (!response.ok) throw new Error('Failed to load schedules');
+
+        const data = await response.json();
+        weekdays = data.weekdays;
+        leaveTypes = data.leave_types;
+        therapists = data.therapists;
+        schedules = data.schedules;
+
+        const therapistOptions = therapists
+            .map(pt => `<option value="${pt.id}">${escapeHtml(pt.first_name)} ${escapeHtml(pt.last_name)}</option>`)
+            .join('');
+        document.querySelectorAll('.therapist-select').forEach(select => {
+            select.innerHTML = therapistOptions;
+        });
+        document.getElementById('leaveType').innerHTML = Object.entries(leaveTypes)
+            .map(([code, label]) => `<option value="${code}">${escapeHtml(label)}</option>`)
+            .join('');
+
+        renderScheduleTable();
+        renderExceptions(data.exceptions);
+        renderLeave(data.leave);
+    } catch (error) {
+        console.error('Load therapist schedules error:', error);
+        showAlert('Failed to load therapist schedules', 'danger');
+    }
+}
+
+// Weekly shifts, one column per weekday starting Monday
+function renderScheduleTable() {
+    const order = [1, 2, 3, 4, 5, 6, 0];
+    document.getElementById('schedule-table-head').innerHTML = `
+        <th>Therapist</th>
+        ${order.map(day => `<th>${escapeHtml(weekdays[day].slice(0, 3))}</th>`).join('')}
+        <th>Actions</th>
+    `;
+
+    const tbody = document.getElementById('schedule-table-body');
+    if (therapists.length === 0) {
+        tbody.innerHTML = '<tr><td colspan="9" class="text-center text-muted py-4">No active therapists</td></tr>';
+        return;
+    }
+
+    // Therapists rostered at this clinic first
+    const rostered = new Set(schedules.map(shift => shift.pt_id));
+    const sorted = therapists.slice().sort((a, b) => rostered.has(b.id) - rostered.has(a.id));
+
+    tbody.innerHTML = sorted.map(pt => `
+        <tr>
+            <td><strong>${escapeHtml(pt.first_name)} ${escapeHtml(pt.last_name)}</strong></td>
+            ${order.map(day => {
+                const shifts = schedules.filter(shift => shift.pt_id === pt.id && shift.weekday === day);
+                return `<td>${shifts.length === 0
+                    ? '<span class="text-muted">-</span>'
+                    : shifts.map(shift => `<span class="shift-badge">${shortTime(shift.start_time)}-${shortTime(shift.end_time)}</span>`).join('<br>')}</td>`;
+            }).join('')}
+            <td>
+                <button class="btn btn-sm btn-outline-primary" onclick="editSchedule(${pt.id})" title="Edit">
+                    <i class="bi bi-pencil"></i>
+                </button>
+            </td>
+        </tr>
+    `).join('');
+}
+
+function renderExceptions(exceptions) {
+    const tbody = document.getElementById('exceptions-table-body');
+    if (exceptions.length === 0) {
+        tbody.innerHTML = '<tr><td colspan="5" class="text-center text-muted">No upcoming shift changes</td></tr>';
+        return;
+    }
+
+    tbody.innerHTML = exceptions.map(exception => `
+        <tr>
+            <td>${formatDate(exception.shift_date)}</td>
+            <td>${escapeHtml(exception.pt_name)}</td>
+            <td>${exception.start_time
+                ? `${shortTime(exception.start_time)}-${shortTime(exception.end_time)}`
+                : '<span class="badge bg-secondary">Day off</span>'}</td>
+            <td>${escapeHtml(exception.reason || '')}</td>
+            <td>
+                <button class="btn btn-sm btn-outline-danger" onclick="deleteException(${exception.id})" title="Remove">
+                    <i class="bi bi-trash"></i>
+                </button>
+            </td>
+        </tr>
+    `).join('');
+}
+
+function renderLeave(leave) {
+    const tbody = document.getElementById('leave-table-body');
+    if (leave.length === 0) {
+        tbody.innerHTML = '<tr><td colspan="5" class="text-center text-muted">No upcoming leave</td></tr>';
+        return;
+    }
+
+    tbody.innerHTML = leave.map(entry => `
+        <tr>
+            <td>
+                ${formatDate(entry.start_date)}${entry.end_date !== entry.start_date ? ` - ${formatDate(entry.end_date)}` : ''}
+                ${entry.start_time ? `<br><small class="text-muted">${shortTime(entry.start_time)}-${shortTime(entry.end_time)}</small>` : ''}
+            </td>
+            <td>${escapeHtml(entry.pt_name)}</td>
+            <td>${escapeHtml(leaveTypes[entry.leave_type] || entry.leave_type)}</td>
+            <td>${escapeHtml(entry.notes || '')}</td>
+            <td>
+                <button class="btn btn-sm btn-outline-danger" onclick="deleteLeave(${entry.id})" title="Remove">
+                    <i class="bi bi-trash"></i>
+                </button>
+            </td>
+        </tr>
+    `).join('');
+}
+
+// Markup of one shift row in the weekly schedule modal
+function shiftRowHtml(start = '', end = '') {
+    return `
+        <div class="d-flex gap-2 mb-2 shift-row">
+            <input type="time" class="form-control form-control-sm shift-start" value="${shortTime(start)}" step="1800" aria-label="Shift start">
+            <input type="time" class="form-control form-control-sm shift-end" value="${shortTime(end)}" step="1800" aria-label="Shift end">
+            <button type="button" class="btn btn-sm btn-outline-danger" onclick="this.closest('.shift-row').remove()" title="Remove shift">
+                <i class="bi bi-x"></i>
+            </button>
+        </div>
+    `;
+}
+
+function addShiftRow(weekday) {
+    document.getElementById(`shifts-${weekday}`).insertAdjacentHTML('beforeend', shiftRowHtml());
+}
+
+// Edit weekly schedule
+function editSchedule(ptId) {
+    const pt = therapists.find(t => t.id === ptId);
+    if (!pt) {
+        showAlert('Therapist not found', 'danger');
+        return;
+    }
+
+    const clinicSelect = document.getElementById('filterClinic');
+    document.getElementById('scheduleModalTitle').innerHTML =
+        `<i class="bi bi-pencil me-2"></i>${escapeHtml(pt.first_name)} ${escapeHtml(pt.last_name)} - ${escapeHtml(clinicSelect.options[clinicSelect.selectedIndex].text)}`;
+    document.getElementById('schedulePtId').value = ptId;
+
+    document.getElementById('scheduleDays').innerHTML = [1, 2, 3, 4, 5, 6, 0].map(day => `
+        <div class="row g-2 align-items-start mb-2">
+            <div class="col-3 pt-1"><strong>${escapeHtml(weekdays[day])}</strong></div>
+            <div class="col-7" id="shifts-${day}">
+                ${schedules
+                    .filter(shift => shift.pt_id === ptId && shift.weekday === day)
+                    .map(shift => shiftRowHtml(shift.start_time, shift.end_time))
+                    .join('')}
+            </div>
+            <div class="col-2 text-end">
+                <button type="button" class="btn btn-sm btn-outline-primary" onclick="addShiftRow(${day})" title="Add shift">
+                    <i class="bi bi-plus"></i>
+                </button>
+            </div>
+        </div>
+    `).join('');
+
+    new bootstrap.Modal(document.getElementById('scheduleModal')).show();
+}
+
+// Save weekly schedule
+async function saveSchedule() {
+    try {
+        const ptId = document.getElementById('schedulePtId').value;
+        const shifts = [];
+        for (let day = 0; day < 7; day++) {
+            document.querySelectorAll(`#shifts-${day} .shift-row`).forEach(row => {
+                const start = row.querySelector('.shift-start').value;
+                const end = row.querySelector('.shift-end').value;
+                if (start || end) {
+                    shifts.push({ weekday: day, start_time: start, end_time: end });
+                }
+            });
+        }
+
+        await sendRequest(`/api/therapist-schedules/${ptId}`, 'PUT', {
+            clinic_id: document.getElementById('filterClinic').value,
+            shifts
+        });
+        showAlert('Schedule saved', 'success');
+
+        const modal = bootstrap.Modal.getInstance(document.getElementById('scheduleModal'));
+        if (modal) modal.hide();
+
+        await loadSchedules();
+    } catch (error) {
+        console.error('Save schedule error:', error);
+        showAlert(error.message, 'danger');
+    }
+}
+
+function toggleExceptionHours() {
+    const dayOff = document.getElementById('exceptionDayOff').checked;
+    document.querySelectorAll('.exception-hours').forEach(element => {
+        element.style.display = dayOff ? 'none' : '';
+    });
+}
+
+function showExceptionModal() {
+    document.getElementById('exceptionForm').reset();
+    toggleExceptionHours();
+    new bootstrap.Modal(document.getElementById('exceptionModal')).show();
+}
+
+// Save shift change
+async function saveException() {
+    try {
+        const dayOff = document.getElementById('exceptionDayOff').checked;
+        const data = {
+            pt_id: document.getElementById('exceptionPt').value,
+            clinic_id: document.getElementById('filterClinic').value,
+            shift_date: document.getElementById('exceptionDate').value,
+            reason: document.getElementById('exceptionReason').value.trim(),
+            shifts: dayOff ? [] : [{
+                start_time: document.getElementById('exceptionStart').value,
+                end_time: document.getElementById('exceptionEnd').value
+            }]
+        };
+
+        if (!data.pt_id || !data.shift_date) {
+            showAlert('Please select the therapist and date', 'warning');
+            return;
+        }
+
+        await sendRequest('/api/therapist-schedules/exceptions', 'POST', data);
+        showAlert('Shift change saved', 'success');
+
+        const modal = bootstrap.Modal.getInstance(document.getElementById('exceptionModal'));
+        if (modal) modal.hide();
+
+        await loadSchedules();
+    } catch (error) {
+        console.error('Save shift change error:', error);
+        showAlert(error.message, 'danger');
+    }
+}
+
+async function deleteException(exceptionId) {
+    if (!confirm('Remove this shift change? The weekly schedule will apply again on that date.')) return;
+
+    try {
+        await sendRequest(`/api/therapist-schedules/exceptions/${exceptionId}`, 'DELETE');
+        showAlert('Shift change removed', 'success');
+        await loadSchedules();
+    } catch (error) {
+        console.error('Delete shift change error:', error);
+        showAlert(error.message, 'danger');
+    }
+}
+
+function showLeaveModal() {
+    document.getElementById('leaveForm').reset();
+    new bootstrap.Modal(document.getElementById('leaveModal')).show();
+}
+
+// Save leave; warn about appointments the therapist already has in that period
+async function saveLeave() {
+    try {
+        const data = {
+            pt_id: document.getElementById('leavePt').value,
+            leave_type: document.getElementById('leaveType').value,
+            start_date: document.getElementById('leaveStartDate').value,
+            end_date: document.getElementById('leaveEndDate').value || document.getElementById('leaveStartDate').value,
+            start_time: document.getElementById('leaveStartTime').value,
+            end_time: document.getElementById('leaveEndTime').value,
+            notes: document.getElementById('leaveNotes').value.trim()
+        };
+
+        if (!data.pt_id || !data.start_date) {
+            showAlert('Please select the therapist and dates', 'warning');
+            return;
+        }
+
+        const result = await sendRequest('/api/therapist-leave', 'POST', data);
+        showAlert(escapeHtml(result.message), result.affected_appointments.length > 0 ? 'warning' : 'success');
+
+        const modal = bootstrap.Modal.getInstance(document.getElementById('leaveModal'));
+        if (modal) modal.hide();
+
+        await loadSchedules();
+    } catch (error) {
+        console.error('Save leave error:', error);
+        showAlert(error.message, 'danger');
+    }
+}
+
+async function deleteLeave(leaveId) {
+    if (!confirm('Remove this leave?')) return;
+
+    try {
+        await sendRequest(`/api/therapist-leave/${leaveId}`, 'DELETE');
+        showAlert('Leave removed', 'success');
+        await loadSchedules();
+    } catch (error) {
+        console.error('Delete leave error:', error);
+        showAlert(error.message, 'danger');
+    }
+}
@@ -11,6 +11,7 @@ const morgan = require('morgan');
 const cookieParser = require('cookie-parser');
 const session = require('express-session');
 const rateLimit = require('express-rate-limit');
+const net = require('net');
 
 // Import app configuration
 const app = require('./app');
@@ -20,6 +21,7 @@ const createDirectories = async () => {
     const dirs = [
         './uploads',
         './reports',
+        './signatures',
         './public',
         './public/css',
         './public/js',
@@ -220,8 +222,99 @@ const setupErrorHandling = (app) => {
     });
 };
 
+// HL7 v2 MLLP listener (optional - enabled when HL7_MLLP_PORT is set)
+// Frames are <VT> message <FS><CR>; each message is answered with a framed ACK/NAK.
+// Binds to HL7_MLLP_HOST (default 127.0.0.1); HL7_MLLP_ALLOWED_IPS (comma-separated) limits who may connect.
+const MLLP_START_BLOCK = '\x0b';
+const MLLP_END_BLOCK = '\x1c\x0d';
+const MLLP_MAX_BUFFER_BYTES = parseInt(process.env.HL7_MLLP_MAX_BUFFER_BYTES) || 1024 * 1024;
+
+// '::ffff:10.0.0.5' -> '10.0.0.5'
+const normalizeRemoteAddress = (address) => String(address || '').replace(/^::ffff:/, '');
+
+const setupMLLPListener = async (app, pool) => {
+    const port = parseInt(process.env.HL7_MLLP_PORT);
+    if (!port) {
+        return null;
+    }
+
+    // Messages are processed (and audited) as the configured interface user
+    const [users] = await pool.execute(
+        'SELECT id, email, role, clinic_id FROM users WHERE id = ? AND active = 1',
+        [process.env.HL7_MLLP_USER_ID || 0]
+    );
+    if (users.length === 0) {
+        console.error('✗ HL7 MLLP listener disabled: HL7_MLLP_USER_ID must reference an active user');
+        return null;
+    }
+    const interfaceUser = users[0];
+
+    const host = process.env.HL7_MLLP_HOST || '127.0.0.1';
+    const allowedIps = (process.env.HL7_MLLP_ALLOWED_IPS || '')
+        .split(',')
+        .map(ip => normalizeRemoteAddress(ip.trim()))
+        .filter(ip => ip);
+
+    const mllpServer = net.createServer((socket) => {
+        const remoteAddress = normalizeRemoteAddress(socket.remoteAddress);
+        if (allowedIps.length > 0 && !allowedIps.includes(remoteAddress)) {
+            console.warn(`✗ HL7 MLLP connection from ${remoteAddress} rejected (not in HL7_MLLP_ALLOWED_IPS)`);
+            socket.destroy();
+            return;
+        }
+
+        let buffer = '';
+        // Messages on one connection are processed one at a time so ACKs go out in order
+        let processing = Promise.resolve();
+
+        const processFrame = async (rawMessage) => {
+            let ack;
+            try {
+                ack = await app.locals.processHL7Message(pool, interfaceUser, rawMessage);
+            } catch (error) {
+                console.error('✗ HL7 MLLP processing error:', error);
+                ack = app.locals.buildHL7ErrorAck(rawMessage, 'Failed to process message');
+            }
+            if (!socket.destroyed) {
+                socket.write(MLLP_START_BLOCK + ack + MLLP_END_BLOCK);
+            }
+        };
+
+        socket.setEncoding('utf8');
+        socket.on('data', (chunk) => {
+            buffer += chunk;
+
+            let endIndex;
+            while ((endIndex = buffer.indexOf(MLLP_END_BLOCK)) !== -1) {
+                const frame = buffer.substring(0, endIndex);
+                buffer = buffer.substring(endIndex + MLLP_END_BLOCK.length);
+
+                const startIndex = frame.indexOf(MLLP_START_BLOCK);
+                const rawMessage = startIndex === -1 ? frame : frame.substring(startIndex + 1);
+                processing = processing.then(() => processFrame(rawMessage));
+            }
+
+            // A sender that never closes its frame is dropped rather than buffered forever
+            if (Buffer.byteLength(buffer) > MLLP_MAX_BUFFER_BYTES) {
+                console.warn(`✗ HL7 MLLP connection from ${remoteAddress} dropped: no end block within ${MLLP_MAX_BUFFER_BYTES} bytes`);
+                buffer = '';
+                socket.destroy();
+            }
+        });
+        socket.on('error', (error) => {
+            console.error('✗ HL7 MLLP socket error:', error.message);
+        });
+    });
+
+    mllpServer.listen(port, host, () => {
+        console.log(`✓ HL7 MLLP listener on ${host}:${port}`);
+    });
+
+    return mllpServer;
+};
+
 // Graceful shutdown
-const setupGracefulShutdown = (server, pool) => {
+const setupGracefulShutdown = (server, pool, mllpServer = null) => {
     const gracefulShutdown = async (signal) => {
         console.log(`\n${signal} received. Starting graceful shutdown...`);
         
@@ -229,6 +322,11 @@ const setupGracefulShutdown = (server, pool) => {
         server.close(() => {
             console.log('✓ HTTP server closed');
         });
+        if (mllpServer) {
+            mllpServer.close(() => {
+                console.log('✓ HL7 MLLP listener closed');
+            });
+        }
         
         // Close database pool
         try {
@@ -292,8 +390,11 @@ const initializeServer = async () => {
             console.log('=====================================\n');
         });
         
+        // Start HL7 v2 MLLP listener
+        const mllpServer = await setupMLLPListener(app, pool);
+
         // Setup graceful shutdown
-        setupGracefulShutdown(server, pool);
+        setupGracefulShutdown(server, pool, mllpServer);
         
     } catch (error) {
         console.error('✗ Server initialization failed:', error);